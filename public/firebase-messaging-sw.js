@@ -21,9 +21,91 @@ messaging.onBackgroundMessage((payload) => {
   const notificationTitle = payload?.notification?.title || 'New Notification';
   const notificationOptions = {
     body: payload?.notification?.body || '',
-    icon: '/favicon.ico'
+    icon: '/favicon.ico',
+    data: payload?.data || {}
   };
+  // Dose reminders replace an earlier reminder for the same dose instead of stacking
+  if (payload?.data?.type === 'medication_reminder') {
+    notificationOptions.tag = `dose-${payload.data.medication_id}-${payload.data.scheduled_for}`;
+    notificationOptions.requireInteraction = true;
+  }
+  // Wandering alerts stay up until a caregiver looks at them
+  if (payload?.data?.type === 'geofence_alert') {
+    notificationOptions.tag = `geofence-${payload.data.wearer_id}-${payload.data.event}`;
+    notificationOptions.requireInteraction = true;
+  }
   self.registration.showNotification(notificationTitle, notificationOptions);
 });
 
+// Open (or focus) the dashboard on the page the notification is about
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const target = data.type === 'medication_reminder' ? '/dashboard#medications'
+    : data.type === 'geofence_alert' ? '/dashboard#profile'
+    : (data.url || '/dashboard');
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((w) => new URL(w.url).pathname.startsWith('/dashboard'));
+      if (existing) {
+        existing.navigate(target);
+        return existing.focus();
+      }
+      return clients.openWindow(target);
+    })
+  );
+});
+
+
+
+// App shell cache, so the dashboard still opens without a connection. Vitals
+// are kept in IndexedDB by the app itself; API responses are never cached here.
+const SHELL_CACHE = 'jj-shell-v1';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(['/', '/index.html'])));
+  self.skipWaiting();
+});
 
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith('jj-shell-') && key !== SHELL_CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: network first, falling back to the cached shell (the SPA routes client-side)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(SHELL_CACHE).then((cache) => cache.put('/index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built assets have hashed names, so a cached copy never goes stale
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      }))
+    );
+  }
+});
@@ -12,8 +12,8 @@ import jjlogo from "./assets/jjlogo.png";
 import appScreenshot from "./assets/jeewanjyotiss.gif";
 import qrCode from "./assets/qr.jpg";
 import AppHeader from "./components/AppHeader";
-
-const API_BASE_URL = "http://103.118.16.251:8002";
+import { http } from "./lib/httpClient";
+import { PREORDER_API_URL } from "./config/api";
 
 /* ─── Design tokens ─────────────────────────────────────────────────────────
    Paper-white base, one blue family, one clinical red used twice.
@@ -421,24 +421,14 @@ function PreorderDialog({ open, onClose }) {
     e.preventDefault();
     setLoading(true); setStatus(null); setError("");
     try {
-      const res = await fetch(`${API_BASE_URL}/preorder/`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(form),
-      });
-      if (!res.ok) {
-        let data;
-        try { data = await res.json(); } catch { data = { message: `Server returned ${res.status}` }; }
-        let msg = "The preorder didn't go through.";
-        if (data.detail) msg = Array.isArray(data.detail) ? data.detail.map((d) => d.msg).join(", ") : data.detail;
-        else if (data.message) msg = data.message;
-        throw new Error(msg);
-      }
+      await http.post(`${PREORDER_API_URL}/preorder/`, form, { auth: false, errorMessage: "The preorder didn't go through." });
       setStatus("success");
       setTimeout(close, 2200);
     } catch (err) {
+      // The preorder service reports validation errors as a list of { msg }
+      const detail = err.details?.detail;
       setStatus("error");
-      setError(err.message || "No connection to the server. Check your network and try again.");
+      setError(Array.isArray(detail) ? detail.map((d) => d.msg).join(", ") : err.message || "No connection to the server. Check your network and try again.");
     } finally {
       setLoading(false);
     }
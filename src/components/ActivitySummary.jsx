@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Activity, Footprints, Flame, Clock, AlertCircle, RefreshCw, Calendar, Eye, EyeOff, X } from 'lucide-react';
-import { getDayTotalActivity } from '../lib/api';
+import { queryVitals, getVitalsSyncState } from '../lib/api';
 import DataModal from './ui/Modal';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
 
 // Utility function to calculate the dash offset for a given percentage and circumference
 const calculateOffset = (percentage, circumference) => {
@@ -12,10 +13,10 @@ const ActivitySummary = ({ darkMode = false, onActivityDataUpdate, selectedUserI
     const [activityData, setActivityData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [syncedAt, setSyncedAt] = useState(null);
     const [showDetails, setShowDetails] = useState(false);
 
-    // Cache and refs
-    const cacheRef = useRef(new Map());
+    // Refs
     const abortControllerRef = useRef(null);
     const isMountedRef = useRef(true);
 
@@ -52,8 +53,8 @@ const ActivitySummary = ({ darkMode = false, onActivityDataUpdate, selectedUserI
         return d.toISOString().split('T')[0];
     };
 
-    // Fetch daily activity data from API
-    const fetchActivityData = useCallback(async () => {
+    // Fetch daily activity data through the shared vitals cache (force skips it)
+    const fetchActivityData = useCallback(async ({ force = false } = {}) => {
         // Cancel previous request if it exists
         if (abortControllerRef.current) {
             abortControllerRef.current.abort();
@@ -68,65 +69,42 @@ const ActivitySummary = ({ darkMode = false, onActivityDataUpdate, selectedUserI
 
             let date = null;
             let range = null;
-            let cacheKey;
 
             // Determine API parameters based on date range
             if (dateRange?.customRange && dateRange.date) {
                 // Custom date - use date parameter
                 date = formatDateForAPI(dateRange.date);
-                cacheKey = `activity-${selectedUserId || 'default'}-date-${date}`;
                 console.log('Fetching activity data for custom date:', date);
             } else {
                 // Use range parameter for predefined periods
                 if (dateRange?.period === 'today' || !dateRange?.period) {
                     // Use a range of 30 days to find the latest available day if today is empty
                     range = '30d';
-                    cacheKey = `activity-${selectedUserId || 'default'}-today-latest-${range}`;
                     console.log('Fetching activity data for latest day (falling back to 30d range)');
                 } else if (dateRange?.period === 'week') {
                     range = '7d';
-                    cacheKey = `activity-${selectedUserId || 'default'}-${range}`;
                     console.log('Fetching activity data with range:', range);
                 } else if (dateRange?.period === 'month') {
                     range = '30d';
-                    cacheKey = `activity-${selectedUserId || 'default'}-${range}`;
                     console.log('Fetching activity data with range:', range);
                 } else {
                     // Fallback: use today's date
                     const todayStr = formatDateForAPI(new Date());
                     date = todayStr;
-                    cacheKey = `activity-${selectedUserId || 'default'}-today-fallback-${todayStr}`;
                     console.log('Fetching activity data for specific today:', todayStr);
                 }
             }
 
-            // Check cache first (5 minutes max)
-            if (cacheRef.current.has(cacheKey)) {
-                const cachedData = cacheRef.current.get(cacheKey);
-                const cacheTime = cachedData.timestamp;
-                const now = Date.now();
-
-                if (now - cacheTime < 5 * 60 * 1000) {
-                    console.log('Using cached activity data:', cachedData.data);
-                    if (isMountedRef.current) {
-                        setActivityData(cachedData.data);
-                        if (onActivityDataUpdate) {
-                            onActivityDataUpdate(cachedData.data);
-                        }
-                        setLoading(false);
-                    }
-                    return;
-                }
-            }
-
             console.log('Making API call with params:', {
                 userId: selectedUserId,
                 range,
                 date
             });
 
-            // Fetch daily activity data
-            const response = await getDayTotalActivity(selectedUserId, range, date);
+            // Fetch daily activity data (the last synced copy when offline)
+            const params = { userId: selectedUserId, date, range };
+            const response = await queryVitals('activity', params, { signal: abortControllerRef.current.signal, force });
+            const responseSyncedAt = getVitalsSyncState('activity', params)?.syncedAt ?? null;
 
             // Check if component is still mounted and request wasn't aborted
             if (!isMountedRef.current || abortControllerRef.current.signal.aborted) {
@@ -200,14 +178,9 @@ const ActivitySummary = ({ darkMode = false, onActivityDataUpdate, selectedUserI
                 }
             }
 
-            // Cache the results
-            cacheRef.current.set(cacheKey, {
-                data: processedData,
-                timestamp: Date.now()
-            });
-
             if (isMountedRef.current) {
                 setActivityData(processedData);
+                setSyncedAt(responseSyncedAt);
                 if (onActivityDataUpdate) {
                     onActivityDataUpdate(processedData);
                 }
@@ -387,7 +360,7 @@ const ActivitySummary = ({ darkMode = false, onActivityDataUpdate, selectedUserI
                             {error}
                         </p>
                         <button
-                            onClick={fetchActivityData}
+                            onClick={() => fetchActivityData({ force: true })}
                             className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors"
                         >
                             Retry
@@ -453,6 +426,7 @@ const ActivitySummary = ({ darkMode = false, onActivityDataUpdate, selectedUserI
                         <p className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                             {getDateRangeDisplay()}
                         </p>
+                        <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
                         {dateRange?.customRange && dateRange.date && (
                             <div className="flex items-center gap-1 mt-1">
                                 <Calendar className="w-3 h-3 text-green-500" />
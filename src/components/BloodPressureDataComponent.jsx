@@ -1,13 +1,14 @@
-import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   LineChart, Line, ResponsiveContainer, XAxis, YAxis, CartesianGrid, Tooltip,
   ComposedChart, Area, Scatter, ReferenceArea, ReferenceLine, Customized
 } from 'recharts';
 import { Thermometer, TrendingUp, AlertCircle, RefreshCw, Activity, Clock, Calendar, Eye, EyeOff } from 'lucide-react';
-import { getBloodPressureData } from '../lib/api';
 import DataModal from './ui/Modal';
 import DayDrillDownBanner from './vitals/DayDrillDownBanner';
 import { useVitalLocalDateRange } from '../hooks/useVitalLocalDateRange';
+import { useVitalsQuery } from '../hooks/useVitalsQuery';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
 import { isDayDrillDown, isMultidayPeriod } from '../utils/vitalDateRange';
 
 function isDailyBPRow(row) {
@@ -21,6 +22,14 @@ function parseDayISO(dayStr) {
   return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
 }
 
+function sortBPRecords(records) {
+  return records.sort((a, b) => {
+    const ta = isDailyBPRow(a) ? parseDayISO(a.day) : new Date(a.date);
+    const tb = isDailyBPRow(b) ? parseDayISO(b.day) : new Date(b.date);
+    return ta - tb;
+  });
+}
+
 const DAILY_CHART_HEIGHT = 208;
 const LIVE_CHART_HEIGHT = 200;
 
@@ -300,17 +309,15 @@ function BPMultiDayPreview({ data, darkMode, onDayClick }) {
 }
 
 const BloodPressureDataComponent = ({ darkMode, onBloodPressureDataUpdate, selectedUserId, dateRange }) => {
-  const [bpData, setBpData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [sliderPosition, setSliderPosition] = useState(100); // 100 = most recent, 0 = oldest
   const { localDateRange, setLocalDateRange, drillToDay, exitDayDrill } = useVitalLocalDateRange(dateRange);
 
-  // Cache and refs
-  const cacheRef = useRef(new Map());
-  const abortControllerRef = useRef(null);
-  const isMountedRef = useRef(true);
+  const { data: bpData, loading, error, syncedAt, refetch: fetchBPData } = useVitalsQuery('bloodPressure', selectedUserId, localDateRange, {
+    select: sortBPRecords,
+    onData: onBloodPressureDataUpdate,
+    errorMessage: 'Failed to load blood pressure data. Please try again.',
+  });
 
   const isDailyView = useMemo(() => {
     if (isDayDrillDown(localDateRange)) return false;
@@ -318,114 +325,6 @@ const BloodPressureDataComponent = ({ darkMode, onBloodPressureDataUpdate, selec
     return isMultidayPeriod(localDateRange);
   }, [localDateRange, bpData]);
 
-  const formatDateForAPI = (date) => {
-    if (!date) return null;
-    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return date;
-    }
-    const d = new Date(date);
-    return d.toISOString().split('T')[0];
-  };
-
-  const fetchBPData = useCallback(async () => {
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-
-    abortControllerRef.current = new AbortController();
-
-    try {
-      setLoading(true);
-      setError(null);
-
-      let range = null;
-      let cacheKey;
-      let date = null;
-
-      if (localDateRange?.customRange && localDateRange?.date) {
-        date = formatDateForAPI(localDateRange.date);
-        cacheKey = `${selectedUserId || 'null'}-bp-date-${date}`;
-        console.log('Fetching blood pressure data for custom date:', date);
-      } else {
-        if (localDateRange?.period === 'today') range = '24h';
-        else if (localDateRange?.period === 'week') range = '7d';
-        else if (localDateRange?.period === 'month') range = '30d';
-        else range = '24h';
-        cacheKey = `${selectedUserId || 'null'}-bp-${range}`;
-        console.log('Fetching blood pressure data with range:', range);
-      }
-
-      if (cacheRef.current.has(cacheKey)) {
-        const cachedData = cacheRef.current.get(cacheKey);
-        const cacheTime = cachedData.timestamp;
-        const now = Date.now();
-        
-        if (now - cacheTime < 5 * 60 * 1000) {
-          console.log('Using cached blood pressure data:', cachedData.data.length, 'records');
-          if (isMountedRef.current) {
-            setBpData(cachedData.data);
-            if (onBloodPressureDataUpdate) onBloodPressureDataUpdate(cachedData.data);
-            setLoading(false);
-          }
-          return;
-        }
-      }
-
-      const data = await getBloodPressureData(selectedUserId, date, range);
-
-      if (!isMountedRef.current || abortControllerRef.current.signal.aborted) {
-        return;
-      }
-
-      if (data && data.length > 0) {
-        const sortedData = data.sort((a, b) => {
-          const ta = isDailyBPRow(a) ? parseDayISO(a.day) : new Date(a.date);
-          const tb = isDailyBPRow(b) ? parseDayISO(b.day) : new Date(b.date);
-          return ta - tb;
-        });
-        
-        cacheRef.current.set(cacheKey, {
-          data: sortedData,
-          timestamp: Date.now()
-        });
-
-        if (isMountedRef.current) {
-          setBpData(sortedData);
-          if (onBloodPressureDataUpdate) onBloodPressureDataUpdate(sortedData);
-        }
-      } else {
-        if (isMountedRef.current) {
-          setBpData([]);
-          if (onBloodPressureDataUpdate) onBloodPressureDataUpdate([]);
-        }
-      }
-    } catch (error) {
-      if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || !isMountedRef.current) {
-        return;
-      }
-      console.error('Error fetching blood pressure data:', error);
-      if (isMountedRef.current) {
-        setError('Failed to load blood pressure data. Please try again.');
-      }
-    } finally {
-      if (isMountedRef.current && !abortControllerRef.current?.signal.aborted) {
-        setLoading(false);
-      }
-    }
-  }, [selectedUserId, onBloodPressureDataUpdate, localDateRange?.date, localDateRange?.customRange, localDateRange?.period]);
-
-  useEffect(() => {
-    isMountedRef.current = true;
-    fetchBPData();
-
-    return () => {
-      isMountedRef.current = false;
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-    };
-  }, [fetchBPData]);
-
   const processBPData = useCallback((data) => {
     if (!data || data.length === 0 || isDailyBPRow(data[0])) return [];
 
@@ -831,6 +730,7 @@ const BloodPressureDataComponent = ({ darkMode, onBloodPressureDataUpdate, selec
             <p className={`text-xs mt-0.5 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
               {dateRangeDisplay}
             </p>
+            <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
           </div>
         </div>
         <div className="flex items-center gap-2">
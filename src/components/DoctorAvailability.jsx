@@ -1,8 +1,34 @@
-import React, { useState } from 'react';
-import { Calendar, Clock, X, Plus, AlertCircle, CheckCircle } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { Calendar, Clock, X, Plus, AlertCircle, CheckCircle, Repeat, CalendarOff, Eye } from 'lucide-react';
 import { createDoctorAvailability } from '../lib/api';
+import useAvailabilityTemplates from '../hooks/useAvailabilityTemplates';
+import WeeklyHoursEditor from './appointments/WeeklyHoursEditor';
+import TimeOffEditor from './appointments/TimeOffEditor';
+import { previewSlots } from '../utils/availabilitySlots';
+import { toDateKey } from '../utils/medicationSchedule';
 
-const DoctorAvailability = ({ darkMode, onClose }) => {
+const EMPTY = [];
+
+const TABS = [
+  { id: 'weekly', label: 'Weekly hours', icon: Repeat },
+  { id: 'timeoff', label: 'Time off', icon: CalendarOff },
+  { id: 'date', label: 'Single date', icon: Calendar },
+];
+
+const PREVIEW_DAYS = 14;
+
+/**
+ * A doctor's bookable hours: weekly recurring templates, holidays and leave,
+ * and one-off dates, with a preview of the slots patients will be offered.
+ * `availabilities` are the doctor's existing one-off windows; `onSaved` runs
+ * after any change so the caller can refresh its schedule.
+ */
+const DoctorAvailability = ({ darkMode, onClose, onSaved, availabilities = EMPTY }) => {
+  const [tab, setTab] = useState('weekly');
+  const {
+    templates, exceptions, loading: loadingTemplates, error: templatesError,
+    saveTemplate, removeTemplate, addException, removeException,
+  } = useAvailabilityTemplates();
   const [formData, setFormData] = useState({
     available_date: '',
     start_time: '09:00',
@@ -30,6 +56,7 @@ const DoctorAvailability = ({ darkMode, onClose }) => {
     try {
       await createDoctorAvailability(formData);
       setSuccess(true);
+      onSaved?.();
       // Reset form after successful submission
       setFormData({
         available_date: '',
@@ -63,9 +90,20 @@ const DoctorAvailability = ({ darkMode, onClose }) => {
     return options;
   };
 
+  const withRefresh = (action) => async (...args) => {
+    const result = await action(...args);
+    onSaved?.();
+    return result;
+  };
+
+  const preview = useMemo(
+    () => previewSlots({ templates, exceptions, availabilities }, new Date(), PREVIEW_DAYS),
+    [templates, exceptions, availabilities]
+  );
+
   return (
-    <div className={`fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50`}>
-      <div className={`relative ${darkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg p-6 w-full max-w-md mx-4`}>
+    <div className={`fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4`}>
+      <div className={`relative ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-800'} rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto`}>
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-xl font-semibold">Set Your Availability</h3>
           <button
@@ -76,6 +114,89 @@ const DoctorAvailability = ({ darkMode, onClose }) => {
           </button>
         </div>
 
+        <div className={`flex gap-1 mb-4 p-1 rounded-lg ${darkMode ? 'bg-gray-900' : 'bg-gray-100'}`}>
+          {TABS.map(({ id, label, icon }) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setTab(id)}
+              className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-md text-sm font-medium ${tab === id
+                ? darkMode ? 'bg-gray-700 text-white' : 'bg-white text-gray-900 shadow'
+                : darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'
+                }`}
+            >
+              {React.createElement(icon, { className: 'w-4 h-4' })}
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab !== 'date' && loadingTemplates && (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-500"></div>
+          </div>
+        )}
+
+        {tab !== 'date' && templatesError && (
+          <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md flex items-center">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {templatesError}
+          </div>
+        )}
+
+        {tab === 'weekly' && !loadingTemplates && (
+          <WeeklyHoursEditor
+            templates={templates}
+            onSave={withRefresh(saveTemplate)}
+            onRemove={withRefresh(removeTemplate)}
+            darkMode={darkMode}
+          />
+        )}
+
+        {tab === 'timeoff' && !loadingTemplates && (
+          <TimeOffEditor
+            exceptions={exceptions}
+            onAdd={withRefresh(addException)}
+            onRemove={withRefresh(removeException)}
+            darkMode={darkMode}
+          />
+        )}
+
+        {tab === 'date' && renderSingleDateForm()}
+
+        {!loadingTemplates && (
+          <div className={`mt-6 pt-4 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <h4 className="flex items-center gap-2 font-semibold mb-3">
+              <Eye className="w-4 h-4" />
+              What patients will see (next {PREVIEW_DAYS} days)
+            </h4>
+            {preview.length === 0 ? (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                No bookable slots in the next {PREVIEW_DAYS} days.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {preview.map(({ date, slots }) => (
+                  <div key={date} className="flex items-start gap-3 text-sm">
+                    <span className={`w-28 shrink-0 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      {new Date(`${date}T00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </span>
+                    <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>
+                      {slots.length} slots · {slots[0].time}–{slots[slots.length - 1].time}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  function renderSingleDateForm() {
+    return (
+      <>
         {error && (
           <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md flex items-center">
             <AlertCircle className="w-5 h-5 mr-2" />
@@ -104,7 +225,7 @@ const DoctorAvailability = ({ darkMode, onClose }) => {
                 name="available_date"
                 value={formData.available_date}
                 onChange={handleChange}
-                min={new Date().toISOString().split('T')[0]}
+                min={toDateKey(new Date())}
                 className={`block w-full pl-10 p-2 border rounded-md ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'border-gray-300'}`}
                 required
               />
@@ -196,9 +317,9 @@ const DoctorAvailability = ({ darkMode, onClose }) => {
             </button>
           </div>
         </form>
-      </div>
-    </div>
-  );
+      </>
+    );
+  }
 };
 
 export default DoctorAvailability;
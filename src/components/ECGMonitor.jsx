@@ -1,5 +1,10 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Activity, Heart, Clock, FileText, X, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Activity, Heart, Clock, FileText, X, AlertCircle, History, Download } from 'lucide-react';
+import { saveEcgSession, updateEcgSessionNotes } from '../lib/api';
+import { getAccessToken } from '../lib/tokenManager';
+import { WS_BASE_URL } from '../config/api';
+import { downloadEcgCsv, downloadEcgPdf, drawEcgTrace } from '../utils/ecgSession';
+import ECGSessionHistory from './ecg/ECGSessionHistory';
 
 const ECGMonitor = ({
   isOpen,
@@ -20,11 +25,24 @@ const ECGMonitor = ({
   const [duration, setDuration] = useState(0);
   const [clinicalNotes, setClinicalNotes] = useState('');
   const [ecgSummary, setEcgSummary] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
+  const [savedSessionId, setSavedSessionId] = useState(null);
+  const [notesMessage, setNotesMessage] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
   const wsRef = useRef(null);
   const doctorIdRef = useRef(null);
   const autoRequestSentRef = useRef(false);
   const durationIntervalRef = useRef(null);
   const requestIdRef = useRef(null);
+  // Full recording of the current session; ecgData only keeps the visible window
+  const recordingRef = useRef(null);
+  const clinicalNotesRef = useRef('');
+  // Notes saved while the recording itself is still being saved; sent once it has an id
+  const pendingNotesRef = useRef(null);
+
+  useEffect(() => {
+    clinicalNotesRef.current = clinicalNotes;
+  }, [clinicalNotes]);
 
   const formatDuration = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -42,12 +60,79 @@ const ECGMonitor = ({
     return () => { if (durationIntervalRef.current) clearInterval(durationIntervalRef.current); };
   }, [ecgRequestStatus]);
 
+  const startRecording = () => {
+    recordingRef.current = {
+      startedAt: new Date().toISOString(),
+      samples: [],
+      heartRates: [],
+      sampleRate: null,
+      summary: null,
+      saved: false,
+    };
+  };
+
+  const buildSessionPayload = useCallback((status) => {
+    const recording = recordingRef.current;
+    return {
+      patient_id: selectedPatient?.id,
+      request_id: requestIdRef.current,
+      started_at: recording.startedAt,
+      ended_at: recording.endedAt || new Date().toISOString(),
+      sample_rate: recording.sampleRate,
+      samples: recording.samples,
+      heart_rate_series: recording.heartRates,
+      ecg_summary: recording.summary,
+      clinical_notes: clinicalNotesRef.current,
+      status,
+    };
+  }, [selectedPatient]);
+
+  // Save the whole recording once; 'incomplete' is used when the monitor is closed mid-stream
+  const persistRecording = useCallback(async (status) => {
+    const recording = recordingRef.current;
+    if (!recording || recording.saved || !selectedPatient?.id) return;
+    if (status === 'incomplete' && recording.samples.length === 0) return;
+    recording.saved = true;
+    recording.endedAt = recording.endedAt || new Date().toISOString();
+    setSaveStatus('saving');
+    const payload = buildSessionPayload(status);
+    try {
+      const saved = await saveEcgSession(payload);
+      const current = recordingRef.current === recording;
+      if (current) {
+        setSavedSessionId(saved.id);
+        setSaveStatus('saved');
+      }
+      const pendingNotes = pendingNotesRef.current;
+      pendingNotesRef.current = null;
+      if (pendingNotes != null && pendingNotes !== payload.clinical_notes) {
+        try {
+          await updateEcgSessionNotes(saved.id, pendingNotes);
+          if (current) setNotesMessage('Notes saved.');
+        } catch (err) {
+          if (current) setNotesMessage(err.message || 'Failed to save clinical notes');
+        }
+      } else if (pendingNotes != null && current) {
+        setNotesMessage('Notes saved.');
+      }
+    } catch (err) {
+      console.error('Failed to save ECG session:', err);
+      recording.saved = false;
+      if (recordingRef.current === recording) {
+        setSaveStatus('error');
+        // The retry sends the current notes with the recording
+        if (pendingNotesRef.current != null) setNotesMessage('Notes will be saved when the recording is saved.');
+      }
+      pendingNotesRef.current = null;
+    }
+  }, [selectedPatient, buildSessionPayload]);
+
   useEffect(() => {
     if (!isOpen) return;
-    const token = localStorage.getItem('access_token');
+    const token = getAccessToken();
     if (!token) { setError('No access token available. Please log in.'); return; }
     setConnectionStatus('connecting');
-    const ws = new WebSocket(`wss://jeewanjyoti-backend.smart.org.np/ws/ecg/?token=${token}`);
+    const ws = new WebSocket(`${WS_BASE_URL}/ws/ecg/?token=${token}`);
     wsRef.current = ws;
 
     ws.onmessage = (event) => {
@@ -87,6 +172,7 @@ const ECGMonitor = ({
             if (data.request_id === requestIdRef.current) {
               if (data.status === 'accepted') {
                 setEcgRequestStatus('accepted');
+                startRecording();
                 if (onRequestAccepted) onRequestAccepted();
 
                 // Send join_live_session using user_id from the acceptance payload
@@ -116,13 +202,22 @@ const ECGMonitor = ({
 
           // ── Step 5: Live ECG data streaming (multiple times per second) ──
           case 'live_ecg_data':
+            if (!recordingRef.current) startRecording();
+            if (data.data?.sampleRate || data.data?.sample_rate) {
+              recordingRef.current.sampleRate = data.data.sampleRate || data.data.sample_rate;
+            }
             if (data.data?.voltage) {
+              recordingRef.current.samples.push(...data.data.voltage);
               // voltage is an array of samples per message — flatten into points
               const points = data.data.voltage.map(v => ({ value: v }));
               setEcgData(prev => [...prev.slice(-500), ...points]);
             }
             if (data.data?.heartRate != null) {
               setHeartRate(data.data.heartRate);
+              recordingRef.current.heartRates.push({
+                t: (Date.now() - Date.parse(recordingRef.current.startedAt)) / 1000,
+                bpm: data.data.heartRate,
+              });
             }
             // Also set status to accepted if we receive live data (in case join_live_session was missed)
             setEcgRequestStatus(prev => prev !== 'completed' ? 'accepted' : prev);
@@ -134,6 +229,10 @@ const ECGMonitor = ({
               setEcgSummary(data.ecg_summary);
               setEcgRequestStatus('completed');
               if (durationIntervalRef.current) clearInterval(durationIntervalRef.current);
+              if (!recordingRef.current) startRecording();
+              recordingRef.current.summary = data.ecg_summary;
+              recordingRef.current.endedAt = new Date().toISOString();
+              persistRecording('completed');
             }
             break;
 
@@ -151,7 +250,7 @@ const ECGMonitor = ({
       autoRequestSentRef.current = false;
       if (wsRef.current) wsRef.current.close();
     };
-  }, [isOpen, selectedPatient, onRequestSent, onRequestAccepted, onRequestRejected]);
+  }, [isOpen, selectedPatient, onRequestSent, onRequestAccepted, onRequestRejected, persistRecording]);
 
   const sendEcgRequest = () => {
     if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) { setError('WebSocket not connected'); return; }
@@ -165,6 +264,9 @@ const ECGMonitor = ({
   };
 
   const handleClose = () => {
+    // Keep whatever was streamed before the monitor was closed
+    persistRecording('incomplete');
+    recordingRef.current = null;
     autoRequestSentRef.current = false;
     if (wsRef.current) wsRef.current.close();
     setConnectionStatus('disconnected');
@@ -177,12 +279,43 @@ const ECGMonitor = ({
     setHeartRate(null);
     setHrVariability(null);
     setEcgSummary(null);
+    setSaveStatus('idle');
+    setSavedSessionId(null);
+    setClinicalNotes('');
+    setNotesMessage(null);
+    setShowHistory(false);
     if (onClose) onClose();
   };
 
-  const handleSaveNotes = () => {
-    console.log('Saving clinical notes:', clinicalNotes);
-    alert('Clinical notes saved successfully!');
+  const handleSaveNotes = async () => {
+    if (saveStatus === 'saving') {
+      pendingNotesRef.current = clinicalNotes;
+      setNotesMessage('Saving the recording… notes will be saved with it.');
+      return;
+    }
+    if (!savedSessionId) {
+      if (ecgRequestStatus === 'completed') {
+        // The recording failed to save earlier; notes go with the retry
+        persistRecording('completed');
+      } else {
+        setNotesMessage('Notes will be saved with the recording when the session ends.');
+      }
+      return;
+    }
+    setNotesMessage('Saving…');
+    try {
+      await updateEcgSessionNotes(savedSessionId, clinicalNotes);
+      setNotesMessage('Notes saved.');
+    } catch (err) {
+      setNotesMessage(err.message || 'Failed to save clinical notes');
+    }
+  };
+
+  const handleDownload = (format) => {
+    if (!recordingRef.current) return;
+    const session = buildSessionPayload(savedSessionId ? 'completed' : 'incomplete');
+    if (format === 'pdf') downloadEcgPdf(session, selectedPatient?.name);
+    else downloadEcgCsv(session, selectedPatient?.name);
   };
 
   if (!isOpen) return null;
@@ -197,44 +330,7 @@ const ECGMonitor = ({
       const ctx = canvas.getContext('2d');
       const W = canvas.width, H = canvas.height;
 
-      ctx.clearRect(0, 0, W, H);
-
-      // Grid
-      ctx.lineWidth = 1;
-      ctx.strokeStyle = 'rgba(0,200,100,0.07)';
-      for (let x = 0; x <= W; x += 40) { ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke(); }
-      for (let y = 0; y <= H; y += 25) { ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke(); }
-      ctx.strokeStyle = 'rgba(0,200,100,0.13)';
-      for (let x = 0; x <= W; x += 200) { ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke(); }
-      for (let y = 0; y <= H; y += 50) { ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke(); }
-
-      // Plot voltage values from live_ecg_data → data.voltage array
-      const values = ecgData.map(d => d.value ?? 0);
-      const min = Math.min(...values);
-      const max = Math.max(...values);
-      const range = max - min || 1;
-
-      ctx.beginPath();
-      ctx.strokeStyle = '#00ff64';
-      ctx.lineWidth = 2;
-      ctx.shadowColor = '#00ff64';
-      ctx.shadowBlur = 8;
-
-      values.forEach((v, i) => {
-        const x = (i / (values.length - 1)) * W;
-        const y = H - ((v - min) / range) * (H * 0.8) - H * 0.1;
-        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
-      });
-      ctx.stroke();
-
-      // Leading dot at latest sample
-      const lastY = H - ((values[values.length - 1] - min) / range) * (H * 0.8) - H * 0.1;
-      ctx.beginPath();
-      ctx.arc(W - 2, lastY, 4, 0, Math.PI * 2);
-      ctx.fillStyle = '#00ff64';
-      ctx.shadowBlur = 20;
-      ctx.fill();
-      ctx.shadowBlur = 0;
+      drawEcgTrace(ctx, ecgData.map(d => d.value ?? 0), { width: W, height: H });
     }, [ecgData]);
 
     return (
@@ -509,6 +605,15 @@ const ECGMonitor = ({
                 }} />
               ))}
             </div>
+            {selectedPatient?.id && (
+              <button
+                style={{ ...s.saveBtn, display: 'flex', alignItems: 'center', gap: '5px', padding: '7px 12px' }}
+                className="ecg-save-btn"
+                onClick={() => setShowHistory(prev => !prev)}
+              >
+                <History size={12} />{showHistory ? 'Monitor' : 'History'}
+              </button>
+            )}
             <button style={s.closeBtn} className="ecg-close-btn" onClick={handleClose}>
               <X size={15} />
             </button>
@@ -518,6 +623,11 @@ const ECGMonitor = ({
         {/* ── Content ── */}
         <div style={s.content}>
 
+          {/* Saved recordings replace the live views; streaming keeps recording underneath */}
+          {showHistory && <ECGSessionHistory patient={selectedPatient} darkMode={darkMode} />}
+
+          {!showHistory && <>
+
           {/* Status Bar */}
           <div style={s.statusBar}>
             <div style={{ display: 'flex', alignItems: 'center' }}>
@@ -599,6 +709,7 @@ const ECGMonitor = ({
                   style={s.textarea}
                   className="ecg-textarea"
                 />
+                {notesMessage && <div style={{ ...s.completedBannerSub, marginTop: '6px' }}>{notesMessage}</div>}
               </div>
             </div>
           )}
@@ -650,7 +761,21 @@ const ECGMonitor = ({
                 </div>
                 <div>
                   <div style={s.completedBannerText}>ECG Recording Complete</div>
-                  <div style={s.completedBannerSub}>Session ended · Summary data received from patient device</div>
+                  <div style={s.completedBannerSub}>
+                    Session ended · {{
+                      saving: 'Saving recording…',
+                      saved: 'Recording saved to patient history',
+                      error: 'Recording could not be saved',
+                    }[saveStatus] || 'Summary data received from patient device'}
+                    {saveStatus === 'error' && (
+                      <button
+                        onClick={() => persistRecording('completed')}
+                        style={{ marginLeft: '6px', background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: '#ef4444', fontSize: '11px', textDecoration: 'underline', fontFamily: 'inherit' }}
+                      >
+                        Retry
+                      </button>
+                    )}
+                  </div>
                 </div>
               </div>
 
@@ -663,7 +788,9 @@ const ECGMonitor = ({
                       Lead II · Recorded
                     </span>
                     <div style={{ ...s.livePill, background: darkMode ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)', border: darkMode ? '1px solid rgba(255,255,255,0.1)' : '1px solid rgba(0,0,0,0.1)' }}>
-                      <span style={{ ...s.liveText, color: darkMode ? '#6b7280' : '#9ca3af' }}>Saved</span>
+                      <span style={{ ...s.liveText, color: darkMode ? '#6b7280' : '#9ca3af' }}>
+                        {{ saving: 'Saving', saved: 'Saved', error: 'Not Saved' }[saveStatus] || 'Recorded'}
+                      </span>
                     </div>
                   </div>
                   <div style={{ padding: '12px' }}>
@@ -710,10 +837,19 @@ const ECGMonitor = ({
                   style={s.textarea}
                   className="ecg-textarea"
                 />
+                {notesMessage && <div style={{ ...s.completedBannerSub, marginTop: '6px' }}>{notesMessage}</div>}
               </div>
 
-              {/* Close button */}
+              {/* Export + close */}
               <div style={{ ...s.btnRow, marginTop: '16px' }}>
+                {ecgData.length > 0 && <>
+                  <button style={{ ...s.btnPrimary, display: 'flex', alignItems: 'center', gap: '5px' }} className="ecg-btn-primary" onClick={() => handleDownload('csv')}>
+                    <Download size={12} />CSV
+                  </button>
+                  <button style={{ ...s.btnPrimary, display: 'flex', alignItems: 'center', gap: '5px' }} className="ecg-btn-primary" onClick={() => handleDownload('pdf')}>
+                    <FileText size={12} />PDF Strip
+                  </button>
+                </>}
                 <button style={s.btnSecondary} className="ecg-btn-secondary" onClick={handleClose}>Close</button>
               </div>
             </div>
@@ -738,6 +874,7 @@ const ECGMonitor = ({
               </div>
             </div>
           )}
+          </>}
 
         </div>
       </div>
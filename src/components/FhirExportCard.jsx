@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileHeart, Loader2 } from 'lucide-react';
+import { FHIR_EXPORT_RANGES, loadHealthRecord, buildFhirBundle, downloadFhirBundle } from '../lib/fhirExport';
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+const FAILED_LABELS = {
+  heartRate: 'heart rate',
+  spo2: 'SpO2',
+  bloodPressure: 'blood pressure',
+  hrv: 'HRV',
+  activity: 'steps',
+  sleep: 'sleep',
+  medications: 'medications',
+};
+
+/**
+ * Settings section that downloads a user's profile, vitals and medications as
+ * a FHIR R4 Bundle (JSON) for a chosen window. `userId` is null for yourself.
+ */
+const FhirExportCard = ({ darkMode, userId = null }) => {
+  // A range id from FHIR_EXPORT_RANGES, or 'date' for a single day
+  const [period, setPeriod] = useState('7d');
+  const [date, setDate] = useState(todayKey());
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleExport = async () => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setExporting(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const params = period === 'date' ? { userId, date } : { userId, range: period };
+      const { profile, vitals, medications, failed } = await loadHealthRecord(params, { signal: controller.signal });
+      const bundle = buildFhirBundle({ profile, vitals, medications });
+      const name = [profile.first_name, profile.last_name].filter(Boolean).join(' ');
+      downloadFhirBundle(bundle, { name, period: period === 'date' ? date : period });
+      const count = bundle.entry.length - 1;
+      setNotice(failed.length
+        ? `Exported ${count} records. Could not load ${failed.map((f) => FAILED_LABELS[f] || f).join(', ')}.`
+        : `Exported ${count} records.`);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error exporting health record:', err);
+      setError(err.message || 'Failed to export health record');
+    } finally {
+      if (abortRef.current === controller) setExporting(false);
+    }
+  };
+
+  const field = `px-3 py-2 rounded-lg border text-sm ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`p-4 rounded-xl border mb-4 ${darkMode ? 'bg-emerald-900/10 border-emerald-900' : 'bg-emerald-50/50 border-emerald-200'}`}>
+      <div className="flex items-center gap-3 mb-3">
+        <div className={`${darkMode ? 'bg-emerald-800' : 'bg-emerald-100'} p-2 rounded-lg`}>
+          <FileHeart className={`${darkMode ? 'text-emerald-300' : 'text-emerald-600'} w-5 h-5`} />
+        </div>
+        <div>
+          <h4 className={`${darkMode ? 'text-emerald-200' : 'text-emerald-800'} font-semibold text-sm md:text-base`}>Export health record</h4>
+          <p className={`${darkMode ? 'text-emerald-300' : 'text-emerald-600'} text-xs md:text-sm`}>
+            Download your profile, vitals and medications as a FHIR R4 file to share with a clinic or health app
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} disabled={exporting} className={field}>
+          {FHIR_EXPORT_RANGES.map((range) => (
+            <option key={range.id} value={range.id}>{range.label}</option>
+          ))}
+          <option value="date">A specific day</option>
+        </select>
+        {period === 'date' && (
+          <input
+            type="date"
+            max={todayKey()}
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            disabled={exporting}
+            className={field}
+          />
+        )}
+        <button
+          onClick={handleExport}
+          disabled={exporting || (period === 'date' && !date)}
+          className={`${darkMode ? 'bg-emerald-800 text-emerald-200 hover:bg-emerald-700' : 'bg-emerald-600 text-white hover:bg-emerald-700'} px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed`}
+        >
+          {exporting && <Loader2 className="w-4 h-4 animate-spin" />}
+          {exporting ? 'Preparing...' : 'Download FHIR JSON'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+      {notice && <p className={`text-xs mt-2 ${darkMode ? 'text-emerald-300' : 'text-emerald-700'}`}>{notice}</p>}
+    </div>
+  );
+};
+
+export default FhirExportCard;
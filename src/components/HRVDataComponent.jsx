@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { LineChart, Line, ResponsiveContainer, XAxis, YAxis, CartesianGrid, Tooltip, Area, AreaChart, ReferenceLine } from 'recharts';
 import { Zap, TrendingUp, AlertCircle, RefreshCw, Activity, Clock, Eye, EyeOff, TrendingDown, Minus } from 'lucide-react';
-import { getHRVData } from '../lib/api';
 import DataModal from './ui/Modal';
 import DayDrillDownBanner from './vitals/DayDrillDownBanner';
 import { useVitalLocalDateRange } from '../hooks/useVitalLocalDateRange';
+import { useVitalsQuery } from '../hooks/useVitalsQuery';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
 import { isDayDrillDown } from '../utils/vitalDateRange';
 
 function isDailyHRVRow(row) {
@@ -668,89 +669,21 @@ function MultiDayBarPreview({ data, darkMode, onDayClick }) {
   );
 }
 
+const sortHRVRecords = (records) =>
+  records.sort((a, b) => new Date(a.day || a.date) - new Date(b.day || b.date));
+
 const HRVDataComponent = ({ darkMode, onHRVDataUpdate, selectedUserId, dateRange }) => {
-  const [hrvData, setHrvData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [sliderPosition, setSliderPosition] = useState(100);
   const { localDateRange, setLocalDateRange, drillToDay, exitDayDrill } = useVitalLocalDateRange(dateRange);
   const [spiralProgress, setSpiralProgress] = useState(0);
   const spiralRafRef = useRef(null);
 
-  const cacheRef = useRef(new Map());
-  const abortControllerRef = useRef(null);
-  const isMountedRef = useRef(true);
-
-  const formatDateForAPI = (date) => {
-    if (!date) return null;
-    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
-    return new Date(date).toISOString().split('T')[0];
-  };
-
-  const fetchHRVData = useCallback(async () => {
-    if (abortControllerRef.current) abortControllerRef.current.abort();
-    abortControllerRef.current = new AbortController();
-
-    try {
-      setLoading(true);
-      setError(null);
-
-      let range = null, cacheKey;
-      let date = null;
-
-      if (localDateRange?.customRange && localDateRange?.date) {
-        date = formatDateForAPI(localDateRange.date);
-        cacheKey = `${selectedUserId || 'null'}-hrv-date-${date}`;
-      } else {
-        if (localDateRange?.period === 'today') range = '24h';
-        else if (localDateRange?.period === 'week') range = '7d';
-        else if (localDateRange?.period === 'month') range = '30d';
-        else range = '24h';
-        cacheKey = `${selectedUserId || 'null'}-hrv-${range}`;
-      }
-
-      if (cacheRef.current.has(cacheKey)) {
-        const cachedData = cacheRef.current.get(cacheKey);
-        if (Date.now() - cachedData.timestamp < 5 * 60 * 1000) {
-          if (isMountedRef.current) {
-            setHrvData(cachedData.data);
-            if (onHRVDataUpdate) onHRVDataUpdate(cachedData.data);
-            setLoading(false);
-          }
-          return;
-        }
-      }
-
-      const data = await getHRVData(selectedUserId, date, range);
-      if (!isMountedRef.current || abortControllerRef.current.signal.aborted) return;
-
-      if (data && data.length > 0) {
-        const sortedData = [...data].sort((a, b) => new Date(a.day || a.date) - new Date(b.day || b.date));
-        cacheRef.current.set(cacheKey, { data: sortedData, timestamp: Date.now() });
-        if (isMountedRef.current) {
-          setHrvData(sortedData);
-          if (onHRVDataUpdate) onHRVDataUpdate(sortedData);
-        }
-      } else {
-        if (isMountedRef.current) { setHrvData([]); if (onHRVDataUpdate) onHRVDataUpdate([]); }
-      }
-    } catch (error) {
-      if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || !isMountedRef.current) return;
-      if (isMountedRef.current) setError('Failed to load HRV data. Please try again.');
-    } finally {
-      if (isMountedRef.current && !abortControllerRef.current?.signal.aborted) setLoading(false);
-    }
-  }, [selectedUserId, onHRVDataUpdate, localDateRange?.date, localDateRange?.customRange, localDateRange?.period]);
-
-  useEffect(() => {
-    isMountedRef.current = true;
-    fetchHRVData();
-    return () => {
-      isMountedRef.current = false;
-      if (abortControllerRef.current) abortControllerRef.current.abort();
-    };
-  }, [fetchHRVData]);
+  const { data: hrvData, loading, error, syncedAt, refetch: fetchHRVData } = useVitalsQuery('hrv', selectedUserId, localDateRange, {
+    select: sortHRVRecords,
+    onData: onHRVDataUpdate,
+    errorMessage: 'Failed to load HRV data. Please try again.',
+  });
 
   const processHRVData = useCallback((data) => {
     if (!data || data.length === 0 || isDailyHRVRow(data[0])) return [];
@@ -947,6 +880,7 @@ const HRVDataComponent = ({ darkMode, onHRVDataUpdate, selectedUserId, dateRange
             <p className="text-xs mt-0.5" style={{ color: darkMode ? 'rgba(255,255,255,0.35)' : 'rgba(0,0,0,0.35)' }}>
               {dateRangeDisplay}
             </p>
+            <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
           </div>
         </div>
 
@@ -8,150 +8,58 @@ import {
   Heart, TrendingUp, AlertCircle, RefreshCw, Activity,
   Clock, Zap, Calendar, CheckCircle2, AlertTriangle
 } from 'lucide-react';
-import { getHeartRateData, getDailyHeartRateData } from '../lib/api';
 import DataModal from './ui/Modal';
 import DayDrillDownBanner from './vitals/DayDrillDownBanner';
 import { useVitalLocalDateRange } from '../hooks/useVitalLocalDateRange';
+import { useVitalsQuery } from '../hooks/useVitalsQuery';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
 import { isDayDrillDown, isMultidayPeriod, buildPeriodFilterRange } from '../utils/vitalDateRange';
  
 const WINDOW_SIZE = 300;
  
 const DAILY_CHART_HEIGHT = 208;
 const LIVE_CHART_HEIGHT = 200;
+
+const EMPTY_ROWS = [];
+const sortDailyHeartRate = (rows) => rows.sort((a, b) => new Date(a.day) - new Date(b.day));
+const sortHeartRateReadings = (rows) => rows.sort((a, b) => new Date(a.date) - new Date(b.date));
  
 const HeartRateDataComponent = ({ darkMode, onHeartRateDataUpdate, selectedUserId, dateRange }) => {
-  const [heartRateData, setHeartRateData] = useState([]);
-  const [dailyData, setDailyData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [sliderPosition, setSliderPosition] = useState(100);
   const [draftPosition, setDraftPosition] = useState(100);
   const { localDateRange, setLocalDateRange, drillToDay, exitDayDrill } = useVitalLocalDateRange(dateRange);
 
-  const cacheRef = useRef(new Map());
-  const abortControllerRef = useRef(null);
-  const isMountedRef = useRef(true);
   const sliderTimerRef = useRef(null);
 
   const isDailyView = useMemo(() => {
     if (isDayDrillDown(localDateRange)) return false;
     return isMultidayPeriod(localDateRange);
   }, [localDateRange]);
- 
-  const formatDateForAPI = (date) => {
-    if (!date) return null;
-    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
-    return new Date(date).toISOString().split('T')[0];
-  };
- 
-  const fetchHeartRateData = useCallback(async () => {
-    if (abortControllerRef.current) abortControllerRef.current.abort();
-    abortControllerRef.current = new AbortController();
- 
-    try {
-      setLoading(true);
-      setError(null);
- 
-      let date = null, range = null, cacheKey;
- 
-      if (localDateRange?.customRange && localDateRange?.date) {
-        date = formatDateForAPI(localDateRange.date);
-        cacheKey = `${selectedUserId || 'null'}-date-${date}`;
-      } else {
-        range = localDateRange?.period === 'week' ? '7d'
-          : localDateRange?.period === 'month' ? '30d'
-            : '24h';
-        cacheKey = `${selectedUserId || 'null'}-${range}`;
-      }
- 
-      if (range === '7d' || range === '30d') {
-        const dailyCacheKey = `daily-${cacheKey}`;
-        if (cacheRef.current.has(dailyCacheKey)) {
-          const cached = cacheRef.current.get(dailyCacheKey);
-          if (Date.now() - cached.timestamp < 5 * 60 * 1000) {
-            if (isMountedRef.current) {
-              setHeartRateData([]);
-              setDailyData(cached.data);
-              onHeartRateDataUpdate(cached.data);
-              setLoading(false);
-            }
-            return;
-          }
-        }
 
-        const data = await getDailyHeartRateData(selectedUserId, range);
-        if (!isMountedRef.current || abortControllerRef.current.signal.aborted) return;
- 
-        if (data?.results?.length) {
-          const sorted = [...data.results].sort((a, b) => new Date(a.day) - new Date(b.day));
-          cacheRef.current.set(dailyCacheKey, { data: sorted, timestamp: Date.now() });
-          if (isMountedRef.current) {
-            setHeartRateData([]);
-            setDailyData(sorted);
-            onHeartRateDataUpdate(sorted);
-          }
-        } else {
-          if (isMountedRef.current) {
-            setHeartRateData([]);
-            setDailyData([]);
-            onHeartRateDataUpdate([]);
-          }
-        }
-        return;
-      }
- 
-      if (cacheRef.current.has(cacheKey)) {
-        const cached = cacheRef.current.get(cacheKey);
-        if (Date.now() - cached.timestamp < 5 * 60 * 1000) {
-          if (isMountedRef.current) {
-            setHeartRateData(cached.data);
-            onHeartRateDataUpdate(cached.data);
-            setLoading(false);
-          }
-          return;
-        }
-      }
- 
-      const data = await getHeartRateData(selectedUserId, date, range);
-      if (!isMountedRef.current || abortControllerRef.current.signal.aborted) return;
- 
-      if (data?.length) {
-        const sorted = data.sort((a, b) => new Date(a.date) - new Date(b.date));
-        cacheRef.current.set(cacheKey, { data: sorted, timestamp: Date.now() });
-        if (isMountedRef.current) {
-          setDailyData([]);
-          setHeartRateData(sorted);
-          onHeartRateDataUpdate(sorted);
-          setSliderPosition(100);
-          setDraftPosition(100);
-        }
-      } else {
-        if (isMountedRef.current) {
-          setDailyData([]);
-          setHeartRateData([]);
-          onHeartRateDataUpdate([]);
-        }
-      }
-    } catch (err) {
-      if (err.name === 'AbortError' || err.code === 'ERR_CANCELLED' || !isMountedRef.current) return;
-      if (isMountedRef.current) setError('Failed to load heart rate data. Please try again.');
-    } finally {
-      if (isMountedRef.current && !abortControllerRef.current?.signal.aborted) setLoading(false);
+  const handleHeartRateData = useCallback((data) => {
+    onHeartRateDataUpdate(data);
+    if (!isDailyView) {
+      setSliderPosition(100);
+      setDraftPosition(100);
     }
-  }, [selectedUserId, onHeartRateDataUpdate,
-    localDateRange?.date,
-    localDateRange?.customRange, localDateRange?.period]);
- 
-  useEffect(() => {
-    isMountedRef.current = true;
-    fetchHeartRateData();
-    return () => {
-      isMountedRef.current = false;
-      abortControllerRef.current?.abort();
-      clearTimeout(sliderTimerRef.current);
-    };
-  }, [fetchHeartRateData]);
+  }, [onHeartRateDataUpdate, isDailyView]);
+
+  // 7d / 30d ranges use the daily aggregate rows; today and drilled days use raw readings
+  const { data, loading, error, syncedAt, refetch: fetchHeartRateData } = useVitalsQuery(
+    isDailyView ? 'heartRateDaily' : 'heartRate',
+    selectedUserId,
+    localDateRange,
+    {
+      select: isDailyView ? sortDailyHeartRate : sortHeartRateReadings,
+      onData: handleHeartRateData,
+      errorMessage: 'Failed to load heart rate data. Please try again.',
+    }
+  );
+  const heartRateData = isDailyView ? EMPTY_ROWS : data;
+  const dailyData = isDailyView ? data : EMPTY_ROWS;
+
+  useEffect(() => () => clearTimeout(sliderTimerRef.current), []);
  
   const allProcessed = useMemo(() => {
     if (!heartRateData?.length) return [];
@@ -538,6 +446,7 @@ const HeartRateDataComponent = ({ darkMode, onHeartRateDataUpdate, selectedUserI
           <div>
             <h3 className={`font-semibold text-sm md:text-base ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Heart Rate</h3>
             <p className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{dateRangeDisplay}</p>
+            <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
             {dateRange?.customRange && dateRange.date && (
               <div className="flex items-center gap-1 mt-1">
                 <Calendar className="w-3 h-3 text-blue-500" />
@@ -1,12 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { CreditCard, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { initializePayment as startKhaltiPayment, verifyPayment as confirmKhaltiPayment } from '../lib/api';
 
+/**
+ * Khalti checkout for an invoice. The component is shared by every kind of
+ * purchase, so callers must describe theirs: `title` and `description` head the
+ * dialog and `productName` is what Khalti shows the payer.
+ */
 const KhaltiPayment = ({ 
   invoiceNo, 
   amount, 
   onPaymentSuccess, 
   onPaymentError, 
   onCancel,
+  title,
+  description,
+  productName,
   darkMode = false 
 }) => {
   const [paymentStatus, setPaymentStatus] = useState('initializing'); // initializing, ready, processing, success, failed
@@ -14,8 +23,6 @@ const KhaltiPayment = ({
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
 
-  const API_BASE = import.meta.env.VITE_API_BASE_URL || 'https://103.118.16.251/api';
-
   // Initialize payment when component mounts
   useEffect(() => {
     initializePayment();
@@ -26,31 +33,12 @@ const KhaltiPayment = ({
       setLoading(true);
       setError(null);
       
-      const token = localStorage.getItem('access_token');
-      const response = await fetch(`${API_BASE}/initialize_payment/`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          invoice_no: invoiceNo,
-          amount: amount
-        })
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setPidx(data.pidx);
-        setPaymentStatus('ready');
-      } else {
-        const errorData = await response.json();
-        setError(errorData.detail || 'Failed to initialize payment');
-        setPaymentStatus('failed');
-      }
+      const data = await startKhaltiPayment(invoiceNo, amount);
+      setPidx(data.pidx);
+      setPaymentStatus('ready');
     } catch (err) {
       console.error('Error initializing payment:', err);
-      setError('Failed to initialize payment. Please try again.');
+      setError(err.details ? err.message : 'Failed to initialize payment. Please try again.');
       setPaymentStatus('failed');
     } finally {
       setLoading(false);
@@ -69,7 +57,7 @@ const KhaltiPayment = ({
     const config = {
       publicKey: import.meta.env.VITE_KHALTI_PUBLIC_KEY || "test_public_key_dc74e0fd57cb46cd93832aee0a390234",
       productIdentity: invoiceNo,
-      productName: `Appointment - ${invoiceNo}`,
+      productName,
       productUrl: window.location.origin,
       eventHandler: {
         onSuccess(payload) {
@@ -113,33 +101,14 @@ const KhaltiPayment = ({
     try {
       setLoading(true);
       
-      const token = localStorage.getItem('access_token');
-      const response = await fetch(`${API_BASE}/verify_payment/`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          invoice_no: invoiceNo,
-          pidx: payload.pidx
-        })
-      });
-
-      if (response.ok) {
-        setPaymentStatus('success');
-        onPaymentSuccess && onPaymentSuccess(payload);
-      } else {
-        const errorData = await response.json();
-        setError(errorData.detail || 'Payment verification failed');
-        setPaymentStatus('failed');
-        onPaymentError && onPaymentError(errorData);
-      }
+      await confirmKhaltiPayment(invoiceNo, payload.pidx);
+      setPaymentStatus('success');
+      onPaymentSuccess && onPaymentSuccess(payload);
     } catch (err) {
       console.error('Error verifying payment:', err);
-      setError('Payment verification failed. Please contact support.');
+      setError(err.details ? err.message : 'Payment verification failed. Please contact support.');
       setPaymentStatus('failed');
-      onPaymentError && onPaymentError(err);
+      onPaymentError && onPaymentError(err.details || err);
     } finally {
       setLoading(false);
     }
@@ -184,11 +153,11 @@ const KhaltiPayment = ({
         </div>
         
         <h3 className={`text-xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-          Payment Required
+          {title}
         </h3>
         
         <p className={`text-sm mb-4 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-          Complete your payment to confirm the appointment
+          {description}
         </p>
         
         <div className={`p-4 rounded-lg mb-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
@@ -0,0 +1,92 @@
+import React from 'react';
+import { CloudOff, Loader2, AlertCircle, RotateCcw, X } from 'lucide-react';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { OUTBOX_TYPES } from '../lib/offlineQueue';
+
+const ITEM_LABELS = {
+  [OUTBOX_TYPES.POST]: 'Post',
+  [OUTBOX_TYPES.POST_COMMENT]: 'Comment',
+  [OUTBOX_TYPES.CHALLENGE_COMMENT]: 'Challenge comment',
+  [OUTBOX_TYPES.CHAT_MESSAGE]: 'Chat message',
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const preview = (item) => {
+  const text = item.payload?.comment || item.payload?.message
+    || item.payload?.fields?.find(([name]) => name === 'summary')?.[1] || '';
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+};
+
+/**
+ * Dashboard-wide connection banner: says when cached vitals are shown offline,
+ * how many posts / comments / chat messages are queued, and lets the user retry
+ * or discard queued items the server rejected.
+ */
+const OfflineBanner = ({ darkMode }) => {
+  const { online, items, retry, discard } = useOfflineQueue();
+  const failed = items.filter((item) => item.error);
+  const pending = items.length - failed.length;
+
+  if (online && !items.length) return null;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 md:px-6 pt-4">
+      <div
+        className={`rounded-xl border px-4 py-3 text-sm ${
+          darkMode ? 'border-amber-500/30 bg-amber-500/10 text-amber-200' : 'border-amber-200 bg-amber-50 text-amber-800'
+        }`}
+        role="status"
+      >
+        {!online ? (
+          <div className="flex items-start gap-2">
+            <CloudOff className="w-4 h-4 mt-0.5 shrink-0" />
+            <p>
+              You're offline. Health data shows when it was last synced
+              {pending > 0 && `, and ${plural(pending, 'queued item')} will be sent once you're back online`}.
+            </p>
+          </div>
+        ) : pending > 0 && (
+          <div className="flex items-center gap-2">
+            <Loader2 className="w-4 h-4 animate-spin shrink-0" />
+            <p>Sending {plural(pending, 'item')} written while offline…</p>
+          </div>
+        )}
+
+        {failed.length > 0 && (
+          <ul className={`space-y-2 ${!online || pending > 0 ? 'mt-3' : ''}`}>
+            {failed.map((item) => (
+              <li key={item.id} className="flex items-start gap-2">
+                <AlertCircle className="w-4 h-4 mt-0.5 shrink-0 text-red-500" />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium">
+                    {ITEM_LABELS[item.type] || 'Item'} couldn't be sent: {item.error}
+                  </p>
+                  {preview(item) && <p className="text-xs opacity-80 truncate">“{preview(item)}”</p>}
+                </div>
+                <button
+                  onClick={() => retry(item.id)}
+                  className="p-1 rounded-md hover:bg-amber-500/20"
+                  aria-label="Retry"
+                  title="Retry"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => discard(item.id)}
+                  className="p-1 rounded-md hover:bg-amber-500/20"
+                  aria-label="Discard"
+                  title="Discard"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineBanner;
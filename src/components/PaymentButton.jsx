@@ -1,10 +1,10 @@
 import React from "react";
 import { initializePayment } from "../lib/api";
 
-const PaymentButton = ({ token, invoiceNo, amount }) => {
+const PaymentButton = ({ invoiceNo, amount }) => {
   const handlePayment = async () => {
     try {
-      const res = await initializePayment(token, invoiceNo, amount);
+      const res = await initializePayment(invoiceNo, amount);
       let pidx;
       if (res.data && res.data.pidx) {
         pidx = res.data.pidx;
@@ -16,7 +16,7 @@ const PaymentButton = ({ token, invoiceNo, amount }) => {
       const paymentUrl = `https://a.khalti.com/?pidx=${pidx}`;
       window.location.href = paymentUrl;
     } catch (err) {
-      console.error("Payment init error:", err.response?.data || err);
+      console.error("Payment init error:", err.details || err);
       alert("Payment initialization failed. Please try again.");
     }
   };
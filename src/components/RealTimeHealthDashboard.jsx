@@ -1,6 +1,26 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { X, Activity, Heart, Brain, Droplets, TrendingUp, Calendar, Clock } from "lucide-react";
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area } from "recharts";
+import useVitalsStream from "../hooks/useVitalsStream";
+import { getLatestMetrics, getMetricSeries, getFreshness, formatReadingAge } from "../utils/vitalsStream";
+
+// Reading ages on the cards are re-rendered this often
+const AGE_TICK_MS = 5000;
+const RECENT_READINGS_SHOWN = 20;
+
+const STREAM_LABELS = {
+  connecting: "Connecting...",
+  live: "Live",
+  reconnecting: "Reconnecting...",
+  offline: "Offline",
+};
+
+const FRESHNESS_STYLES = {
+  live: { dot: "bg-emerald-400", label: "Live" },
+  recent: { dot: "bg-amber-400", label: "Recent" },
+  stale: { dot: "bg-slate-400", label: "Stale" },
+  none: { dot: "bg-slate-500", label: "No data" },
+};
 
 function formatTimestamp(ts) {
   const date = new Date(ts * 1000);
@@ -10,11 +30,6 @@ function formatTimestamp(ts) {
   };
 }
 
-function getLatestData(data) {
-  if (!data || data.length === 0) return null;
-  return data.reduce((latest, curr) => (curr.timestamp > latest.timestamp ? curr : latest));
-}
-
 function StatusDot({ active }) {
   return (
     <span className="relative flex h-2.5 w-2.5">
@@ -26,8 +41,36 @@ function StatusDot({ active }) {
   );
 }
 
-function MetricCard({ icon, label, value, unit, sub, color, normal, darkMode }) {
-  const inRange = normal ? normal(value) : true;
+function Freshness({ timestamp, now, darkMode }) {
+  const freshness = getFreshness(timestamp, now);
+  const style = FRESHNESS_STYLES[freshness];
+  return (
+    <span
+      className={`flex items-center gap-1.5 text-[11px] ${darkMode ? "text-gray-500" : "text-gray-400"}`}
+      title={timestamp ? `${style.label} · ${formatTimestamp(timestamp).time}` : style.label}
+    >
+      <span className={`inline-flex rounded-full h-2 w-2 ${style.dot}`} />
+      {timestamp ? formatReadingAge(timestamp, now) : style.label}
+    </span>
+  );
+}
+
+function Sparkline({ series, color }) {
+  if (series.length < 2) return <div className="h-10" />;
+  return (
+    <div className="h-10 -mx-1">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={series}>
+          <YAxis domain={["dataMin - 2", "dataMax + 2"]} hide />
+          <Line type="monotone" dataKey="value" stroke={color} strokeWidth={2} dot={false} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function MetricCard({ icon, label, value, unit, sub, color, normal, timestamp, series, now, darkMode }) {
+  const inRange = normal && value != null ? normal(value) : true;
   return (
     <div
       className={`relative rounded-2xl p-5 flex flex-col gap-3 overflow-hidden ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-100'
@@ -70,12 +113,17 @@ function MetricCard({ icon, label, value, unit, sub, color, normal, darkMode })
         </span>
       </div>
 
-      {sub && <p className={`text-xs ${darkMode ? "text-gray-500" : "text-gray-400"}`}>{sub}</p>}
+      <Sparkline series={series} color={color} />
+
+      <div className="flex items-center justify-between gap-2">
+        {sub ? <p className={`text-xs ${darkMode ? "text-gray-500" : "text-gray-400"}`}>{sub}</p> : <span />}
+        <Freshness timestamp={timestamp} now={now} darkMode={darkMode} />
+      </div>
     </div>
   );
 }
 
-function BloodPressureCard({ systolic, diastolic, darkMode }) {
+function BloodPressureCard({ systolic, diastolic, timestamp, series, now, darkMode }) {
   const map = systolic && diastolic ? Math.round((systolic + 2 * diastolic) / 3) : null;
   const inRange = systolic < 130 && diastolic < 85;
   return (
@@ -106,7 +154,7 @@ function BloodPressureCard({ systolic, diastolic, darkMode }) {
           <span className="text-3xl font-bold tabular-nums" style={{
             color: "#c084fc",
             fontFamily: "'Courier New', monospace"
-          }}>{systolic}</span>
+          }}>{systolic ?? "—"}</span>
         </div>
         <span className={`text-2xl font-thin ${darkMode ? "text-gray-600" : "text-gray-300"}`}>/</span>
         <div className="flex flex-col">
@@ -114,75 +162,51 @@ function BloodPressureCard({ systolic, diastolic, darkMode }) {
           <span className="text-3xl font-bold tabular-nums" style={{
             color: "#a78bfa",
             fontFamily: "'Courier New', monospace"
-          }}>{diastolic}</span>
+          }}>{diastolic ?? "—"}</span>
         </div>
         <span className={`text-sm ml-1 self-end mb-1 ${darkMode ? "text-gray-500" : "text-gray-400"}`}>mmHg</span>
       </div>
 
-      {map && <p className={`text-xs ${darkMode ? "text-gray-500" : "text-gray-400"}`}>MAP: {map} mmHg</p>}
+      <Sparkline series={series} color="#c084fc" />
+
+      <div className="flex items-center justify-between gap-2">
+        {map ? <p className={`text-xs ${darkMode ? "text-gray-500" : "text-gray-400"}`}>MAP: {map} mmHg</p> : <span />}
+        <Freshness timestamp={timestamp} now={now} darkMode={darkMode} />
+      </div>
     </div>
   );
 }
 
 export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, patientName, darkMode, accessToken }) {
-  const [data, setData] = useState(null);
-  const [latest, setLatest] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [lastFetched, setLastFetched] = useState(null);
+  // patientId can be null for the main user, so we only check for isOpen and accessToken
+  const { readings, status, loading, error, lastReceived, refresh } = useVitalsStream(patientId, {
+    enabled: isOpen && !!accessToken,
+  });
+  const [now, setNow] = useState(() => Date.now());
 
-  // Clear data when user changes to prevent stale data display
   useEffect(() => {
-    setData([]);
-    setLatest(null);
-    setError(null);
-    setLoading(true);
-  }, [patientId]);
-
-  const API_URL = patientId
-    ? `https://jeewanjyoti-backend.smart.org.np/api/real-time-data/?user_id=${patientId}`
-    : `https://jeewanjyoti-backend.smart.org.np/api/real-time-data/`;
+    if (!isOpen) return undefined;
+    const t = setInterval(() => setNow(Date.now()), AGE_TICK_MS);
+    return () => clearInterval(t);
+  }, [isOpen]);
 
-  const fetchData = useCallback(async () => {
-    try {
-      const res = await fetch(API_URL, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-      });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const json = await res.json();
-      setData(json);
-      setLatest(getLatestData(json));
-      setLastFetched(new Date());
-      setError(null);
-    } catch (e) {
-      setError(e.message);
-      // Use mock data for preview
-      const mock = [
-        { device_id: "36:D2:D3:0B:AF:6C", heartRate: 79, stress: 0, hrv: 0, spo2: 99, systolic: 117, diastolic: 84, timestamp: 1771059975, user: patientId },
-        { device_id: "36:D2:D3:0B:AF:6C", heartRate: 97, stress: 0, hrv: 0, spo2: 98, systolic: 117, diastolic: 84, timestamp: 1771001294, user: patientId },
-        { device_id: "31:31:43:34:B9:05", heartRate: 71, stress: 38, hrv: 47, spo2: 97, systolic: 118, diastolic: 78, timestamp: 1770999872, user: patientId },
-      ];
-      setData(mock);
-      setLatest(getLatestData(mock));
-      setLastFetched(new Date());
-    } finally {
-      setLoading(false);
-    }
-  }, [patientId, accessToken]);
-
-  useEffect(() => {
-    // patientId can be null for the main user, so we only check for isOpen and accessToken
-    if (isOpen && accessToken) {
-      fetchData();
-      const interval = setInterval(fetchData, 30000); // refresh every 30s
-      return () => clearInterval(interval);
-    }
-  }, [isOpen, patientId, accessToken, fetchData]);
+  const latest = readings.length ? readings[readings.length - 1] : null;
+  const metrics = useMemo(() => getLatestMetrics(readings), [readings]);
+  const series = useMemo(() => ({
+    heartRate: getMetricSeries(readings, "heartRate"),
+    spo2: getMetricSeries(readings, "spo2"),
+    stress: getMetricSeries(readings, "stress"),
+    hrv: getMetricSeries(readings, "hrv"),
+    systolic: getMetricSeries(readings, "systolic"),
+  }), [readings]);
+  const recentReadings = useMemo(
+    () => readings.slice(-(RECENT_READINGS_SHOWN + 1), -1).reverse(),
+    [readings]
+  );
 
   const ts = latest ? formatTimestamp(latest.timestamp) : null;
+  const stressValue = metrics.stress?.value;
+  const hrvValue = metrics.hrv?.value;
 
   if (!isOpen) return null;
 
@@ -206,13 +230,13 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
           </div>
           <div className="flex items-center gap-3">
             <div className="flex items-center gap-2">
-              <StatusDot active={!loading && !error} />
+              <StatusDot active={status === "live"} />
               <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                {loading ? "Connecting..." : error ? "Using cached data" : "Live"}
+                {STREAM_LABELS[status]}
               </span>
             </div>
             <button
-              onClick={fetchData}
+              onClick={refresh}
               className={`text-xs px-3 py-1.5 rounded-lg transition-all duration-200 hover:scale-105 active:scale-95 ${darkMode
                   ? 'bg-indigo-900/20 border border-indigo-500/30 text-indigo-400'
                   : 'bg-indigo-50 border border-indigo-200 text-indigo-600'
@@ -257,53 +281,73 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
                 </span>
               </div>
             </div>
-          ) : latest ? (
+          ) : !latest ? (
+            <div className={`flex flex-col items-center justify-center gap-2 py-20 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              <Activity className="w-8 h-8 opacity-50" />
+              {error ? `Could not load readings: ${error}` : "No readings yet. They will appear here as soon as the wearable sends one."}
+            </div>
+          ) : (
             <>
               {/* Metrics Grid */}
               <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-6">
                 <MetricCard
                   icon="💗"
                   label="Heart Rate"
-                  value={latest.heartRate}
+                  value={metrics.heartRate?.value}
                   unit="bpm"
                   color="#f472b6"
                   normal={(v) => v >= 60 && v <= 100}
                   sub="Resting heart rate"
+                  timestamp={metrics.heartRate?.timestamp}
+                  series={series.heartRate}
+                  now={now}
                   darkMode={darkMode}
                 />
                 <MetricCard
                   icon="🫁"
                   label="SpO₂"
-                  value={latest.spo2}
+                  value={metrics.spo2?.value}
                   unit="%"
                   color="#38bdf8"
                   normal={(v) => v >= 95}
                   sub="Blood oxygen saturation"
+                  timestamp={metrics.spo2?.timestamp}
+                  series={series.spo2}
+                  now={now}
                   darkMode={darkMode}
                 />
                 <MetricCard
                   icon="🧠"
                   label="Stress"
-                  value={latest.stress}
+                  value={stressValue}
                   unit="/100"
                   color="#fb923c"
                   normal={(v) => v <= 40}
-                  sub={latest.stress === 0 ? "No stress detected" : latest.stress < 40 ? "Mild stress" : "High stress"}
+                  sub={stressValue == null ? null : stressValue === 0 ? "No stress detected" : stressValue < 40 ? "Mild stress" : "High stress"}
+                  timestamp={metrics.stress?.timestamp}
+                  series={series.stress}
+                  now={now}
                   darkMode={darkMode}
                 />
                 <MetricCard
                   icon="📊"
                   label="HRV"
-                  value={latest.hrv}
+                  value={hrvValue}
                   unit="ms"
                   color="#4ade80"
                   normal={(v) => v >= 20 || v === 0}
-                  sub={latest.hrv === 0 ? "Not measured" : "Heart rate variability"}
+                  sub={hrvValue === 0 ? "Not measured" : "Heart rate variability"}
+                  timestamp={metrics.hrv?.timestamp}
+                  series={series.hrv}
+                  now={now}
                   darkMode={darkMode}
                 />
                 <BloodPressureCard
-                  systolic={latest.systolic}
-                  diastolic={latest.diastolic}
+                  systolic={metrics.systolic?.value}
+                  diastolic={metrics.diastolic?.value}
+                  timestamp={metrics.systolic?.timestamp}
+                  series={series.systolic}
+                  now={now}
                   darkMode={darkMode}
                 />
               </div>
@@ -314,7 +358,7 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
                 <div className="flex items-center justify-between mb-4">
                   <h3 className={`text-xs font-semibold tracking-widest uppercase ${darkMode ? "text-gray-400" : "text-gray-500"
                     }`}>
-                    Vital Trends (Last {data?.length || 0} readings)
+                    Vital Trends (Last {readings.length} readings)
                   </h3>
                   <div className="flex gap-4">
                     <div className="flex items-center gap-1.5">
@@ -330,7 +374,7 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
 
                 <div className="h-[200px] w-full">
                   <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={[...data].sort((a, b) => a.timestamp - b.timestamp)}>
+                    <AreaChart data={readings}>
                       <defs>
                         <linearGradient id="colorHr" x1="0" y1="0" x2="0" y2="1">
                           <stop offset="5%" stopColor="#f472b6" stopOpacity={0.3} />
@@ -384,7 +428,7 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
                         strokeWidth={3}
                         fillOpacity={1}
                         fill="url(#colorHr)"
-                        animationDuration={1500}
+                        isAnimationActive={false}
                       />
                       <Area
                         type="monotone"
@@ -393,7 +437,7 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
                         strokeWidth={3}
                         fillOpacity={1}
                         fill="url(#colorSpo2)"
-                        animationDuration={1500}
+                        isAnimationActive={false}
                       />
                     </AreaChart>
                   </ResponsiveContainer>
@@ -401,50 +445,47 @@ export default function RealTimeHealthDashboard({ isOpen, onClose, patientId, pa
               </div>
 
               {/* History section */}
-              {data && data.length > 1 && (
+              {recentReadings.length > 0 && (
                 <div>
                   <h2 className={`text-xs font-semibold tracking-widest uppercase mb-3 ${darkMode ? 'text-gray-500' : 'text-gray-400'
                     }`}>
                     Recent Readings
                   </h2>
                   <div className="grid grid-cols-1 gap-2">
-                    {[...data]
-                      .sort((a, b) => b.timestamp - a.timestamp)
-                      .slice(1) // skip latest already shown above
-                      .map((item, i) => {
-                        const t = formatTimestamp(item.timestamp);
-                        return (
-                          <div
-                            key={i}
-                            className={`rounded-xl px-4 py-3 flex flex-wrap items-center justify-between gap-2 text-sm ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'
-                              } border`}
-                          >
-                            <div className="flex items-center gap-3">
-                              <Calendar className="w-3.5 h-3.5 text-gray-400" />
-                              <span className={`text-[11px] ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                                {t.date} · {t.time}
-                              </span>
-                            </div>
-                            <div className="flex flex-wrap gap-4 font-mono font-medium">
-                              <span><span style={{ color: "#f472b6" }}>♥ {item.heartRate}</span></span>
-                              <span><span style={{ color: "#38bdf8" }}>O₂ {item.spo2}</span></span>
-                              <span><span style={{ color: "#c084fc" }}>{item.systolic}/{item.diastolic}</span></span>
-                              {item.stress > 0 && <span><span style={{ color: "#fb923c" }}>S {item.stress}</span></span>}
-                            </div>
+                    {recentReadings.map((item) => {
+                      const t = formatTimestamp(item.timestamp);
+                      return (
+                        <div
+                          key={`${item.device_id}-${item.timestamp}`}
+                          className={`rounded-xl px-4 py-3 flex flex-wrap items-center justify-between gap-2 text-sm ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'
+                            } border`}
+                        >
+                          <div className="flex items-center gap-3">
+                            <Calendar className="w-3.5 h-3.5 text-gray-400" />
+                            <span className={`text-[11px] ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                              {t.date} · {t.time}
+                            </span>
+                          </div>
+                          <div className="flex flex-wrap gap-4 font-mono font-medium">
+                            <span><span style={{ color: "#f472b6" }}>♥ {item.heartRate}</span></span>
+                            <span><span style={{ color: "#38bdf8" }}>O₂ {item.spo2}</span></span>
+                            <span><span style={{ color: "#c084fc" }}>{item.systolic}/{item.diastolic}</span></span>
+                            {item.stress > 0 && <span><span style={{ color: "#fb923c" }}>S {item.stress}</span></span>}
                           </div>
-                        );
-                      })}
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
               )}
             </>
-          ) : null}
+          )}
 
           {/* Footer */}
           <div className={`text-center text-xs pt-4 mt-6 border-t ${darkMode ? 'text-gray-500 border-gray-800' : 'text-gray-400 border-gray-200'
             }`}>
-            Auto-refreshes every 30 seconds
-            {lastFetched && ` · Last updated ${lastFetched.toLocaleTimeString()}`}
+            {status === "live" ? "Readings stream in as the wearable sends them" : "Readings missed while disconnected are filled in on reconnect"}
+            {lastReceived && ` · Last reading received ${lastReceived.toLocaleTimeString()}`}
           </div>
         </div>
       </div>
@@ -1,181 +1,30 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useCallback } from 'react';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
 import { Moon, Clock, TrendingUp, Eye, EyeOff, Activity, Zap, Brain, Calendar, AlertCircle, RefreshCw, X } from 'lucide-react';
-import { getSleepData } from '../lib/api';
+import { useVitalsQuery } from '../hooks/useVitalsQuery';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
+import { formatDateForAPI } from '../utils/vitalDateRange';
 import DataModal from './ui/Modal';
 
+const sortSleepRecords = (records) => records.sort((a, b) => new Date(a.date) - new Date(b.date));
+
 const SleepDataComponent = ({ darkMode, onSleepDataUpdate, selectedUserId, dateRange, aiSleepScore }) => {
-  const [sleepData, setSleepData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [selectedDate, setSelectedDate] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
 
-  // Cache and refs
-  const cacheRef = useRef(new Map());
-  const abortControllerRef = useRef(null);
-  const isMountedRef = useRef(true);
-
-  // Format date for API (YYYY-MM-DD)
-  const formatDateForAPI = (date) => {
-    if (!date) return null;
-    // If it's already in YYYY-MM-DD format, return as is
-    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return date;
-    }
-    const d = new Date(date);
-    return d.toISOString().split('T')[0];
-  };
-
-  // Fetch sleep data from API
-  const fetchSleepData = useCallback(async () => {
-    // Cancel previous request if it exists
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-
-    // Create new abort controller for this request
-    abortControllerRef.current = new AbortController();
-
-    try {
-      setLoading(true);
-      setError(null);
-
-      let fromDate = null;
-      let toDate = null;
-      let range = null;
-      let cacheKey;
-
-      // Determine API parameters based on date range
-      let date = null;
-      if (dateRange?.customRange && dateRange.date) {
-        // Custom date - use date parameter
-        date = formatDateForAPI(dateRange.date);
-        cacheKey = `${selectedUserId || 'null'}-date-${date}`;
-        console.log('Fetching sleep data for custom date:', date);
-      } else {
-        // Use range parameter for predefined periods
-        if (dateRange?.period === 'today') {
-          range = '24h';
-        } else if (dateRange?.period === 'week') {
-          range = '7d';
-        } else if (dateRange?.period === 'month') {
-          range = '30d';
-        } else {
-          range = '24h'; // default
-        }
-        cacheKey = `${selectedUserId || 'null'}-${range}`;
-        console.log('Fetching sleep data with range:', range);
-      }
-
-      // Check cache first (5 minutes max)
-      if (cacheRef.current.has(cacheKey)) {
-        const cachedData = cacheRef.current.get(cacheKey);
-        const cacheTime = cachedData.timestamp;
-        const now = Date.now();
-        
-        // Use cache if it's less than 5 minutes old
-        if (now - cacheTime < 5 * 60 * 1000) {
-          console.log('Using cached sleep data:', cachedData.data.length, 'records');
-          
-          if (isMountedRef.current) {
-            setSleepData(cachedData.data);
-            if (onSleepDataUpdate) {
-              onSleepDataUpdate(cachedData.data);
-            }
-            
-            // Reset selected date when data changes
-            setSelectedDate(null);
-            setLoading(false);
-          }
-          return;
-        } else {
-          console.log('Cache stale, fetching fresh sleep data');
-        }
-      }
-
-      console.log('Making API call with params:', { 
-        userId: selectedUserId, 
-        fromDate, 
-        toDate, 
-        range 
-      });
-      
-      // Make API call with proper parameters
-      const data = await getSleepData(selectedUserId, date, range);
-
-      // Check if component is still mounted and request wasn't aborted
-      if (!isMountedRef.current || abortControllerRef.current.signal.aborted) {
-        console.log('Component unmounted or request aborted');
-        return;
-      }
-
-      if (data && data.length > 0) {
-        // Sort by date (oldest to newest)
-        const sortedData = data.sort((a, b) => new Date(a.date) - new Date(b.date));
-        
-        console.log(`Received ${sortedData.length} sleep records`);
-        console.log('Date range:', {
-          first: new Date(sortedData[0].date).toLocaleDateString(),
-          last: new Date(sortedData[sortedData.length - 1].date).toLocaleDateString()
-        });
-        
-        // Cache the results with timestamp
-        cacheRef.current.set(cacheKey, {
-          data: sortedData,
-          timestamp: Date.now()
-        });
-
-        if (isMountedRef.current) {
-          setSleepData(sortedData);
-          if (onSleepDataUpdate) {
-            onSleepDataUpdate(sortedData);
-          }
-          
-          // Reset selected date when data changes
-          setSelectedDate(null);
-        }
-      } else {
-        console.log('No sleep data available for selected period');
-        if (isMountedRef.current) {
-          setSleepData([]);
-          if (onSleepDataUpdate) {
-            onSleepDataUpdate([]);
-          }
-        }
-      }
-    } catch (error) {
-      // Don't set error if request was aborted or component unmounted
-      if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || !isMountedRef.current) {
-        console.log('Request was cancelled');
-        return;
-      }
-      
-      console.error('Error fetching sleep data:', error);
-      if (isMountedRef.current) {
-        setError('Failed to load sleep data. Please try again.');
-      }
-    } finally {
-      if (isMountedRef.current && !abortControllerRef.current?.signal.aborted) {
-        setLoading(false);
-      }
+  const handleSleepData = useCallback((data) => {
+    if (onSleepDataUpdate) {
+      onSleepDataUpdate(data);
     }
-  }, [selectedUserId, onSleepDataUpdate, dateRange?.date, dateRange?.customRange, dateRange?.period]);
+    // Reset selected date when data changes
+    setSelectedDate(null);
+  }, [onSleepDataUpdate]);
 
-  useEffect(() => {
-    isMountedRef.current = true;
-    
-    // Immediate fetch without debounce
-    fetchSleepData();
-
-    // Cleanup function
-    return () => {
-      isMountedRef.current = false;
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-    };
-  }, [fetchSleepData]);
+  const { data: sleepData, loading, error, syncedAt, refetch: fetchSleepData } = useVitalsQuery('sleep', selectedUserId, dateRange, {
+    select: sortSleepRecords,
+    onData: handleSleepData,
+    errorMessage: 'Failed to load sleep data. Please try again.',
+  });
 
   // Get available dates for selection
   const availableDates = React.useMemo(() => {
@@ -481,6 +330,7 @@ const SleepDataComponent = ({ darkMode, onSleepDataUpdate, selectedUserId, dateR
             <p className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
               {dateRangeDisplay}
             </p>
+            <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
             {dateRange?.customRange && dateRange.date && (
               <div className="flex items-center gap-1 mt-1">
                 <Calendar className="w-3 h-3 text-indigo-500" />
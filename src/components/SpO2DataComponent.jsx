@@ -1,14 +1,15 @@
-import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import {
   LineChart, Line, ResponsiveContainer, XAxis, YAxis, CartesianGrid, Tooltip,
   ComposedChart, Area, Scatter, ReferenceArea, ReferenceLine, Customized
 } from 'recharts';
 import { Droplets, TrendingUp, AlertCircle, RefreshCw, Activity, Clock, Calendar, CheckCircle2, AlertTriangle, XCircle, X } from 'lucide-react';
-import { getSpO2Data } from '../lib/api';
 import DataModal from './ui/Modal';
 import DayDrillDownBanner from './vitals/DayDrillDownBanner';
 import { useVitalLocalDateRange } from '../hooks/useVitalLocalDateRange';
-import { isDayDrillDown, isMultidayPeriod } from '../utils/vitalDateRange';
+import { useVitalsQuery } from '../hooks/useVitalsQuery';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
+import { isDayDrillDown, isMultidayPeriod, formatDateForAPI } from '../utils/vitalDateRange';
 
 function isDailySpO2Row(row) {
   return row && typeof row.day === 'string' && (
@@ -107,18 +108,28 @@ function AvgPulseDot({ cx, cy, payload, darkMode, showValue, onDayClick }) {
   );
 }
 
+// Sort by date or day (oldest to newest for charting)
+const sortSpO2Records = (records) =>
+  records.sort((a, b) => new Date(a.day || a.date) - new Date(b.day || b.date));
+
 const SpO2DataComponent = ({ darkMode, onSpO2DataUpdate, selectedUserId, dateRange }) => {
-  const [spo2Data, setSpO2Data] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [sliderPosition, setSliderPosition] = useState(100); // 100 = most recent, 0 = oldest
   const { localDateRange, setLocalDateRange, drillToDay, exitDayDrill } = useVitalLocalDateRange(dateRange);
 
-  // Cache and refs
-  const cacheRef = useRef(new Map());
-  const abortControllerRef = useRef(null);
-  const isMountedRef = useRef(true);
+  const handleSpO2Data = useCallback((data) => {
+    if (onSpO2DataUpdate) {
+      onSpO2DataUpdate(data);
+    }
+    // Reset slider to most recent data when new data arrives
+    setSliderPosition(100);
+  }, [onSpO2DataUpdate]);
+
+  const { data: spo2Data, loading, error, syncedAt, refetch: fetchSpO2Data } = useVitalsQuery('spo2', selectedUserId, localDateRange, {
+    select: sortSpO2Records,
+    onData: handleSpO2Data,
+    errorMessage: 'Failed to load SpO2 data. Please try again.',
+  });
 
   const isDailyView = useMemo(() => {
     if (isDayDrillDown(localDateRange)) return false;
@@ -126,163 +137,6 @@ const SpO2DataComponent = ({ darkMode, onSpO2DataUpdate, selectedUserId, dateRan
     return isMultidayPeriod(localDateRange);
   }, [localDateRange, spo2Data]);
 
-  // Format date for API (YYYY-MM-DD)
-  const formatDateForAPI = (date) => {
-    if (!date) return null;
-    // If it's already in YYYY-MM-DD format, return as is
-    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return date;
-    }
-    const d = new Date(date);
-    return d.toISOString().split('T')[0];
-  };
-
-  // Fetch SpO2 data from API
-  const fetchSpO2Data = useCallback(async () => {
-    // Cancel previous request if it exists
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-
-    // Create new abort controller for this request
-    abortControllerRef.current = new AbortController();
-
-    try {
-      setLoading(true);
-      setError(null);
-
-      let fromDate = null;
-      let toDate = null;
-      let range = null;
-      let cacheKey;
-
-      // Determine API parameters based on date range
-      let date = null;
-      if (localDateRange?.customRange && localDateRange?.date) {
-        // Custom date - use date parameter
-        date = formatDateForAPI(localDateRange.date);
-        cacheKey = `${selectedUserId || 'null'}-date-${date}`;
-        console.log('Fetching SpO2 data for custom date:', date);
-      } else {
-        // Use range parameter for predefined periods
-        if (localDateRange?.period === 'today') {
-          range = '24h';
-        } else if (localDateRange?.period === 'week') {
-          range = '7d';
-        } else if (localDateRange?.period === 'month') {
-          range = '30d';
-        } else {
-          range = '24h'; // default
-        }
-        cacheKey = `${selectedUserId || 'null'}-${range}`;
-        console.log('Fetching SpO2 data with range:', range);
-      }
-
-      // Check cache first (5 minutes max)
-      if (cacheRef.current.has(cacheKey)) {
-        const cachedData = cacheRef.current.get(cacheKey);
-        const cacheTime = cachedData.timestamp;
-        const now = Date.now();
-
-        // Use cache if it's less than 5 minutes old
-        if (now - cacheTime < 5 * 60 * 1000) {
-          console.log('Using cached SpO2 data:', cachedData.data.length, 'records');
-
-          if (isMountedRef.current) {
-            setSpO2Data(cachedData.data);
-            if (onSpO2DataUpdate) {
-              onSpO2DataUpdate(cachedData.data);
-            }
-            setLoading(false);
-            // Reset slider to most recent data when new data loads
-            setSliderPosition(100);
-          }
-          return;
-        } else {
-          console.log('Cache stale, fetching fresh SpO2 data');
-        }
-      }
-
-      console.log('Making API call with params:', {
-        userId: selectedUserId,
-        fromDate,
-        toDate,
-        range
-      });
-
-      // Make API call with proper parameters
-      const data = await getSpO2Data(selectedUserId, date, range);
-
-      // Check if component is still mounted and request wasn't aborted
-      if (!isMountedRef.current || abortControllerRef.current.signal.aborted) {
-        console.log('Component unmounted or request aborted');
-        return;
-      }
-
-      if (data && data.length > 0) {
-        // Sort by date or day (oldest to newest for charting)
-        const sortedData = [...data].sort(
-          (a, b) => new Date(a.day || a.date) - new Date(b.day || b.date)
-        );
-
-        console.log(`Received ${sortedData.length} SpO2 records`);
-
-        // Cache the results with timestamp
-        cacheRef.current.set(cacheKey, {
-          data: sortedData,
-          timestamp: Date.now()
-        });
-
-        if (isMountedRef.current) {
-          setSpO2Data(sortedData);
-          if (onSpO2DataUpdate) {
-            onSpO2DataUpdate(sortedData);
-          }
-          // Reset slider to most recent data when new data arrives
-          setSliderPosition(100);
-        }
-      } else {
-        console.log('No SpO2 data available for selected period');
-        if (isMountedRef.current) {
-          setSpO2Data([]);
-          if (onSpO2DataUpdate) {
-            onSpO2DataUpdate([]);
-          }
-        }
-      }
-    } catch (error) {
-      // Don't set error if request was aborted or component unmounted
-      if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || !isMountedRef.current) {
-        console.log('Request was cancelled');
-        return;
-      }
-
-      console.error('Error fetching SpO2 data:', error);
-      if (isMountedRef.current) {
-        setError('Failed to load SpO2 data. Please try again.');
-      }
-    } finally {
-      if (isMountedRef.current && !abortControllerRef.current?.signal.aborted) {
-        setLoading(false);
-      }
-    }
-  }, [selectedUserId, onSpO2DataUpdate, localDateRange?.date, localDateRange?.customRange, localDateRange?.period]);
-
-  useEffect(() => {
-    isMountedRef.current = true;
-
-    // Immediate fetch without debounce
-    fetchSpO2Data();
-
-    // Cleanup function
-    return () => {
-      isMountedRef.current = false;
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-    };
-  }, [fetchSpO2Data]);
-
   // Process SpO2 data for visualization with proper timestamps
   const processSpO2Data = useCallback((data) => {
     if (!data || data.length === 0 || isDailySpO2Row(data[0])) return [];
@@ -817,6 +671,7 @@ const SpO2DataComponent = ({ darkMode, onSpO2DataUpdate, selectedUserId, dateRan
             <p className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
               {dateRangeDisplay}
             </p>
+            <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
             {dateRange?.customRange && dateRange.date && (
               <div className="flex items-center gap-1 mt-1">
                 <Calendar className="w-3 h-3 text-blue-500" />
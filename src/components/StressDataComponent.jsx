@@ -1,13 +1,14 @@
-import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import {
   AreaChart, Area, ResponsiveContainer, XAxis, YAxis, CartesianGrid, Tooltip,
   ComposedChart, Line, Scatter, ReferenceArea, ReferenceLine, Customized
 } from 'recharts';
 import { Brain, TrendingUp, AlertCircle, RefreshCw, Activity, Clock, Calendar, Eye, EyeOff, CheckCircle2, AlertTriangle, Flame } from 'lucide-react';
-import { getStressData } from '../lib/api';
 import DataModal from './ui/Modal';
 import DayDrillDownBanner from './vitals/DayDrillDownBanner';
 import { useVitalLocalDateRange } from '../hooks/useVitalLocalDateRange';
+import { useVitalsQuery } from '../hooks/useVitalsQuery';
+import LastSyncedBadge from './vitals/LastSyncedBadge';
 import { isDayDrillDown, isMultidayPeriod } from '../utils/vitalDateRange';
 
 function isDailyStressRow(row) {
@@ -261,19 +262,24 @@ function StressDailyRangeChart({ processedDailyData, darkMode, onDayClick, heigh
   );
 }
 
+function sortStressRecords(records) {
+  return records.sort((a, b) => {
+    const ta = isDailyStressRow(a) ? parseDayISO(a.day) : new Date(a.date);
+    const tb = isDailyStressRow(b) ? parseDayISO(b.day) : new Date(b.date);
+    return ta - tb;
+  });
+}
 
 const StressDataComponent = ({ darkMode, onStressDataUpdate, selectedUserId, dateRange }) => {
-  const [stressData, setStressData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [sliderPosition, setSliderPosition] = useState(100); // 100 = most recent, 0 = oldest
   const { localDateRange, setLocalDateRange, drillToDay, exitDayDrill } = useVitalLocalDateRange(dateRange);
 
-  // Cache and refs
-  const cacheRef = useRef(new Map());
-  const abortControllerRef = useRef(null);
-  const isMountedRef = useRef(true);
+  const { data: stressData, loading, error, syncedAt, refetch: fetchStressData } = useVitalsQuery('stress', selectedUserId, localDateRange, {
+    select: sortStressRecords,
+    onData: onStressDataUpdate,
+    errorMessage: 'Failed to load stress data. Please try again.',
+  });
 
   const isDailyView = useMemo(() => {
     if (isDayDrillDown(localDateRange)) return false;
@@ -281,116 +287,6 @@ const StressDataComponent = ({ darkMode, onStressDataUpdate, selectedUserId, dat
     return isMultidayPeriod(localDateRange);
   }, [localDateRange, stressData]);
 
-  // Format date for API (YYYY-MM-DD)
-  const formatDateForAPI = (date) => {
-    if (!date) return null;
-    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return date;
-    }
-    const d = new Date(date);
-    return d.toISOString().split('T')[0];
-  };
-
-  // Fetch stress data from API
-  const fetchStressData = useCallback(async () => {
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-
-    abortControllerRef.current = new AbortController();
-
-    try {
-      setLoading(true);
-      setError(null);
-
-      let range = null;
-      let cacheKey;
-      let date = null;
-
-      if (localDateRange?.customRange && localDateRange?.date) {
-        date = formatDateForAPI(localDateRange.date);
-        cacheKey = `${selectedUserId || 'null'}-stress-date-${date}`;
-        console.log('Fetching stress data for custom date:', date);
-      } else {
-        if (localDateRange?.period === 'today') range = '24h';
-        else if (localDateRange?.period === 'week') range = '7d';
-        else if (localDateRange?.period === 'month') range = '30d';
-        else range = '24h';
-        cacheKey = `${selectedUserId || 'null'}-stress-${range}`;
-        console.log('Fetching stress data with range:', range);
-      }
-
-      if (cacheRef.current.has(cacheKey)) {
-        const cachedData = cacheRef.current.get(cacheKey);
-        const cacheTime = cachedData.timestamp;
-        const now = Date.now();
-        
-        if (now - cacheTime < 5 * 60 * 1000) {
-          console.log('Using cached stress data:', cachedData.data.length, 'records');
-          if (isMountedRef.current) {
-            setStressData(cachedData.data);
-            if (onStressDataUpdate) onStressDataUpdate(cachedData.data);
-            setLoading(false);
-          }
-          return;
-        }
-      }
-
-      const data = await getStressData(selectedUserId, date, range);
-
-      if (!isMountedRef.current || abortControllerRef.current.signal.aborted) {
-        return;
-      }
-
-      if (data && data.length > 0) {
-        const sortedData = [...data].sort((a, b) => {
-          const ta = isDailyStressRow(a) ? parseDayISO(a.day) : new Date(a.date);
-          const tb = isDailyStressRow(b) ? parseDayISO(b.day) : new Date(b.date);
-          return ta - tb;
-        });
-        
-        cacheRef.current.set(cacheKey, {
-          data: sortedData,
-          timestamp: Date.now()
-        });
-
-        if (isMountedRef.current) {
-          setStressData(sortedData);
-          if (onStressDataUpdate) onStressDataUpdate(sortedData);
-        }
-      } else {
-        if (isMountedRef.current) {
-          setStressData([]);
-          if (onStressDataUpdate) onStressDataUpdate([]);
-        }
-      }
-    } catch (error) {
-      if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || !isMountedRef.current) {
-        return;
-      }
-      console.error('Error fetching stress data:', error);
-      if (isMountedRef.current) {
-        setError('Failed to load stress data. Please try again.');
-      }
-    } finally {
-      if (isMountedRef.current && !abortControllerRef.current?.signal.aborted) {
-        setLoading(false);
-      }
-    }
-  }, [selectedUserId, onStressDataUpdate, localDateRange?.date, localDateRange?.customRange, localDateRange?.period]);
-
-  useEffect(() => {
-    isMountedRef.current = true;
-    fetchStressData();
-
-    return () => {
-      isMountedRef.current = false;
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-    };
-  }, [fetchStressData]);
-
   const processStressData = useCallback((data) => {
     if (!data || data.length === 0 || isDailyStressRow(data[0])) return [];
 
@@ -655,6 +551,7 @@ const StressDataComponent = ({ darkMode, onStressDataUpdate, selectedUserId, dat
               </span>
             </div>
             <p className={`text-xs mt-0.5 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{dateRangeDisplay}</p>
+            <LastSyncedBadge syncedAt={syncedAt} darkMode={darkMode} />
           </div>
         </div>
         <div className="flex items-center gap-2">
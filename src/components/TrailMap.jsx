@@ -1,9 +1,18 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Polyline, Marker, Popup, useMap } from 'react-leaflet';
-import { MapPin, Navigation, RefreshCw, AlertCircle, Calendar, SlidersHorizontal, ChevronDown } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Polyline, Marker, Popup, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import { MapPin, Navigation, RefreshCw, AlertCircle, Calendar, SlidersHorizontal, ChevronDown, LogIn, LogOut, Timer, Coffee } from 'lucide-react';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import { getLocationData } from '../lib/locationApi';
+import useGeofences from '../hooks/useGeofences';
+import useTrailPlayback from '../hooks/useTrailPlayback';
+import { findZoneCrossings, findLongStops } from '../utils/geofence';
+import { trailDistanceKm, findStops, getSegments, summarizeSpeed, positionAt } from '../utils/trailAnalysis';
+import { downloadTrail } from '../utils/trailExport';
+import GeofenceLayer from './trail/GeofenceLayer';
+import GeofencePanel from './trail/GeofencePanel';
+import TrailPlaybackBar from './trail/TrailPlaybackBar';
+import TrailExportMenu from './trail/TrailExportMenu';
 
 // Fix for default marker icons in React-Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -26,6 +35,20 @@ const MapController = ({ center }) => {
     return null;
 };
 
+const ZONE_EVENT_STYLES = {
+    exit: { color: '#ef4444', label: 'Left', icon: LogOut },
+    enter: { color: '#10b981', label: 'Entered', icon: LogIn },
+    stop: { color: '#f59e0b', label: 'Stopped', icon: Timer },
+};
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const describeZoneEvent = (event) => (
+    event.type === 'stop'
+        ? `Stopped for ${event.minutes} min outside safe zones`
+        : `${ZONE_EVENT_STYLES[event.type].label} ${event.zone.name}`
+);
+
 const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, globalDateRange }) => {
     const [trailPoints, setTrailPoints] = useState([]);
     const [filteredTrailPoints, setFilteredTrailPoints] = useState([]);
@@ -41,6 +64,10 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
     const [customDateTo, setCustomDateTo] = useState('');
     const [showCustomDateModal, setShowCustomDateModal] = useState(false);
 
+    // Safe zones and the zone currently being drawn
+    const { zones, settings, saveZone, removeZone, saveSettings } = useGeofences(userId);
+    const [zoneDraft, setZoneDraft] = useState(null);
+
     // Fetch location data from API
     const fetchLocationData = async () => {
         setIsLoading(true);
@@ -64,7 +91,7 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                     altitude: location.altitude,
                     speed: location.speed,
                     bearing: location.bearing,
-                    timestamp: new Date(location.timestamp).toLocaleString(),
+                    timestamp: location.timestamp,
                     created_at: new Date(location.created_at).toLocaleString(),
                     device_id: location.device_id,
                     mode: location.mode
@@ -189,28 +216,41 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
         return () => document.removeEventListener('mousedown', handleClickOutside);
     }, [showFilterDropdown]);
 
-    // Calculate total distance for filtered points (approximate)
-    const calculateDistance = () => {
-        if (filteredTrailPoints.length < 2) return 0;
-
-        let totalDistance = 0;
-        for (let i = 0; i < filteredTrailPoints.length - 1; i++) {
-            const p1 = filteredTrailPoints[i];
-            const p2 = filteredTrailPoints[i + 1];
-
-            // Haversine formula for distance calculation
-            const R = 6371; // Earth's radius in km
-            const dLat = (p2.lat - p1.lat) * Math.PI / 180;
-            const dLng = (p2.lng - p1.lng) * Math.PI / 180;
-            const a =
-                Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                Math.cos(p1.lat * Math.PI / 180) * Math.cos(p2.lat * Math.PI / 180) *
-                Math.sin(dLng / 2) * Math.sin(dLng / 2);
-            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-            totalDistance += R * c;
-        }
-
-        return totalDistance.toFixed(2);
+    // Zone crossings and long stops along the filtered trail, oldest first
+    const zoneEvents = useMemo(() => {
+        const crossings = findZoneCrossings(filteredTrailPoints, zones).map((event, i) => ({
+            ...event,
+            key: `${event.type}-${event.zone.id}-${i}`,
+        }));
+        const stillMinutes = Number(settings.still_alert_minutes);
+        const stops = stillMinutes > 0
+            ? findLongStops(filteredTrailPoints, zones, stillMinutes).map((stop, i) => ({
+                type: 'stop',
+                point: stop.point,
+                time: stop.start,
+                minutes: stop.minutes,
+                key: `stop-${i}`,
+            }))
+            : [];
+        return [...crossings, ...stops].sort((a, b) => a.time - b.time);
+    }, [filteredTrailPoints, zones, settings.still_alert_minutes]);
+
+    // Dwell stops and per-segment speed along the filtered trail
+    const stops = useMemo(() => findStops(filteredTrailPoints), [filteredTrailPoints]);
+    const segments = useMemo(() => getSegments(filteredTrailPoints), [filteredTrailPoints]);
+    const speedSummary = useMemo(() => summarizeSpeed(segments), [segments]);
+
+    // Playback: the replayed part of the trail and the wearer's position along it
+    const playback = useTrailPlayback(filteredTrailPoints);
+    const playbackPosition = playback.time != null ? positionAt(filteredTrailPoints, playback.time) : null;
+    const playedPath = playbackPosition
+        ? [...filteredTrailPoints.slice(0, playbackPosition.index + 1).map(p => [p.lat, p.lng]), [playbackPosition.lat, playbackPosition.lng]]
+        : null;
+    const playbackKmh = playbackPosition ? segments[Math.min(playbackPosition.index, segments.length - 1)]?.kmh ?? null : null;
+
+    const handleExport = (format) => {
+        const { from, to } = getDateRange(localDateFilter);
+        downloadTrail(format, filteredTrailPoints, { name: `Activity trail ${from === to ? from : `${from} to ${to}`}`, stops, from, to });
     };
 
     return (
@@ -226,7 +266,7 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                             Activity Trail Map
                         </h3>
                         <p className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                            Your GPS location trail with direction
+                            Your GPS location trail with direction and safe zones
                         </p>
                     </div>
                 </div>
@@ -289,6 +329,13 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                         )}
                     </div>
 
+                    {/* GPX / KML Export */}
+                    <TrailExportMenu
+                        darkMode={darkMode}
+                        disabled={isLoading || filteredTrailPoints.length === 0}
+                        onExport={handleExport}
+                    />
+
                     {/* Refresh Button */}
                     <button
                         onClick={fetchLocationData}
@@ -354,7 +401,7 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
 
             {/* Trail Statistics - Showing Filtered Data */}
             {!isLoading && !error && filteredTrailPoints.length > 0 && (
-                <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
                     <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-blue-50'}`}>
                         <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-blue-600'}`}>Filtered Points</div>
                         <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-blue-700'}`}>
@@ -364,7 +411,21 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                     <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-green-50'}`}>
                         <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-green-600'}`}>Distance</div>
                         <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-green-700'}`}>
-                            {calculateDistance()} km
+                            {trailDistanceKm(filteredTrailPoints).toFixed(2)} km
+                        </div>
+                    </div>
+                    <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-amber-50'}`}>
+                        <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-amber-600'}`}>Stops</div>
+                        <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-amber-700'}`}>
+                            {stops.length}
+                        </div>
+                    </div>
+                    <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-sky-50'}`}>
+                        <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-sky-600'}`}>Avg / Top Speed</div>
+                        <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-sky-700'}`}>
+                            {speedSummary.avgKmh != null
+                                ? `${speedSummary.avgKmh.toFixed(1)} / ${speedSummary.maxKmh.toFixed(1)} km/h`
+                                : '—'}
                         </div>
                     </div>
                     <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-purple-50'} col-span-2 md:col-span-1`}>
@@ -379,6 +440,11 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                 </div>
             )}
 
+            {/* Playback Timeline */}
+            {!isLoading && !error && filteredTrailPoints.length > 1 && (
+                <TrailPlaybackBar darkMode={darkMode} playback={playback} currentKmh={playbackKmh} />
+            )}
+
             {/* Map Container */}
             {!isLoading && !error && (
                 <div className="rounded-xl overflow-hidden shadow-lg" style={{ height: '500px' }}>
@@ -386,7 +452,7 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                         center={mapCenter}
                         zoom={mapZoom}
                         style={{ height: '100%', width: '100%' }}
-                        className="z-0"
+                        className={`z-0 ${zoneDraft ? 'cursor-crosshair' : ''}`}
                     >
                         <MapController center={mapCenter} />
                         <TileLayer
@@ -394,6 +460,9 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                         />
 
+                        {/* Safe zones and the zone being drawn */}
+                        <GeofenceLayer zones={zones} draft={zoneDraft} onDraftChange={setZoneDraft} />
+
                         {/* Draw trail line - Using filtered points */}
                         {filteredTrailPoints.length > 1 && (
                             <Polyline
@@ -531,10 +600,68 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                                 )}
                             </>
                         )}
+
+                        {/* Dwell stops */}
+                        {stops.map((stop) => (
+                            <CircleMarker
+                                key={`dwell-${stop.startIndex}`}
+                                center={[stop.lat, stop.lng]}
+                                radius={11}
+                                pathOptions={{ color: '#0ea5e9', weight: 2, fillColor: '#0ea5e9', fillOpacity: 0.25 }}
+                            >
+                                <Popup>
+                                    <div className="text-sm">
+                                        <strong className="text-sky-600">Stop · {stop.minutes} min</strong><br />
+                                        <strong>Arrived:</strong> {stop.arrival.toLocaleString()}<br />
+                                        <strong>Left:</strong> {stop.departure.toLocaleString()}
+                                    </div>
+                                </Popup>
+                            </CircleMarker>
+                        ))}
+
+                        {/* Replayed part of the trail and the current position */}
+                        {playedPath && (
+                            <>
+                                <Polyline positions={playedPath} color="#047857" weight={6} opacity={0.9} />
+                                <CircleMarker
+                                    center={[playbackPosition.lat, playbackPosition.lng]}
+                                    radius={8}
+                                    pathOptions={{ color: 'white', weight: 3, fillColor: '#047857', fillOpacity: 1 }}
+                                />
+                            </>
+                        )}
+
+                        {/* Zone crossings and long stops */}
+                        {zoneEvents.map((event) => (
+                            <CircleMarker
+                                key={event.key}
+                                center={[event.point.lat, event.point.lng]}
+                                radius={event.type === 'stop' ? 9 : 7}
+                                pathOptions={{ color: 'white', weight: 2, fillColor: ZONE_EVENT_STYLES[event.type].color, fillOpacity: 1 }}
+                            >
+                                <Tooltip>
+                                    {describeZoneEvent(event)} · {formatTime(event.time)}
+                                </Tooltip>
+                            </CircleMarker>
+                        ))}
                     </MapContainer>
                 </div>
             )}
 
+            {/* Safe Zones and Wandering Alerts */}
+            {!isLoading && !error && (
+                <GeofencePanel
+                    darkMode={darkMode}
+                    zones={zones}
+                    settings={settings}
+                    draft={zoneDraft}
+                    onDraftChange={setZoneDraft}
+                    saveZone={saveZone}
+                    removeZone={removeZone}
+                    saveSettings={saveSettings}
+                />
+            )}
+
             {/* Empty State - No Filtered Data */}
             {!isLoading && !error && filteredTrailPoints.length === 0 && (
                 <div className={`mt-4 p-8 rounded-lg border-2 border-dashed text-center ${darkMode ? 'border-gray-600 bg-gray-700/50' : 'border-gray-300 bg-gray-50'
@@ -549,6 +676,76 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                 </div>
             )}
 
+            {/* Zone Events Timeline */}
+            {!isLoading && !error && zoneEvents.length > 0 && (
+                <div className="mt-4">
+                    <h4 className={`text-sm font-semibold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Zone Events ({zoneEvents.length})
+                    </h4>
+                    <div className="max-h-48 overflow-y-auto">
+                        {zoneEvents.map((event, index) => {
+                            const style = ZONE_EVENT_STYLES[event.type];
+                            const Icon = style.icon;
+                            return (
+                                <div key={event.key} className="flex gap-3">
+                                    <div className="flex flex-col items-center">
+                                        <div
+                                            className="w-6 h-6 rounded-full flex items-center justify-center flex-shrink-0"
+                                            style={{ backgroundColor: style.color }}
+                                        >
+                                            <Icon className="w-3 h-3 text-white" />
+                                        </div>
+                                        {index < zoneEvents.length - 1 && (
+                                            <div className={`w-px flex-1 ${darkMode ? 'bg-gray-600' : 'bg-gray-200'}`} />
+                                        )}
+                                    </div>
+                                    <div className="pb-3 min-w-0">
+                                        <span className={`text-xs font-medium block ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                                            {describeZoneEvent(event)}
+                                        </span>
+                                        <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                            {event.time.toLocaleString()}
+                                        </span>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {/* Stops List */}
+            {!isLoading && !error && stops.length > 0 && (
+                <div className="mt-4">
+                    <h4 className={`text-sm font-semibold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Stops ({stops.length})
+                    </h4>
+                    <div className="max-h-40 overflow-y-auto space-y-2">
+                        {stops.map((stop) => (
+                            <button
+                                key={stop.startIndex}
+                                onClick={() => playback.seek(stop.arrival.getTime())}
+                                title="Jump playback to this stop"
+                                className={`w-full flex items-center justify-between p-2 rounded-lg text-left ${
+                                    darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-50 hover:bg-gray-100'
+                                }`}
+                            >
+                                <div className="flex items-center gap-2">
+                                    <Coffee className="w-4 h-4 text-sky-500 flex-shrink-0" />
+                                    <span className={`text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                        <strong>{formatTime(stop.arrival)} – {formatTime(stop.departure)}</strong>
+                                        {' '}· {stop.lat.toFixed(5)}, {stop.lng.toFixed(5)}
+                                    </span>
+                                </div>
+                                <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                    {stop.minutes} min
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Trail Points List - Showing Filtered Data */}
             {!isLoading && !error && filteredTrailPoints.length > 0 && (
                 <div className="mt-4">
@@ -573,9 +770,12 @@ const TrailMap = React.memo(({ darkMode, userId = null, globalDateFilter, global
                                         </span>
                                     </div>
                                 </div>
-                                <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                                    {new Date(point.timestamp).toLocaleDateString()}
-                                </span>
+                                <div className={`text-xs text-right ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                    <span className="block">{new Date(point.timestamp).toLocaleString()}</span>
+                                    {index > 0 && segments[index - 1].kmh != null && (
+                                        <span className="block">{segments[index - 1].kmh.toFixed(1)} km/h</span>
+                                    )}
+                                </div>
                             </div>
                         ))}
                     </div>
@@ -0,0 +1,88 @@
+import React from 'react';
+import { LineChart, Line, ResponsiveContainer, YAxis, ReferenceArea } from 'recharts';
+import { Heart, Droplets, Activity, Brain, TrendingUp, AlertTriangle, CheckCircle } from 'lucide-react';
+
+const METRIC_ICONS = {
+  restingHeartRate: Heart,
+  nightSpo2: Droplets,
+  hrv: Activity,
+  stress: Brain,
+  systolic: TrendingUp,
+};
+
+// Days of history drawn on each card's chart
+const CHART_DAYS = 14;
+
+function TrendCard({ insight, darkMode }) {
+  const warning = insight.severity === 'warning';
+  const color = warning ? '#f97316' : '#6366f1';
+  const { mean, sd } = insight.baseline;
+  const data = insight.series.slice(-CHART_DAYS);
+
+  return (
+    <div className={`p-4 rounded-xl border ${darkMode ? 'bg-gray-900/50 border-gray-700/60' : 'bg-gray-50 border-gray-200'}`}>
+      <div className="flex items-start gap-3">
+        <div className={`p-1.5 rounded-lg flex-shrink-0 ${warning
+          ? darkMode ? 'bg-orange-500/20 text-orange-400' : 'bg-orange-100 text-orange-700'
+          : darkMode ? 'bg-indigo-500/20 text-indigo-400' : 'bg-indigo-100 text-indigo-700'}`}>
+          {React.createElement(METRIC_ICONS[insight.metric] || Activity, { className: 'w-4 h-4' })}
+        </div>
+        <div className="min-w-0 flex-1">
+          <p className={`text-sm font-bold ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>{insight.title}</p>
+          <p className={`text-xs mt-1 leading-relaxed ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{insight.summary}</p>
+        </div>
+      </div>
+
+      <div className="h-16 mt-3">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <YAxis domain={['dataMin - 2', 'dataMax + 2']} hide />
+            {/* Usual range: baseline ± one standard deviation */}
+            <ReferenceArea y1={mean - sd} y2={mean + sd} fill={darkMode ? '#4b5563' : '#d1d5db'} fillOpacity={0.35} />
+            <Line type="monotone" dataKey="value" stroke={color} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <p className={`text-[10px] ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+        Last {data.length} days · shaded band is your usual range
+      </p>
+
+      <p className={`text-xs mt-2 leading-relaxed ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{insight.explanation}</p>
+    </div>
+  );
+}
+
+/**
+ * Trend insights from useVitalTrends, shown next to the AI recommendations.
+ * Renders nothing until at least one metric has enough history to compare.
+ */
+export default function TrendInsights({ insights, analysed, loading, darkMode }) {
+  if (loading && !insights.length) return null;
+  if (!analysed.length) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center gap-2 mb-3">
+        <div className={`p-1.5 rounded-lg ${darkMode ? 'bg-indigo-500/20 text-indigo-400' : 'bg-indigo-100 text-indigo-700'}`}>
+          <AlertTriangle className="w-4 h-4" />
+        </div>
+        <span className={`text-sm font-bold ${darkMode ? 'text-gray-100' : 'text-gray-900'}`}>Trends vs. your baseline</span>
+      </div>
+
+      {insights.length ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {insights.map((insight) => <TrendCard key={insight.id} insight={insight} darkMode={darkMode} />)}
+        </div>
+      ) : (
+        <div className={`flex items-center gap-2 p-3 rounded-xl border text-xs ${darkMode ? 'bg-gray-900/50 border-gray-700/60 text-gray-300' : 'bg-gray-50 border-gray-200 text-gray-700'}`}>
+          <CheckCircle className="w-4 h-4 text-green-500 flex-shrink-0" />
+          No sustained changes: your recent readings are within your usual 30-day range.
+        </div>
+      )}
+
+      <p className={`text-[10px] mt-2 opacity-60 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Compared with your own last 30 days, not population norms. Not a diagnosis — talk to your doctor if a change persists.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { CalendarPlus, Download, Link2, Copy, RefreshCw, Loader2, Check } from 'lucide-react';
+import { getAppointmentCalendarFeed } from '../../lib/api';
+import { buildAppointmentsCalendar } from '../../utils/icalendar';
+import { downloadFile } from '../../utils/download';
+
+// Calendar apps subscribe through webcal://; the feed itself is served over https
+const toWebcal = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+/**
+ * Header menu to download the current appointments as an .ics file or to
+ * subscribe to the live calendar feed from a calendar app.
+ */
+const CalendarExportMenu = ({ appointments, isDoctor, darkMode }) => {
+  const [open, setOpen] = useState(false);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [loadingFeed, setLoadingFeed] = useState(false);
+  const [feedError, setFeedError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleDownload = () => {
+    const text = buildAppointmentsCalendar(appointments, { isDoctor });
+    downloadFile(text, 'appointments.ics', 'text/calendar');
+    setOpen(false);
+  };
+
+  const loadFeed = async (reset = false) => {
+    setLoadingFeed(true);
+    setFeedError(null);
+    setCopied(false);
+    try {
+      const data = await getAppointmentCalendarFeed({ reset });
+      setFeedUrl(data?.url || null);
+      if (!data?.url) setFeedError('Calendar link is not available.');
+    } catch (err) {
+      setFeedError(err.message || 'Failed to fetch calendar link');
+    } finally {
+      setLoadingFeed(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+    } catch {
+      setFeedError('Could not copy the link. Select it and copy it manually.');
+    }
+  };
+
+  const itemClass = `w-full flex items-center gap-2 px-4 py-2 text-sm text-left ${darkMode ? 'text-gray-200 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-50'}`;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        className={`px-4 py-2 rounded-xl flex items-center gap-2 border ${darkMode
+          ? 'border-gray-600 text-gray-200 hover:bg-gray-700'
+          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+      >
+        <CalendarPlus className="w-4 h-4" />
+        Add to calendar
+      </button>
+
+      {open && (
+        <div className={`absolute right-0 mt-2 w-80 rounded-xl shadow-lg border z-20 py-2 ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+          <button type="button" onClick={handleDownload} className={itemClass}>
+            <Download className="w-4 h-4" />
+            Download .ics file
+          </button>
+          {!feedUrl && (
+            <button type="button" onClick={() => loadFeed(false)} disabled={loadingFeed} className={itemClass}>
+              {loadingFeed ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2 className="w-4 h-4" />}
+              Subscribe from a calendar app
+            </button>
+          )}
+
+          {feedUrl && (
+            <div className={`px-4 py-2 space-y-2 border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+              <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Calendar apps keep this feed in sync. Anyone with the link can see your appointments.
+              </p>
+              <input
+                readOnly
+                value={toWebcal(feedUrl)}
+                onFocus={(e) => e.target.select()}
+                className={`w-full px-2 py-1 rounded-lg text-xs border ${darkMode ? 'bg-gray-700 border-gray-600 text-gray-200' : 'bg-gray-50 border-gray-300 text-gray-700'}`}
+              />
+              <div className="flex flex-wrap gap-2">
+                <a
+                  href={toWebcal(feedUrl)}
+                  className="px-3 py-1 rounded-lg text-xs bg-blue-500 hover:bg-blue-600 text-white"
+                >
+                  Open in calendar
+                </a>
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  className={`px-3 py-1 rounded-lg text-xs flex items-center gap-1 ${darkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700'}`}
+                >
+                  {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+                  {copied ? 'Copied' : 'Copy link'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => loadFeed(true)}
+                  disabled={loadingFeed}
+                  title="Invalidate the current link and create a new one"
+                  className={`px-3 py-1 rounded-lg text-xs flex items-center gap-1 ${darkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700'}`}
+                >
+                  <RefreshCw className={`w-3 h-3 ${loadingFeed ? 'animate-spin' : ''}`} />
+                  Reset link
+                </button>
+              </div>
+            </div>
+          )}
+
+          {feedError && <p className="px-4 py-1 text-xs text-red-500">{feedError}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarExportMenu;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Loader2 } from 'lucide-react';
+import DataModal from '../ui/Modal';
+import { cancelAppointment, rejectAppointment } from '../../lib/api';
+import { getCancellationTerms } from '../../utils/appointmentPolicy';
+
+const REJECT_REASONS = [
+  'Not available at this time',
+  'Outside my specialization',
+  'Please book an in-person visit instead',
+];
+
+/**
+ * Cancel an appointment as the patient (showing what the cancellation policy
+ * means for their payment), or reject it as the doctor with a reason the
+ * patient will see.
+ */
+const CancelAppointmentModal = ({ appointment, mode = 'cancel', darkMode, onClose, onDone }) => {
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isReject = mode === 'reject';
+  const terms = isReject ? null : getCancellationTerms(appointment);
+  const appointmentId = appointment.appointment_id || appointment.id;
+  const canSubmit = isReject ? reason.trim().length > 0 : terms.allowed;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const updated = isReject
+        ? await rejectAppointment(appointmentId, reason.trim())
+        : await cancelAppointment(appointmentId, reason.trim());
+      onDone(updated);
+    } catch (err) {
+      setError(err.message || `Failed to ${isReject ? 'reject' : 'cancel'} appointment.`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const muted = darkMode ? 'text-gray-300' : 'text-gray-600';
+  const inputClass = `w-full p-3 rounded-xl border ${darkMode
+    ? 'bg-gray-700 border-gray-600 text-white'
+    : 'bg-white border-gray-300 text-gray-900'
+    } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+  return (
+    <DataModal isOpen onClose={onClose} title={isReject ? 'Reject appointment' : 'Cancel appointment'} darkMode={darkMode}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {terms && (
+          <div className={`flex gap-3 p-4 rounded-xl ${terms.allowed
+            ? terms.refund === 'none'
+              ? (darkMode ? 'bg-amber-900/40 text-amber-200' : 'bg-amber-50 text-amber-800')
+              : (darkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700')
+            : (darkMode ? 'bg-red-900/40 text-red-200' : 'bg-red-50 text-red-800')
+            }`}>
+            <AlertTriangle className="w-5 h-5 shrink-0 mt-0.5" />
+            <p className="text-sm">{terms.reason}</p>
+          </div>
+        )}
+
+        {isReject && (
+          <div className="flex flex-wrap gap-2">
+            {REJECT_REASONS.map((preset) => (
+              <button
+                key={preset}
+                type="button"
+                onClick={() => setReason(preset)}
+                className={`px-3 py-1 rounded-full text-xs border transition-colors ${reason === preset
+                  ? 'bg-blue-500 border-blue-500 text-white'
+                  : darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                  }`}
+              >
+                {preset}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {(isReject || terms.allowed) && (
+          <div>
+            <label htmlFor="cancel_reason" className={`block mb-2 text-sm ${muted}`}>
+              {isReject ? 'Reason shown to the patient' : 'Reason (optional, shared with the doctor)'}
+              {isReject && <span className="text-red-500"> *</span>}
+            </label>
+            <textarea
+              id="cancel_reason"
+              rows={3}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className={inputClass}
+              required={isReject}
+            />
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-500">{error}</p>}
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`px-4 py-2 rounded-xl ${darkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-800 hover:bg-gray-200'}`}
+          >
+            Keep appointment
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit || submitting}
+            className="px-4 py-2 rounded-xl bg-red-500 hover:bg-red-600 text-white disabled:opacity-50 flex items-center gap-2"
+          >
+            {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+            {isReject ? 'Reject appointment' : 'Cancel appointment'}
+          </button>
+        </div>
+      </form>
+    </DataModal>
+  );
+};
+
+export default CancelAppointmentModal;
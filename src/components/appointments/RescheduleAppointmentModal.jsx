@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Info, Loader2 } from 'lucide-react';
+import DataModal from '../ui/Modal';
+import SlotPicker from './SlotPicker';
+import { rescheduleAppointment } from '../../lib/api';
+import useDoctorSlots from '../../hooks/useDoctorSlots';
+import { getRescheduleTerms } from '../../utils/appointmentPolicy';
+import { toDateKey } from '../../utils/medicationSchedule';
+
+const EMPTY = [];
+
+/**
+ * Move an appointment to another free slot of the same doctor. Slot selection
+ * runs against the doctor's live availability, exactly like booking.
+ */
+const RescheduleAppointmentModal = ({ appointment, darkMode, onClose, onDone }) => {
+  const [date, setDate] = useState(appointment.appointment_date || '');
+  const [time, setTime] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const terms = getRescheduleTerms(appointment);
+  const appointmentId = appointment.appointment_id || appointment.id;
+  const doctorId = appointment.doctor_id || appointment.doctor;
+  const { slots, loading: loadingSlots, error: slotsError, refresh: refreshSlots } = useDoctorSlots(doctorId, date);
+
+  // A slot taken by someone else while the dialog was open can't stay selected
+  useEffect(() => {
+    if (time && slots.some((slot) => slot.time === time && slot.is_booked)) {
+      setTime('');
+      setError('That slot was just booked by someone else. Please pick another.');
+    }
+  }, [slots, time]);
+
+  // The slot the appointment already holds can't be picked again
+  const currentTime = date === appointment.appointment_date
+    ? slots.find((slot) => slot.time.slice(0, 5) === (appointment.appointment_time || '').slice(0, 5))?.time
+    : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!date || !time) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const fresh = await refreshSlots();
+      if (fresh.some((slot) => slot.time === time && slot.is_booked)) return;
+      const updated = await rescheduleAppointment(appointmentId, { appointment_date: date, appointment_time: time });
+      onDone(updated);
+    } catch (err) {
+      if (err.status === 409) {
+        setTime('');
+        refreshSlots();
+      }
+      setError(err.message || 'Failed to reschedule appointment.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <DataModal isOpen onClose={onClose} title="Reschedule appointment" darkMode={darkMode}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className={`flex gap-3 p-4 rounded-xl text-sm ${terms.allowed
+          ? (darkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700')
+          : (darkMode ? 'bg-red-900/40 text-red-200' : 'bg-red-50 text-red-800')
+          }`}>
+          <Info className="w-5 h-5 shrink-0" />
+          <p>{terms.reason}</p>
+        </div>
+
+        {terms.allowed && (
+          <>
+            {!doctorId && (
+              <p className="text-sm text-red-500">This appointment doesn't say which doctor it is with, so it can't be moved here.</p>
+            )}
+            <div>
+              <label htmlFor="reschedule_date" className={`block mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+                New date <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="date"
+                id="reschedule_date"
+                value={date}
+                onChange={(e) => {
+                  setDate(e.target.value);
+                  setTime('');
+                }}
+                min={toDateKey(new Date())}
+                max="2100-12-31"
+                className={`w-full p-3 rounded-xl border ${darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+                  } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                required
+              />
+            </div>
+
+            {date && doctorId && (
+              <div>
+                <label className={`block mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+                  New time slot <span className="text-red-500">*</span>
+                </label>
+                <SlotPicker
+                  slots={slots}
+                  loading={loadingSlots}
+                  value={time}
+                  onChange={setTime}
+                  darkMode={darkMode}
+                  disabledTimes={currentTime ? [currentTime] : EMPTY}
+                />
+              </div>
+            )}
+          </>
+        )}
+
+        {(error || slotsError) && <p className="text-sm text-red-500">{error || slotsError}</p>}
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`px-4 py-2 rounded-xl ${darkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-800 hover:bg-gray-200'}`}
+          >
+            Close
+          </button>
+          {terms.allowed && (
+            <button
+              type="submit"
+              disabled={!time || submitting}
+              className="px-4 py-2 rounded-xl bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 flex items-center gap-2"
+            >
+              {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Move appointment
+            </button>
+          )}
+        </div>
+      </form>
+    </DataModal>
+  );
+};
+
+export default RescheduleAppointmentModal;
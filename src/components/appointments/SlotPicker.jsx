@@ -0,0 +1,64 @@
+import React from 'react';
+
+/**
+ * Grid of a doctor's time slots for one day; booked slots are shown but disabled.
+ * `disabledTimes` greys out extra slots (e.g. the appointment being moved).
+ */
+const SlotPicker = ({ slots, loading, value, onChange, darkMode, disabledTimes = [] }) => {
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        <span className={`ml-3 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          Loading available slots...
+        </span>
+      </div>
+    );
+  }
+
+  if (!slots.length) {
+    return (
+      <div className={`p-4 rounded-xl text-center ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+        <p className={`${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          No available slots for this date. Please select another date.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-3 md:grid-cols-4 gap-2 max-h-64 overflow-y-auto p-2">
+      {slots.map((slot) => {
+        const unavailable = slot.is_booked || disabledTimes.includes(slot.time);
+        return (
+          <button
+            key={slot.time}
+            type="button"
+            disabled={unavailable}
+            onClick={() => onChange(slot.time)}
+            className={`p-3 rounded-lg text-sm font-medium transition-all ${unavailable
+              ? darkMode
+                ? 'bg-gray-700 text-gray-500 cursor-not-allowed'
+                : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+              : value === slot.time
+                ? 'bg-blue-500 text-white ring-2 ring-blue-300'
+                : darkMode
+                  ? 'bg-gray-700 text-white hover:bg-gray-600'
+                  : 'bg-white border border-gray-300 hover:bg-blue-50'
+              }`}
+          >
+            {slot.time}
+            {slot.is_booked && (
+              <div className="text-xs mt-1">Booked</div>
+            )}
+            {!slot.is_booked && unavailable && (
+              <div className="text-xs mt-1">Current</div>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SlotPicker;
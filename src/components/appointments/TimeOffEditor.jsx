@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Trash2, Plus, Loader2, CalendarOff } from 'lucide-react';
+import { describeException, validateException } from '../../utils/availabilitySlots';
+import { toDateKey } from '../../utils/medicationSchedule';
+
+const EMPTY_EXCEPTION = { start_date: '', end_date: '', start_time: '', end_time: '', reason: '' };
+
+/**
+ * Holidays and leave that remove slots generated from weekly hours. A range of
+ * days blocks them completely; a single day can also block just some hours.
+ */
+const TimeOffEditor = ({ exceptions, onAdd, onRemove, darkMode }) => {
+  const [draft, setDraft] = useState(EMPTY_EXCEPTION);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const today = toDateKey(new Date());
+  const upcoming = exceptions.filter((e) => (e.end_date || e.start_date) >= today);
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const inputClass = `w-full p-2 rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+
+  // Partial-day blocks only make sense for a single day
+  const multiDay = draft.end_date && draft.end_date !== draft.start_date;
+
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const entry = multiDay ? { ...draft, start_time: '', end_time: '' } : draft;
+    const problem = validateException(entry);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await onAdd({
+        start_date: entry.start_date,
+        end_date: entry.end_date || null,
+        start_time: entry.start_time || null,
+        end_time: entry.end_time || null,
+        reason: entry.reason.trim(),
+      });
+      setDraft(EMPTY_EXCEPTION);
+    } catch (err) {
+      setError(err.details ? err.message : 'Failed to add time off.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (exceptionId) => {
+    try {
+      await onRemove(exceptionId);
+    } catch (err) {
+      setError(err.details ? err.message : 'Failed to remove time off.');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {upcoming.length === 0 ? (
+        <p className={`text-sm ${muted}`}>No upcoming time off.</p>
+      ) : (
+        upcoming.map((exception) => (
+          <div
+            key={exception.id}
+            className={`flex items-center justify-between gap-3 p-3 rounded-xl border ${darkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}
+          >
+            <div className="flex items-center gap-3">
+              <CalendarOff className="w-4 h-4 text-orange-500" />
+              <span className={`text-sm ${darkMode ? 'text-white' : 'text-gray-800'}`}>{describeException(exception)}</span>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleRemove(exception.id)}
+              className="p-2 rounded-lg text-red-500 hover:bg-red-500/10"
+              title="Remove"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))
+      )}
+
+      <form onSubmit={handleAdd} className={`space-y-3 p-4 rounded-xl border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+        <div className="grid grid-cols-2 gap-3">
+          <label className={`text-sm ${muted}`}>
+            First day
+            <input type="date" min={today} value={draft.start_date} onChange={(e) => update('start_date', e.target.value)} className={inputClass} required />
+          </label>
+          <label className={`text-sm ${muted}`}>
+            Last day (optional)
+            <input type="date" min={draft.start_date || today} value={draft.end_date} onChange={(e) => update('end_date', e.target.value)} className={inputClass} />
+          </label>
+        </div>
+        {!multiDay && (
+          <div className="grid grid-cols-2 gap-3">
+            <label className={`text-sm ${muted}`}>
+              From (leave empty for all day)
+              <input type="time" value={draft.start_time} onChange={(e) => update('start_time', e.target.value)} className={inputClass} />
+            </label>
+            <label className={`text-sm ${muted}`}>
+              To
+              <input type="time" value={draft.end_time} onChange={(e) => update('end_time', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+        )}
+        <label className={`block text-sm ${muted}`}>
+          Reason
+          <input
+            type="text"
+            value={draft.reason}
+            onChange={(e) => update('reason', e.target.value)}
+            placeholder="e.g. Public holiday, conference, leave"
+            className={inputClass}
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-500">{error}</p>}
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-orange-500 hover:bg-orange-600 text-white px-4 py-2 rounded-lg disabled:opacity-50 flex items-center gap-2"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Add time off
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TimeOffEditor;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Pencil, Trash2, Plus, Loader2, Repeat } from 'lucide-react';
+import { WEEKDAY_LABELS } from '../../utils/medicationSchedule';
+import {
+  DEFAULT_TEMPLATE, SLOT_INTERVALS, describeTemplate, slotTimesBetween, validateTemplate,
+} from '../../utils/availabilitySlots';
+
+/**
+ * List and edit a doctor's weekly recurring hours, e.g. "Sun–Thu 10:00–14:00, 20-minute slots".
+ */
+const WeeklyHoursEditor = ({ templates, onSave, onRemove, darkMode }) => {
+  // null = no form open; {} without id = new template
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const inputClass = `w-full p-2 rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const toggleWeekday = (day) => {
+    setDraft((prev) => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day) ? prev.weekdays.filter((d) => d !== day) : [...prev.weekdays, day],
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const problem = validateTemplate(draft);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({
+        ...draft,
+        weekdays: [...draft.weekdays].sort((a, b) => a - b),
+        interval_minutes: Number(draft.interval_minutes),
+        valid_from: draft.valid_from || null,
+        valid_until: draft.valid_until || null,
+      });
+      setDraft(null);
+    } catch (err) {
+      setError(err.details ? err.message : 'Failed to save weekly hours.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (template) => {
+    if (!window.confirm(`Stop offering ${describeTemplate(template)}? Appointments already booked are kept.`)) return;
+    try {
+      await onRemove(template.id);
+    } catch (err) {
+      setError(err.details ? err.message : 'Failed to delete weekly hours.');
+    }
+  };
+
+  const slotCount = draft ? slotTimesBetween(draft.start_time, draft.end_time, draft.interval_minutes).length : 0;
+
+  return (
+    <div className="space-y-4">
+      {templates.length === 0 && !draft && (
+        <p className={`text-sm ${muted}`}>
+          No weekly hours yet. Add your regular clinic hours once and slots are opened for every matching day.
+        </p>
+      )}
+
+      {templates.map((template) => (
+        <div
+          key={template.id}
+          className={`flex items-center justify-between gap-3 p-3 rounded-xl border ${darkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}
+        >
+          <div className="flex items-center gap-3">
+            <Repeat className={`w-4 h-4 ${darkMode ? 'text-green-400' : 'text-green-600'}`} />
+            <div>
+              <p className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-800'}`}>{describeTemplate(template)}</p>
+              {(template.valid_from || template.valid_until) && (
+                <p className={`text-xs ${muted}`}>
+                  {template.valid_from ? `From ${template.valid_from}` : 'Until'}
+                  {template.valid_until ? `${template.valid_from ? ' until ' : ' '}${template.valid_until}` : ''}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="flex gap-1">
+            <button
+              type="button"
+              onClick={() => { setError(null); setDraft({ ...DEFAULT_TEMPLATE, ...template, valid_from: template.valid_from || '', valid_until: template.valid_until || '' }); }}
+              className={`p-2 rounded-lg ${darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-200 text-gray-600'}`}
+              title="Edit"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => handleRemove(template)}
+              className="p-2 rounded-lg text-red-500 hover:bg-red-500/10"
+              title="Delete"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft ? (
+        <form onSubmit={handleSave} className={`space-y-4 p-4 rounded-xl border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <div>
+            <span className={`block mb-2 text-sm ${muted}`}>Days</span>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  className={`w-12 py-1.5 rounded-lg text-sm border ${draft.weekdays.includes(day)
+                    ? 'bg-green-500 border-green-500 text-white'
+                    : darkMode ? 'border-gray-600 text-gray-300' : 'border-gray-300 text-gray-700'
+                    }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <label className={`text-sm ${muted}`}>
+              From
+              <input type="time" value={draft.start_time} onChange={(e) => update('start_time', e.target.value)} className={inputClass} required />
+            </label>
+            <label className={`text-sm ${muted}`}>
+              To
+              <input type="time" value={draft.end_time} onChange={(e) => update('end_time', e.target.value)} className={inputClass} required />
+            </label>
+            <label className={`text-sm ${muted}`}>
+              Slot length
+              <select value={draft.interval_minutes} onChange={(e) => update('interval_minutes', Number(e.target.value))} className={inputClass}>
+                {SLOT_INTERVALS.map((minutes) => (
+                  <option key={minutes} value={minutes}>{minutes} min</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className={`text-sm ${muted}`}>
+              Starting (optional)
+              <input type="date" value={draft.valid_from} onChange={(e) => update('valid_from', e.target.value)} className={inputClass} />
+            </label>
+            <label className={`text-sm ${muted}`}>
+              Ending (optional)
+              <input type="date" value={draft.valid_until} onChange={(e) => update('valid_until', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+
+          <p className={`text-xs ${muted}`}>
+            {slotCount > 0 ? `${slotCount} slots per day.` : 'These hours are shorter than one slot.'}
+          </p>
+
+          {error && <p className="text-sm text-red-500">{error}</p>}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => { setDraft(null); setError(null); }}
+              className={`px-4 py-2 rounded-lg ${darkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg disabled:opacity-50 flex items-center gap-2"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              {draft.id ? 'Save changes' : 'Add weekly hours'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {error && <p className="text-sm text-red-500">{error}</p>}
+          <button
+            type="button"
+            onClick={() => { setError(null); setDraft({ ...DEFAULT_TEMPLATE }); }}
+            className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add weekly hours
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WeeklyHoursEditor;
@@ -0,0 +1,140 @@
+import React, { useEffect, useRef } from 'react';
+import { Mic, MicOff, Phone, PhoneOff, Video, VideoOff } from 'lucide-react';
+import { formatCallDuration } from '../../lib/webrtcCall';
+
+const StreamVideo = ({ stream, muted = false, className }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current && videoRef.current.srcObject !== stream) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  return <video ref={videoRef} autoPlay playsInline muted={muted} className={className} />;
+};
+
+const ControlButton = ({ onClick, active = false, danger = false, label, children }) => (
+  <button
+    onClick={onClick}
+    title={label}
+    aria-label={label}
+    className={`w-16 h-16 rounded-full flex items-center justify-center transition-colors ${
+      danger
+        ? 'bg-red-600 hover:bg-red-700'
+        : active
+          ? 'bg-white text-gray-900 hover:bg-gray-200'
+          : 'bg-gray-600 hover:bg-gray-700'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Full-screen voice/video call UI driven by useChatCall
+ */
+const CallOverlay = ({ call, peerName, darkMode }) => {
+  const {
+    status, callType, direction, muted, cameraOff, localStream, remoteStream, elapsed,
+    acceptCall, declineCall, hangUp, toggleMute, toggleCamera,
+  } = call;
+
+  if (!status) return null;
+
+  const isVideo = callType === 'video';
+  const isLive = status === 'in-progress';
+  const statusText = {
+    calling: 'Calling...',
+    incoming: `Incoming ${isVideo ? 'video' : 'audio'} call`,
+    connecting: 'Connecting...',
+    'in-progress': formatCallDuration(elapsed),
+  }[status];
+
+  return (
+    <div className={`fixed inset-0 z-50 flex flex-col items-center justify-center ${darkMode ? 'bg-gray-900' : 'bg-gray-800'} bg-opacity-95 text-white p-6`}>
+      <div className="flex flex-col items-center justify-center flex-1 w-full max-w-4xl relative">
+        <div className="w-full h-64 md:h-96 bg-gray-700 rounded-lg mb-6 flex items-center justify-center relative overflow-hidden">
+          {isVideo && remoteStream ? (
+            <StreamVideo stream={remoteStream} className="w-full h-full object-cover bg-gray-900" />
+          ) : (
+            <div className="text-center">
+              <div className="text-2xl font-semibold mb-2">{peerName}</div>
+              <div className="text-lg text-gray-300">
+                {status === 'calling' && 'Waiting for them to answer'}
+                {status === 'incoming' && 'is calling you'}
+                {status === 'connecting' && 'Setting up a secure connection'}
+                {isLive && 'Connected'}
+              </div>
+              <div className={`mt-8 ${isLive ? '' : 'animate-pulse'}`}>
+                <div className="w-24 h-24 mx-auto rounded-full bg-gray-600 flex items-center justify-center">
+                  {isVideo ? <Video className="w-12 h-12" /> : <Phone className="w-12 h-12" />}
+                </div>
+              </div>
+            </div>
+          )}
+          {/* Audio-only calls still need an element to play the remote stream */}
+          {!isVideo && remoteStream && <StreamVideo stream={remoteStream} className="hidden" />}
+          {isLive && (
+            <div className="absolute bottom-4 left-4 bg-black bg-opacity-50 rounded-lg p-2">
+              <div className="text-sm">{peerName}</div>
+            </div>
+          )}
+        </div>
+
+        {isVideo && localStream && (
+          <div className="w-32 h-24 bg-gray-900 rounded-lg absolute bottom-24 right-6 border-2 border-white overflow-hidden">
+            {cameraOff ? (
+              <div className="w-full h-full bg-gray-800 flex items-center justify-center">
+                <VideoOff className="w-6 h-6 text-gray-400" />
+              </div>
+            ) : (
+              <StreamVideo stream={localStream} muted className="w-full h-full object-cover -scale-x-100" />
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-6 mt-8">
+          {status === 'incoming' ? (
+            <>
+              <ControlButton onClick={declineCall} danger label="Decline">
+                <PhoneOff className="w-8 h-8" />
+              </ControlButton>
+              <button
+                onClick={acceptCall}
+                title="Accept"
+                aria-label="Accept"
+                className="w-16 h-16 rounded-full bg-green-600 flex items-center justify-center hover:bg-green-700 transition-colors animate-bounce"
+              >
+                {isVideo ? <Video className="w-8 h-8" /> : <Phone className="w-8 h-8" />}
+              </button>
+            </>
+          ) : (
+            <>
+              <ControlButton onClick={toggleMute} active={muted} label={muted ? 'Unmute' : 'Mute'}>
+                {muted ? <MicOff className="w-8 h-8" /> : <Mic className="w-8 h-8" />}
+              </ControlButton>
+              {isVideo && (
+                <ControlButton onClick={toggleCamera} active={cameraOff} label={cameraOff ? 'Turn camera on' : 'Turn camera off'}>
+                  {cameraOff ? <VideoOff className="w-8 h-8" /> : <Video className="w-8 h-8" />}
+                </ControlButton>
+              )}
+              <ControlButton onClick={hangUp} danger label="Hang up">
+                <Phone className="w-8 h-8 transform rotate-135" />
+              </ControlButton>
+            </>
+          )}
+        </div>
+
+        <div className="mt-8 text-center">
+          <div className="text-xl font-semibold">{statusText}</div>
+          <div className="text-gray-400 mt-2">
+            {isVideo ? 'Video Call' : 'Audio Call'} {direction === 'incoming' ? 'from' : 'with'} {peerName}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CallOverlay;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Activity, ChevronLeft, Download, FileText, Pause, Play, RotateCcw } from 'lucide-react';
+import { getEcgSession, getEcgSessions } from '../../lib/api';
+import {
+  downloadEcgCsv, downloadEcgPdf, drawEcgTrace, getSessionDurationSeconds, getSessionSampleRate,
+} from '../../utils/ecgSession';
+
+const REPLAY_WINDOW_SECONDS = 5;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const NO_SAMPLES = [];
+
+const formatSeconds = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Replays a saved session's samples through a scrolling window at the chosen speed
+ */
+const ECGReplay = ({ session, darkMode }) => {
+  const canvasRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [position, setPosition] = useState(0); // seconds into the recording
+  const samples = session.samples || NO_SAMPLES;
+  const rate = getSessionSampleRate(session);
+  const total = samples.length / rate;
+
+  // Advance the playhead while playing
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const dt = (now - last) / 1000;
+      last = now;
+      setPosition((prev) => {
+        const next = prev + dt * speed;
+        if (next >= total) {
+          setPlaying(false);
+          return total;
+        }
+        return next;
+      });
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, total]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const end = Math.max(Math.round(position * rate), Math.min(samples.length, Math.round(REPLAY_WINDOW_SECONDS * rate)));
+    const start = Math.max(0, end - Math.round(REPLAY_WINDOW_SECONDS * rate));
+    drawEcgTrace(canvas.getContext('2d'), samples.slice(start, end), { width: canvas.width, height: canvas.height, leadingDot: playing });
+  }, [position, samples, rate, playing]);
+
+  const togglePlay = () => {
+    if (!playing && position >= total) setPosition(0);
+    setPlaying((prev) => !prev);
+  };
+
+  const controlStyle = {
+    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px',
+    padding: '5px 10px', borderRadius: '6px', cursor: 'pointer', fontSize: '10px', fontWeight: '700',
+    background: darkMode ? 'rgba(0,255,100,0.12)' : 'rgba(0,180,80,0.12)',
+    color: darkMode ? '#4ade80' : '#166534',
+    border: darkMode ? '1px solid rgba(0,255,100,0.2)' : '1px solid rgba(0,180,80,0.25)',
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        width={780}
+        height={180}
+        style={{ width: '100%', height: '180px', borderRadius: '8px', background: 'linear-gradient(180deg, #020f07 0%, #011008 100%)', display: 'block' }}
+      />
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '10px' }}>
+        <button style={controlStyle} onClick={togglePlay} aria-label={playing ? 'Pause' : 'Play'}>
+          {playing ? <Pause size={12} /> : <Play size={12} />}
+        </button>
+        <button style={controlStyle} onClick={() => { setPlaying(false); setPosition(0); }} aria-label="Restart">
+          <RotateCcw size={12} />
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={total || 0}
+          step={0.05}
+          value={Math.min(position, total)}
+          onChange={(e) => setPosition(Number(e.target.value))}
+          style={{ flex: 1, accentColor: '#00c853' }}
+          aria-label="Replay position"
+        />
+        <span style={{ fontSize: '11px', color: darkMode ? '#9ca3af' : '#6b7280', minWidth: '84px', textAlign: 'right' }}>
+          {formatSeconds(position)} / {formatSeconds(total)}
+        </span>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          style={{ ...controlStyle, padding: '4px 6px' }}
+          aria-label="Replay speed"
+        >
+          {REPLAY_SPEEDS.map((value) => <option key={value} value={value}>{value}×</option>)}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Saved ECG sessions for one patient: list, replay, and CSV/PDF export
+ */
+const ECGSessionHistory = ({ patient, darkMode }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [loadingSessionId, setLoadingSessionId] = useState(null);
+
+  useEffect(() => {
+    if (!patient?.id) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getEcgSessions(patient.id)
+      .then((list) => { if (!cancelled) setSessions(list); })
+      .catch((err) => { if (!cancelled) setError(err.message || 'Failed to load ECG history'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [patient?.id]);
+
+  const openSession = async (sessionId) => {
+    setLoadingSessionId(sessionId);
+    setError(null);
+    try {
+      setSelected(await getEcgSession(sessionId));
+    } catch (err) {
+      setError(err.message || 'Failed to load ECG session');
+    } finally {
+      setLoadingSessionId(null);
+    }
+  };
+
+  const muted = darkMode ? '#6b7280' : '#9ca3af';
+  const text = darkMode ? '#d1fae5' : '#1f2937';
+  const card = {
+    padding: '12px 14px', borderRadius: '10px', marginBottom: '8px',
+    background: darkMode ? 'rgba(255,255,255,0.03)' : 'rgba(0,0,0,0.03)',
+    border: darkMode ? '1px solid rgba(255,255,255,0.07)' : '1px solid rgba(0,0,0,0.08)',
+  };
+  const button = {
+    display: 'inline-flex', alignItems: 'center', gap: '5px',
+    padding: '6px 12px', borderRadius: '6px', cursor: 'pointer',
+    fontSize: '10px', fontWeight: '700', letterSpacing: '0.08em', textTransform: 'uppercase',
+    background: darkMode ? 'rgba(0,255,100,0.12)' : 'rgba(0,180,80,0.12)',
+    color: darkMode ? '#4ade80' : '#166534',
+    border: darkMode ? '1px solid rgba(0,255,100,0.2)' : '1px solid rgba(0,180,80,0.25)',
+  };
+
+  if (selected) {
+    const summary = selected.ecg_summary || {};
+    const hasSamples = (selected.samples || []).length > 0;
+    return (
+      <div>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+          <button style={{ ...button, background: 'transparent', border: 'none', padding: 0 }} onClick={() => setSelected(null)}>
+            <ChevronLeft size={12} />All recordings
+          </button>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button style={button} onClick={() => downloadEcgCsv(selected, patient.name)} disabled={!hasSamples}>
+              <Download size={11} />CSV
+            </button>
+            <button style={button} onClick={() => downloadEcgPdf(selected, patient.name)} disabled={!hasSamples}>
+              <FileText size={11} />PDF Strip
+            </button>
+          </div>
+        </div>
+
+        <div style={{ fontSize: '12px', color: text, marginBottom: '10px' }}>
+          {new Date(selected.started_at).toLocaleString()}
+          <span style={{ color: muted }}> · {getSessionDurationSeconds(selected).toFixed(0)}s</span>
+          {selected.status === 'incomplete' && <span style={{ color: '#f59e0b' }}> · Incomplete</span>}
+        </div>
+
+        {hasSamples
+          ? <ECGReplay session={selected} darkMode={darkMode} />
+          : <div style={{ ...card, color: muted, fontSize: '12px' }}>No waveform samples were captured for this session.</div>}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', marginTop: '14px' }}>
+          {[
+            ['Heart Rate', summary.heartRate, 'BPM'],
+            ['HRV', summary.hrv, 'ms SDNN'],
+            ['QT Interval', summary.qt, 'ms'],
+          ].map(([label, value, unit]) => (
+            <div key={label} style={{ ...card, marginBottom: 0 }}>
+              <div style={{ fontSize: '9px', fontWeight: '700', letterSpacing: '0.12em', textTransform: 'uppercase', color: muted }}>{label}</div>
+              <div style={{ fontSize: '20px', fontWeight: '800', color: text }}>{value ?? '—'}</div>
+              <div style={{ fontSize: '10px', color: muted }}>{unit}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ ...card, marginTop: '12px' }}>
+          <div style={{ fontSize: '10px', fontWeight: '700', letterSpacing: '0.1em', textTransform: 'uppercase', color: muted, marginBottom: '6px' }}>
+            Clinical Notes
+          </div>
+          <div style={{ fontSize: '12px', lineHeight: '1.6', color: text, whiteSpace: 'pre-wrap' }}>
+            {selected.clinical_notes || <span style={{ color: muted }}>No notes recorded.</span>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && <div style={{ fontSize: '12px', color: darkMode ? '#fca5a5' : '#dc2626', marginBottom: '12px' }}>{error}</div>}
+      {loading ? (
+        <div style={{ padding: '32px', textAlign: 'center', fontSize: '12px', color: muted }}>Loading recordings…</div>
+      ) : sessions.length === 0 ? (
+        <div style={{ padding: '32px', textAlign: 'center', fontSize: '12px', color: muted }}>
+          No saved ECG recordings for {patient?.name || 'this patient'} yet.
+        </div>
+      ) : (
+        sessions.map((session) => (
+          <div key={session.id} style={{ ...card, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <div>
+              <div style={{ fontSize: '12px', fontWeight: '700', color: text }}>
+                <Activity size={11} style={{ display: 'inline', marginRight: '5px', verticalAlign: 'middle', color: '#00e564' }} />
+                {new Date(session.started_at).toLocaleString()}
+              </div>
+              <div style={{ fontSize: '11px', color: muted, marginTop: '3px' }}>
+                {session.ecg_summary?.heartRate != null ? `${session.ecg_summary.heartRate} BPM` : 'No summary'}
+                {session.ecg_summary?.duration != null && ` · ${session.ecg_summary.duration}s`}
+                {session.status === 'incomplete' && ' · Incomplete'}
+                {session.clinical_notes && ' · Notes'}
+              </div>
+            </div>
+            <button style={button} onClick={() => openSession(session.id)} disabled={loadingSessionId === session.id}>
+              {loadingSessionId === session.id ? 'Loading…' : <><Play size={11} />Replay</>}
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ECGSessionHistory;
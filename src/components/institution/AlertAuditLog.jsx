@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RefreshCw, AlertCircle } from 'lucide-react';
+import { getInstitutionAlertAudit } from '../../lib/api';
+
+const ACTIONS = [
+  { id: '', label: 'All actions' },
+  { id: 'raised', label: 'Raised' },
+  { id: 'acknowledged', label: 'Acknowledged' },
+  { id: 'assigned', label: 'Assigned' },
+  { id: 'escalated', label: 'Escalated' },
+  { id: 'resolved', label: 'Resolved' },
+];
+
+const ACTION_COLORS = {
+  raised: '#ef4444',
+  acknowledged: '#3b82f6',
+  assigned: '#8b5cf6',
+  escalated: '#f59e0b',
+  resolved: '#10b981',
+};
+
+const EMPTY_FILTERS = { action: '', actor: '', memberId: '', from: '', to: '' };
+
+/**
+ * Filterable, paginated audit trail of institution alert actions (who did what, when)
+ */
+export default function AlertAuditLog({ darkMode = false, members = [], refreshKey }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const borderCol = darkMode ? '#334155' : '#e2e8f0';
+  const textCol = darkMode ? '#f8fafc' : '#0f172a';
+  const mutedCol = darkMode ? '#94a3b8' : '#6b7280';
+  const input = {
+    background: darkMode ? '#0f172a' : '#f8fafc',
+    border: `1px solid ${borderCol}`,
+    color: textCol,
+    borderRadius: 8,
+    padding: '7px 10px',
+    fontSize: 12,
+    fontWeight: 600,
+    outline: 'none',
+  };
+
+  const load = useCallback(async (pageToLoad, activeFilters, signal) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await getInstitutionAlertAudit({ ...activeFilters, page: pageToLoad });
+      if (signal?.cancelled) return;
+      setEntries(prev => (pageToLoad === 1 ? data.results || [] : [...prev, ...(data.results || [])]));
+      setHasMore(Boolean(data.next));
+      setPage(pageToLoad);
+    } catch (err) {
+      if (!signal?.cancelled) setError(err.message || 'Could not load alert history');
+    } finally {
+      if (!signal?.cancelled) setLoading(false);
+    }
+  }, []);
+
+  // Reload from the first page whenever filters change or the alerts were acted on
+  useEffect(() => {
+    const signal = { cancelled: false };
+    const t = setTimeout(() => load(1, filters, signal), 300);
+    return () => {
+      signal.cancelled = true;
+      clearTimeout(t);
+    };
+  }, [filters, refreshKey, load]);
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <div style={{
+      background: darkMode ? '#1e293b' : '#ffffff',
+      borderRadius: 18,
+      border: `1px solid ${darkMode ? '#334155' : '#f1f5f9'}`,
+      padding: 22,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 16 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <History size={16} color="#3b82f6" />
+          <h3 style={{ fontSize: 14, fontWeight: 700, color: textCol, margin: 0 }}>Alert Audit History</h3>
+        </div>
+        {Object.values(filters).some(Boolean) && (
+          <button
+            onClick={() => setFilters(EMPTY_FILTERS)}
+            style={{ background: 'none', border: 'none', color: '#3b82f6', fontSize: 11, fontWeight: 700, cursor: 'pointer' }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1.2fr 1fr 1fr', gap: 8, marginBottom: 14 }}>
+        <select value={filters.action} onChange={setFilter('action')} style={input} aria-label="Action">
+          {ACTIONS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+        </select>
+        <input value={filters.actor} onChange={setFilter('actor')} placeholder="Staff member..." style={input} aria-label="Staff member" />
+        <select value={filters.memberId} onChange={setFilter('memberId')} style={input} aria-label="Member">
+          <option value="">All members</option>
+          {members.map(m => (
+            <option key={m.user_id} value={m.user_id}>{m.full_name || m.user_email || `Member ${m.user_id}`}</option>
+          ))}
+        </select>
+        <input type="date" value={filters.from} onChange={setFilter('from')} style={input} aria-label="From date" />
+        <input type="date" value={filters.to} onChange={setFilter('to')} style={input} aria-label="To date" />
+      </div>
+
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#ef4444', marginBottom: 10 }}>
+          <AlertCircle size={13} /> {error}
+        </div>
+      )}
+
+      <div style={{ border: `1px solid ${borderCol}`, borderRadius: 12, overflow: 'hidden' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+          <thead>
+            <tr style={{ background: darkMode ? '#0f172a' : '#f8fafc', color: mutedCol, textAlign: 'left' }}>
+              {['When', 'Action', 'Staff', 'Alert', 'Member', 'Note'].map(h => (
+                <th key={h} style={{ padding: '9px 12px', fontSize: 10, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.05em' }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id} style={{ borderTop: `1px solid ${borderCol}`, color: textCol }}>
+                <td style={{ padding: '9px 12px', whiteSpace: 'nowrap', color: mutedCol }}>{new Date(entry.created_at).toLocaleString()}</td>
+                <td style={{ padding: '9px 12px' }}>
+                  <span style={{
+                    fontSize: 10, fontWeight: 800, textTransform: 'uppercase', padding: '2px 8px', borderRadius: 99,
+                    color: ACTION_COLORS[entry.action] || mutedCol, background: `${ACTION_COLORS[entry.action] || '#94a3b8'}18`,
+                  }}>
+                    {entry.action}
+                  </span>
+                </td>
+                <td style={{ padding: '9px 12px', fontWeight: 600 }}>{entry.actor_name || 'System'}</td>
+                <td style={{ padding: '9px 12px' }}>{entry.alert_type}</td>
+                <td style={{ padding: '9px 12px' }}>{entry.member_name}</td>
+                <td style={{ padding: '9px 12px', color: mutedCol }}>{entry.note || '—'}</td>
+              </tr>
+            ))}
+            {!loading && entries.length === 0 && (
+              <tr>
+                <td colSpan={6} style={{ padding: 24, textAlign: 'center', color: mutedCol }}>No alert actions match these filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {(loading || hasMore) && (
+        <div style={{ display: 'flex', justifyContent: 'center', marginTop: 12 }}>
+          <button
+            onClick={() => load(page + 1, filters)}
+            disabled={loading}
+            style={{
+              display: 'flex', alignItems: 'center', gap: 6, padding: '7px 14px', borderRadius: 8,
+              border: `1px solid ${borderCol}`, background: darkMode ? '#334155' : '#f8fafc',
+              color: textCol, fontSize: 12, fontWeight: 700, cursor: loading ? 'default' : 'pointer',
+            }}
+          >
+            {loading ? <><RefreshCw className="animate-spin" size={13} /> Loading...</> : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
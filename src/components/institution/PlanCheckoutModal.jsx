@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { X, Loader, AlertTriangle } from 'lucide-react';
+import { checkoutSubscription } from '../../lib/api';
+import { BILLING_CYCLES } from '../../utils/subscriptionBilling';
+import KhaltiPayment from '../KhaltiPayment';
+
+const KIND_TITLES = {
+  new: 'Subscribe',
+  renew: 'Renew plan',
+  upgrade: 'Upgrade plan',
+  downgrade: 'Downgrade plan',
+};
+
+const formatRs = (amount) => `Rs. ${Math.round(amount).toLocaleString()}`;
+const formatDate = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+/**
+ * Review a plan change with its prorated price, then pay for it with Khalti.
+ * The server's checkout amount is what gets charged; `quote` (from
+ * quotePlanChange) is only the preview.
+ */
+export default function PlanCheckoutModal({ darkMode = false, plan, cycle, quote, memberCount = 0, onClose, onComplete }) {
+  const [invoice, setInvoice] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cardBg = darkMode ? '#1e293b' : '#fff';
+  const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
+  const subtleBorder = darkMode ? '#334155' : '#e2e8f0';
+  const textPrimary = darkMode ? '#fff' : '#0f172a';
+  const textSecondary = darkMode ? '#94a3b8' : '#64748b';
+
+  const cycleInfo = BILLING_CYCLES[cycle];
+  const maxUsers = Number(plan.max_users) || 0;
+  const tooManyMembers = memberCount > maxUsers;
+
+  const handleConfirm = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await checkoutSubscription({ packageId: plan.id, billingCycle: cycle });
+      const amount = parseFloat(result?.amount) || 0;
+      if (amount > 0 && result?.invoice_no) {
+        setInvoice({ invoiceNo: result.invoice_no, amount });
+      } else {
+        onComplete(`You are now on ${plan.name}. Your credit covered the change.`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const lines = [
+    { label: `${plan.name} · ${cycleInfo.label}`, value: formatRs(quote.price) },
+    quote.credit > 0 && { label: 'Credit for unused time on current plan', value: `− ${formatRs(Math.min(quote.credit, quote.price))}` },
+  ].filter(Boolean);
+
+  return (
+    <>
+      <div onClick={onClose} style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.4)', zIndex: 999 }} />
+      <div style={{
+        position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)', background: cardBg, padding: 24,
+        borderRadius: 16, boxShadow: '0 20px 40px rgba(0,0,0,0.2)', zIndex: 1000, width: 420, maxWidth: 'calc(100vw - 32px)',
+        maxHeight: 'calc(100vh - 32px)', overflowY: 'auto',
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, color: textPrimary }}>{KIND_TITLES[quote.kind]}</div>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 4 }}>
+            <X size={18} color={textSecondary} />
+          </button>
+        </div>
+
+        {invoice ? (
+          <KhaltiPayment
+            invoiceNo={invoice.invoiceNo}
+            amount={invoice.amount}
+            title={`Pay for ${plan.name}`}
+            description="Your plan changes as soon as the payment is confirmed"
+            productName={`${plan.name} (${cycleInfo.label}) - ${invoice.invoiceNo}`}
+            onPaymentSuccess={() => onComplete(`Payment received. You are now on ${plan.name}.`)}
+            onCancel={onClose}
+            darkMode={darkMode}
+          />
+        ) : (
+          <>
+            <div style={{ background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 12, padding: 16, marginBottom: 14 }}>
+              {lines.map((line) => (
+                <div key={line.label} style={{ display: 'flex', justifyContent: 'space-between', gap: 12, fontSize: 13, color: textSecondary, marginBottom: 8 }}>
+                  <span>{line.label}</span>
+                  <span style={{ fontWeight: 600, color: textPrimary }}>{line.value}</span>
+                </div>
+              ))}
+              <div style={{ display: 'flex', justifyContent: 'space-between', borderTop: `1px solid ${subtleBorder}`, paddingTop: 10, fontSize: 15, fontWeight: 800, color: textPrimary }}>
+                <span>Due today</span>
+                <span>{formatRs(quote.due)}</span>
+              </div>
+              {quote.carryOver > 0 && (
+                <div style={{ fontSize: 12, color: '#10b981', fontWeight: 600, marginTop: 8 }}>
+                  {formatRs(quote.carryOver)} of unused credit is kept for your next bill.
+                </div>
+              )}
+            </div>
+
+            <div style={{ fontSize: 12, color: textSecondary, lineHeight: 1.6, marginBottom: 14 }}>
+              {quote.kind === 'renew'
+                ? `Your next ${cycleInfo.unit} starts ${formatDate(quote.startsOn)} and runs to ${formatDate(quote.endsOn)}.`
+                : `Starts today and renews on ${formatDate(quote.endsOn)}.`}
+              {' '}Up to {maxUsers} members.
+            </div>
+
+            {tooManyMembers && (
+              <div style={{
+                display: 'flex', gap: 8, alignItems: 'flex-start', padding: 12, borderRadius: 10, marginBottom: 14,
+                background: darkMode ? '#450a0a' : '#fef2f2', color: darkMode ? '#fca5a5' : '#b91c1c', fontSize: 12, lineHeight: 1.5,
+              }}>
+                <AlertTriangle size={16} style={{ flexShrink: 0, marginTop: 1 }} />
+                <span>
+                  {plan.name} allows {maxUsers} members and you have {memberCount}. Remove {memberCount - maxUsers} member
+                  {memberCount - maxUsers === 1 ? '' : 's'} before switching.
+                </span>
+              </div>
+            )}
+
+            {error && <div style={{ fontSize: 12, color: '#ef4444', marginBottom: 12, lineHeight: 1.4 }}>{error}</div>}
+
+            <button
+              onClick={handleConfirm}
+              disabled={busy || tooManyMembers}
+              style={{
+                width: '100%', padding: 12, borderRadius: 10, background: '#3b82f6', color: '#fff', border: 'none',
+                fontSize: 13, fontWeight: 700, cursor: busy || tooManyMembers ? 'not-allowed' : 'pointer',
+                opacity: tooManyMembers ? 0.5 : 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
+              }}
+            >
+              {busy && <Loader size={14} className="animate-spin" />}
+              {quote.due > 0 ? `Continue to pay ${formatRs(quote.due)}` : 'Confirm change'}
+            </button>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Clock, Lock, X } from 'lucide-react';
+
+const DISMISSED_KEY = 'institutionExpiryWarningDismissed';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+/**
+ * Banner above every institution tab when the plan is about to end or has
+ * ended. Each expiry warning (14, 7, 1 days) can be dismissed on its own, so
+ * the next one still shows; the expired notice stays until the plan is renewed.
+ */
+export default function SubscriptionBanner({ darkMode = false, status, onRenew }) {
+  const [dismissed, setDismissed] = useState(() => localStorage.getItem(DISMISSED_KEY));
+
+  if (!status || (status.state !== 'expiring' && status.state !== 'expired')) return null;
+
+  const { subscription } = status;
+  const expired = status.state === 'expired';
+  const warningKey = `${subscription.id}:${status.warning}`;
+  if (!expired && dismissed === warningKey) return null;
+
+  const dismiss = () => {
+    localStorage.setItem(DISMISSED_KEY, warningKey);
+    setDismissed(warningKey);
+  };
+
+  const urgent = expired || status.warning === 1;
+  const palette = urgent
+    ? { bg: darkMode ? '#450a0a' : '#fef2f2', border: darkMode ? '#7f1d1d' : '#fecaca', text: darkMode ? '#fca5a5' : '#b91c1c' }
+    : { bg: darkMode ? '#451a03' : '#fffbeb', border: darkMode ? '#78350f' : '#fde68a', text: darkMode ? '#fcd34d' : '#b45309' };
+  const Icon = expired ? Lock : Clock;
+
+  let message;
+  if (expired) {
+    message = `Your ${subscription.package_name} plan expired on ${formatDate(subscription.end_date)}. The dashboard is read-only: members, vitals and reports stay available and alerts can still be handled, but members, devices and thresholds can't be changed until you renew.`;
+  } else if (status.daysLeft <= 1) {
+    message = `Your ${subscription.package_name} plan expires within a day, on ${formatDate(subscription.end_date)}. Renew now to keep managing members and devices.`;
+  } else {
+    message = `Your ${subscription.package_name} plan expires in ${status.daysLeft} days, on ${formatDate(subscription.end_date)}.`;
+  }
+
+  return (
+    <div style={{
+      display: 'flex', alignItems: 'center', gap: 12, padding: '12px 16px', marginBottom: 20, borderRadius: 14,
+      background: palette.bg, border: `1px solid ${palette.border}`, color: palette.text, fontSize: 13, fontWeight: 600,
+    }}>
+      <Icon size={18} style={{ flexShrink: 0 }} />
+      <span style={{ flex: 1, lineHeight: 1.5 }}>{message}</span>
+      {onRenew && (
+        <button onClick={onRenew} style={{
+          padding: '7px 14px', borderRadius: 9, border: 'none', background: urgent ? '#ef4444' : '#f59e0b',
+          color: '#fff', fontSize: 12, fontWeight: 700, cursor: 'pointer', flexShrink: 0,
+        }}>
+          Renew plan
+        </button>
+      )}
+      {!expired && (
+        <button onClick={dismiss} title="Dismiss" style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 2, color: 'inherit', display: 'flex' }}>
+          <X size={16} />
+        </button>
+      )}
+    </div>
+  );
+}
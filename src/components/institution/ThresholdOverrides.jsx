@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Plus, Trash2, X, Check, RefreshCw, AlertCircle, User, Users } from 'lucide-react';
+import { DEFAULT_THRESHOLDS, THRESHOLD_FIELDS, describeCohort, resolveMemberThresholds, findThresholdConflict, cohortMatches, getMemberAge } from '../../utils/alertThresholds';
+
+const EMPTY_DRAFT = { scope: 'member', member_id: '', min_age: '', max_age: '', label: '', values: {} };
+
+const toNumberOrNull = (value) => (value === '' || value == null ? null : Number(value));
+
+/**
+ * Per-member and age-cohort overrides of the institution alert thresholds,
+ * e.g. a lower SpO₂ floor for a COPD patient. Unset fields inherit the institution value.
+ */
+export default function ThresholdOverrides({ darkMode = false, overrides = [], members = [], thresholds, onSave, onRemove, readOnly = false }) {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const borderCol = darkMode ? '#334155' : '#e2e8f0';
+  const textCol = darkMode ? '#f8fafc' : '#0f172a';
+  const mutedCol = darkMode ? '#94a3b8' : '#6b7280';
+  const input = {
+    background: darkMode ? '#0f172a' : '#f8fafc',
+    border: `1px solid ${borderCol}`,
+    color: textCol,
+    borderRadius: 8,
+    padding: '6px 9px',
+    fontSize: 12,
+    fontWeight: 600,
+    outline: 'none',
+    width: '100%',
+    boxSizing: 'border-box',
+  };
+
+  const memberName = (id) => {
+    const m = members.find(x => String(x.user_id) === String(id));
+    return m ? (m.full_name || m.user_email) : `Member ${id}`;
+  };
+
+  const targetLabel = (o) => (o.scope === 'member' ? memberName(o.member_id) : describeCohort(o));
+
+  const fieldsFor = (o) => THRESHOLD_FIELDS.filter(f => o.values?.[f.key] != null && o.values[f.key] !== '');
+
+  const startEdit = (o) => {
+    setError(null);
+    setDraft(o ? {
+      ...o,
+      member_id: o.member_id ?? '',
+      min_age: o.min_age ?? '',
+      max_age: o.max_age ?? '',
+      label: o.label || '',
+      values: { ...o.values },
+    } : EMPTY_DRAFT);
+  };
+
+  const setDraftField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const setDraftValue = (key, value) => setDraft(prev => ({ ...prev, values: { ...prev.values, [key]: value } }));
+
+  // Why saving `override` would leave someone with contradictory limits, or null.
+  // Checked on the values each affected member would end up with, since unset
+  // fields inherit (e.g. lowering only the SpO₂ warning below the critical limit).
+  const findConflict = (override) => {
+    const base = findThresholdConflict({ ...DEFAULT_THRESHOLDS, ...thresholds, ...override.values });
+    if (base) return base;
+    const next = [...overrides.filter(o => o.id !== override.id), override];
+    const affected = override.scope === 'member'
+      ? members.filter(m => String(m.user_id) === String(override.member_id))
+      : members.filter(m => cohortMatches(override, getMemberAge(m)));
+    for (const m of affected) {
+      const conflict = findThresholdConflict(resolveMemberThresholds(m, thresholds, next).values);
+      if (conflict) return `For ${memberName(m.user_id)}: ${conflict}`;
+    }
+    return null;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const values = Object.fromEntries(
+      Object.entries(draft.values)
+        .filter(([, v]) => v !== '' && v != null)
+        .map(([k, v]) => [k, Number(v)])
+    );
+    const minAge = draft.scope === 'cohort' ? toNumberOrNull(draft.min_age) : null;
+    const maxAge = draft.scope === 'cohort' ? toNumberOrNull(draft.max_age) : null;
+
+    if (draft.scope === 'member' && !draft.member_id) {
+      setError('Choose the member this override applies to.');
+      return;
+    }
+    if (draft.scope === 'cohort' && draft.min_age === '' && draft.max_age === '') {
+      setError('Enter a minimum and/or maximum age for the cohort.');
+      return;
+    }
+    if (minAge != null && maxAge != null && minAge > maxAge) {
+      setError('The minimum age must not be above the maximum age.');
+      return;
+    }
+    if (!Object.keys(values).length) {
+      setError('Set at least one threshold to override.');
+      return;
+    }
+
+    const override = {
+      id: draft.id,
+      scope: draft.scope,
+      member_id: draft.scope === 'member' ? draft.member_id : null,
+      min_age: minAge,
+      max_age: maxAge,
+      label: draft.label.trim(),
+      values,
+    };
+    const conflict = findConflict(override);
+    if (conflict) {
+      setError(conflict);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(override);
+      setDraft(null);
+    } catch (err) {
+      setError(err.message || 'Could not save the override.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    setRemovingId(id);
+    setError(null);
+    try {
+      await onRemove(id);
+    } catch (err) {
+      setError(err.message || 'Could not remove the override.');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  return (
+    <div style={{
+      background: darkMode ? '#1e293b' : '#ffffff',
+      borderRadius: 18,
+      border: `1px solid ${darkMode ? '#334155' : '#f1f5f9'}`,
+      padding: 22,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 14 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <SlidersHorizontal size={16} color="#8b5cf6" />
+          <h3 style={{ fontSize: 14, fontWeight: 700, color: textCol, margin: 0 }}>Threshold Overrides</h3>
+        </div>
+        {!draft && !readOnly && (
+          <button
+            onClick={() => startEdit(null)}
+            style={{ display: 'flex', alignItems: 'center', gap: 4, background: '#8b5cf620', color: '#8b5cf6', border: 'none', borderRadius: 8, padding: '5px 10px', fontSize: 11, fontWeight: 700, cursor: 'pointer' }}
+          >
+            <Plus size={12} /> Add
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, color: '#ef4444', marginBottom: 10 }}>
+          <AlertCircle size={13} /> {error}
+        </div>
+      )}
+
+      {draft && !readOnly && (
+        <form onSubmit={handleSave} style={{ display: 'flex', flexDirection: 'column', gap: 10, padding: 12, borderRadius: 12, border: `1px solid ${borderCol}`, marginBottom: 14 }}>
+          <div style={{ display: 'flex', gap: 4, background: darkMode ? '#0f172a' : '#f1f5f9', padding: 3, borderRadius: 8 }}>
+            {[{ id: 'member', label: 'Member' }, { id: 'cohort', label: 'Age cohort' }].map(opt => (
+              <button
+                key={opt.id}
+                type="button"
+                disabled={Boolean(draft.id)}
+                onClick={() => setDraftField('scope', opt.id)}
+                style={{
+                  flex: 1, padding: '5px 8px', border: 'none', borderRadius: 6, fontSize: 11, fontWeight: 700, cursor: draft.id ? 'default' : 'pointer',
+                  background: draft.scope === opt.id ? (darkMode ? '#1e293b' : '#fff') : 'transparent',
+                  color: draft.scope === opt.id ? textCol : mutedCol,
+                }}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+
+          {draft.scope === 'member' ? (
+            <select value={draft.member_id} onChange={(e) => setDraftField('member_id', e.target.value)} style={input} aria-label="Member">
+              <option value="">Select member...</option>
+              {members.map(m => (
+                <option key={m.user_id} value={m.user_id}>{m.full_name || m.user_email || `Member ${m.user_id}`}</option>
+              ))}
+            </select>
+          ) : (
+            <div style={{ display: 'flex', gap: 8 }}>
+              <input type="number" min="0" max="120" value={draft.min_age} onChange={(e) => setDraftField('min_age', e.target.value)} placeholder="Min age" style={input} aria-label="Minimum age" />
+              <input type="number" min="0" max="120" value={draft.max_age} onChange={(e) => setDraftField('max_age', e.target.value)} placeholder="Max age" style={input} aria-label="Maximum age" />
+            </div>
+          )}
+
+          <input value={draft.label} onChange={(e) => setDraftField('label', e.target.value)} placeholder="Reason, e.g. COPD" style={input} aria-label="Reason" />
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+            {THRESHOLD_FIELDS.map(f => (
+              <label key={f.key} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 11, color: mutedCol, fontWeight: 600 }}>
+                <span style={{ flex: 1 }}>{f.label}</span>
+                <input
+                  type="number"
+                  min={f.min}
+                  max={f.max}
+                  step={f.step}
+                  value={draft.values[f.key] ?? ''}
+                  onChange={(e) => setDraftValue(f.key, e.target.value)}
+                  placeholder={thresholds?.[f.key] != null ? String(thresholds[f.key]) : ''}
+                  style={{ ...input, width: 72 }}
+                />
+                <span style={{ width: 34 }}>{f.unit}</span>
+              </label>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              type="button"
+              onClick={() => { setDraft(null); setError(null); }}
+              style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 4, background: 'transparent', color: mutedCol, border: `1px solid ${borderCol}`, borderRadius: 8, padding: '7px 10px', fontSize: 11, fontWeight: 700, cursor: 'pointer' }}
+            >
+              <X size={12} /> Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 4, background: '#8b5cf6', color: '#fff', border: 'none', borderRadius: 8, padding: '7px 10px', fontSize: 11, fontWeight: 700, cursor: 'pointer' }}
+            >
+              {saving ? <RefreshCw size={12} className="animate-spin" /> : <Check size={12} />} Save
+            </button>
+          </div>
+        </form>
+      )}
+
+      {overrides.length === 0 && !draft ? (
+        <div style={{ fontSize: 11, color: mutedCol }}>
+          No overrides. Every member uses the institution thresholds.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {overrides.map(o => (
+            <div key={o.id} style={{ padding: '10px 12px', borderRadius: 12, border: `1px solid ${borderCol}` }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                {o.scope === 'member' ? <User size={13} color="#3b82f6" /> : <Users size={13} color="#8b5cf6" />}
+                <span style={{ flex: 1, fontSize: 12, fontWeight: 700, color: textCol }}>
+                  {targetLabel(o)}
+                  {o.label && <span style={{ fontWeight: 500, color: mutedCol }}> · {o.label}</span>}
+                </span>
+                {!readOnly && (
+                  <>
+                    <button onClick={() => startEdit(o)} style={{ background: 'none', border: 'none', color: '#3b82f6', fontSize: 11, fontWeight: 700, cursor: 'pointer' }}>
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleRemove(o.id)}
+                      disabled={removingId === o.id}
+                      aria-label="Remove override"
+                      style={{ background: 'none', border: 'none', color: '#ef4444', cursor: 'pointer', display: 'flex' }}
+                    >
+                      {removingId === o.id ? <RefreshCw size={12} className="animate-spin" /> : <Trash2 size={13} />}
+                    </button>
+                  </>
+                )}
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginTop: 6 }}>
+                {fieldsFor(o).map(f => (
+                  <span key={f.key} style={{ fontSize: 10, fontWeight: 600, color: mutedCol, background: darkMode ? '#0f172a' : '#f1f5f9', padding: '2px 7px', borderRadius: 6 }}>
+                    {f.label}: {o.values[f.key]}{f.unit === '%' || f.unit === '°C' ? f.unit : ` ${f.unit}`}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Loader2, Pencil, Ban, X } from 'lucide-react';
+import { getMyCaregivers, updateMappingAccess, revokeUserMapping } from '../../lib/api';
+import {
+  getMappingPermissions, describePermissions, isMappingExpired, toAccessFormValue, toAccessPayload,
+} from '../../utils/mappingPermissions';
+import MappingAccessForm from './MappingAccessForm';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+/**
+ * Settings section listing everyone who can see the current user's data, with
+ * what each of them can access. The user can narrow that access or revoke it.
+ */
+const CaregiverAccessList = ({ darkMode }) => {
+  const [caregivers, setCaregivers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Mapping whose access is being edited, with the form value
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMyCaregivers()
+      .then((list) => { if (!cancelled) setCaregivers(list); })
+      .catch((err) => {
+        console.error('Error fetching caregivers:', err);
+        if (!cancelled) setError(err.message || 'Failed to fetch caregivers');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSave = async () => {
+    setBusyId(editing.mapping.id);
+    setError(null);
+    try {
+      const updated = await updateMappingAccess(editing.mapping.id, toAccessPayload(editing.value));
+      setCaregivers((prev) => prev.map((c) => (c.id === editing.mapping.id ? { ...c, ...updated } : c)));
+      setEditing(null);
+    } catch (err) {
+      setError(err.message || 'Failed to update access');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevoke = async (mapping) => {
+    const name = mapping.user?.full_name || mapping.user?.email || 'this person';
+    if (!window.confirm(`Revoke ${name}'s access to your health data? They will need a new request to link again.`)) return;
+    setBusyId(mapping.id);
+    setError(null);
+    try {
+      await revokeUserMapping(mapping.id);
+      setCaregivers((prev) => prev.filter((c) => c.id !== mapping.id));
+    } catch (err) {
+      setError(err.message || 'Failed to revoke access');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className={`p-4 rounded-xl border mb-4 ${darkMode ? 'bg-violet-900/10 border-violet-900' : 'bg-violet-50/50 border-violet-200'}`}>
+      <div className="flex items-center gap-3 mb-3">
+        <div className={`${darkMode ? 'bg-violet-800' : 'bg-violet-100'} p-2 rounded-lg`}>
+          <Users className={`${darkMode ? 'text-violet-300' : 'text-violet-600'} w-5 h-5`} />
+        </div>
+        <div>
+          <h4 className={`${darkMode ? 'text-violet-200' : 'text-violet-800'} font-semibold text-sm md:text-base`}>Who can see my data</h4>
+          <p className={`${darkMode ? 'text-violet-300' : 'text-violet-600'} text-xs md:text-sm`}>
+            People you linked with through User Mapping, and what each of them can access
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className={`w-5 h-5 animate-spin ${muted}`} />
+        </div>
+      ) : caregivers.length === 0 ? (
+        <p className={`text-sm ${muted}`}>No one has access to your data.</p>
+      ) : (
+        <div className="space-y-2">
+          {caregivers.map((mapping) => {
+            const expired = isMappingExpired(mapping);
+            const isEditing = editing?.mapping.id === mapping.id;
+            return (
+              <div key={mapping.id} className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-white'}`}>
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className={`text-sm font-medium truncate ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                      {mapping.user?.full_name || mapping.user?.email}
+                    </p>
+                    {mapping.user?.full_name && <p className={`text-xs truncate ${muted}`}>{mapping.user.email}</p>}
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {describePermissions(getMappingPermissions(mapping)).map((label) => (
+                        <span
+                          key={label}
+                          className={`px-2 py-0.5 rounded-full text-[11px] ${darkMode ? 'bg-violet-500/20 text-violet-300' : 'bg-violet-100 text-violet-700'}`}
+                        >
+                          {label}
+                        </span>
+                      ))}
+                      <span className={`px-2 py-0.5 rounded-full text-[11px] ${
+                        expired ? 'bg-red-500/20 text-red-500' : darkMode ? 'bg-gray-600 text-gray-300' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {mapping.access_expires_at
+                          ? `${expired ? 'Expired' : 'Until'} ${formatDate(mapping.access_expires_at)}`
+                          : 'No end date'}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="flex gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => setEditing(isEditing ? null : { mapping, value: toAccessFormValue(mapping) })}
+                      disabled={busyId === mapping.id}
+                      title={isEditing ? 'Close' : 'Change access'}
+                      className={`p-2 rounded-lg ${darkMode ? 'hover:bg-gray-600 text-gray-300' : 'hover:bg-gray-100 text-gray-600'}`}
+                    >
+                      {isEditing ? <X className="w-4 h-4" /> : <Pencil className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => handleRevoke(mapping)}
+                      disabled={busyId === mapping.id}
+                      title="Revoke access"
+                      className="p-2 rounded-lg text-red-500 hover:bg-red-500/10"
+                    >
+                      {busyId === mapping.id && !isEditing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Ban className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+
+                {isEditing && (
+                  <div className={`mt-3 pt-3 border-t ${darkMode ? 'border-gray-600' : 'border-gray-100'}`}>
+                    <MappingAccessForm
+                      darkMode={darkMode}
+                      value={editing.value}
+                      onChange={(value) => setEditing({ ...editing, value })}
+                      disabled={busyId === mapping.id}
+                    />
+                    <div className="flex justify-end gap-2 mt-3">
+                      <button
+                        onClick={() => setEditing(null)}
+                        className={`px-4 py-2 rounded-lg text-sm ${darkMode ? 'bg-gray-600 text-gray-200' : 'bg-gray-100 text-gray-700'}`}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleSave}
+                        disabled={busyId === mapping.id}
+                        className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-violet-600 hover:bg-violet-700 disabled:opacity-50"
+                      >
+                        {busyId === mapping.id ? 'Saving...' : 'Save access'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaregiverAccessList;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { MapPin, Pill, CalendarCheck, Clock } from 'lucide-react';
+import { MAPPING_METRICS } from '../../utils/mappingPermissions';
+
+const TOGGLES = [
+  { key: 'location', label: 'Share location', icon: MapPin },
+  { key: 'manage_medications', label: 'Manage medications', icon: Pill },
+  { key: 'book_appointments', label: 'Book appointments', icon: CalendarCheck },
+];
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Checkboxes for the access a mapping grants: visible metrics, location,
+ * medication management, booking, and an optional end date.
+ * `value` is { permissions, expiresOn: 'YYYY-MM-DD' | '' }.
+ */
+const MappingAccessForm = ({ darkMode, value, onChange, disabled = false }) => {
+  const { permissions, expiresOn } = value;
+
+  const setPermissions = (patch) => onChange({ ...value, permissions: { ...permissions, ...patch } });
+  const toggleMetric = (id) => setPermissions({
+    metrics: permissions.metrics.includes(id)
+      ? permissions.metrics.filter((m) => m !== id)
+      : MAPPING_METRICS.map((m) => m.id).filter((m) => m === id || permissions.metrics.includes(m)),
+  });
+
+  const label = `text-xs font-semibold uppercase tracking-wide mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const chip = (on) => `flex items-center gap-2 px-3 py-2 rounded-xl border text-sm cursor-pointer transition-colors ${
+    on
+      ? darkMode ? 'border-violet-500 bg-violet-500/15 text-violet-200' : 'border-violet-400 bg-violet-50 text-violet-700'
+      : darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+  } ${disabled ? 'opacity-60 cursor-not-allowed' : ''}`;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className={label}>Health data</p>
+        <div className="grid grid-cols-2 gap-2">
+          {MAPPING_METRICS.map((metric) => (
+            <label key={metric.id} className={chip(permissions.metrics.includes(metric.id))}>
+              <input
+                type="checkbox"
+                className="accent-violet-500"
+                checked={permissions.metrics.includes(metric.id)}
+                onChange={() => toggleMetric(metric.id)}
+                disabled={disabled}
+              />
+              {metric.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className={label}>Other access</p>
+        <div className="space-y-2">
+          {TOGGLES.map((toggle) => {
+            const Icon = toggle.icon;
+            return (
+              <label key={toggle.key} className={chip(permissions[toggle.key])}>
+                <input
+                  type="checkbox"
+                  className="accent-violet-500"
+                  checked={permissions[toggle.key]}
+                  onChange={(e) => setPermissions({ [toggle.key]: e.target.checked })}
+                  disabled={disabled}
+                />
+                <Icon className="w-4 h-4" />
+                {toggle.label}
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <p className={label}>Access ends</p>
+        <div className="flex items-center gap-2">
+          <Clock className={`w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} />
+          <input
+            type="date"
+            min={todayKey()}
+            value={expiresOn}
+            onChange={(e) => onChange({ ...value, expiresOn: e.target.value })}
+            disabled={disabled}
+            className={`px-3 py-2 rounded-xl border text-sm ${
+              darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+            }`}
+          />
+          {expiresOn ? (
+            <button
+              type="button"
+              onClick={() => onChange({ ...value, expiresOn: '' })}
+              disabled={disabled}
+              className={`text-xs underline ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}
+            >
+              No end date
+            </button>
+          ) : (
+            <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>No end date</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MappingAccessForm;
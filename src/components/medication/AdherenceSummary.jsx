@@ -0,0 +1,85 @@
+import React, { useMemo, useState } from 'react';
+import { computeAdherence } from '../../utils/medicationSchedule';
+
+const PERIODS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+];
+
+const percentColor = (percent) => {
+  if (percent == null) return 'bg-gray-300';
+  if (percent >= 90) return 'bg-emerald-500';
+  if (percent >= 70) return 'bg-amber-500';
+  return 'bg-red-500';
+};
+
+/**
+ * Adherence percentage, per-medication breakdown and day-by-day history
+ */
+const AdherenceSummary = ({ darkMode, medications, logs }) => {
+  const [days, setDays] = useState(7);
+  const adherence = useMemo(() => computeAdherence(medications, logs, { days }), [medications, logs, days]);
+
+  const text = darkMode ? 'text-white' : 'text-gray-800';
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className={`text-3xl font-bold ${text}`}>
+            {adherence.percent == null ? '—' : `${adherence.percent}%`}
+          </p>
+          <p className={`text-xs ${muted}`}>
+            {adherence.due
+              ? `${adherence.taken + adherence.late} of ${adherence.due} doses taken · ${adherence.late} late · ${adherence.skipped} skipped · ${adherence.missed} not logged`
+              : 'No scheduled doses in this period'}
+          </p>
+        </div>
+        <div className={`flex gap-1 p-1 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          {PERIODS.map(p => (
+            <button
+              key={p.days}
+              onClick={() => setDays(p.days)}
+              className={`px-2.5 py-1 rounded-md text-xs font-semibold ${
+                days === p.days ? 'bg-violet-500 text-white' : muted
+              }`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Day-by-day history */}
+      <div className="flex items-end gap-0.5 h-12" aria-label="Daily adherence">
+        {adherence.byDay.map(day => (
+          <div
+            key={day.date}
+            title={`${day.date}: ${day.percent == null ? 'no doses' : `${day.percent}% (${day.taken + day.late}/${day.due})`}`}
+            className={`flex-1 rounded-sm ${percentColor(day.percent)} ${day.percent == null ? 'opacity-30' : ''}`}
+            style={{ height: `${day.percent == null ? 8 : Math.max(8, day.percent)}%` }}
+          />
+        ))}
+      </div>
+
+      {adherence.perMedication.length > 0 && (
+        <div className="space-y-2">
+          {adherence.perMedication.map(med => (
+            <div key={med.id}>
+              <div className="flex justify-between text-xs mb-1">
+                <span className={`font-semibold ${text}`}>{med.name}</span>
+                <span className={muted}>{med.percent}% · {med.taken + med.late}/{med.due}</span>
+              </div>
+              <div className={`h-1.5 rounded-full ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+                <div className={`h-1.5 rounded-full ${percentColor(med.percent)}`} style={{ width: `${med.percent}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdherenceSummary;
@@ -1,19 +1,42 @@
 import React, { useState } from 'react';
-import { X, Pill, Clock, Calendar, ToggleLeft, ToggleRight, Plus, Loader2 } from 'lucide-react';
-import { createMedication } from '../../services/medicationApi';
+import { X, Pill, Clock, Calendar, ToggleLeft, ToggleRight, Plus, Loader2, BellRing } from 'lucide-react';
+import { createMedication, updateMedication } from '../../services/medicationApi';
+import { ensureReminderDevice } from '../../lib/medicationReminders';
+import { DEFAULT_SCHEDULE, describeSchedule, validateSchedule } from '../../utils/medicationSchedule';
+import ScheduleEditor from './ScheduleEditor';
 
 const initialForm = {
   name: '',
   dosage: '',
-  frequency: '',
+  schedule: DEFAULT_SCHEDULE,
   start_date: '',
   end_date: '',
   skip_date: '',
   medication_status: true,
+  reminders_enabled: true,
 };
 
-const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
-  const [form, setForm] = useState(initialForm);
+// Form state for editing an existing medication
+const formFromMedication = (med) => ({
+  ...initialForm,
+  name: med.name || '',
+  dosage: med.dosage || '',
+  schedule: med.schedule?.type ? med.schedule : DEFAULT_SCHEDULE,
+  start_date: med.start_date || '',
+  end_date: med.end_date || '',
+  skip_date: med.skip_date || '',
+  medication_status: med.medication_status !== false,
+  reminders_enabled: Boolean(med.reminders_enabled),
+  change_reason: '',
+});
+
+/**
+ * Adds a medication, or edits `medication` when one is passed
+ */
+const MedicationForm = ({ darkMode, userId, medication = null, onSuccess, onClose }) => {
+  const isEdit = Boolean(medication);
+  const [form, setForm] = useState(() => (medication ? formFromMedication(medication) : initialForm));
+  const dosageChanged = isEdit && form.dosage.trim() !== (medication.dosage || '');
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [toast, setToast] = useState(null); // { type: 'success'|'error', message }
@@ -27,7 +50,8 @@ const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
     const errs = {};
     if (!form.name.trim()) errs.name = 'Medication name is required.';
     if (!form.dosage.trim()) errs.dosage = 'Dosage is required.';
-    if (!form.frequency.trim()) errs.frequency = 'Frequency is required.';
+    const scheduleError = validateSchedule(form.schedule);
+    if (scheduleError) errs.schedule = scheduleError;
     if (!form.start_date) errs.start_date = 'Start date is required.';
     if (!form.end_date) errs.end_date = 'End date is required.';
     if (form.start_date && form.end_date && form.end_date < form.start_date) {
@@ -53,6 +77,16 @@ const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
     setForm((prev) => ({ ...prev, medication_status: !prev.medication_status }));
   };
 
+  const handleScheduleChange = (schedule) => {
+    setForm((prev) => ({ ...prev, schedule }));
+    setErrors((prev) => {
+      if (!prev.schedule) return prev;
+      const next = { ...prev };
+      delete next.schedule;
+      return next;
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     const errs = validate();
@@ -66,25 +100,43 @@ const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
       const payload = {
         name: form.name.trim(),
         dosage: form.dosage.trim(),
-        frequency: form.frequency.trim(),
+        // Free-text frequency is kept for older clients that don't read `schedule`
+        frequency: describeSchedule(form.schedule),
+        schedule: form.schedule,
         start_date: form.start_date,
         end_date: form.end_date,
         medication_status: form.medication_status,
+        reminders_enabled: form.reminders_enabled,
       };
       if (form.skip_date) payload.skip_date = form.skip_date;
+      else if (isEdit) payload.skip_date = null;
       if (userId) payload.user_id = userId;
 
-      await createMedication(payload);
-      showToast('success', 'Medication added successfully!');
-      setForm(initialForm);
+      if (isEdit) {
+        if (dosageChanged && form.change_reason.trim()) payload.change_reason = form.change_reason.trim();
+        await updateMedication(medication.id, payload);
+      } else {
+        await createMedication(payload);
+      }
+
+      // Reminders are pushed to this device; only the patient's own browser needs registering
+      let remindersReady = true;
+      if (form.reminders_enabled && !userId) {
+        remindersReady = await ensureReminderDevice().catch(() => false);
+      }
+      showToast(
+        'success',
+        remindersReady
+          ? `Medication ${isEdit ? 'updated' : 'added'} successfully!`
+          : `Medication ${isEdit ? 'updated' : 'added'}. Allow notifications in your browser to get dose reminders.`
+      );
+      if (!isEdit) setForm(initialForm);
       setErrors({});
       if (onSuccess) onSuccess();
     } catch (err) {
       const msg =
-        err?.response?.data?.detail ||
-        err?.response?.data?.message ||
         err?.message ||
-        'Failed to add medication.';
+        `Failed to ${isEdit ? 'update' : 'add'} medication.`;
       showToast('error', msg);
     } finally {
       setLoading(false);
@@ -146,20 +198,32 @@ const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
           </div>
         </div>
 
-        {/* Row 2 – Frequency */}
+        {dosageChanged && (
+          <div>
+            <label className={labelBase}>Reason for dosage change</label>
+            <input
+              type="text"
+              name="change_reason"
+              value={form.change_reason}
+              onChange={handleChange}
+              placeholder={`e.g., Reduced from ${medication.dosage} on doctor's advice`}
+              className={inputBase}
+            />
+          </div>
+        )}
+
+        {/* Row 2 – Schedule */}
         <div>
           <label className={labelBase}>
-            <span className="flex items-center gap-1"><Clock className="w-3 h-3" /> Frequency *</span>
+            <span className="flex items-center gap-1"><Clock className="w-3 h-3" /> Schedule *</span>
           </label>
-          <input
-            type="text"
-            name="frequency"
-            value={form.frequency}
-            onChange={handleChange}
-            placeholder="e.g., Twice daily, Every 8 hours"
-            className={`${inputBase} ${errors.frequency ? 'border-red-500' : ''}`}
+          <ScheduleEditor
+            darkMode={darkMode}
+            value={form.schedule}
+            onChange={handleScheduleChange}
+            inputClassName={inputBase}
+            error={errors.schedule}
           />
-          {errors.frequency && <p className="text-red-500 text-xs mt-1">{errors.frequency}</p>}
         </div>
 
         {/* Row 3 – Start & End Dates */}
@@ -228,6 +292,20 @@ const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
           </button>
         </div>
 
+        {/* Row 6 – Reminders */}
+        <label className="flex items-center justify-between cursor-pointer">
+          <span className={`flex items-center gap-1.5 text-sm font-semibold ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            <BellRing className="w-4 h-4 text-violet-500" /> Remind at each dose
+          </span>
+          <input
+            type="checkbox"
+            name="reminders_enabled"
+            checked={form.reminders_enabled}
+            onChange={handleChange}
+            className="w-4 h-4 accent-violet-600"
+          />
+        </label>
+
         {/* Submit */}
         <div className="pt-2 flex gap-3">
           {onClose && (
@@ -254,7 +332,7 @@ const MedicationForm = ({ darkMode, userId, onSuccess, onClose }) => {
             ) : (
               <Plus className="w-4 h-4" />
             )}
-            {loading ? 'Saving...' : 'Add Medication'}
+            {loading ? 'Saving...' : isEdit ? 'Save Changes' : 'Add Medication'}
           </button>
         </div>
       </form>
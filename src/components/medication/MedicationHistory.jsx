@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import { getMedicationHistory } from '../../services/medicationApi';
+
+const FIELD_LABELS = {
+  dosage: 'Dosage',
+  schedule: 'Schedule',
+  frequency: 'Frequency',
+  medication_status: 'Status',
+  discontinued: 'Discontinued',
+  end_date: 'End date',
+  start_date: 'Start date',
+  name: 'Name',
+};
+
+const formatValue = (value) => {
+  if (value === true) return 'Active';
+  if (value === false) return 'Inactive';
+  if (value == null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Change history of one medication (dosage changes, discontinuation, ...)
+ */
+const MedicationHistory = ({ darkMode, medicationId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMedicationHistory(medicationId)
+      .then((list) => { if (!cancelled) setEntries(list); })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || 'Failed to load history.');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [medicationId]);
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  if (loading) return <Loader2 className="w-4 h-4 animate-spin text-violet-500 my-2" />;
+  if (error) return <p className="text-red-500 text-xs">{error}</p>;
+  if (!entries.length) return <p className={`text-xs ${muted}`}>No changes since this medication was added.</p>;
+
+  return (
+    <ol className="space-y-2">
+      {entries.map((entry) => (
+        <li key={entry.id} className="text-xs">
+          <div className={darkMode ? 'text-gray-200' : 'text-gray-700'}>
+            <span className="font-semibold">{FIELD_LABELS[entry.field] || entry.field}:</span>{' '}
+            {formatValue(entry.old_value)} → {formatValue(entry.new_value)}
+          </div>
+          <div className={muted}>
+            {new Date(entry.changed_at).toLocaleString()}
+            {entry.changed_by_name && ` · ${entry.changed_by_name}`}
+            {entry.reason && ` · “${entry.reason}”`}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default MedicationHistory;
@@ -10,14 +10,27 @@ import {
   ToggleRight,
   Loader2,
   PackageOpen,
+  BellRing,
+  Pencil,
+  Trash2,
+  Ban,
+  History,
 } from 'lucide-react';
-import { toggleMedicationStatus } from '../../services/medicationApi';
+import { toggleMedicationStatus, discontinueMedication, deleteMedication } from '../../services/medicationApi';
+import { describeSchedule } from '../../utils/medicationSchedule';
+import MedicationHistory from './MedicationHistory';
 
 const today = new Date().toISOString().split('T')[0];
 
-const MedicationList = ({ darkMode, medications, loading, onRefresh }) => {
+// readOnly hides every action that changes a medication (caregivers without medication access)
+const MedicationList = ({ darkMode, medications, loading, onRefresh, onEdit, readOnly = false }) => {
   const [togglingId, setTogglingId] = useState(null);
   const [toast, setToast] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  // { type: 'discontinue' | 'delete', med }
+  const [pendingAction, setPendingAction] = useState(null);
+  const [reason, setReason] = useState('');
+  const [actionLoading, setActionLoading] = useState(false);
 
   const showToast = (type, message) => {
     setToast({ type, message });
@@ -37,6 +50,32 @@ const MedicationList = ({ darkMode, medications, loading, onRefresh }) => {
     }
   };
 
+  const openAction = (type, med) => {
+    setPendingAction({ type, med });
+    setReason('');
+  };
+
+  const handleConfirmAction = async () => {
+    const { type, med } = pendingAction;
+    if (type === 'discontinue' && !reason.trim()) return;
+    setActionLoading(true);
+    try {
+      if (type === 'discontinue') {
+        await discontinueMedication(med.id, reason.trim());
+        showToast('success', `${med.name} discontinued`);
+      } else {
+        await deleteMedication(med.id);
+        showToast('success', `${med.name} deleted`);
+      }
+      setPendingAction(null);
+      if (onRefresh) onRefresh();
+    } catch (err) {
+      showToast('error', err?.details ? err.message : `Failed to ${type} medication.`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const isExpired = (endDate) => endDate && endDate < today;
 
   const sorted = [...(medications || [])].sort(
@@ -89,6 +128,56 @@ const MedicationList = ({ darkMode, medications, loading, onRefresh }) => {
         </div>
       )}
 
+      {/* Discontinue / delete confirmation */}
+      {pendingAction && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className={`rounded-2xl p-6 max-w-md w-full mx-4 shadow-2xl ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <h3 className={`text-lg font-bold mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+              {pendingAction.type === 'discontinue' ? 'Discontinue' : 'Delete'} {pendingAction.med.name}?
+            </h3>
+            {pendingAction.type === 'discontinue' ? (
+              <>
+                <p className={`text-sm mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Reminders stop and no further doses are scheduled. The medication and its history stay on record.
+                </p>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Reason, e.g. side effects, course completed"
+                  rows={3}
+                  className={`w-full px-4 py-2.5 rounded-xl border text-sm focus:outline-none focus:ring-2 focus:ring-violet-500/40 ${
+                    darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-200 text-gray-800 placeholder-gray-400'
+                  }`}
+                />
+              </>
+            ) : (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                This permanently removes the medication, its change history and its dose logs.
+              </p>
+            )}
+            <div className="flex gap-3 mt-5">
+              <button
+                onClick={() => setPendingAction(null)}
+                disabled={actionLoading}
+                className={`flex-1 py-2.5 rounded-xl border text-sm font-semibold ${
+                  darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmAction}
+                disabled={actionLoading || (pendingAction.type === 'discontinue' && !reason.trim())}
+                className="flex-1 flex items-center justify-center gap-2 py-2.5 rounded-xl bg-red-500 hover:bg-red-600 text-white text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {actionLoading && <Loader2 className="w-4 h-4 animate-spin" />}
+                {pendingAction.type === 'discontinue' ? 'Discontinue' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         {sorted.map((med) => {
           const expired = isExpired(med.end_date);
@@ -137,7 +226,11 @@ const MedicationList = ({ darkMode, medications, loading, onRefresh }) => {
 
                 {/* Status Badge */}
                 <div className="flex-shrink-0 flex items-center gap-1.5">
-                  {expired ? (
+                  {med.discontinued ? (
+                    <span className={`flex items-center gap-1 text-xs font-medium px-2 py-1 rounded-full ${darkMode ? 'bg-gray-600 text-gray-300' : 'bg-gray-200 text-gray-600'}`}>
+                      <Ban className="w-3 h-3" /> Discontinued
+                    </span>
+                  ) : expired ? (
                     <span className="flex items-center gap-1 text-xs font-medium text-red-500 bg-red-100 px-2 py-1 rounded-full">
                       <AlertTriangle className="w-3 h-3" /> Expired
                     </span>
@@ -157,7 +250,12 @@ const MedicationList = ({ darkMode, medications, loading, onRefresh }) => {
               <div className="space-y-1.5 mb-3">
                 <div className={`flex items-center gap-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                   <Clock className="w-3.5 h-3.5 flex-shrink-0" />
-                  <span>{med.frequency}</span>
+                  <span>{describeSchedule(med.schedule) || med.frequency}</span>
+                  {med.schedule?.type && med.reminders_enabled && (
+                    <span title="Dose reminders on" className="flex-shrink-0">
+                      <BellRing className="w-3.5 h-3.5 text-violet-500" />
+                    </span>
+                  )}
                 </div>
                 <div className={`flex items-center gap-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                   <Calendar className="w-3.5 h-3.5 flex-shrink-0" />
@@ -171,31 +269,69 @@ const MedicationList = ({ darkMode, medications, loading, onRefresh }) => {
                     <span>{med.skip_date}</span>
                   </div>
                 )}
+                {med.discontinued && med.discontinued_reason && (
+                  <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    <span className="text-[10px] uppercase font-semibold tracking-wide">Stopped:</span>{' '}
+                    {med.discontinued_reason}
+                  </div>
+                )}
               </div>
 
-              {/* Toggle */}
-              <div className="flex justify-end pt-2 border-t border-dashed border-gray-200 dark:border-gray-600">
-                <button
-                  onClick={() => handleToggle(med)}
-                  disabled={togglingId === med.id}
-                  className={`flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded-lg transition-all duration-200 ${
-                    active
-                      ? 'text-emerald-600 hover:bg-emerald-50'
-                      : darkMode
-                      ? 'text-gray-400 hover:bg-gray-600'
-                      : 'text-gray-500 hover:bg-gray-100'
-                  } disabled:opacity-50 disabled:cursor-not-allowed`}
-                  title="Toggle status"
-                >
-                  {togglingId === med.id ? (
-                    <Loader2 className="w-4 h-4 animate-spin" />
-                  ) : active ? (
-                    <ToggleRight className="w-4 h-4" />
-                  ) : (
-                    <ToggleLeft className="w-4 h-4" />
-                  )}
-                  {active ? 'Mark Inactive' : 'Mark Active'}
-                </button>
+              {historyId === med.id && (
+                <div className={`mb-3 p-3 rounded-xl ${darkMode ? 'bg-gray-800/60' : 'bg-gray-50'}`}>
+                  <MedicationHistory darkMode={darkMode} medicationId={med.id} />
+                </div>
+              )}
+
+              {/* Actions */}
+              <div className="flex items-center justify-between gap-1 pt-2 border-t border-dashed border-gray-200 dark:border-gray-600">
+                <div className="flex items-center gap-0.5">
+                  {[
+                    { label: 'Edit', icon: Pencil, onClick: () => onEdit && onEdit(med), hidden: !onEdit || readOnly },
+                    { label: 'History', icon: History, onClick: () => setHistoryId(historyId === med.id ? null : med.id) },
+                    { label: 'Discontinue', icon: Ban, onClick: () => openAction('discontinue', med), hidden: med.discontinued || readOnly },
+                    { label: 'Delete', icon: Trash2, onClick: () => openAction('delete', med), danger: true, hidden: readOnly },
+                  ].filter(a => !a.hidden).map(action => (
+                    <button
+                      key={action.label}
+                      onClick={action.onClick}
+                      title={action.label}
+                      aria-label={action.label}
+                      className={`p-1.5 rounded-lg transition-colors ${
+                        action.danger
+                          ? 'text-red-500 hover:bg-red-50'
+                          : darkMode
+                          ? 'text-gray-400 hover:bg-gray-600'
+                          : 'text-gray-500 hover:bg-gray-100'
+                      }`}
+                    >
+                      <action.icon className="w-4 h-4" />
+                    </button>
+                  ))}
+                </div>
+                {!med.discontinued && !readOnly && (
+                  <button
+                    onClick={() => handleToggle(med)}
+                    disabled={togglingId === med.id}
+                    className={`flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded-lg transition-all duration-200 ${
+                      active
+                        ? 'text-emerald-600 hover:bg-emerald-50'
+                        : darkMode
+                        ? 'text-gray-400 hover:bg-gray-600'
+                        : 'text-gray-500 hover:bg-gray-100'
+                    } disabled:opacity-50 disabled:cursor-not-allowed`}
+                    title="Toggle status"
+                  >
+                    {togglingId === med.id ? (
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : active ? (
+                      <ToggleRight className="w-4 h-4" />
+                    ) : (
+                      <ToggleLeft className="w-4 h-4" />
+                    )}
+                    {active ? 'Mark Inactive' : 'Mark Active'}
+                  </button>
+                )}
               </div>
             </div>
           );
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Pill, Check, SkipForward, X, Loader2 } from 'lucide-react';
+import { logDose } from '../../services/medicationApi';
+import { onMedicationReminder } from '../../lib/medicationReminders';
+import { takenStatusFor } from '../../utils/medicationSchedule';
+
+/**
+ * Shows dose reminders that arrive while the dashboard is open, with quick
+ * taken / skip logging. Background reminders come from the service worker.
+ */
+const MedicationReminderToast = ({ darkMode }) => {
+  const [reminders, setReminders] = useState([]);
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    let unsubscribe = () => {};
+    let cancelled = false;
+    onMedicationReminder((reminder) => {
+      const key = `${reminder.medicationId}|${reminder.scheduledFor}`;
+      setReminders((prev) => (prev.some((r) => r.key === key) ? prev : [...prev, { ...reminder, key }]));
+    }).then((unsub) => {
+      if (cancelled) unsub();
+      else unsubscribe = unsub;
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const dismiss = (key) => setReminders((prev) => prev.filter((r) => r.key !== key));
+
+  const handleLog = async (reminder, status) => {
+    setSavingKey(reminder.key);
+    try {
+      await logDose({ medication_id: reminder.medicationId, scheduled_for: reminder.scheduledFor, status });
+      dismiss(reminder.key);
+    } catch (err) {
+      console.error('Failed to log dose from reminder:', err);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (!reminders.length) return null;
+
+  return (
+    <div className="fixed bottom-20 md:bottom-6 right-4 z-[60] flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]">
+      {reminders.map((reminder) => (
+        <div
+          key={reminder.key}
+          className={`rounded-2xl shadow-xl border p-4 ${darkMode ? 'bg-gray-800 border-gray-700 text-white' : 'bg-white border-gray-100 text-gray-800'}`}
+        >
+          <div className="flex items-start gap-3">
+            <div className="w-9 h-9 rounded-xl bg-gradient-to-br from-violet-500 to-purple-600 flex items-center justify-center flex-shrink-0">
+              <Pill className="w-4 h-4 text-white" />
+            </div>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-bold">{reminder.title}</p>
+              <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {reminder.body || `${reminder.name} · ${reminder.dosage}`}
+              </p>
+            </div>
+            <button onClick={() => dismiss(reminder.key)} className="text-gray-400 hover:text-gray-600" aria-label="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex gap-2 mt-3">
+            {savingKey === reminder.key ? (
+              <Loader2 className="w-4 h-4 animate-spin text-violet-500 mx-auto" />
+            ) : (
+              <>
+                <button
+                  onClick={() => handleLog(reminder, takenStatusFor(reminder.scheduledFor))}
+                  className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs font-semibold text-emerald-700 bg-emerald-100 hover:bg-emerald-200"
+                >
+                  <Check className="w-3.5 h-3.5" /> Taken
+                </button>
+                <button
+                  onClick={() => handleLog(reminder, 'skipped')}
+                  className={`flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs font-semibold ${
+                    darkMode ? 'text-gray-300 bg-gray-700 hover:bg-gray-600' : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                  }`}
+                >
+                  <SkipForward className="w-3.5 h-3.5" /> Skip
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MedicationReminderToast;
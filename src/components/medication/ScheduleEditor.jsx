@@ -0,0 +1,156 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { DEFAULT_SCHEDULE, SCHEDULE_TYPES, WEEKDAY_LABELS } from '../../utils/medicationSchedule';
+
+// Fields each schedule type keeps when switching between types
+const blankFor = (type, prev) => {
+  const times = prev.times?.length ? prev.times : ['08:00'];
+  switch (type) {
+    case 'interval':
+      return { type, every_hours: prev.every_hours || 8, first_dose: prev.first_dose || times[0] };
+    case 'weekdays':
+      return { type, times, weekdays: prev.weekdays || [1, 3, 5] };
+    case 'taper':
+      return { type, times, steps: prev.steps?.length ? prev.steps : [{ days: 5, dosage: '' }] };
+    default:
+      return { type: 'times', times };
+  }
+};
+
+/**
+ * Builds a structured dose schedule (see utils/medicationSchedule.js)
+ */
+const ScheduleEditor = ({ darkMode, value, onChange, inputClassName, error }) => {
+  const schedule = value || DEFAULT_SCHEDULE;
+  const update = (patch) => onChange({ ...schedule, ...patch });
+
+  const chip = (active) => `px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${
+    active
+      ? 'bg-violet-500 text-white'
+      : darkMode
+      ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  const subLabel = `text-[11px] font-semibold uppercase tracking-wide ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const setTime = (index, time) => update({ times: schedule.times.map((t, i) => (i === index ? time : t)) });
+  const removeTime = (index) => update({ times: schedule.times.filter((_, i) => i !== index) });
+  const addTime = () => update({ times: [...schedule.times, '12:00'] });
+
+  const toggleWeekday = (day) => {
+    const days = schedule.weekdays || [];
+    update({ weekdays: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort() });
+  };
+
+  const setStep = (index, patch) => update({ steps: schedule.steps.map((s, i) => (i === index ? { ...s, ...patch } : s)) });
+  const removeStep = (index) => update({ steps: schedule.steps.filter((_, i) => i !== index) });
+  const addStep = () => update({ steps: [...schedule.steps, { days: 5, dosage: '' }] });
+
+  const timesEditor = (
+    <div className="space-y-1.5">
+      <p className={subLabel}>Dose times</p>
+      <div className="flex flex-wrap gap-2">
+        {schedule.times?.map((time, i) => (
+          <div key={i} className="flex items-center gap-1">
+            <input type="time" value={time} onChange={(e) => setTime(i, e.target.value)} className={`${inputClassName} !w-32 !py-1.5`} />
+            {schedule.times.length > 1 && (
+              <button type="button" onClick={() => removeTime(i)} className="p-1 text-gray-400 hover:text-red-500" aria-label="Remove time">
+                <X className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+        ))}
+        <button type="button" onClick={addTime} className={`${chip(false)} flex items-center gap-1`}>
+          <Plus className="w-3 h-3" /> Time
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {SCHEDULE_TYPES.map(t => (
+          <button key={t.id} type="button" onClick={() => onChange(blankFor(t.id, schedule))} className={chip(schedule.type === t.id)}>
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {schedule.type === 'interval' ? (
+        <div className="grid grid-cols-2 gap-3">
+          <div className="space-y-1.5">
+            <p className={subLabel}>Every (hours)</p>
+            <input
+              type="number"
+              min="1"
+              max="24"
+              value={schedule.every_hours}
+              onChange={(e) => update({ every_hours: e.target.value === '' ? '' : Number(e.target.value) })}
+              className={inputClassName}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <p className={subLabel}>First dose</p>
+            <input type="time" value={schedule.first_dose} onChange={(e) => update({ first_dose: e.target.value })} className={inputClassName} />
+          </div>
+        </div>
+      ) : (
+        timesEditor
+      )}
+
+      {schedule.type === 'weekdays' && (
+        <div className="space-y-1.5">
+          <p className={subLabel}>Days</p>
+          <div className="flex flex-wrap gap-1.5">
+            {WEEKDAY_LABELS.map((label, day) => (
+              <button key={label} type="button" onClick={() => toggleWeekday(day)} className={chip(schedule.weekdays?.includes(day))}>
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {schedule.type === 'taper' && (
+        <div className="space-y-1.5">
+          <p className={subLabel}>Steps (from the start date)</p>
+          {schedule.steps.map((step, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <span className={`text-xs w-5 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{i + 1}.</span>
+              <input
+                type="text"
+                value={step.dosage}
+                onChange={(e) => setStep(i, { dosage: e.target.value })}
+                placeholder="Dosage, e.g. 20mg"
+                className={`${inputClassName} !py-1.5`}
+              />
+              <input
+                type="number"
+                min="1"
+                value={step.days}
+                onChange={(e) => setStep(i, { days: e.target.value === '' ? '' : Number(e.target.value) })}
+                className={`${inputClassName} !w-20 !py-1.5`}
+                aria-label="Days"
+              />
+              <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>days</span>
+              {schedule.steps.length > 1 && (
+                <button type="button" onClick={() => removeStep(i)} className="p-1 text-gray-400 hover:text-red-500" aria-label="Remove step">
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              )}
+            </div>
+          ))}
+          <button type="button" onClick={addStep} className={`${chip(false)} flex items-center gap-1`}>
+            <Plus className="w-3 h-3" /> Step
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+};
+
+export default ScheduleEditor;
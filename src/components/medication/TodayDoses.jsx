@@ -0,0 +1,124 @@
+import React, { useState, useMemo } from 'react';
+import { Check, Clock, SkipForward, Loader2, AlarmClock } from 'lucide-react';
+import { logDose } from '../../services/medicationApi';
+import { getScheduledDoses, indexDoseLogs, takenStatusFor } from '../../utils/medicationSchedule';
+
+const STATUS_STYLES = {
+  taken: { label: 'Taken', className: 'bg-emerald-100 text-emerald-700' },
+  late: { label: 'Taken late', className: 'bg-amber-100 text-amber-700' },
+  skipped: { label: 'Skipped', className: 'bg-gray-200 text-gray-600' },
+};
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Today's scheduled doses with taken / late / skipped logging.
+ * Caregivers viewing a mapped user get the same list read-only.
+ */
+const TodayDoses = ({ darkMode, medications, logs, readOnly = false, onLogged }) => {
+  const [savingKey, setSavingKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const doses = useMemo(() => {
+    const today = new Date();
+    return getScheduledDoses(medications, today, today);
+  }, [medications]);
+  const logsByKey = useMemo(() => indexDoseLogs(logs), [logs]);
+
+  const handleLog = async (dose, status) => {
+    setSavingKey(dose.key);
+    setError(null);
+    try {
+      const saved = await logDose({
+        medication_id: dose.medicationId,
+        scheduled_for: dose.scheduledFor.toISOString(),
+        status,
+      });
+      if (onLogged) onLogged(saved);
+    } catch (err) {
+      setError(err?.message || 'Failed to log dose.');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  if (!doses.length) {
+    return (
+      <p className={`text-sm ${muted}`}>No doses scheduled for today.</p>
+    );
+  }
+
+  const now = new Date();
+
+  return (
+    <div className="space-y-2">
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+      {doses.map((dose) => {
+        const log = logsByKey.get(dose.key);
+        const overdue = !log && dose.scheduledFor < now;
+        const saving = savingKey === dose.key;
+
+        return (
+          <div
+            key={dose.key}
+            className={`flex items-center gap-3 px-3 py-2.5 rounded-xl border ${
+              darkMode ? 'border-gray-600 bg-gray-700/50' : 'border-gray-100 bg-gray-50'
+            }`}
+          >
+            <div className={`flex items-center gap-1 text-xs font-semibold w-16 ${overdue ? 'text-red-500' : muted}`}>
+              {overdue ? <AlarmClock className="w-3.5 h-3.5" /> : <Clock className="w-3.5 h-3.5" />}
+              {formatTime(dose.scheduledFor)}
+            </div>
+            <div className="flex-1 min-w-0">
+              <p className={`text-sm font-semibold truncate ${darkMode ? 'text-white' : 'text-gray-800'}`}>{dose.name}</p>
+              <p className={`text-xs ${muted}`}>{dose.dosage}</p>
+            </div>
+
+            {log ? (
+              <span className={`text-xs font-semibold px-2 py-1 rounded-full ${STATUS_STYLES[log.status]?.className || ''}`}>
+                {STATUS_STYLES[log.status]?.label || log.status}
+              </span>
+            ) : readOnly ? (
+              <span className={`text-xs font-semibold ${overdue ? 'text-red-500' : muted}`}>
+                {overdue ? 'Not logged' : 'Upcoming'}
+              </span>
+            ) : saving ? (
+              <Loader2 className="w-4 h-4 animate-spin text-violet-500" />
+            ) : (
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => handleLog(dose, takenStatusFor(dose.scheduledFor))}
+                  className="flex items-center gap-1 px-2.5 py-1 rounded-lg text-xs font-semibold text-emerald-700 bg-emerald-100 hover:bg-emerald-200"
+                  title="Mark as taken now"
+                >
+                  <Check className="w-3.5 h-3.5" /> Taken
+                </button>
+                {overdue && (
+                  <button
+                    onClick={() => handleLog(dose, 'late')}
+                    className="px-2.5 py-1 rounded-lg text-xs font-semibold text-amber-700 bg-amber-100 hover:bg-amber-200"
+                    title="Taken, but later than scheduled"
+                  >
+                    Late
+                  </button>
+                )}
+                <button
+                  onClick={() => handleLog(dose, 'skipped')}
+                  className={`flex items-center gap-1 px-2.5 py-1 rounded-lg text-xs font-semibold ${
+                    darkMode ? 'text-gray-300 bg-gray-600 hover:bg-gray-500' : 'text-gray-600 bg-gray-200 hover:bg-gray-300'
+                  }`}
+                >
+                  <SkipForward className="w-3.5 h-3.5" /> Skip
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TodayDoses;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { MapPinOff, Timer, X, ExternalLink } from 'lucide-react';
+import { onGeofenceAlert } from '../../lib/geofenceAlerts';
+
+/**
+ * Shows wandering alerts that arrive while the dashboard is open. Background
+ * alerts come from the service worker.
+ */
+const GeofenceAlertToast = ({ darkMode, onOpenMap }) => {
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    let unsubscribe = () => {};
+    let cancelled = false;
+    onGeofenceAlert((alert) => {
+      const key = `${alert.wearerId}|${alert.event}|${alert.occurredAt}`;
+      setAlerts((prev) => (prev.some((a) => a.key === key) ? prev : [...prev, { ...alert, key }]));
+    }).then((unsub) => {
+      if (cancelled) unsub();
+      else unsubscribe = unsub;
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const dismiss = (key) => setAlerts((prev) => prev.filter((a) => a.key !== key));
+
+  if (!alerts.length) return null;
+
+  return (
+    <div className="fixed bottom-20 md:bottom-6 left-4 z-[60] flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]">
+      {alerts.map((alert) => {
+        const still = alert.event === 'still';
+        const Icon = still ? Timer : MapPinOff;
+        return (
+          <div
+            key={alert.key}
+            className={`rounded-2xl shadow-xl border p-4 ${darkMode ? 'bg-gray-800 border-red-900 text-white' : 'bg-white border-red-200 text-gray-800'}`}
+          >
+            <div className="flex items-start gap-3">
+              <div className={`w-9 h-9 rounded-xl flex items-center justify-center flex-shrink-0 ${still ? 'bg-amber-500' : 'bg-red-500'}`}>
+                <Icon className="w-4 h-4 text-white" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-bold">{alert.title}</p>
+                <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {alert.body || (still
+                    ? `${alert.wearerName} has not moved for ${alert.minutes} minutes outside their safe zones`
+                    : `${alert.wearerName} left ${alert.zoneName || 'a safe zone'}`)}
+                </p>
+                {alert.occurredAt && (
+                  <p className={`text-[11px] mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {new Date(alert.occurredAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                  </p>
+                )}
+              </div>
+              <button onClick={() => dismiss(alert.key)} className="text-gray-400 hover:text-gray-600" aria-label="Dismiss">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="flex gap-2 mt-3">
+              {onOpenMap && (
+                <button
+                  onClick={() => { onOpenMap(alert); dismiss(alert.key); }}
+                  className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs font-semibold text-white bg-red-500 hover:bg-red-600"
+                >
+                  <ExternalLink className="w-3.5 h-3.5" /> View on map
+                </button>
+              )}
+              {alert.lat != null && alert.lng != null && (
+                <a
+                  href={`https://www.openstreetmap.org/?mlat=${alert.lat}&mlon=${alert.lng}#map=17/${alert.lat}/${alert.lng}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className={`flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs font-semibold ${
+                    darkMode ? 'text-gray-300 bg-gray-700 hover:bg-gray-600' : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                  }`}
+                >
+                  Open location
+                </a>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default GeofenceAlertToast;
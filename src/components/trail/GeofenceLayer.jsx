@@ -0,0 +1,48 @@
+import React from 'react';
+import { Circle, Polygon, CircleMarker, Tooltip, useMapEvents } from 'react-leaflet';
+
+const ZONE_STYLE = { color: '#6366f1', weight: 2, fillOpacity: 0.08 };
+const INACTIVE_STYLE = { color: '#9ca3af', weight: 1, fillOpacity: 0.04, dashArray: '4 4' };
+const DRAFT_STYLE = { color: '#f59e0b', weight: 2, fillOpacity: 0.12, dashArray: '6 6' };
+
+/**
+ * Safe zones on the trail map, plus the zone being drawn. While drawing, a
+ * click places the circle's centre or adds a polygon corner.
+ */
+const GeofenceLayer = ({ zones, draft, onDraftChange }) => {
+  useMapEvents({
+    click: (e) => {
+      if (!draft) return;
+      const latlng = [e.latlng.lat, e.latlng.lng];
+      if (draft.shape === 'circle') onDraftChange({ ...draft, center: latlng });
+      else onDraftChange({ ...draft, points: [...draft.points, latlng] });
+    },
+  });
+
+  return (
+    <>
+      {zones.map((zone) => {
+        const style = zone.active === false ? INACTIVE_STYLE : ZONE_STYLE;
+        const label = <Tooltip sticky>{zone.name}{zone.active === false ? ' (paused)' : ''}</Tooltip>;
+        if (zone.id === draft?.id) return null;
+        return zone.shape === 'circle' ? (
+          <Circle key={zone.id} center={zone.center} radius={Number(zone.radius_m)} pathOptions={style}>{label}</Circle>
+        ) : (
+          <Polygon key={zone.id} positions={zone.points} pathOptions={style}>{label}</Polygon>
+        );
+      })}
+
+      {draft?.shape === 'circle' && draft.center && (
+        <Circle center={draft.center} radius={Number(draft.radius_m) || 0} pathOptions={DRAFT_STYLE} />
+      )}
+      {draft?.shape === 'polygon' && draft.points.length >= 2 && (
+        <Polygon positions={draft.points} pathOptions={DRAFT_STYLE} />
+      )}
+      {draft?.shape === 'polygon' && draft.points.map((p, i) => (
+        <CircleMarker key={i} center={p} radius={4} pathOptions={{ color: '#f59e0b', fillOpacity: 1 }} />
+      ))}
+    </>
+  );
+};
+
+export default GeofenceLayer;
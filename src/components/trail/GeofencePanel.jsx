@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { Shield, Circle as CircleIcon, Hexagon, Trash2, Pause, Play, Undo2, Check, X } from 'lucide-react';
+import { describeZone, DEFAULT_ZONE_RADIUS_M } from '../../utils/geofence';
+import { ensureReminderDevice } from '../../lib/medicationReminders';
+
+const STILL_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 15, label: '15 min' },
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+  { value: 120, label: '2 hours' },
+];
+
+const newZoneDraft = (shape) => ({
+  shape,
+  name: '',
+  center: null,
+  radius_m: DEFAULT_ZONE_RADIUS_M,
+  points: [],
+  active: true,
+});
+
+const draftComplete = (draft) => (
+  draft.name.trim() && (draft.shape === 'circle' ? draft.center && Number(draft.radius_m) > 0 : draft.points.length >= 3)
+);
+
+/**
+ * Safe zone list, drawing controls and wandering alert settings shown under
+ * the trail map. The zone being drawn lives in TrailMap so the map layer can
+ * render it too.
+ */
+const GeofencePanel = ({ darkMode, zones, settings, draft, onDraftChange, saveZone, removeZone, saveSettings }) => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(failure, err);
+      setMessage(err.message || failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveDraft = () => run(async () => {
+    const { name, ...zone } = draft;
+    await saveZone({ ...zone, name: name.trim() });
+    onDraftChange(null);
+  }, 'Could not save safe zone');
+
+  const handleSettings = (patch) => run(async () => {
+    await saveSettings({ ...settings, ...patch });
+    // Make sure this browser is registered to receive the alerts
+    ensureReminderDevice().catch(() => {});
+  }, 'Could not save alert settings');
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const inputClass = `px-3 py-1.5 rounded-lg border text-sm ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const chipClass = `px-3 py-1.5 rounded-lg flex items-center gap-1.5 text-xs font-medium transition-colors ${
+    darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`;
+
+  return (
+    <div className={`mt-4 p-4 rounded-xl border ${darkMode ? 'border-gray-700 bg-gray-900/30' : 'border-gray-200 bg-gray-50'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex items-center gap-2">
+          <Shield className="w-4 h-4 text-indigo-500" />
+          <h4 className={`text-sm font-semibold ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Safe zones</h4>
+        </div>
+        {!draft && (
+          <div className="flex gap-2">
+            <button onClick={() => onDraftChange(newZoneDraft('circle'))} className={chipClass}>
+              <CircleIcon className="w-3.5 h-3.5" /> Add circle
+            </button>
+            <button onClick={() => onDraftChange(newZoneDraft('polygon'))} className={chipClass}>
+              <Hexagon className="w-3.5 h-3.5" /> Add area
+            </button>
+          </div>
+        )}
+      </div>
+
+      {draft && (
+        <div className={`mb-3 p-3 rounded-lg border ${darkMode ? 'border-amber-800 bg-amber-900/20' : 'border-amber-200 bg-amber-50'}`}>
+          <p className={`text-xs mb-2 ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+            {draft.shape === 'circle'
+              ? 'Click the map to place the centre of the zone.'
+              : `Click the map to add corners (${draft.points.length} so far, at least 3 needed).`}
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => onDraftChange({ ...draft, name: e.target.value })}
+              placeholder="Zone name, e.g. Home"
+              className={`${inputClass} flex-1 min-w-[10rem]`}
+            />
+            {draft.shape === 'circle' ? (
+              <label className={`flex items-center gap-1 text-xs ${muted}`}>
+                Radius
+                <input
+                  type="number"
+                  min="20"
+                  step="10"
+                  value={draft.radius_m}
+                  onChange={(e) => onDraftChange({ ...draft, radius_m: e.target.value })}
+                  className={`${inputClass} w-24`}
+                />
+                m
+              </label>
+            ) : (
+              <button
+                onClick={() => onDraftChange({ ...draft, points: draft.points.slice(0, -1) })}
+                disabled={!draft.points.length}
+                className={`${chipClass} disabled:opacity-50`}
+              >
+                <Undo2 className="w-3.5 h-3.5" /> Undo
+              </button>
+            )}
+            <button
+              onClick={handleSaveDraft}
+              disabled={busy || !draftComplete(draft)}
+              className="px-3 py-1.5 rounded-lg flex items-center gap-1.5 text-xs font-semibold text-white bg-indigo-500 hover:bg-indigo-600 disabled:opacity-50"
+            >
+              <Check className="w-3.5 h-3.5" /> Save zone
+            </button>
+            <button onClick={() => onDraftChange(null)} className={chipClass}>
+              <X className="w-3.5 h-3.5" /> Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {zones.length === 0 ? (
+        !draft && (
+          <p className={`text-xs ${muted}`}>
+            No safe zones yet. Add one around home or another familiar place to be alerted when it is left.
+          </p>
+        )
+      ) : (
+        <div className="space-y-2">
+          {zones.map((zone) => (
+            <div
+              key={zone.id}
+              className={`flex items-center justify-between p-2 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-white'}`}
+            >
+              <div className="min-w-0">
+                <span className={`text-sm font-medium ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>{zone.name}</span>
+                <span className={`text-xs ml-2 ${muted}`}>
+                  {describeZone(zone)}{zone.active === false ? ' · paused' : ''}
+                </span>
+              </div>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => run(() => saveZone({ ...zone, active: zone.active === false }), 'Could not update safe zone')}
+                  disabled={busy}
+                  title={zone.active === false ? 'Resume alerts' : 'Pause alerts'}
+                  className={`p-1.5 rounded-lg ${darkMode ? 'hover:bg-gray-600 text-gray-300' : 'hover:bg-gray-100 text-gray-600'}`}
+                >
+                  {zone.active === false ? <Play className="w-3.5 h-3.5" /> : <Pause className="w-3.5 h-3.5" />}
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Delete the safe zone "${zone.name}"?`)) {
+                      run(() => removeZone(zone.id), 'Could not delete safe zone');
+                    }
+                  }}
+                  disabled={busy}
+                  title="Delete zone"
+                  className="p-1.5 rounded-lg text-red-500 hover:bg-red-500/10"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className={`mt-4 pt-3 border-t flex flex-wrap items-center gap-x-6 gap-y-2 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+        <label className={`flex items-center gap-2 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          <input
+            type="checkbox"
+            checked={!!settings.alert_on_exit}
+            disabled={busy}
+            onChange={(e) => handleSettings({ alert_on_exit: e.target.checked })}
+            className="rounded text-indigo-500"
+          />
+          Alert when a safe zone is left
+        </label>
+        <label className={`flex items-center gap-2 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          Alert if still outside safe zones for
+          <select
+            value={Number(settings.still_alert_minutes) || 0}
+            disabled={busy}
+            onChange={(e) => handleSettings({ still_alert_minutes: Number(e.target.value) })}
+            className={inputClass}
+          >
+            {STILL_OPTIONS.map((opt) => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {message && <p className="mt-2 text-xs text-red-500">{message}</p>}
+    </div>
+  );
+};
+
+export default GeofencePanel;
@@ -0,0 +1,56 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Download } from 'lucide-react';
+
+const FORMATS = [
+  { id: 'gpx', label: 'GPX', hint: 'Garmin, Strava, most GPS apps' },
+  { id: 'kml', label: 'KML', hint: 'Google Earth and Google Maps' },
+];
+
+/** Header menu to download the filtered trail as GPX or KML. */
+const TrailExportMenu = ({ darkMode, disabled, onExport }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        disabled={disabled}
+        className={`px-3 py-2 rounded-lg flex items-center gap-2 transition-colors text-sm disabled:opacity-50 ${
+          darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+        }`}
+      >
+        <Download className="w-4 h-4" />
+        <span className="hidden sm:inline">Export</span>
+      </button>
+
+      {open && (
+        <div className={`absolute top-full right-0 mt-2 w-56 rounded-lg shadow-xl border z-20 py-1 ${
+          darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-200'
+        }`}>
+          {FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => { onExport(format.id); setOpen(false); }}
+              className={`w-full text-left px-4 py-2 transition-colors ${darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-50'}`}
+            >
+              <span className={`block text-sm ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>{format.label}</span>
+              <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{format.hint}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrailExportMenu;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Play, Pause, Square, Gauge } from 'lucide-react';
+import { PLAYBACK_SPEEDS } from '../../hooks/useTrailPlayback';
+
+const formatClock = (ms) => new Date(ms).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+});
+
+/**
+ * Timeline scrubber for replaying the trail: play/pause, drag to any moment,
+ * and pick how many trail minutes pass per second.
+ */
+const TrailPlaybackBar = ({ darkMode, playback, currentKmh }) => {
+  const { start, end, time, playing, speed, setSpeed, play, pause, seek, stop } = playback;
+  if (start == null || end <= start) return null;
+
+  const value = time ?? start;
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className={`mb-3 p-3 rounded-lg flex flex-wrap items-center gap-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+      <button
+        onClick={playing ? pause : play}
+        aria-label={playing ? 'Pause playback' : 'Play trail'}
+        className="w-9 h-9 rounded-full flex items-center justify-center bg-green-500 hover:bg-green-600 text-white flex-shrink-0"
+      >
+        {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4 ml-0.5" />}
+      </button>
+
+      <div className="flex-1 min-w-[12rem]">
+        <input
+          type="range"
+          min={start}
+          max={end}
+          step={1000}
+          value={value}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Trail timeline"
+          className="w-full accent-green-500"
+        />
+        <div className={`flex justify-between text-[11px] ${muted}`}>
+          <span>{formatClock(start)}</span>
+          <span className={`font-semibold ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+            {time != null ? formatClock(time) : 'Press play or drag to replay'}
+          </span>
+          <span>{formatClock(end)}</span>
+        </div>
+      </div>
+
+      {time != null && currentKmh != null && (
+        <span className={`flex items-center gap-1 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          <Gauge className="w-3.5 h-3.5" /> {currentKmh.toFixed(1)} km/h
+        </span>
+      )}
+
+      <select
+        value={speed}
+        onChange={(e) => setSpeed(Number(e.target.value))}
+        aria-label="Playback speed"
+        className={`px-2 py-1.5 rounded-lg border text-xs ${
+          darkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+        }`}
+      >
+        {PLAYBACK_SPEEDS.map((s) => (
+          <option key={s} value={s}>{s < 60 ? `${s} min/s` : `${s / 60} h/s`}</option>
+        ))}
+      </select>
+
+      {time != null && (
+        <button
+          onClick={stop}
+          aria-label="Stop playback"
+          className={`p-2 rounded-lg ${darkMode ? 'hover:bg-gray-600 text-gray-300' : 'hover:bg-gray-200 text-gray-600'}`}
+        >
+          <Square className="w-3.5 h-3.5" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TrailPlaybackBar;
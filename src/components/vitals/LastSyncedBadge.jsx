@@ -0,0 +1,40 @@
+import React, { useState, useEffect } from 'react';
+import { CloudOff, RefreshCw } from 'lucide-react';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
+import { formatRelativeTime } from '../../utils/relativeTime';
+
+// Cached data older than this is called out even while online
+const OLD_AFTER_MS = 15 * 60 * 1000;
+
+/**
+ * "Synced 4m ago" for a vitals card; turns amber when the device is offline
+ * or the card is showing an old copy because the API could not be reached.
+ */
+export default function LastSyncedBadge({ syncedAt, darkMode }) {
+  const online = useOnlineStatus();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  if (!syncedAt) return null;
+
+  const outdated = !online || now - syncedAt >= OLD_AFTER_MS;
+  const label = `${online ? 'Synced' : 'Offline · last synced'} ${formatRelativeTime(syncedAt, now)}`;
+
+  return (
+    <span
+      title={new Date(syncedAt).toLocaleString()}
+      className={`mt-1 inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px] font-medium ${
+        outdated
+          ? darkMode ? 'bg-amber-500/15 text-amber-300' : 'bg-amber-100 text-amber-700'
+          : darkMode ? 'text-slate-400' : 'text-gray-500'
+      }`}
+    >
+      {online ? <RefreshCw className="h-3 w-3" /> : <CloudOff className="h-3 w-3" />}
+      {label}
+    </span>
+  );
+}
@@ -1,15 +1,26 @@
 /**
  * API Configuration
- * 
- * This file contains all API base URLs.
- * Change the URLs here to update them everywhere in the app.
+ *
+ * This file contains all API base URLs. Every request goes through
+ * src/lib/httpClient.js, which resolves paths against API_BASE_URL, so pointing
+ * the app at another backend only needs VITE_API_BASE_URL (or the default here).
  */
 
-// Main API server URL (using domain name)
-// Change this URL here to update it everywhere in the app
-export const API_BASE_URL = 'https://jeewanjyoti-backend.smart.org.np';
+// Main API server URL, without a trailing slash or /api suffix
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'https://jeewanjyoti-backend.smart.org.np')
+  .replace(/\/+$/, '')
+  .replace(/\/api$/, '');
+
+// WebSocket endpoints live on the same host (https -> wss, http -> ws)
+export const WS_BASE_URL = API_BASE_URL.replace(/^http/, 'ws');
 
 // Preorder API URL (different server/port)
 // This is a separate service running on port 8002
-export const PREORDER_API_URL = 'http://103.118.16.251:8002';
+export const PREORDER_API_URL = import.meta.env.VITE_PREORDER_API_URL || 'http://103.118.16.251:8002';
+
 
+// ICE servers for chat voice/video calls (WebRTC)
+// Add a TURN server here for users behind strict NATs
+export const RTC_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+];
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getAdminAlerts, updateAdminAlert } from '../lib/api'
+import { normaliseAlert } from './useInstitutionAlerts'
+
+const POLL_INTERVAL_MS = 30000
+
+/**
+ * Platform-wide threshold alerts for the admin dashboard. Breaches are found by
+ * the server across every user, so the list does not depend on which directory
+ * page is on screen; it is polled so all admins see the same state.
+ *
+ * @param {object} options - { enabled }
+ * @returns {object} { alerts, loading, error, refresh, acknowledge, resolve }
+ */
+export default function useAdminAlerts({ enabled = true } = {}) {
+  const [alerts, setAlerts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await getAdminAlerts()
+      setAlerts(list.map((raw) => ({ ...normaliseAlert(raw), memberId: raw.user_id ?? raw.member_id })))
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load alerts:', err)
+      setError(err.message || 'Could not load alerts')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    refresh()
+    const t = setInterval(refresh, POLL_INTERVAL_MS)
+    return () => clearInterval(t)
+  }, [enabled, refresh])
+
+  const act = useCallback(async (alertId, action, payload) => {
+    try {
+      const next = normaliseAlert(await updateAdminAlert(alertId, action, payload))
+      setAlerts((prev) => prev.map((a) => (a.id === next.id ? { ...next, memberId: a.memberId } : a)))
+      return next
+    } catch (err) {
+      // Another admin, or the server's own scan, may have moved the alert on
+      if (err.status === 409) refresh()
+      throw err
+    }
+  }, [refresh])
+
+  const acknowledge = useCallback((alertId) => act(alertId, 'acknowledge'), [act])
+  const resolve = useCallback((alertId, note) => act(alertId, 'resolve', { note }), [act])
+
+  return { alerts, loading, error, refresh, acknowledge, resolve }
+}
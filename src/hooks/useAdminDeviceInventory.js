@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getRegisteredPushDevices, getAdminWearables } from '../lib/api'
+import { getDeviceHealth } from '../utils/deviceHealth'
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000
+
+// A push registration not seen for this long probably belongs to an uninstalled app or cleared browser
+export const PUSH_STALE_AFTER_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toDate = (value) => {
+  if (!value) return null
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? null : d
+}
+
+function fromPushDevice(d, now) {
+  const lastSeen = toDate(d.last_seen || d.date_created)
+  return {
+    key: `push-${d.id}`,
+    kind: 'push',
+    name: d.name || `${d.device_type || 'Unknown'} push token`,
+    identifier: d.registration_id ? `…${d.registration_id.slice(-10)}` : '',
+    platform: (d.device_type || 'unknown').toLowerCase(),
+    ownerId: d.user ?? null,
+    ownerName: d.user_name || d.user_email || null,
+    institution: null,
+    lastSeen,
+    battery: null,
+    online: d.active !== false && !!lastSeen && now - lastSeen.getTime() <= PUSH_STALE_AFTER_DAYS * DAY_MS,
+  }
+}
+
+function fromWearable(d, now) {
+  const health = getDeviceHealth(d, now)
+  return {
+    key: `wearable-${d.id}`,
+    kind: 'wearable',
+    name: d.name || d.serial,
+    identifier: [d.serial, d.model].filter(Boolean).join(' · '),
+    platform: d.firmware ? `firmware ${d.firmware}` : 'wearable',
+    ownerId: d.owner_id ?? null,
+    ownerName: d.owner_name || null,
+    institution: d.institution_name || null,
+    lastSeen: health.lastSeen,
+    battery: health.battery,
+    online: health.online,
+  }
+}
+
+/**
+ * Every device on the platform: FCM push registrations and wearables, flattened
+ * into one list with owner, platform and last seen, most recently seen first.
+ * If one source fails the other is still shown and the failed one is named in `failed`.
+ *
+ * @param {object} options - { enabled }
+ * @returns {object} { devices, loading, error, failed, refresh }
+ */
+export default function useAdminDeviceInventory({ enabled = true } = {}) {
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [failed, setFailed] = useState([])
+
+  const refresh = useCallback(async () => {
+    const [push, wearables] = await Promise.allSettled([getRegisteredPushDevices(), getAdminWearables()])
+    const now = Date.now()
+    const rows = [
+      ...(push.status === 'fulfilled' ? push.value.map((d) => fromPushDevice(d, now)) : []),
+      ...(wearables.status === 'fulfilled' ? wearables.value.map((d) => fromWearable(d, now)) : []),
+    ].sort((a, b) => (b.lastSeen?.getTime() || 0) - (a.lastSeen?.getTime() || 0))
+    const failures = [
+      push.status === 'rejected' && 'push devices',
+      wearables.status === 'rejected' && 'wearables',
+    ].filter(Boolean)
+    if (push.status === 'rejected') console.error('Failed to load push devices:', push.reason)
+    if (wearables.status === 'rejected') console.error('Failed to load wearables:', wearables.reason)
+
+    setDevices(rows)
+    setFailed(failures)
+    setError(failures.length === 2 ? push.reason?.message || 'Could not load devices' : null)
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    refresh()
+    const t = setInterval(refresh, POLL_INTERVAL_MS)
+    return () => clearInterval(t)
+  }, [enabled, refresh])
+
+  return { devices, loading, error, failed, refresh }
+}
@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { getAdminUsers, getLatestVitalsBatch } from '../lib/api'
+
+export const DIRECTORY_PAGE_SIZE = 25
+
+// Choices for how often the directory page and its vitals are re-fetched; 0 turns it off
+export const DIRECTORY_REFRESH_OPTIONS = [
+  { ms: 0, label: 'Off' },
+  { ms: 15000, label: '15 s' },
+  { ms: 30000, label: '30 s' },
+  { ms: 60000, label: '1 min' },
+  { ms: 300000, label: '5 min' },
+]
+
+export const LAST_ACTIVE_FILTERS = [
+  { id: '', label: 'Any activity' },
+  { id: 'active_1', label: 'Active in 24 hours', query: { activeWithinDays: 1 } },
+  { id: 'active_7', label: 'Active in 7 days', query: { activeWithinDays: 7 } },
+  { id: 'active_30', label: 'Active in 30 days', query: { activeWithinDays: 30 } },
+  { id: 'inactive_30', label: 'Inactive 30+ days', query: { inactiveForDays: 30 } },
+  { id: 'inactive_90', label: 'Inactive 90+ days', query: { inactiveForDays: 90 } },
+]
+
+export const EMPTY_DIRECTORY_FILTERS = { search: '', role: '', institutionId: '', lastActive: '' }
+
+// Typing in the search box waits this long before the page is re-fetched
+const FILTER_DEBOUNCE_MS = 300
+
+/**
+ * The admin user directory: one server-filtered page of users at a time, with
+ * the latest vitals of just those rows fetched in a single batch request. Each
+ * refresh therefore costs two requests however many users are registered.
+ *
+ * @param {object} options - { enabled, refreshMs (0 = no auto-refresh), pageSize }
+ * @returns {object} { users (with `vitals`), count, page, pageCount, setPage, filters, setFilter,
+ *   clearFilters, loading, error, refresh }
+ */
+export default function useAdminUserDirectory({ enabled = true, refreshMs = 0, pageSize = DIRECTORY_PAGE_SIZE } = {}) {
+  const [filters, setFilters] = useState(EMPTY_DIRECTORY_FILTERS)
+  const [page, setPage] = useState(1)
+  const [rows, setRows] = useState([])
+  const [count, setCount] = useState(0)
+  const [vitalsById, setVitalsById] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  // Only the latest request may update state; starting a new one aborts the previous
+  const controllerRef = useRef(null)
+
+  // `quiet` loads (auto-refresh) swap rows in place instead of showing the
+  // spinner, so the table isn't torn down on every refresh
+  const load = useCallback(async ({ quiet = false } = {}) => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    const { signal } = controller
+    if (!quiet) {
+      setLoading(true)
+      setError(null)
+    }
+    try {
+      const lastActive = LAST_ACTIVE_FILTERS.find((f) => f.id === filters.lastActive)
+      const data = await getAdminUsers({
+        search: filters.search.trim(),
+        role: filters.role,
+        institutionId: filters.institutionId,
+        ...lastActive?.query,
+        page,
+        pageSize,
+      }, { signal })
+      const results = data.results || []
+      setRows(results)
+      setCount(data.count ?? results.length)
+      setError(null)
+
+      try {
+        setVitalsById(await getLatestVitalsBatch(results.map((u) => u.id), { signal }))
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Failed to load latest vitals:', err)
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('Failed to load users:', err)
+      if (!quiet) setError(err.message || 'Could not load users.')
+    } finally {
+      if (controllerRef.current === controller) setLoading(false)
+    }
+  }, [filters, page, pageSize])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    const t = setTimeout(() => load(), FILTER_DEBOUNCE_MS)
+    return () => {
+      clearTimeout(t)
+      controllerRef.current?.abort()
+    }
+  }, [enabled, load])
+
+  useEffect(() => {
+    if (!enabled || !refreshMs) return undefined
+    const t = setInterval(() => {
+      if (document.visibilityState === 'visible') load({ quiet: true })
+    }, refreshMs)
+    return () => clearInterval(t)
+  }, [enabled, refreshMs, load])
+
+  const setFilter = useCallback((key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }))
+    setPage(1)
+  }, [])
+
+  const clearFilters = useCallback(() => {
+    setFilters(EMPTY_DIRECTORY_FILTERS)
+    setPage(1)
+  }, [])
+
+  const refresh = useCallback(() => load(), [load])
+
+  const users = useMemo(() => rows.map((u) => ({ ...u, vitals: vitalsById[u.id] || null })), [rows, vitalsById])
+  const pageCount = Math.max(1, Math.ceil(count / pageSize))
+
+  return { users, count, page, pageCount, setPage, filters, setFilter, clearFilters, loading, error, refresh }
+}
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getAvailabilityTemplates, saveAvailabilityTemplate, deleteAvailabilityTemplate,
+  createAvailabilityException, deleteAvailabilityException,
+} from '../lib/api'
+
+/**
+ * The signed-in doctor's weekly hours and time off.
+ *
+ * @returns {object} { templates, exceptions, loading, error, saveTemplate, removeTemplate, addException, removeException }
+ */
+export default function useAvailabilityTemplates() {
+  const [templates, setTemplates] = useState([])
+  const [exceptions, setExceptions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getAvailabilityTemplates()
+      .then((data) => {
+        if (cancelled) return
+        setTemplates(data.templates)
+        setExceptions(data.exceptions)
+      })
+      .catch((err) => {
+        console.error('Failed to load weekly hours:', err)
+        if (!cancelled) setError(err.message || 'Could not load weekly hours')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [])
+
+  const saveTemplate = useCallback(async (template) => {
+    const saved = await saveAvailabilityTemplate(template)
+    setTemplates((prev) => (
+      prev.some((t) => t.id === saved.id)
+        ? prev.map((t) => (t.id === saved.id ? saved : t))
+        : [...prev, saved]
+    ))
+    return saved
+  }, [])
+
+  const removeTemplate = useCallback(async (templateId) => {
+    await deleteAvailabilityTemplate(templateId)
+    setTemplates((prev) => prev.filter((t) => t.id !== templateId))
+  }, [])
+
+  const addException = useCallback(async (exception) => {
+    const saved = await createAvailabilityException(exception)
+    setExceptions((prev) => [...prev, saved].sort((a, b) => a.start_date.localeCompare(b.start_date)))
+    return saved
+  }, [])
+
+  const removeException = useCallback(async (exceptionId) => {
+    await deleteAvailabilityException(exceptionId)
+    setExceptions((prev) => prev.filter((e) => e.id !== exceptionId))
+  }, [])
+
+  return { templates, exceptions, loading, error, saveTemplate, removeTemplate, addException, removeException }
+}
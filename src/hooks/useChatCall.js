@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  CALL_RING_TIMEOUT_MS, createCallId, createPeerConnection, getCallMedia,
+  isCallSignal, startRingtone, stopStream,
+} from '../lib/webrtcCall';
+
+const IDLE = {
+  status: null, // 'calling' | 'incoming' | 'connecting' | 'in-progress'
+  callType: null,
+  direction: null,
+  muted: false,
+  cameraOff: false,
+  localStream: null,
+  remoteStream: null,
+  connectedAt: null,
+};
+
+/**
+ * 1:1 WebRTC call state for the chat tab.
+ *
+ * @param {object} options
+ * @param {function} options.sendSignal - Sends a call signal to the other participant
+ * @param {function} options.onCallRecord - Called by the caller's side when a call ends,
+ *   with { callType, outcome, durationSeconds }, so it can be added to the history
+ * @param {function} options.onError - Called with an Error when media or negotiation fails
+ * @returns {object} call state plus startCall, acceptCall, declineCall, hangUp,
+ *   toggleMute, toggleCamera and handleSignal (returns true when it consumed a message)
+ */
+export function useChatCall({ sendSignal, onCallRecord, onError }) {
+  const [call, setCall] = useState(IDLE);
+  const [elapsed, setElapsed] = useState(0);
+
+  // Socket handlers are created once per chat, so everything they reach goes through refs
+  const callRef = useRef(null);
+  const pcRef = useRef(null);
+  const localStreamRef = useRef(null);
+  const pendingCandidatesRef = useRef([]);
+  const pendingOfferRef = useRef(null);
+  const stopRingRef = useRef(null);
+  const ringTimeoutRef = useRef(null);
+  const callbacksRef = useRef({ sendSignal, onCallRecord, onError });
+
+  useEffect(() => {
+    callbacksRef.current = { sendSignal, onCallRecord, onError };
+  });
+
+  const signal = useCallback((type, payload = {}) => {
+    const current = callRef.current;
+    if (!current) return;
+    callbacksRef.current.sendSignal?.({ type, call_id: current.id, ...payload });
+  }, []);
+
+  const finishCall = useCallback((outcome) => {
+    const current = callRef.current;
+    if (!current) return;
+    callRef.current = null;
+
+    clearTimeout(ringTimeoutRef.current);
+    stopRingRef.current?.();
+    stopRingRef.current = null;
+
+    if (pcRef.current) {
+      pcRef.current.onconnectionstatechange = null;
+      pcRef.current.close();
+      pcRef.current = null;
+    }
+    stopStream(localStreamRef.current);
+    localStreamRef.current = null;
+    pendingCandidatesRef.current = [];
+    pendingOfferRef.current = null;
+
+    // Only the caller writes the record so the history gets one entry per call
+    if (current.direction === 'outgoing' && current.offerSent) {
+      const finalOutcome = outcome === 'hangup' ? (current.connectedAt ? 'completed' : 'missed') : outcome;
+      const durationSeconds = current.connectedAt ? (Date.now() - current.connectedAt) / 1000 : 0;
+      callbacksRef.current.onCallRecord?.({ callType: current.callType, outcome: finalOutcome, durationSeconds });
+    }
+
+    setCall(IDLE);
+    setElapsed(0);
+  }, []);
+
+  const endWithSignal = useCallback((reason) => {
+    signal('call_end', { reason });
+    finishCall(reason);
+  }, [signal, finishCall]);
+
+  const setupPeer = useCallback((stream) => {
+    const pc = createPeerConnection({
+      localStream: stream,
+      onIceCandidate: (candidate) => signal('call_ice_candidate', { candidate }),
+      onRemoteStream: (remoteStream) => setCall((prev) => ({ ...prev, remoteStream })),
+      onConnectionStateChange: (state) => {
+        const current = callRef.current;
+        if (!current) return;
+        if (state === 'connected' && !current.connectedAt) {
+          current.connectedAt = Date.now();
+          setCall((prev) => ({ ...prev, status: 'in-progress', connectedAt: current.connectedAt }));
+        } else if (state === 'failed') {
+          endWithSignal('failed');
+        }
+      },
+    });
+    pcRef.current = pc;
+    return pc;
+  }, [signal, endWithSignal]);
+
+  const flushCandidates = useCallback(async () => {
+    const pc = pcRef.current;
+    const queued = pendingCandidatesRef.current;
+    pendingCandidatesRef.current = [];
+    for (const candidate of queued) {
+      await pc.addIceCandidate(candidate).catch((e) => console.warn('Failed to add ICE candidate', e));
+    }
+  }, []);
+
+  const startCall = useCallback(async (callType) => {
+    if (callRef.current) return;
+    const current = { id: createCallId(), callType, direction: 'outgoing', connectedAt: null, offerSent: false };
+    callRef.current = current;
+    setCall({ ...IDLE, status: 'calling', callType, direction: 'outgoing' });
+
+    try {
+      const stream = await getCallMedia(callType);
+      if (callRef.current !== current) {
+        stopStream(stream);
+        return;
+      }
+      localStreamRef.current = stream;
+      setCall((prev) => ({ ...prev, localStream: stream }));
+
+      const pc = setupPeer(stream);
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+      signal('call_offer', { call_type: callType, sdp: pc.localDescription });
+      current.offerSent = true;
+
+      ringTimeoutRef.current = setTimeout(() => {
+        if (callRef.current === current && !current.connectedAt) endWithSignal('missed');
+      }, CALL_RING_TIMEOUT_MS);
+    } catch (error) {
+      console.error('Failed to start call:', error);
+      if (callRef.current === current) endWithSignal('failed');
+      callbacksRef.current.onError?.(error);
+    }
+  }, [setupPeer, signal, endWithSignal]);
+
+  const acceptCall = useCallback(async () => {
+    const current = callRef.current;
+    const offer = pendingOfferRef.current;
+    if (!current || current.direction !== 'incoming' || !offer) return;
+
+    clearTimeout(ringTimeoutRef.current);
+    stopRingRef.current?.();
+    stopRingRef.current = null;
+    setCall((prev) => ({ ...prev, status: 'connecting' }));
+
+    try {
+      const stream = await getCallMedia(current.callType);
+      if (callRef.current !== current) {
+        stopStream(stream);
+        return;
+      }
+      localStreamRef.current = stream;
+      setCall((prev) => ({ ...prev, localStream: stream }));
+
+      const pc = setupPeer(stream);
+      await pc.setRemoteDescription(offer);
+      await flushCandidates();
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      signal('call_answer', { sdp: pc.localDescription });
+    } catch (error) {
+      console.error('Failed to accept call:', error);
+      if (callRef.current === current) endWithSignal('failed');
+      callbacksRef.current.onError?.(error);
+    }
+  }, [setupPeer, flushCandidates, signal, endWithSignal]);
+
+  const declineCall = useCallback(() => endWithSignal('declined'), [endWithSignal]);
+
+  const hangUp = useCallback(() => endWithSignal('hangup'), [endWithSignal]);
+
+  const toggleMute = useCallback(() => {
+    const tracks = localStreamRef.current?.getAudioTracks() || [];
+    const muted = tracks.some((track) => track.enabled);
+    tracks.forEach((track) => { track.enabled = !muted; });
+    setCall((prev) => ({ ...prev, muted }));
+  }, []);
+
+  const toggleCamera = useCallback(() => {
+    const tracks = localStreamRef.current?.getVideoTracks() || [];
+    const cameraOff = tracks.some((track) => track.enabled);
+    tracks.forEach((track) => { track.enabled = !cameraOff; });
+    setCall((prev) => ({ ...prev, cameraOff }));
+  }, []);
+
+  const handleSignal = useCallback((data) => {
+    if (!isCallSignal(data)) return false;
+    const current = callRef.current;
+
+    switch (data.type) {
+      case 'call_offer': {
+        if (current?.id === data.call_id) return true;
+        if (current) {
+          callbacksRef.current.sendSignal?.({ type: 'call_end', call_id: data.call_id, reason: 'busy' });
+          return true;
+        }
+        const incoming = { id: data.call_id, callType: data.call_type === 'video' ? 'video' : 'audio', direction: 'incoming', connectedAt: null };
+        callRef.current = incoming;
+        pendingOfferRef.current = data.sdp;
+        setCall({ ...IDLE, status: 'incoming', callType: incoming.callType, direction: 'incoming' });
+        stopRingRef.current = startRingtone();
+        ringTimeoutRef.current = setTimeout(() => {
+          if (callRef.current === incoming && !incoming.connectedAt) finishCall('missed');
+        }, CALL_RING_TIMEOUT_MS);
+        return true;
+      }
+      case 'call_answer': {
+        const pc = pcRef.current;
+        if (current?.id !== data.call_id || !pc || pc.signalingState !== 'have-local-offer') return true;
+        clearTimeout(ringTimeoutRef.current);
+        setCall((prev) => ({ ...prev, status: 'connecting' }));
+        pc.setRemoteDescription(data.sdp)
+          .then(flushCandidates)
+          .catch((error) => {
+            console.error('Failed to apply call answer:', error);
+            endWithSignal('failed');
+          });
+        return true;
+      }
+      case 'call_ice_candidate': {
+        if (current?.id !== data.call_id || !data.candidate) return true;
+        const pc = pcRef.current;
+        if (pc?.remoteDescription) {
+          pc.addIceCandidate(data.candidate).catch((e) => console.warn('Failed to add ICE candidate', e));
+        } else {
+          pendingCandidatesRef.current.push(data.candidate);
+        }
+        return true;
+      }
+      case 'call_end':
+        if (current?.id === data.call_id) finishCall(data.reason || 'hangup');
+        return true;
+      default:
+        return false;
+    }
+  }, [finishCall, flushCandidates, endWithSignal]);
+
+  // Call timer
+  useEffect(() => {
+    if (!call.connectedAt) return;
+    const tick = () => setElapsed((Date.now() - call.connectedAt) / 1000);
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [call.connectedAt]);
+
+  // Leaving the chat tab ends any call in progress
+  useEffect(() => () => {
+    if (callRef.current) endWithSignal('hangup');
+  }, [endWithSignal]);
+
+  return {
+    ...call,
+    elapsed,
+    startCall,
+    acceptCall,
+    declineCall,
+    hangUp,
+    toggleMute,
+    toggleCamera,
+    handleSignal,
+  };
+}
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { getDoctorAvailability } from '../lib/api'
+
+const EMPTY = []
+
+// Slots are re-fetched this often while a picker is open so slots booked by
+// other patients show up as taken before the user tries to book them
+export const SLOT_REFRESH_MS = 20000
+
+/**
+ * A doctor's slots for one day with live booked/free state.
+ *
+ * @param {string|number|null} doctorId
+ * @param {string} date - YYYY-MM-DD; nothing is fetched until both are set
+ * @returns {object} { slots, loading, error, refresh } - refresh() resolves to the fresh slots
+ */
+export default function useDoctorSlots(doctorId, date) {
+  const [slots, setSlots] = useState(EMPTY)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  // Bumped whenever the doctor or date changes; late responses for an older pair are dropped
+  const generationRef = useRef(0)
+
+  const load = useCallback(async ({ quiet = false } = {}) => {
+    if (!doctorId || !date) return EMPTY
+    const generation = generationRef.current
+    if (!quiet) setLoading(true)
+    try {
+      const data = await getDoctorAvailability(doctorId, date)
+      const next = data?.slots || EMPTY
+      if (generation === generationRef.current) {
+        setSlots(next)
+        setError(null)
+      }
+      return next
+    } catch (err) {
+      if (generation === generationRef.current && !quiet) {
+        setSlots(EMPTY)
+        setError(err.message || 'Failed to load available slots')
+      }
+      return EMPTY
+    } finally {
+      if (generation === generationRef.current && !quiet) setLoading(false)
+    }
+  }, [doctorId, date])
+
+  useEffect(() => {
+    generationRef.current++
+    setSlots(EMPTY)
+    setError(null)
+    setLoading(false)
+    if (!doctorId || !date) return undefined
+    load()
+
+    const timer = setInterval(() => {
+      if (document.visibilityState === 'visible') load({ quiet: true })
+    }, SLOT_REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [doctorId, date, load])
+
+  const refresh = useCallback(() => load({ quiet: true }), [load])
+
+  return { slots, loading, error, refresh }
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getGeofences, saveGeofence, deleteGeofence, getGeofenceSettings, saveGeofenceSettings,
+} from '../lib/locationApi'
+import { DEFAULT_STILL_ALERT_MINUTES } from '../utils/geofence'
+
+const DEFAULT_SETTINGS = { alert_on_exit: true, still_alert_minutes: DEFAULT_STILL_ALERT_MINUTES }
+
+/**
+ * A wearer's safe zones and wandering alert settings.
+ *
+ * @param {string|number|null} userId - Wearer (null for self)
+ * @returns {object} { zones, settings, loading, error, saveZone, removeZone, saveSettings }
+ */
+export default function useGeofences(userId) {
+  const [zones, setZones] = useState([])
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+    Promise.all([getGeofences(userId), getGeofenceSettings(userId).catch(() => null)])
+      .then(([list, saved]) => {
+        if (cancelled) return
+        setZones(list)
+        setSettings({ ...DEFAULT_SETTINGS, ...saved })
+      })
+      .catch((err) => {
+        console.error('Failed to load safe zones:', err)
+        if (!cancelled) {
+          setZones([])
+          setError(err.message || 'Could not load safe zones')
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [userId])
+
+  const saveZone = useCallback(async (zone) => {
+    const saved = await saveGeofence({ ...zone, user_id: userId })
+    setZones((prev) => (
+      prev.some((z) => z.id === saved.id)
+        ? prev.map((z) => (z.id === saved.id ? saved : z))
+        : [...prev, saved]
+    ))
+    return saved
+  }, [userId])
+
+  const removeZone = useCallback(async (zoneId) => {
+    await deleteGeofence(zoneId)
+    setZones((prev) => prev.filter((z) => z.id !== zoneId))
+  }, [])
+
+  const saveSettings = useCallback(async (next) => {
+    const saved = await saveGeofenceSettings(userId, next)
+    setSettings({ ...DEFAULT_SETTINGS, ...saved })
+  }, [userId])
+
+  return { zones, settings, loading, error, saveZone, removeZone, saveSettings }
+}
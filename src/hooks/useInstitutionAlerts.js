@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { getInstitutionAlerts, raiseInstitutionAlert, updateInstitutionAlert } from '../lib/api'
+
+const POLL_INTERVAL_MS = 30000
+const ESCALATION_CHECK_MS = 15000
+
+// Minutes an alert may sit in a state before it escalates, per severity.
+// Each escalation restarts the clock, up to MAX_ESCALATION_LEVEL.
+export const ALERT_ESCALATION_MINUTES = {
+  critical: { open: 5, acknowledged: 30 },
+  warning: { open: 15, acknowledged: 120 },
+}
+export const MAX_ESCALATION_LEVEL = 2
+
+const isUnresolved = (alert) => alert.status === 'open' || alert.status === 'acknowledged'
+
+/** Server alert -> the shape the institution tabs render. */
+export function normaliseAlert(raw) {
+  return {
+    id: raw.id,
+    key: raw.alert_key,
+    memberId: raw.member_id,
+    member: raw.member_name || 'Unknown Member',
+    node: raw.member_email || raw.node || 'Member Node',
+    type: raw.type,
+    value: raw.value ?? '—',
+    severity: raw.severity,
+    rule: raw.rule || null,
+    status: raw.status,
+    createdAt: raw.created_at,
+    acknowledgedBy: raw.acknowledged_by_name || null,
+    acknowledgedAt: raw.acknowledged_at || null,
+    resolvedBy: raw.resolved_by_name || null,
+    resolvedAt: raw.resolved_at || null,
+    note: raw.resolution_note || '',
+    assignedTo: raw.assigned_to ?? null,
+    assignedToName: raw.assigned_to_name || null,
+    escalationLevel: raw.escalation_level || 0,
+    escalatedAt: raw.escalated_at || null,
+  }
+}
+
+/**
+ * When an unresolved alert next escalates, or null if it no longer will
+ * @param {object} alert - Normalised alert
+ * @returns {Date|null}
+ */
+export function getEscalationDue(alert) {
+  if (!isUnresolved(alert) || alert.escalationLevel >= MAX_ESCALATION_LEVEL) return null
+  const minutes = ALERT_ESCALATION_MINUTES[alert.severity]?.[alert.status]
+  if (!minutes) return null
+  const since = [alert.createdAt, alert.acknowledgedAt, alert.escalatedAt]
+    .filter(Boolean)
+    .map((t) => new Date(t).getTime())
+  return new Date(Math.max(...since) + minutes * 60000)
+}
+
+/**
+ * Institution alerts with a server-side lifecycle (open -> acknowledged -> resolved).
+ * Breaches found in members' vitals are raised on the server (which de-duplicates
+ * them by alert_key), the list is polled so all staff see the same state, and
+ * overdue alerts are escalated per ALERT_ESCALATION_MINUTES. A breach whose reading
+ * is no newer than the last resolution of its key is not raised again.
+ *
+ * @param {Array} candidates - Current breaches { alert_key, member_id, member_name, member_email, type, value, severity, rule,
+ *   observed_at } - observed_at is when the breaching reading was taken
+ * @returns {object} { alerts, loading, error, refresh, acknowledge, resolve, assign }
+ */
+export default function useInstitutionAlerts(candidates) {
+  const [alerts, setAlerts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [loaded, setLoaded] = useState(false)
+  const alertsRef = useRef([])
+  const raisingRef = useRef(new Set())
+  const escalatingRef = useRef(new Set())
+
+  useEffect(() => {
+    alertsRef.current = alerts
+  }, [alerts])
+
+  const upsert = useCallback((raw) => {
+    const next = normaliseAlert(raw)
+    setAlerts((prev) => {
+      const index = prev.findIndex((a) => a.id === next.id)
+      if (index === -1) return [next, ...prev]
+      const copy = [...prev]
+      copy[index] = next
+      return copy
+    })
+    return next
+  }, [])
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await getInstitutionAlerts()
+      setAlerts(list.map(normaliseAlert))
+      setError(null)
+      setLoaded(true)
+    } catch (err) {
+      console.error('Failed to load alerts:', err)
+      setError(err.message || 'Could not load alerts')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+    const t = setInterval(refresh, POLL_INTERVAL_MS)
+    return () => clearInterval(t)
+  }, [refresh])
+
+  // Raise breaches that have no unresolved alert yet (only once the server list is known)
+  useEffect(() => {
+    if (!loaded || !candidates?.length) return
+    const openKeys = new Set(alertsRef.current.filter(isUnresolved).map((a) => a.key))
+    const resolvedAtByKey = new Map()
+    alertsRef.current.forEach((a) => {
+      if (a.status !== 'resolved' || !a.resolvedAt) return
+      const time = new Date(a.resolvedAt).getTime()
+      if (!(resolvedAtByKey.get(a.key) >= time)) resolvedAtByKey.set(a.key, time)
+    })
+    candidates.forEach((candidate) => {
+      if (openKeys.has(candidate.alert_key) || raisingRef.current.has(candidate.alert_key)) return
+      // Someone already resolved the alert this reading raised
+      const resolvedAt = resolvedAtByKey.get(candidate.alert_key)
+      if (resolvedAt && candidate.observed_at && new Date(candidate.observed_at).getTime() <= resolvedAt) return
+      raisingRef.current.add(candidate.alert_key)
+      raiseInstitutionAlert(candidate)
+        .then(upsert)
+        .catch((err) => console.error(`Failed to raise alert ${candidate.alert_key}:`, err))
+        .finally(() => raisingRef.current.delete(candidate.alert_key))
+    })
+  }, [candidates, loaded, upsert])
+
+  const act = useCallback(async (alertId, action, payload) => {
+    try {
+      return upsert(await updateInstitutionAlert(alertId, action, payload))
+    } catch (err) {
+      // Someone else may have moved the alert on; show the current state
+      if (err.status === 409) refresh()
+      throw err
+    }
+  }, [upsert, refresh])
+
+  const acknowledge = useCallback((alertId) => act(alertId, 'acknowledge'), [act])
+  const resolve = useCallback((alertId, note) => act(alertId, 'resolve', { note }), [act])
+  const assign = useCallback((alertId, staffId) => act(alertId, 'assign', { assigned_to: staffId }), [act])
+
+  // Escalate overdue alerts. Every open dashboard runs this; the server ignores
+  // a request for a level the alert has already reached.
+  useEffect(() => {
+    const check = () => {
+      const now = Date.now()
+      alertsRef.current.forEach((alert) => {
+        const due = getEscalationDue(alert)
+        if (!due || due.getTime() > now || escalatingRef.current.has(alert.id)) return
+        escalatingRef.current.add(alert.id)
+        const minutes = ALERT_ESCALATION_MINUTES[alert.severity][alert.status]
+        act(alert.id, 'escalate', {
+          level: alert.escalationLevel + 1,
+          reason: `${alert.status === 'open' ? 'Not acknowledged' : 'Not resolved'} within ${minutes} minutes`,
+        })
+          .catch((err) => console.error(`Failed to escalate alert ${alert.id}:`, err))
+          .finally(() => escalatingRef.current.delete(alert.id))
+      })
+    }
+    check()
+    const t = setInterval(check, ESCALATION_CHECK_MS)
+    return () => clearInterval(t)
+  }, [act, alerts])
+
+  return { alerts, loading, error, refresh, acknowledge, resolve, assign }
+}
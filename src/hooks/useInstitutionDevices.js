@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getInstitutionDevices, registerInstitutionDevice, deleteInstitutionDevice,
+  assignInstitutionDevice, unassignInstitutionDevice, getBatteryStatus, getLastSync,
+} from '../lib/api'
+
+const POLL_INTERVAL_MS = 60000
+// Members' telemetry is fetched a few at a time so large registries don't flood the API
+const TELEMETRY_CONCURRENCY = 4
+
+async function fetchMemberTelemetry(memberId) {
+  const [battery, sync] = await Promise.allSettled([getBatteryStatus(memberId), getLastSync(memberId)])
+  if (battery.status === 'rejected') console.error(`Failed to load battery for member ${memberId}:`, battery.reason)
+  if (sync.status === 'rejected') console.error(`Failed to load last sync for member ${memberId}:`, sync.reason)
+  return {
+    battery: battery.status === 'fulfilled' ? battery.value : null,
+    lastSync: sync.status === 'fulfilled' ? sync.value?.last_sync || null : null,
+    unknown: battery.status === 'rejected' || sync.status === 'rejected',
+  }
+}
+
+// Battery and last sync are reported per member, so only assigned devices have them.
+// A device whose member's telemetry could not be read is marked telemetryUnknown.
+async function withTelemetry(devices) {
+  const memberIds = [...new Set(devices.map((d) => d.assigned_member_id).filter(Boolean))]
+  const telemetry = new Map()
+  let next = 0
+  const worker = async () => {
+    while (next < memberIds.length) {
+      const memberId = memberIds[next++]
+      telemetry.set(memberId, await fetchMemberTelemetry(memberId))
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(TELEMETRY_CONCURRENCY, memberIds.length) }, worker))
+  return devices.map((device) => {
+    const status = device.assigned_member_id ? telemetry.get(device.assigned_member_id) : null
+    return {
+      ...device,
+      battery: status?.battery || null,
+      lastSync: status?.lastSync || null,
+      telemetryUnknown: !!status?.unknown,
+    }
+  })
+}
+
+const describeTelemetryFailures = (devices) => {
+  const count = devices.filter((d) => d.telemetryUnknown).length
+  if (!count) return null
+  return `Battery and sync status could not be loaded for ${count} device${count === 1 ? '' : 's'}; their status is unknown.`
+}
+
+/**
+ * The institution's device registry with each device's battery and last sync.
+ *
+ * @param {object} options - { enabled } - nothing is fetched or polled while false
+ *   (e.g. when the devices feature is turned off for the institution)
+ * @returns {object} { devices, loading, error, telemetryError, refresh, register, remove, assign, unassign }
+ */
+export default function useInstitutionDevices({ enabled = true } = {}) {
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [telemetryError, setTelemetryError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await getInstitutionDevices()
+      const enriched = await withTelemetry(list)
+      setDevices(enriched)
+      setTelemetryError(describeTelemetryFailures(enriched))
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load devices:', err)
+      setError(err.message || 'Could not load devices')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!enabled) {
+      setDevices([])
+      setTelemetryError(null)
+      setLoading(false)
+      return undefined
+    }
+    refresh()
+    const t = setInterval(refresh, POLL_INTERVAL_MS)
+    return () => clearInterval(t)
+  }, [enabled, refresh])
+
+  const replace = useCallback(async (updated) => {
+    const [device] = await withTelemetry([updated])
+    setDevices((prev) => (
+      prev.some((d) => d.id === device.id)
+        ? prev.map((d) => (d.id === device.id ? device : d))
+        : [...prev, device]
+    ))
+    return device
+  }, [])
+
+  const register = useCallback(async (device) => replace(await registerInstitutionDevice(device)), [replace])
+
+  const remove = useCallback(async (deviceId) => {
+    await deleteInstitutionDevice(deviceId)
+    setDevices((prev) => prev.filter((d) => d.id !== deviceId))
+  }, [])
+
+  const assign = useCallback(async (deviceId, memberId) => (
+    replace(await assignInstitutionDevice(deviceId, memberId))
+  ), [replace])
+
+  const unassign = useCallback(async (deviceId) => replace(await unassignInstitutionDevice(deviceId)), [replace])
+
+  return { devices, loading, error, telemetryError, refresh, register, remove, assign, unassign }
+}
@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { getMySubscriptions } from '../lib/api'
+import { getActiveSubscription, getSubscriptionStatus } from '../utils/subscriptionBilling'
+
+// How often the plan's days left are re-evaluated while the dashboard stays open
+const STATUS_CHECK_MS = 60 * 60 * 1000
+
+/**
+ * The institution's subscriptions, the one currently in force, and its status
+ * (see getSubscriptionStatus). `status` stays null until the first load so the
+ * dashboard isn't locked while it is unknown.
+ *
+ * @returns {object} { subscriptions, active, status, loading, error, refresh }
+ */
+export default function useInstitutionSubscription() {
+  const [subscriptions, setSubscriptions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [now, setNow] = useState(() => new Date())
+
+  const refresh = useCallback(async () => {
+    try {
+      setSubscriptions(await getMySubscriptions())
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load subscription:', err)
+      setError(err.message || 'Could not load subscription')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(new Date()), STATUS_CHECK_MS)
+    return () => clearInterval(t)
+  }, [])
+
+  const active = useMemo(() => getActiveSubscription(subscriptions, now), [subscriptions, now])
+  const status = useMemo(
+    () => (loading || error ? null : getSubscriptionStatus(subscriptions, now)),
+    [subscriptions, now, loading, error],
+  )
+
+  return { subscriptions, active, status, loading, error, refresh }
+}
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getInstitutionThresholds, saveInstitutionThresholds, saveThresholdOverride, deleteThresholdOverride,
+} from '../lib/api'
+import { DEFAULT_THRESHOLDS } from '../utils/alertThresholds'
+
+/**
+ * The institution's saved alert thresholds and member/cohort overrides.
+ * Until the server responds (or if it fails) the built-in defaults apply.
+ *
+ * @returns {object} { thresholds, overrides, loading, error, saveThresholds, saveOverride, removeOverride }
+ */
+export default function useInstitutionThresholds() {
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS)
+  const [overrides, setOverrides] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getInstitutionThresholds()
+      .then(({ defaults, overrides: saved }) => {
+        if (cancelled) return
+        if (defaults) setThresholds({ ...DEFAULT_THRESHOLDS, ...defaults })
+        setOverrides(saved)
+      })
+      .catch((err) => {
+        console.error('Failed to load alert thresholds:', err)
+        if (!cancelled) setError(err.message || 'Could not load alert thresholds')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [])
+
+  const saveThresholds = useCallback(async (next) => {
+    const saved = await saveInstitutionThresholds(next)
+    setThresholds({ ...DEFAULT_THRESHOLDS, ...saved })
+    setError(null)
+  }, [])
+
+  const saveOverride = useCallback(async (override) => {
+    const saved = await saveThresholdOverride(override)
+    setOverrides((prev) => (
+      prev.some((o) => o.id === saved.id)
+        ? prev.map((o) => (o.id === saved.id ? saved : o))
+        : [...prev, saved]
+    ))
+    return saved
+  }, [])
+
+  const removeOverride = useCallback(async (overrideId) => {
+    await deleteThresholdOverride(overrideId)
+    setOverrides((prev) => prev.filter((o) => o.id !== overrideId))
+  }, [])
+
+  return { thresholds, overrides, loading, error, saveThresholds, saveOverride, removeOverride }
+}
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  getNotificationCampaigns, createNotificationCampaign, cancelNotificationCampaign, resendNotificationCampaign,
+} from '../lib/api'
+import { PENDING_STATUSES } from '../utils/notificationCampaigns'
+
+// Delivery and open counts of campaigns still going out are re-fetched this often
+const STATS_POLL_MS = 30000
+
+/**
+ * Admin push campaign history, newest first, with create / cancel / resend.
+ * While a campaign is scheduled or sending, the first page is polled so its
+ * status and delivery stats stay current.
+ *
+ * @param {object} options - { enabled }
+ * @returns {object} { campaigns, count, hasMore, loading, error, loadMore, refresh, create, cancel, resend }
+ */
+export default function useNotificationCampaigns({ enabled = true } = {}) {
+  const [campaigns, setCampaigns] = useState([])
+  const [count, setCount] = useState(0)
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  // Last page loaded with loadMore; polling only ever re-reads the first
+  const pageRef = useRef(1)
+
+  // Reloads the first page; campaigns already loaded from later pages are kept
+  const refresh = useCallback(async () => {
+    try {
+      const data = await getNotificationCampaigns({ page: 1 })
+      const first = data.results || []
+      setCampaigns((prev) => [...first, ...prev.filter((c) => !first.some((f) => f.id === c.id))])
+      setCount(data.count ?? first.length)
+      if (pageRef.current === 1) setHasMore(Boolean(data.next))
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load campaigns:', err)
+      setError(err.message || 'Could not load campaigns')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const loadMore = useCallback(async () => {
+    const data = await getNotificationCampaigns({ page: pageRef.current + 1 })
+    pageRef.current += 1
+    setCampaigns((prev) => [...prev, ...(data.results || []).filter((c) => !prev.some((p) => p.id === c.id))])
+    setHasMore(Boolean(data.next))
+  }, [])
+
+  useEffect(() => {
+    if (enabled) refresh()
+  }, [enabled, refresh])
+
+  const pending = campaigns.some((c) => PENDING_STATUSES.includes(c.status))
+  useEffect(() => {
+    if (!enabled || !pending) return undefined
+    const t = setInterval(refresh, STATS_POLL_MS)
+    return () => clearInterval(t)
+  }, [enabled, pending, refresh])
+
+  const prepend = useCallback((campaign) => {
+    setCampaigns((prev) => [campaign, ...prev])
+    setCount((prev) => prev + 1)
+    return campaign
+  }, [])
+
+  const replace = useCallback((campaign) => {
+    setCampaigns((prev) => prev.map((c) => (c.id === campaign.id ? campaign : c)))
+    return campaign
+  }, [])
+
+  const create = useCallback(async (campaign) => prepend(await createNotificationCampaign(campaign)), [prepend])
+  const cancel = useCallback(async (campaignId) => replace(await cancelNotificationCampaign(campaignId)), [replace])
+  const resend = useCallback(async (campaignId) => prepend(await resendNotificationCampaign(campaignId)), [prepend])
+
+  return { campaigns, count, hasMore, loading, error, loadMore, refresh, create, cancel, resend }
+}
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+import { subscribeOutbox, flushOutbox, retryOutboxItem, discardOutboxItem } from '../lib/offlineQueue';
+import { useOnlineStatus } from './useOnlineStatus';
+
+const EMPTY = [];
+
+/**
+ * Posts, comments and chat messages waiting to be sent, flushed automatically
+ * whenever the browser comes back online. Mount once per page.
+ * @returns {{ online: boolean, items: Array, retry: function, discard: function }}
+ */
+export function useOfflineQueue() {
+  const online = useOnlineStatus();
+  const [items, setItems] = useState(EMPTY);
+
+  useEffect(() => subscribeOutbox(setItems), []);
+
+  useEffect(() => {
+    if (!online) return;
+    flushOutbox().catch((error) => console.warn('Sending queued items failed:', error));
+  }, [online]);
+
+  return { online, items, retry: retryOutboxItem, discard: discardOutboxItem };
+}
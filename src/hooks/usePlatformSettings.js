@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getPlatformSettings, updatePlatformSettings } from '../lib/api'
+
+/**
+ * Platform-wide admin options: default alert thresholds and notification templates.
+ *
+ * @param {object} options - { enabled }
+ * @returns {object} { settings, loading, error, save, refresh } - save(changes) resolves to the updated settings
+ */
+export default function usePlatformSettings({ enabled = true } = {}) {
+  const [settings, setSettings] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setSettings(await getPlatformSettings())
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load platform settings:', err)
+      setError(err.message || 'Could not load platform settings')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (enabled) refresh()
+  }, [enabled, refresh])
+
+  const save = useCallback(async (changes) => {
+    const updated = await updatePlatformSettings(changes)
+    setSettings((prev) => ({ ...prev, ...changes, ...updated }))
+    return updated
+  }, [])
+
+  return { settings, loading, error, save, refresh }
+}
@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState } from 'react';
-import { API_BASE_URL } from '../lib/api';
-import { getAccessToken, isTokenExpired, refreshAccessToken } from '../lib/tokenManager';
+import { WS_BASE_URL } from '../config/api';
+import { getAccessToken, isTokenExpired } from '../lib/tokenManager';
+import { refreshAccessToken } from '../lib/httpClient';
 
 const RECONNECT_DELAY_MS = 3000;
 
@@ -44,9 +45,7 @@ export default function useStatusSocket(userIdToTrack = null) {
         token = getAccessToken();
       }
 
-      const wsProtocol = API_BASE_URL.startsWith('https') ? 'wss' : 'ws';
-      const baseUrl = API_BASE_URL.replace(/^https?:\/\//, '');
-      const statusWsUrl = `${wsProtocol}://${baseUrl}/ws/status/?token=${token}`;
+      const statusWsUrl = `${WS_BASE_URL}/ws/status/?token=${token}`;
 
       try {
         statusSocket = new WebSocket(statusWsUrl);
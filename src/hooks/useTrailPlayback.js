@@ -0,0 +1,64 @@
+import { useState, useEffect, useMemo } from 'react'
+
+// Trail minutes replayed per real second
+export const PLAYBACK_SPEEDS = [1, 5, 15, 60]
+
+/**
+ * Replays a trail against a virtual clock. `time` is null until playback or
+ * scrubbing starts; it then runs from the first to the last point's timestamp
+ * at `speed` trail minutes per second.
+ *
+ * @param {Array} points - Trail points { timestamp }, oldest first
+ * @returns {object} { start, end, time, playing, speed, setSpeed, play, pause, seek, stop }
+ */
+export default function useTrailPlayback(points) {
+  const { start, end } = useMemo(() => ({
+    start: points.length ? new Date(points[0].timestamp).getTime() : null,
+    end: points.length ? new Date(points[points.length - 1].timestamp).getTime() : null,
+  }), [points])
+  const [time, setTime] = useState(null)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(PLAYBACK_SPEEDS[1])
+
+  // A different trail (new filter or refresh) ends the replay
+  useEffect(() => {
+    setTime(null)
+    setPlaying(false)
+  }, [points])
+
+  useEffect(() => {
+    if (!playing) return undefined
+    let frame
+    let last = performance.now()
+    const tick = (now) => {
+      const elapsed = now - last
+      last = now
+      setTime((t) => {
+        const next = (t ?? start) + elapsed * speed * 60
+        if (next >= end) {
+          setPlaying(false)
+          return end
+        }
+        return next
+      })
+      frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [playing, speed, start, end])
+
+  const play = () => {
+    if (start == null || end <= start) return
+    // Replaying a finished trail starts again from the beginning
+    setTime((t) => (t == null || t >= end ? start : t))
+    setPlaying(true)
+  }
+  const pause = () => setPlaying(false)
+  const seek = (value) => setTime(Math.min(Math.max(value, start), end))
+  const stop = () => {
+    setPlaying(false)
+    setTime(null)
+  }
+
+  return { start, end, time, playing, speed, setSpeed, play, pause, seek, stop }
+}
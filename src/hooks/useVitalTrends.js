@@ -0,0 +1,38 @@
+import { useMemo } from 'react'
+import { useVitalsQuery } from './useVitalsQuery'
+import { findTrendInsights } from '../utils/vitalTrends'
+import { canViewMetric } from '../utils/mappingPermissions'
+
+// Trends always look at the last 30 days, whatever range the cards show
+const BASELINE_RANGE = { period: 'month', customRange: false }
+
+/**
+ * Sustained deviations from the user's own 30-day baseline (resting HR, nightly
+ * SpO₂, HRV, stress, blood pressure). Loaded through the shared vitals cache, so
+ * cards already showing 30 days don't cause extra requests. Metrics a
+ * caregiver may not see are never fetched.
+ *
+ * @param {string|null} userId - Selected (mapped) user, or null for self
+ * @param {object|null} permissions - The caregiver's access to that user; null for self
+ * @returns {object} { insights, analysed, loading }
+ */
+export default function useVitalTrends(userId, permissions = null) {
+  const allowed = (metric) => ({ enabled: canViewMetric(permissions, metric) })
+  const heartRate = useVitalsQuery('heartRate', userId, BASELINE_RANGE, allowed('heart_rate'))
+  const spo2 = useVitalsQuery('spo2', userId, BASELINE_RANGE, allowed('spo2'))
+  const hrv = useVitalsQuery('hrv', userId, BASELINE_RANGE, allowed('hrv'))
+  const stress = useVitalsQuery('stress', userId, BASELINE_RANGE, allowed('stress'))
+  const bloodPressure = useVitalsQuery('bloodPressure', userId, BASELINE_RANGE, allowed('blood_pressure'))
+
+  const result = useMemo(() => findTrendInsights({
+    heartRate: heartRate.data,
+    spo2: spo2.data,
+    hrv: hrv.data,
+    stress: stress.data,
+    bloodPressure: bloodPressure.data,
+  }), [heartRate.data, spo2.data, hrv.data, stress.data, bloodPressure.data])
+
+  const loading = heartRate.loading || spo2.loading || hrv.loading || stress.loading || bloodPressure.loading
+
+  return { ...result, loading }
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { queryVitals, getVitalsSyncState } from '../lib/api';
+import { toVitalsQueryParams } from '../utils/vitalDateRange';
+
+const EMPTY = [];
+
+/**
+ * Load one vitals metric for a card through the shared vitals cache.
+ * Cached data renders immediately (revalidated in the background once stale),
+ * and changing the user or range cancels the previous request. When the API is
+ * unreachable the last synced copy is shown; `syncedAt` says how old it is.
+ *
+ * @param {string} metric - Key of VITAL_METRICS in lib/api
+ * @param {string|null} userId - Selected (mapped) user, or null for self
+ * @param {object} dateRange - Card range ({ period, customRange, date })
+ * @param {object} options
+ * @param {function} options.select - Pure transform (e.g. sort) applied to a copy of the records
+ * @param {function} options.onData - Called with the selected records whenever they change
+ * @param {string} options.errorMessage - Message exposed as `error` when loading fails
+ * @param {boolean} options.enabled - Nothing is fetched while false (e.g. a metric a caregiver may not see)
+ * @returns {{ data: Array, loading: boolean, error: string|null, syncedAt: number|null, refetch: function }}
+ */
+export function useVitalsQuery(metric, userId, dateRange, { select, onData, errorMessage, enabled = true } = {}) {
+  const { date, range } = toVitalsQueryParams(dateRange);
+  const key = `${metric}|${userId ?? ''}|${date ?? range}`;
+  const [state, setState] = useState({ key: null, data: EMPTY, loading: true, error: null, syncedAt: null });
+  const [reloadCount, setReloadCount] = useState(0);
+  const optionsRef = useRef({ select, onData, errorMessage });
+  const forceRef = useRef(false);
+
+  useEffect(() => {
+    optionsRef.current = { select, onData, errorMessage };
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const controller = new AbortController();
+    const force = forceRef.current;
+    forceRef.current = false;
+
+    const apply = (records) => {
+      if (controller.signal.aborted) return;
+      const { select: pick, onData: notify } = optionsRef.current;
+      const copy = Array.isArray(records) ? records.slice() : records;
+      const data = pick ? pick(copy) : (copy ?? EMPTY);
+      const syncedAt = getVitalsSyncState(metric, { userId, date, range })?.syncedAt ?? null;
+      setState({ key, data, loading: false, error: null, syncedAt });
+      notify?.(data);
+    };
+
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+
+    queryVitals(metric, { userId, date, range }, { signal: controller.signal, force, onRevalidate: apply })
+      .then(apply)
+      .catch((error) => {
+        if (error.name === 'AbortError' || controller.signal.aborted) return;
+        console.error(`Error fetching ${metric} data:`, error);
+        const message = optionsRef.current.errorMessage || error.message;
+        setState({ key, data: EMPTY, loading: false, error: message, syncedAt: null });
+      });
+
+    return () => controller.abort();
+  }, [key, metric, userId, date, range, reloadCount, enabled]);
+
+  const refetch = useCallback(() => {
+    forceRef.current = true;
+    setReloadCount((count) => count + 1);
+  }, []);
+
+  if (!enabled) return { data: EMPTY, loading: false, error: null, syncedAt: null, refetch };
+
+  const current = state.key === key;
+  return {
+    data: current ? state.data : EMPTY,
+    loading: !current || state.loading,
+    error: current ? state.error : null,
+    syncedAt: current ? state.syncedAt : null,
+    refetch,
+  };
+}
@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { getRealTimeData } from '../lib/api'
+import { openVitalsSocket } from '../lib/vitalsSocket'
+import { mergeReadings } from '../utils/vitalsStream'
+
+const EMPTY = []
+
+/**
+ * Live wearable readings for a user, pushed over the vitals WebSocket into a
+ * rolling in-memory buffer. The buffer is seeded from /api/real-time-data/ and,
+ * after every reconnect, backfilled with the readings sent while the socket was
+ * down (`?since=` the newest reading we have).
+ *
+ * @param {string|number|null} userId - Mapped user or patient ID (null for self)
+ * @param {object} options - { enabled } - nothing is fetched or opened while false
+ * @returns {object} { readings, status, loading, error, lastReceived, refresh }
+ *   status is 'connecting' | 'live' | 'reconnecting' | 'offline'; readings are oldest first
+ */
+export default function useVitalsStream(userId = null, { enabled = true } = {}) {
+  const [readings, setReadings] = useState(EMPTY)
+  const [status, setStatus] = useState('connecting')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [lastReceived, setLastReceived] = useState(null)
+  // Bumped whenever the user changes; late responses for the previous user are dropped
+  const generationRef = useRef(0)
+  const newestRef = useRef(null)
+
+  useEffect(() => {
+    newestRef.current = readings.length ? readings[readings.length - 1].timestamp : null
+  }, [readings])
+
+  const backfill = useCallback(async () => {
+    const generation = generationRef.current
+    const since = newestRef.current
+    try {
+      const list = await getRealTimeData(userId, { since })
+      if (generation !== generationRef.current) return
+      setReadings((prev) => mergeReadings(prev, list))
+      if (list.length) setLastReceived(new Date())
+      setError(null)
+    } catch (err) {
+      if (generation !== generationRef.current) return
+      console.error('Failed to backfill vitals:', err)
+      setError(err.message || 'Could not load readings')
+    } finally {
+      if (generation === generationRef.current) setLoading(false)
+    }
+  }, [userId])
+
+  useEffect(() => {
+    generationRef.current++
+    newestRef.current = null
+    setReadings(EMPTY)
+    setError(null)
+    setLastReceived(null)
+    if (!enabled) {
+      setLoading(false)
+      setStatus('offline')
+      return undefined
+    }
+
+    setLoading(true)
+    backfill()
+
+    const socket = openVitalsSocket({
+      onOpen: (send, isReconnect) => {
+        send({ type: 'subscribe', user_id: userId })
+        // Pick up whatever was sent while we were disconnected
+        if (isReconnect) backfill()
+      },
+      onReading: (reading) => {
+        if (userId != null && reading.user != null && String(reading.user) !== String(userId)) return
+        setReadings((prev) => mergeReadings(prev, [reading]))
+        setLastReceived(new Date())
+      },
+      onStatus: setStatus,
+    })
+    return socket.close
+  }, [userId, enabled, backfill])
+
+  return { readings, status, loading, error, lastReceived, refresh: backfill }
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react'
+import { openVitalsSocket } from '../lib/vitalsSocket'
+
+const EMPTY = {}
+
+/**
+ * Newest pushed reading for each of several members over one vitals socket,
+ * for views that show many members at once (the monitoring wall).
+ *
+ * @param {Array} userIds - Member user IDs to subscribe to
+ * @param {object} options - { enabled } - the socket is only open while true
+ * @returns {object} { latest, status } - latest is keyed by user ID
+ */
+export default function useWardVitals(userIds, { enabled = true } = {}) {
+  const [latest, setLatest] = useState(EMPTY)
+  const [status, setStatus] = useState('offline')
+  const sendRef = useRef(null)
+  const subscribedRef = useRef(new Set())
+  // Sorted and joined so a new members array with the same IDs doesn't resubscribe
+  const idsKey = [...new Set(userIds.filter((id) => id != null).map(String))].sort().join(',')
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('offline')
+      return undefined
+    }
+    const socket = openVitalsSocket({
+      onOpen: (send) => {
+        // Subscriptions don't survive a reconnect, so send them all again
+        subscribedRef.current = new Set()
+        sendRef.current = send
+        setStatus('live')
+      },
+      onReading: (reading) => {
+        if (reading.user == null) return
+        setLatest((prev) => {
+          const current = prev[reading.user]
+          if (current && Number(current.timestamp) >= Number(reading.timestamp)) return prev
+          return { ...prev, [reading.user]: reading }
+        })
+      },
+      onStatus: (next) => {
+        if (next !== 'live') sendRef.current = null
+        // 'live' is set from onOpen once the sender is in place, so the subscribe effect sees it
+        if (next !== 'live') setStatus(next)
+      },
+    })
+    return () => {
+      sendRef.current = null
+      socket.close()
+    }
+  }, [enabled])
+
+  useEffect(() => {
+    const send = sendRef.current
+    if (status !== 'live' || !send) return
+    idsKey.split(',').filter(Boolean).forEach((id) => {
+      if (subscribedRef.current.has(id)) return
+      send({ type: 'subscribe', user_id: id })
+      subscribedRef.current.add(id)
+    })
+  }, [idsKey, status])
+
+  return { latest, status }
+}
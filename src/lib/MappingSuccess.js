@@ -1,6 +1,9 @@
 import React, { useEffect, useState } from "react";
 import { CheckCircle, Loader, XCircle, Check, ArrowRight } from "lucide-react";
 import { motion } from "framer-motion";
+import { getAccessToken } from "./tokenManager";
+import { HttpError } from "./httpClient";
+import { verifyMappingPayment } from "./api";
 
 function MappingSuccess() {
   const params = new URLSearchParams(window.location.search);
@@ -13,10 +16,6 @@ function MappingSuccess() {
   const [successData, setSuccessData] = useState(null);
   const [error, setError] = useState(null);
 
-  const getAccessToken = () => {
-    return localStorage.getItem("access_token");
-  };
-
   const formatDate = (dateString) => {
     if (!dateString) return '';
     const date = new Date(dateString);
@@ -46,30 +45,10 @@ function MappingSuccess() {
       }
 
       try {
-        const response = await fetch(
-          "https://jeewanjyoti-backend.smart.org.np/api/user-mapping/verify/",
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${accessToken}`,
-            },
-            body: JSON.stringify({
-              payment_ref,
-              pidx,
-            }),
-          }
-        );
-
-        const data = await response.json();
-
-        if (!response.ok) {
-          setError(data.error || data.detail || "Something went wrong!");
-        } else {
-          setSuccessData(data);
-        }
+        const data = await verifyMappingPayment(payment_ref, pidx);
+        setSuccessData(data);
       } catch (err) {
-        setError("Network error. Try again.");
+        setError(err instanceof HttpError ? err.message : "Network error. Try again.");
       } finally {
         setLoading(false);
       }
@@ -1,19 +1,21 @@
-import { authenticatedFetch, getAuthHeaders, refreshAccessToken, clearTokens, getUserData, getAccessToken } from './tokenManager'
+import { clearTokens, getUserData } from './tokenManager'
+import { http, httpFetch, readResponse } from './httpClient'
+import { VITALS_STORE, idbGet, idbGetAllKeys, idbPut, idbDelete, idbClear } from './offlineStore'
+import { API_BASE_URL } from '../config/api'
 
-export const API_BASE_URL = 'https://jeewanjyoti-backend.smart.org.np'
+export { API_BASE_URL }
 
 // Adjust this path to match your Django route
 export const REGISTER_ENDPOINT = '/api/register/'
 
 /**
- * Make an authenticated API request
+ * Make an authenticated API request through the shared HTTP client
  * @param {string} endpoint - API endpoint (without base URL)
- * @param {object} options - Fetch options
+ * @param {object} options - Fetch options (see httpFetch)
  * @returns {Promise<Response>} Fetch response
  */
 export const apiRequest = async (endpoint, options = {}) => {
-  const url = `${API_BASE_URL}${endpoint}`
-  return await authenticatedFetch(url, options)
+  return await httpFetch(endpoint, options)
 }
 
 /**
@@ -37,13 +39,7 @@ export async function registerUser(payload) {
     body: JSON.stringify(payload),
   })
 
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error('Registration failed')
-    error.details = data
-    throw error
-  }
-  return data
+  return await readResponse(response, 'Registration failed')
 }
 
 /**
@@ -55,7 +51,8 @@ export async function registerUser(payload) {
 export async function loginUser(credentials, userType = 'individual') {
   const endpoint = userType === 'individual' ? '/api/login/' : '/api/ins/login/'
 
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+  const response = await httpFetch(endpoint, {
+    auth: false,
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -63,13 +60,7 @@ export async function loginUser(credentials, userType = 'individual') {
     body: JSON.stringify(credentials),
   })
 
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error('Login failed')
-    error.details = data
-    throw error
-  }
-  return data
+  return await readResponse(response, 'Login failed')
 }
 
 /**
@@ -79,11 +70,7 @@ export async function loginUser(credentials, userType = 'individual') {
 export async function getUserProfile() {
   const response = await apiRequest('/api/profile/')
 
-  if (!response.ok) {
-    throw new Error('Failed to fetch user profile')
-  }
-
-  return await response.json()
+  return await readResponse(response, 'Failed to fetch user profile')
 }
 
 /**
@@ -100,11 +87,7 @@ export async function updateUserProfile(profileData) {
     body: JSON.stringify(profileData),
   })
 
-  if (!response.ok) {
-    throw new Error('Failed to update user profile')
-  }
-
-  return await response.json()
+  return await readResponse(response, 'Failed to update user profile')
 }
 
 /**
@@ -113,58 +96,27 @@ export async function updateUserProfile(profileData) {
  * @returns {Promise<object>} Updated profile data
  */
 export async function updateProfile(profileData) {
-  console.log('updateProfile called with:', profileData);
-  console.log('updateProfile payload stringified:', JSON.stringify(profileData));
-
-  try {
-    const response = await apiRequest('/api/profile-update/', {
-      method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(profileData),
-    })
-
-    console.log('updateProfile response status:', response.status);
-    console.log('updateProfile response headers:', response.headers);
-
-    const responseText = await response.text();
-    console.log('updateProfile response text:', responseText);
+  const response = await apiRequest('/api/profile-update/', {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(profileData),
+  })
 
-    if (!response.ok) {
-      let errorData = {};
-      try {
-        errorData = JSON.parse(responseText);
-      } catch (e) {
-        errorData = { detail: responseText || 'Unknown error' };
-      }
-      console.error('updateProfile error:', errorData);
-      console.error('updateProfile error status:', response.status);
-      const error = new Error(errorData.detail || errorData.message || `Failed to update profile (Status: ${response.status})`);
-      error.details = errorData;
-      error.response = response;
-      error.status = response.status;
-      throw error;
-    }
+  const result = await readResponse(response, `Failed to update profile (Status: ${response.status})`)
+  return result && typeof result === 'object' ? result : { success: true, message: 'Profile updated successfully' }
+}
 
-    let result = {};
-    try {
-      result = JSON.parse(responseText);
-    } catch (e) {
-      result = { success: true, message: 'Profile updated successfully' };
-    }
-    console.log('updateProfile success:', result);
-    return result;
-  } catch (error) {
-    console.error('updateProfile exception:', error);
-    if (error.details) {
-      throw error;
-    }
-    const wrappedError = new Error(error.message || 'Failed to update profile');
-    wrappedError.details = { detail: error.message };
-    wrappedError.originalError = error;
-    throw wrappedError;
-  }
+/**
+ * Replace the current user's profile picture
+ * @param {File} file - Image file
+ * @returns {Promise<object>} Updated profile ({ profile_image } or { user: { profile_image } })
+ */
+export async function updateProfileImage(file) {
+  const formData = new FormData()
+  formData.append('profile_image', file)
+  return await http.patch('/api/profile-image/', formData, { errorMessage: 'Failed to update profile image' })
 }
 
 /**
@@ -174,11 +126,7 @@ export async function updateProfile(profileData) {
 export async function getAppointments() {
   const response = await apiRequest('/api/appointments/')
 
-  if (!response.ok) {
-    throw new Error('Failed to fetch appointments')
-  }
-
-  return await response.json()
+  return await readResponse(response, 'Failed to fetch appointments')
 }
 
 /**
@@ -195,11 +143,7 @@ export async function createAppointment(appointmentData) {
     body: JSON.stringify(appointmentData),
   })
 
-  if (!response.ok) {
-    throw new Error('Failed to create appointment')
-  }
-
-  return await response.json()
+  return await readResponse(response, 'Failed to create appointment')
 }
 
 /**
@@ -209,19 +153,155 @@ export async function createAppointment(appointmentData) {
 export async function getDoctorList() {
   const response = await apiRequest('/api/doctorlist/')
 
-  if (!response.ok) {
-    throw new Error('Failed to fetch doctor list')
+  return await readResponse(response, 'Failed to fetch doctor list')
+}
+
+/**
+ * List the current user's booked appointments (a doctor sees the ones booked with them)
+ * @returns {Promise<Array|object>} Appointments, possibly wrapped in { results | appointments | data }
+ */
+export async function getAppointmentList() {
+  return await http.get('/api/appointment_list/', { errorMessage: 'Failed to fetch appointments' })
+}
+
+/**
+ * Get a doctor's bookable slots on a day
+ * @param {string|number} doctorId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<object>} { slots: Array }
+ */
+export async function getDoctorAvailability(doctorId, date) {
+  return await http.get(`/api/get_doctor_availability/${doctorId}/`, { params: { date }, errorMessage: 'Failed to fetch available slots' })
+}
+
+/**
+ * List the signed-in doctor's availability windows
+ * @returns {Promise<Array>} Availabilities
+ */
+export async function getMyAvailability() {
+  return await http.get('/api/my_availability/', { errorMessage: 'Failed to fetch availabilities' })
+}
+
+/**
+ * Book an appointment with a doctor
+ * @param {object} booking - { doctor_id, appointment_date, appointment_time, problem_description,
+ *   user_id? } - user_id books for a mapped user whose mapping grants book_appointments
+ * @returns {Promise<object>} Booked appointment ({ invoice_no } when payment is due)
+ */
+export async function bookAppointment(booking) {
+  return await http.post('/api/book_appointment/', booking, { errorMessage: 'Failed to book appointment' })
+}
+
+/**
+ * Open an availability window for the signed-in doctor
+ * @param {object} availability - { available_date, start_time, end_time, interval_minutes }
+ * @returns {Promise<object>} Created availability
+ */
+export async function createDoctorAvailability(availability) {
+  return await http.post('/api/create_doctor_availability/', availability, { errorMessage: 'Failed to create availability' })
+}
+
+/**
+ * The signed-in doctor's weekly recurring hours and time off
+ * @returns {Promise<{ templates: Array, exceptions: Array }>}
+ */
+export async function getAvailabilityTemplates() {
+  const [templates, exceptions] = await Promise.all([
+    http.get('/api/availability_templates/', { errorMessage: 'Failed to fetch weekly hours' }),
+    http.get('/api/availability_exceptions/', { errorMessage: 'Failed to fetch time off' }),
+  ])
+  return {
+    templates: Array.isArray(templates) ? templates : templates?.results || [],
+    exceptions: Array.isArray(exceptions) ? exceptions : exceptions?.results || [],
   }
+}
+
+/**
+ * Create or update a weekly template. Slots are generated from it for every matching day.
+ * @param {object} template - { id?, weekdays: number[] (0 = Sunday), start_time, end_time, interval_minutes, valid_from?, valid_until? }
+ * @returns {Promise<object>} Saved template
+ */
+export async function saveAvailabilityTemplate(template) {
+  const { id, ...body } = template
+  return id
+    ? await http.patch(`/api/availability_templates/${id}/`, body, { errorMessage: 'Failed to save weekly hours' })
+    : await http.post('/api/availability_templates/', body, { errorMessage: 'Failed to save weekly hours' })
+}
+
+/**
+ * Delete a weekly template. Appointments already booked from it are kept.
+ * @param {string|number} templateId
+ */
+export async function deleteAvailabilityTemplate(templateId) {
+  return await http.delete(`/api/availability_templates/${templateId}/`, { errorMessage: 'Failed to delete weekly hours' })
+}
+
+/**
+ * Block out a holiday or leave. Without start_time/end_time the whole day is blocked.
+ * @param {object} exception - { start_date, end_date?, start_time?, end_time?, reason }
+ * @returns {Promise<object>} Created exception
+ */
+export async function createAvailabilityException(exception) {
+  return await http.post('/api/availability_exceptions/', exception, { errorMessage: 'Failed to add time off' })
+}
+
+/**
+ * Remove time off; its slots become bookable again
+ * @param {string|number} exceptionId
+ */
+export async function deleteAvailabilityException(exceptionId) {
+  return await http.delete(`/api/availability_exceptions/${exceptionId}/`, { errorMessage: 'Failed to remove time off' })
+}
+
+/**
+ * Cancel a booked appointment as the patient (refunds follow the cancellation policy)
+ * @param {string|number} appointmentId
+ * @param {string} reason - Optional note for the doctor
+ * @returns {Promise<object>} Updated appointment ({ status: 'CANCELLED', refund_status })
+ */
+export async function cancelAppointment(appointmentId, reason = '') {
+  return await http.post(`/api/appointments/${appointmentId}/cancel/`, { reason }, { errorMessage: 'Failed to cancel appointment' })
+}
+
+/**
+ * Reject a booking as the doctor; the patient sees the reason and is refunded
+ * @param {string|number} appointmentId
+ * @param {string} reason
+ * @returns {Promise<object>} Updated appointment ({ status: 'REJECTED', rejection_reason })
+ */
+export async function rejectAppointment(appointmentId, reason) {
+  return await http.post(`/api/appointments/${appointmentId}/reject/`, { reason }, { errorMessage: 'Failed to reject appointment' })
+}
+
+/**
+ * Move an appointment to another free slot of the same doctor
+ * @param {string|number} appointmentId
+ * @param {object} slot - { appointment_date: 'YYYY-MM-DD', appointment_time: 'HH:MM' }
+ * @returns {Promise<object>} Updated appointment (reschedule_count incremented)
+ */
+export async function rescheduleAppointment(appointmentId, slot) {
+  return await http.post(`/api/appointments/${appointmentId}/reschedule/`, slot, { errorMessage: 'Failed to reschedule appointment' })
+}
 
-  return await response.json()
+/**
+ * Private iCalendar feed of the current user's appointments, for subscribing from
+ * Google Calendar, Outlook or Apple Calendar
+ * @param {object} options - { reset: true issues a new URL and revokes the old one }
+ * @returns {Promise<object>} { url }
+ */
+export async function getAppointmentCalendarFeed({ reset = false } = {}) {
+  return reset
+    ? await http.post('/api/appointments/calendar_feed/', {}, { errorMessage: 'Failed to reset calendar link' })
+    : await http.get('/api/appointments/calendar_feed/', { errorMessage: 'Failed to fetch calendar link' })
 }
 
 /**
  * Helper function to fetch all pages from a paginated API response
  * @param {string} initialUrl - Initial API URL to fetch (relative path like /api/HeartRate_Data/)
+ * @param {object} options - Optional { signal } to cancel between/within page requests
  * @returns {Promise<Array>} Combined results from all pages
  */
-async function fetchAllPages(initialUrl) {
+async function fetchAllPages(initialUrl, { signal } = {}) {
   let allResults = [];
   let nextUrl = initialUrl;
   let useAbsolute = false;
@@ -232,17 +312,13 @@ async function fetchAllPages(initialUrl) {
     if (useAbsolute) {
       const secureUrl = nextUrl.replace(/^http:\/\//, 'https://');
       console.log(`Fetching page (absolute): ${secureUrl}`);
-      response = await authenticatedFetch(secureUrl, {});
+      response = await httpFetch(secureUrl, { signal });
     } else {
       console.log(`Fetching page (relative): ${nextUrl}`);
-      response = await apiRequest(nextUrl);
-    }
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch data: ${response.status}`);
+      response = await apiRequest(nextUrl, { signal });
     }
 
-    const data = await response.json();
+    const data = await readResponse(response, `Failed to fetch data: ${response.status}`);
 
     if (data && typeof data === 'object' && 'results' in data && Array.isArray(data.results)) {
       allResults = allResults.concat(data.results);
@@ -271,6 +347,247 @@ async function fetchAllPages(initialUrl) {
   return allResults;
 }
 
+/**
+ * Vitals endpoints, keyed by metric. Institution accounts (but not admins, see
+ * isAdminUser) read members' data through the institution_* variants.
+ *   userParam    - query param naming the target user
+ *   defaultRange - range sent when neither date nor range is given
+ *   paginated    - false for endpoints that return one JSON body
+ */
+export const VITAL_METRICS = {
+  sleep: { label: 'sleep', personal: 'sleep-data', institution: 'institution_sleep_data' },
+  spo2: { label: 'SpO2', personal: 'Spo2-data', institution: 'institution_Spo2_data' },
+  heartRate: { label: 'heart rate', personal: 'HeartRate_Data', institution: 'institution_heartrate_data' },
+  heartRateDaily: { label: 'daily heart rate', personal: 'HeartRate_Data', institution: 'institution_heartrate_data', defaultRange: '7d' },
+  bloodPressure: { label: 'blood pressure', personal: 'BloodPressure_Data', institution: 'institution_BP_data' },
+  stress: { label: 'stress', personal: 'Stress_Data', institution: 'institution_Stress_data' },
+  hrv: { label: 'HRV', personal: 'HRV_Iso_Data', institution: 'institution_HRV_data' },
+  steps: { label: 'steps', personal: 'Steps', institution: 'Steps', userParam: 'user', defaultRange: null, paginated: false },
+  activity: { label: 'daily activity', personal: 'Day_total_activity', institution: 'institution_activity_data', defaultRange: null, paginated: false },
+}
+
+const getVitalMetric = (metric) => {
+  const spec = VITAL_METRICS[metric]
+  if (!spec) throw new Error(`Unknown vitals metric: ${metric}`)
+  return spec
+}
+
+/**
+ * Build the relative URL for a vitals request
+ * @param {string} metric - Key of VITAL_METRICS
+ * @param {object} params - { userId, date (YYYY-MM-DD), range (24h, 7d, 30d), from / to (YYYY-MM-DD, inclusive) }
+ * @returns {string} Relative API URL
+ */
+export function buildVitalsUrl(metric, { userId = null, date = null, range = null, from = null, to = null } = {}) {
+  const spec = getVitalMetric(metric)
+  const userData = getUserData()
+  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? spec.institution : spec.personal
+  const params = new URLSearchParams()
+
+  if (userId) params.append(spec.userParam || 'user_id', userId)
+
+  const defaultRange = spec.defaultRange === undefined ? '24h' : spec.defaultRange
+  if (date) {
+    params.append('date', date)
+  } else if (from) {
+    params.append('from', from)
+    if (to) params.append('to', to)
+  } else if (range || defaultRange) {
+    params.append('range', range || defaultRange)
+  }
+
+  const query = params.toString()
+  return query ? `/api/${endpoint}/?${query}` : `/api/${endpoint}/`
+}
+
+/**
+ * Fetch one metric straight from the API, bypassing the cache
+ * @param {string} metric - Key of VITAL_METRICS
+ * @param {object} params - { userId, date, range, from, to, signal }
+ * @returns {Promise<Array|object>} All records (every page), or the raw body for non-paginated endpoints
+ */
+export async function fetchVitals(metric, { userId = null, date = null, range = null, from = null, to = null, signal } = {}) {
+  const spec = getVitalMetric(metric)
+  const url = buildVitalsUrl(metric, { userId, date, range, from, to })
+  console.log(`Fetching ${spec.label} data:`, url)
+
+  if (spec.paginated === false) {
+    const response = await apiRequest(url, { signal })
+    return await readResponse(response, `Failed to fetch ${spec.label} data`)
+  }
+
+  const results = await fetchAllPages(url, { signal })
+  console.log(`Total ${spec.label} records fetched: ${results.length}`)
+  return results
+}
+
+// Cached vitals are served as-is for VITALS_STALE_MS, then served stale while a
+// background request revalidates them. Identical concurrent queries share one
+// request, which is only aborted once every caller waiting on it has aborted.
+// Every response is also persisted to IndexedDB, so after a reload (or with no
+// connection at all) the last synced data renders until the network answers.
+const VITALS_STALE_MS = 5 * 60 * 1000
+const VITALS_CACHE_LIMIT = 100
+const vitalsCache = new Map()
+const vitalsInFlight = new Map()
+
+const abortError = () => new DOMException('The vitals request was aborted', 'AbortError')
+
+const vitalsWindowKey = ({ date = null, range = null, from = null, to = null }) => {
+  if (date) return `date:${date}`
+  if (from) return `from:${from}~${to ?? ''}`
+  return `range:${range ?? ''}`
+}
+
+const vitalsCacheKey = (metric, { userId = null, ...span }) =>
+  [getUserData()?.id ?? 'anon', metric, userId ?? 'self', vitalsWindowKey(span)].join('|')
+
+function rememberVitals(key, entry) {
+  vitalsCache.delete(key)
+  vitalsCache.set(key, entry)
+  if (vitalsCache.size > VITALS_CACHE_LIMIT) {
+    vitalsCache.delete(vitalsCache.keys().next().value)
+  }
+}
+
+function storeVitals(key, data) {
+  const entry = { data, timestamp: Date.now() }
+  rememberVitals(key, entry)
+  idbPut(VITALS_STORE, entry, key).catch((error) => console.warn('Persisting vitals failed:', error))
+}
+
+// Last synced copy of a query from memory or IndexedDB, or null
+async function readSavedVitals(key) {
+  if (vitalsCache.has(key)) return vitalsCache.get(key)
+  const saved = await idbGet(VITALS_STORE, key).catch(() => null)
+  if (!saved) return null
+  rememberVitals(key, saved)
+  return saved
+}
+
+function joinVitalsRequest(key, entry, signal) {
+  if (signal?.aborted) return Promise.reject(abortError())
+  entry.subscribers += 1
+
+  return new Promise((resolve, reject) => {
+    let settled = false
+    const leave = () => {
+      if (settled) return false
+      settled = true
+      signal?.removeEventListener('abort', onAbort)
+      entry.subscribers -= 1
+      return true
+    }
+    const onAbort = () => {
+      if (!leave()) return
+      if (entry.subscribers === 0) {
+        entry.controller.abort()
+        if (vitalsInFlight.get(key) === entry) vitalsInFlight.delete(key)
+      }
+      reject(abortError())
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+    entry.promise.then(
+      (data) => { if (leave()) resolve(data) },
+      (error) => { if (leave()) reject(error) },
+    )
+  })
+}
+
+function loadVitals(key, metric, params, signal) {
+  let entry = vitalsInFlight.get(key)
+  if (!entry) {
+    const controller = new AbortController()
+    entry = { controller, subscribers: 0 }
+    entry.promise = fetchVitals(metric, { ...params, signal: controller.signal })
+      .then((data) => {
+        storeVitals(key, data)
+        return data
+      })
+      .finally(() => {
+        if (vitalsInFlight.get(key) === entry) vitalsInFlight.delete(key)
+      })
+    // Callers observe the result through joinVitalsRequest; keep the shared
+    // promise from reporting an unhandled rejection when all of them aborted.
+    entry.promise.catch(() => {})
+    vitalsInFlight.set(key, entry)
+  }
+  return joinVitalsRequest(key, entry, signal)
+}
+
+/**
+ * Cached, de-duplicated vitals query (stale-while-revalidate)
+ * @param {string} metric - Key of VITAL_METRICS
+ * @param {object} params - { userId, date, range } or { userId, from, to }
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Cancels this caller's wait (and the request once no one else needs it)
+ * @param {boolean} options.force - Skip the cache and refetch
+ * @param {function} options.onRevalidate - Called with fresh data when stale cached data was returned
+ * @returns {Promise<Array|object>} Records for the query; the last synced copy when the network is unreachable
+ */
+export async function queryVitals(metric, params = {}, { signal, force = false, onRevalidate } = {}) {
+  const key = vitalsCacheKey(metric, params)
+  const cached = force ? null : await readSavedVitals(key)
+
+  if (cached) {
+    if (Date.now() - cached.timestamp >= VITALS_STALE_MS) {
+      loadVitals(key, metric, params, signal).then(
+        (data) => onRevalidate?.(data),
+        (error) => {
+          if (error.name !== 'AbortError') console.warn(`Revalidating ${metric} data failed:`, error)
+        },
+      )
+    }
+    return cached.data
+  }
+
+  try {
+    return await loadVitals(key, metric, params, signal)
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    const saved = await readSavedVitals(key)
+    if (!saved) throw error
+    console.warn(`Showing last synced ${metric} data:`, error)
+    return saved.data
+  }
+}
+
+/**
+ * When the data a query would return was last fetched from the server
+ * @param {string} metric - Key of VITAL_METRICS
+ * @param {object} params - { userId, date, range }
+ * @returns {{ syncedAt: number, stale: boolean }|null} null when nothing is cached
+ */
+export function getVitalsSyncState(metric, params = {}) {
+  const cached = vitalsCache.get(vitalsCacheKey(metric, params))
+  if (!cached) return null
+  return { syncedAt: cached.timestamp, stale: Date.now() - cached.timestamp >= VITALS_STALE_MS }
+}
+
+const matchesVitalsFilter = (key, { metric, userId }) => {
+  const [, keyMetric, keyUser] = String(key).split('|')
+  if (metric && keyMetric !== metric) return false
+  if (userId && keyUser !== String(userId)) return false
+  return true
+}
+
+/**
+ * Drop cached vitals (in memory and on the device), e.g. after logout or when
+ * new readings are known to exist
+ * @param {object} filter - Optional { metric, userId } to limit what is dropped
+ */
+export function invalidateVitals({ metric = null, userId = null } = {}) {
+  const filter = { metric, userId }
+  for (const key of [...vitalsCache.keys()]) {
+    if (matchesVitalsFilter(key, filter)) vitalsCache.delete(key)
+  }
+  const dropped = (metric || userId)
+    ? idbGetAllKeys(VITALS_STORE).then((keys) => idbDelete(VITALS_STORE, keys.filter((key) => matchesVitalsFilter(key, filter))))
+    : idbClear(VITALS_STORE)
+  dropped.catch((error) => console.warn('Clearing saved vitals failed:', error))
+}
+
 /**
  * Get sleep data
  * @param {string} userId - Optional user ID
@@ -279,27 +596,7 @@ async function fetchAllPages(initialUrl) {
  * @returns {Promise<Array>} List of sleep data records
  */
 export async function getSleepData(userId = null, date = null, range = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_sleep_data' : 'sleep-data';
-  let url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/?`;
-
-  if (date) {
-    url = userId
-      ? `/api/${endpoint}/?user_id=${userId}&date=${date}`
-      : `/api/${endpoint}/?date=${date}`;
-    console.log('Fetching sleep data with date:', url);
-  } else if (range) {
-    url += `&range=${range}`;
-    console.log('Fetching sleep data with range:', url);
-  } else {
-    url += `&range=24h`;
-    console.log('Fetching sleep data default 24h:', url);
-  }
-
-  console.log('Sleep data URL:', url);
-  const results = await fetchAllPages(url);
-  console.log(`Total sleep records fetched: ${results.length}`);
-  return results;
+  return await fetchVitals('sleep', { userId, date, range });
 }
 
 /**
@@ -310,27 +607,7 @@ export async function getSleepData(userId = null, date = null, range = null) {
  * @returns {Promise<Array>} List of SpO2 data records
  */
 export async function getSpO2Data(userId = null, date = null, range = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_Spo2_data' : 'Spo2-data';
-  let url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/?`;
-
-  if (date) {
-    url = userId
-      ? `/api/${endpoint}/?user_id=${userId}&date=${date}`
-      : `/api/${endpoint}/?date=${date}`;
-    console.log('Fetching SpO2 data with date:', url);
-  } else if (range) {
-    url += `&range=${range}`;
-    console.log('Fetching SpO2 data with range:', url);
-  } else {
-    url += `&range=24h`;
-    console.log('Fetching SpO2 data default 24h:', url);
-  }
-
-  console.log('SpO2 data URL:', url);
-  const results = await fetchAllPages(url);
-  console.log(`Total SpO2 records fetched: ${results.length}`);
-  return results;
+  return await fetchVitals('spo2', { userId, date, range });
 }
 
 /**
@@ -341,27 +618,7 @@ export async function getSpO2Data(userId = null, date = null, range = null) {
  * @returns {Promise<Array>} List of Heart Rate data records
  */
 export async function getHeartRateData(userId = null, date = null, range = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_heartrate_data' : 'HeartRate_Data';
-  let url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/?`;
-
-  if (date) {
-    url = userId
-      ? `/api/${endpoint}/?user_id=${userId}&date=${date}`
-      : `/api/${endpoint}/?date=${date}`;
-    console.log('Fetching heart rate data with date:', url);
-  } else if (range) {
-    url += `&range=${range}`;
-    console.log('Fetching heart rate data with range:', url);
-  } else {
-    url += `&range=24h`;
-    console.log('Fetching heart rate data default 24h:', url);
-  }
-
-  console.log('Heart rate data URL:', url);
-  const results = await fetchAllPages(url);
-  console.log(`Total heart rate records fetched: ${results.length}`);
-  return results;
+  return await fetchVitals('heartRate', { userId, date, range });
 }
 
 /**
@@ -373,42 +630,8 @@ export async function getHeartRateData(userId = null, date = null, range = null)
  * @returns {Promise<{count: number, results: Array}>}
  */
 export async function getDailyHeartRateData(userId = null, range = '7d') {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_heartrate_data' : 'HeartRate_Data';
-  const base = userId
-    ? `/api/${endpoint}/?user_id=${userId}&range=${range}`
-    : `/api/${endpoint}/?range=${range}`;
-
-  console.log('Fetching daily heart rate data:', base);
-
-  let allResults = [];
-  let nextUrl = base;
-  let useAbsolute = false;
-  let totalCount = 0;
-
-  while (nextUrl) {
-    let response;
-    if (useAbsolute) {
-      const secureUrl = nextUrl.replace(/^http:\/\//, 'https://');
-      response = await authenticatedFetch(secureUrl, {});
-    } else {
-      response = await apiRequest(nextUrl);
-    }
-    if (!response.ok) throw new Error(`Failed to fetch daily heart rate data: ${response.status}`);
-    const data = await response.json();
-    if (data && typeof data === 'object' && 'results' in data) {
-      allResults = allResults.concat(data.results);
-      totalCount = data.count ?? allResults.length;
-      nextUrl = data.next ? data.next : null;
-      useAbsolute = true;
-    } else {
-      allResults = Array.isArray(data) ? data : [data];
-      nextUrl = null;
-    }
-  }
-
-  console.log(`Daily heart rate: ${allResults.length} day(s) fetched`);
-  return { count: totalCount, results: allResults };
+  const results = await fetchVitals('heartRateDaily', { userId, range });
+  return { count: results.length, results };
 }
 
 /**
@@ -419,27 +642,7 @@ export async function getDailyHeartRateData(userId = null, range = '7d') {
  * @returns {Promise<Array>} List of Blood Pressure data records
  */
 export async function getBloodPressureData(userId = null, date = null, range = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_BP_data' : 'BloodPressure_Data';
-  let url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/?`;
-
-  if (date) {
-    url = userId
-      ? `/api/${endpoint}/?user_id=${userId}&date=${date}`
-      : `/api/${endpoint}/?date=${date}`;
-    console.log('Fetching blood pressure data with date:', url);
-  } else if (range) {
-    url += `&range=${range}`;
-    console.log('Fetching blood pressure data with range:', url);
-  } else {
-    url += `&range=24h`;
-    console.log('Fetching blood pressure data default 24h:', url);
-  }
-
-  console.log('Blood pressure data URL:', url);
-  const results = await fetchAllPages(url);
-  console.log(`Total blood pressure records fetched: ${results.length}`);
-  return results;
+  return await fetchVitals('bloodPressure', { userId, date, range });
 }
 
 /**
@@ -450,27 +653,7 @@ export async function getBloodPressureData(userId = null, date = null, range = n
  * @returns {Promise<Array>} List of Stress data records
  */
 export async function getStressData(userId = null, date = null, range = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_Stress_data' : 'Stress_Data';
-  let url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/?`;
-
-  if (date) {
-    url = userId
-      ? `/api/${endpoint}/?user_id=${userId}&date=${date}`
-      : `/api/${endpoint}/?date=${date}`;
-    console.log('Fetching stress data with date:', url);
-  } else if (range) {
-    url += `&range=${range}`;
-    console.log('Fetching stress data with range:', url);
-  } else {
-    url += `&range=24h`;
-    console.log('Fetching stress data default 24h:', url);
-  }
-
-  console.log('Stress data URL:', url);
-  const results = await fetchAllPages(url);
-  console.log(`Total stress records fetched: ${results.length}`);
-  return results;
+  return await fetchVitals('stress', { userId, date, range });
 }
 
 /**
@@ -481,27 +664,7 @@ export async function getStressData(userId = null, date = null, range = null) {
  * @returns {Promise<Array>} List of HRV data records
  */
 export async function getHRVData(userId = null, date = null, range = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_HRV_data' : 'HRV_Iso_Data';
-  let url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/?`;
-
-  if (date) {
-    url = userId
-      ? `/api/${endpoint}/?user_id=${userId}&date=${date}`
-      : `/api/${endpoint}/?date=${date}`;
-    console.log('Fetching HRV data with date:', url);
-  } else if (range) {
-    url += `&range=${range}`;
-    console.log('Fetching HRV data with range:', url);
-  } else {
-    url += `&range=24h`;
-    console.log('Fetching HRV data default 24h:', url);
-  }
-
-  console.log('HRV data URL:', url);
-  const results = await fetchAllPages(url);
-  console.log(`Total HRV records fetched: ${results.length}`);
-  return results;
+  return await fetchVitals('hrv', { userId, date, range });
 }
 
 /**
@@ -512,38 +675,7 @@ export async function getHRVData(userId = null, date = null, range = null) {
  * @returns {Promise<Array>} List of Steps data records
  */
 export async function getStepsData(userId = null, date = null, range = null) {
-  try {
-    let url = '/api/Steps/';
-    const params = new URLSearchParams();
-
-    if (userId) params.append('user', userId);
-
-    if (date) {
-      params.append('date', date);
-    } else if (range) {
-      params.append('range', range);
-    }
-
-    if (params.toString()) {
-      url += `?${params.toString()}`;
-    }
-
-    console.log('Fetching steps data with URL:', url);
-    const response = await apiRequest(url);
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      console.error('Error fetching steps data:', error);
-      throw new Error(error.detail || 'Failed to fetch steps data');
-    }
-
-    const data = await response.json();
-    console.log(`Total steps records fetched: ${data.length || 0}`);
-    return data;
-  } catch (error) {
-    console.error('Error in getStepsData:', error);
-    throw error;
-  }
+  return await fetchVitals('steps', { userId, date, range });
 }
 
 /**
@@ -554,38 +686,7 @@ export async function getStepsData(userId = null, date = null, range = null) {
  * @returns {Promise<object>} Daily activity data
  */
 export async function getDayTotalActivity(userId = null, range = null, date = null) {
-  try {
-    const userData = getUserData();
-    const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_activity_data' : 'Day_total_activity';
-    let url = `/api/${endpoint}/`;
-    const params = new URLSearchParams();
-
-    if (userId) params.append('user_id', userId);
-
-    if (date) {
-      params.append('date', date);
-    } else if (range) {
-      params.append('range', range);
-    }
-
-    if (params.toString()) {
-      url += `?${params.toString()}`;
-    }
-
-    console.log('Fetching daily activity data with URL:', url);
-    const response = await apiRequest(url);
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      console.error('Error fetching daily activity data:', error);
-      throw new Error(error.detail || 'Failed to fetch daily activity data');
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Error in getDayTotalActivity:', error);
-    throw error;
-  }
+  return await fetchVitals('activity', { userId, date, range });
 }
 
 /**
@@ -606,13 +707,7 @@ export async function getUserEmailProfile(userId = null) {
   console.log('Fetching user profile with URL:', url);
   const response = await apiRequest(url);
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    console.error('Error fetching user profile:', error);
-    throw new Error(error.detail || 'Failed to fetch user profile');
-  }
-
-  return await response.json();
+  return await readResponse(response, 'Failed to fetch user profile');
 }
 
 /**
@@ -623,70 +718,151 @@ export async function getUserEmailProfile(userId = null) {
 export async function getUserById(userId) {
   if (!userId) throw new Error('User ID is required');
   const response = await apiRequest(`/api/useremailprofile/?user_id=${userId}`);
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.detail || 'Failed to fetch user profile by ID');
-  }
-  return await response.json();
+  return await readResponse(response, 'Failed to fetch user profile by ID');
 }
 
 /**
- * Logout user
- * @returns {Promise<void>}
+ * List the current user's mappings (caregivers and the users they follow)
+ * @returns {Promise<Array>} Mappings { id, mapped_user, ... }
  */
-export async function logoutUser() {
-  try {
-    await apiRequest('/api/logout/', {
-      method: 'POST',
-    })
-  } catch (error) {
-    console.warn('Logout endpoint failed:', error)
-  } finally {
-    clearTokens()
-  }
+export async function getUserMappings() {
+  return await http.get('/api/user-mapping/list/', { errorMessage: 'Failed to fetch user mappings' })
 }
 
 /**
- * Get battery status for a device
- * @param {string|null} userId - Optional mapped user ID (omit for self)
- * @returns {Promise<object>} Battery status { percentage, timestamp, device_id, user }
+ * Ask another user to be mapped; they receive an OTP by email that lists the access requested
+ * @param {string} email - The other user's email
+ * @param {object} access - { permissions: { metrics, location, manage_medications, book_appointments },
+ *   access_expires_at: ISO date or null for no expiry }
+ * @returns {Promise<object>} { message }
  */
-export async function getBatteryStatus(userId = null) {
-  const userData = getUserData();
-  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_battry_status' : 'battery-status';
-  const url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/`;
-  const response = await apiRequest(url);
-  if (!response.ok) {
-    throw new Error('Failed to fetch battery status');
-  }
-  return await response.json();
+export async function requestUserMapping(email, access = {}) {
+  return await http.post('/api/user-mapping/request/', { email, ...access }, { errorMessage: 'Failed to send OTP' })
 }
 
 /**
- * Get the last sync timestamp for a device
- * @param {string|null} userId - Optional mapped user ID (omit for self)
- * @returns {Promise<object>} Last sync info { last_sync }
+ * Confirm a mapping OTP and start the mapping fee payment
+ * @param {string} email
+ * @param {string} otp
+ * @returns {Promise<object>} { pidx, payment_ref }
  */
-export async function getLastSync(userId = null) {
-  const url = userId ? `/api/last_sync/?user_id=${userId}` : '/api/last_sync/'
-  const response = await apiRequest(url)
-  if (!response.ok) {
-    throw new Error('Failed to fetch last sync')
-  }
-  return await response.json()
+export async function initiateMappingPayment(email, otp) {
+  return await http.post('/api/user-mapping/payment_initiate/', { email, otp }, { errorMessage: 'Failed to verify OTP' })
 }
 
 /**
- * Get the online/offline status of a mapped user
- * @param {string|number} userId - Mapped user ID
- * @returns {Promise<object>} Online status info
+ * Verify the mapping fee payment after returning from Khalti
+ * @param {string} paymentRef - purchase_order_id from the Khalti redirect
+ * @param {string} pidx - Khalti payment id
+ * @returns {Promise<object>} The created mapping
  */
-export async function getUserOnlineStatus(userId) {
-  const response = await apiRequest(`/api/user_online_status/${userId}/`)
-  if (!response.ok) {
-    throw new Error('Failed to fetch user online status')
+export async function verifyMappingPayment(paymentRef, pidx) {
+  return await http.post('/api/user-mapping/verify/', { payment_ref: paymentRef, pidx }, { errorMessage: 'Something went wrong!' })
+}
+
+/**
+ * List the caregivers who can see the current user's data (mappings where the
+ * current user is the mapped person)
+ * @returns {Promise<Array>} Mappings { id, user: { id, full_name, email, profile_image }, permissions,
+ *   access_expires_at, created_at }
+ */
+export async function getMyCaregivers() {
+  const data = await http.get('/api/user-mapping/caregivers/', { errorMessage: 'Failed to fetch caregivers' })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Change what a caregiver can access (only the mapped person can)
+ * @param {string|number} mappingId
+ * @param {object} access - { permissions, access_expires_at }
+ * @returns {Promise<object>} The updated mapping
+ */
+export async function updateMappingAccess(mappingId, access) {
+  return await http.patch(`/api/user-mapping/${mappingId}/access/`, access, { errorMessage: 'Failed to update access' })
+}
+
+/**
+ * Revoke a caregiver's access to the current user's data
+ * @param {string|number} mappingId
+ */
+export async function revokeUserMapping(mappingId) {
+  await http.post(`/api/user-mapping/${mappingId}/revoke/`, {}, { errorMessage: 'Failed to revoke access' })
+}
+
+/**
+ * Delete an account: the current user's own, or (for admins) another user's
+ * @param {string|number|null} userId - Account to delete (omit for self)
+ */
+export async function deleteAccount(userId = null) {
+  await http.delete('/api/delete-account/', {
+    body: userId ? { id: userId } : undefined,
+    errorMessage: 'Failed to delete account',
+  })
+}
+
+/**
+ * Logout user
+ * @returns {Promise<void>}
+ */
+export async function logoutUser() {
+  try {
+    await apiRequest('/api/logout/', {
+      method: 'POST',
+    })
+  } catch (error) {
+    console.warn('Logout endpoint failed:', error)
+  } finally {
+    clearTokens()
+    invalidateVitals()
   }
-  return await response.json()
+}
+
+/**
+ * Get battery status for a device
+ * @param {string|null} userId - Optional mapped user ID (omit for self)
+ * @returns {Promise<object>} Battery status { percentage, timestamp, device_id, user }
+ */
+export async function getBatteryStatus(userId = null) {
+  const userData = getUserData();
+  const endpoint = (userData?.institution_type && !isAdminUser(userData)) ? 'institution_battry_status' : 'battery-status';
+  const url = userId ? `/api/${endpoint}/?user_id=${userId}` : `/api/${endpoint}/`;
+  const response = await apiRequest(url);
+  return await readResponse(response, 'Failed to fetch battery status')
+}
+
+/**
+ * Get the last sync timestamp for a device
+ * @param {string|null} userId - Optional mapped user ID (omit for self)
+ * @returns {Promise<object>} Last sync info { last_sync }
+ */
+export async function getLastSync(userId = null) {
+  const url = userId ? `/api/last_sync/?user_id=${userId}` : '/api/last_sync/'
+  const response = await apiRequest(url)
+  return await readResponse(response, 'Failed to fetch last sync')
+}
+
+/**
+ * Recent real-time readings from a user's wearable
+ * @param {string|number|null} userId - Mapped user or patient ID (omit for self)
+ * @param {object} options - Optional { since: unix seconds } to fetch only newer readings
+ * @returns {Promise<Array>} Readings { device_id, heartRate, spo2, stress, hrv, systolic, diastolic, timestamp, user }
+ */
+export async function getRealTimeData(userId = null, { since = null } = {}) {
+  const data = await http.get('/api/real-time-data/', {
+    params: { user_id: userId, since },
+    errorMessage: 'Failed to fetch real-time data',
+  })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Get the online/offline status of a mapped user
+ * @param {string|number} userId - Mapped user ID
+ * @returns {Promise<object>} Online status info
+ */
+export async function getUserOnlineStatus(userId) {
+  const response = await apiRequest(`/api/user_online_status/${userId}/`)
+  return await readResponse(response, 'Failed to fetch user online status')
 }
 
 /**
@@ -702,11 +878,176 @@ export async function createAdminNotification(targetUserId, title, body) {
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ target_user: targetUserId, title, body }),
   })
-  if (!response.ok) {
-    const errData = await response.json().catch(() => ({}))
-    throw new Error(errData.detail || errData.message || 'Failed to send notification')
-  }
-  return await response.json()
+  return await readResponse(response, 'Failed to send notification')
+}
+
+/**
+ * Push campaigns sent or scheduled by admins, newest first
+ * @param {object} options - Optional { page }
+ * @returns {Promise<object>} { count, next, results: [{ id, title, body, segment, status, scheduled_at, sent_at,
+ *   created_at, created_by_name, resent_from, recipients, delivered, opened, failed }] }
+ */
+export async function getNotificationCampaigns({ page = 1 } = {}) {
+  const data = await http.get('/api/admin/notification_campaigns/', { params: { page }, errorMessage: 'Failed to fetch campaigns' })
+  return Array.isArray(data) ? { count: data.length, next: null, results: data } : data
+}
+
+/**
+ * How many users a segment reaches right now
+ * @param {object} segment - { type, institution_id, min_age, max_age, inactive_days }
+ * @returns {Promise<object>} { count, with_devices }
+ */
+export async function getCampaignAudience(segment) {
+  return await http.post('/api/admin/notification_campaigns/audience/', { segment }, { errorMessage: 'Failed to count recipients' })
+}
+
+/**
+ * Send a push notification to a segment, now or at `scheduled_at`
+ * @param {object} campaign - { title, body, segment, scheduled_at (ISO, omit to send now) }
+ * @returns {Promise<object>} Created campaign
+ */
+export async function createNotificationCampaign(campaign) {
+  return await http.post('/api/admin/notification_campaigns/', campaign, { errorMessage: 'Failed to create campaign' })
+}
+
+/**
+ * Cancel a campaign that hasn't been sent yet
+ * @param {string|number} campaignId
+ * @returns {Promise<object>} Updated campaign
+ */
+export async function cancelNotificationCampaign(campaignId) {
+  return await http.post(`/api/admin/notification_campaigns/${campaignId}/cancel/`, {}, { errorMessage: 'Failed to cancel campaign' })
+}
+
+/**
+ * Send a past campaign again to its segment, as it is now
+ * @param {string|number} campaignId
+ * @returns {Promise<object>} The new campaign (its `resent_from` is campaignId)
+ */
+export async function resendNotificationCampaign(campaignId) {
+  return await http.post(`/api/admin/notification_campaigns/${campaignId}/resend/`, {}, { errorMessage: 'Failed to resend campaign' })
+}
+
+/**
+ * One page of the admin user directory, filtered and ordered by the server
+ * @param {object} filters - Optional { search, role ('DOCTOR'|'USER'), institutionId,
+ *   activeWithinDays, inactiveForDays, page, pageSize }
+ * @param {object} options - Optional { signal }
+ * @returns {Promise<object>} { count, next, previous, results: users, most recently active first }
+ */
+export async function getAdminUsers({ search, role, institutionId, activeWithinDays, inactiveForDays, page = 1, pageSize = 25 } = {}, { signal } = {}) {
+  const data = await http.get('/api/admin/users/', {
+    params: {
+      search,
+      role,
+      institution: institutionId,
+      active_within_days: activeWithinDays,
+      inactive_for_days: inactiveForDays,
+      ordering: '-last_active',
+      page,
+      page_size: pageSize,
+    },
+    signal,
+    errorMessage: 'Failed to fetch users',
+  })
+  return Array.isArray(data) ? { count: data.length, next: null, previous: null, results: data } : data
+}
+
+/**
+ * Institutions registered on the platform, for admin filters and settings
+ * @returns {Promise<Array>} Institutions { id, name, institution_type, features }
+ */
+export async function getAdminInstitutions() {
+  const data = await http.get('/api/admin/institutions/', { errorMessage: 'Failed to fetch institutions' })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Latest vitals of several users in one request
+ * @param {Array<string|number>} userIds
+ * @param {object} options - Optional { signal }
+ * @returns {Promise<object>} Latest vitals by user id, shaped like /api/latest_data_user/
+ */
+export async function getLatestVitalsBatch(userIds, { signal } = {}) {
+  if (!userIds.length) return {}
+  const data = await http.get('/api/latest_data_users/', {
+    params: { user_ids: userIds.join(',') },
+    signal,
+    errorMessage: 'Failed to fetch latest vitals',
+  })
+  if (!Array.isArray(data)) return data || {}
+  return Object.fromEntries(data.map((row) => [row.user_id, row]))
+}
+
+/**
+ * Platform-wide threshold alerts. The server checks every user's latest vitals
+ * against the platform default thresholds, keeps one alert per alert_key until it
+ * is resolved, and resolves an open alert itself once the reading recovers.
+ * @param {object} filters - Optional { status: 'open'|'acknowledged'|'resolved', since (ISO date) }
+ * @returns {Promise<Array>} Alerts { id, alert_key, user_id, member_name, member_email, type, value, severity,
+ *   rule, status, created_at, acknowledged_by_name, acknowledged_at, resolved_by_name, resolved_at, resolution_note }
+ */
+export async function getAdminAlerts({ status, since } = {}) {
+  const data = await http.get('/api/admin/alerts/', { params: { status, since }, errorMessage: 'Failed to fetch alerts' })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Acknowledge or resolve a platform alert; the server stamps the admin and time
+ * @param {string|number} alertId
+ * @param {string} action - 'acknowledge' | 'resolve'
+ * @param {object} payload - { note } for resolve
+ * @returns {Promise<object>} Updated alert
+ */
+export async function updateAdminAlert(alertId, action, payload = {}) {
+  return await http.post(`/api/admin/alerts/${alertId}/${action}/`, payload, { errorMessage: `Failed to ${action} alert` })
+}
+
+/**
+ * Every push (FCM) registration on the platform; admins see all users' devices
+ * @returns {Promise<Array>} Devices { id, registration_id, device_type, active, user, user_name, user_email,
+ *   date_created, last_seen }
+ */
+export async function getRegisteredPushDevices() {
+  const data = await http.get('/api/devices/register/', { errorMessage: 'Failed to fetch push devices' })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Every wearable on the platform, with or without an institution
+ * @returns {Promise<Array>} Wearables { id, serial, name, model, firmware, owner_id, owner_name, institution_name,
+ *   battery: { percentage, timestamp }, last_seen }
+ */
+export async function getAdminWearables() {
+  const data = await http.get('/api/admin/wearables/', { errorMessage: 'Failed to fetch wearables' })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Platform-wide options
+ * @returns {Promise<object>} { default_thresholds, notification_templates: [{ key, name, title, body, variables }] }
+ */
+export async function getPlatformSettings() {
+  return await http.get('/api/admin/platform_settings/', { errorMessage: 'Failed to fetch platform settings' })
+}
+
+/**
+ * Change platform-wide options; only the keys given are replaced
+ * @param {object} changes - { default_thresholds } and/or { notification_templates }
+ * @returns {Promise<object>} Updated settings
+ */
+export async function updatePlatformSettings(changes) {
+  return await http.patch('/api/admin/platform_settings/', changes, { errorMessage: 'Failed to save platform settings' })
+}
+
+/**
+ * Turn features on or off for one institution
+ * @param {string|number} institutionId
+ * @param {object} features - Feature id → boolean (see INSTITUTION_FEATURES)
+ * @returns {Promise<object>} Updated institution { id, name, features }
+ */
+export async function updateInstitutionFeatures(institutionId, features) {
+  return await http.patch(`/api/admin/institutions/${institutionId}/`, { features }, { errorMessage: 'Failed to update institution features' })
 }
 
 /**
@@ -727,112 +1068,338 @@ export async function getAIData(userId = null, date = null) {
   
   console.log('Fetching AI data with URL:', url);
   const response = await apiRequest(url);
-  if (!response.ok) {
-    throw new Error('Failed to fetch AI data');
-  }
-  return await response.json();
+  return await readResponse(response, 'Failed to fetch AI data')
 }
 
 /**
- * Get the weekly leaderboard rankings
- * @returns {Promise<object>} { leaderboard: Array, period: string }
+ * Save a recorded ECG session (every sample, the heart rate series, summary and notes)
+ * @param {object} session - { patient_id, request_id, started_at, ended_at, sample_rate, samples,
+ *   heart_rate_series: [{ t, bpm }], ecg_summary, clinical_notes, status: 'completed'|'incomplete' }
+ * @returns {Promise<object>} Saved session (with id)
  */
-export async function getLeaderboard() {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
+export async function saveEcgSession(session) {
+  const response = await apiRequest('/api/ecg_sessions/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(session),
   })
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch leaderboard: ${response.status}`)
-  }
+  return await readResponse(response, 'Failed to save ECG session')
+}
 
-  return await response.json()
+/**
+ * List a patient's saved ECG sessions (newest first, without samples)
+ * @param {string|number} patientId
+ * @returns {Promise<Array>} Sessions { id, started_at, ended_at, ecg_summary, clinical_notes, status }
+ */
+export async function getEcgSessions(patientId) {
+  const response = await apiRequest(`/api/ecg_sessions/?patient_id=${patientId}`)
+  const data = await readResponse(response, 'Failed to fetch ECG sessions')
+  return Array.isArray(data) ? data : (data.results || [])
 }
 
 /**
- * Get the daily leaderboard rankings
- * @returns {Promise<object>} { leaderboard: Array, period: string }
+ * Get one ECG session including its samples and heart rate series
+ * @param {string|number} sessionId
+ * @returns {Promise<object>} Session
  */
-export async function getDailyLeaderboard() {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/daily-leaderboard/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
+export async function getEcgSession(sessionId) {
+  const response = await apiRequest(`/api/ecg_sessions/${sessionId}/`)
+  return await readResponse(response, 'Failed to fetch ECG session')
+}
+
+/**
+ * Update the clinical notes of a saved ECG session
+ * @param {string|number} sessionId
+ * @param {string} clinicalNotes
+ * @returns {Promise<object>} Updated session
+ */
+export async function updateEcgSessionNotes(sessionId, clinicalNotes) {
+  const response = await apiRequest(`/api/ecg_sessions/${sessionId}/`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clinical_notes: clinicalNotes }),
   })
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch daily leaderboard: ${response.status}`)
-  }
+  return await readResponse(response, 'Failed to save clinical notes')
+}
 
-  return await response.json()
+/**
+ * List the institution's alerts. The server keeps one alert per alert_key until it is resolved.
+ * @param {object} filters - Optional { status: 'open'|'acknowledged'|'resolved', since (ISO date) }
+ * @returns {Promise<Array>} Alerts { id, alert_key, member_id, member_name, type, value, severity, status,
+ *   created_at, acknowledged_by_name, acknowledged_at, resolved_by_name, resolved_at, resolution_note,
+ *   assigned_to, assigned_to_name, escalation_level, escalated_at }
+ */
+export async function getInstitutionAlerts({ status = null, since = null } = {}) {
+  const params = new URLSearchParams()
+  if (status) params.append('status', status)
+  if (since) params.append('since', since)
+  const query = params.toString()
+  const response = await apiRequest(`/api/institution_alerts/${query ? `?${query}` : ''}`)
+  const data = await readResponse(response, 'Failed to fetch alerts')
+  return Array.isArray(data) ? data : (data.results || [])
 }
 
 /**
- * Get the public leaderboard (week)
- * @returns {Promise<object>} { leaderboard: Array, period: string }
+ * Raise an alert for a threshold breach. Raising a key that already has an
+ * unresolved alert returns that alert instead of creating a duplicate.
+ * @param {object} alert - { alert_key, member_id, type, value, severity, rule, observed_at }
+ * @returns {Promise<object>} The open alert
  */
-export async function getPublicLeaderboard() {
-  const response = await fetch(`${API_BASE_URL}/api/public/weekly_leaderboard/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-    },
+export async function raiseInstitutionAlert(alert) {
+  const response = await apiRequest('/api/institution_alerts/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(alert),
   })
+  return await readResponse(response, 'Failed to raise alert')
+}
+
+/**
+ * Move an alert through its lifecycle. The server stamps the acting staff member and time.
+ * @param {string|number} alertId
+ * @param {string} action - 'acknowledge' | 'resolve' | 'assign' | 'escalate'
+ * @param {object} payload - { note } for resolve, { assigned_to } for assign, { level, reason } for escalate
+ * @returns {Promise<object>} Updated alert
+ */
+export async function updateInstitutionAlert(alertId, action, payload = {}) {
+  const response = await apiRequest(`/api/institution_alerts/${alertId}/${action}/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+  return await readResponse(response, `Failed to ${action} alert`)
+}
+
+/**
+ * Audit trail of alert actions, newest first
+ * @param {object} filters - Optional { alertId, action, actor, memberId, from, to (YYYY-MM-DD), page }
+ * @returns {Promise<object>} { count, next, results: [{ id, alert_id, action, actor_name, note, created_at,
+ *   alert_type, member_name, severity }] }
+ */
+export async function getInstitutionAlertAudit({ alertId, action, actor, memberId, from, to, page = 1 } = {}) {
+  const params = new URLSearchParams({ page: String(page) })
+  if (alertId) params.append('alert_id', alertId)
+  if (action) params.append('action', action)
+  if (actor) params.append('actor', actor)
+  if (memberId) params.append('member_id', memberId)
+  if (from) params.append('from', from)
+  if (to) params.append('to', to)
+  const response = await apiRequest(`/api/institution_alerts/audit/?${params}`)
+  const data = await readResponse(response, 'Failed to fetch alert history')
+  return Array.isArray(data) ? { count: data.length, next: null, results: data } : data
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch public leaderboard: ${response.status}`)
+/**
+ * The signed-in institution's profile and contact details
+ * @returns {Promise<object>} { id, name, institution_type, description, website, logo, email, phone, address, features }
+ */
+export async function getInstitutionProfile() {
+  return await http.get('/api/ins/profile/', { errorMessage: 'Failed to fetch institution profile' })
+}
+
+/**
+ * Update the signed-in institution's profile. Features stay with the platform admin.
+ * @param {object} profile - Any of { name, institution_type, description, website, phone, address, logo (File) }
+ * @returns {Promise<object>} Updated profile
+ */
+export async function updateInstitutionProfile(profile) {
+  let body = profile
+  if (profile.logo instanceof File) {
+    body = new FormData()
+    Object.entries(profile).forEach(([key, value]) => {
+      if (value != null) body.append(key, value)
+    })
   }
+  return await http.patch('/api/ins/profile/', body, { errorMessage: 'Failed to update institution profile' })
+}
 
-  return await response.json()
+/**
+ * Staff accounts of the institution that alerts can be assigned to
+ * @returns {Promise<Array>} Staff { id, name, email, role }
+ */
+export async function getInstitutionStaff() {
+  const response = await apiRequest('/api/institution_staff/')
+  const data = await readResponse(response, 'Failed to fetch staff')
+  return Array.isArray(data) ? data : (data.results || data.data || [])
 }
 
 /**
- * Get the public daily leaderboard (no auth required, max 3 users)
- * @returns {Promise<object>} { leaderboard: Array, period: string }
+ * Alert thresholds saved for the institution, plus overrides for members or age cohorts
+ * @returns {Promise<object>} { defaults: { hrMax, hrMin, spo2Warning, spo2Critical, tempMax, inactivityHours },
+ *   overrides: Array<{ id, scope: 'member'|'cohort', member_id, min_age, max_age, label, values }> }
  */
-export async function getPublicDailyLeaderboard() {
-  const response = await fetch(`${API_BASE_URL}/api/public/daily-leaderboard/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-    },
+export async function getInstitutionThresholds() {
+  const response = await apiRequest('/api/institution_thresholds/')
+  const data = await readResponse(response, 'Failed to fetch alert thresholds')
+  return { defaults: data.defaults || null, overrides: data.overrides || [] }
+}
+
+/**
+ * Save the institution-wide alert thresholds
+ * @param {object} defaults - { hrMax, hrMin, spo2Warning, spo2Critical, tempMax, inactivityHours }
+ * @returns {Promise<object>} Saved thresholds
+ */
+export async function saveInstitutionThresholds(defaults) {
+  const response = await apiRequest('/api/institution_thresholds/', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ defaults }),
   })
+  const data = await readResponse(response, 'Failed to save alert thresholds')
+  return data.defaults || defaults
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch public daily leaderboard: ${response.status}`)
+/**
+ * Create or update a threshold override. Only the thresholds present in `values` are overridden.
+ * @param {object} override - { id?, scope: 'member'|'cohort', member_id, min_age, max_age, label, values }
+ * @returns {Promise<object>} Saved override
+ */
+export async function saveThresholdOverride(override) {
+  const { id, ...body } = override
+  const response = await apiRequest(`/api/institution_thresholds/overrides/${id ? `${id}/` : ''}`, {
+    method: id ? 'PATCH' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  return await readResponse(response, 'Failed to save threshold override')
+}
+
+/**
+ * Remove a threshold override; affected members fall back to the institution thresholds
+ * @param {string|number} overrideId
+ */
+export async function deleteThresholdOverride(overrideId) {
+  const response = await apiRequest(`/api/institution_thresholds/overrides/${overrideId}/`, {
+    method: 'DELETE',
+  })
+  if (!response.ok && response.status !== 204) {
+    await readResponse(response, 'Failed to delete threshold override')
   }
+}
 
-  return await response.json()
+/**
+ * List the institution's registered wearables and gateways
+ * @returns {Promise<Array>} Devices { id, serial, name, kind: 'wearable'|'gateway', model, firmware,
+ *   assigned_member_id, assigned_member_name, assigned_at, last_seen }
+ */
+export async function getInstitutionDevices() {
+  const data = await http.get('/api/institution_devices/', { errorMessage: 'Failed to fetch devices' })
+  return Array.isArray(data) ? data : data?.results || []
 }
 
 /**
- * Get the leaderboard posts feed
- * @returns {Promise<Array>} List of posts
+ * Add a device to the institution's registry
+ * @param {object} device - { serial, name, kind, model? }
+ * @returns {Promise<object>} Registered device
  */
-export async function getLeaderboardPosts() {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/posts/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
+export async function registerInstitutionDevice(device) {
+  return await http.post('/api/institution_devices/', device, { errorMessage: 'Failed to register device' })
+}
+
+/**
+ * Remove a device from the registry (it must be unassigned first)
+ * @param {string|number} deviceId
+ */
+export async function deleteInstitutionDevice(deviceId) {
+  return await http.delete(`/api/institution_devices/${deviceId}/`, { errorMessage: 'Failed to remove device' })
+}
+
+/**
+ * Hand a device to a member; their readings are attributed to it from now on
+ * @param {string|number} deviceId
+ * @param {string|number} memberId - Member's user_id
+ * @returns {Promise<object>} Updated device
+ */
+export async function assignInstitutionDevice(deviceId, memberId) {
+  return await http.post(`/api/institution_devices/${deviceId}/assign/`, { member_id: memberId }, {
+    errorMessage: 'Failed to assign device',
+  })
+}
+
+/**
+ * Take a device back from its member
+ * @param {string|number} deviceId
+ * @returns {Promise<object>} Updated device
+ */
+export async function unassignInstitutionDevice(deviceId) {
+  return await http.post(`/api/institution_devices/${deviceId}/unassign/`, {}, { errorMessage: 'Failed to unassign device' })
+}
+
+/**
+ * List the plans institutions can subscribe to
+ * @returns {Promise<Array>} Plans { id, name, description, price, duration_type, duration_days, max_users }
+ */
+export async function getSubscriptionPlans() {
+  const data = await http.get('/api/set_ins_subscription/', { errorMessage: 'Failed to fetch subscription plans' })
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * The institution's subscriptions, newest first. Each one is also its invoice.
+ * @returns {Promise<Array>} Subscriptions { id, package, package_name, max_users, amount_paid, start_date,
+ *   end_date, is_active, billing_cycle, invoice_no, payment_status, paid_at }
+ */
+export async function getMySubscriptions() {
+  const data = await http.get('/api/get_my_subscription/', { errorMessage: 'Failed to fetch my subscriptions' })
+  // A single subscription comes back as a bare object
+  if (data && !Array.isArray(data) && data.id) return [data]
+  return Array.isArray(data) ? data : data?.results || []
+}
+
+/**
+ * Start buying, renewing or changing the institution's plan. The server prorates
+ * the change and returns the invoice to pay; `amount` is 0 when credit from the
+ * current plan covers it, in which case the change is already applied.
+ * @param {object} params - { packageId, billingCycle: 'monthly'|'yearly' }
+ * @returns {Promise<object>} { invoice_no, amount, credit, subscription }
+ */
+export async function checkoutSubscription({ packageId, billingCycle }) {
+  return await http.post('/api/subscription/checkout/', { package_id: packageId, billing_cycle: billingCycle }, {
+    errorMessage: 'Failed to start checkout',
   })
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch leaderboard posts: ${response.status}`)
-  }
+/**
+ * Get the weekly leaderboard rankings
+ * @returns {Promise<object>} { leaderboard: Array, period: string }
+ */
+export async function getLeaderboard() {
+  return await http.get('/api/leaderboard/', { errorMessage: 'Failed to fetch leaderboard' })
+}
+
+/**
+ * Get the daily leaderboard rankings
+ * @returns {Promise<object>} { leaderboard: Array, period: string }
+ */
+export async function getDailyLeaderboard() {
+  return await http.get('/api/daily-leaderboard/', { errorMessage: 'Failed to fetch daily leaderboard' })
+}
+
+/**
+ * Get the public leaderboard (week)
+ * @returns {Promise<object>} { leaderboard: Array, period: string }
+ */
+export async function getPublicLeaderboard() {
+  return await http.get('/api/public/weekly_leaderboard/', { auth: false, errorMessage: 'Failed to fetch public leaderboard' })
+}
+
+/**
+ * Get the public daily leaderboard (no auth required, max 3 users)
+ * @returns {Promise<object>} { leaderboard: Array, period: string }
+ */
+export async function getPublicDailyLeaderboard() {
+  return await http.get('/api/public/daily-leaderboard/', { auth: false, errorMessage: 'Failed to fetch public daily leaderboard' })
+}
 
-  const data = await response.json()
-  return Array.isArray(data.posts) ? data.posts : []
+/**
+ * Get the leaderboard posts feed
+ * @returns {Promise<Array>} List of posts
+ */
+export async function getLeaderboardPosts() {
+  const data = await http.get('/api/leaderboard/posts/', { errorMessage: 'Failed to fetch leaderboard posts' })
+  return Array.isArray(data?.posts) ? data.posts : []
 }
 
 /**
@@ -841,22 +1408,7 @@ export async function getLeaderboardPosts() {
  * @returns {Promise<object>} Created post
  */
 export async function createLeaderboardPost(formData) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/posts/`, {
-    method: 'POST',
-    headers: {
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: formData,
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to create post')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.post('/api/leaderboard/posts/', formData, { errorMessage: 'Failed to create post' })
 }
 
 /**
@@ -866,22 +1418,7 @@ export async function createLeaderboardPost(formData) {
  * @returns {Promise<object>} Updated post
  */
 export async function updateLeaderboardPost(postId, formData) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/posts/${postId}/`, {
-    method: 'PATCH',
-    headers: {
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: formData,
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to update post')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.patch(`/api/leaderboard/posts/${postId}/`, formData, { errorMessage: 'Failed to update post' })
 }
 
 /**
@@ -889,20 +1426,7 @@ export async function updateLeaderboardPost(postId, formData) {
  * @param {number|string} postId
  */
 export async function deleteLeaderboardPost(postId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/posts/${postId}/`, {
-    method: 'DELETE',
-    headers: {
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok && response.status !== 204) {
-    const data = await response.json().catch(() => ({}))
-    const error = new Error(data.detail || 'Failed to delete post')
-    error.details = data
-    throw error
-  }
+  await http.delete(`/api/leaderboard/posts/${postId}/`, { errorMessage: 'Failed to delete post' })
 }
 
 /**
@@ -910,21 +1434,8 @@ export async function deleteLeaderboardPost(postId) {
  * @returns {Promise<Array>} List of challenges
  */
 export async function getLeaderboardChallenges() {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/challenge/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch challenges: ${response.status}`)
-  }
-
-  const data = await response.json()
-  return Array.isArray(data.challenges) ? data.challenges : []
+  const data = await http.get('/api/leaderboard/challenge/', { errorMessage: 'Failed to fetch challenges' })
+  return Array.isArray(data?.challenges) ? data.challenges : []
 }
 
 /**
@@ -932,19 +1443,8 @@ export async function getLeaderboardChallenges() {
  * @returns {Promise<Array>} List of challenges
  */
 export async function getPublicLeaderboardChallenges() {
-  const response = await fetch(`${API_BASE_URL}/api/public/leaderboard/challenge/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch public challenges: ${response.status}`)
-  }
-
-  const data = await response.json()
-  return Array.isArray(data.challenges) ? data.challenges : []
+  const data = await http.get('/api/public/leaderboard/challenge/', { auth: false, errorMessage: 'Failed to fetch public challenges' })
+  return Array.isArray(data?.challenges) ? data.challenges : []
 }
 
 /**
@@ -953,22 +1453,7 @@ export async function getPublicLeaderboardChallenges() {
  * @returns {Promise<object>} Created challenge
  */
 export async function createLeaderboardChallenge(formData) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/leaderboard/challenge/`, {
-    method: 'POST',
-    headers: {
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: formData,
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to create challenge')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.post('/api/leaderboard/challenge/', formData, { errorMessage: 'Failed to create challenge' })
 }
 
 /**
@@ -977,20 +1462,7 @@ export async function createLeaderboardChallenge(formData) {
  * @returns {Promise<{like_count: number, likes: Array}>}
  */
 export async function getPostLikes(postId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/posts/${postId}/like/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch post likes: ${response.status}`)
-  }
-
-  return await response.json()
+  return await http.get(`/api/posts/${postId}/like/`, { errorMessage: 'Failed to fetch post likes' })
 }
 
 /**
@@ -999,22 +1471,7 @@ export async function getPostLikes(postId) {
  * @returns {Promise<{like_count: number, likes: Array}>}
  */
 export async function toggleLikePost(postId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/posts/${postId}/like/`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to toggle like')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.post(`/api/posts/${postId}/like/`, undefined, { errorMessage: 'Failed to toggle like' })
 }
 
 /**
@@ -1023,20 +1480,7 @@ export async function toggleLikePost(postId) {
  * @returns {Promise<{comment_count: number, comments: Array}>}
  */
 export async function getPostComments(postId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/posts/${postId}/comments/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch post comments: ${response.status}`)
-  }
-
-  return await response.json()
+  return await http.get(`/api/posts/${postId}/comments/`, { errorMessage: 'Failed to fetch post comments' })
 }
 
 /**
@@ -1046,23 +1490,7 @@ export async function getPostComments(postId) {
  * @returns {Promise<{comment_count: number, comments: Array}>}
  */
 export async function addPostComment(postId, comment) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/posts/${postId}/comments/`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: JSON.stringify({ comment }),
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to add comment')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.post(`/api/posts/${postId}/comments/`, { comment }, { errorMessage: 'Failed to add comment' })
 }
 
 /**
@@ -1073,23 +1501,7 @@ export async function addPostComment(postId, comment) {
  * @returns {Promise<object>}
  */
 export async function updateComment(postId, commentId, comment) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/posts/${postId}/comments/${commentId}/`, {
-    method: 'PATCH',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: JSON.stringify({ comment }),
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to update comment')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.patch(`/api/posts/${postId}/comments/${commentId}/`, { comment }, { errorMessage: 'Failed to update comment' })
 }
 
 /**
@@ -1098,20 +1510,7 @@ export async function updateComment(postId, commentId, comment) {
  * @param {number|string} commentId
  */
 export async function deleteComment(postId, commentId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/posts/${postId}/comments/${commentId}/`, {
-    method: 'DELETE',
-    headers: {
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok && response.status !== 204) {
-    const data = await response.json().catch(() => ({}))
-    const error = new Error(data.detail || 'Failed to delete comment')
-    error.details = data
-    throw error
-  }
+  await http.delete(`/api/posts/${postId}/comments/${commentId}/`, { errorMessage: 'Failed to delete comment' })
 }
 
 /**
@@ -1120,20 +1519,7 @@ export async function deleteComment(postId, commentId) {
  * @returns {Promise<{like_count: number, likes: Array}>}
  */
 export async function getChallengeLikes(challengeId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/challenges/${challengeId}/like/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch challenge likes: ${response.status}`)
-  }
-
-  return await response.json()
+  return await http.get(`/api/challenges/${challengeId}/like/`, { errorMessage: 'Failed to fetch challenge likes' })
 }
 
 /**
@@ -1142,22 +1528,7 @@ export async function getChallengeLikes(challengeId) {
  * @returns {Promise<{like_count: number, likes: Array}>}
  */
 export async function toggleLikeChallenge(challengeId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/challenges/${challengeId}/like/`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to toggle like')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.post(`/api/challenges/${challengeId}/like/`, undefined, { errorMessage: 'Failed to toggle like' })
 }
 
 /**
@@ -1166,20 +1537,7 @@ export async function toggleLikeChallenge(challengeId) {
  * @returns {Promise<{comment_count: number, comments: Array}>}
  */
 export async function getChallengeComments(challengeId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/challenges/${challengeId}/comments/`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch challenge comments: ${response.status}`)
-  }
-
-  return await response.json()
+  return await http.get(`/api/challenges/${challengeId}/comments/`, { errorMessage: 'Failed to fetch challenge comments' })
 }
 
 /**
@@ -1189,23 +1547,7 @@ export async function getChallengeComments(challengeId) {
  * @returns {Promise<{comment_count: number, comments: Array}>}
  */
 export async function addChallengeComment(challengeId, comment) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/challenges/${challengeId}/comments/`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: JSON.stringify({ comment }),
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to add comment')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.post(`/api/challenges/${challengeId}/comments/`, { comment }, { errorMessage: 'Failed to add comment' })
 }
 
 /**
@@ -1216,23 +1558,7 @@ export async function addChallengeComment(challengeId, comment) {
  * @returns {Promise<object>}
  */
 export async function updateChallengeComment(challengeId, commentId, comment) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/challenges/${challengeId}/comments/${commentId}/`, {
-    method: 'PATCH',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-    body: JSON.stringify({ comment }),
-  })
-
-  const data = await response.json().catch(() => ({}))
-  if (!response.ok) {
-    const error = new Error(data.detail || 'Failed to update comment')
-    error.details = data
-    throw error
-  }
-  return data
+  return await http.patch(`/api/challenges/${challengeId}/comments/${commentId}/`, { comment }, { errorMessage: 'Failed to update comment' })
 }
 
 /**
@@ -1241,29 +1567,25 @@ export async function updateChallengeComment(challengeId, commentId, comment) {
  * @param {number|string} commentId
  */
 export async function deleteChallengeComment(challengeId, commentId) {
-  const accessToken = getAccessToken()
-  const response = await fetch(`${API_BASE_URL}/api/challenges/${challengeId}/comments/${commentId}/`, {
-    method: 'DELETE',
-    headers: {
-      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-    },
-  })
+  await http.delete(`/api/challenges/${challengeId}/comments/${commentId}/`, { errorMessage: 'Failed to delete comment' })
+}
 
-  if (!response.ok && response.status !== 204) {
-    const data = await response.json().catch(() => ({}))
-    const error = new Error(data.detail || 'Failed to delete comment')
-    error.details = data
-    throw error
-  }
+/**
+ * Start a Khalti payment for an invoice
+ * @param {string} invoiceNo
+ * @param {number} amount - Amount in rupees
+ * @returns {Promise<object>} { pidx, payment_url, ... }
+ */
+export async function initializePayment(invoiceNo, amount) {
+  return await http.post('/api/initialize_payment/', { invoice_no: invoiceNo, amount }, { errorMessage: 'Failed to initialize payment' })
 }
 
-export const initializePayment = async (token, invoiceNo, amount) => {
-  return await apiRequest('/initialize_payment/', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`
-    },
-    body: JSON.stringify({ invoice_no: invoiceNo, amount })
-  });
-};
\ No newline at end of file
+/**
+ * Confirm a Khalti payment after the user returns from checkout
+ * @param {string} invoiceNo
+ * @param {string} pidx - Khalti payment id
+ * @returns {Promise<object>} Verification result
+ */
+export async function verifyPayment(invoiceNo, pidx) {
+  return await http.post('/api/verify_payment/', { invoice_no: invoiceNo, pidx }, { errorMessage: 'Payment verification failed' })
+}
@@ -0,0 +1,350 @@
+import { queryVitals, getUserEmailProfile } from './api'
+import { getMedications } from '../services/medicationApi'
+import { downloadFile, toFileSlug } from '../utils/download'
+
+// Ranges the vitals endpoints accept; a single day is exported with { date }
+export const FHIR_EXPORT_RANGES = [
+  { id: '24h', label: 'Last 24 hours' },
+  { id: '7d', label: 'Last 7 days' },
+  { id: '30d', label: 'Last 30 days' },
+]
+
+const LOINC = 'http://loinc.org'
+const UCUM = 'http://unitsofmeasure.org'
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category'
+
+const loinc = (code, display) => ({ system: LOINC, code, display })
+const quantity = (value, unit, code = unit) => ({ value: Number(value), unit, system: UCUM, code })
+const category = (code, display) => [{ coding: [{ system: OBSERVATION_CATEGORY, code, display }] }]
+const VITAL_SIGNS = category('vital-signs', 'Vital Signs')
+const ACTIVITY = category('activity', 'Activity')
+const LAB = category('laboratory', 'Laboratory')
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+const asList = (data) => (Array.isArray(data) ? data : data?.results || [])
+
+const newId = () => (globalThis.crypto?.randomUUID
+  ? globalThis.crypto.randomUUID()
+  : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.random() * 16 | 0
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16)
+  }))
+
+/** ISO instant for a timestamp, or null when it can't be parsed. */
+const toInstant = (value) => {
+  if (!value) return null
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? null : d.toISOString()
+}
+
+/** A bare YYYY-MM-DD (daily aggregate rows) covers that whole local day. */
+const dayPeriod = (day) => {
+  const match = typeof day === 'string' && day.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!match) return null
+  const start = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+  const end = new Date(start)
+  end.setDate(end.getDate() + 1)
+  end.setMilliseconds(-1)
+  return { start: start.toISOString(), end: end.toISOString() }
+}
+
+/**
+ * effective[x] for a record: a period for daily rows, an instant for readings.
+ * Returns null when the record has no usable time, so it is left out.
+ */
+function effectiveOf(record) {
+  if (record.day) {
+    const period = dayPeriod(record.day)
+    return period ? { effectivePeriod: period } : null
+  }
+  const instant = toInstant(record.date || record.timestamp)
+  return instant ? { effectiveDateTime: instant } : null
+}
+
+const FHIR_GENDERS = { male: 'male', m: 'male', female: 'female', f: 'female', other: 'other' }
+
+function buildPatient(profile) {
+  const given = profile.first_name ? [profile.first_name] : []
+  const name = (given.length || profile.last_name)
+    ? [{ use: 'official', family: profile.last_name || undefined, given }]
+    : undefined
+  const telecom = [
+    profile.phone_number && { system: 'phone', value: String(profile.phone_number) },
+    profile.email && { system: 'email', value: profile.email },
+  ].filter(Boolean)
+  const birthDate = typeof profile.birthdate === 'string' ? profile.birthdate.slice(0, 10) : undefined
+
+  return {
+    resourceType: 'Patient',
+    active: true,
+    name,
+    telecom: telecom.length ? telecom : undefined,
+    gender: FHIR_GENDERS[String(profile.gender || '').toLowerCase()] || 'unknown',
+    birthDate: /^\d{4}-\d{2}-\d{2}$/.test(birthDate || '') ? birthDate : undefined,
+  }
+}
+
+// How each exported metric's records become Observations. `keys.value` is the
+// raw reading field, `keys.avg`/`min`/`max` the daily aggregate row fields.
+const QUANTITY_METRICS = [
+  {
+    metric: 'heartRate',
+    code: loinc('8867-4', 'Heart rate'),
+    category: VITAL_SIGNS,
+    unit: ['/min', '/min'],
+    keys: { value: 'once_heart_value', avg: 'average_heart_rate', min: 'minimum_heart_rate', max: 'maximum_heart_rate' },
+  },
+  {
+    metric: 'spo2',
+    code: loinc('59408-5', 'Oxygen saturation in Arterial blood by Pulse oximetry'),
+    extraCodings: [loinc('2708-6', 'Oxygen saturation in Arterial blood')],
+    category: VITAL_SIGNS,
+    unit: ['%', '%'],
+    keys: { value: 'Blood_oxygen', avg: 'average_blood_oxygen', min: 'minimum_blood_oxygen', max: 'maximum_blood_oxygen' },
+  },
+  {
+    metric: 'hrv',
+    code: loinc('80404-7', 'R-R interval.standard deviation (Heart rate variability)'),
+    category: VITAL_SIGNS,
+    unit: ['ms', 'ms'],
+    keys: { value: 'hrv', avg: 'average_hrv' },
+  },
+]
+
+function quantityObservations(spec, records, subject) {
+  const [unit, code] = spec.unit
+  return asList(records).flatMap((record) => {
+    const isAggregate = isNumber(record[spec.keys.avg])
+    const value = isAggregate ? record[spec.keys.avg] : record[spec.keys.value]
+    const effective = effectiveOf(record)
+    if (!isNumber(value) || !effective) return []
+    const min = spec.keys.min && record[spec.keys.min]
+    const max = spec.keys.max && record[spec.keys.max]
+    return [{
+      resourceType: 'Observation',
+      status: 'final',
+      category: spec.category,
+      code: { coding: [spec.code, ...(spec.extraCodings || [])], text: spec.code.display },
+      subject,
+      ...effective,
+      valueQuantity: quantity(Math.round(value * 10) / 10, unit, code),
+      note: isAggregate && isNumber(min) && isNumber(max)
+        ? [{ text: `Daily average (range ${min}-${max} ${unit})` }]
+        : isAggregate ? [{ text: 'Daily average' }] : undefined,
+    }]
+  })
+}
+
+function bloodPressureObservations(records, subject) {
+  return asList(records).flatMap((record) => {
+    const isAggregate = isNumber(record.avg_systolic)
+    const systolic = isAggregate ? record.avg_systolic : record.sbp
+    const diastolic = isAggregate ? record.avg_diastolic : record.dbp
+    const effective = effectiveOf(record)
+    if (!isNumber(systolic) || !isNumber(diastolic) || !effective) return []
+    return [{
+      resourceType: 'Observation',
+      status: 'final',
+      category: VITAL_SIGNS,
+      code: { coding: [loinc('85354-9', 'Blood pressure panel with all children optional')], text: 'Blood pressure' },
+      subject,
+      ...effective,
+      component: [
+        { code: { coding: [loinc('8480-6', 'Systolic blood pressure')] }, valueQuantity: quantity(Math.round(systolic), 'mmHg', 'mm[Hg]') },
+        { code: { coding: [loinc('8462-4', 'Diastolic blood pressure')] }, valueQuantity: quantity(Math.round(diastolic), 'mmHg', 'mm[Hg]') },
+      ],
+      note: isAggregate ? [{ text: 'Daily average' }] : undefined,
+    }]
+  })
+}
+
+function stepObservations(records, subject) {
+  return asList(records).flatMap((record) => {
+    const period = dayPeriod(record.date)
+    if (!isNumber(record.step) || !period) return []
+    return [{
+      resourceType: 'Observation',
+      status: 'final',
+      category: ACTIVITY,
+      code: { coding: [loinc('41950-7', 'Number of steps in 24 hour Measured')], text: 'Steps' },
+      subject,
+      effectivePeriod: period,
+      valueQuantity: quantity(record.step, 'steps', '{steps}'),
+    }]
+  })
+}
+
+function sleepObservations(records, subject) {
+  return asList(records).flatMap((record) => {
+    if (!isNumber(record.duration)) return []
+    const start = toInstant(record.start_time)
+    const end = toInstant(record.end_time)
+    const effective = start && end ? { effectivePeriod: { start, end } } : effectiveOf(record)
+    if (!effective) return []
+    return [{
+      resourceType: 'Observation',
+      status: 'final',
+      category: ACTIVITY,
+      code: { coding: [loinc('93832-4', 'Sleep duration')], text: 'Sleep duration' },
+      subject,
+      ...effective,
+      valueQuantity: quantity(Math.round(record.duration * 100) / 100, 'h', 'h'),
+    }]
+  })
+}
+
+// Height, weight and blood group live on the profile; FHIR carries them as Observations
+function profileObservations(profile, subject, issued) {
+  const observations = []
+  const height = Number(profile.height)
+  const weight = Number(profile.weight)
+  if (profile.height && Number.isFinite(height)) {
+    observations.push({
+      resourceType: 'Observation',
+      status: 'final',
+      category: VITAL_SIGNS,
+      code: { coding: [loinc('8302-2', 'Body height')], text: 'Body height' },
+      subject,
+      effectiveDateTime: issued,
+      valueQuantity: quantity(height, 'cm'),
+    })
+  }
+  if (profile.weight && Number.isFinite(weight)) {
+    observations.push({
+      resourceType: 'Observation',
+      status: 'final',
+      category: VITAL_SIGNS,
+      code: { coding: [loinc('29463-7', 'Body weight')], text: 'Body weight' },
+      subject,
+      effectiveDateTime: issued,
+      valueQuantity: quantity(weight, 'kg'),
+    })
+  }
+  if (profile.blood_group) {
+    observations.push({
+      resourceType: 'Observation',
+      status: 'final',
+      category: LAB,
+      code: { coding: [loinc('882-1', 'ABO and Rh group [Type] in Blood')], text: 'Blood group' },
+      subject,
+      effectiveDateTime: issued,
+      valueString: String(profile.blood_group),
+    })
+  }
+  return observations
+}
+
+/** MedicationStatement.status for a medication record. */
+function medicationStatus(med, now) {
+  if (med.discontinued) return 'stopped'
+  if (med.end_date && new Date(`${med.end_date}T23:59:59`) < now) return 'completed'
+  if (med.medication_status === false) return 'on-hold'
+  return 'active'
+}
+
+function medicationStatements(medications, subject, now) {
+  return asList(medications).filter((med) => med?.name).map((med) => {
+    const dosage = [med.dosage, med.frequency].filter(Boolean).join(', ')
+    const effectivePeriod = med.start_date || med.end_date
+      ? { start: med.start_date || undefined, end: med.end_date || undefined }
+      : undefined
+    return {
+      resourceType: 'MedicationStatement',
+      status: medicationStatus(med, now),
+      statusReason: med.discontinued && med.discontinued_reason ? [{ text: med.discontinued_reason }] : undefined,
+      medicationCodeableConcept: { text: med.name },
+      subject,
+      effectivePeriod,
+      dateAsserted: now.toISOString(),
+      dosage: dosage ? [{ text: dosage }] : undefined,
+    }
+  })
+}
+
+/**
+ * FHIR R4 `collection` Bundle of a user's health record: a Patient, profile
+ * and vitals Observations coded with LOINC, and MedicationStatements. Entries
+ * reference the Patient by its urn:uuid fullUrl.
+ * @param {object} record
+ * @param {object} record.profile - From getUserEmailProfile
+ * @param {object} record.vitals - Records keyed by heartRate, spo2, bloodPressure, hrv, activity, sleep
+ * @param {Array} record.medications - From getMedications
+ * @param {Date} record.generatedAt
+ * @returns {object} Bundle resource
+ */
+export function buildFhirBundle({ profile = {}, vitals = {}, medications = [], generatedAt = new Date() }) {
+  const issued = generatedAt.toISOString()
+  const patientUrl = `urn:uuid:${newId()}`
+  const subject = { reference: patientUrl }
+
+  const resources = [
+    ...profileObservations(profile, subject, issued),
+    ...QUANTITY_METRICS.flatMap((spec) => quantityObservations(spec, vitals[spec.metric], subject)),
+    ...bloodPressureObservations(vitals.bloodPressure, subject),
+    ...stepObservations(vitals.activity, subject),
+    ...sleepObservations(vitals.sleep, subject),
+    ...medicationStatements(medications, subject, generatedAt),
+  ]
+
+  // JSON.stringify drops the undefined optional fields
+  return {
+    resourceType: 'Bundle',
+    id: newId(),
+    meta: { lastUpdated: issued },
+    type: 'collection',
+    timestamp: issued,
+    entry: [
+      { fullUrl: patientUrl, resource: buildPatient(profile) },
+      ...resources.map((resource) => ({ fullUrl: `urn:uuid:${newId()}`, resource })),
+    ],
+  }
+}
+
+const EXPORTED_METRICS = ['heartRate', 'spo2', 'bloodPressure', 'hrv', 'activity', 'sleep']
+const RANGE_DAYS = { '24h': 1, '7d': 7, '30d': 30 }
+
+// Day_total_activity returns every day it has, so its rows are clipped to the window here
+function clipActivity(data, { date, range }) {
+  const rows = asList(data)
+  if (date) return rows.filter((row) => row.date === date)
+  const from = new Date()
+  from.setDate(from.getDate() - ((RANGE_DAYS[range] || 1) - 1))
+  const fromKey = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-${String(from.getDate()).padStart(2, '0')}`
+  return rows.filter((row) => typeof row.date === 'string' && row.date.slice(0, 10) >= fromKey)
+}
+
+/**
+ * Fetch everything the export needs for a user and window. A metric that fails
+ * to load is left out and reported instead of failing the whole export.
+ * @param {object} params - { userId (null for self), date (YYYY-MM-DD) or range (24h, 7d, 30d) }
+ * @returns {Promise<{ profile, vitals, medications, failed: string[] }>}
+ */
+export async function loadHealthRecord({ userId = null, date = null, range = null }, { signal } = {}) {
+  const failed = []
+  const settle = (label, promise, fallback) => promise.catch((err) => {
+    if (err.name === 'AbortError') throw err
+    console.warn(`FHIR export: ${label} unavailable`, err)
+    failed.push(label)
+    return fallback
+  })
+
+  const profile = await getUserEmailProfile(userId)
+  const [medications, ...records] = await Promise.all([
+    settle('medications', getMedications(userId), []),
+    ...EXPORTED_METRICS.map((metric) => settle(metric, queryVitals(metric, { userId, date, range }, { signal }), [])),
+  ])
+
+  const vitals = Object.fromEntries(EXPORTED_METRICS.map((metric, i) => [metric, records[i]]))
+  vitals.activity = clipActivity(vitals.activity, { date, range })
+  return { profile: profile || {}, vitals, medications, failed }
+}
+
+/**
+ * Save a Bundle as JSON, named like "health-record_Ram_Thapa_7d.json".
+ * @param {object} bundle - From buildFhirBundle
+ * @param {object} options - { name, period (range id or date) }
+ */
+export function downloadFhirBundle(bundle, { name, period } = {}) {
+  const parts = ['health-record', name && toFileSlug(name), period && toFileSlug(period)].filter(Boolean)
+  downloadFile(JSON.stringify(bundle, null, 2), `${parts.join('_')}.json`, 'application/fhir+json')
+}
@@ -0,0 +1,32 @@
+import { onFcmMessage } from './firebase'
+
+// FCM data payload `type` the server uses when a wearer leaves a safe zone or
+// stays still outside every zone for too long
+export const GEOFENCE_ALERT_TYPE = 'geofence_alert'
+
+/**
+ * Listen for wandering alerts while the app is in the foreground (background
+ * alerts are shown by the service worker). Caregivers receive them for every
+ * wearer they have access to; devices are registered by ensureReminderDevice.
+ * @param {function} callback - Called with { event: 'exit'|'still', wearerId, wearerName, zoneName,
+ *   lat, lng, minutes, occurredAt, title, body }
+ * @returns {Promise<function>} Unsubscribe
+ */
+export function onGeofenceAlert(callback) {
+  return onFcmMessage((payload) => {
+    const data = payload?.data || {}
+    if (data.type !== GEOFENCE_ALERT_TYPE) return
+    callback({
+      event: data.event,
+      wearerId: data.wearer_id,
+      wearerName: data.wearer_name,
+      zoneName: data.zone_name || null,
+      lat: data.latitude != null ? Number(data.latitude) : null,
+      lng: data.longitude != null ? Number(data.longitude) : null,
+      minutes: data.minutes != null ? Number(data.minutes) : null,
+      occurredAt: data.occurred_at,
+      title: payload.notification?.title || (data.event === 'still' ? 'Stopped for a long time' : 'Left a safe zone'),
+      body: payload.notification?.body || '',
+    })
+  })
+}
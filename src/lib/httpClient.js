@@ -0,0 +1,242 @@
+// The one HTTP client every API call goes through. It resolves paths against
+// API_BASE_URL (src/config/api.js), attaches the bearer token, refreshes an
+// expired token once (shared by all concurrent callers) and retries, and turns
+// failures into HttpError / AuthError / NetworkError. Request and response hooks
+// let the app observe or decorate traffic without touching call sites.
+import { API_BASE_URL } from '../config/api'
+import { getAccessToken, getRefreshToken, storeTokens, clearTokens } from './tokenManager'
+
+/** The server answered with a non-2xx status; `details` holds the parsed body. */
+export class HttpError extends Error {
+  constructor(message, { status = 0, details = null, url = null } = {}) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.details = details
+    this.url = url
+  }
+}
+
+/** The session expired and could not be refreshed; the user must sign in again. */
+export class AuthError extends HttpError {
+  constructor(message = 'Your session has expired. Please sign in again.', options = {}) {
+    super(message, { status: 401, ...options })
+    this.name = 'AuthError'
+  }
+}
+
+/** The request never reached the server (offline, DNS failure, CORS, ...). */
+export class NetworkError extends Error {
+  constructor(message = 'Could not reach the server. Check your connection.', { url = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'NetworkError'
+    this.url = url
+  }
+}
+
+const requestHooks = new Set()
+const responseHooks = new Set()
+
+/**
+ * Run a hook before every request
+ * @param {function} hook - Called with { url, options }; may change options.headers
+ * @returns {function} Remove the hook
+ */
+export function onRequest(hook) {
+  requestHooks.add(hook)
+  return () => requestHooks.delete(hook)
+}
+
+/**
+ * Run a hook after every request
+ * @param {function} hook - Called with { url, options, response, error, duration }
+ * @returns {function} Remove the hook
+ */
+export function onResponse(hook) {
+  responseHooks.add(hook)
+  return () => responseHooks.delete(hook)
+}
+
+/** Absolute URL for an API path; absolute URLs (e.g. pagination links) pass through. */
+export const resolveUrl = (path) => (/^https?:\/\//.test(path) ? path : `${API_BASE_URL}${path}`)
+
+// A JSON-looking string body gets a JSON content type unless the caller set one
+const withDefaultHeaders = (headers, body) => {
+  const result = { ...headers }
+  const hasContentType = Object.keys(result).some((name) => name.toLowerCase() === 'content-type')
+  if (typeof body === 'string' && !hasContentType) result['Content-Type'] = 'application/json'
+  return result
+}
+
+async function send(url, options) {
+  const context = { url, options }
+  requestHooks.forEach((hook) => hook(context))
+  const started = Date.now()
+  const report = (outcome) => responseHooks.forEach((hook) => hook({ ...context, ...outcome, duration: Date.now() - started }))
+
+  let response
+  try {
+    response = await fetch(context.url, context.options)
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    const networkError = new NetworkError(undefined, { url: context.url, cause: error })
+    report({ response: null, error: networkError })
+    throw networkError
+  }
+  report({ response, error: null })
+  return response
+}
+
+// Refresh tokens are typically single-use, so every caller that hits a 401 at
+// the same moment (requests, the status socket's expiry check, ...) waits on one
+// shared refresh instead of racing and invalidating each other's tokens.
+let refreshPromise = null
+
+/**
+ * Refresh the access token (shared by concurrent callers)
+ * @returns {Promise<boolean>} True if a new access token was stored
+ */
+export function refreshAccessToken() {
+  if (refreshPromise) return refreshPromise
+
+  refreshPromise = (async () => {
+    const refreshToken = getRefreshToken()
+    if (!refreshToken) return false
+    try {
+      const response = await send(resolveUrl('/api/token/refresh/'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh: refreshToken }),
+      })
+      if (!response.ok) throw new HttpError(`Token refresh failed: ${response.status}`, { status: response.status })
+      const data = await response.json()
+      if (!data.access) return false
+      storeTokens(data.access, data.refresh)
+      return true
+    } catch (error) {
+      console.error('Error refreshing token:', error)
+      clearTokens()
+      return false
+    } finally {
+      refreshPromise = null
+    }
+  })()
+
+  return refreshPromise
+}
+
+/**
+ * fetch() against the API
+ * @param {string} path - Path relative to API_BASE_URL, or an absolute URL
+ * @param {object} options - fetch options, plus `auth` (default true): attach the token and refresh it once on a 401
+ * @returns {Promise<Response>} The raw response (check `ok` yourself, or use http.* for JSON)
+ * @throws {NetworkError|AuthError}
+ */
+export async function httpFetch(path, { auth = true, headers = {}, ...options } = {}) {
+  const url = resolveUrl(path)
+  const build = () => {
+    const token = auth ? getAccessToken() : null
+    return {
+      ...options,
+      headers: { ...withDefaultHeaders(headers, options.body), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    }
+  }
+
+  const hadToken = auth && !!getAccessToken()
+  let response = await send(url, build())
+
+  if (response.status === 401 && hadToken) {
+    if (!(await refreshAccessToken())) {
+      clearTokens()
+      window.location.href = '/login'
+      throw new AuthError(undefined, { url })
+    }
+    response = await send(url, build())
+  }
+
+  return response
+}
+
+/** Best human-readable message in a DRF-style error body. */
+export function errorMessageFrom(details, fallback) {
+  if (!details) return fallback
+  if (typeof details === 'string') return details.length < 200 ? details : fallback
+  const direct = details.detail || details.message || details.error
+  if (typeof direct === 'string') return direct
+  const [field, value] = Object.entries(details)[0] || []
+  const first = Array.isArray(value) ? value[0] : value
+  if (typeof first === 'string') return field === 'non_field_errors' ? first : `${field}: ${first}`
+  return fallback
+}
+
+async function readBody(response) {
+  if (response.status === 204) return null
+  const text = await response.text()
+  if (!text) return null
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Parse a response's body, throwing HttpError when it is not ok
+ * @param {Response} response
+ * @param {string} fallbackMessage - Message used when the body has none
+ * @returns {Promise<any>} Parsed JSON (text for non-JSON bodies, null when empty)
+ */
+export async function readResponse(response, fallbackMessage) {
+  const data = await readBody(response)
+  if (!response.ok) {
+    throw new HttpError(errorMessageFrom(data, fallbackMessage || `Request failed (${response.status})`), {
+      status: response.status,
+      details: data,
+      url: response.url,
+    })
+  }
+  return data
+}
+
+const withParams = (path, params) => {
+  if (!params) return path
+  const query = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') query.append(key, value)
+  })
+  const text = query.toString()
+  if (!text) return path
+  return `${path}${path.includes('?') ? '&' : '?'}${text}`
+}
+
+const bodyOptions = (body) => {
+  if (body === undefined) return {}
+  if (body instanceof FormData || body instanceof Blob || body instanceof URLSearchParams) return { body }
+  return { body: JSON.stringify(body) }
+}
+
+/**
+ * Request JSON from the API
+ * @param {string} method
+ * @param {string} path - Relative API path or absolute URL
+ * @param {object} options - fetch options plus `params` (query object), `body` (object, FormData or Blob),
+ *   `auth` and `errorMessage` (used when the error body has no message)
+ * @returns {Promise<any>} Parsed body
+ * @throws {HttpError|AuthError|NetworkError}
+ */
+async function requestJson(method, path, { params, body, errorMessage, ...options } = {}) {
+  const response = await httpFetch(withParams(path, params), { ...options, method, ...bodyOptions(body) })
+  return await readResponse(response, errorMessage)
+}
+
+/**
+ * JSON shorthands: http.get(path, options), http.post(path, body, options), ...
+ * See requestJson for the options.
+ */
+export const http = {
+  get: (path, options) => requestJson('GET', path, options),
+  delete: (path, options) => requestJson('DELETE', path, options),
+  post: (path, body, options) => requestJson('POST', path, { ...options, body }),
+  put: (path, body, options) => requestJson('PUT', path, { ...options, body }),
+  patch: (path, body, options) => requestJson('PATCH', path, { ...options, body }),
+}
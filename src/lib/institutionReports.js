@@ -0,0 +1,595 @@
+import { jsPDF } from 'jspdf'
+import { queryVitals, getVitalsSyncState, getLastSync } from './api'
+import { toCsv } from '../utils/download'
+
+export const REPORT_TEMPLATES = [
+  'Monthly Executive Health Audit',
+  'Adverse Alerts Log & Compliance',
+  'Device Health & Battery Compliance',
+  'Outpatient Sleep & Heart Rate Aggregates',
+]
+
+export const REPORT_SCOPES = ['Entire Institution', 'High Risk Members only', 'Seniors (65+)']
+
+// Rolling windows are fetched with the vitals API's preset `range`; the quarter,
+// which no preset covers, with `from`/`to`. Rows are then clipped to the window.
+export const REPORT_DATE_RANGES = {
+  'Last 7 Days': { days: 7, apiRange: '7d' },
+  'Last 30 Days': { days: 30, apiRange: '30d' },
+  'Current Quarter': { quarter: true },
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const LOW_BATTERY_PCT = 20
+const STALE_SYNC_HOURS = 24
+// Members are fetched a few at a time so large institutions don't flood the API
+const MEMBER_CONCURRENCY = 4
+
+const memberName = (m) => m.full_name || m.user_email || `Member ${m.user_id}`
+
+/** Members in a report scope, judged on their latest vitals. */
+export function filterMembersByScope(members, scope) {
+  if (scope === 'High Risk Members only') {
+    // High risk = any member with abnormal SpO2 (<92%) or very high HR (>110)
+    return members.filter(m => {
+      const spo2 = m.vitals?.spo2?.Blood_oxygen
+      const hr = m.vitals?.heartrate?.once_heart_value
+      return (spo2 && spo2 < 92) || (hr && hr > 110)
+    })
+  }
+  if (scope === 'Seniors (65+)') {
+    return members.filter(m => m.age != null && m.age >= 65)
+  }
+  return members
+}
+
+/**
+ * Start/end of a report window, ending now, and the vitals query params that cover it
+ * @param {string} label - Key of REPORT_DATE_RANGES
+ * @param {Date} now
+ * @returns {{ start: Date, end: Date, days: number, query: object }} query is { range } or { from, to }
+ */
+export function resolveReportPeriod(label, now = new Date()) {
+  const spec = REPORT_DATE_RANGES[label] || REPORT_DATE_RANGES['Last 30 Days']
+  let start
+  let query
+  if (spec.quarter) {
+    start = new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1)
+    query = { from: dayKey(start), to: dayKey(now) }
+  } else {
+    start = new Date(now)
+    start.setHours(0, 0, 0, 0)
+    start.setDate(start.getDate() - (spec.days - 1))
+    query = { range: spec.apiRange }
+  }
+  return { start, end: now, days: Math.ceil((now - start) / DAY_MS), query }
+}
+
+/** Parse a record's day/date; bare YYYY-MM-DD is read as a local calendar day. */
+function recordTime(record) {
+  const raw = record?.day || record?.date
+  if (!raw) return null
+  const match = typeof raw === 'string' && raw.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  const d = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(raw)
+  return Number.isNaN(d.getTime()) ? null : d
+}
+
+const dayKey = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+
+/**
+ * Collapse either raw readings or the API's daily aggregate rows into per-day stats
+ * @param {Array} records
+ * @param {object} keys - { value, avg, min, max } field names for the metric
+ * @param {object} period - { start, end }
+ * @returns {Map<string, { avg: number, min: number, max: number }>} keyed by YYYY-MM-DD
+ */
+function dailyStats(records, keys, period) {
+  const buckets = new Map()
+  for (const r of Array.isArray(records) ? records : []) {
+    const t = recordTime(r)
+    if (!t || t < period.start || t > period.end) continue
+    const isAggregate = typeof r[keys.avg] === 'number'
+    const avg = isAggregate ? r[keys.avg] : r[keys.value]
+    if (typeof avg !== 'number') continue
+    const key = dayKey(t)
+    const b = buckets.get(key) || { sum: 0, n: 0, min: Infinity, max: -Infinity }
+    b.sum += avg
+    b.n += 1
+    b.min = Math.min(b.min, isAggregate ? r[keys.min] ?? avg : avg)
+    b.max = Math.max(b.max, isAggregate ? r[keys.max] ?? avg : avg)
+    buckets.set(key, b)
+  }
+  const out = new Map()
+  for (const [key, b] of buckets) out.set(key, { avg: b.sum / b.n, min: b.min, max: b.max })
+  return out
+}
+
+const HR_KEYS = { value: 'once_heart_value', avg: 'average_heart_rate', min: 'minimum_heart_rate', max: 'maximum_heart_rate' }
+const SPO2_KEYS = { value: 'Blood_oxygen', avg: 'average_blood_oxygen', min: 'minimum_blood_oxygen', max: 'maximum_blood_oxygen' }
+
+function nightlySleep(records, period) {
+  const nights = new Map()
+  for (const r of Array.isArray(records) ? records : []) {
+    const t = recordTime(r)
+    if (!t || t < period.start || t > period.end || typeof r.duration !== 'number') continue
+    nights.set(dayKey(t), { hours: r.duration, deep: r.deep_sleep_percentage ?? null })
+  }
+  return nights
+}
+
+const mean = (values) => {
+  const nums = values.filter(v => typeof v === 'number' && Number.isFinite(v))
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null
+}
+const round = (v, digits = 0) => (v == null ? '' : Number(v.toFixed(digits)))
+
+async function mapMembers(members, fn, { signal, onProgress }) {
+  const results = new Array(members.length)
+  let next = 0
+  let done = 0
+  const worker = async () => {
+    while (next < members.length) {
+      if (signal?.aborted) throw new DOMException('Report generation was cancelled', 'AbortError')
+      const index = next++
+      results[index] = await fn(members[index])
+      done += 1
+      onProgress?.(done, members.length)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(MEMBER_CONCURRENCY, members.length) }, worker))
+  return results
+}
+
+// A member whose vitals can't be fetched still appears in the report, flagged, instead of failing it.
+// Vitals are always refetched; when the server is unreachable the last synced copy is used and its
+// sync time is returned in `offlineSince` so the report can say so.
+async function fetchMemberVitals(member, metrics, period, signal) {
+  const data = {}
+  const failed = []
+  let offlineSince = null
+  await Promise.all(metrics.map(async (metric) => {
+    const params = { userId: member.user_id, ...period.query }
+    const requestedAt = Date.now()
+    try {
+      data[metric] = await queryVitals(metric, params, { signal, force: true })
+      const synced = getVitalsSyncState(metric, params)
+      if (synced && synced.syncedAt < requestedAt) offlineSince = Math.min(offlineSince ?? Infinity, synced.syncedAt)
+    } catch (err) {
+      if (err.name === 'AbortError') throw err
+      console.warn(`Report: ${metric} unavailable for member ${member.user_id}`, err)
+      failed.push(metric)
+      data[metric] = []
+    }
+  }))
+  return { data, failed, offlineSince }
+}
+
+function classifyDay({ hr, spo2 }, thresholds) {
+  const events = []
+  if (hr && hr.max > thresholds.hrMax) events.push({ metric: 'Heart Rate', observed: `${Math.round(hr.max)} bpm`, limit: `> ${thresholds.hrMax} bpm`, severity: 'Critical' })
+  if (hr && hr.min < thresholds.hrMin) events.push({ metric: 'Heart Rate', observed: `${Math.round(hr.min)} bpm`, limit: `< ${thresholds.hrMin} bpm`, severity: 'Warning' })
+  if (spo2 && spo2.min < thresholds.spo2Critical) {
+    events.push({ metric: 'SpO2', observed: `${Math.round(spo2.min)}%`, limit: `< ${thresholds.spo2Critical}%`, severity: 'Critical' })
+  } else if (spo2 && spo2.min < thresholds.spo2Warning) {
+    events.push({ metric: 'SpO2', observed: `${Math.round(spo2.min)}%`, limit: `< ${thresholds.spo2Warning}%`, severity: 'Warning' })
+  }
+  return events
+}
+
+const BUILDERS = {
+  'Monthly Executive Health Audit': {
+    metrics: ['heartRateDaily', 'spo2', 'sleep'],
+    columns: [
+      { key: 'member', label: 'Member' },
+      { key: 'email', label: 'Email' },
+      { key: 'hrAvg', label: 'Avg HR (bpm)' },
+      { key: 'hrRange', label: 'HR Range' },
+      { key: 'spo2Avg', label: 'Avg SpO2 (%)' },
+      { key: 'spo2Min', label: 'Min SpO2 (%)' },
+      { key: 'sleepAvg', label: 'Avg Sleep (h)' },
+      { key: 'coverage', label: 'Days w/ Data' },
+      { key: 'alertDays', label: 'Alert Days' },
+      { key: 'status', label: 'Status' },
+    ],
+    build(entries, period, thresholds) {
+      const rows = entries.map(({ member, data, failed }) => {
+        const hr = dailyStats(data.heartRateDaily, HR_KEYS, period)
+        const spo2 = dailyStats(data.spo2, SPO2_KEYS, period)
+        const sleep = nightlySleep(data.sleep, period)
+        const days = new Set([...hr.keys(), ...spo2.keys(), ...sleep.keys()])
+        let alertDays = 0
+        let critical = false
+        for (const day of days) {
+          const events = classifyDay({ hr: hr.get(day), spo2: spo2.get(day) }, thresholds)
+          if (events.length) alertDays += 1
+          if (events.some(e => e.severity === 'Critical')) critical = true
+        }
+        const hrMins = [...hr.values()].map(s => s.min)
+        const hrMaxes = [...hr.values()].map(s => s.max)
+        return {
+          member: memberName(member),
+          email: member.user_email || '',
+          hrAvg: round(mean([...hr.values()].map(s => s.avg))),
+          hrRange: hr.size ? `${Math.round(Math.min(...hrMins))}–${Math.round(Math.max(...hrMaxes))}` : '',
+          spo2Avg: round(mean([...spo2.values()].map(s => s.avg)), 1),
+          spo2Min: spo2.size ? Math.round(Math.min(...[...spo2.values()].map(s => s.min))) : '',
+          sleepAvg: round(mean([...sleep.values()].map(s => s.hours)), 1),
+          coverage: `${days.size}/${period.days}`,
+          alertDays,
+          status: !days.size ? (failed.length ? 'Data unavailable' : 'No data') : critical ? 'Critical' : alertDays ? 'Watch' : 'Stable',
+          _hrAvg: mean([...hr.values()].map(s => s.avg)),
+          _spo2Avg: mean([...spo2.values()].map(s => s.avg)),
+          _sleepAvg: mean([...sleep.values()].map(s => s.hours)),
+        }
+      })
+      const withData = rows.filter(r => r.status !== 'No data' && r.status !== 'Data unavailable')
+      return {
+        rows,
+        summary: [
+          { label: 'Monitored Members', value: rows.length },
+          { label: 'Members Reporting', value: withData.length },
+          { label: 'Mean Heart Rate', value: withData.length ? `${round(mean(rows.map(r => r._hrAvg)))} bpm` : 'N/A' },
+          { label: 'Mean SpO2', value: withData.length ? `${round(mean(rows.map(r => r._spo2Avg)), 1)}%` : 'N/A' },
+          { label: 'Mean Sleep', value: withData.length ? `${round(mean(rows.map(r => r._sleepAvg)), 1)} h` : 'N/A' },
+          { label: 'Critical Members', value: rows.filter(r => r.status === 'Critical').length },
+        ],
+      }
+    },
+  },
+
+  'Adverse Alerts Log & Compliance': {
+    metrics: ['heartRateDaily', 'spo2'],
+    columns: [
+      { key: 'day', label: 'Date' },
+      { key: 'member', label: 'Member' },
+      { key: 'metric', label: 'Metric' },
+      { key: 'observed', label: 'Observed' },
+      { key: 'limit', label: 'Threshold' },
+      { key: 'severity', label: 'Severity' },
+    ],
+    build(entries, period, thresholds) {
+      const rows = []
+      for (const { member, data } of entries) {
+        const hr = dailyStats(data.heartRateDaily, HR_KEYS, period)
+        const spo2 = dailyStats(data.spo2, SPO2_KEYS, period)
+        for (const day of new Set([...hr.keys(), ...spo2.keys()])) {
+          for (const event of classifyDay({ hr: hr.get(day), spo2: spo2.get(day) }, thresholds)) {
+            rows.push({ day, member: memberName(member), ...event })
+          }
+        }
+      }
+      rows.sort((a, b) => b.day.localeCompare(a.day) || a.member.localeCompare(b.member))
+      const affected = new Set(rows.map(r => r.member))
+      return {
+        rows,
+        summary: [
+          { label: 'Monitored Members', value: entries.length },
+          { label: 'Adverse Events', value: rows.length },
+          { label: 'Critical Events', value: rows.filter(r => r.severity === 'Critical').length },
+          { label: 'Members Affected', value: affected.size },
+          { label: 'Event-free Members', value: `${entries.length ? Math.round(((entries.length - affected.size) / entries.length) * 100) : 0}%` },
+          { label: 'Thresholds', value: `HR ${thresholds.hrMin}–${thresholds.hrMax} · SpO2 ≥ ${thresholds.spo2Warning}%` },
+        ],
+        note: 'Events are evaluated on each member\'s daily minimum and maximum readings.',
+      }
+    },
+  },
+
+  'Device Health & Battery Compliance': {
+    metrics: [],
+    columns: [
+      { key: 'member', label: 'Member' },
+      { key: 'battery', label: 'Battery (%)' },
+      { key: 'batteryAt', label: 'Battery Reported' },
+      { key: 'lastSync', label: 'Last Sync' },
+      { key: 'hoursSinceSync', label: 'Hours Since Sync' },
+      { key: 'status', label: 'Compliance' },
+    ],
+    async fetchExtra(member) {
+      try {
+        const res = await getLastSync(member.user_id)
+        return { lastSync: res?.last_sync || null }
+      } catch (err) {
+        console.warn(`Report: last sync unavailable for member ${member.user_id}`, err)
+        return { lastSync: null }
+      }
+    },
+    build(entries, period) {
+      const now = period.end
+      const rows = entries.map(({ member, extra }) => {
+        const battery = member.vitals?.battery?.percentage
+        const lastSync = extra.lastSync ? new Date(extra.lastSync) : null
+        const hours = lastSync ? (now - lastSync) / 3600000 : null
+        const issues = []
+        if (battery == null && !lastSync) issues.push('No device data')
+        if (battery != null && battery <= LOW_BATTERY_PCT) issues.push('Low battery')
+        if (lastSync && hours > STALE_SYNC_HOURS) issues.push(lastSync < period.start ? 'No sync in period' : 'Stale sync')
+        return {
+          member: memberName(member),
+          battery: battery ?? '',
+          batteryAt: member.vitals?.battery?.timestamp ? new Date(member.vitals.battery.timestamp).toLocaleString() : '',
+          lastSync: lastSync ? lastSync.toLocaleString() : '',
+          hoursSinceSync: hours == null ? '' : round(hours, 1),
+          status: issues.length ? issues.join(', ') : 'Compliant',
+        }
+      })
+      const compliant = rows.filter(r => r.status === 'Compliant').length
+      return {
+        rows,
+        summary: [
+          { label: 'Registered Members', value: rows.length },
+          { label: 'Compliant Devices', value: compliant },
+          { label: 'Compliance Rate', value: rows.length ? `${((compliant / rows.length) * 100).toFixed(1)}%` : 'N/A' },
+          { label: 'Low Battery', value: rows.filter(r => r.status.includes('Low battery')).length },
+          { label: 'Stale / No Sync', value: rows.filter(r => /sync/i.test(r.status)).length },
+          { label: 'Mean Battery', value: rows.some(r => r.battery !== '') ? `${round(mean(rows.map(r => r.battery)))}%` : 'N/A' },
+        ],
+        note: `Compliant = battery above ${LOW_BATTERY_PCT}% and synced within the last ${STALE_SYNC_HOURS} hours.`,
+      }
+    },
+  },
+
+  'Outpatient Sleep & Heart Rate Aggregates': {
+    metrics: ['heartRateDaily', 'sleep'],
+    columns: [
+      { key: 'day', label: 'Date' },
+      { key: 'member', label: 'Member' },
+      { key: 'sleepHours', label: 'Sleep (h)' },
+      { key: 'deepPct', label: 'Deep Sleep (%)' },
+      { key: 'hrAvg', label: 'Avg HR (bpm)' },
+      { key: 'hrMin', label: 'Min HR (bpm)' },
+      { key: 'hrMax', label: 'Max HR (bpm)' },
+    ],
+    build(entries, period) {
+      const rows = []
+      for (const { member, data } of entries) {
+        const hr = dailyStats(data.heartRateDaily, HR_KEYS, period)
+        const sleep = nightlySleep(data.sleep, period)
+        for (const day of new Set([...hr.keys(), ...sleep.keys()])) {
+          const h = hr.get(day)
+          const s = sleep.get(day)
+          rows.push({
+            day,
+            member: memberName(member),
+            sleepHours: s ? round(s.hours, 1) : '',
+            deepPct: s?.deep ?? '',
+            hrAvg: h ? round(h.avg) : '',
+            hrMin: h ? round(h.min) : '',
+            hrMax: h ? round(h.max) : '',
+          })
+        }
+      }
+      rows.sort((a, b) => a.member.localeCompare(b.member) || a.day.localeCompare(b.day))
+      const sleepRows = rows.filter(r => r.sleepHours !== '')
+      return {
+        rows,
+        summary: [
+          { label: 'Members', value: entries.length },
+          { label: 'Nights Recorded', value: sleepRows.length },
+          { label: 'Mean Sleep', value: sleepRows.length ? `${round(mean(sleepRows.map(r => r.sleepHours)), 1)} h` : 'N/A' },
+          { label: 'Short Nights (< 6 h)', value: sleepRows.filter(r => r.sleepHours < 6).length },
+          { label: 'Mean Heart Rate', value: rows.some(r => r.hrAvg !== '') ? `${round(mean(rows.map(r => r.hrAvg)))} bpm` : 'N/A' },
+          { label: 'Peak Heart Rate', value: rows.some(r => r.hrMax !== '') ? `${Math.max(...rows.filter(r => r.hrMax !== '').map(r => r.hrMax))} bpm` : 'N/A' },
+        ],
+      }
+    },
+  },
+}
+
+/**
+ * Compile a report from the members' vitals
+ * @param {object} options
+ * @param {string} options.template - One of REPORT_TEMPLATES
+ * @param {string} options.scope - One of REPORT_SCOPES
+ * @param {string} options.dateRange - Key of REPORT_DATE_RANGES
+ * @param {Array} options.members - Institution members (with latest vitals)
+ * @param {object} options.thresholds - Institution alert thresholds
+ * @param {AbortSignal} options.signal
+ * @param {function} options.onProgress - Called with (membersDone, membersTotal)
+ * @returns {Promise<object>} { template, scope, dateRange, period, generatedAt, columns, rows, summary, note,
+ *   offline } - offline is { members, syncedAt } when some vitals came from the offline copy, else null
+ */
+export async function generateInstitutionReport({ template, scope, dateRange, members, thresholds, signal, onProgress }) {
+  const builder = BUILDERS[template]
+  if (!builder) throw new Error(`Unknown report template: ${template}`)
+
+  const period = resolveReportPeriod(dateRange)
+  const cohort = filterMembersByScope(members, scope)
+
+  const entries = await mapMembers(cohort, async (member) => {
+    const { data, failed, offlineSince } = await fetchMemberVitals(member, builder.metrics, period, signal)
+    const extra = builder.fetchExtra ? await builder.fetchExtra(member) : {}
+    return { member, data, failed, offlineSince, extra }
+  }, { signal, onProgress })
+
+  const offlineTimes = entries.map(e => e.offlineSince).filter(t => t != null)
+
+  const { rows, summary, note = null } = builder.build(entries, period, thresholds)
+  const publicRows = rows.map(row => Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('_'))))
+
+  return {
+    template,
+    scope,
+    dateRange,
+    period: { start: period.start.toISOString(), end: period.end.toISOString() },
+    generatedAt: new Date().toISOString(),
+    columns: builder.columns,
+    rows: publicRows,
+    summary,
+    note,
+    offline: offlineTimes.length
+      ? { members: offlineTimes.length, syncedAt: new Date(Math.min(...offlineTimes)).toISOString() }
+      : null,
+  }
+}
+
+/** Warning for a report built partly from offline data, or null */
+export function describeOfflineReport(report) {
+  if (!report.offline) return null
+  const { members, syncedAt } = report.offline
+  return `Generated from offline data: the server could not be reached, so ${members} member${members === 1 ? '' : 's'} use the last synced readings (oldest from ${new Date(syncedAt).toLocaleString()}).`
+}
+
+/** Report file name, e.g. Monthly_Executive_Health_Audit_2026-06-30.pdf */
+export function reportFileName(report, format) {
+  const slug = report.template.replace(/[^A-Za-z0-9]+/g, '_').replace(/_+$/, '')
+  return `${slug}_${report.generatedAt.slice(0, 10)}.${format.toLowerCase()}`
+}
+
+export function renderReportCsv(report) {
+  const meta = [
+    `# ${report.template}`,
+    `# Scope: ${report.scope} | Period: ${report.period.start.slice(0, 10)} to ${report.period.end.slice(0, 10)} | Generated: ${report.generatedAt}`,
+  ]
+  const offline = describeOfflineReport(report)
+  if (offline) meta.push(`# ${offline}`)
+  return new Blob([[...meta, toCsv(report.rows, report.columns)].join('\r\n')], { type: 'text/csv;charset=utf-8' })
+}
+
+// jsPDF's built-in fonts are Latin-1 only
+const pdfText = (value) => String(value ?? '').replace(/₂/g, '2').replace(/–/g, '-').replace(/≥/g, '>=').replace(/·/g, '|')
+
+export function renderReportPdf(report, institutionName = '') {
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' })
+  const pageWidth = doc.internal.pageSize.getWidth()
+  const pageHeight = doc.internal.pageSize.getHeight()
+  const margin = 14
+  const tableWidth = pageWidth - margin * 2
+  const rowHeight = 7
+
+  // Letterhead
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(13)
+  doc.setTextColor(59, 130, 246)
+  doc.text('JEEWAN JYOTI DIGITAL CARE', margin, margin + 2)
+  doc.setFontSize(8)
+  doc.setTextColor(107, 114, 128)
+  doc.setFont('helvetica', 'normal')
+  doc.text(pdfText(institutionName || 'Institutional Monitoring Network'), margin, margin + 7)
+  doc.text(`Generated: ${new Date(report.generatedAt).toLocaleString()}`, pageWidth - margin, margin + 2, { align: 'right' })
+
+  doc.setTextColor(15, 23, 42)
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(15)
+  doc.text(pdfText(report.template), margin, margin + 18)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(9)
+  doc.text(
+    `Scope: ${report.scope}    Period: ${new Date(report.period.start).toLocaleDateString()} - ${new Date(report.period.end).toLocaleDateString()} (${report.dateRange})`,
+    margin, margin + 24,
+  )
+
+  // Summary tiles
+  let y = margin + 30
+  const tileWidth = tableWidth / report.summary.length
+  report.summary.forEach((item, i) => {
+    const x = margin + i * tileWidth
+    doc.setDrawColor(226, 232, 240)
+    doc.roundedRect(x + 1, y, tileWidth - 2, 16, 2, 2)
+    doc.setFontSize(7)
+    doc.setTextColor(107, 114, 128)
+    doc.text(pdfText(item.label).toUpperCase(), x + 4, y + 5)
+    doc.setFontSize(11)
+    doc.setTextColor(15, 23, 42)
+    doc.setFont('helvetica', 'bold')
+    doc.text(doc.splitTextToSize(pdfText(item.value), tileWidth - 8)[0], x + 4, y + 12)
+    doc.setFont('helvetica', 'normal')
+  })
+  y += 22
+
+  const offline = describeOfflineReport(report)
+  if (offline) {
+    doc.setFontSize(8)
+    doc.setTextColor(180, 83, 9)
+    doc.setFont('helvetica', 'bold')
+    doc.text(pdfText(offline), margin, y)
+    doc.setFont('helvetica', 'normal')
+    y += 5
+  }
+
+  if (report.note) {
+    doc.setFontSize(8)
+    doc.setTextColor(107, 114, 128)
+    doc.text(pdfText(report.note), margin, y)
+    y += 5
+  }
+
+  // Table
+  const colWidth = tableWidth / report.columns.length
+  const drawHeader = () => {
+    doc.setFillColor(241, 245, 249)
+    doc.rect(margin, y, tableWidth, rowHeight, 'F')
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(8)
+    doc.setTextColor(51, 65, 85)
+    report.columns.forEach((col, i) => doc.text(pdfText(col.label), margin + i * colWidth + 2, y + 4.8))
+    doc.setFont('helvetica', 'normal')
+    y += rowHeight
+  }
+  drawHeader()
+
+  if (!report.rows.length) {
+    doc.setTextColor(107, 114, 128)
+    doc.text('No records for this scope and period.', margin + 2, y + 5)
+  }
+
+  report.rows.forEach((row, index) => {
+    if (y + rowHeight > pageHeight - margin - 6) {
+      doc.addPage()
+      y = margin
+      drawHeader()
+    }
+    if (index % 2) {
+      doc.setFillColor(248, 250, 252)
+      doc.rect(margin, y, tableWidth, rowHeight, 'F')
+    }
+    doc.setFontSize(8)
+    doc.setTextColor(15, 23, 42)
+    report.columns.forEach((col, i) => {
+      const cell = doc.splitTextToSize(pdfText(row[col.key]), colWidth - 3)[0] || ''
+      doc.text(cell, margin + i * colWidth + 2, y + 4.8)
+    })
+    y += rowHeight
+  })
+
+  const pages = doc.getNumberOfPages()
+  for (let page = 1; page <= pages; page += 1) {
+    doc.setPage(page)
+    doc.setFontSize(7)
+    doc.setTextColor(148, 163, 184)
+    doc.text(`${pdfText(report.template)} | Page ${page} of ${pages}`, pageWidth - margin, pageHeight - 6, { align: 'right' })
+  }
+
+  return doc.output('blob')
+}
+
+// Archive of generated reports, kept per institution. Files are re-rendered
+// from the stored report data on download rather than stored themselves.
+const ARCHIVE_LIMIT = 30
+const archiveKey = (institutionId) => `institutionReports:${institutionId ?? 'default'}`
+
+export function loadReportArchive(institutionId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(archiveKey(institutionId)) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export function saveReportArchive(institutionId, entries) {
+  let kept = entries.slice(0, ARCHIVE_LIMIT)
+  // Drop the oldest reports until the archive fits in storage
+  while (kept.length) {
+    try {
+      localStorage.setItem(archiveKey(institutionId), JSON.stringify(kept))
+      return kept.length
+    } catch (err) {
+      console.warn('Report archive is full, dropping the oldest report', err)
+      kept = kept.slice(0, -1)
+    }
+  }
+  localStorage.removeItem(archiveKey(institutionId))
+  return 0
+}
@@ -1,4 +1,5 @@
 import { apiRequest } from './api';
+import { http } from './httpClient';
 
 /**
  * Get live location/GPS trail data
@@ -53,3 +54,62 @@ export async function getLocationData(userId = null) {
         throw error;
     }
 }
+
+/**
+ * Safe zones drawn for a wearer. The server checks every location update
+ * against them and notifies the wearer's caregivers (in-app and FCM).
+ * @param {string|number|null} userId - Wearer (omit for self)
+ * @returns {Promise<Array>} Zones { id, name, shape: 'circle'|'polygon', center: [lat, lng],
+ *   radius_m, points: [[lat, lng]], active }
+ */
+export async function getGeofences(userId = null) {
+    const data = await http.get('/api/geofences/', {
+        params: { user_id: userId },
+        errorMessage: 'Failed to fetch safe zones',
+    });
+    return Array.isArray(data) ? data : data?.results || [];
+}
+
+/**
+ * Create or update a safe zone
+ * @param {object} zone - { id?, user_id, name, shape, center, radius_m } or { ..., shape: 'polygon', points }
+ * @returns {Promise<object>} Saved zone
+ */
+export async function saveGeofence(zone) {
+    const { id, ...body } = zone;
+    return id
+        ? await http.patch(`/api/geofences/${id}/`, body, { errorMessage: 'Failed to save safe zone' })
+        : await http.post('/api/geofences/', body, { errorMessage: 'Failed to save safe zone' });
+}
+
+/**
+ * Delete a safe zone
+ * @param {string|number} zoneId
+ */
+export async function deleteGeofence(zoneId) {
+    await http.delete(`/api/geofences/${zoneId}/`, { errorMessage: 'Failed to delete safe zone' });
+}
+
+/**
+ * Wandering alert settings for a wearer
+ * @param {string|number|null} userId
+ * @returns {Promise<object>} { alert_on_exit, still_alert_minutes } - still_alert_minutes null turns the stop alert off
+ */
+export async function getGeofenceSettings(userId = null) {
+    return await http.get('/api/geofences/settings/', {
+        params: { user_id: userId },
+        errorMessage: 'Failed to fetch alert settings',
+    });
+}
+
+/**
+ * Save wandering alert settings for a wearer
+ * @param {string|number|null} userId
+ * @param {object} settings - { alert_on_exit, still_alert_minutes }
+ * @returns {Promise<object>} Saved settings
+ */
+export async function saveGeofenceSettings(userId, settings) {
+    return await http.put('/api/geofences/settings/', { ...settings, user_id: userId }, {
+        errorMessage: 'Failed to save alert settings',
+    });
+}
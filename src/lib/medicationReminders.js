@@ -0,0 +1,53 @@
+import { getFcmToken, onFcmMessage } from './firebase'
+import { apiRequest } from './api'
+
+// FCM data payload `type` the server uses for scheduled dose reminders
+export const MEDICATION_REMINDER_TYPE = 'medication_reminder'
+
+const VAPID_KEY = import.meta.env?.VITE_FIREBASE_VAPID_KEY || 'BHTwQ-UBls33YCkR3lVR6GsK68zccOJ8p93yVEPcJbMsDh71eW66o_-An1y9so19KWeROurFR-kZbEIRtRhWv-g'
+
+/**
+ * Make sure this browser can receive dose reminders: asks for notification
+ * permission and registers the FCM token with the backend if it changed since login.
+ * @returns {Promise<boolean>} Whether reminders can be delivered here
+ */
+export async function ensureReminderDevice() {
+  if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    await Notification.requestPermission()
+  }
+  if (typeof Notification !== 'undefined' && Notification.permission !== 'granted') return false
+
+  const token = await getFcmToken(VAPID_KEY)
+  if (!token) return false
+  if (token === localStorage.getItem('fcm_token')) return true
+
+  const response = await apiRequest('/api/devices/register/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ registration_id: token, device_type: 'web' }),
+  })
+  if (!response.ok) return false
+  localStorage.setItem('fcm_token', token)
+  return true
+}
+
+/**
+ * Listen for dose reminders while the app is in the foreground (background
+ * reminders are shown by the service worker).
+ * @param {function} callback - Called with { medicationId, name, dosage, scheduledFor, title, body }
+ * @returns {Promise<function>} Unsubscribe
+ */
+export function onMedicationReminder(callback) {
+  return onFcmMessage((payload) => {
+    const data = payload?.data || {}
+    if (data.type !== MEDICATION_REMINDER_TYPE) return
+    callback({
+      medicationId: data.medication_id,
+      name: data.medication_name,
+      dosage: data.dosage,
+      scheduledFor: data.scheduled_for,
+      title: payload.notification?.title || 'Medication reminder',
+      body: payload.notification?.body || '',
+    })
+  })
+}
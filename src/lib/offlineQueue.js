@@ -0,0 +1,182 @@
+import { OUTBOX_STORE, idbGetAll, idbPut, idbDelete } from './offlineStore'
+import { WS_BASE_URL } from '../config/api'
+import { createLeaderboardPost, addPostComment, addChallengeComment } from './api'
+import { NetworkError } from './httpClient'
+import { getUserData, getAccessToken } from './tokenManager'
+
+// Actions that may be written while offline. Each queued item is stored in
+// IndexedDB as { id, type, payload, userId, createdAt, error } and delivered in
+// order once the connection is back; items the server rejects keep their error
+// until the user retries or discards them.
+export const OUTBOX_TYPES = {
+  POST: 'leaderboard_post',
+  POST_COMMENT: 'post_comment',
+  CHALLENGE_COMMENT: 'challenge_comment',
+  CHAT_MESSAGE: 'chat_message',
+}
+
+const CHAT_SOCKET_TIMEOUT_MS = 10 * 1000
+
+const listeners = new Set()
+const deliveredListeners = new Set()
+let flushing = null
+
+const currentUserId = () => getUserData()?.id ?? null
+
+/** True when an error means the request never reached the server. */
+export const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && !navigator.onLine) || error instanceof NetworkError
+
+const toFormData = (fields = []) => {
+  const formData = new FormData()
+  fields.forEach(([name, value]) => formData.append(name, value))
+  return formData
+}
+
+// Open a short-lived chat socket, send the messages in order, then close it
+function sendChatMessages(chatId, messages) {
+  const socket = new WebSocket(`${WS_BASE_URL}/ws/chat/${chatId}/?token=${getAccessToken()}`)
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.close()
+      reject(new NetworkError('Chat connection timed out'))
+    }, CHAT_SOCKET_TIMEOUT_MS)
+
+    socket.onopen = () => {
+      clearTimeout(timer)
+      messages.forEach(({ message, temp_id }) => socket.send(JSON.stringify({ type: 'text_message', message, temp_id })))
+      // Give the socket a moment to flush its buffer before closing
+      setTimeout(() => socket.close(), 500)
+      resolve()
+    }
+    socket.onerror = () => {
+      clearTimeout(timer)
+      reject(new NetworkError('Chat connection failed'))
+    }
+  })
+}
+
+const senders = {
+  [OUTBOX_TYPES.POST]: ({ fields }) => createLeaderboardPost(toFormData(fields)),
+  [OUTBOX_TYPES.POST_COMMENT]: ({ postId, comment }) => addPostComment(postId, comment),
+  [OUTBOX_TYPES.CHALLENGE_COMMENT]: ({ challengeId, comment }) => addChallengeComment(challengeId, comment),
+  [OUTBOX_TYPES.CHAT_MESSAGE]: ({ chatId, message, temp_id }) => sendChatMessages(chatId, [{ message, temp_id }]),
+}
+
+async function readOutbox() {
+  const userId = currentUserId()
+  const items = await idbGetAll(OUTBOX_STORE).catch(() => [])
+  return items.filter((item) => item.userId === userId).sort((a, b) => a.id - b.id)
+}
+
+async function notify() {
+  const items = await readOutbox()
+  listeners.forEach((listener) => listener(items))
+}
+
+/**
+ * Subscribe to the current user's queued items
+ * @param {function} listener - Called with the queued items now and after every change
+ * @returns {function} Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener)
+  readOutbox().then((items) => { if (listeners.has(listener)) listener(items) })
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Be told when a queued item reaches the server, e.g. to refetch a list
+ * @param {function} listener - Called with the delivered item
+ * @returns {function} Unsubscribe
+ */
+export function onOutboxDelivered(listener) {
+  deliveredListeners.add(listener)
+  return () => deliveredListeners.delete(listener)
+}
+
+/**
+ * Store an action to be sent once the connection is back
+ * @param {string} type - One of OUTBOX_TYPES
+ * @param {object} payload - Arguments for the action (structured-cloneable, files included)
+ * @returns {Promise<object>} The queued item
+ */
+export async function queueOfflineAction(type, payload) {
+  if (!senders[type]) throw new Error(`Unknown offline action: ${type}`)
+  const item = { type, payload, userId: currentUserId(), createdAt: new Date().toISOString(), error: null }
+  item.id = await idbPut(OUTBOX_STORE, item)
+  notify()
+  return item
+}
+
+/**
+ * Send an action now, or queue it when the device is offline
+ * @param {string} type - One of OUTBOX_TYPES
+ * @param {object} payload
+ * @returns {Promise<{queued: boolean, result?: any}>} Server errors are thrown as usual
+ */
+export async function sendOrQueue(type, payload) {
+  if (typeof navigator === 'undefined' || navigator.onLine) {
+    try {
+      return { queued: false, result: await senders[type](payload) }
+    } catch (error) {
+      if (!isNetworkError(error)) throw error
+    }
+  }
+  await queueOfflineAction(type, payload)
+  return { queued: true }
+}
+
+/**
+ * Deliver queued items in order. Stops at the first network failure; items
+ * the server rejects are kept with their error and skipped until retried.
+ * @returns {Promise<number>} Number of items delivered
+ */
+export function flushOutbox() {
+  if (flushing) return flushing
+
+  flushing = (async () => {
+    let delivered = 0
+    for (const item of await readOutbox()) {
+      if (item.error) continue
+      try {
+        await senders[item.type](item.payload)
+      } catch (error) {
+        if (isNetworkError(error)) break
+        await idbPut(OUTBOX_STORE, { ...item, error: error.message || 'Could not be sent' })
+        continue
+      }
+      await idbDelete(OUTBOX_STORE, item.id)
+      delivered += 1
+      deliveredListeners.forEach((listener) => listener(item))
+    }
+    return delivered
+  })().finally(() => {
+    flushing = null
+    notify()
+  })
+
+  return flushing
+}
+
+/**
+ * Clear an item's error so the next flush sends it again
+ * @param {number} itemId
+ */
+export async function retryOutboxItem(itemId) {
+  const item = (await readOutbox()).find((i) => i.id === itemId)
+  if (!item) return
+  await idbPut(OUTBOX_STORE, { ...item, error: null })
+  await notify()
+  if (navigator.onLine) flushOutbox()
+}
+
+/**
+ * Drop a queued item without sending it
+ * @param {number} itemId
+ */
+export async function discardOutboxItem(itemId) {
+  await idbDelete(OUTBOX_STORE, itemId)
+  await notify()
+}
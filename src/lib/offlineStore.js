@@ -0,0 +1,89 @@
+// Small promise wrapper around the app's IndexedDB database. It holds data the
+// dashboard must keep across reloads while offline:
+//   vitals - last fetched vitals per query key ({ data, timestamp })
+//   outbox - posts, comments and chat messages written while offline
+const DB_NAME = 'jeewanjyoti-offline'
+const DB_VERSION = 1
+
+export const VITALS_STORE = 'vitals'
+export const OUTBOX_STORE = 'outbox'
+
+let dbPromise = null
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'))
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(VITALS_STORE)) db.createObjectStore(VITALS_STORE)
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call retry (e.g. after private-mode restrictions are lifted)
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+async function run(storeName, mode, operation) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = operation(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+/**
+ * Read one record
+ * @param {string} storeName - VITALS_STORE or OUTBOX_STORE
+ * @param {IDBValidKey} key
+ * @returns {Promise<any>} The record, or undefined
+ */
+export const idbGet = (storeName, key) => run(storeName, 'readonly', (store) => store.get(key))
+
+/**
+ * Read every record of a store
+ * @param {string} storeName
+ * @returns {Promise<Array>}
+ */
+export const idbGetAll = (storeName) => run(storeName, 'readonly', (store) => store.getAll())
+
+/**
+ * Read every key of a store
+ * @param {string} storeName
+ * @returns {Promise<Array>}
+ */
+export const idbGetAllKeys = (storeName) => run(storeName, 'readonly', (store) => store.getAllKeys())
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName
+ * @param {any} value
+ * @param {IDBValidKey} key - Omit for stores with a key path (the outbox)
+ * @returns {Promise<IDBValidKey>} The record's key
+ */
+export const idbPut = (storeName, value, key) => run(storeName, 'readwrite', (store) => (key === undefined ? store.put(value) : store.put(value, key)))
+
+/**
+ * Delete one record, or several when given an array of keys
+ * @param {string} storeName
+ * @param {IDBValidKey|Array} keys
+ * @returns {Promise<void>}
+ */
+export const idbDelete = (storeName, keys) => run(storeName, 'readwrite', (store) => {
+  (Array.isArray(keys) ? keys : [keys]).forEach((key) => store.delete(key))
+})
+
+/**
+ * Delete every record of a store
+ * @param {string} storeName
+ * @returns {Promise<void>}
+ */
+export const idbClear = (storeName) => run(storeName, 'readwrite', (store) => store.clear())
@@ -1,63 +1,11 @@
-const API_BASE = 'http://103.118.16.251/api'; // Use HTTP
+import { initializePayment, verifyPayment } from './api';
 
 export const paymentService = {
   // Initialize payment with backend
-  initializePayment: async (invoiceNo, amount, token) => {
-    try {
-      const response = await fetch(`${API_BASE}/initialize_payment/`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          invoice_no: invoiceNo,
-          amount: amount,
-        }),
-        // Add this for development (remove in production)
-        mode: 'cors',
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.detail || 'Failed to initialize payment');
-      }
-
-      return await response.json();
-    } catch (error) {
-      console.error('Error initializing payment:', error);
-      throw error;
-    }
-  },
+  initializePayment: (invoiceNo, amount) => initializePayment(invoiceNo, amount),
 
   // Verify payment with backend
-  verifyPayment: async (invoiceNo, pidx, token) => {
-    try {
-      const response = await fetch(`${API_BASE}/verify_payment/`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          invoice_no: invoiceNo,
-          pidx: pidx,
-        }),
-        // Add this for development (remove in production)
-        mode: 'cors',
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.detail || 'Payment verification failed');
-      }
-
-      return await response.json();
-    } catch (error) {
-      console.error('Error verifying payment:', error);
-      throw error;
-    }
-  },
+  verifyPayment: (invoiceNo, pidx) => verifyPayment(invoiceNo, pidx),
 
   // Load Khalti script dynamically
   loadKhaltiScript: () => {
@@ -1,5 +1,5 @@
-// Token management utilities for handling JWT tokens
-import { API_BASE_URL } from './api'
+// Token management utilities for handling JWT tokens.
+// Refreshing and attaching tokens to requests lives in httpClient.js.
 
 const TOKEN_KEYS = {
   ACCESS_TOKEN: 'access_token',
@@ -111,126 +111,3 @@ export const isTokenExpired = (token) => {
     return true;
   }
 };
-
-// Multiple call sites (authenticatedFetch on a 401, the status WebSocket's
-// pre-connect expiry check, etc.) can all decide to refresh at the same
-// moment. Refresh tokens are typically single-use, so without de-duping,
-// every caller but the first would fail and call clearTokens() — wiping out
-// the good access token the first call just stored and breaking every other
-// in-flight request. Share one in-flight refresh across all callers instead.
-let refreshPromise = null;
-
-/**
- * Refresh access token using refresh token
- * @returns {Promise<boolean>} True if token refresh was successful
- */
-export const refreshAccessToken = async () => {
-  if (refreshPromise) return refreshPromise;
-
-  refreshPromise = (async () => {
-    const refreshToken = getRefreshToken();
-    if (!refreshToken) {
-      console.error('No refresh token available');
-      return false;
-    }
-
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/token/refresh/`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          refresh: refreshToken
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Token refresh failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.access) {
-        // Store the new access token
-        localStorage.setItem(TOKEN_KEYS.ACCESS_TOKEN, data.access);
-        console.log('Access token refreshed successfully');
-        return true;
-      }
-
-      return false;
-    } catch (error) {
-      console.error('Error refreshing token:', error);
-      // If refresh fails, clear all tokens
-      clearTokens();
-      return false;
-    } finally {
-      refreshPromise = null;
-    }
-  })();
-
-  return refreshPromise;
-};
-
-/**
- * Get authorization header for API requests
- * @returns {object} Headers object with Authorization header
- */
-export const getAuthHeaders = () => {
-  const accessToken = getAccessToken();
-  if (!accessToken) {
-    return {};
-  }
-  
-  return {
-    'Authorization': `Bearer ${accessToken}`
-  };
-};
-
-/**
- * Make authenticated API request with automatic token refresh
- * @param {string} url - API endpoint URL
- * @param {object} options - Fetch options
- * @returns {Promise<Response>} Fetch response
- */
-export const authenticatedFetch = async (url, options = {}) => {
-  const accessToken = getAccessToken();
-  
-  // Add authorization header if token exists
-  const headers = {
-    'Content-Type': 'application/json',
-    ...getAuthHeaders(),
-    ...options.headers
-  };
-
-  let response = await fetch(url, {
-    ...options,
-    headers
-  });
-
-  // If request fails with 401, try to refresh token
-  if (response.status === 401 && accessToken) {
-    console.log('Access token expired, attempting refresh...');
-    const refreshSuccess = await refreshAccessToken();
-    
-    if (refreshSuccess) {
-      // Retry the request with new token
-      const newHeaders = {
-        ...headers,
-        ...getAuthHeaders()
-      };
-      
-      response = await fetch(url, {
-        ...options,
-        headers: newHeaders
-      });
-    } else {
-      // Refresh failed, redirect to login
-      clearTokens();
-      window.location.href = '/login';
-      throw new Error('Authentication failed');
-    }
-  }
-
-  return response;
-};
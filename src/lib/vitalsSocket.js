@@ -0,0 +1,108 @@
+import { WS_BASE_URL } from '../config/api'
+import { getAccessToken, isTokenExpired } from './tokenManager'
+import { refreshAccessToken } from './httpClient'
+
+/**
+ * Live wearable readings over /ws/vitals/.
+ *
+ *   -> { type: 'subscribe', user_id }        (null for the signed-in user)
+ *   <- { type: 'vitals_reading', reading: { user, device_id, heartRate, spo2, ... , timestamp } }
+ *
+ * Subscriptions last for one connection, so callers re-send them from onOpen.
+ */
+
+const RECONNECT_DELAY_MS = 3000
+
+/**
+ * Open the vitals socket and keep it open (reconnecting after drops) until close().
+ * @param {object} handlers
+ * @param {Function} handlers.onOpen - (send, isReconnect) once each connection opens
+ * @param {Function} handlers.onReading - (reading) for every pushed reading
+ * @param {Function} handlers.onStatus - ('connecting'|'live'|'reconnecting'|'offline')
+ * @returns {object} { send, close } - send(message) is dropped while disconnected
+ */
+export function openVitalsSocket({ onOpen, onReading, onStatus }) {
+  let closed = false
+  let socket = null
+  let reconnectTimer = null
+  let hasConnected = false
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message))
+  }
+
+  const retry = () => {
+    if (closed) return
+    onStatus('reconnecting')
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS)
+  }
+
+  const connect = async () => {
+    if (closed) return
+
+    let token = getAccessToken()
+    if (!token) {
+      onStatus('offline')
+      return
+    }
+    // The handshake is rejected outright for an expired token, so refresh first
+    if (isTokenExpired(token)) {
+      const refreshed = await refreshAccessToken()
+      if (closed) return
+      if (!refreshed) {
+        console.warn('Could not refresh token for vitals WebSocket')
+        onStatus('offline')
+        return
+      }
+      token = getAccessToken()
+    }
+
+    try {
+      socket = new WebSocket(`${WS_BASE_URL}/ws/vitals/?token=${token}`)
+    } catch (err) {
+      console.error('Failed to initialize vitals WebSocket:', err)
+      retry()
+      return
+    }
+
+    socket.onopen = () => {
+      onStatus('live')
+      onOpen(send, hasConnected)
+      hasConnected = true
+    }
+
+    socket.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data)
+        if (data?.type === 'vitals_reading') onReading(data.reading || data)
+      } catch (err) {
+        console.error('Vitals WS message parse error:', err)
+      }
+    }
+
+    socket.onerror = (err) => {
+      console.error('Vitals WebSocket error:', err)
+    }
+
+    socket.onclose = () => {
+      socket = null
+      retry()
+    }
+  }
+
+  onStatus('connecting')
+  connect()
+
+  return {
+    send,
+    close: () => {
+      closed = true
+      if (reconnectTimer) clearTimeout(reconnectTimer)
+      if (socket) {
+        socket.onclose = null
+        try { socket.close() } catch { /* already closed */ }
+        socket = null
+      }
+    },
+  }
+}
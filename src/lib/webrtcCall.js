@@ -0,0 +1,149 @@
+import { RTC_ICE_SERVERS } from '../config/api';
+
+/**
+ * WebRTC helpers for 1:1 chat calls.
+ *
+ * Signalling messages travel over the per-chat socket (/ws/chat/{id}/):
+ *   { type: 'call_offer', call_id, call_type: 'audio'|'video', sdp }
+ *   { type: 'call_answer', call_id, sdp }
+ *   { type: 'call_ice_candidate', call_id, candidate }
+ *   { type: 'call_end', call_id, reason: 'hangup'|'declined'|'busy'|'missed'|'failed' }
+ */
+
+export const CALL_SIGNAL_TYPES = ['call_offer', 'call_answer', 'call_ice_candidate', 'call_end'];
+
+// How long an outgoing call rings before it is recorded as missed
+export const CALL_RING_TIMEOUT_MS = 45 * 1000;
+
+export const isCallSignal = (data) => CALL_SIGNAL_TYPES.includes(data?.type);
+
+export const createCallId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Ask for the microphone (and camera for video calls)
+ * @param {string} callType - 'audio' or 'video'
+ * @returns {Promise<MediaStream>}
+ */
+export async function getCallMedia(callType) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('Calls are not supported in this browser');
+  }
+  return await navigator.mediaDevices.getUserMedia({
+    audio: true,
+    video: callType === 'video' ? { width: { ideal: 1280 }, height: { ideal: 720 } } : false,
+  });
+}
+
+/**
+ * Create a peer connection carrying the local stream
+ * @param {object} options
+ * @param {MediaStream} options.localStream
+ * @param {function} options.onIceCandidate - Called with each local candidate (JSON)
+ * @param {function} options.onRemoteStream - Called with the remote MediaStream
+ * @param {function} options.onConnectionStateChange - Called with pc.connectionState
+ * @returns {RTCPeerConnection}
+ */
+export function createPeerConnection({ localStream, onIceCandidate, onRemoteStream, onConnectionStateChange }) {
+  const pc = new RTCPeerConnection({ iceServers: RTC_ICE_SERVERS });
+
+  localStream.getTracks().forEach((track) => pc.addTrack(track, localStream));
+
+  pc.onicecandidate = (event) => {
+    if (event.candidate) onIceCandidate(event.candidate.toJSON());
+  };
+  pc.ontrack = (event) => {
+    onRemoteStream(event.streams[0] || new MediaStream([event.track]));
+  };
+  pc.onconnectionstatechange = () => onConnectionStateChange(pc.connectionState);
+
+  return pc;
+}
+
+/** Stop every track of a stream (releases the camera/mic indicator). */
+export function stopStream(stream) {
+  stream?.getTracks().forEach((track) => track.stop());
+}
+
+/**
+ * Local signalling stub: relays call signals between tabs of this browser via
+ * BroadcastChannel instead of the chat socket, so calls can be tested without
+ * backend support. Enable with VITE_CALL_SIGNALLING=local.
+ * @param {function} onSignal - Called with signals posted by other tabs
+ * @returns {{ send: function, close: function }}
+ */
+export function createLocalSignallingStub(onSignal) {
+  const tabId = createCallId();
+  const channel = new BroadcastChannel('jeewanjyoti-call-signalling');
+
+  channel.onmessage = (event) => {
+    const { from, signal } = event.data || {};
+    if (from !== tabId && isCallSignal(signal)) onSignal(signal);
+  };
+
+  return {
+    send: (signal) => channel.postMessage({ from: tabId, signal }),
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * Play a repeating two-tone ring until the returned function is called
+ * @returns {function} stop
+ */
+export function startRingtone() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return () => {};
+
+  const ctx = new AudioCtx();
+  const ring = () => {
+    [0, 0.4].forEach((offset) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = offset ? 480 : 440;
+      gain.gain.setValueAtTime(0.15, ctx.currentTime + offset);
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.35);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(ctx.currentTime + offset);
+      osc.stop(ctx.currentTime + offset + 0.35);
+    });
+    navigator.vibrate?.([300, 100, 300]);
+  };
+
+  ring();
+  const interval = setInterval(ring, 2500);
+  return () => {
+    clearInterval(interval);
+    ctx.close().catch(() => {});
+  };
+}
+
+/** Seconds -> mm:ss (or h:mm:ss for long calls) */
+export function formatCallDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+}
+
+/**
+ * Text of the call record posted to the conversation when a call ends
+ * @param {object} record - { callType, outcome, durationSeconds }
+ * @returns {string}
+ */
+export function describeCallRecord({ callType, outcome, durationSeconds }) {
+  const icon = callType === 'video' ? '📹' : '📞';
+  const label = callType === 'video' ? 'video call' : 'audio call';
+  switch (outcome) {
+    case 'completed':
+      return `${icon} ${callType === 'video' ? 'Video' : 'Audio'} call · ${formatCallDuration(durationSeconds)}`;
+    case 'missed':
+      return `${icon} Missed ${label}`;
+    case 'declined':
+      return `${icon} ${callType === 'video' ? 'Video' : 'Audio'} call declined`;
+    case 'busy':
+      return `${icon} ${callType === 'video' ? 'Video' : 'Audio'} call · line busy`;
+    default:
+      return `${icon} ${callType === 'video' ? 'Video' : 'Audio'} call failed`;
+  }
+}
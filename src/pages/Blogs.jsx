@@ -2,9 +2,10 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Edit, Trash2, Plus } from 'lucide-react';
 import AppHeader from '../components/AppHeader';
+import { http } from '../lib/httpClient';
+import { API_BASE_URL } from '../config/api';
 
-const API_BASE_URL = 'https://jeewanjyoti-backend.smart.org.np/api';
-const BLOGS_ENDPOINT = `${API_BASE_URL}/blogs`;
+const BLOGS_ENDPOINT = '/api/blogs';
 
 // Default empty blog template
 const defaultBlog = {
@@ -93,7 +94,7 @@ function BlogModal({ blog, onClose }) {
         {blog.photo ? (
           <div className="h-64 w-full overflow-hidden rounded-t-2xl">
             <img 
-              src={`https://jeewanjyoti-backend.smart.org.np${blog.photo}`} 
+              src={`${API_BASE_URL}${blog.photo}`} 
               alt={blog.title}
               className="w-full h-full object-cover"
               onError={(e) => {
@@ -140,7 +141,7 @@ function BlogForm({ blog = null, onSave, onCancel, isSubmitting = false }) {
     body: blog?.body || '',
     photo: null
   });
-  const [preview, setPreview] = useState(blog?.photo ? `https://jeewanjyoti-backend.smart.org.np${blog.photo}` : null);
+  const [preview, setPreview] = useState(blog?.photo ? `${API_BASE_URL}${blog.photo}` : null);
 
   const handleChange = (e) => {
     const { name, value, files } = e.target;
@@ -156,7 +157,7 @@ function BlogForm({ blog = null, onSave, onCancel, isSubmitting = false }) {
       if (file) {
         reader.readAsDataURL(file);
       } else {
-        setPreview(blog?.photo ? `https://jeewanjyoti-backend.smart.org.np${blog.photo}` : null);
+        setPreview(blog?.photo ? `${API_BASE_URL}${blog.photo}` : null);
       }
     } else {
       setFormData(prev => ({ ...prev, [name]: value }));
@@ -280,9 +281,7 @@ function Blogs() {
     try {
       setLoading(true);
       setError('');
-      const response = await fetch(BLOGS_ENDPOINT);
-      if (!response.ok) throw new Error('Failed to fetch blogs');
-      const data = await response.json();
+      const data = await http.get(BLOGS_ENDPOINT, { errorMessage: 'Failed to fetch blogs' });
       setBlogs(data);
     } catch (err) {
       setError('Failed to load blogs. Please try again later.');
@@ -299,9 +298,7 @@ function Blogs() {
   const handleViewBlog = async (blogId) => {
     try {
       setLoading(true);
-      const response = await fetch(`${BLOGS_ENDPOINT}/${blogId}/`);
-      if (!response.ok) throw new Error('Failed to fetch blog details');
-      const data = await response.json();
+      const data = await http.get(`${BLOGS_ENDPOINT}/${blogId}/`, { errorMessage: 'Failed to fetch blog details' });
       setSelectedBlog(data);
     } catch (err) {
       setError('Failed to load blog details. Please try again.');
@@ -324,19 +321,11 @@ function Blogs() {
   const handleSaveBlog = async (formData, blogId = null) => {
     try {
       setIsSubmitting(true);
-      const url = blogId ? `${BLOGS_ENDPOINT}/${blogId}/` : BLOGS_ENDPOINT;
-      const method = blogId ? 'PUT' : 'POST';
-
-      const response = await fetch(url, {
-        method,
-        body: formData,
-        // Don't set Content-Type header when using FormData
-        // The browser will set it with the correct boundary
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.detail || 'Failed to save blog');
+      // FormData bodies go out without a Content-Type so the browser sets the boundary
+      if (blogId) {
+        await http.put(`${BLOGS_ENDPOINT}/${blogId}/`, formData, { errorMessage: 'Failed to save blog' });
+      } else {
+        await http.post(BLOGS_ENDPOINT, formData, { errorMessage: 'Failed to save blog' });
       }
 
       await fetchBlogs();
@@ -355,13 +344,7 @@ function Blogs() {
     
     try {
       setLoading(true);
-      const response = await fetch(`${BLOGS_ENDPOINT}/${blogId}/`, {
-        method: 'DELETE',
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to delete blog');
-      }
+      await http.delete(`${BLOGS_ENDPOINT}/${blogId}/`, { errorMessage: 'Failed to delete blog' });
 
       // If the deleted blog is currently selected, close the modal
       if (selectedBlog && selectedBlog.id === blogId) {
@@ -443,7 +426,7 @@ function Blogs() {
                   <div className="h-48 w-full overflow-hidden">
                     <img
                       className="w-full h-full object-cover"
-                      src={`https://jeewanjyoti-backend.smart.org.np${blog.photo}`}
+                      src={`${API_BASE_URL}${blog.photo}`}
                       alt={blog.title}
                       onError={(e) => {
                         e.target.onerror = null;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { onAuthStateChanged, signOut } from 'firebase/auth';
-import { Home, Calendar, MessageCircle, User, Users, Moon, Sun, Bell, Settings, Menu, X, LogOut, Filter, SlidersHorizontal, ChevronDown, Loader2 } from 'lucide-react';
+import { Home, Calendar, MessageCircle, User, Users, Moon, Sun, Bell, Settings, Menu, X, LogOut, Filter, SlidersHorizontal, ChevronDown, Loader2, Pill } from 'lucide-react';
 import jjlogo from '../assets/jjlogo.png';
 import HomeTab from './dashboard/Home';
 import AppointmentsTab from './dashboard/Appointments';
@@ -9,18 +9,23 @@ import ErrorBoundary from '../components/ErrorBoundary';
 import ChatTab from './dashboard/Chat';
 import ProfileTab from './dashboard/Profile';
 import SettingsTab from './dashboard/Settings';
+import MedicationPage from './MedicationPage';
 import LeaderboardTab from './dashboard/Leaderboard';
 import ProfileCompletionForm from '../components/ProfileCompletionForm';
+import MedicationReminderToast from '../components/medication/MedicationReminderToast';
+import GeofenceAlertToast from '../components/trail/GeofenceAlertToast';
+import OfflineBanner from '../components/OfflineBanner';
 import { auth } from '../lib/firebase';
 import { isAuthenticated, getUserData, clearTokens } from '../lib/tokenManager';
-import { logoutUser, getUserEmailProfile } from '../lib/api';
+import { logoutUser, getUserEmailProfile, getUserMappings, API_BASE_URL } from '../lib/api';
 import useStatusSocket from '../hooks/useStatusSocket';
+import { getMappingPermissions, isMappingExpired } from '../utils/mappingPermissions';
 
 const getFullImageUrl = (url) => {
   if (!url) return null;
   if (url.startsWith('http')) return url;
-  if (url.startsWith('/')) return `https://jeewanjyoti-backend.smart.org.np${url}`;
-  return `https://jeewanjyoti-backend.smart.org.np/${url}`;
+  if (url.startsWith('/')) return `${API_BASE_URL}${url}`;
+  return `${API_BASE_URL}/${url}`;
 };
 
 // Helper function to get valid profile image URL with fallback
@@ -244,36 +249,17 @@ const Dashboard = () => {
 
     setLoadingMappedUsers(true);
     try {
-      const token = localStorage.getItem('access_token') ||
-        localStorage.getItem('accessToken') ||
-        localStorage.getItem('token') ||
-        localStorage.getItem('authToken');
-
-      if (!token) {
-        setLoadingMappedUsers(false);
-        return;
-      }
-
-      const response = await fetch('https://jeewanjyoti-backend.smart.org.np/api/user-mapping/list/', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
+      const data = await getUserMappings();
+      const userData = getUserData();
+      const currentUserId = userData?.id;
+
+      const filteredMappedUsers = data.filter(mapping => {
+        const isNotCurrentUser = mapping.mapped_user.id !== currentUserId;
+        // Mappings whose access has ended drop out of the selector
+        return isNotCurrentUser && !isMappingExpired(mapping);
       });
 
-      if (response.ok) {
-        const data = await response.json();
-        const userData = getUserData();
-        const currentUserId = userData?.id;
-
-        const filteredMappedUsers = data.filter(mapping => {
-          const isNotCurrentUser = mapping.mapped_user.id !== currentUserId;
-          return isNotCurrentUser;
-        });
-
-        setMappedUsers(filteredMappedUsers);
-      }
+      setMappedUsers(filteredMappedUsers);
     } catch (error) {
       console.error('Error fetching mapped users:', error);
     } finally {
@@ -396,6 +382,19 @@ const Dashboard = () => {
     setImageErrors(prev => ({ ...prev, [errorKey]: true }));
   };
 
+  // Follow in-page hash changes, e.g. a notification click opening #medications
+  useEffect(() => {
+    const onHashChange = () => {
+      const tab = window.location.hash.replace('#', '');
+      if (tab) {
+        setActiveTab(tab);
+        localStorage.setItem('dashboardActiveTab', tab);
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
   // Handle tab change with persistence
   const handleTabChange = (tab) => {
     setActiveTab(tab);
@@ -489,6 +488,10 @@ const Dashboard = () => {
       };
     };
 
+    // What the caregiver may see of the selected user; null for your own data
+    const selectedMapping = selectedUserId ? mappedUsers.find(m => m.mapped_user.id === selectedUserId) : null;
+    const permissions = selectedMapping ? getMappingPermissions(selectedMapping) : null;
+
     switch (activeTab) {
       case 'home':
         return (
@@ -497,6 +500,7 @@ const Dashboard = () => {
             selectedUserId={selectedUserId}
             selectedUserInfo={getSelectedUserInfo()}
             globalDateRange={globalDateRange}
+            permissions={permissions}
           />
         );
       case 'appointments':
@@ -505,15 +509,20 @@ const Dashboard = () => {
             <AppointmentsTab
               darkMode={darkMode}
               onSwitchToChat={() => handleTabChange('chat')}
+              selectedUserId={selectedUserId}
+              selectedUserName={getSelectedUserInfo().name}
+              permissions={permissions}
             />
           </ErrorBoundary>
         );
+      case 'medications':
+        return <MedicationPage key={selectedUserId || 'self'} darkMode={darkMode} userId={selectedUserId} userName={getSelectedUserInfo().name} permissions={permissions} />;
       case 'leaderboard':
         return <LeaderboardTab />;
       case 'chat':
         return <ChatTab darkMode={darkMode} onChatRoomStateChange={handleChatRoomStateChange} onUnreadCountChange={setTotalUnread} userStatuses={userStatuses} />;
       case 'profile':
-        return <ProfileTab darkMode={darkMode} selectedUserId={selectedUserId} selectedUserInfo={currentUser} globalDateFilter={globalDateFilter} globalDateRange={globalDateRange} />;
+        return <ProfileTab darkMode={darkMode} selectedUserId={selectedUserId} selectedUserInfo={currentUser} globalDateFilter={globalDateFilter} globalDateRange={globalDateRange} permissions={permissions} />;
       case 'settings':
         return <SettingsTab darkMode={darkMode} />;
       default:
@@ -588,6 +597,20 @@ const Dashboard = () => {
                   <Calendar className="w-5 h-5" />
                   <span className="font-medium">Appointments</span>
                 </button>
+                <button
+                  onClick={() => handleTabChange('medications')}
+                  className={`flex items-center gap-2 px-3 py-1.5 rounded-lg transition-all duration-200 ${activeTab === 'medications'
+                    ? darkMode
+                      ? 'bg-gray-700 shadow-md text-blue-400'
+                      : 'bg-white shadow-md text-blue-600'
+                    : darkMode
+                      ? 'text-gray-400 hover:text-gray-200'
+                      : 'text-gray-600 hover:text-gray-800'
+                    }`}
+                >
+                  <Pill className="w-5 h-5" />
+                  <span className="font-medium">Medications</span>
+                </button>
                 <button
                   onClick={() => handleTabChange('leaderboard')}
                   className={`flex items-center gap-2 px-3 py-1.5 rounded-lg transition-all duration-200 ${activeTab === 'leaderboard'
@@ -1416,6 +1439,23 @@ const Dashboard = () => {
 
             {/* Action Buttons */}
             <div className="space-y-3">
+              <button
+                onClick={() => { handleTabChange('medications'); setIsMobileMenuOpen(false); }}
+                className={`w-full flex items-center gap-3 p-4 rounded-2xl transition-all duration-200 transform hover:scale-[1.02] hover:shadow-lg ${darkMode
+                  ? 'bg-gradient-to-r from-gray-800 to-gray-700 text-gray-300 hover:from-gray-700 hover:to-gray-600'
+                  : 'bg-gradient-to-r from-white to-gray-100 text-gray-700 hover:from-gray-50 hover:to-gray-200 shadow-md'
+                  }`}
+              >
+                <div className={`w-10 h-10 rounded-full flex items-center justify-center ${darkMode ? 'bg-violet-600/30' : 'bg-violet-100'
+                  }`}>
+                  <Pill className="w-5 h-5 text-violet-600" />
+                </div>
+                <div className="flex-1 text-left">
+                  <p className="font-bold">Medications</p>
+                  <p className="text-xs opacity-75">Schedules, doses and adherence</p>
+                </div>
+              </button>
+
               <button
                 onClick={() => { handleTabChange('settings'); setIsMobileMenuOpen(false); }}
                 className={`w-full flex items-center gap-3 p-4 rounded-2xl transition-all duration-200 transform hover:scale-[1.02] hover:shadow-lg ${darkMode
@@ -1512,6 +1552,8 @@ const Dashboard = () => {
         </div>
       )}
 
+      <OfflineBanner darkMode={darkMode} />
+
       {/* Main Content */}
       <main className={`${activeTab === 'chat' ? `flex-1 min-h-0 h-full ${isChatRoomOpen ? 'pb-0' : 'pb-16'} md:pb-0` : 'max-w-7xl mx-auto p-4 md:p-6'}`}>
         {renderContent()}
@@ -1598,6 +1640,12 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Dose reminders received while the dashboard is open */}
+      <MedicationReminderToast darkMode={darkMode} />
+
+      {/* Wandering alerts for wearers in the user's care */}
+      <GeofenceAlertToast darkMode={darkMode} onOpenMap={() => handleTabChange('profile')} />
+
       {/* Profile Completion Form Modal */}
       {showProfileForm && (
         <ProfileCompletionForm
@@ -1,17 +1,30 @@
 import React, { useState, useEffect, useCallback, useMemo, memo } from 'react';
 import {
   LayoutDashboard, Users, Activity, BarChart3, FileText,
-  Bell, Smartphone, Settings, LogOut, Menu, ChevronDown, RefreshCw, Moon, Sun
+  Bell, Smartphone, Settings, LogOut, Menu, ChevronDown, RefreshCw, Moon, Sun, MonitorDot
 } from 'lucide-react';
 import OverviewTab from './institution/Overview';
 import MembersTab from './institution/Members';
 import SubscriptionTab from './institution/Subscription';
 import VitalsTab from './institution/Vitals';
+import MonitoringWallTab from './institution/MonitoringWall';
 import AnalyticsTab from './institution/Analytics';
 import ReportsTab from './institution/Reports';
 import AlertsTab from './institution/Alerts';
+import DevicesTab from './institution/Devices';
+import SettingsTab from './institution/Settings';
 import PlaceholderTab from './institution/Placeholder';
-import { getUserData, clearTokens, authenticatedFetch } from '../lib/tokenManager';
+import SubscriptionBanner from '../components/institution/SubscriptionBanner';
+import useInstitutionAlerts from '../hooks/useInstitutionAlerts';
+import useInstitutionThresholds from '../hooks/useInstitutionThresholds';
+import useInstitutionDevices from '../hooks/useInstitutionDevices';
+import useInstitutionSubscription from '../hooks/useInstitutionSubscription';
+import { resolveMemberThresholds, findThresholdBreaches } from '../utils/alertThresholds';
+import { findDeviceAlerts } from '../utils/deviceHealth';
+import { isFeatureEnabled } from '../utils/institutionFeatures';
+import { getUserData, storeTokens, clearTokens } from '../lib/tokenManager';
+import { http } from '../lib/httpClient';
+import { API_BASE_URL } from '../config/api';
 import jjlogo from '../assets/jjlogo.png';
 import { CreditCard } from 'lucide-react';
 
@@ -19,9 +32,10 @@ const NAV = [
   { id: 'overview', label: 'Dashboard', icon: LayoutDashboard },
   { id: 'members', label: 'Members', icon: Users },
   { id: 'vitals', label: 'Vitals', icon: Activity },
+  { id: 'monitoring', label: 'Monitoring Wall', icon: MonitorDot },
   { id: 'analytics', label: 'Analytics', icon: BarChart3 },
   { id: 'reports', label: 'Reports', icon: FileText },
-  { id: 'alerts', label: 'Alerts', icon: Bell, badge: 4 },
+  { id: 'alerts', label: 'Alerts', icon: Bell },
   null,
   { id: 'devices', label: 'Devices', icon: Smartphone },
   { id: 'subscription', label: 'Subscription', icon: CreditCard },
@@ -58,12 +72,21 @@ export default function InstitutionDashboard() {
   const [collapsed, setCollapsed] = useState(false);
   const [globalDateRange] = useState({ period: 'today', customRange: false });
 
-  // Get institution data from localStorage (stored during login)
-  const institutionData = getUserData();
+  // Get institution data from localStorage (stored during login, updated from Settings)
+  const [institutionData, setInstitutionData] = useState(() => getUserData());
   const institutionName = institutionData?.name || 'Institution';
   const institutionType = institutionData?.institution_type || 'Institution';
   const institutionLogo = institutionData?.logo || null;
   const institutionInitial = institutionName.charAt(0).toUpperCase();
+  // Tabs the platform admin turned off for this institution are left out of the sidebar.
+  // A saved tab that is no longer listed (turned off, or removed) falls back to overview.
+  const institutionFeatures = institutionData?.features;
+  const nav = NAV.filter(item => !item || isFeatureEnabled(institutionFeatures, item.id));
+  const activeTabEnabled = nav.some(item => item?.id === activeTab);
+
+  useEffect(() => {
+    if (!activeTabEnabled) setActiveTab('overview');
+  }, [activeTabEnabled, setActiveTab]);
 
   const [selectedUserId, setSelectedUserId] = useState(null);
   const [selectedUserName, setSelectedUserName] = useState(institutionName);
@@ -71,33 +94,37 @@ export default function InstitutionDashboard() {
   const [darkMode, setDarkMode] = useState(false);
 
   const [members, setMembers] = useState([]);
+  // Members as of the last vitals fetch; the status poll doesn't touch it, so
+  // alert candidates are only recomputed when vitals are re-read
+  const [vitalsSnapshot, setVitalsSnapshot] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [thresholds, setThresholds] = useState({
-    hrMax: 120,
-    hrMin: 50,
-    spo2Warning: 92,
-    spo2Critical: 90,
-    tempMax: 38.5,
-    inactivityHours: 12,
-  });
-  const [alerts, setAlerts] = useState([]);
+  const {
+    thresholds, overrides: thresholdOverrides, error: thresholdsError,
+    saveThresholds, saveOverride: saveThresholdOverride, removeOverride: removeThresholdOverride,
+  } = useInstitutionThresholds();
+  const {
+    devices, loading: devicesLoading, error: devicesError, telemetryError: deviceTelemetryError, refresh: refreshDevices,
+    register: registerDevice, remove: removeDevice, assign: assignDevice, unassign: unassignDevice,
+  } = useInstitutionDevices({ enabled: isFeatureEnabled(institutionFeatures, 'devices') });
+  const {
+    subscriptions, active: activeSubscription, status: subscriptionStatus, loading: subscriptionLoading,
+    error: subscriptionError, refresh: refreshSubscription,
+  } = useInstitutionSubscription();
+  // An expired plan leaves the dashboard read-only until it is renewed
+  const readOnly = !!subscriptionStatus?.readOnly;
 
   const fetchMembers = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const res = await authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/instutionmember/');
-      if (!res.ok) throw new Error('Failed to fetch members');
-      const json = await res.json();
+      const json = await http.get('/api/instutionmember/', { errorMessage: 'Failed to fetch members' });
       const membersList = json.data || [];
       
       const membersWithVitals = await Promise.all(membersList.map(async (m) => {
         try {
-          const vitalsRes = await authenticatedFetch(`https://jeewanjyoti-backend.smart.org.np/api/latest_data/?user_id=${m.user_id}`);
-          if (vitalsRes.ok) {
-            m.vitals = await vitalsRes.json();
-          }
+          m.vitals = await http.get('/api/latest_data/', { params: { user_id: m.user_id } });
+          m.vitalsFetchedAt = new Date().toISOString();
         } catch (e) {
           console.error("Vitals load error for member:", m.user_id, e);
         }
@@ -105,6 +132,7 @@ export default function InstitutionDashboard() {
       }));
       
       setMembers(membersWithVitals);
+      setVitalsSnapshot(membersWithVitals);
     } catch (err) {
       console.error(err);
       setError('Could not load members.');
@@ -121,9 +149,7 @@ export default function InstitutionDashboard() {
   // without re-fetching vitals or toggling the full-page loading spinner.
   const refreshStatuses = useCallback(async () => {
     try {
-      const res = await authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/instutionmember/');
-      if (!res.ok) return;
-      const json = await res.json();
+      const json = await http.get('/api/instutionmember/');
       const statusById = new Map((json.data || []).map(m => [m.id, m.status]));
       setMembers(prev => prev.map(m => (
         statusById.has(m.id) && statusById.get(m.id) !== m.status
@@ -140,105 +166,57 @@ export default function InstitutionDashboard() {
     return () => clearInterval(t);
   }, [refreshStatuses]);
 
-  // Dynamic Alert Generation from active members vitals and active thresholds
-  useEffect(() => {
-    if (!members.length) return;
-    
-    // Scanned active alerts from vitals
-    const scannedAlerts = [];
-    members.forEach(m => {
+  // Threshold breaches in members' latest vitals, checked against each member's own
+  // thresholds (overrides included), plus offline and low-battery devices; raised
+  // as server alerts by useInstitutionAlerts
+  const alertCandidates = useMemo(() => {
+    const candidates = [];
+    vitalsSnapshot.forEach(m => {
       if (!m.vitals) return;
-
-      const userName = m.full_name || m.user_email || 'Unknown Member';
-
-      // 1. SpO2 critical or warning check
-      if (m.vitals.spo2?.Blood_oxygen) {
-        const spo2 = m.vitals.spo2.Blood_oxygen;
-        
-        if (spo2 < thresholds.spo2Critical) {
-          scannedAlerts.push({
-            id: `spo2-crit-${m.user_id}`,
-            member: userName,
-            type: 'SpO₂ Critical',
-            value: `${spo2}%`,
-            time: '2 mins ago',
-            severity: 'critical',
-            status: 'active',
-            node: m.user_email || 'Member Node'
-          });
-        } else if (spo2 < thresholds.spo2Warning) {
-          scannedAlerts.push({
-            id: `spo2-warn-${m.user_id}`,
-            member: userName,
-            type: 'SpO₂ Warning',
-            value: `${spo2}%`,
-            time: '5 mins ago',
-            severity: 'warning',
-            status: 'active',
-            node: m.user_email || 'Member Node'
-          });
-        }
-      }
-
-      // 2. Heart rate check
-      if (m.vitals.heartrate?.once_heart_value) {
-        const hr = m.vitals.heartrate.once_heart_value;
-
-        if (hr > thresholds.hrMax) {
-          scannedAlerts.push({
-            id: `hr-high-${m.user_id}`,
-            member: userName,
-            type: 'Elevated Heart Rate',
-            value: `${hr} bpm`,
-            time: '3 mins ago',
-            severity: 'critical',
-            status: 'active',
-            node: m.user_email || 'Member Node'
-          });
-        } else if (hr < thresholds.hrMin) {
-          scannedAlerts.push({
-            id: `hr-low-${m.user_id}`,
-            member: userName,
-            type: 'Low Heart Rate',
-            value: `${hr} bpm`,
-            time: '4 mins ago',
-            severity: 'warning',
-            status: 'active',
-            node: m.user_email || 'Member Node'
-          });
-        }
-      }
-    });
-
-    setAlerts(prev => {
-      const merged = [...scannedAlerts];
-      // Keep user actions (like resolved or acknowledged logs)
-      prev.forEach(p => {
-        if (p.status === 'resolved' || p.status === 'acknowledged') {
-          const idx = merged.findIndex(m => m.id === p.id);
-          if (idx !== -1) {
-            merged[idx] = { ...merged[idx], ...p };
-          } else {
-            merged.push(p);
-          }
-        }
+      const resolved = resolveMemberThresholds(m, thresholds, thresholdOverrides);
+      findThresholdBreaches(m.vitals, resolved).forEach(breach => {
+        candidates.push({
+          alert_key: `${breach.key}-${m.user_id}`,
+          member_id: m.user_id,
+          member_name: m.full_name || m.user_email || 'Unknown Member',
+          member_email: m.user_email || null,
+          type: breach.type,
+          value: breach.value,
+          severity: breach.severity,
+          rule: breach.rule,
+          // Undated readings are at least as recent as the fetch that returned them
+          observed_at: breach.observedAt || m.vitalsFetchedAt,
+        });
       });
-      return merged;
     });
-  }, [members, thresholds]);
+    return [...candidates, ...findDeviceAlerts(devices)];
+  }, [vitalsSnapshot, thresholds, thresholdOverrides, devices]);
+
+  const {
+    alerts, loading: alertsLoading, error: alertsError, refresh: refreshAlerts,
+    acknowledge: acknowledgeAlert, resolve: resolveAlert, assign: assignAlert,
+  } = useInstitutionAlerts(alertCandidates);
+  const openAlertCount = alerts.filter(a => a.status === 'open').length;
 
   const handleLogout = () => {
     clearTokens();
     window.location.href = '/login';
   };
 
+  // Keep the sidebar and the stored session in step with a saved profile
+  const handleProfileSaved = useCallback((profile) => {
+    const next = { ...institutionData, ...profile, features: institutionData?.features };
+    storeTokens(null, null, next);
+    setInstitutionData(next);
+  }, [institutionData]);
+
   const handleViewVitals = useCallback((userId, userName, profileImage) => {
     setSelectedUserId(userId);
     setSelectedUserName(userName);
 
     // Normalize profile image URL (add backend domain if relative)
     if (profileImage && profileImage.startsWith('/')) {
-      setSelectedUserProfileImage(`https://jeewanjyoti-backend.smart.org.np${profileImage}`);
+      setSelectedUserProfileImage(`${API_BASE_URL}${profileImage}`);
     } else {
       setSelectedUserProfileImage(profileImage);
     }
@@ -254,9 +232,35 @@ export default function InstitutionDashboard() {
   const tabContent = useMemo(() => {
     switch (activeTab) {
       case 'overview':
-        return <OverviewTab members={members} loading={loading} error={error} darkMode={darkMode} />;
+        return (
+          <OverviewTab
+            members={members}
+            loading={loading}
+            error={error}
+            darkMode={darkMode}
+            alerts={alerts}
+            devices={devices}
+            devicesLoading={devicesLoading}
+            onManageDevices={() => setActiveTab('devices')}
+            subscriptionStatus={subscriptionStatus}
+            onManageSubscription={() => setActiveTab('subscription')}
+          />
+        );
       case 'members':
-        return <MembersTab members={members} loading={loading} error={error} refreshMembers={fetchMembers} onViewVitals={handleViewVitals} darkMode={darkMode} />;
+        return (
+          <MembersTab
+            members={members}
+            loading={loading}
+            error={error}
+            refreshMembers={fetchMembers}
+            onViewVitals={handleViewVitals}
+            subscription={activeSubscription}
+            subscriptionLoading={subscriptionLoading}
+            onUpgrade={() => setActiveTab('subscription')}
+            readOnly={readOnly}
+            darkMode={darkMode}
+          />
+        );
       case 'vitals':
         return (
           <VitalsTab
@@ -267,18 +271,86 @@ export default function InstitutionDashboard() {
             globalDateRange={globalDateRange}
           />
         );
+      case 'monitoring':
+        return (
+          <MonitoringWallTab
+            members={members}
+            loading={loading}
+            error={error}
+            thresholds={thresholds}
+            thresholdOverrides={thresholdOverrides}
+            devices={devices}
+            darkMode={darkMode}
+            onViewVitals={handleViewVitals}
+          />
+        );
       case 'analytics':
         return <AnalyticsTab darkMode={darkMode} members={members} loading={loading} error={error} thresholds={thresholds} />;
       case 'reports':
-        return <ReportsTab darkMode={darkMode} members={members} loading={loading} error={error} />;
+        return <ReportsTab darkMode={darkMode} members={members} loading={loading} error={error} thresholds={thresholds} />;
       case 'alerts':
-        return <AlertsTab darkMode={darkMode} alerts={alerts} setAlerts={setAlerts} thresholds={thresholds} setThresholds={setThresholds} members={members} />;
+        return (
+          <AlertsTab
+            darkMode={darkMode}
+            alerts={alerts}
+            alertsLoading={alertsLoading}
+            alertsError={alertsError}
+            onRefreshAlerts={refreshAlerts}
+            onAcknowledge={acknowledgeAlert}
+            onResolve={resolveAlert}
+            onAssign={assignAlert}
+            auditTrail
+            thresholds={thresholds}
+            thresholdsError={thresholdsError}
+            onSaveThresholds={saveThresholds}
+            thresholdOverrides={thresholdOverrides}
+            onSaveOverride={saveThresholdOverride}
+            onRemoveOverride={removeThresholdOverride}
+            members={members}
+            readOnly={readOnly}
+          />
+        );
+      case 'devices':
+        return (
+          <DevicesTab
+            darkMode={darkMode}
+            devices={devices}
+            loading={devicesLoading}
+            error={devicesError}
+            telemetryError={deviceTelemetryError}
+            members={members}
+            onRefresh={refreshDevices}
+            onRegister={registerDevice}
+            onRemove={removeDevice}
+            onAssign={assignDevice}
+            onUnassign={unassignDevice}
+            readOnly={readOnly}
+          />
+        );
       case 'subscription':
-        return <SubscriptionTab darkMode={darkMode} />;
+        return (
+          <SubscriptionTab
+            darkMode={darkMode}
+            subscriptions={subscriptions}
+            activeSubscription={activeSubscription}
+            subscriptionLoading={subscriptionLoading}
+            subscriptionError={subscriptionError}
+            refreshSubscription={refreshSubscription}
+            memberCount={members.length}
+          />
+        );
+      case 'settings':
+        return (
+          <SettingsTab
+            darkMode={darkMode}
+            features={institutionFeatures}
+            onProfileSaved={handleProfileSaved}
+          />
+        );
       default:
         return <PlaceholderTab tab={activeTab} darkMode={darkMode} />;
     }
-  }, [activeTab, handleViewVitals, selectedUserId, selectedUserInfo, darkMode, globalDateRange, members, loading, error, fetchMembers, thresholds, alerts]);
+  }, [activeTab, institutionFeatures, handleProfileSaved, handleViewVitals, selectedUserId, selectedUserInfo, darkMode, globalDateRange, members, loading, error, fetchMembers, thresholds, thresholdsError, saveThresholds, thresholdOverrides, saveThresholdOverride, removeThresholdOverride, alerts, alertsLoading, alertsError, refreshAlerts, acknowledgeAlert, resolveAlert, assignAlert, setActiveTab, devices, devicesLoading, devicesError, deviceTelemetryError, refreshDevices, registerDevice, removeDevice, assignDevice, unassignDevice, subscriptions, activeSubscription, subscriptionStatus, subscriptionLoading, subscriptionError, refreshSubscription, readOnly]);
 
   return (
     <div style={{ minHeight: '100vh', display: 'flex', background: darkMode ? '#0f172a' : '#f8fafc', fontFamily: "'Plus Jakarta Sans', 'Inter', system-ui, sans-serif" }}>
@@ -301,11 +373,12 @@ export default function InstitutionDashboard() {
 
         {/* Nav */}
         <nav style={{ flex: 1, padding: '12px 10px', overflowY: 'auto', overflowX: 'hidden' }}>
-          {NAV.map((item, i) => {
+          {nav.map((item, i) => {
             if (!item) return (
               <div key={i} style={{ height: 1, background: '#1e293b', margin: '8px 4px' }} />
             );
             const active = activeTab === item.id;
+            const badge = item.id === 'alerts' ? openAlertCount || null : item.badge;
             return (
               <button key={item.id} onClick={() => setActiveTab(item.id)} style={{
                 width: '100%', display: 'flex', alignItems: 'center', gap: 10,
@@ -321,12 +394,12 @@ export default function InstitutionDashboard() {
                 {!collapsed && (
                   <>
                     <span style={{ fontSize: 13, fontWeight: 600, color: active ? '#fff' : '#94a3b8', flex: 1, textAlign: 'left' }}>{item.label}</span>
-                    {item.badge && (
-                      <span style={{ fontSize: 10, fontWeight: 800, padding: '1px 6px', borderRadius: 99, background: '#ef4444', color: '#fff' }}>{item.badge}</span>
+                    {badge && (
+                      <span style={{ fontSize: 10, fontWeight: 800, padding: '1px 6px', borderRadius: 99, background: '#ef4444', color: '#fff' }}>{badge}</span>
                     )}
                   </>
                 )}
-                {collapsed && item.badge && (
+                {collapsed && badge && (
                   <span style={{ position: 'absolute', top: 6, right: 6, width: 6, height: 6, borderRadius: '50%', background: '#ef4444' }} />
                 )}
               </button>
@@ -360,7 +433,7 @@ export default function InstitutionDashboard() {
         }}>
           <div>
             <div style={{ fontSize: 17, fontWeight: 800, color: darkMode ? '#fff' : '#0f172a' }}>
-              {NAV.filter(Boolean).find(n => n.id === activeTab)?.label || 'Dashboard'}
+              {nav.filter(Boolean).find(n => n.id === activeTab)?.label || 'Dashboard'}
             </div>
             <HeaderDateLine />
           </div>
@@ -399,6 +472,11 @@ export default function InstitutionDashboard() {
 
         {/* Content */}
         <div style={{ padding: 24, flex: 1 }}>
+          <SubscriptionBanner
+            darkMode={darkMode}
+            status={subscriptionStatus}
+            onRenew={activeTab === 'subscription' ? null : () => setActiveTab('subscription')}
+          />
           {tabContent}
         </div>
       </main>
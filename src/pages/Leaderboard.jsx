@@ -1,8 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import AppHeader from '../components/AppHeader';
-import { getPublicLeaderboard, getPublicDailyLeaderboard, getPublicLeaderboardChallenges } from '../lib/api';
-
-const API_BASE_URL = 'https://jeewanjyoti-backend.smart.org.np';
+import { getPublicLeaderboard, getPublicDailyLeaderboard, getPublicLeaderboardChallenges, API_BASE_URL } from '../lib/api';
 
 const getFullImageUrl = (imagePath) => {
   if (!imagePath) return null;
@@ -6,6 +6,7 @@ import { signInWithPopup } from 'firebase/auth'
 import { auth, googleProvider, getFcmToken } from '../lib/firebase'
 import { storeTokens, getAccessToken } from '../lib/tokenManager'
 import { apiRequest, API_BASE_URL, getUserEmailProfile } from '../lib/api'
+import { http } from '../lib/httpClient'
 
 // Memoize the InputField component to prevent unnecessary re-renders
 const InputField = memo(({ icon: Icon, label, error, children, required = false }) => (
@@ -364,22 +365,12 @@ function Login({ adminMode = false }) {
     setForgotPasswordLoading(true)
     try {
       const apiUrl = loginType === 'individual' 
-        ? `${API_BASE_URL}/api/forgot-password/`
-        : `${API_BASE_URL}/api/ins/forgot-password/`
+        ? '/api/forgot-password/'
+        : '/api/ins/forgot-password/'
       
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: forgotPasswordData.email
-        })
-      })
-      
-      if (!response.ok) {
-        throw new Error(`Failed to send OTP: ${response.status}`)
-      }
+      await http.post(apiUrl, {
+        email: forgotPasswordData.email
+      }, { auth: false, errorMessage: 'Failed to send OTP' })
       
       setForgotPasswordStep(2)
       alert('OTP sent to your email successfully!')
@@ -403,23 +394,13 @@ function Login({ adminMode = false }) {
     setForgotPasswordLoading(true)
     try {
       const apiUrl = loginType === 'individual' 
-        ? `${API_BASE_URL}/api/resetotpVerification/`
-        : `${API_BASE_URL}/api/ins/verify-otp/`
+        ? '/api/resetotpVerification/'
+        : '/api/ins/verify-otp/'
       
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: forgotPasswordData.email,
-          email_otp: forgotPasswordData.email_otp
-        })
-      })
-      
-      if (!response.ok) {
-        throw new Error(`OTP verification failed: ${response.status}`)
-      }
+      await http.post(apiUrl, {
+        email: forgotPasswordData.email,
+        email_otp: forgotPasswordData.email_otp
+      }, { auth: false, errorMessage: 'OTP verification failed' })
       
       setForgotPasswordStep(3)
       alert('OTP verified successfully!')
@@ -447,24 +428,14 @@ function Login({ adminMode = false }) {
     setForgotPasswordLoading(true)
     try {
       const apiUrl = loginType === 'individual' 
-        ? `${API_BASE_URL}/api/reset-password/`
-        : `${API_BASE_URL}/api/ins/reset-password/`
-      
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: forgotPasswordData.email,
-          new_password: forgotPasswordData.new_password,
-          confirm_password: forgotPasswordData.confirm_password
-        })
-      })
+        ? '/api/reset-password/'
+        : '/api/ins/reset-password/'
       
-      if (!response.ok) {
-        throw new Error(`Password reset failed: ${response.status}`)
-      }
+      await http.post(apiUrl, {
+        email: forgotPasswordData.email,
+        new_password: forgotPasswordData.new_password,
+        confirm_password: forgotPasswordData.confirm_password
+      }, { auth: false, errorMessage: 'Password reset failed' })
       
       alert('Password reset successfully! You can now login with your new password.')
       resetForgotPassword()
@@ -489,26 +460,14 @@ function Login({ adminMode = false }) {
       
       // Send to your backend
       const apiUrl = loginType === 'admin'
-        ? `${API_BASE_URL}/api/admin/firebase-login/`
+        ? '/api/admin/firebase-login/'
         : loginType === 'individual'
-        ? `${API_BASE_URL}/api/firebase-login/`
-        : `${API_BASE_URL}/api/ins/firebase-login/`
+        ? '/api/firebase-login/'
+        : '/api/ins/firebase-login/'
       
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          id_token: idToken
-        })
-      })
-      
-      if (!response.ok) {
-        throw new Error(`Google login failed with status: ${response.status}`)
-      }
-      
-      const data = await response.json()
+      const data = await http.post(apiUrl, {
+        id_token: idToken
+      }, { auth: false, errorMessage: 'Google login failed' })
       console.log('Google login successful:', data)
       const isSuperuser = data?.user?.is_superuser === true || data?.is_superuser === true
       const loggedInEntity = loginType === 'institutional'
@@ -576,27 +535,15 @@ function Login({ adminMode = false }) {
     setIsLoading(true)
     try {
       const apiUrl = loginType === 'admin'
-        ? `${API_BASE_URL}/api/login/`
+        ? '/api/login/'
         : loginType === 'individual'
-        ? `${API_BASE_URL}/api/login/`
-        : `${API_BASE_URL}/api/ins/login/`
-      
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: formData.email,
-          password: formData.password
-        })
-      })
-      
-      if (!response.ok) {
-        throw new Error(`Login failed with status: ${response.status}`)
-      }
+        ? '/api/login/'
+        : '/api/ins/login/'
       
-      const data = await response.json()
+      const data = await http.post(apiUrl, {
+        email: formData.email,
+        password: formData.password
+      }, { auth: false, errorMessage: 'Login failed' })
       console.log('Login successful:', data)
       const isSuperuser = data?.user?.is_superuser === true || data?.is_superuser === true
       const loggedInEntity = loginType === 'institutional'
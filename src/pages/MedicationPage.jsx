@@ -2,20 +2,31 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Pill, Plus, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react';
 import MedicationForm from '../components/medication/MedicationForm';
 import MedicationList from '../components/medication/MedicationList';
-import { getMedications } from '../services/medicationApi';
+import TodayDoses from '../components/medication/TodayDoses';
+import AdherenceSummary from '../components/medication/AdherenceSummary';
+import { getMedications, getDoseLogs } from '../services/medicationApi';
+import { doseKey, toDateKey } from '../utils/medicationSchedule';
+
+// Dose history loaded for the adherence summary
+const HISTORY_DAYS = 30;
 
 /**
  * MedicationPage
  *
- * Embeds an add-medication form (collapsible) + the medication list.
- * Accepts darkMode and userId as props so it fits seamlessly into the
- * existing dashboard Profile page.
+ * Embeds an add/edit-medication form (collapsible) + the medication list.
+ * Rendered as the dashboard's Medications tab; userId is the user picked in
+ * the dashboard's user selector (self or a mapped user) and userName labels it.
+ * permissions are the caregiver's access to a mapped user (null for self);
+ * without manage_medications the list is read-only.
  */
-const MedicationPage = ({ darkMode, userId }) => {
+const MedicationPage = ({ darkMode, userId, userName, permissions = null }) => {
   const [medications, setMedications] = useState([]);
+  const [doseLogs, setDoseLogs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  // Medication being edited in the form; null while adding a new one
+  const [editing, setEditing] = useState(null);
 
   // Resolve user ID from props or localStorage
   const resolvedUserId = (() => {
@@ -34,12 +45,18 @@ const MedicationPage = ({ darkMode, userId }) => {
     }
   })();
 
+  const canManage = !resolvedUserId || !permissions || permissions.manage_medications;
+
   const fetchMedications = useCallback(async () => {
-    if (!resolvedUserId) return;
     setLoading(true);
     setError(null);
     try {
-      const data = await getMedications(resolvedUserId);
+      const from = new Date();
+      from.setDate(from.getDate() - (HISTORY_DAYS - 1));
+      const [data, logs] = await Promise.all([
+        getMedications(resolvedUserId),
+        getDoseLogs({ userId: resolvedUserId, from: toDateKey(from), to: toDateKey(new Date()) }),
+      ]);
       // Handle paginated or flat response
       const list = Array.isArray(data)
         ? data
@@ -47,9 +64,9 @@ const MedicationPage = ({ darkMode, userId }) => {
         ? data.results
         : [];
       setMedications(list);
+      setDoseLogs(logs);
     } catch (err) {
       setError(
-        err?.response?.data?.detail ||
           err?.message ||
           'Failed to load medications.'
       );
@@ -64,9 +81,29 @@ const MedicationPage = ({ darkMode, userId }) => {
 
   const handleFormSuccess = () => {
     setShowForm(false);
+    setEditing(null);
     fetchMedications();
   };
 
+  const closeForm = () => {
+    setShowForm(false);
+    setEditing(null);
+  };
+
+  const handleEdit = (med) => {
+    setEditing(med);
+    setShowForm(true);
+  };
+
+  // A new log for a dose replaces the previous one for the same dose
+  const handleDoseLogged = (log) => {
+    const key = doseKey(log.medication_id, log.scheduled_for);
+    setDoseLogs((prev) => [...prev.filter((l) => doseKey(l.medication_id, l.scheduled_for) !== key), log]);
+  };
+
+  const hasSchedules = medications.some((m) => m.schedule?.type);
+  const sectionTitle = `text-xs font-semibold uppercase tracking-wide mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
   const cardBg = darkMode
     ? 'bg-gray-800 border-gray-700'
     : 'bg-white border-gray-100';
@@ -84,6 +121,7 @@ const MedicationPage = ({ darkMode, userId }) => {
               Medications
             </h3>
             <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {resolvedUserId && userName ? `${userName} · ` : ''}
               {medications.length} record{medications.length !== 1 ? 's' : ''}
             </p>
           </div>
@@ -105,36 +143,43 @@ const MedicationPage = ({ darkMode, userId }) => {
           </button>
 
           {/* Add toggle */}
-          <button
-            onClick={() => setShowForm((v) => !v)}
-            className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-gradient-to-r from-violet-500 to-purple-600 text-white text-xs font-semibold hover:shadow-md hover:scale-[1.03] transition-all duration-200"
-          >
-            <Plus className="w-3.5 h-3.5" />
-            Add
-            {showForm ? (
-              <ChevronUp className="w-3.5 h-3.5" />
-            ) : (
-              <ChevronDown className="w-3.5 h-3.5" />
-            )}
-          </button>
+          {canManage && (
+            <button
+              onClick={() => {
+                setEditing(null);
+                setShowForm((v) => !v || Boolean(editing));
+              }}
+              className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-gradient-to-r from-violet-500 to-purple-600 text-white text-xs font-semibold hover:shadow-md hover:scale-[1.03] transition-all duration-200"
+            >
+              <Plus className="w-3.5 h-3.5" />
+              Add
+              {showForm && !editing ? (
+                <ChevronUp className="w-3.5 h-3.5" />
+              ) : (
+                <ChevronDown className="w-3.5 h-3.5" />
+              )}
+            </button>
+          )}
         </div>
       </div>
 
       {/* Collapsible Form */}
-      {showForm && (
+      {showForm && canManage && (
         <div
           className={`px-5 py-4 border-b ${
             darkMode ? 'border-gray-700 bg-gray-750' : 'border-gray-100 bg-gray-50/60'
           }`}
         >
           <p className={`text-xs font-semibold uppercase tracking-wide mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-            New Medication
+            {editing ? `Edit ${editing.name}` : 'New Medication'}
           </p>
           <MedicationForm
+            key={editing ? editing.id : 'new'}
             darkMode={darkMode}
             userId={resolvedUserId}
+            medication={editing}
             onSuccess={handleFormSuccess}
-            onClose={() => setShowForm(false)}
+            onClose={closeForm}
           />
         </div>
       )}
@@ -146,6 +191,26 @@ const MedicationPage = ({ darkMode, userId }) => {
         </div>
       )}
 
+      {/* Today's doses and adherence */}
+      {hasSchedules && !loading && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 px-5 pt-5">
+          <div>
+            <p className={sectionTitle}>Today's Doses</p>
+            <TodayDoses
+              darkMode={darkMode}
+              medications={medications}
+              logs={doseLogs}
+              readOnly={Boolean(resolvedUserId)}
+              onLogged={handleDoseLogged}
+            />
+          </div>
+          <div>
+            <p className={sectionTitle}>Adherence</p>
+            <AdherenceSummary darkMode={darkMode} medications={medications} logs={doseLogs} />
+          </div>
+        </div>
+      )}
+
       {/* Medication List */}
       <div className="p-5">
         <MedicationList
@@ -153,6 +218,8 @@ const MedicationPage = ({ darkMode, userId }) => {
           medications={medications}
           loading={loading}
           onRefresh={fetchMedications}
+          onEdit={handleEdit}
+          readOnly={!canManage}
         />
       </div>
     </div>
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { CheckCircle, Calendar, Loader } from 'lucide-react';
-import { API_BASE_URL } from '../lib/api';
+import { verifyPayment as confirmKhaltiPayment } from '../lib/api';
+import { getAccessToken } from '../lib/tokenManager';
 
 const PaymentSuccess = () => {
   const navigate = useNavigate();
@@ -16,15 +17,6 @@ const PaymentSuccess = () => {
   // Extract invoice_no from purchase_order_id (format: INV-20251102-000046)
   const invoiceNo = purchaseOrderId || searchParams.get('invoice_no');
 
-  // Get API base URL (following same pattern as Appointments.jsx)
-  const getApiBase = () => {
-    if (import.meta.env.DEV) {
-      return '/api';
-    }
-    const base = import.meta.env.VITE_API_BASE_URL || API_BASE_URL;
-    return base.includes('/api') ? base : `${base}/api`;
-  };
-
   useEffect(() => {
     const verifyPayment = async () => {
       if (!pidx || !invoiceNo) {
@@ -34,40 +26,18 @@ const PaymentSuccess = () => {
       }
 
       try {
-        const token = localStorage.getItem('access_token');
-        if (!token) {
+        if (!getAccessToken()) {
           setError('Please log in to verify payment.');
           setLoading(false);
           return;
         }
 
-        const base = getApiBase().endsWith('/') ? getApiBase().slice(0, -1) : getApiBase();
-        const endpoint = 'verify_payment/';
-        const url = `${base}/${endpoint}`;
-
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-          body: JSON.stringify({
-            invoice_no: invoiceNo,
-            pidx: pidx,
-          }),
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log('Payment verified:', data);
-          setVerified(true);
-        } else {
-          const errorData = await response.json();
-          setError(errorData.detail || 'Payment verification failed. Please contact support.');
-        }
+        const data = await confirmKhaltiPayment(invoiceNo, pidx);
+        console.log('Payment verified:', data);
+        setVerified(true);
       } catch (err) {
         console.error('Error verifying payment:', err);
-        setError('Failed to verify payment. Please contact support.');
+        setError(err.details ? err.message : 'Failed to verify payment. Please contact support.');
       } finally {
         setLoading(false);
       }
@@ -1,5 +1,4 @@
 import { useForm } from 'react-hook-form'
-import axios from 'axios'
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { User, Building2, Mail, Lock, Phone, MapPin, Globe, FileText, Heart, Stethoscope, UserCheck, Briefcase, GraduationCap, Calendar, Upload, Eye, EyeOff, X, Shield } from 'lucide-react'
@@ -7,7 +6,8 @@ import jjlogo from '../assets/jjlogo.png'
 import { storeTokens } from '../lib/tokenManager'
 import { signInWithPopup } from 'firebase/auth'
 import { auth, googleProvider } from '../lib/firebase'
-import { API_BASE_URL, getUserEmailProfile } from '../lib/api'
+import { getUserEmailProfile } from '../lib/api'
+import { http, HttpError, NetworkError } from '../lib/httpClient'
 
 // Custom CSS for range sliders
 const sliderStyles = `
@@ -38,12 +38,6 @@ const sliderStyles = `
   }
 `
 
-// Create axios instance with default config
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 10000,
-})
-
 function Register() {
   const { register, handleSubmit, watch, formState: { errors } } = useForm()
   const navigate = useNavigate()
@@ -188,9 +182,9 @@ function Register() {
         })
       }
 
-      const response = await api.post(url, formData)
+      const result = await http.post(url, formData, { auth: false, errorMessage: 'Registration failed' })
 
-      console.log('Registration successful:', response.data)
+      console.log('Registration successful:', result)
       
       // Always show OTP popup after successful registration
       setRegisteredEmail(data.email)
@@ -201,24 +195,24 @@ function Register() {
       
       let errorMessage = 'Registration failed'
       
-      if (error.response) {
+      if (error instanceof HttpError && error.details) {
         // Server responded with error status
-        console.error('Server error response:', error.response.data)
+        console.error('Server error response:', error.details)
         
-        if (error.response.data.detail) {
-          errorMessage = error.response.data.detail
-        } else if (typeof error.response.data === 'object') {
+        if (error.details.detail) {
+          errorMessage = error.details.detail
+        } else if (typeof error.details === 'object') {
           // Handle field errors
-          const fieldErrors = Object.entries(error.response.data)
+          const fieldErrors = Object.entries(error.details)
             .map(([field, messages]) => `${field}: ${Array.isArray(messages) ? messages.join(', ') : messages}`)
             .join('\n')
           errorMessage = fieldErrors
         } else {
-          errorMessage = error.response.data
+          errorMessage = error.details
         }
-      } else if (error.request) {
+      } else if (error instanceof NetworkError) {
         // Request was made but no response received
-        console.error('No response received:', error.request)
+        console.error('No response received:', error.cause)
         errorMessage = 'Cannot connect to server. Please make sure the backend is running.'
       } else {
         // Other errors
@@ -250,19 +244,19 @@ function Register() {
         email_otp: otp
       }
 
-      const response = await api.post(url, payload)
+      const data = await http.post(url, payload, { auth: false, errorMessage: 'OTP verification failed' })
 
-      console.log('OTP verification successful:', response.data)
+      console.log('OTP verification successful:', data)
       alert('Account verified successfully!')
       
       // Store tokens and user data if provided after OTP verification
-      if (response.data.access && response.data.refresh) {
-        storeTokens(response.data.access, response.data.refresh, response.data.user)
+      if (data?.access && data.refresh) {
+        storeTokens(data.access, data.refresh, data.user)
         
         // Check if profile is incomplete
-        if (response.data.user) {
+        if (data.user) {
           const requiredFields = ['first_name', 'last_name', 'birthdate', 'gender', 'height', 'weight', 'blood_group'];
-          const missingFields = requiredFields.filter(field => !response.data.user[field] || response.data.user[field] === '');
+          const missingFields = requiredFields.filter(field => !data.user[field] || data.user[field] === '');
           
           // If more than half the fields are missing, set flag to show profile form
           if (missingFields.length > 3) {
@@ -283,16 +277,16 @@ function Register() {
       
       let errorMessage = 'OTP verification failed'
       
-      if (error.response && error.response.data) {
-        if (error.response.data.detail) {
-          errorMessage = error.response.data.detail
-        } else if (typeof error.response.data === 'object') {
-          const fieldErrors = Object.entries(error.response.data)
+      if (error instanceof HttpError && error.details) {
+        if (error.details.detail) {
+          errorMessage = error.details.detail
+        } else if (typeof error.details === 'object') {
+          const fieldErrors = Object.entries(error.details)
             .map(([field, messages]) => `${field}: ${Array.isArray(messages) ? messages.join(', ') : messages}`)
             .join('\n')
           errorMessage = fieldErrors
         } else {
-          errorMessage = error.response.data
+          errorMessage = error.details
         }
       }
       
@@ -314,24 +308,12 @@ function Register() {
       
       // Send to your backend (same as login page)
       const apiUrl = type === 'individual' 
-        ? `${API_BASE_URL}/api/firebase-login/`
-        : `${API_BASE_URL}/api/ins/firebase-login/`
-      
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          id_token: idToken
-        })
-      })
-      
-      if (!response.ok) {
-        throw new Error(`Google login failed with status: ${response.status}`)
-      }
+        ? '/api/firebase-login/'
+        : '/api/ins/firebase-login/'
       
-      const data = await response.json()
+      const data = await http.post(apiUrl, {
+        id_token: idToken
+      }, { auth: false, errorMessage: 'Google login failed' })
       console.log('Google login successful:', data)
       
       // Store tokens and user data
@@ -1,16 +1,27 @@
 import React, { useState, useEffect, useCallback, useMemo, memo } from 'react';
 import {
   LayoutDashboard, Users, Activity, BarChart3, FileText,
-  Bell, Smartphone, Settings, LogOut, Menu, ChevronDown, RefreshCw, Moon, Sun
+  Bell, Megaphone, Smartphone, Settings, LogOut, Menu, ChevronDown, RefreshCw, Moon, Sun
 } from 'lucide-react';
 import OverviewTab from '../institution/Overview';
 import AdminMembersTab from './Members';
 import VitalsTab from './Vitals';
+import AdminDevicesTab from './Devices';
+import AdminSettingsTab from './Settings';
+import AdminCampaignsTab from './Campaigns';
 import AnalyticsTab from '../institution/Analytics';
 import ReportsTab from '../institution/Reports';
 import AlertsTab from '../institution/Alerts';
 import PlaceholderTab from '../institution/Placeholder';
-import { getUserData, clearTokens, authenticatedFetch } from '../../lib/tokenManager';
+import useAdminUserDirectory from '../../hooks/useAdminUserDirectory';
+import useAdminDeviceInventory from '../../hooks/useAdminDeviceInventory';
+import usePlatformSettings from '../../hooks/usePlatformSettings';
+import useNotificationCampaigns from '../../hooks/useNotificationCampaigns';
+import useAdminAlerts from '../../hooks/useAdminAlerts';
+import { DEFAULT_THRESHOLDS } from '../../utils/alertThresholds';
+import { getUserData, clearTokens } from '../../lib/tokenManager';
+import { http } from '../../lib/httpClient';
+import { API_BASE_URL } from '../../config/api';
 import { logoutUser } from '../../lib/api';
 import jjlogo from '../../assets/jjlogo.png';
 
@@ -22,10 +33,14 @@ const NAV = [
   { id: 'reports', label: 'Reports', icon: FileText },
   { id: 'alerts', label: 'Alerts', icon: Bell, badge: 4 },
   null,
+  { id: 'campaigns', label: 'Campaigns', icon: Megaphone },
   { id: 'devices', label: 'Devices', icon: Smartphone },
   { id: 'settings', label: 'Settings', icon: Settings },
 ];
 
+// Until the admin picks an interval in the Members tab
+const DEFAULT_DIRECTORY_REFRESH_MS = 60000;
+
 const HeaderDateLine = memo(function HeaderDateLine() {
   const [now, setNow] = useState(() => new Date());
   useEffect(() => {
@@ -84,81 +99,56 @@ export default function AdminDashboard() {
   const [members, setMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [thresholds, setThresholds] = useState({
-    hrMax: 120,
-    hrMin: 50,
-    spo2Warning: 92,
-    spo2Critical: 90,
-    tempMax: 38.5,
-    inactivityHours: 12,
-  });
-  const [alerts, setAlerts] = useState([]);
 
   // All registered users (doctors + patients) for the admin user directory —
   // separate from `members`, which is institution-scoped vitals data used by
-  // Overview/Analytics/Reports/Alerts.
-  const [allUsers, setAllUsers] = useState([]);
-  const [usersLoading, setUsersLoading] = useState(true);
-  const [usersError, setUsersError] = useState(null);
-
-  // `background` distinguishes the silent 15s auto-refresh from the initial
-  // load / manual refresh click — a background poll swaps `allUsers` in
-  // place once the new data arrives instead of toggling `usersLoading`,
-  // which would otherwise unmount the whole members table into a spinner
-  // every 15 seconds.
-  const fetchAllUsers = useCallback(async (background = false) => {
-    try {
-      if (!background) {
-        setUsersLoading(true);
-        setUsersError(null);
-      }
-      const res = await authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/users/');
-      if (!res.ok) throw new Error('Failed to fetch users');
-      const json = await res.json();
-      const usersList = Array.isArray(json) ? json : (json.data || json.results || []);
-
-      const usersWithVitals = await Promise.all(usersList.map(async (u) => {
-        try {
-          const vitalsRes = await authenticatedFetch(`https://jeewanjyoti-backend.smart.org.np/api/latest_data_user/?user_id=${u.id}`);
-          if (vitalsRes.ok) {
-            u.vitals = await vitalsRes.json();
-          }
-        } catch (e) {
-          console.error('Vitals load error for user:', u.id, e);
-        }
-        return u;
-      }));
-
-      setAllUsers(usersWithVitals);
-    } catch (err) {
-      console.error(err);
-      if (!background) setUsersError('Could not load users.');
-    } finally {
-      if (!background) setUsersLoading(false);
-    }
+  // Overview/Analytics/Reports/Alerts. Only the page on screen is loaded.
+  const [directoryRefreshMs, setDirectoryRefreshMsState] = useState(() => {
+    const saved = localStorage.getItem('adminDirectoryRefreshMs');
+    return saved === null ? DEFAULT_DIRECTORY_REFRESH_MS : Number(saved) || 0;
+  });
+  const setDirectoryRefreshMs = useCallback((ms) => {
+    setDirectoryRefreshMsState(ms);
+    localStorage.setItem('adminDirectoryRefreshMs', String(ms));
   }, []);
+  const {
+    users: allUsers, count: usersCount, page: usersPage, pageCount: usersPageCount, setPage: setUsersPage,
+    filters: userFilters, setFilter: setUserFilter, clearFilters: clearUserFilters,
+    loading: usersLoading, error: usersError, refresh: refreshUsers,
+  } = useAdminUserDirectory({ enabled: isAdminAccount, refreshMs: directoryRefreshMs });
 
-  useEffect(() => {
-    if (!isAdminAccount) return;
-    fetchAllUsers();
-    const interval = setInterval(() => fetchAllUsers(true), 15000);
-    return () => clearInterval(interval);
-  }, [fetchAllUsers, isAdminAccount]);
+  const {
+    devices: inventory, loading: inventoryLoading, error: inventoryError, failed: inventoryFailed, refresh: refreshInventory,
+  } = useAdminDeviceInventory({ enabled: isAdminAccount && activeTab === 'devices' });
+  const {
+    settings: platformSettings, loading: platformSettingsLoading, error: platformSettingsError, save: savePlatformSettings,
+  } = usePlatformSettings({ enabled: isAdminAccount });
+  const {
+    campaigns, count: campaignsCount, hasMore: hasMoreCampaigns, loading: campaignsLoading, error: campaignsError,
+    loadMore: loadMoreCampaigns, refresh: refreshCampaigns, create: createCampaign, cancel: cancelCampaign, resend: resendCampaign,
+  } = useNotificationCampaigns({ enabled: isAdminAccount && activeTab === 'campaigns' });
+
+  // Alerts are raised by the server's scan of every user against the platform's
+  // default thresholds, so saving thresholds here changes what that scan uses
+  const {
+    alerts, loading: alertsLoading, error: alertsError, refresh: refreshAlerts, acknowledge: acknowledgeAlert, resolve: resolveAlert,
+  } = useAdminAlerts({ enabled: isAdminAccount });
+  const defaultThresholds = platformSettings?.default_thresholds;
+  const thresholds = useMemo(() => ({ ...DEFAULT_THRESHOLDS, ...defaultThresholds }), [defaultThresholds]);
+  const saveThresholds = useCallback(async (values) => {
+    await savePlatformSettings({ default_thresholds: values });
+    refreshAlerts();
+  }, [savePlatformSettings, refreshAlerts]);
 
   const fetchMembers = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const res = await authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/instutionmember/');
-      if (!res.ok) throw new Error('Failed to fetch members');
-      const json = await res.json();
+      const json = await http.get('/api/instutionmember/', { errorMessage: 'Failed to fetch members' });
       const membersList = json.data || [];
       const membersWithVitals = await Promise.all(membersList.map(async (m) => {
         try {
-          const vitalsRes = await authenticatedFetch(`https://jeewanjyoti-backend.smart.org.np/api/latest_data/?user_id=${m.user_id}`);
-          if (vitalsRes.ok) {
-            m.vitals = await vitalsRes.json();
-          }
+          m.vitals = await http.get('/api/latest_data/', { params: { user_id: m.user_id } });
         } catch (e) {
           console.error('Vitals load error for member:', m.user_id, e);
         }
@@ -178,45 +168,6 @@ export default function AdminDashboard() {
     fetchMembers();
   }, [fetchMembers, isAdminAccount]);
 
-  // Scan allUsers (all doctors + patients system-wide), not the institution-scoped
-  // `members` list — admin accounts aren't tied to an institution, so `members`
-  // is always empty and alerts would never generate from it.
-  useEffect(() => {
-    if (!allUsers.length) return;
-    const scannedAlerts = [];
-    allUsers.forEach(u => {
-      if (!u.vitals) return;
-      const userName = `${u.first_name || ''} ${u.last_name || ''}`.trim() || u.email || 'Unknown User';
-      if (u.vitals.spo2?.Blood_oxygen) {
-        const spo2 = u.vitals.spo2.Blood_oxygen;
-        if (spo2 < thresholds.spo2Critical) {
-          scannedAlerts.push({ id: `spo2-crit-${u.id}`, member: userName, type: 'SpO₂ Critical', value: `${spo2}%`, time: '2 mins ago', severity: 'critical', status: 'active', node: u.email || 'User Node' });
-        } else if (spo2 < thresholds.spo2Warning) {
-          scannedAlerts.push({ id: `spo2-warn-${u.id}`, member: userName, type: 'SpO₂ Warning', value: `${spo2}%`, time: '5 mins ago', severity: 'warning', status: 'active', node: u.email || 'User Node' });
-        }
-      }
-      if (u.vitals.heartrate?.once_heart_value) {
-        const hr = u.vitals.heartrate.once_heart_value;
-        if (hr > thresholds.hrMax) {
-          scannedAlerts.push({ id: `hr-high-${u.id}`, member: userName, type: 'Elevated Heart Rate', value: `${hr} bpm`, time: '3 mins ago', severity: 'critical', status: 'active', node: u.email || 'User Node' });
-        } else if (hr < thresholds.hrMin) {
-          scannedAlerts.push({ id: `hr-low-${u.id}`, member: userName, type: 'Low Heart Rate', value: `${hr} bpm`, time: '4 mins ago', severity: 'warning', status: 'active', node: u.email || 'User Node' });
-        }
-      }
-    });
-    setAlerts(prev => {
-      const merged = [...scannedAlerts];
-      prev.forEach(p => {
-        if (p.status === 'resolved' || p.status === 'acknowledged') {
-          const idx = merged.findIndex(m => m.id === p.id);
-          if (idx !== -1) merged[idx] = { ...merged[idx], ...p };
-          else merged.push(p);
-        }
-      });
-      return merged;
-    });
-  }, [allUsers, thresholds]);
-
   const handleLogoutClick = () => {
     setShowAdminMenu(false);
     setShowLogoutConfirm(true);
@@ -252,7 +203,7 @@ export default function AdminDashboard() {
     setSelectedUserName(userName);
     setSelectedUserStatus(status);
     if (profileImage && profileImage.startsWith('/')) {
-      setSelectedUserProfileImage(`https://jeewanjyoti-backend.smart.org.np${profileImage}`);
+      setSelectedUserProfileImage(`${API_BASE_URL}${profileImage}`);
     } else {
       setSelectedUserProfileImage(profileImage);
     }
@@ -269,19 +220,49 @@ export default function AdminDashboard() {
       case 'overview':
         return <OverviewTab members={members} loading={loading} error={error} darkMode={darkMode} alerts={alerts} />;
       case 'members':
-        return <AdminMembersTab users={allUsers} loading={usersLoading} error={usersError} refreshUsers={fetchAllUsers} onViewVitals={handleViewVitals} darkMode={darkMode} />;
+        return (
+          <AdminMembersTab
+            users={allUsers} count={usersCount} page={usersPage} pageCount={usersPageCount} onPageChange={setUsersPage}
+            filters={userFilters} onFilterChange={setUserFilter} onClearFilters={clearUserFilters}
+            loading={usersLoading} error={usersError} refreshUsers={refreshUsers}
+            refreshMs={directoryRefreshMs} onRefreshMsChange={setDirectoryRefreshMs}
+            onViewVitals={handleViewVitals} darkMode={darkMode}
+          />
+        );
       case 'vitals':
         return <VitalsTab selectedUserId={selectedUserId} selectedUserInfo={selectedUserInfo} darkMode={darkMode} globalDateFilter={globalDateRange.period} globalDateRange={globalDateRange} />;
       case 'analytics':
         return <AnalyticsTab darkMode={darkMode} members={members} loading={loading} error={error} thresholds={thresholds} />;
       case 'reports':
-        return <ReportsTab darkMode={darkMode} members={members} loading={loading} error={error} />;
+        return <ReportsTab darkMode={darkMode} members={members} loading={loading} error={error} thresholds={thresholds} />;
       case 'alerts':
-        return <AlertsTab darkMode={darkMode} alerts={alerts} setAlerts={setAlerts} thresholds={thresholds} setThresholds={setThresholds} members={allUsers} />;
+        return <AlertsTab darkMode={darkMode} alerts={alerts} onAcknowledge={acknowledgeAlert} onResolve={resolveAlert} alertsLoading={alertsLoading} alertsError={alertsError} onRefreshAlerts={refreshAlerts} thresholds={thresholds} onSaveThresholds={saveThresholds} members={allUsers} />;
+      case 'campaigns':
+        return (
+          <AdminCampaignsTab
+            campaigns={campaigns} count={campaignsCount} hasMore={hasMoreCampaigns} loading={campaignsLoading} error={campaignsError}
+            onLoadMore={loadMoreCampaigns} onRefresh={refreshCampaigns} onCreate={createCampaign} onCancel={cancelCampaign} onResend={resendCampaign}
+            templates={platformSettings?.notification_templates} darkMode={darkMode}
+          />
+        );
+      case 'devices':
+        return (
+          <AdminDevicesTab
+            devices={inventory} loading={inventoryLoading} error={inventoryError} failed={inventoryFailed}
+            onRefresh={refreshInventory} onViewVitals={handleViewVitals} darkMode={darkMode}
+          />
+        );
+      case 'settings':
+        return (
+          <AdminSettingsTab
+            settings={platformSettings} loading={platformSettingsLoading} error={platformSettingsError}
+            onSave={savePlatformSettings} darkMode={darkMode}
+          />
+        );
       default:
         return <PlaceholderTab tab={activeTab} darkMode={darkMode} />;
     }
-  }, [activeTab, handleViewVitals, selectedUserId, selectedUserInfo, darkMode, globalDateRange, members, loading, error, fetchMembers, thresholds, alerts, allUsers, usersLoading, usersError, fetchAllUsers]);
+  }, [activeTab, handleViewVitals, selectedUserId, selectedUserInfo, darkMode, globalDateRange, members, loading, error, fetchMembers, thresholds, alerts, alertsLoading, alertsError, refreshAlerts, acknowledgeAlert, resolveAlert, saveThresholds, allUsers, usersCount, usersPage, usersPageCount, setUsersPage, userFilters, setUserFilter, clearUserFilters, usersLoading, usersError, refreshUsers, directoryRefreshMs, setDirectoryRefreshMs, inventory, inventoryLoading, inventoryError, inventoryFailed, refreshInventory, platformSettings, platformSettingsLoading, platformSettingsError, savePlatformSettings, campaigns, campaignsCount, hasMoreCampaigns, campaignsLoading, campaignsError, loadMoreCampaigns, refreshCampaigns, createCampaign, cancelCampaign, resendCampaign]);
 
   // Non-admin accounts get redirected to /admin by the effect above — render
   // nothing in the meantime instead of flashing the dashboard with their data.
@@ -0,0 +1,397 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, Send, CalendarClock, RefreshCw, RotateCcw, Copy, XCircle, Users, AlertCircle, Megaphone } from 'lucide-react';
+import { getAdminInstitutions, getCampaignAudience } from '../../lib/api';
+import {
+  SEGMENT_TYPES, EMPTY_SEGMENT, TITLE_MAX_LENGTH, BODY_MAX_LENGTH,
+  toSegmentPayload, validateSegment, describeSegment, getCampaignRates, fillPreview,
+} from '../../utils/notificationCampaigns';
+import jjlogo from '../../assets/jjlogo.png';
+
+const EMPTY_DRAFT = { title: '', body: '', segment: EMPTY_SEGMENT, sendAt: '' };
+
+const STATUS_STYLES = {
+  scheduled: { label: 'Scheduled', color: '#3b82f6' },
+  sending: { label: 'Sending', color: '#f59e0b' },
+  sent: { label: 'Sent', color: '#10b981' },
+  cancelled: { label: 'Cancelled', color: '#6b7280' },
+  failed: { label: 'Failed', color: '#ef4444' },
+};
+
+// Counting the audience waits until the segment stops changing
+const AUDIENCE_DEBOUNCE_MS = 400;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toLocalInputValue = (date) => (
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+);
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '—');
+
+// Campaign form values from a past campaign, for "Use as draft"
+const draftFromCampaign = (c) => ({
+  title: c.title || '',
+  body: c.body || '',
+  segment: {
+    ...EMPTY_SEGMENT,
+    ...Object.fromEntries(Object.entries(c.segment || {}).map(([key, value]) => [key, value == null ? '' : String(value)])),
+  },
+  sendAt: '',
+});
+
+function RateBar({ rate, color, darkMode }) {
+  if (rate == null) return <span style={{ color: darkMode ? '#475569' : '#d1d5db' }}>—</span>;
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, minWidth: 90 }}>
+      <div style={{ flex: 1, height: 6, borderRadius: 99, background: darkMode ? '#334155' : '#f1f5f9', overflow: 'hidden' }}>
+        <div style={{ width: `${rate}%`, height: '100%', background: color }} />
+      </div>
+      <span style={{ fontSize: 12, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a' }}>{rate}%</span>
+    </div>
+  );
+}
+
+/**
+ * Push campaigns to a segment of users (everyone, an institution, an age
+ * group, inactive users or doctors), sent now or scheduled, with a preview
+ * and the delivery and open stats of every campaign sent so far.
+ */
+export default function Campaigns({
+  campaigns = [], count = 0, hasMore = false, loading = false, error = null, templates = [],
+  onLoadMore, onRefresh, onCreate, onCancel, onResend, darkMode = false,
+}) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [scheduled, setScheduled] = useState(false);
+  const [institutions, setInstitutions] = useState([]);
+  const [audience, setAudience] = useState(null);
+  const [audienceLoading, setAudienceLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [actingId, setActingId] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const cardBg = darkMode ? '#1e293b' : '#fff';
+  const cardBorder = darkMode ? '#334155' : '#f1f5f9';
+  const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
+  const subtleBorder = darkMode ? '#334155' : '#e2e8f0';
+  const textPrimary = darkMode ? '#fff' : '#0f172a';
+  const textSecondary = darkMode ? '#94a3b8' : '#64748b';
+  const textMuted = darkMode ? '#64748b' : '#9ca3af';
+  const inputStyle = { width: '100%', padding: '10px 12px', borderRadius: 8, border: `1px solid ${subtleBorder}`, outline: 'none', fontSize: 13, background: subtleBg, color: textPrimary };
+  const labelStyle = { fontSize: 11, fontWeight: 700, color: textSecondary, marginBottom: 6, textTransform: 'uppercase', letterSpacing: '0.04em' };
+
+  const segmentError = validateSegment(draft.segment);
+  const segmentKey = JSON.stringify(toSegmentPayload(draft.segment));
+
+  useEffect(() => {
+    getAdminInstitutions()
+      .then(setInstitutions)
+      .catch(err => console.error('Failed to load institutions:', err));
+  }, []);
+
+  // Count who the segment reaches whenever it changes
+  useEffect(() => {
+    setAudience(null);
+    if (segmentError) return undefined;
+    let cancelled = false;
+    const t = setTimeout(async () => {
+      setAudienceLoading(true);
+      try {
+        const result = await getCampaignAudience(JSON.parse(segmentKey));
+        if (!cancelled) setAudience(result);
+      } catch (err) {
+        if (!cancelled) console.error('Failed to count recipients:', err);
+      } finally {
+        if (!cancelled) setAudienceLoading(false);
+      }
+    }, AUDIENCE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+  }, [segmentKey, segmentError]);
+
+  const setField = (key) => (e) => setDraft(prev => ({ ...prev, [key]: e.target.value }));
+  const setSegmentField = (key, value) => setDraft(prev => ({ ...prev, segment: { ...prev.segment, [key]: value } }));
+
+  const applyTemplate = (key) => {
+    const template = templates.find(t => t.key === key);
+    if (template) setDraft(prev => ({ ...prev, title: template.title || '', body: template.body || '' }));
+  };
+
+  const reuse = (c) => {
+    setDraft(draftFromCampaign(c));
+    setScheduled(false);
+    setFormError('');
+    setNotice('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setNotice('');
+    const title = draft.title.trim();
+    const body = draft.body.trim();
+    if (!title || !body) return setFormError('Enter a title and a message.');
+    if (segmentError) return setFormError(segmentError);
+
+    let scheduledAt = null;
+    if (scheduled) {
+      const when = new Date(draft.sendAt);
+      if (!draft.sendAt || Number.isNaN(when.getTime())) return setFormError('Choose when to send it.');
+      if (when.getTime() <= Date.now() + 60000) return setFormError('Schedule it at least a minute from now.');
+      scheduledAt = when.toISOString();
+    } else {
+      const reach = audience?.count != null ? `${audience.count.toLocaleString()} users` : describeSegment(toSegmentPayload(draft.segment), institutions).toLowerCase();
+      if (!window.confirm(`Send "${title}" to ${reach} now?`)) return;
+    }
+
+    setBusy(true);
+    setFormError('');
+    try {
+      const created = await onCreate({ title, body, segment: toSegmentPayload(draft.segment), scheduled_at: scheduledAt });
+      setDraft(EMPTY_DRAFT);
+      setScheduled(false);
+      setNotice(created?.status === 'scheduled' ? `Scheduled for ${formatDateTime(created.scheduled_at)}.` : 'Campaign is on its way.');
+    } catch (err) {
+      setFormError(err.message || 'Could not create the campaign.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const act = async (c, action, question) => {
+    if (!window.confirm(question)) return;
+    setActingId(c.id);
+    try {
+      await action(c.id);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      await onLoadMore();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const th = { padding: '12px 16px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: darkMode ? '#94a3b8' : '#6b7280', textTransform: 'uppercase', letterSpacing: '0.05em', borderBottom: `1px solid ${subtleBorder}`, whiteSpace: 'nowrap' };
+  const td = { padding: '14px 16px', fontSize: 13, color: textSecondary, verticalAlign: 'top' };
+  const iconButton = (bg) => ({ padding: 8, borderRadius: 8, background: bg, border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center' });
+
+  const previewTitle = fillPreview(draft.title.trim()) || 'Notification title';
+  const previewBody = fillPreview(draft.body.trim()) || 'Your message appears here.';
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 3fr) minmax(0, 2fr)', gap: 16 }}>
+        {/* Composer */}
+        <form onSubmit={handleSubmit} style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, padding: 24 }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginBottom: 18 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 15, fontWeight: 700, color: textPrimary }}>
+              <Megaphone size={16} color="#3b82f6" /> New campaign
+            </div>
+            {templates.length > 0 && (
+              <select value="" onChange={e => applyTemplate(e.target.value)} style={{ ...inputStyle, width: 'auto', padding: '7px 10px', fontSize: 12 }} aria-label="Start from a template">
+                <option value="">Start from a template…</option>
+                {templates.map(t => <option key={t.key} value={t.key}>{t.name || t.key}</option>)}
+              </select>
+            )}
+          </div>
+
+          <div style={labelStyle}>Message</div>
+          <input value={draft.title} onChange={setField('title')} maxLength={TITLE_MAX_LENGTH} placeholder="Title" style={{ ...inputStyle, marginBottom: 8 }} />
+          <textarea value={draft.body} onChange={setField('body')} maxLength={BODY_MAX_LENGTH} placeholder="Message" rows={3} style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }} />
+          <div style={{ fontSize: 11, color: textMuted, textAlign: 'right', marginTop: 4, marginBottom: 16 }}>
+            {draft.body.length}/{BODY_MAX_LENGTH} · {'{name}'} becomes each recipient's first name
+          </div>
+
+          <div style={labelStyle}>Audience</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 10 }}>
+            {SEGMENT_TYPES.map(s => (
+              <button key={s.id} type="button" onClick={() => setSegmentField('type', s.id)} style={{
+                padding: '7px 12px', borderRadius: 99, fontSize: 12, fontWeight: 700, cursor: 'pointer',
+                border: `1px solid ${draft.segment.type === s.id ? '#3b82f6' : subtleBorder}`,
+                background: draft.segment.type === s.id ? '#3b82f6' : 'transparent',
+                color: draft.segment.type === s.id ? '#fff' : textSecondary,
+              }}>{s.label}</button>
+            ))}
+          </div>
+          {draft.segment.type === 'institution' && (
+            <select value={draft.segment.institution_id} onChange={e => setSegmentField('institution_id', e.target.value)} style={{ ...inputStyle, marginBottom: 10 }}>
+              <option value="">Choose an institution…</option>
+              {institutions.map(i => <option key={i.id} value={i.id}>{i.name}</option>)}
+            </select>
+          )}
+          {draft.segment.type === 'age_group' && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10, fontSize: 12, color: textSecondary }}>
+              <input type="number" min={0} value={draft.segment.min_age} onChange={e => setSegmentField('min_age', e.target.value)} placeholder="Min age" style={inputStyle} />
+              <span>to</span>
+              <input type="number" min={0} value={draft.segment.max_age} onChange={e => setSegmentField('max_age', e.target.value)} placeholder="Max age" style={inputStyle} />
+            </div>
+          )}
+          {draft.segment.type === 'inactive' && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10, fontSize: 12, color: textSecondary }}>
+              <span style={{ whiteSpace: 'nowrap' }}>No activity for</span>
+              <input type="number" min={1} value={draft.segment.inactive_days} onChange={e => setSegmentField('inactive_days', e.target.value)} style={{ ...inputStyle, width: 90 }} />
+              <span>days or more</span>
+            </div>
+          )}
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: textSecondary, marginBottom: 16, minHeight: 18 }}>
+            <Users size={13} />
+            {segmentError ? segmentError
+              : audienceLoading ? 'Counting recipients…'
+                : audience ? `Reaches ${Number(audience.count || 0).toLocaleString()} users${audience.with_devices != null ? `, ${Number(audience.with_devices).toLocaleString()} with push turned on` : ''}`
+                  : describeSegment(toSegmentPayload(draft.segment), institutions)}
+          </div>
+
+          <div style={labelStyle}>When</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 16, marginBottom: 10, fontSize: 13, color: textPrimary }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+              <input type="radio" checked={!scheduled} onChange={() => setScheduled(false)} /> Send now
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+              <input type="radio" checked={scheduled} onChange={() => setScheduled(true)} /> Schedule
+            </label>
+          </div>
+          {scheduled && (
+            <input
+              type="datetime-local"
+              value={draft.sendAt}
+              min={toLocalInputValue(new Date())}
+              onChange={setField('sendAt')}
+              style={{ ...inputStyle, marginBottom: 10 }}
+            />
+          )}
+
+          {formError && <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#ef4444', margin: '6px 0 10px' }}><AlertCircle size={13} /> {formError}</div>}
+          {notice && <div style={{ fontSize: 12, color: '#10b981', fontWeight: 600, margin: '6px 0 10px' }}>{notice}</div>}
+
+          <button type="submit" disabled={busy} style={{
+            width: '100%', marginTop: 6, padding: 12, borderRadius: 10, border: 'none', background: '#3b82f6', color: '#fff',
+            fontSize: 13, fontWeight: 700, cursor: busy ? 'not-allowed' : 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
+          }}>
+            {busy ? <Loader size={14} className="animate-spin" /> : scheduled ? <CalendarClock size={14} /> : <Send size={14} />}
+            {scheduled ? 'Schedule campaign' : 'Send campaign'}
+          </button>
+        </form>
+
+        {/* Preview */}
+        <div style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, padding: 24 }}>
+          <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary, marginBottom: 4 }}>Preview</div>
+          <div style={{ fontSize: 12, color: textSecondary, marginBottom: 18 }}>How the notification shows on a phone, with example values.</div>
+          <div style={{ background: darkMode ? '#0f172a' : '#e2e8f0', borderRadius: 24, padding: '28px 14px' }}>
+            <div style={{ background: darkMode ? '#1e293bee' : '#ffffffee', borderRadius: 16, padding: 14, boxShadow: '0 4px 14px rgba(0,0,0,0.12)' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+                <img src={jjlogo} alt="" style={{ width: 18, height: 18, borderRadius: 5, objectFit: 'contain' }} />
+                <span style={{ fontSize: 11, fontWeight: 700, color: textSecondary, textTransform: 'uppercase', letterSpacing: '0.04em' }}>Digital Care</span>
+                <span style={{ fontSize: 11, color: textMuted, marginLeft: 'auto' }}>
+                  {scheduled && draft.sendAt ? formatDateTime(draft.sendAt) : 'now'}
+                </span>
+              </div>
+              <div style={{ fontSize: 14, fontWeight: 700, color: textPrimary, marginBottom: 2, wordBreak: 'break-word' }}>{previewTitle}</div>
+              <div style={{ fontSize: 13, color: textSecondary, lineHeight: 1.45, wordBreak: 'break-word' }}>{previewBody}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* History */}
+      <div style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, overflow: 'hidden' }}>
+        <div style={{ padding: '20px 24px', borderBottom: `1px solid ${cardBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12 }}>
+          <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>Campaign history ({count})</div>
+          {onRefresh && (
+            <button onClick={onRefresh} title="Refresh" style={{ width: 36, height: 36, borderRadius: 10, background: subtleBg, border: `1px solid ${subtleBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer' }}>
+              <RefreshCw size={14} color={textSecondary} />
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div style={{ padding: 60, display: 'flex', justifyContent: 'center' }}>
+            <Loader className="animate-spin" size={30} color="#3b82f6" />
+          </div>
+        ) : error ? (
+          <div style={{ padding: 60, textAlign: 'center', color: '#ef4444', fontSize: 14, fontWeight: 500 }}>{error}</div>
+        ) : campaigns.length === 0 ? (
+          <div style={{ padding: 60, textAlign: 'center', color: textSecondary, fontSize: 14 }}>No campaigns yet.</div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: subtleBg }}>
+                  {['Campaign', 'Audience', 'Status', 'Recipients', 'Delivered', 'Opened', 'Actions'].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {campaigns.map(c => {
+                  const status = STATUS_STYLES[c.status] || { label: c.status, color: '#6b7280' };
+                  const { deliveredRate, openRate } = getCampaignRates(c);
+                  const acting = actingId === c.id;
+                  return (
+                    <tr key={c.id} style={{ borderBottom: `1px solid ${cardBorder}` }}>
+                      <td style={{ ...td, maxWidth: 320 }}>
+                        <div style={{ fontWeight: 700, color: textPrimary }}>{c.title}</div>
+                        <div style={{ fontSize: 12, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={c.body}>{c.body}</div>
+                        <div style={{ fontSize: 11, color: textMuted, marginTop: 4 }}>
+                          {c.created_by_name ? `${c.created_by_name} · ` : ''}{c.resent_from ? 'Resent · ' : ''}created {formatDateTime(c.created_at)}
+                        </div>
+                      </td>
+                      <td style={td}>{describeSegment(c.segment, institutions)}</td>
+                      <td style={td}>
+                        <span style={{ fontSize: 11, fontWeight: 700, padding: '3px 10px', borderRadius: 99, color: status.color, background: `${status.color}18`, whiteSpace: 'nowrap' }}>
+                          {status.label}
+                        </span>
+                        <div style={{ fontSize: 11, color: textMuted, marginTop: 6, whiteSpace: 'nowrap' }}>
+                          {c.status === 'scheduled' ? formatDateTime(c.scheduled_at) : formatDateTime(c.sent_at)}
+                        </div>
+                      </td>
+                      <td style={td}>
+                        <span style={{ fontWeight: 700, color: textPrimary }}>{c.recipients != null ? Number(c.recipients).toLocaleString() : '—'}</span>
+                        {Number(c.failed) > 0 && <div style={{ fontSize: 11, color: '#ef4444', marginTop: 4 }}>{Number(c.failed).toLocaleString()} failed</div>}
+                      </td>
+                      <td style={td}><RateBar rate={deliveredRate} color="#10b981" darkMode={darkMode} /></td>
+                      <td style={td}><RateBar rate={openRate} color="#8b5cf6" darkMode={darkMode} /></td>
+                      <td style={td}>
+                        <div style={{ display: 'flex', gap: 8 }}>
+                          {c.status === 'scheduled' && (
+                            <button onClick={() => act(c, onCancel, `Cancel "${c.title}"? It won't be sent.`)} disabled={acting} title="Cancel" style={iconButton(darkMode ? '#7f1d1d20' : '#fef2f2')}>
+                              {acting ? <Loader size={14} className="animate-spin" color="#ef4444" /> : <XCircle size={14} color="#ef4444" />}
+                            </button>
+                          )}
+                          {(c.status === 'sent' || c.status === 'failed') && (
+                            <button onClick={() => act(c, onResend, `Send "${c.title}" again to ${describeSegment(c.segment, institutions).toLowerCase()} now?`)} disabled={acting} title="Resend now" style={iconButton(darkMode ? '#1d4ed820' : '#eff6ff')}>
+                              {acting ? <Loader size={14} className="animate-spin" color="#3b82f6" /> : <RotateCcw size={14} color="#3b82f6" />}
+                            </button>
+                          )}
+                          <button onClick={() => reuse(c)} title="Use as draft" style={iconButton(darkMode ? '#4c1d9520' : '#f5f3ff')}>
+                            <Copy size={14} color="#8b5cf6" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {hasMore && !loading && !error && onLoadMore && (
+          <div style={{ padding: 14, display: 'flex', justifyContent: 'center', borderTop: `1px solid ${cardBorder}` }}>
+            <button onClick={handleLoadMore} disabled={loadingMore} style={{ background: 'none', border: 'none', color: '#3b82f6', fontSize: 12, fontWeight: 700, cursor: loadingMore ? 'wait' : 'pointer' }}>
+              {loadingMore ? 'Loading…' : 'Load older campaigns'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
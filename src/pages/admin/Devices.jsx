@@ -0,0 +1,212 @@
+import React, { useState, useMemo } from 'react';
+import { Search, Loader, Wifi, WifiOff, Watch, BellRing, RefreshCw, AlertCircle, Eye } from 'lucide-react';
+import { PUSH_STALE_AFTER_DAYS } from '../../hooks/useAdminDeviceInventory';
+import { DEVICE_OFFLINE_AFTER_MINUTES } from '../../utils/deviceHealth';
+import { formatRelativeTime } from '../../utils/relativeTime';
+
+const KIND_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'push', label: 'Push' },
+  { id: 'wearable', label: 'Wearables' },
+];
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'Any status' },
+  { id: 'online', label: 'Active' },
+  { id: 'offline', label: 'Inactive' },
+  { id: 'unowned', label: 'No owner' },
+];
+
+/**
+ * Platform-wide device inventory: every FCM push registration and every
+ * wearable, with its owner, platform and when it was last seen.
+ */
+export default function AdminDevices({
+  devices = [], loading = false, error = null, failed = [], onRefresh, onViewVitals, darkMode = false,
+}) {
+  const [search, setSearch] = useState('');
+  const [kind, setKind] = useState('all');
+  const [status, setStatus] = useState('all');
+  const [platform, setPlatform] = useState('');
+
+  const cardBg = darkMode ? '#1e293b' : '#fff';
+  const cardBorder = darkMode ? '#334155' : '#f1f5f9';
+  const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
+  const subtleBorder = darkMode ? '#334155' : '#e2e8f0';
+  const textPrimary = darkMode ? '#fff' : '#0f172a';
+  const textSecondary = darkMode ? '#94a3b8' : '#475569';
+  const textMuted = darkMode ? '#64748b' : '#9ca3af';
+  const rowHover = darkMode ? '#0f172a' : '#f8fafc';
+
+  const counts = useMemo(() => ({
+    push: devices.filter((d) => d.kind === 'push').length,
+    wearable: devices.filter((d) => d.kind === 'wearable').length,
+    online: devices.filter((d) => d.online).length,
+    offline: devices.filter((d) => !d.online).length,
+  }), [devices]);
+
+  const platforms = useMemo(() => (
+    [...new Set(devices.filter((d) => d.kind === 'push').map((d) => d.platform))].sort()
+  ), [devices]);
+
+  const query = search.trim().toLowerCase();
+  const visible = devices.filter((d) => {
+    if (kind !== 'all' && d.kind !== kind) return false;
+    if (status === 'online' && !d.online) return false;
+    if (status === 'offline' && d.online) return false;
+    if (status === 'unowned' && d.ownerId != null) return false;
+    if (platform && d.platform !== platform) return false;
+    if (!query) return true;
+    return [d.name, d.identifier, d.ownerName, d.institution].some((v) => v?.toLowerCase().includes(query));
+  });
+
+  const th = { padding: '12px 16px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: darkMode ? '#94a3b8' : '#6b7280', textTransform: 'uppercase', letterSpacing: '0.05em', borderBottom: `1px solid ${subtleBorder}`, whiteSpace: 'nowrap' };
+  const td = { padding: '14px 16px', fontSize: 13, color: textSecondary };
+  const selectStyle = { height: 36, padding: '0 10px', background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 10, fontSize: 12, fontWeight: 600, outline: 'none', color: textPrimary, cursor: 'pointer' };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      {/* Summary */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12 }}>
+        {[
+          { label: 'Push registrations', value: counts.push, color: '#8b5cf6' },
+          { label: 'Wearables', value: counts.wearable, color: '#3b82f6' },
+          { label: 'Active', value: counts.online, color: '#10b981' },
+          { label: 'Inactive', value: counts.offline, color: '#ef4444' },
+        ].map((s) => (
+          <div key={s.label} style={{ background: cardBg, border: `1px solid ${cardBorder}`, borderRadius: 16, padding: '14px 18px' }}>
+            <div style={{ fontSize: 22, fontWeight: 800, color: s.color }}>{s.value}</div>
+            <div style={{ fontSize: 12, color: textSecondary, marginTop: 2 }}>{s.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, overflow: 'hidden' }}>
+        {/* Header */}
+        <div style={{ padding: '20px 24px', borderBottom: `1px solid ${cardBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+          <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>Device inventory ({devices.length})</div>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+            <div style={{ display: 'flex', background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 10, padding: 2 }}>
+              {KIND_FILTERS.map((f) => (
+                <button key={f.id} onClick={() => { setKind(f.id); setPlatform(''); }} style={{
+                  padding: '0 10px', height: 30, borderRadius: 8, border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600,
+                  background: kind === f.id ? '#3b82f6' : 'transparent', color: kind === f.id ? '#fff' : textSecondary,
+                }}>{f.label}</button>
+              ))}
+            </div>
+            <select value={status} onChange={e => setStatus(e.target.value)} style={selectStyle} aria-label="Status">
+              {STATUS_FILTERS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </select>
+            {kind !== 'wearable' && platforms.length > 1 && (
+              <select value={platform} onChange={e => setPlatform(e.target.value)} style={selectStyle} aria-label="Platform">
+                <option value="">All platforms</option>
+                {platforms.map((p) => <option key={p} value={p}>{p}</option>)}
+              </select>
+            )}
+            <div style={{ position: 'relative' }}>
+              <Search size={14} color={textMuted} style={{ position: 'absolute', left: 12, top: '50%', transform: 'translateY(-50%)' }} />
+              <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Device, owner or institution…" style={{
+                paddingLeft: 34, paddingRight: 14, height: 36, background: subtleBg, border: `1px solid ${subtleBorder}`,
+                borderRadius: 10, fontSize: 13, outline: 'none', color: textPrimary, width: 220
+              }} />
+            </div>
+            {onRefresh && (
+              <button onClick={onRefresh} title="Refresh" style={{ width: 36, height: 36, borderRadius: 10, background: subtleBg, border: `1px solid ${subtleBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer' }}>
+                <RefreshCw size={14} color={textSecondary} />
+              </button>
+            )}
+          </div>
+        </div>
+
+        {failed.length > 0 && !error && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '10px 24px', fontSize: 12, color: '#f59e0b', borderBottom: `1px solid ${cardBorder}` }}>
+            <AlertCircle size={13} /> Could not load {failed.join(' and ')}; showing the rest.
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ padding: 60, display: 'flex', justifyContent: 'center' }}>
+            <Loader className="animate-spin" size={30} color="#3b82f6" />
+          </div>
+        ) : error ? (
+          <div style={{ padding: 60, textAlign: 'center', color: '#ef4444', fontSize: 14, fontWeight: 500 }}>{error}</div>
+        ) : visible.length === 0 ? (
+          <div style={{ padding: 60, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
+            {devices.length ? 'No devices match these filters.' : 'No devices registered yet.'}
+          </div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: subtleBg }}>
+                  {['Device', 'Type', 'Platform', 'Owner', 'Status', 'Last seen', ''].map(h => (
+                    <th key={h} style={th}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((d) => {
+                  const KindIcon = d.kind === 'push' ? BellRing : Watch;
+                  const kindColor = d.kind === 'push' ? '#8b5cf6' : '#3b82f6';
+                  return (
+                    <tr key={d.key} style={{ borderBottom: `1px solid ${cardBorder}` }}
+                      onMouseEnter={e => e.currentTarget.style.background = rowHover}
+                      onMouseLeave={e => e.currentTarget.style.background = ''}>
+                      <td style={td}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                          <div style={{ width: 38, height: 38, borderRadius: 12, background: `${kindColor}18`, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                            <KindIcon size={16} color={kindColor} />
+                          </div>
+                          <div>
+                            <div style={{ fontSize: 13, fontWeight: 700, color: textPrimary }}>{d.name}</div>
+                            {d.identifier && <div style={{ fontSize: 11, color: textMuted }}>{d.identifier}</div>}
+                          </div>
+                        </div>
+                      </td>
+                      <td style={td}>{d.kind === 'push' ? 'Push (FCM)' : 'Wearable'}</td>
+                      <td style={{ ...td, textTransform: d.kind === 'push' ? 'capitalize' : 'none' }}>{d.platform}</td>
+                      <td style={td}>
+                        {d.ownerName || d.ownerId != null ? (
+                          <div>
+                            <div style={{ fontWeight: 600, color: textPrimary }}>{d.ownerName || `User #${d.ownerId}`}</div>
+                            {d.institution && <div style={{ fontSize: 11, color: textMuted }}>{d.institution}</div>}
+                          </div>
+                        ) : <span style={{ color: textMuted }}>No owner</span>}
+                      </td>
+                      <td style={td}>
+                        <span
+                          title={d.kind === 'push' ? `Inactive after ${PUSH_STALE_AFTER_DAYS} days unseen` : `Inactive after ${DEVICE_OFFLINE_AFTER_MINUTES} min without a sync`}
+                          style={{
+                            display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 700, padding: '3px 10px', borderRadius: 99,
+                            background: d.online ? (darkMode ? '#064e3b' : '#d1fae5') : (darkMode ? '#334155' : '#f1f5f9'),
+                            color: d.online ? (darkMode ? '#6ee7b7' : '#065f46') : (darkMode ? '#94a3b8' : '#6b7280'),
+                          }}>
+                          {d.online ? <Wifi size={11} /> : <WifiOff size={11} />}
+                          {d.online ? 'Active' : d.lastSeen ? 'Inactive' : 'Never seen'}
+                        </span>
+                        {d.battery != null && <div style={{ fontSize: 11, color: textMuted, marginTop: 4 }}>Battery {d.battery}%</div>}
+                      </td>
+                      <td style={td} title={d.lastSeen ? d.lastSeen.toLocaleString() : ''}>
+                        {d.lastSeen ? formatRelativeTime(d.lastSeen) : '—'}
+                      </td>
+                      <td style={td}>
+                        {onViewVitals && d.ownerId != null && (
+                          <button
+                            onClick={() => onViewVitals(d.ownerId, d.ownerName || `User #${d.ownerId}`, null, null)}
+                            title="View owner's vitals"
+                            style={{ padding: 8, borderRadius: 8, background: darkMode ? '#4c1d9520' : '#f5f3ff', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center' }}>
+                            <Eye size={14} color="#8b5cf6" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Search, Loader, X, Stethoscope, User as UserIcon, Phone, Droplet, Calendar,
   Ruler, Weight, Award, Building2, GraduationCap, RefreshCw,
   Heart, Droplets, Activity, Moon, Zap, BatteryFull, BatteryLow, BatteryWarning,
-  Pencil, Trash2, Eye, AlertTriangle, Bell, Send,
+  Pencil, Trash2, Eye, AlertTriangle, Bell, Send, ChevronLeft, ChevronRight,
 } from 'lucide-react';
-import { authenticatedFetch } from '../../lib/tokenManager';
-import { updateProfile, createAdminNotification } from '../../lib/api';
+import { API_BASE_URL } from '../../config/api';
+import { updateProfile, createAdminNotification, deleteAccount, getAdminInstitutions } from '../../lib/api';
+import { DIRECTORY_REFRESH_OPTIONS, LAST_ACTIVE_FILTERS, EMPTY_DIRECTORY_FILTERS } from '../../hooks/useAdminUserDirectory';
 
 const GENDER_OPTIONS = [
   { value: '', label: 'Select…' },
@@ -74,15 +75,6 @@ function userHasFlaggedVital(u) {
   return false;
 }
 
-function latestVitalTimestamp(u) {
-  const v = u.vitals;
-  if (!v) return 0;
-  const dates = [v.heartrate?.date, v.spo2?.date, v.bloodpressure?.date, v.sleep?.date, v.hrv_iso?.date, v.battery?.timestamp]
-    .map(d => (d ? new Date(d).getTime() : NaN))
-    .filter(t => !Number.isNaN(t));
-  return dates.length ? Math.max(...dates) : 0;
-}
-
 function RoleBadge({ role, darkMode }) {
   const s = ROLE_STYLES[role] || { label: role || 'Unknown', bg: '#f1f5f9', darkBg: '#33415580', color: '#475569', darkColor: '#94a3b8', icon: UserIcon };
   const Icon = s.icon;
@@ -129,13 +121,25 @@ function formatTimeShort(dateString) {
 
 function resolveImageUrl(url) {
   if (!url) return null;
-  if (url.startsWith('/')) return `https://jeewanjyoti-backend.smart.org.np${url}`;
+  if (url.startsWith('/')) return `${API_BASE_URL}${url}`;
   return url;
 }
 
-export default function AdminMembers({ users = [], loading = false, error = null, refreshUsers, onViewVitals, darkMode = false }) {
-  const [search, setSearch] = useState('');
-  const [roleFilter, setRoleFilter] = useState('all');
+const ROLE_FILTERS = [
+  { id: '', label: 'All' },
+  { id: 'DOCTOR', label: 'Doctors' },
+  { id: 'USER', label: 'Patients' },
+];
+
+/**
+ * Admin user directory. Filtering and paging happen on the server (see
+ * useAdminUserDirectory); `users` is only the page on screen.
+ */
+export default function AdminMembers({
+  users = [], count = 0, page = 1, pageCount = 1, onPageChange, filters = EMPTY_DIRECTORY_FILTERS, onFilterChange, onClearFilters,
+  loading = false, error = null, refreshUsers, refreshMs = 0, onRefreshMsChange, onViewVitals, darkMode = false,
+}) {
+  const [institutions, setInstitutions] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [deletingId, setDeletingId] = useState(null);
 
@@ -162,6 +166,12 @@ export default function AdminMembers({ users = [], loading = false, error = null
   const rowHover = darkMode ? '#0f172a' : '#f8fafc';
   const inputStyle = getInputStyle(darkMode);
 
+  useEffect(() => {
+    getAdminInstitutions()
+      .then(setInstitutions)
+      .catch(err => console.error('Failed to load institutions:', err));
+  }, []);
+
   const openDetail = (u) => {
     setSelectedUser(u);
     setNotifyForm({ title: '', body: '' });
@@ -238,15 +248,7 @@ export default function AdminMembers({ users = [], loading = false, error = null
     if (!window.confirm(`Are you sure you want to delete ${name}? This cannot be undone.`)) return;
     try {
       setDeletingId(u.id);
-      const res = await authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/delete-account/', {
-        method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id: u.id }),
-      });
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || errData.message || 'Failed to delete user.');
-      }
+      await deleteAccount(u.id);
       if (refreshUsers) refreshUsers();
     } catch (err) {
       alert(err.message);
@@ -255,46 +257,57 @@ export default function AdminMembers({ users = [], loading = false, error = null
     }
   };
 
-  const filtered = users.filter(u => {
-    const name = `${u.first_name || ''} ${u.last_name || ''}`.trim();
-    const matchesSearch = !search ||
-      name.toLowerCase().includes(search.toLowerCase()) ||
-      u.email?.toLowerCase().includes(search.toLowerCase());
-    const matchesRole = roleFilter === 'all' || u.role === roleFilter;
-    return matchesSearch && matchesRole;
-  }).sort((a, b) => latestVitalTimestamp(b) - latestVitalTimestamp(a));
-
-  const doctorCount = users.filter(u => u.role === 'DOCTOR').length;
-  const patientCount = users.filter(u => u.role === 'USER').length;
+  const hasFilters = Object.values(filters).some(Boolean);
+  const selectStyle = {
+    height: 36, padding: '0 10px', background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 10,
+    fontSize: 12, fontWeight: 600, outline: 'none', color: textPrimary, cursor: 'pointer'
+  };
+  const pageButtonStyle = (disabled) => ({
+    width: 32, height: 32, borderRadius: 8, background: subtleBg, border: `1px solid ${subtleBorder}`, display: 'flex',
+    alignItems: 'center', justifyContent: 'center', cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.4 : 1
+  });
 
   return (
     <div style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, overflow: 'hidden', position: 'relative' }}>
       {/* Header */}
       <div style={{ padding: '20px 24px', borderBottom: `1px solid ${cardBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
-        <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>All Users ({users.length})</div>
+        <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>All Users ({count})</div>
         <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
           <div style={{ display: 'flex', background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 10, padding: 3 }}>
-            {[
-              { id: 'all', label: `All (${users.length})` },
-              { id: 'DOCTOR', label: `Doctors (${doctorCount})` },
-              { id: 'USER', label: `Patients (${patientCount})` },
-            ].map(t => (
-              <button key={t.id} onClick={() => setRoleFilter(t.id)} style={{
+            {ROLE_FILTERS.map(t => (
+              <button key={t.id} onClick={() => onFilterChange('role', t.id)} style={{
                 padding: '6px 12px', borderRadius: 8, border: 'none', cursor: 'pointer',
                 fontSize: 12, fontWeight: 700,
-                background: roleFilter === t.id ? '#3b82f6' : 'transparent',
-                color: roleFilter === t.id ? '#fff' : textSecondary,
+                background: filters.role === t.id ? '#3b82f6' : 'transparent',
+                color: filters.role === t.id ? '#fff' : textSecondary,
                 transition: 'background 0.15s'
               }}>{t.label}</button>
             ))}
           </div>
+          <select value={filters.institutionId} onChange={e => onFilterChange('institutionId', e.target.value)} style={selectStyle} aria-label="Institution">
+            <option value="">All institutions</option>
+            {institutions.map(i => <option key={i.id} value={i.id}>{i.name}</option>)}
+          </select>
+          <select value={filters.lastActive} onChange={e => onFilterChange('lastActive', e.target.value)} style={selectStyle} aria-label="Last active">
+            {LAST_ACTIVE_FILTERS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
           <div style={{ position: 'relative' }}>
             <Search size={14} color={textMuted} style={{ position: 'absolute', left: 12, top: '50%', transform: 'translateY(-50%)' }} />
-            <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search users…" style={{
+            <input value={filters.search} onChange={e => onFilterChange('search', e.target.value)} placeholder="Search name or email…" style={{
               paddingLeft: 34, paddingRight: 14, height: 36, background: subtleBg, border: `1px solid ${subtleBorder}`,
               borderRadius: 10, fontSize: 13, outline: 'none', color: textPrimary, width: 220
             }} />
           </div>
+          {hasFilters && onClearFilters && (
+            <button onClick={onClearFilters} style={{ background: 'none', border: 'none', color: '#3b82f6', fontSize: 12, fontWeight: 700, cursor: 'pointer' }}>
+              Clear
+            </button>
+          )}
+          {onRefreshMsChange && (
+            <select value={refreshMs} onChange={e => onRefreshMsChange(Number(e.target.value))} style={selectStyle} title="Auto-refresh" aria-label="Auto-refresh">
+              {DIRECTORY_REFRESH_OPTIONS.map(o => <option key={o.ms} value={o.ms}>{o.ms ? `Refresh every ${o.label}` : 'Auto-refresh off'}</option>)}
+            </select>
+          )}
           {refreshUsers && (
             <button onClick={refreshUsers} title="Refresh" style={{ width: 36, height: 36, borderRadius: 10, background: subtleBg, border: `1px solid ${subtleBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer' }}>
               <RefreshCw size={14} color={darkMode ? '#94a3b8' : '#6b7280'} />
@@ -446,9 +459,9 @@ export default function AdminMembers({ users = [], loading = false, error = null
         </div>
       ) : error ? (
         <div style={{ padding: 60, textAlign: 'center', color: '#ef4444', fontSize: 14, fontWeight: 500 }}>{error}</div>
-      ) : filtered.length === 0 ? (
+      ) : users.length === 0 ? (
         <div style={{ padding: 60, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
-          {search ? 'No users found matching your search.' : 'No users found.'}
+          {hasFilters ? 'No users match these filters.' : 'No users found.'}
         </div>
       ) : (
         <div style={{ overflowX: 'auto' }}>
@@ -461,7 +474,7 @@ export default function AdminMembers({ users = [], loading = false, error = null
               </tr>
             </thead>
             <tbody>
-              {filtered.map((u) => {
+              {users.map((u) => {
                 const name = `${u.first_name || ''} ${u.last_name || ''}`.trim() || 'Unknown User';
                 const image = resolveImageUrl(u.profile_image);
                 return (
@@ -493,6 +506,9 @@ export default function AdminMembers({ users = [], loading = false, error = null
                           textTransform: 'capitalize'
                         }}>{u.status || 'offline'}</span>
                       </div>
+                      {u.last_active && (
+                        <div style={{ fontSize: 10, color: textMuted, marginTop: 4 }}>Active {formatTimeShort(u.last_active)}</div>
+                      )}
                     </td>
                     <td style={{ padding: '14px 16px' }}>
                       {u.vitals?.heartrate ? (() => {
@@ -619,6 +635,22 @@ export default function AdminMembers({ users = [], loading = false, error = null
           </table>
         </div>
       )}
+
+      {!loading && !error && count > 0 && onPageChange && (
+        <div style={{ padding: '14px 24px', borderTop: `1px solid ${cardBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12 }}>
+          <div style={{ fontSize: 12, color: textSecondary }}>
+            Page {page} of {pageCount}
+          </div>
+          <div style={{ display: 'flex', gap: 6 }}>
+            <button onClick={() => onPageChange(page - 1)} disabled={page <= 1} title="Previous page" style={pageButtonStyle(page <= 1)}>
+              <ChevronLeft size={14} color={textSecondary} />
+            </button>
+            <button onClick={() => onPageChange(page + 1)} disabled={page >= pageCount} title="Next page" style={pageButtonStyle(page >= pageCount)}>
+              <ChevronRight size={14} color={textSecondary} />
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader, Search, Sliders, MessageSquare, Building2, ToggleLeft, ToggleRight, AlertCircle, Check } from 'lucide-react';
+import { DEFAULT_THRESHOLDS, THRESHOLD_FIELDS, validateThresholds } from '../../utils/alertThresholds';
+import { INSTITUTION_FEATURES, isFeatureEnabled } from '../../utils/institutionFeatures';
+import { getAdminInstitutions, updateInstitutionFeatures } from '../../lib/api';
+
+const toThresholdDraft = (values) => Object.fromEntries(
+  THRESHOLD_FIELDS.map(f => [f.key, String(values?.[f.key] ?? DEFAULT_THRESHOLDS[f.key])])
+);
+
+function Section({ icon, title, description, darkMode, children }) {
+  const Icon = icon;
+  return (
+    <div style={{ background: darkMode ? '#1e293b' : '#fff', borderRadius: 20, border: `1px solid ${darkMode ? '#334155' : '#f1f5f9'}`, padding: 24 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 4 }}>
+        <Icon size={16} color="#3b82f6" />
+        <div style={{ fontSize: 15, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a' }}>{title}</div>
+      </div>
+      <div style={{ fontSize: 12, color: darkMode ? '#94a3b8' : '#64748b', marginBottom: 18, lineHeight: 1.5 }}>{description}</div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Platform options: default alert thresholds, push notification templates and
+ * which dashboard features each institution has.
+ */
+export default function AdminSettings({ settings = null, loading = false, error = null, onSave, darkMode = false }) {
+  const [thresholdDraft, setThresholdDraft] = useState(() => toThresholdDraft(settings?.default_thresholds));
+  const [templateDrafts, setTemplateDrafts] = useState({});
+  const [saving, setSaving] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [formError, setFormError] = useState({});
+
+  const [institutions, setInstitutions] = useState([]);
+  const [institutionsLoading, setInstitutionsLoading] = useState(true);
+  const [institutionsError, setInstitutionsError] = useState(null);
+  const [institutionSearch, setInstitutionSearch] = useState('');
+  const [togglingKey, setTogglingKey] = useState(null);
+
+  const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
+  const subtleBorder = darkMode ? '#334155' : '#e2e8f0';
+  const textPrimary = darkMode ? '#fff' : '#0f172a';
+  const textSecondary = darkMode ? '#94a3b8' : '#64748b';
+  const textMuted = darkMode ? '#64748b' : '#9ca3af';
+  const inputStyle = { width: '100%', padding: '9px 12px', borderRadius: 8, border: `1px solid ${subtleBorder}`, outline: 'none', fontSize: 13, background: subtleBg, color: textPrimary };
+  const buttonStyle = (disabled) => ({
+    display: 'flex', alignItems: 'center', gap: 6, padding: '9px 16px', borderRadius: 10, border: 'none', background: '#3b82f6',
+    color: '#fff', fontSize: 12, fontWeight: 700, cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.6 : 1
+  });
+
+  // Pick up the saved thresholds once settings arrive (or after another save)
+  useEffect(() => {
+    setThresholdDraft(toThresholdDraft(settings?.default_thresholds));
+  }, [settings?.default_thresholds]);
+
+  useEffect(() => {
+    getAdminInstitutions()
+      .then(setInstitutions)
+      .catch(err => setInstitutionsError(err.message || 'Could not load institutions'))
+      .finally(() => setInstitutionsLoading(false));
+  }, []);
+
+  const templates = settings?.notification_templates || [];
+
+  const visibleInstitutions = useMemo(() => {
+    const query = institutionSearch.trim().toLowerCase();
+    return query ? institutions.filter(i => i.name?.toLowerCase().includes(query)) : institutions;
+  }, [institutions, institutionSearch]);
+
+  const run = async (key, action) => {
+    setSaving(key);
+    setSaved(null);
+    setFormError(prev => ({ ...prev, [key]: null }));
+    try {
+      await action();
+      setSaved(key);
+    } catch (err) {
+      setFormError(prev => ({ ...prev, [key]: err.message || 'Could not save.' }));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleSaveThresholds = (e) => {
+    e.preventDefault();
+    const values = Object.fromEntries(Object.entries(thresholdDraft).map(([key, value]) => [key, Number(value)]));
+    const invalid = validateThresholds(values);
+    if (invalid) {
+      setFormError(prev => ({ ...prev, thresholds: invalid }));
+      return;
+    }
+    run('thresholds', () => onSave({ default_thresholds: values }));
+  };
+
+  const discardTemplate = (key) => setTemplateDrafts(prev => {
+    const rest = { ...prev };
+    delete rest[key];
+    return rest;
+  });
+
+  const templateValue = (t) => templateDrafts[t.key] || { title: t.title || '', body: t.body || '' };
+
+  const handleSaveTemplate = (t) => {
+    const draft = templateValue(t);
+    if (!draft.title.trim() || !draft.body.trim()) {
+      setFormError(prev => ({ ...prev, [t.key]: 'A template needs a title and a message.' }));
+      return;
+    }
+    const next = templates.map(x => (x.key === t.key ? { ...x, title: draft.title.trim(), body: draft.body.trim() } : x));
+    run(t.key, async () => {
+      await onSave({ notification_templates: next });
+      discardTemplate(t.key);
+    });
+  };
+
+  const handleToggleFeature = async (institution, featureId) => {
+    const key = `${institution.id}:${featureId}`;
+    const features = { ...institution.features, [featureId]: !isFeatureEnabled(institution.features, featureId) };
+    setTogglingKey(key);
+    setInstitutions(prev => prev.map(i => (i.id === institution.id ? { ...i, features } : i)));
+    try {
+      const updated = await updateInstitutionFeatures(institution.id, features);
+      if (updated?.features) setInstitutions(prev => prev.map(i => (i.id === institution.id ? { ...i, features: updated.features } : i)));
+    } catch (err) {
+      setInstitutions(prev => prev.map(i => (i.id === institution.id ? institution : i)));
+      alert(err.message);
+    } finally {
+      setTogglingKey(null);
+    }
+  };
+
+  const statusLine = (key) => (
+    formError[key] ? (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#ef4444' }}><AlertCircle size={13} /> {formError[key]}</div>
+    ) : saved === key ? (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#10b981', fontWeight: 600 }}><Check size={13} /> Saved</div>
+    ) : null
+  );
+
+  if (loading) {
+    return (
+      <div style={{ padding: 60, display: 'flex', justifyContent: 'center' }}>
+        <Loader className="animate-spin" size={30} color="#3b82f6" />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '12px 16px', borderRadius: 14, fontSize: 13, fontWeight: 600, background: darkMode ? '#450a0a' : '#fef2f2', color: darkMode ? '#fca5a5' : '#b91c1c' }}>
+          <AlertCircle size={16} /> {error}. Showing the built-in defaults.
+        </div>
+      )}
+
+      <Section
+        icon={Sliders}
+        title="Default alert thresholds"
+        description="New institutions start with these limits, and the admin alert scan uses them. Institutions can change their own limits afterwards."
+        darkMode={darkMode}
+      >
+        <form onSubmit={handleSaveThresholds}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: 12, marginBottom: 16 }}>
+            {THRESHOLD_FIELDS.map(f => (
+              <label key={f.key} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: textSecondary, fontWeight: 600 }}>
+                <span style={{ flex: 1 }}>{f.label}</span>
+                <input
+                  type="number"
+                  min={f.min}
+                  max={f.max}
+                  step={f.step}
+                  value={thresholdDraft[f.key]}
+                  onChange={(e) => setThresholdDraft(prev => ({ ...prev, [f.key]: e.target.value }))}
+                  style={{ ...inputStyle, width: 80 }}
+                />
+                <span style={{ width: 40, color: textMuted }}>{f.unit}</span>
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+            <button type="submit" disabled={saving === 'thresholds' || !!error} style={buttonStyle(saving === 'thresholds' || !!error)}>
+              {saving === 'thresholds' && <Loader size={13} className="animate-spin" />} Save defaults
+            </button>
+            <button type="button" onClick={() => setThresholdDraft(toThresholdDraft(DEFAULT_THRESHOLDS))} style={{ background: 'none', border: 'none', color: '#3b82f6', fontSize: 12, fontWeight: 700, cursor: 'pointer' }}>
+              Reset to built-in values
+            </button>
+            {statusLine('thresholds')}
+          </div>
+        </form>
+      </Section>
+
+      <Section
+        icon={MessageSquare}
+        title="Notification templates"
+        description="Title and message of the push notifications the platform sends. Placeholders in braces, such as {name}, are filled in for each recipient."
+        darkMode={darkMode}
+      >
+        {templates.length === 0 ? (
+          <div style={{ fontSize: 13, color: textSecondary }}>No templates are defined on the server.</div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 14 }}>
+            {templates.map(t => {
+              const draft = templateValue(t);
+              const dirty = !!templateDrafts[t.key];
+              const setDraft = (field) => (e) => setTemplateDrafts(prev => ({ ...prev, [t.key]: { ...draft, [field]: e.target.value } }));
+              return (
+                <div key={t.key} style={{ border: `1px solid ${subtleBorder}`, borderRadius: 14, padding: 16 }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: 12, marginBottom: 10 }}>
+                    <div style={{ fontSize: 13, fontWeight: 700, color: textPrimary }}>{t.name || t.key}</div>
+                    {t.variables?.length > 0 && (
+                      <div style={{ fontSize: 11, color: textMuted }}>{t.variables.map(v => `{${v}}`).join(' ')}</div>
+                    )}
+                  </div>
+                  <input value={draft.title} onChange={setDraft('title')} placeholder="Title" maxLength={65} style={{ ...inputStyle, marginBottom: 8 }} />
+                  <textarea value={draft.body} onChange={setDraft('body')} placeholder="Message" rows={2} maxLength={240} style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit', marginBottom: 10 }} />
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                    <button onClick={() => handleSaveTemplate(t)} disabled={!dirty || saving === t.key} style={buttonStyle(!dirty || saving === t.key)}>
+                      {saving === t.key && <Loader size={13} className="animate-spin" />} Save template
+                    </button>
+                    {dirty && (
+                      <button
+                        onClick={() => discardTemplate(t.key)}
+                        style={{ background: 'none', border: 'none', color: textSecondary, fontSize: 12, fontWeight: 700, cursor: 'pointer' }}
+                      >
+                        Discard
+                      </button>
+                    )}
+                    {statusLine(t.key)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Section>
+
+      <Section
+        icon={Building2}
+        title="Institution features"
+        description="Turn dashboard features on or off for each institution. A turned-off feature disappears from that institution's sidebar the next time its staff sign in."
+        darkMode={darkMode}
+      >
+        <div style={{ position: 'relative', marginBottom: 14, maxWidth: 280 }}>
+          <Search size={14} color={textMuted} style={{ position: 'absolute', left: 12, top: '50%', transform: 'translateY(-50%)' }} />
+          <input value={institutionSearch} onChange={e => setInstitutionSearch(e.target.value)} placeholder="Search institutions…" style={{ ...inputStyle, paddingLeft: 34 }} />
+        </div>
+
+        {institutionsLoading ? (
+          <div style={{ padding: 30, display: 'flex', justifyContent: 'center' }}>
+            <Loader className="animate-spin" size={24} color="#3b82f6" />
+          </div>
+        ) : institutionsError ? (
+          <div style={{ fontSize: 13, color: '#ef4444' }}>{institutionsError}</div>
+        ) : visibleInstitutions.length === 0 ? (
+          <div style={{ fontSize: 13, color: textSecondary }}>{institutions.length ? 'No institutions match your search.' : 'No institutions registered yet.'}</div>
+        ) : (
+          <div style={{ overflowX: 'auto', border: `1px solid ${subtleBorder}`, borderRadius: 12 }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+              <thead>
+                <tr style={{ background: subtleBg, color: textSecondary, textAlign: 'left' }}>
+                  <th style={{ padding: '10px 14px', fontSize: 11, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.05em' }}>Institution</th>
+                  {INSTITUTION_FEATURES.map(f => (
+                    <th key={f.id} title={f.description} style={{ padding: '10px 14px', fontSize: 11, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.05em', whiteSpace: 'nowrap' }}>{f.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleInstitutions.map(i => (
+                  <tr key={i.id} style={{ borderTop: `1px solid ${subtleBorder}` }}>
+                    <td style={{ padding: '10px 14px' }}>
+                      <div style={{ fontSize: 13, fontWeight: 700, color: textPrimary }}>{i.name}</div>
+                      {i.institution_type && <div style={{ fontSize: 11, color: textMuted }}>{i.institution_type}</div>}
+                    </td>
+                    {INSTITUTION_FEATURES.map(f => {
+                      const on = isFeatureEnabled(i.features, f.id);
+                      const busy = togglingKey === `${i.id}:${f.id}`;
+                      const Icon = on ? ToggleRight : ToggleLeft;
+                      return (
+                        <td key={f.id} style={{ padding: '10px 14px' }}>
+                          <button
+                            onClick={() => handleToggleFeature(i, f.id)}
+                            disabled={!!togglingKey}
+                            title={`${on ? 'Turn off' : 'Turn on'} ${f.label} for ${i.name}`}
+                            aria-pressed={on}
+                            style={{ background: 'none', border: 'none', padding: 0, display: 'flex', cursor: togglingKey ? 'wait' : 'pointer', opacity: busy ? 0.5 : 1 }}
+                          >
+                            <Icon size={26} color={on ? '#10b981' : textMuted} />
+                          </button>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Section>
+    </div>
+  );
+}
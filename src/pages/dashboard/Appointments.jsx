@@ -1,14 +1,30 @@
 import ChatTab from './Chat';
 import React, { useState, useEffect, useRef } from 'react';
-import { Calendar, Clock, Plus, Video, Phone, MapPin, X, Search, Star, GraduationCap, Building, Mail, User, CreditCard, ChevronRight, Activity, Heart, Thermometer, Droplets, Brain, FileText, Pill, Camera, MessageCircle } from 'lucide-react';
-import { getDoctorList, API_BASE_URL, getUserEmailProfile } from '../../lib/api';
+import { Calendar, Clock, Plus, Video, Phone, MapPin, X, Search, Star, GraduationCap, Building, Mail, User, CreditCard, ChevronRight, Activity, Heart, Thermometer, Droplets, Brain, FileText, Pill, Camera, MessageCircle, CalendarClock, XCircle } from 'lucide-react';
+import {
+  getDoctorList, getUserEmailProfile, getAppointmentList, getMyAvailability,
+  bookAppointment, initializePayment as startKhaltiPayment, API_BASE_URL,
+} from '../../lib/api';
+import { getAccessToken } from '../../lib/tokenManager';
 import RealTimeHealthDashboard from '../../components/RealTimeHealthDashboard';
 import ECGMonitor from '../../components/ECGMonitor';
+import SlotPicker from '../../components/appointments/SlotPicker';
+import DoctorAvailability from '../../components/DoctorAvailability';
+import useDoctorSlots from '../../hooks/useDoctorSlots';
+import CancelAppointmentModal from '../../components/appointments/CancelAppointmentModal';
+import RescheduleAppointmentModal from '../../components/appointments/RescheduleAppointmentModal';
+import CalendarExportMenu from '../../components/appointments/CalendarExportMenu';
+import { getCancellationTerms, getRescheduleTerms, canRejectAppointment, CLOSED_STATUSES } from '../../utils/appointmentPolicy';
 
 // CHANGE 2: Add onSwitchToChat to component props
-const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
+// selectedUserId/permissions come from the dashboard's user picker: with a mapped user
+// selected, bookings are made for them and only if their mapping grants book_appointments.
+const AppointmentsTab = ({ darkMode, onSwitchToChat, selectedUserId = null, selectedUserName = '', permissions = null }) => {
   console.log('AppointmentsTab component rendering...', { darkMode, onSwitchToChat });
 
+  const bookingForUserId = permissions ? selectedUserId : null;
+  const canBook = !permissions || permissions.book_appointments;
+
   // CHANGE 1: Removed useNavigate import and usage
   // const navigate = useNavigate(); - DELETED
 
@@ -36,15 +52,7 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
     is_immediate: false,
     user_report: null
   });
-  const [availableSlots, setAvailableSlots] = useState([]);
   const [selectedDate, setSelectedDate] = useState('');
-  const [loadingSlots, setLoadingSlots] = useState(false);
-  const [availabilityData, setAvailabilityData] = useState({
-    available_date: '',
-    start_time: '',
-    end_time: '',
-    interval_minutes: 15
-  });
 
   // New states for data type selection
   const [showDataOptionsModal, setShowDataOptionsModal] = useState(false);
@@ -52,6 +60,8 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [showHealthDashboard, setShowHealthDashboard] = useState(false);
   const [showECGModal, setShowECGModal] = useState(false);
+  // { appointment, mode: 'cancel' | 'reject' | 'reschedule' } for the open change dialog
+  const [changeTarget, setChangeTarget] = useState(null);
 
   // Determine if current user is a doctor based on role from API
   const isDoctor = userRole && (
@@ -60,16 +70,6 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
     userRole === 'DR.'
   );
 
-  // API base URL - use environment variable or fallback to the API_BASE_URL from api.js
-  const getApiBase = () => {
-    if (import.meta.env.DEV) {
-      return '/api';
-    }
-    const base = import.meta.env.VITE_API_BASE_URL || API_BASE_URL;
-    return base.includes('/api') ? base : `${base}/api`;
-  };
-  const API_BASE = getApiBase();
-
   // Fetch user role from API on component mount
   useEffect(() => {
     const fetchUserRole = async () => {
@@ -145,11 +145,20 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
     }
   }, [showDoctorModal]);
 
+  // Free/booked state of the booking modal's slots, kept live while it is open
+  const { slots: availableSlots, loading: loadingSlots, refresh: refreshSlots } = useDoctorSlots(
+    showBookingModal ? selectedDoctor?.id : null,
+    selectedDate
+  );
+
+  // Drop the chosen slot if another patient books it first
   useEffect(() => {
-    if (selectedDoctor && selectedDate) {
-      fetchAvailableSlots(selectedDoctor.id, selectedDate);
+    const time = bookingData.appointment_time;
+    if (time && availableSlots.some(slot => slot.time === time && slot.is_booked)) {
+      setBookingData(prev => ({ ...prev, appointment_time: '' }));
+      setError('That slot was just booked by someone else. Please pick another.');
     }
-  }, [selectedDoctor, selectedDate]);
+  }, [availableSlots, bookingData.appointment_time]);
 
   // Filter doctors based on search term and filter type
   useEffect(() => {
@@ -186,50 +195,13 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
       setLoadingAppointments(true);
       setError(null);
 
-      const token = localStorage.getItem('access_token');
-      console.log('Token available:', !!token);
-
-      if (!token) {
+      if (!getAccessToken()) {
         setError('Please log in to view appointments');
         setLoadingAppointments(false);
         return;
       }
 
-      const base = API_BASE.endsWith('/') ? API_BASE.slice(0, -1) : API_BASE;
-      const endpoint = 'appointment_list/';
-      const url = `${base}/${endpoint}`;
-
-      console.log('Fetching from URL:', url);
-
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      console.log('Appointments response status:', response.status);
-
-      if (!response.ok) {
-        let errorMessage = `Failed to fetch appointments (${response.status})`;
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
-
-          if (response.status === 401 || response.status === 403) {
-            errorMessage = 'Session expired. Please log in again.';
-          }
-        } catch (parseError) {
-          console.error('Could not parse error response:', parseError);
-        }
-
-        setError(errorMessage);
-        setAppointments([]);
-        console.error('Failed to fetch appointments:', response.status, errorMessage);
-        return;
-      }
-
-      const data = await response.json();
+      const data = await getAppointmentList();
       console.log('Appointments data:', data);
 
       if (Array.isArray(data)) {
@@ -247,7 +219,9 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
       }
     } catch (err) {
       console.error('Error fetching appointments:', err);
-      const errorMessage = err.message || 'Network error. Please check your connection and try again.';
+      const errorMessage = err.status === 403
+        ? 'Session expired. Please log in again.'
+        : err.message || 'Network error. Please check your connection and try again.';
       setError(errorMessage);
       setAppointments([]);
     } finally {
@@ -271,75 +245,20 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
     }
   };
 
-  const fetchAvailableSlots = async (doctorId, date) => {
-    setLoadingSlots(true);
-    setError(null);
-    try {
-      const token = localStorage.getItem('access_token');
-      const base = API_BASE.endsWith('/') ? API_BASE.slice(0, -1) : API_BASE;
-      const url = `${base}/get_doctor_availability/${doctorId}/?date=${date}`;
-
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setAvailableSlots(data.slots || []);
-      } else {
-        setError('Failed to fetch available slots');
-        setAvailableSlots([]);
-      }
-    } catch (err) {
-      console.error('Error fetching slots:', err);
-      setError('Failed to load available slots');
-      setAvailableSlots([]);
-    } finally {
-      setLoadingSlots(false);
-    }
-  };
-
   const fetchDoctorAvailabilities = async () => {
     setLoadingAvailabilities(true);
     setError(null);
     try {
-      const token = localStorage.getItem('access_token');
-
-      if (!token) {
+      if (!getAccessToken()) {
         setError('Please log in to view availabilities');
         return;
       }
 
-      const base = API_BASE.endsWith('/') ? API_BASE.slice(0, -1) : API_BASE;
-      const url = `${base}/my_availability/`;
-
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setDoctorAvailabilities(Array.isArray(data) ? data : []);
-      } else {
-        let errorMessage = 'Failed to fetch availabilities';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
-        } catch (parseError) {
-          errorMessage = `Failed with status ${response.status}`;
-        }
-        setError(errorMessage);
-        setDoctorAvailabilities([]);
-      }
+      const data = await getMyAvailability();
+      setDoctorAvailabilities(Array.isArray(data) ? data : []);
     } catch (err) {
       console.error('Error fetching availabilities:', err);
-      setError('Failed to load availabilities');
+      setError(err.details ? err.message : 'Failed to load availabilities');
       setDoctorAvailabilities([]);
     } finally {
       setLoadingAvailabilities(false);
@@ -348,39 +267,13 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
 
   const initializePayment = async (invoiceNo) => {
     try {
-      const token = localStorage.getItem("access_token");
-      if (!token) {
+      if (!getAccessToken()) {
         setError('Please log in to proceed with payment');
         return;
       }
 
       const amount = 100;
-
-      const base = API_BASE.endsWith('/') ? API_BASE.slice(0, -1) : API_BASE;
-      const endpoint = 'initialize_payment/';
-      const url = `${base}/${endpoint}`;
-
-      const res = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ invoice_no: invoiceNo, amount }),
-      });
-
-      if (!res.ok) {
-        let errorMessage = "Payment initialization failed";
-        try {
-          const errorData = await res.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
-        } catch (parseError) {
-          errorMessage = `Payment failed with status ${res.status}`;
-        }
-        throw new Error(errorMessage);
-      }
-
-      const data = await res.json();
+      const data = await startKhaltiPayment(invoiceNo, amount);
       if (!data.pidx) {
         throw new Error("Invalid payment response from server");
       }
@@ -413,6 +306,8 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
   const handleBookAppointment = async (e) => {
     e.preventDefault();
 
+    if (!canBook) return;
+
     if (!bookingData.problem_description.trim()) {
       setError('Please provide a problem description');
       return;
@@ -427,9 +322,9 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
     setError(null);
 
     try {
-      const token = localStorage.getItem('access_token');
-      const base = API_BASE.endsWith('/') ? API_BASE.slice(0, -1) : API_BASE;
-      const url = `${base}/book_appointment/`;
+      // Re-check the slot right before booking; the list may be up to one refresh old
+      const freshSlots = await refreshSlots();
+      if (freshSlots.some(slot => slot.time === bookingData.appointment_time && slot.is_booked)) return;
 
       const requestBody = {
         doctor_id: selectedDoctor.id,
@@ -437,147 +332,89 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
         appointment_time: bookingData.appointment_time,
         problem_description: bookingData.problem_description
       };
+      if (bookingForUserId) requestBody.user_id = bookingForUserId;
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
+      const data = await bookAppointment(requestBody);
+      setShowBookingModal(false);
+      setSelectedDoctor(null);
 
-      if (response.ok) {
-        const data = await response.json();
-        setShowBookingModal(false);
-        setSelectedDoctor(null);
-
-        if (data.invoice_no) {
-          initializePayment(data.invoice_no);
-        }
+      if (data?.invoice_no) {
+        initializePayment(data.invoice_no);
+      }
 
-        setBookingData({
-          appointment_date: '',
-          appointment_time: '',
-          problem_description: '',
-          is_immediate: false,
-          user_report: null
-        });
+      setBookingData({
+        appointment_date: '',
+        appointment_time: '',
+        problem_description: '',
+        is_immediate: false,
+        user_report: null
+      });
 
-        // Refresh appointments after booking
-        fetchAppointments();
-      } else {
-        let errorMessage = 'Failed to book appointment';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
-        } catch (parseError) {
-          errorMessage = `Failed with status ${response.status}`;
-        }
-        setError(errorMessage);
-      }
+      // Refresh appointments after booking
+      fetchAppointments();
     } catch (err) {
-      setError(`Failed to book appointment: ${err.message}`);
+      if (err.status === 409) {
+        // Someone else booked the slot between the check and the booking
+        setBookingData(prev => ({ ...prev, appointment_time: '' }));
+        refreshSlots();
+      }
+      setError(err.details ? err.message : `Failed to book appointment: ${err.message}`);
     } finally {
       setLoading(false);
     }
   };
 
-  // Handle availability form input changes
-  const handleAvailabilityInputChange = (e) => {
-    const { name, value } = e.target;
-    setAvailabilityData(prev => ({
-      ...prev,
-      [name]: value
-    }));
+  // Handle appointment click for doctors
+  const handleAppointmentChanged = () => {
+    setChangeTarget(null);
+    fetchAppointments();
   };
 
-  // Submit availability form
-  const handleCreateAvailability = async (e) => {
-    e.preventDefault();
-    console.log('Creating availability with data:', availabilityData);
-
-    if (!availabilityData.available_date || !availabilityData.start_time || !availabilityData.end_time) {
-      setError('Please fill in all required fields');
-      return;
-    }
-
-    if (availabilityData.start_time >= availabilityData.end_time) {
-      setError('End time must be after start time');
-      return;
+  // Reschedule / cancel for patients, reject for doctors. Buttons stop the
+  // click so it doesn't also open the patient data picker on the card.
+  const renderChangeActions = (appointment) => {
+    const openChange = (mode) => (e) => {
+      e.stopPropagation();
+      setChangeTarget({ appointment, mode });
+    };
+    const actionClass = `px-3 py-1.5 rounded-lg text-xs md:text-sm flex items-center gap-1 transition-colors ${darkMode
+      ? 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+      : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+      }`;
+
+    if (isDoctor) {
+      if (!canRejectAppointment(appointment)) return null;
+      return (
+        <div className="mt-4 flex justify-end">
+          <button type="button" onClick={openChange('reject')} className={actionClass}>
+            <XCircle className="w-4 h-4" />
+            Reject
+          </button>
+        </div>
+      );
     }
 
-    setLoading(true);
-    setError(null);
-
-    try {
-      const token = localStorage.getItem('access_token');
-
-      if (!token) {
-        setError('Please log in to create availability');
-        return;
-      }
-
-      const requestBody = {
-        available_date: availabilityData.available_date,
-        start_time: availabilityData.start_time,
-        end_time: availabilityData.end_time,
-        interval_minutes: parseInt(availabilityData.interval_minutes)
-      };
-
-      console.log('Sending availability data:', requestBody);
-
-      const base = API_BASE.endsWith('/') ? API_BASE.slice(0, -1) : API_BASE;
-      const endpoint = 'create_doctor_availability/';
-      const url = `${base}/${endpoint}`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        console.log('Availability created successfully:', data);
-
-        alert('Availability created successfully!');
-        setShowAvailabilityModal(false);
-        setAvailabilityData({
-          available_date: '',
-          start_time: '',
-          end_time: '',
-          interval_minutes: 15
-        });
-        fetchDoctorAvailabilities();
-        fetchAppointments();
-      } else {
-        let errorMessage = 'Failed to create availability';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
-
-          if (response.status === 401 || response.status === 403) {
-            errorMessage = 'Session expired. Please log in again.';
-          }
-        } catch (parseError) {
-          errorMessage = `Failed with status ${response.status}`;
-        }
-        console.error('Availability creation failed:', errorMessage);
-        setError(errorMessage);
-      }
-    } catch (err) {
-      console.error('Error creating availability:', err);
-      setError(`Failed to create availability: ${err.message}. Please try again.`);
-    } finally {
-      setLoading(false);
-    }
+    const canReschedule = getRescheduleTerms(appointment).allowed;
+    const canCancel = getCancellationTerms(appointment).allowed;
+    if (!canReschedule && !canCancel) return null;
+    return (
+      <div className="mt-4 flex justify-end gap-2">
+        {canReschedule && (
+          <button type="button" onClick={openChange('reschedule')} className={actionClass}>
+            <CalendarClock className="w-4 h-4" />
+            Reschedule
+          </button>
+        )}
+        {canCancel && (
+          <button type="button" onClick={openChange('cancel')} className={actionClass}>
+            <XCircle className="w-4 h-4" />
+            Cancel
+          </button>
+        )}
+      </div>
+    );
   };
 
-  // Handle appointment click for doctors
   const handleAppointmentClick = (appointment, patientId, patientName) => {
     console.log('Appointment card clicked!', {
       isDoctor,
@@ -880,28 +717,35 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
               <span>My Appointment Schedule</span>
               <ChevronRight className="w-4 h-4 md:w-5 md:h-5" />
             </button>
-          ) : (
+          ) : canBook ? (
             <button
               onClick={() => setShowDoctorModal(true)}
               className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl flex items-center gap-2 transition-colors text-sm md:text-base"
             >
               <Plus className="w-4 h-4 md:w-5 md:h-5" />
-              <span>Book Appointment</span>
+              <span>{bookingForUserId ? `Book for ${selectedUserName || 'this user'}` : 'Book Appointment'}</span>
             </button>
+          ) : (
+            <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {selectedUserName || 'This user'} has not allowed you to book appointments for them
+            </span>
           )}
         </div>
 
-        {isDoctor && (
-          <div className="flex gap-2">
+        <div className="flex gap-2">
+          {appointments.length > 0 && (
+            <CalendarExportMenu appointments={appointments} isDoctor={isDoctor} darkMode={darkMode} />
+          )}
+          {isDoctor && (
             <button
               onClick={() => setShowAvailabilityModal(true)}
               className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl flex items-center gap-2 transition-colors text-sm md:text-base"
             >
               <Plus className="w-4 h-4 md:w-5 md:h-5" />
-              <span>Add Available Date & Time</span>
+              <span>Manage Availability</span>
             </button>
-          </div>
-        )}
+          )}
+        </div>
       </div>
 
       {/* Error Display */}
@@ -1068,12 +912,12 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                     <div className="flex flex-col items-center gap-2">
                       <span className={`px-2 py-1 md:px-3 md:py-1 rounded-full text-xs md:text-sm font-medium ${appointment.status === 'CONFIRMED' ? 'bg-green-100 text-green-800' :
                         appointment.status === 'PENDING' ? 'bg-yellow-100 text-yellow-800' :
-                          appointment.status === 'CANCELLED' ? 'bg-red-100 text-red-800' :
+                          appointment.status === 'CANCELLED' || appointment.status === 'REJECTED' ? 'bg-red-100 text-red-800' :
                             'bg-blue-100 text-blue-800'
                         }`}>
                         {appointment.status || 'UNKNOWN'}
                       </span>
-                      {appointment.status !== 'CONFIRMED' && (
+                      {appointment.status !== 'CONFIRMED' && !CLOSED_STATUSES.includes(appointment.status) && (
                         <div className={`flex items-center gap-1 text-xs md:text-sm ${appointment.is_paid
                           ? (darkMode ? 'text-green-400' : 'text-green-600')
                           : (darkMode ? 'text-orange-400' : 'text-orange-600')
@@ -1094,6 +938,14 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                     </div>
                   </div>
                 </div>
+                {(appointment.rejection_reason || appointment.cancellation_reason) && (
+                  <div className={`mt-4 p-3 rounded-lg ${darkMode ? 'bg-red-900/40' : 'bg-red-50'}`}>
+                    <p className={`text-sm ${darkMode ? 'text-red-200' : 'text-red-800'}`}>
+                      <strong>{appointment.status === 'REJECTED' ? 'Rejected: ' : 'Cancelled: '}</strong>
+                      {appointment.rejection_reason || appointment.cancellation_reason}
+                    </p>
+                  </div>
+                )}
                 {appointment.problem_description && (
                   <div className={`mt-4 p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
                     <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
@@ -1117,6 +969,8 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                     </p>
                   </div>
                 )}
+
+                {renderChangeActions(appointment)}
               </div>
             );
           })}
@@ -1169,7 +1023,7 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
             </div>
           </div>
 
-          {!isDoctor && (
+          {!isDoctor && canBook && (
             <button
               onClick={() => setShowDoctorModal(true)}
               className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white px-8 py-4 rounded-xl flex items-center gap-3 transition-all duration-300 mx-auto shadow-lg hover:shadow-xl transform hover:scale-105"
@@ -1403,14 +1257,20 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                     className="w-10 h-10 rounded-full object-cover"
                   />
                 ) : null}
-                <span>Book Appointment with Dr. {selectedDoctor.first_name} {selectedDoctor.last_name}</span>
+                <span>
+                  Book Appointment with Dr. {selectedDoctor.first_name} {selectedDoctor.last_name}
+                  {bookingForUserId && (
+                    <span className={`block text-sm font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      For {selectedUserName || 'the selected user'}
+                    </span>
+                  )}
+                </span>
               </h3>
               <button
                 onClick={() => {
                   setShowBookingModal(false);
                   setSelectedDoctor(null);
                   setSelectedDate('');
-                  setAvailableSlots([]);
                 }}
                 className={`p-2 rounded-lg hover:bg-gray-100 ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
                   }`}
@@ -1450,48 +1310,13 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                       Select Available Time Slot <span className="text-red-500">*</span>
                     </label>
 
-                    {loadingSlots ? (
-                      <div className="flex items-center justify-center py-8">
-                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
-                        <span className={`ml-3 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-                          Loading available slots...
-                        </span>
-                      </div>
-                    ) : availableSlots.length === 0 ? (
-                      <div className={`p-4 rounded-xl text-center ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
-                        <p className={`${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-                          No available slots for this date. Please select another date.
-                        </p>
-                      </div>
-                    ) : (
-                      <div className="grid grid-cols-3 md:grid-cols-4 gap-2 max-h-64 overflow-y-auto p-2">
-                        {availableSlots.map((slot, index) => (
-                          <button
-                            key={index}
-                            type="button"
-                            disabled={slot.is_booked}
-                            onClick={() => {
-                              setBookingData(prev => ({ ...prev, appointment_time: slot.time }));
-                            }}
-                            className={`p-3 rounded-lg text-sm font-medium transition-all ${slot.is_booked
-                              ? darkMode
-                                ? 'bg-gray-700 text-gray-500 cursor-not-allowed'
-                                : 'bg-gray-200 text-gray-400 cursor-not-allowed'
-                              : bookingData.appointment_time === slot.time
-                                ? 'bg-blue-500 text-white ring-2 ring-blue-300'
-                                : darkMode
-                                  ? 'bg-gray-700 text-white hover:bg-gray-600'
-                                  : 'bg-white border border-gray-300 hover:bg-blue-50'
-                              }`}
-                          >
-                            {slot.time}
-                            {slot.is_booked && (
-                              <div className="text-xs mt-1">Booked</div>
-                            )}
-                          </button>
-                        ))}
-                      </div>
-                    )}
+                    <SlotPicker
+                      slots={availableSlots}
+                      loading={loadingSlots}
+                      value={bookingData.appointment_time}
+                      onChange={(time) => setBookingData(prev => ({ ...prev, appointment_time: time }))}
+                      darkMode={darkMode}
+                    />
                   </div>
                 )}
 
@@ -1523,8 +1348,7 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                       setShowBookingModal(false);
                       setSelectedDoctor(null);
                       setSelectedDate('');
-                      setAvailableSlots([]);
-                      setBookingData({
+                          setBookingData({
                         appointment_date: '',
                         appointment_time: '',
                         problem_description: ''
@@ -1551,160 +1375,17 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
         </div>
       )}
 
-      {/* Doctor Availability Creation Modal */}
+      {/* Doctor Availability Modal: weekly hours, time off and single dates */}
       {showAvailabilityModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className={`w-full max-w-2xl rounded-2xl shadow-2xl ${darkMode ? 'bg-gray-800' : 'bg-white'} p-6`}>
-            <div className="flex items-center justify-between mb-6">
-              <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-                Add Available Date & Time
-              </h3>
-              <button
-                onClick={() => setShowAvailabilityModal(false)}
-                className={`p-2 rounded-lg hover:bg-gray-100 ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
-                  }`}
-              >
-                <X className="w-5 h-5" />
-              </button>
-            </div>
-
-            <form onSubmit={handleCreateAvailability}>
-              <div className="space-y-4">
-                <div>
-                  <label htmlFor="available_date" className={`block mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-                    Available Date <span className="text-red-500">*</span>
-                  </label>
-                  <input
-                    type="date"
-                    id="available_date"
-                    name="available_date"
-                    value={availabilityData.available_date}
-                    onChange={handleAvailabilityInputChange}
-                    min={new Date().toISOString().split('T')[0]}
-                    max="2100-12-31"
-                    className={`w-full p-3 rounded-xl border ${darkMode
-                      ? 'bg-gray-700 border-gray-600 text-white'
-                      : 'bg-white border-gray-300 text-gray-900'
-                      } focus:ring-2 focus:ring-green-500 focus:border-transparent`}
-                    required
-                  />
-                </div>
-
-                <div>
-                  <label htmlFor="start_time" className={`block mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-                    Start Time <span className="text-red-500">*</span>
-                  </label>
-                  <input
-                    type="time"
-                    id="start_time"
-                    name="start_time"
-                    value={availabilityData.start_time}
-                    onChange={handleAvailabilityInputChange}
-                    className={`w-full p-3 rounded-xl border ${darkMode
-                      ? 'bg-gray-700 border-gray-600 text-white'
-                      : 'bg-white border-gray-300 text-gray-900'
-                      } focus:ring-2 focus:ring-green-500 focus:border-transparent`}
-                    required
-                  />
-                </div>
-
-                <div>
-                  <label htmlFor="end_time" className={`block mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-                    End Time <span className="text-red-500">*</span>
-                  </label>
-                  <input
-                    type="time"
-                    id="end_time"
-                    name="end_time"
-                    value={availabilityData.end_time}
-                    onChange={handleAvailabilityInputChange}
-                    className={`w-full p-3 rounded-xl border ${darkMode
-                      ? 'bg-gray-700 border-gray-600 text-white'
-                      : 'bg-white border-gray-300 text-gray-900'
-                      } focus:ring-2 focus:ring-green-500 focus:border-transparent`}
-                    required
-                  />
-                </div>
-
-                <div>
-                  <label htmlFor="interval_minutes" className={`block mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-                    Appointment Interval (minutes) <span className="text-red-500">*</span>
-                  </label>
-                  <select
-                    id="interval_minutes"
-                    name="interval_minutes"
-                    value={availabilityData.interval_minutes}
-                    onChange={handleAvailabilityInputChange}
-                    className={`w-full p-3 rounded-xl border ${darkMode
-                      ? 'bg-gray-700 border-gray-600 text-white'
-                      : 'bg-white border-gray-300 text-gray-900'
-                      } focus:ring-2 focus:ring-green-500 focus:border-transparent`}
-                    required
-                  >
-                    <option value="15">15 minutes</option>
-                    <option value="30">30 minutes</option>
-                    <option value="45">45 minutes</option>
-                    <option value="60">60 minutes</option>
-                  </select>
-                  <p className={`mt-2 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                    This will create appointment slots every {availabilityData.interval_minutes} minutes between your start and end time.
-                  </p>
-                </div>
-
-                {availabilityData.available_date && availabilityData.start_time && availabilityData.end_time && (
-                  <div className={`p-4 rounded-xl ${darkMode ? 'bg-gray-700' : 'bg-blue-50'}`}>
-                    <h4 className={`font-semibold mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-                      Preview
-                    </h4>
-                    <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                      Available slots will be created on <strong>{formatDate(availabilityData.available_date)}</strong> from{' '}
-                      <strong>{availabilityData.start_time}</strong> to <strong>{availabilityData.end_time}</strong> with{' '}
-                      <strong>{availabilityData.interval_minutes} minute</strong> intervals.
-                    </p>
-                  </div>
-                )}
-
-                <div className="flex justify-end gap-4 mt-6">
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setShowAvailabilityModal(false);
-                      setAvailabilityData({
-                        available_date: '',
-                        start_time: '',
-                        end_time: '',
-                        interval_minutes: 15
-                      });
-                    }}
-                    className={`px-4 py-2 rounded-lg ${darkMode
-                      ? 'bg-gray-700 text-white hover:bg-gray-600'
-                      : 'bg-gray-200 text-gray-800 hover:bg-gray-300'
-                      }`}
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    type="submit"
-                    disabled={loading}
-                    className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg disabled:opacity-50 flex items-center gap-2"
-                  >
-                    {loading ? (
-                      <>
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                        Creating...
-                      </>
-                    ) : (
-                      <>
-                        <Plus className="w-4 h-4" />
-                        Create Availability
-                      </>
-                    )}
-                  </button>
-                </div>
-              </div>
-            </form>
-          </div>
-        </div>
+        <DoctorAvailability
+          darkMode={darkMode}
+          availabilities={doctorAvailabilities}
+          onClose={() => setShowAvailabilityModal(false)}
+          onSaved={() => {
+            fetchDoctorAvailabilities();
+            fetchAppointments();
+          }}
+        />
       )}
 
       {/* Doctor Availability List Modal */}
@@ -1785,7 +1466,7 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
                     className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 mx-auto"
                   >
                     <Plus className="w-4 h-4" />
-                    Add Available Date & Time
+                    Set Up Availability
                   </button>
                 </div>
               )}
@@ -1808,6 +1489,23 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
         </div>
       )}
 
+      {changeTarget && (changeTarget.mode === 'reschedule' ? (
+        <RescheduleAppointmentModal
+          appointment={changeTarget.appointment}
+          darkMode={darkMode}
+          onClose={() => setChangeTarget(null)}
+          onDone={handleAppointmentChanged}
+        />
+      ) : (
+        <CancelAppointmentModal
+          appointment={changeTarget.appointment}
+          mode={changeTarget.mode}
+          darkMode={darkMode}
+          onClose={() => setChangeTarget(null)}
+          onDone={handleAppointmentChanged}
+        />
+      ))}
+
       {/* Data Type Selection Modal */}
       <DataTypeSelectionModal />
 
@@ -1826,7 +1524,7 @@ const AppointmentsTab = ({ darkMode, onSwitchToChat }) => {
         patientId={selectedPatient?.id}
         patientName={selectedPatient?.name}
         darkMode={darkMode}
-        accessToken={localStorage.getItem('access_token')}
+        accessToken={getAccessToken()}
       />
     </div>
   );
@@ -6,7 +6,16 @@ import {
   Check, CheckCheck, Clock
 } from 'lucide-react';
 import { API_BASE_URL } from '../../lib/api';
+import { WS_BASE_URL } from '../../config/api';
+import { http } from '../../lib/httpClient';
+import { OUTBOX_TYPES, queueOfflineAction } from '../../lib/offlineQueue';
+import { isCallSignal, describeCallRecord, createLocalSignallingStub } from '../../lib/webrtcCall';
+import { useChatCall } from '../../hooks/useChatCall';
+import CallOverlay from '../../components/chat/CallOverlay';
 import AppointmentsTab from './Appointments';
+
+// Relay call signalling between local tabs instead of the chat socket (for testing)
+const LOCAL_CALL_SIGNALLING = import.meta.env.VITE_CALL_SIGNALLING === 'local';
 // Enhanced EmojiPicker component
 const EmojiPicker = ({ onEmojiClick, theme, height, width, emojiAsFile, setEmojiAsFile, onClose }) => {
   const emojis = [
@@ -198,8 +207,25 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
   
   const [newMessage, setNewMessage] = useState('');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
-  const [callStatus, setCallStatus] = useState(null);
-  const [callType, setCallType] = useState(null);
+  // Call signals sent while the per-chat socket is (re)connecting, flushed on open
+  const pendingCallSignalsRef = useRef([]);
+  const localSignallingRef = useRef(null);
+  const sendCallSignal = (signal) => {
+    if (localSignallingRef.current) {
+      localSignallingRef.current.send(signal);
+    } else if (chatWsRef.current && chatWsRef.current.readyState === WebSocket.OPEN) {
+      chatWsRef.current.send(JSON.stringify(signal));
+    } else {
+      pendingCallSignalsRef.current.push(signal);
+    }
+  };
+  const call = useChatCall({
+    sendSignal: sendCallSignal,
+    // Calls are recorded in the conversation like any other message
+    onCallRecord: (record) => sendTextMessage(describeCallRecord(record)),
+    onError: (error) => alert(`Call failed: ${error.message || 'could not access microphone/camera'}`),
+  });
+  const { startCall, handleSignal: handleCallSignal } = call;
   const [selectedFile, setSelectedFile] = useState(null);
   const [isProcessingScreenshot, setIsProcessingScreenshot] = useState(false);
   const [showImageModal, setShowImageModal] = useState(false);
@@ -278,47 +304,38 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     
     setIsLoadingOlderMessages(true);
     try {
-      const token = getAccessToken();
       const nextPage = currentPage + 1;
-      const response = await fetch(`${API_BASE_URL}/api/history/${selectedChat}/?page=${nextPage}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        }
-      });
+      const data = await http.get(`/api/history/${selectedChat}/`, { params: { page: nextPage } });
+      const newMessages = data.chat || [];
       
-      if (response.ok) {
-        const data = await response.json();
-        const newMessages = data.chat || [];
+      if (newMessages.length === 0) {
+        setHasMoreMessages(false);
+      } else {
+        // Prepend older messages to the beginning
+        const myUserId = Number(myIdRef.current || userDataRef.current?.id || 0);
+        const nameForPartner = currentChat?.name || 'User';
         
-        if (newMessages.length === 0) {
-          setHasMoreMessages(false);
-        } else {
-          // Prepend older messages to the beginning
-          const myUserId = Number(myIdRef.current || userDataRef.current?.id || 0);
-          const nameForPartner = currentChat?.name || 'User';
-          
-          const mappedNewMessages = newMessages.map((m) => {
-            const isSentByMe = Number(m.sender) === myUserId;
-            return {
-              id: m.id,
-              sender: isSentByMe ? 'You' : nameForPartner,
-              message: m.message || '',
-              time: m.timestamp ? new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '',
-              type: isSentByMe ? 'sent' : 'received',
-              hasMedia: m.has_media,
-              fileUrl: m.file_url,
-              imageUrl: m.image_url,
-              files: m.has_media ? [{
-                name: (m.file_url || m.file) ? (m.file_url || m.file).split('/').pop() : ((m.image_url || m.image) ? (m.image_url || m.image).split('/').pop() : 'file'),
-                type: (m.image_url || m.image) ? 'image' : ((m.file_url || m.file) ? getFileTypeFromUrl(m.file_url || m.file) : 'file'),
-                url: m.file_url || m.image_url || m.file || m.image
-              }] : undefined,
-            };
-          });
-          
-          setMessages(prev => [...mappedNewMessages, ...prev]);
-          setCurrentPage(nextPage);
-        }
+        const mappedNewMessages = newMessages.map((m) => {
+          const isSentByMe = Number(m.sender) === myUserId;
+          return {
+            id: m.id,
+            sender: isSentByMe ? 'You' : nameForPartner,
+            message: m.message || '',
+            time: m.timestamp ? new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '',
+            type: isSentByMe ? 'sent' : 'received',
+            hasMedia: m.has_media,
+            fileUrl: m.file_url,
+            imageUrl: m.image_url,
+            files: m.has_media ? [{
+              name: (m.file_url || m.file) ? (m.file_url || m.file).split('/').pop() : ((m.image_url || m.image) ? (m.image_url || m.image).split('/').pop() : 'file'),
+              type: (m.image_url || m.image) ? 'image' : ((m.file_url || m.file) ? getFileTypeFromUrl(m.file_url || m.file) : 'file'),
+              url: m.file_url || m.image_url || m.file || m.image
+            }] : undefined,
+          };
+        });
+        
+        setMessages(prev => [...mappedNewMessages, ...prev]);
+        setCurrentPage(nextPage);
       }
     } catch (error) {
       console.error('Failed to load older messages:', error);
@@ -364,7 +381,6 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
 
   // File upload API function
   const uploadFile = async (file, receiverId, message = '') => {
-    const token = getAccessToken();
     const formData = new FormData();
     formData.append('file', file);
     if (message.trim()) {
@@ -372,19 +388,7 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/upload_file/${receiverId}/`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-        body: formData,
-      });
-
-      if (!response.ok) {
-        throw new Error(`File upload failed: ${response.status}`);
-      }
-
-      const result = await response.json();
+      const result = await http.post(`/api/upload_file/${receiverId}/`, formData, { errorMessage: 'File upload failed' });
       console.log('File upload successful:', result);
       return result;
     } catch (error) {
@@ -399,9 +403,9 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     
     // If there's a file, upload it first
     if (selectedFile) {
+      // Add optimistic message for file upload
+      const optimisticId = `temp_file_${Date.now()}_${Math.random()}`;
       try {
-        // Add optimistic message for file upload
-        const optimisticId = `temp_file_${Date.now()}_${Math.random()}`;
         const fileType = getFileTypeFromUrl(selectedFile.name);
         const optimisticMessage = {
           id: optimisticId,
@@ -439,6 +443,18 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     }
     
     // Handle text-only messages (existing logic)
+    sendTextMessage(text);
+    setNewMessage('');
+    setSelectedFile(null);
+
+    // Sending a message implies we've stopped typing
+    stopTypingSignal();
+  };
+
+  // Optimistically add a text message and send it over the per-chat socket.
+  // Without a connection it goes to the offline outbox, which sends it (with
+  // the same temp id) once the browser is back online.
+  const sendTextMessage = (text) => {
     const optimisticId = `temp_${Date.now()}_${Math.random()}`;
     const optimisticMessage = {
       id: optimisticId,
@@ -453,24 +469,27 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
 
     setMessages((prev) => [...prev, optimisticMessage]);
 
+    const socketOpen = chatWsRef.current && chatWsRef.current.readyState === WebSocket.OPEN;
+    if (!navigator.onLine || !socketOpen) {
+      queueOfflineAction(OUTBOX_TYPES.CHAT_MESSAGE, { chatId: selectedChat, message: text, temp_id: optimisticId })
+        .then(() => {
+          setMessages((prev) => prev.map((msg) => (msg.id === optimisticId ? { ...msg, status: 'queued' } : msg)));
+        })
+        .catch((e) => console.error('Failed to queue message', e));
+      return;
+    }
+
     // Send via WebSocket and include temp id so server can echo it back if supported
     try {
-      if (chatWsRef.current && chatWsRef.current.readyState === WebSocket.OPEN) {
-        const payload = {
-          type: 'text_message',
-          message: text,
-          temp_id: optimisticId,
-        };
-        chatWsRef.current.send(JSON.stringify(payload));
-      }
+      const payload = {
+        type: 'text_message',
+        message: text,
+        temp_id: optimisticId,
+      };
+      chatWsRef.current.send(JSON.stringify(payload));
     } catch (e) {
       console.error('Failed to send WS message', e);
     }
-    setNewMessage('');
-    setSelectedFile(null);
-
-    // Sending a message implies we've stopped typing
-    stopTypingSignal();
   };
 
   // Typing indicator: notify the other participant while the input has focus/changes,
@@ -686,20 +705,6 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     setSelectedFile(null);
   };
 
-  const startCall = (type) => {
-    setCallType(type);
-    setCallStatus('calling');
-    
-    setTimeout(() => {
-      setCallStatus('in-progress');
-    }, 5000);
-  };
-
-  const endCall = () => {
-    setCallStatus(null);
-    setCallType(null);
-  };
-
   const getFileTypeFromUrl = (url) => {
     if (!url) return 'file';
     const extension = url.split('.').pop()?.toLowerCase();
@@ -751,15 +756,9 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     const fetchDoctors = async () => {
       try {
         setLoadingDoctors(true);
-        const token = getAccessToken();
-        if (!token) return;
-        const res = await fetch(`${API_BASE_URL}/api/doctorlist/`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        if (res.ok) {
-          const data = await res.json();
-          setDoctors(Array.isArray(data) ? data : (data.results || []));
-        }
+        if (!getAccessToken()) return;
+        const data = await http.get('/api/doctorlist/');
+        setDoctors(Array.isArray(data) ? data : (data.results || []));
       } catch (e) {
         console.error('Failed to load doctors', e);
       } finally {
@@ -927,16 +926,7 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     if (!userId) return;
     setLoadingMessages(true);
     try {
-      const token = getAccessToken();
-      const response = await fetch(`${API_BASE_URL}/api/history/${userId}/`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        }
-      });
-      if (!response.ok) {
-        throw new Error(`Failed to load messages: ${response.status}`);
-      }
-        const data = await response.json();
+        const data = await http.get(`/api/history/${userId}/`, { errorMessage: 'Failed to load messages' });
         console.log('Full history API response:', data);
         
         // save "me" returned by API so websocket handling can identify our own messages
@@ -1054,9 +1044,7 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
   useEffect(() => {
     const token = getAccessToken();
     if (!token) return;
-    const wsProtocol = API_BASE_URL.startsWith('https') ? 'wss' : 'ws';
-    const baseUrl = API_BASE_URL.replace(/^https?:\/\//, '');
-    const wsUrl = `${wsProtocol}://${baseUrl}/ws/conversations/?token=${token}`;
+    const wsUrl = `${WS_BASE_URL}/ws/conversations/?token=${token}`;
     let socket;
     try {
       socket = new WebSocket(wsUrl);
@@ -1079,6 +1067,19 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
         const currentUserId = Number(myIdRef.current || userDataRef.current?.id || 0);
         if (handleRealtimeStatusEvent(data, currentUserId)) return;
 
+        // A call can come in while another chat (or none) is open: switch to the caller's chat
+        if (isCallSignal(data)) {
+          const callerId = Number(data.sender_id ?? data.user_id);
+          if (callerId && callerId !== currentUserId) {
+            if (data.type === 'call_offer') {
+              setSelectedChat(String(callerId));
+              setShowChatRoom(true);
+            }
+            handleCallSignal(data);
+          }
+          return;
+        }
+
         if (data?.type === 'conversation_list' && Array.isArray(data.conversations)) {
           setConversations(data.conversations);
           
@@ -1123,7 +1124,18 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
       try { socket && socket.close(); } catch {}
       wsRef.current = null;
     };
-  }, []);
+  }, [handleCallSignal]);
+
+  // Local signalling stub for testing calls between two tabs without the backend
+  useEffect(() => {
+    if (!LOCAL_CALL_SIGNALLING) return;
+    const stub = createLocalSignallingStub(handleCallSignal);
+    localSignallingRef.current = stub;
+    return () => {
+      stub.close();
+      localSignallingRef.current = null;
+    };
+  }, [handleCallSignal]);
 
   // Open per-chat WebSocket for sending/receiving live messages - FIXED MESSAGE ALIGNMENT
   // Open per-chat WebSocket for sending/receiving live messages - FIXED MESSAGE ALIGNMENT
@@ -1144,9 +1156,7 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     
     // messages are cleared by the selectedChat effect above (do NOT clear here)
     
-    const wsProtocol = API_BASE_URL.startsWith('https') ? 'wss' : 'ws';
-    const baseUrl = API_BASE_URL.replace(/^https?:\/\//, '');
-    const url = `${wsProtocol}://${baseUrl}/ws/chat/${selectedChat}/?token=${token}`;
+    const url = `${WS_BASE_URL}/ws/chat/${selectedChat}/?token=${token}`;
     let sock;
     try {
       sock = new WebSocket(url);
@@ -1160,6 +1170,11 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
     sock.onopen = async () => {
       console.log('Chat WebSocket connected for user:', selectedChat);
       setChatWsConnected(true);
+
+      // Deliver call signals (e.g. an answer) queued while the socket was connecting
+      const queuedSignals = pendingCallSignalsRef.current;
+      pendingCallSignalsRef.current = [];
+      queuedSignals.forEach((signal) => sock.send(JSON.stringify(signal)));
       
       // Automatically mark messages as seen when chat opens
       try {
@@ -1205,6 +1220,12 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
 
         if (handleRealtimeStatusEvent(data, currentUserId)) return;
 
+        // WebRTC offer/answer/ICE signalling; the server may echo our own signals back
+        if (isCallSignal(data)) {
+          if (Number(data.sender_id ?? data.user_id) !== currentUserId) handleCallSignal(data);
+          return;
+        }
+
         // Extract message data
         let messageData = null;
         if (data.type === 'message' && data.data) {
@@ -1386,7 +1407,7 @@ const ChatTab = ({ darkMode = false, onChatRoomStateChange, onUnreadCountChange,
       }
       isTypingRef.current = false;
     };
-  }, [selectedChat, currentChat]);
+  }, [selectedChat, currentChat, handleCallSignal]);
 
   // Message alignment function - FIXED: Sent messages on right (blue), received on left (green)
   // Message alignment: sent = RIGHT, received = LEFT
@@ -1412,12 +1433,13 @@ const getMessageTimeStyle = (messageType) => {
   }
 };
 
-  // Delivery/read indicator for messages we sent: clock (sending) -> single check (sent)
+  // Delivery/read indicator for messages we sent: clock (sending) or "Queued" (offline) -> single check (sent)
   // -> double check (delivered) -> "Seen" label (seen)
   const renderMessageStatusTicks = (message) => {
     if (message.type !== 'sent') return null;
     const status = messageStatuses[message.id] || message.status || (message.isOptimistic ? 'sending' : 'sent');
     if (status === 'sending') return <Clock className="w-3 h-3 inline-block" />;
+    if (status === 'queued') return <span className="text-[10px] font-medium" title="Sends when you're back online">Queued</span>;
     if (status === 'seen') return <span className="text-[10px] font-medium text-sky-300">Seen</span>;
     if (status === 'delivered') return <CheckCheck className="w-3.5 h-3.5 inline-block" />;
     return <Check className="w-3.5 h-3.5 inline-block" />;
@@ -1468,66 +1490,7 @@ const getMessageTimeStyle = (messageType) => {
         </div>
       )}
       {/* Call Interface Overlay */}
-      {callStatus && (
-        <div className={`fixed inset-0 z-50 flex flex-col items-center justify-center ${darkMode ? 'bg-gray-900' : 'bg-gray-800'} bg-opacity-95 text-white p-6`}>
-          <div className="flex flex-col items-center justify-center flex-1 w-full max-w-4xl">
-            <div className="w-full h-64 md:h-96 bg-gray-700 rounded-lg mb-6 flex items-center justify-center relative overflow-hidden">
-              {callStatus === 'calling' ? (
-                <div className="text-center">
-                  <div className="text-2xl font-semibold mb-2">Calling {currentChat?.name}...</div>
-                  <div className="text-lg text-gray-300">Please wait for the doctor to answer</div>
-                  <div className="mt-8 animate-pulse">
-                    <div className="w-24 h-24 mx-auto rounded-full bg-gray-600 flex items-center justify-center">
-                      {callType === 'video' ? (
-                        <Video className="w-12 h-12" />
-                      ) : (
-                        <Phone className="w-12 h-12" />
-                      )}
-                    </div>
-                  </div>
-                </div>
-              ) : (
-                <>
-                  <div className="w-full h-full bg-gray-900"></div>
-                  <div className="absolute bottom-4 left-4 bg-black bg-opacity-50 rounded-lg p-2">
-                    <div className="text-sm">{currentChat?.name}</div>
-                  </div>
-                </>
-              )}
-            </div>
-            
-            {callType === 'video' && callStatus === 'in-progress' && (
-              <div className="w-32 h-24 bg-gray-900 rounded-lg absolute bottom-24 right-6 border-2 border-white">
-                <div className="w-full h-full bg-gray-800"></div>
-              </div>
-            )}
-            
-            <div className="flex gap-6 mt-8">
-              <button 
-                onClick={endCall}
-                className="w-16 h-16 rounded-full bg-red-600 flex items-center justify-center hover:bg-red-700 transition-colors"
-              >
-                <Phone className="w-8 h-8 transform rotate-135" />
-              </button>
-              
-              {callType === 'audio' && callStatus === 'in-progress' && (
-                <button className="w-16 h-16 rounded-full bg-gray-600 flex items-center justify-center hover:bg-gray-700 transition-colors">
-                  <Mic className="w-8 h-8" />
-                </button>
-              )}
-            </div>
-            
-            <div className="mt-8 text-center">
-              <div className="text-xl font-semibold">
-                {callStatus === 'calling' ? 'Calling...' : '00:05:23'}
-              </div>
-              <div className="text-gray-400 mt-2">
-                {callType === 'audio' ? 'Audio Call' : 'Video Call'} with {currentChat?.name}
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
+      <CallOverlay call={call} peerName={currentChat?.name || 'User'} darkMode={darkMode} />
 
       {/* Mobile Layout */}
       <div className="md:hidden w-full h-full">
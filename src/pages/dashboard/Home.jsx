@@ -10,6 +10,9 @@ import ActivitySummary from '../../components/ActivitySummary';
 import StressDataComponent from '../../components/StressDataComponent';
 import HRVDataComponent from '../../components/HRVDataComponent';
 import BloodPressureDataComponent from '../../components/BloodPressureDataComponent';
+import TrendInsights from '../../components/TrendInsights';
+import useVitalTrends from '../../hooks/useVitalTrends';
+import { canViewMetric } from '../../utils/mappingPermissions';
 
 const InsightCard = ({ title, icon: Icon, text, darkMode, accentColor }) => {
   if (!text) return null;
@@ -137,7 +140,9 @@ const HomeTab = ({
   darkMode,
   selectedUserId,
   selectedUserInfo,
-  globalDateRange
+  globalDateRange,
+  // A caregiver's access to the selected mapped user; null for your own data
+  permissions = null
 }) => {
   // State for all health data
   const [sleepData, setSleepData] = useState(null);
@@ -148,6 +153,7 @@ const HomeTab = ({
   const [stressApiData, setStressApiData] = useState(null);
   const [hrvApiData, setHrvApiData] = useState(null);
   const [batteryData, setBatteryData] = useState(null);
+  const trends = useVitalTrends(selectedUserId || null, permissions);
   const [lastSyncData, setLastSyncData] = useState(null);
   const [lastSyncLoading, setLastSyncLoading] = useState(true);
   const [aiData, setAiData] = useState(null);
@@ -517,174 +523,196 @@ const HomeTab = ({
 
       {/* Quick Stats */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 md:gap-6 mb-6 md:mb-8">
-        <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-red-500 to-red-600 text-white">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-xs md:text-sm text-red-100">Heart Rate</p>
-              <p className="text-xl md:text-3xl font-bold text-white">
-                {latestHeartRate} BPM
-              </p>
-            </div>
-            <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
-              <Heart className="w-6 h-6 md:w-8 md:h-8 text-white" />
+        {canViewMetric(permissions, 'heart_rate') && (
+          <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-red-500 to-red-600 text-white">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-xs md:text-sm text-red-100">Heart Rate</p>
+                <p className="text-xl md:text-3xl font-bold text-white">
+                  {latestHeartRate} BPM
+                </p>
+              </div>
+              <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
+                <Heart className="w-6 h-6 md:w-8 md:h-8 text-white" />
+              </div>
             </div>
-          </div>
-          <div className="mt-2 text-xs text-red-100 flex justify-between items-center gap-2">
-            <div>
-              {heartRateData && heartRateData.length > 1 && (() => {
-                // Support both single-reading and daily-aggregate shapes
-                const isMultiDay = 'day' in heartRateData[0];
-                const minVal = isMultiDay
-                  ? Math.min(...heartRateData.map(d => d.minimum_heart_rate))
-                  : Math.min(...heartRateData.map(d => d.once_heart_value));
-                const maxVal = isMultiDay
-                  ? Math.max(...heartRateData.map(d => d.maximum_heart_rate))
-                  : Math.max(...heartRateData.map(d => d.once_heart_value));
-                return <span>Range: {minVal} – {maxVal} BPM</span>;
-              })()}
+            <div className="mt-2 text-xs text-red-100 flex justify-between items-center gap-2">
+              <div>
+                {heartRateData && heartRateData.length > 1 && (() => {
+                  // Support both single-reading and daily-aggregate shapes
+                  const isMultiDay = 'day' in heartRateData[0];
+                  const minVal = isMultiDay
+                    ? Math.min(...heartRateData.map(d => d.minimum_heart_rate))
+                    : Math.min(...heartRateData.map(d => d.once_heart_value));
+                  const maxVal = isMultiDay
+                    ? Math.max(...heartRateData.map(d => d.maximum_heart_rate))
+                    : Math.max(...heartRateData.map(d => d.once_heart_value));
+                  return <span>Range: {minVal} – {maxVal} BPM</span>;
+                })()}
+              </div>
+              {latestHeartRateTime && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestHeartRateTime)}</div>}
             </div>
-            {latestHeartRateTime && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestHeartRateTime)}</div>}
           </div>
-        </div>
-
-        <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-indigo-500 to-indigo-600 text-white">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-xs md:text-sm text-indigo-100">Sleep Score</p>
-              <p className="text-xl md:text-3xl font-bold text-white">
-                {displaySleepScore !== '—' ? `${displaySleepScore}/100` : '—'}
-              </p>
-            </div>
-            <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
-              <Moon className="w-6 h-6 md:w-8 md:h-8 text-white" />
+        )}
+
+        {canViewMetric(permissions, 'sleep') && (
+          <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-indigo-500 to-indigo-600 text-white">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-xs md:text-sm text-indigo-100">Sleep Score</p>
+                <p className="text-xl md:text-3xl font-bold text-white">
+                  {displaySleepScore !== '—' ? `${displaySleepScore}/100` : '—'}
+                </p>
+              </div>
+              <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
+                <Moon className="w-6 h-6 md:w-8 md:h-8 text-white" />
+              </div>
             </div>
-          </div>
-          <div className="mt-2 text-xs text-indigo-100 flex justify-between items-center gap-2">
-            <div>
-              {sleepData && sleepData.length > 0 && (
-                <span>Duration: {sleepData[0]?.duration || 0} hrs</span>
-              )}
+            <div className="mt-2 text-xs text-indigo-100 flex justify-between items-center gap-2">
+              <div>
+                {sleepData && sleepData.length > 0 && (
+                  <span>Duration: {sleepData[0]?.duration || 0} hrs</span>
+                )}
+              </div>
+              {latestSleepTime && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestSleepTime, true)}</div>}
             </div>
-            {latestSleepTime && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestSleepTime, true)}</div>}
           </div>
-        </div>
-
-        <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-green-500 to-green-600 text-white">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-xs md:text-sm text-green-100">Daily Steps</p>
-              <p className="text-xl md:text-3xl font-bold text-white">
-                {dailySteps}
-              </p>
-            </div>
-            <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
-              <Activity className="w-6 h-6 md:w-8 md:h-8 text-white" />
+        )}
+
+        {canViewMetric(permissions, 'steps') && (
+          <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-green-500 to-green-600 text-white">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-xs md:text-sm text-green-100">Daily Steps</p>
+                <p className="text-xl md:text-3xl font-bold text-white">
+                  {dailySteps}
+                </p>
+              </div>
+              <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
+                <Activity className="w-6 h-6 md:w-8 md:h-8 text-white" />
+              </div>
             </div>
-          </div>
-          <div className="mt-2 text-xs text-green-100 flex justify-between items-center gap-2">
-            <div>
-              {stepsData && stepsData.step && (
-                <span>Goal: {stepsData.step_goal || 10000} steps</span>
-              )}
-              {aiData && aiData.activity_rating !== undefined && aiData.activity_rating !== null && (
-                <span className="block mt-0.5 font-medium text-green-100">
-                  Rating: {aiData.activity_rating}/100
-                </span>
-              )}
+            <div className="mt-2 text-xs text-green-100 flex justify-between items-center gap-2">
+              <div>
+                {stepsData && stepsData.step && (
+                  <span>Goal: {stepsData.step_goal || 10000} steps</span>
+                )}
+                {aiData && aiData.activity_rating !== undefined && aiData.activity_rating !== null && (
+                  <span className="block mt-0.5 font-medium text-green-100">
+                    Rating: {aiData.activity_rating}/100
+                  </span>
+                )}
+              </div>
+              {latestStepsTime && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestStepsTime, true)}</div>}
             </div>
-            {latestStepsTime && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestStepsTime, true)}</div>}
           </div>
-        </div>
-
-        <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-blue-500 to-blue-600 text-white">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-xs md:text-sm text-blue-100">Blood Oxygen</p>
-              <p className="text-xl md:text-3xl font-bold text-white">
-                {latestSpO2}%
-              </p>
-            </div>
-            <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
-              <Droplets className="w-6 h-6 md:w-8 md:h-8 text-white" />
+        )}
+
+        {canViewMetric(permissions, 'spo2') && (
+          <div className="rounded-xl md:rounded-2xl p-4 md:p-6 shadow-lg bg-gradient-to-br from-blue-500 to-blue-600 text-white">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-xs md:text-sm text-blue-100">Blood Oxygen</p>
+                <p className="text-xl md:text-3xl font-bold text-white">
+                  {latestSpO2}%
+                </p>
+              </div>
+              <div className="p-3 rounded-full bg-white/20 backdrop-blur-sm">
+                <Droplets className="w-6 h-6 md:w-8 md:h-8 text-white" />
+              </div>
             </div>
-          </div>
-          <div className="mt-2 text-xs text-blue-100 flex justify-between items-center gap-2">
-            <div>
-              {spo2Data && spo2Data.length > 1 && (
-                <span>Range: {Math.min(...spo2Data.map(d => d.Blood_oxygen))} - {Math.max(...spo2Data.map(d => d.Blood_oxygen))}%</span>
-              )}
+            <div className="mt-2 text-xs text-blue-100 flex justify-between items-center gap-2">
+              <div>
+                {spo2Data && spo2Data.length > 1 && (
+                  <span>Range: {Math.min(...spo2Data.map(d => d.Blood_oxygen))} - {Math.max(...spo2Data.map(d => d.Blood_oxygen))}%</span>
+                )}
+              </div>
+              {latestSpO2Time && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestSpO2Time)}</div>}
             </div>
-            {latestSpO2Time && <div className="text-right whitespace-nowrap opacity-90">{formatDateTime(latestSpO2Time)}</div>}
           </div>
-        </div>
+        )}
       </div>
 
       {/* Main Metrics Grid - Row 1 */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 md:gap-8 mb-6 md:mb-8 items-stretch">
-        <HeartRateDataComponent
-          darkMode={darkMode}
-          onHeartRateDataUpdate={setHeartRateData}
-          onLoadingStateChange={(loading) => handleDataLoading('heartRate', loading)}
-          selectedUserId={selectedUserId}
-          dateRange={globalDateRange}
-        />
-
-        <SpO2DataComponent
-          darkMode={darkMode}
-          onSpO2DataUpdate={setSpO2Data}
-          onLoadingStateChange={(loading) => handleDataLoading('spo2', loading)}
-          selectedUserId={selectedUserId}
-          dateRange={globalDateRange}
-        />
-      </div>
+        {canViewMetric(permissions, 'heart_rate') && (
+          <HeartRateDataComponent
+            darkMode={darkMode}
+            onHeartRateDataUpdate={setHeartRateData}
+            onLoadingStateChange={(loading) => handleDataLoading('heartRate', loading)}
+            selectedUserId={selectedUserId}
+            dateRange={globalDateRange}
+          />
+        )}
 
-      {/* Main Metrics Grid - Row 2 */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 md:gap-8 mb-6 md:mb-8">
-        <SleepDataComponent
-          darkMode={darkMode}
-          onSleepDataUpdate={setSleepData}
-          onLoadingStateChange={(loading) => handleDataLoading('sleep', loading)}
-          selectedUserId={selectedUserId}
-          dateRange={globalDateRange}
-          aiSleepScore={aiData?.sleep_score}
-        />
-
-        <ActivitySummary
-          darkMode={darkMode}
-          onActivityDataUpdate={setStepsData}
-          onLoadingStateChange={(loading) => handleDataLoading('steps', loading)}
-          selectedUserId={selectedUserId}
-          dateRange={globalDateRange}
-          aiActivityRating={aiData?.activity_rating}
-        />
+        {canViewMetric(permissions, 'spo2') && (
+          <SpO2DataComponent
+            darkMode={darkMode}
+            onSpO2DataUpdate={setSpO2Data}
+            onLoadingStateChange={(loading) => handleDataLoading('spo2', loading)}
+            selectedUserId={selectedUserId}
+            dateRange={globalDateRange}
+          />
+        )}
       </div>
 
-      {/* Main Metrics Grid - Row 3 */}
+      {/* Main Metrics Grid - Row 2 */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 md:gap-8 mb-6 md:mb-8">
-        <StressDataComponent
-          darkMode={darkMode}
-          onStressDataUpdate={setStressApiData}
-          onLoadingStateChange={(loading) => handleDataLoading('stress', loading)}
-          selectedUserId={selectedUserId}
-          dateRange={globalDateRange}
-        />
+        {canViewMetric(permissions, 'sleep') && (
+          <SleepDataComponent
+            darkMode={darkMode}
+            onSleepDataUpdate={setSleepData}
+            onLoadingStateChange={(loading) => handleDataLoading('sleep', loading)}
+            selectedUserId={selectedUserId}
+            dateRange={globalDateRange}
+            aiSleepScore={aiData?.sleep_score}
+          />
+        )}
 
-        <div className="space-y-4 md:space-y-6">
-          <BloodPressureDataComponent
+        {canViewMetric(permissions, 'steps') && (
+          <ActivitySummary
             darkMode={darkMode}
-            onBloodPressureDataUpdate={setBloodPressureData}
-            onLoadingStateChange={(loading) => handleDataLoading('bloodPressure', loading)}
+            onActivityDataUpdate={setStepsData}
+            onLoadingStateChange={(loading) => handleDataLoading('steps', loading)}
             selectedUserId={selectedUserId}
             dateRange={globalDateRange}
+            aiActivityRating={aiData?.activity_rating}
           />
+        )}
+      </div>
 
-          <HRVDataComponent
+      {/* Main Metrics Grid - Row 3 */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 md:gap-8 mb-6 md:mb-8">
+        {canViewMetric(permissions, 'stress') && (
+          <StressDataComponent
             darkMode={darkMode}
-            onHRVDataUpdate={setHrvApiData}
-            onLoadingStateChange={(loading) => handleDataLoading('hrv', loading)}
+            onStressDataUpdate={setStressApiData}
+            onLoadingStateChange={(loading) => handleDataLoading('stress', loading)}
             selectedUserId={selectedUserId}
             dateRange={globalDateRange}
           />
+        )}
+
+        <div className="space-y-4 md:space-y-6">
+          {canViewMetric(permissions, 'blood_pressure') && (
+            <BloodPressureDataComponent
+              darkMode={darkMode}
+              onBloodPressureDataUpdate={setBloodPressureData}
+              onLoadingStateChange={(loading) => handleDataLoading('bloodPressure', loading)}
+              selectedUserId={selectedUserId}
+              dateRange={globalDateRange}
+            />
+          )}
+
+          {canViewMetric(permissions, 'hrv') && (
+            <HRVDataComponent
+              darkMode={darkMode}
+              onHRVDataUpdate={setHrvApiData}
+              onLoadingStateChange={(loading) => handleDataLoading('hrv', loading)}
+              selectedUserId={selectedUserId}
+              dateRange={globalDateRange}
+            />
+          )}
         </div>
       </div>
 
@@ -750,6 +778,14 @@ const HomeTab = ({
               </div>
             )}
 
+            {/* Sustained changes against the user's own 30-day baseline */}
+            <TrendInsights
+              insights={trends.insights}
+              analysed={trends.analysed}
+              loading={trends.loading}
+              darkMode={darkMode}
+            />
+
             {/* Expandable Detail Cards (eye button) */}
             {showAiSummaries && hasAnySummary && (
               <div className={`mt-2 pt-4 border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'} space-y-4`}>
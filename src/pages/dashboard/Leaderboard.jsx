@@ -1,9 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Facebook, Instagram, X, MessageCircle, Phone, Mail, Link2, Share2 } from 'lucide-react';
-import { getLeaderboard, getDailyLeaderboard, getLeaderboardPosts, createLeaderboardPost, updateLeaderboardPost, deleteLeaderboardPost, getLeaderboardChallenges, createLeaderboardChallenge, getPostLikes, toggleLikePost, getPostComments, addPostComment, updateComment, deleteComment, getChallengeLikes, toggleLikeChallenge, getChallengeComments, addChallengeComment, updateChallengeComment, deleteChallengeComment } from '../../lib/api';
+import { getLeaderboard, getDailyLeaderboard, getLeaderboardPosts, updateLeaderboardPost, deleteLeaderboardPost, getLeaderboardChallenges, createLeaderboardChallenge, getPostLikes, toggleLikePost, getPostComments, updateComment, deleteComment, getChallengeLikes, toggleLikeChallenge, getChallengeComments, updateChallengeComment, deleteChallengeComment, API_BASE_URL } from '../../lib/api';
 import { getUserData } from '../../lib/tokenManager';
-
-const API_BASE_URL = 'https://jeewanjyoti-backend.smart.org.np';
+import { OUTBOX_TYPES, sendOrQueue, onOutboxDelivered } from '../../lib/offlineQueue';
 
 const getFullImageUrl = (imagePath) => {
   if (!imagePath) return null;
@@ -23,6 +22,21 @@ const formatTimeAgo = (dateString) => {
   return `${days}d ago`;
 };
 
+// Placeholder shown for a comment written offline until the outbox delivers it
+const queuedComment = (text) => ({
+  id: `queued-${Date.now()}`,
+  comment: text,
+  user: null,
+  user_name: 'You',
+  created_at: new Date().toISOString(),
+  queued: true,
+});
+
+const appendComment = (entry, comment) => ({
+  count: (entry?.count || 0) + 1,
+  list: [...(entry?.list || []), comment],
+});
+
 const formatDate = (dateString) => {
   if (!dateString) return '';
   return new Date(dateString).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
@@ -514,7 +528,7 @@ function CommentSection({ postId, commentData, onAddComment, currentUserId, onEd
                   <div className="flex items-baseline justify-between gap-2">
                     <p className="truncate text-xs font-semibold text-slate-700">{comment.user_name}</p>
                     <div className="flex shrink-0 items-center gap-1">
-                      <p className="text-[10px] text-slate-400">{formatTimeAgo(comment.created_at)}</p>
+                      <p className="text-[10px] text-slate-400">{comment.queued ? 'Sends when online' : formatTimeAgo(comment.created_at)}</p>
                       {canManage && !isEditing && (
                         <CommentMenu onEdit={() => startEdit(comment)} onDelete={() => handleDelete(comment.id)} />
                       )}
@@ -866,6 +880,7 @@ export default function LeaderboardTab() {
   const [showComposer, setShowComposer] = useState(false);
   const [posting, setPosting] = useState(false);
   const [postError, setPostError] = useState(null);
+  const [queuedPosts, setQueuedPosts] = useState(0);
   const [showChallengeComposer, setShowChallengeComposer] = useState(false);
   const [challengeFormData, setChallengeFormData] = useState(EMPTY_CHALLENGE_FORM);
   const [challengeSubmitting, setChallengeSubmitting] = useState(false);
@@ -954,18 +969,26 @@ export default function LeaderboardTab() {
     }
   }, [fetchPostLikes, fetchPostComments]);
 
+  const refreshPostComments = useCallback(async (postId) => {
+    const data = await getPostComments(postId);
+    setPostComments((prev) => ({
+      ...prev,
+      [postId]: { count: data.comment_count || 0, list: data.comments || [] },
+    }));
+  }, []);
+
   const handleAddComment = useCallback(async (postId, text) => {
     try {
-      await addPostComment(postId, text);
-      const data = await getPostComments(postId);
-      setPostComments((prev) => ({
-        ...prev,
-        [postId]: { count: data.comment_count || 0, list: data.comments || [] },
-      }));
+      const { queued } = await sendOrQueue(OUTBOX_TYPES.POST_COMMENT, { postId, comment: text });
+      if (queued) {
+        setPostComments((prev) => ({ ...prev, [postId]: appendComment(prev[postId], queuedComment(text)) }));
+        return;
+      }
+      await refreshPostComments(postId);
     } catch (error) {
       console.error(`Failed to add comment to post ${postId}:`, error);
     }
-  }, []);
+  }, [refreshPostComments]);
 
   const handleEditComment = useCallback(async (postId, commentId, text) => {
     try {
@@ -1048,18 +1071,26 @@ export default function LeaderboardTab() {
     }
   }, [fetchChallengeLikes, fetchChallengeComments]);
 
+  const refreshChallengeComments = useCallback(async (challengeId) => {
+    const data = await getChallengeComments(challengeId);
+    setChallengeComments((prev) => ({
+      ...prev,
+      [challengeId]: { count: data.comment_count || 0, list: data.comments || [] },
+    }));
+  }, []);
+
   const handleAddChallengeComment = useCallback(async (challengeId, text) => {
     try {
-      await addChallengeComment(challengeId, text);
-      const data = await getChallengeComments(challengeId);
-      setChallengeComments((prev) => ({
-        ...prev,
-        [challengeId]: { count: data.comment_count || 0, list: data.comments || [] },
-      }));
+      const { queued } = await sendOrQueue(OUTBOX_TYPES.CHALLENGE_COMMENT, { challengeId, comment: text });
+      if (queued) {
+        setChallengeComments((prev) => ({ ...prev, [challengeId]: appendComment(prev[challengeId], queuedComment(text)) }));
+        return;
+      }
+      await refreshChallengeComments(challengeId);
     } catch (error) {
       console.error(`Failed to add comment to challenge ${challengeId}:`, error);
     }
-  }, []);
+  }, [refreshChallengeComments]);
 
   const handleEditChallengeComment = useCallback(async (challengeId, commentId, text) => {
     try {
@@ -1107,6 +1138,20 @@ export default function LeaderboardTab() {
     fetchChallenges();
   }, [fetchLeaderboard, fetchDailyLeaderboard, fetchPosts, fetchChallenges]);
 
+  // Replace placeholders once posts and comments written offline are delivered
+  useEffect(() => onOutboxDelivered((item) => {
+    if (item.type === OUTBOX_TYPES.POST) {
+      setQueuedPosts((count) => Math.max(0, count - 1));
+      fetchPosts();
+      fetchLeaderboard();
+      fetchDailyLeaderboard();
+    } else if (item.type === OUTBOX_TYPES.POST_COMMENT) {
+      refreshPostComments(item.payload.postId).catch((error) => console.error('Failed to refresh comments:', error));
+    } else if (item.type === OUTBOX_TYPES.CHALLENGE_COMMENT) {
+      refreshChallengeComments(item.payload.challengeId).catch((error) => console.error('Failed to refresh challenge comments:', error));
+    }
+  }), [fetchPosts, fetchLeaderboard, fetchDailyLeaderboard, refreshPostComments, refreshChallengeComments]);
+
   const handlePhotoChange = (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -1127,10 +1172,14 @@ export default function LeaderboardTab() {
     try {
       setPosting(true);
       setPostError(null);
-      await createLeaderboardPost(payload);
+      const { queued } = await sendOrQueue(OUTBOX_TYPES.POST, { fields: [...payload.entries()] });
 
       setFormData({ summary: '', is_completed: false, photoFile: null });
       setShowComposer(false);
+      if (queued) {
+        setQueuedPosts((count) => count + 1);
+        return;
+      }
       fetchPosts();
       fetchLeaderboard();
       fetchDailyLeaderboard();
@@ -1275,6 +1324,11 @@ export default function LeaderboardTab() {
               <span className="text-base leading-none">+</span> Add Challenge
             </button>
           </div>
+          {queuedPosts > 0 && (
+            <p className="mb-4 rounded-lg bg-amber-50 px-3 py-2 text-sm text-amber-800">
+              {queuedPosts === 1 ? 'Your post is' : `${queuedPosts} posts are`} saved and will be shared once you're back online.
+            </p>
+          )}
           <Feed
             posts={posts}
             challenges={challenges}
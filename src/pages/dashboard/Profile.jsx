@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Edit3, Mail, Phone, MapPin, Calendar, Users, Award, Star, Heart, Camera, X, User, UserCircle, Ruler, Scale, Droplets, Activity } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
-import { clearTokens, getUserData } from '../../lib/tokenManager';
-import { getUserEmailProfile, updateProfile, getUserById } from '../../lib/api';
+import { clearTokens, getUserData, getAccessToken } from '../../lib/tokenManager';
+import { getUserEmailProfile, updateProfile, updateProfileImage, getUserById, API_BASE_URL } from '../../lib/api';
 import UserMapping from './UserMapping';
 import TrailMap from '../../components/TrailMap';
+import { canViewMetric } from '../../utils/mappingPermissions';
 import ECGMonitor from '../../components/ECGMonitor';
 import RealTimeHealthDashboard from '../../components/RealTimeHealthDashboard';
 import HeartRateDataComponent from '../../components/HeartRateDataComponent';
@@ -14,14 +15,12 @@ import ActivitySummary from '../../components/ActivitySummary';
 import BloodPressureDataComponent from '../../components/BloodPressureDataComponent';
 import StressDataComponent from '../../components/StressDataComponent';
 import HRVDataComponent from '../../components/HRVDataComponent';
-import MedicationPage from '../MedicationPage';
 
-const API_BASE = 'https://jeewanjyoti-backend.smart.org.np';
 const getFullImageUrl = (url) => {
   if (!url) return null;
   if (url.startsWith('http')) return url;
-  if (url.startsWith('/')) return `${API_BASE}${url}`;
-  return `${API_BASE}/${url}`;
+  if (url.startsWith('/')) return `${API_BASE_URL}${url}`;
+  return `${API_BASE_URL}/${url}`;
 };
 
 // Move InputField outside to prevent recreation on every render
@@ -56,7 +55,10 @@ const InputField = React.memo(({ icon: Icon, label, name, type = 'text', require
   );
 });
 
-const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserInfo = null, globalDateFilter, globalDateRange }) => {
+// Metrics the real-time dashboard streams together
+const STREAM_METRICS = ['heart_rate', 'spo2', 'stress', 'hrv', 'blood_pressure'];
+
+const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserInfo = null, globalDateFilter, globalDateRange, permissions = null }) => {
   const navigate = useNavigate();
   // Health data — populated via component callbacks (same approach as Home)
   const [heartRateData, setHeartRateData] = useState(null);
@@ -170,24 +172,7 @@ const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserIn
     if (!file) return;
 
     try {
-      const token = localStorage.getItem('access_token');
-      const formData = new FormData();
-      formData.append('profile_image', file);
-
-      const response = await fetch('https://jeewanjyoti-backend.smart.org.np/api/profile-image/', {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-        body: formData,
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || 'Failed to update profile image');
-      }
-
-      const data = await response.json().catch(() => ({}));
+      const data = (await updateProfileImage(file)) || {};
       const newImageUrl = data.profile_image || (data.user && data.user.profile_image) || null;
 
       if (newImageUrl) {
@@ -238,6 +223,9 @@ const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserIn
     return name.charAt(0).toUpperCase() || 'U';
   };
 
+  // The live stream carries all of these at once, so it needs access to each
+  const canStreamVitals = STREAM_METRICS.every(metric => canViewMetric(permissions, metric));
+
   // Check if viewing own profile
   const isOwnProfile = !selectedUserId || selectedUserId === userData?.id;
 
@@ -393,148 +381,166 @@ const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserIn
               <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
                 <h3 className={`text-base md:text-lg font-semibold ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Health Statistics</h3>
                 <div className="flex items-center gap-2">
-                  <button
-                    onClick={() => setShowHealthDashboard(true)}
-                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 transition-colors"
-                  >
-                    <Activity className="w-4 h-4" />
-                    Real time data
-                  </button>
-                  <button
-                    onClick={() => setShowECGModal(true)}
-                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-red-100 text-red-700 hover:bg-red-200 transition-colors"
-                  >
-                    <Heart className="w-4 h-4" />
-                    ECG
-                  </button>
+                  {canStreamVitals && (
+                    <button
+                      onClick={() => setShowHealthDashboard(true)}
+                      className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 transition-colors"
+                    >
+                      <Activity className="w-4 h-4" />
+                      Real time data
+                    </button>
+                  )}
+                  {canViewMetric(permissions, 'heart_rate') && (
+                    <button
+                      onClick={() => setShowECGModal(true)}
+                      className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-red-100 text-red-700 hover:bg-red-200 transition-colors"
+                    >
+                      <Heart className="w-4 h-4" />
+                      ECG
+                    </button>
+                  )}
                 </div>
               </div>
               <div className="grid grid-cols-2 md:grid-cols-7 gap-4">
                 {/* Heart Rate */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-red-500">
-                    {heartRateData && Array.isArray(heartRateData) && heartRateData.length > 0
-                      ? heartRateData[heartRateData.length - 1]?.once_heart_value
-                      : '—'
-                    }
-                  </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Heart Rate</div>
-                  <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>BPM</div>
-                  {heartRateData && heartRateData.length > 0 && heartRateData[heartRateData.length - 1]?.date && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-red-900/30 text-red-400' : 'bg-red-50 text-red-500'}`}>
-                      {new Date(heartRateData[heartRateData.length - 1].date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                {canViewMetric(permissions, 'heart_rate') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-red-500">
+                      {heartRateData && Array.isArray(heartRateData) && heartRateData.length > 0
+                        ? heartRateData[heartRateData.length - 1]?.once_heart_value
+                        : '—'
+                      }
                     </div>
-                  )}
-                </div>
-                {/* Sleep Score */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-indigo-500">
-                    {sleepData && sleepData.length > 0
-                      ? (() => {
-                          const d = sleepData[0];
-                          if (d.sleep_score) return d.sleep_score;
-                          let score = 0;
-                          const dur = d.duration;
-                          if (dur >= 7 && dur <= 9) score += 30;
-                          else if (dur >= 6 && dur <= 10) score += 20;
-                          else score += 10;
-                          const deep = d.deep_sleep_percentage;
-                          if (deep >= 15 && deep <= 20) score += 25;
-                          else if (deep >= 10 && deep <= 25) score += 15;
-                          else score += 5;
-                          const light = d.light_sleep_percentage;
-                          if (light >= 45 && light <= 55) score += 25;
-                          else if (light >= 40 && light <= 60) score += 15;
-                          else score += 5;
-                          const awake = d.awake_percentage;
-                          if (awake < 5) score += 20;
-                          else if (awake < 10) score += 10;
-                          else score += 5;
-                          return Math.min(score, 100);
-                        })()
-                      : '—'
-                    }
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Heart Rate</div>
+                    <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>BPM</div>
+                    {heartRateData && heartRateData.length > 0 && heartRateData[heartRateData.length - 1]?.date && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-red-900/30 text-red-400' : 'bg-red-50 text-red-500'}`}>
+                        {new Date(heartRateData[heartRateData.length - 1].date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Sleep Score</div>
-                  <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>/100</div>
-                  {sleepData && sleepData.length > 0 && sleepData[0]?.date && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-indigo-900/30 text-indigo-400' : 'bg-indigo-50 text-indigo-500'}`}>
-                      {new Date(sleepData[0].date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                )}
+                {/* Sleep Score */}
+                {canViewMetric(permissions, 'sleep') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-indigo-500">
+                      {sleepData && sleepData.length > 0
+                        ? (() => {
+                            const d = sleepData[0];
+                            if (d.sleep_score) return d.sleep_score;
+                            let score = 0;
+                            const dur = d.duration;
+                            if (dur >= 7 && dur <= 9) score += 30;
+                            else if (dur >= 6 && dur <= 10) score += 20;
+                            else score += 10;
+                            const deep = d.deep_sleep_percentage;
+                            if (deep >= 15 && deep <= 20) score += 25;
+                            else if (deep >= 10 && deep <= 25) score += 15;
+                            else score += 5;
+                            const light = d.light_sleep_percentage;
+                            if (light >= 45 && light <= 55) score += 25;
+                            else if (light >= 40 && light <= 60) score += 15;
+                            else score += 5;
+                            const awake = d.awake_percentage;
+                            if (awake < 5) score += 20;
+                            else if (awake < 10) score += 10;
+                            else score += 5;
+                            return Math.min(score, 100);
+                          })()
+                        : '—'
+                      }
                     </div>
-                  )}
-                </div>
-                {/* Daily Steps */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-green-500">
-                    {stepsData?.step ? stepsData.step.toLocaleString() : '—'}
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Sleep Score</div>
+                    <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>/100</div>
+                    {sleepData && sleepData.length > 0 && sleepData[0]?.date && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-indigo-900/30 text-indigo-400' : 'bg-indigo-50 text-indigo-500'}`}>
+                        {new Date(sleepData[0].date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Daily Steps</div>
-                  {stepsData?.date && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-green-900/30 text-green-400' : 'bg-green-50 text-green-600'}`}>
-                      {new Date(stepsData.date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                )}
+                {/* Daily Steps */}
+                {canViewMetric(permissions, 'steps') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-green-500">
+                      {stepsData?.step ? stepsData.step.toLocaleString() : '—'}
                     </div>
-                  )}
-                </div>
-                {/* Blood Oxygen */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-blue-500">
-                    {spo2Data && Array.isArray(spo2Data) && spo2Data.length > 0
-                      ? spo2Data[spo2Data.length - 1]?.Blood_oxygen
-                      : '—'
-                    }%
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Daily Steps</div>
+                    {stepsData?.date && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-green-900/30 text-green-400' : 'bg-green-50 text-green-600'}`}>
+                        {new Date(stepsData.date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Blood Oxygen</div>
-                  {spo2Data && spo2Data.length > 0 && (spo2Data[spo2Data.length - 1]?.date || spo2Data[spo2Data.length - 1]?.measure_time) && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-blue-900/30 text-blue-400' : 'bg-blue-50 text-blue-500'}`}>
-                      {new Date(spo2Data[spo2Data.length - 1].date || spo2Data[spo2Data.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                )}
+                {/* Blood Oxygen */}
+                {canViewMetric(permissions, 'spo2') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-blue-500">
+                      {spo2Data && Array.isArray(spo2Data) && spo2Data.length > 0
+                        ? spo2Data[spo2Data.length - 1]?.Blood_oxygen
+                        : '—'
+                      }%
                     </div>
-                  )}
-                </div>
-                {/* Blood Pressure */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-red-600">
-                    {bloodPressureData && Array.isArray(bloodPressureData) && bloodPressureData.length > 0
-                      ? `${bloodPressureData[bloodPressureData.length - 1]?.sbp}/${bloodPressureData[bloodPressureData.length - 1]?.dbp}`
-                      : '—'
-                    }
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Blood Oxygen</div>
+                    {spo2Data && spo2Data.length > 0 && (spo2Data[spo2Data.length - 1]?.date || spo2Data[spo2Data.length - 1]?.measure_time) && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-blue-900/30 text-blue-400' : 'bg-blue-50 text-blue-500'}`}>
+                        {new Date(spo2Data[spo2Data.length - 1].date || spo2Data[spo2Data.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>SBP/DBP</div>
-                  {bloodPressureData && bloodPressureData.length > 0 && (bloodPressureData[bloodPressureData.length - 1]?.date || bloodPressureData[bloodPressureData.length - 1]?.measure_time) && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-red-900/30 text-red-400' : 'bg-red-50 text-red-500'}`}>
-                      {new Date(bloodPressureData[bloodPressureData.length - 1].date || bloodPressureData[bloodPressureData.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                )}
+                {/* Blood Pressure */}
+                {canViewMetric(permissions, 'blood_pressure') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-red-600">
+                      {bloodPressureData && Array.isArray(bloodPressureData) && bloodPressureData.length > 0
+                        ? `${bloodPressureData[bloodPressureData.length - 1]?.sbp}/${bloodPressureData[bloodPressureData.length - 1]?.dbp}`
+                        : '—'
+                      }
                     </div>
-                  )}
-                </div>
-                {/* Stress */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-purple-500">
-                    {stressData && Array.isArray(stressData) && stressData.length > 0
-                      ? stressData[stressData.length - 1]?.stress
-                      : '—'
-                    }
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>SBP/DBP</div>
+                    {bloodPressureData && bloodPressureData.length > 0 && (bloodPressureData[bloodPressureData.length - 1]?.date || bloodPressureData[bloodPressureData.length - 1]?.measure_time) && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-red-900/30 text-red-400' : 'bg-red-50 text-red-500'}`}>
+                        {new Date(bloodPressureData[bloodPressureData.length - 1].date || bloodPressureData[bloodPressureData.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Stress Level</div>
-                  {stressData && stressData.length > 0 && (stressData[stressData.length - 1]?.date || stressData[stressData.length - 1]?.measure_time) && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-purple-900/30 text-purple-400' : 'bg-purple-50 text-purple-500'}`}>
-                      {new Date(stressData[stressData.length - 1].date || stressData[stressData.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                )}
+                {/* Stress */}
+                {canViewMetric(permissions, 'stress') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-purple-500">
+                      {stressData && Array.isArray(stressData) && stressData.length > 0
+                        ? stressData[stressData.length - 1]?.stress
+                        : '—'
+                      }
                     </div>
-                  )}
-                </div>
-                {/* HRV */}
-                <div className="text-center">
-                  <div className="text-lg md:text-2xl font-bold text-teal-500">
-                    {hrvData && Array.isArray(hrvData) && hrvData.length > 0
-                      ? hrvData[hrvData.length - 1]?.hrv
-                      : '—'
-                    }
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Stress Level</div>
+                    {stressData && stressData.length > 0 && (stressData[stressData.length - 1]?.date || stressData[stressData.length - 1]?.measure_time) && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-purple-900/30 text-purple-400' : 'bg-purple-50 text-purple-500'}`}>
+                        {new Date(stressData[stressData.length - 1].date || stressData[stressData.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>HRV Score</div>
-                  {hrvData && hrvData.length > 0 && (hrvData[hrvData.length - 1]?.date || hrvData[hrvData.length - 1]?.measure_time) && (
-                    <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-teal-900/30 text-teal-400' : 'bg-teal-50 text-teal-600'}`}>
-                      {new Date(hrvData[hrvData.length - 1].date || hrvData[hrvData.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                )}
+                {/* HRV */}
+                {canViewMetric(permissions, 'hrv') && (
+                  <div className="text-center">
+                    <div className="text-lg md:text-2xl font-bold text-teal-500">
+                      {hrvData && Array.isArray(hrvData) && hrvData.length > 0
+                        ? hrvData[hrvData.length - 1]?.hrv
+                        : '—'
+                      }
                     </div>
-                  )}
-                </div>
+                    <div className={`text-xs md:text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>HRV Score</div>
+                    {hrvData && hrvData.length > 0 && (hrvData[hrvData.length - 1]?.date || hrvData[hrvData.length - 1]?.measure_time) && (
+                      <div className={`text-xs mt-1 px-1.5 py-0.5 rounded-full inline-block ${darkMode ? 'bg-teal-900/30 text-teal-400' : 'bg-teal-50 text-teal-600'}`}>
+                        {new Date(hrvData[hrvData.length - 1].date || hrvData[hrvData.length - 1].measure_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
 
               {/* Hidden data components — same as Home, data feeds into state via callbacks */}
@@ -742,18 +748,19 @@ const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserIn
             )}
 
             {/* Trail Map Section */}
-            <TrailMap
-              darkMode={darkMode}
-              userId={selectedUserId}
-              globalDateFilter={globalDateFilter}
-              globalDateRange={globalDateRange}
-            />
-
-            {/* Medication Section */}
-            <MedicationPage
-              darkMode={darkMode}
-              userId={selectedUserId}
-            />
+            {!permissions || permissions.location ? (
+              <TrailMap
+                darkMode={darkMode}
+                userId={selectedUserId}
+                globalDateFilter={globalDateFilter}
+                globalDateRange={globalDateRange}
+              />
+            ) : (
+              <div className={`rounded-xl md:rounded-2xl p-6 shadow-lg border text-center ${darkMode ? 'bg-gray-800 border-gray-700 text-gray-400' : 'bg-white border-gray-100 text-gray-500'}`}>
+                <MapPin className="w-10 h-10 mx-auto mb-2 opacity-50" />
+                <p className="text-sm">Location is not shared with you.</p>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -848,7 +855,7 @@ const ProfileTab = React.memo(({ darkMode, selectedUserId = null, selectedUserIn
         patientId={selectedUserId && selectedUserId !== userData?.id ? selectedUserId : null}
         patientName={getDisplayName()}
         darkMode={darkMode}
-        accessToken={localStorage.getItem('access_token')}
+        accessToken={getAccessToken()}
       />
 
     </div>
@@ -3,7 +3,9 @@ import { Trash2, AlertTriangle, X, Bell } from 'lucide-react'
 import { useNavigate } from 'react-router-dom'
 import { clearTokens } from '../../lib/tokenManager'
 import { getFcmToken } from '../../lib/firebase'
-import { API_BASE_URL } from '../../lib/api'
+import { deleteAccount } from '../../lib/api'
+import CaregiverAccessList from '../../components/mapping/CaregiverAccessList'
+import FhirExportCard from '../../components/FhirExportCard'
 
 const SettingsTab = ({ darkMode }) => {
   const navigate = useNavigate()
@@ -133,29 +135,10 @@ const SettingsTab = ({ darkMode }) => {
     setIsDeleting(true)
     setDeleteError(null)
     try {
-      const token = localStorage.getItem('access_token')
-      let requestBody = {}
-      if (isAdmin) {
-        requestBody = { id: userData.id }
-      }
-
-      const response = await fetch(`${API_BASE_URL}/api/delete-account/`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: Object.keys(requestBody).length > 0 ? JSON.stringify(requestBody) : undefined
-      })
-
-      if (response.ok) {
-        clearTokens()
-        navigate('/login')
-        alert('Your account has been deleted successfully.')
-      } else {
-        const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.detail || 'Failed to delete account')
-      }
+      await deleteAccount(isAdmin ? userData.id : null)
+      clearTokens()
+      navigate('/login')
+      alert('Your account has been deleted successfully.')
     } catch (error) {
       console.error('Error deleting account:', error)
       setDeleteError(error.message)
@@ -170,6 +153,10 @@ const SettingsTab = ({ darkMode }) => {
     }`}>
       <h3 className={`text-base md:text-lg font-semibold ${darkMode ? 'text-gray-200' : 'text-gray-800'} mb-4`}>Account Settings</h3>
       
+      <CaregiverAccessList darkMode={darkMode} />
+
+      <FhirExportCard darkMode={darkMode} />
+
       {/* FCM Token Test Section */}
       <div className={`p-4 rounded-xl border mb-4 ${
         darkMode ? 'bg-blue-900/20 border-blue-800' : 'bg-blue-50 border-blue-200'
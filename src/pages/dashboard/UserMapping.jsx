@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { UserPlus, Mail, X, Loader2, CheckCircle, XCircle, ArrowRight, Shield, Check, Users, Calendar, DollarSign } from 'lucide-react';
+import { UserPlus, Mail, X, Loader2, CheckCircle, XCircle, ArrowRight, Shield, Check, Users, Calendar, DollarSign, Clock } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
-
-const API_BASE_URL = 'https://jeewanjyoti-backend.smart.org.np'; // Use direct URL for production
+import { getUserMappings, requestUserMapping, initiateMappingPayment } from '../../lib/api';
+import { isAuthenticated } from '../../lib/tokenManager';
+import MappingAccessForm from '../../components/mapping/MappingAccessForm';
+import {
+  getMappingPermissions, describePermissions, isMappingExpired, toAccessFormValue, toAccessPayload,
+} from '../../utils/mappingPermissions';
 
 const UserMappingTab = ({ darkMode }) => {
   const [showAddForm, setShowAddForm] = useState(false);
@@ -12,6 +16,8 @@ const UserMappingTab = ({ darkMode }) => {
   const [errorMessage, setErrorMessage] = useState('');
   const [email, setEmail] = useState('');
   const [otp, setOtp] = useState('');
+  // Access the mapped person is asked to grant; they see it in the OTP email
+  const [access, setAccess] = useState(() => toAccessFormValue());
   
   const [showPaymentSuccess, setShowPaymentSuccess] = useState(false);
   const [paymentVerifying, setPaymentVerifying] = useState(false);
@@ -22,47 +28,10 @@ const UserMappingTab = ({ darkMode }) => {
   const [mappings, setMappings] = useState([]);
   const [loadingMappings, setLoadingMappings] = useState(true);
 
-  const getAccessToken = () => {
-    // Try multiple possible token keys
-    const token = localStorage.getItem('access_token') || 
-                  localStorage.getItem('accessToken') || 
-                  localStorage.getItem('token') ||
-                  localStorage.getItem('authToken');
-    console.log('Retrieved token:', token ? 'Token found' : 'No token found');
-    console.log('Token starts with:', token ? token.substring(0, 20) + '...' : 'N/A');
-    return token;
-  };
-
   const fetchMappings = async () => {
     setLoadingMappings(true);
-    const token = getAccessToken();
-    
-    if (!token) {
-      console.error('No access token found');
-      setLoadingMappings(false);
-      return;
-    }
-
     try {
-      console.log('Fetching mappings from:', `${API_BASE_URL}/api/user-mapping/list/`);
-      const response = await fetch(`${API_BASE_URL}/api/user-mapping/list/`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      console.log('Response status:', response.status);
-      
-      if (response.ok) {
-        const data = await response.json();
-        console.log('Mappings data:', data);
-        setMappings(data);
-      } else {
-        const errorText = await response.text();
-        console.error('Failed to fetch mappings:', response.status, errorText);
-      }
+      setMappings(await getUserMappings());
     } catch (error) {
       console.error('Error fetching mappings:', error);
     } finally {
@@ -79,8 +48,7 @@ const UserMappingTab = ({ darkMode }) => {
     setSubmitStatus(null);
     setErrorMessage('');
 
-    const token = getAccessToken();
-    if (!token) {
+    if (!isAuthenticated()) {
       setSubmitStatus('error');
       setErrorMessage('Authentication required. Please login again.');
       setIsLoading(false);
@@ -88,42 +56,15 @@ const UserMappingTab = ({ darkMode }) => {
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/user-mapping/request/`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: JSON.stringify({ email }),
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        setSubmitStatus('success');
-        setErrorMessage(result.message || 'OTP sent successfully!');
-        
-        setTimeout(() => {
-          setStep(2);
-          setSubmitStatus(null);
-          setErrorMessage('');
-        }, 1500);
-      } else {
-        let errorData;
-        try {
-          errorData = await response.json();
-        } catch (parseError) {
-          errorData = { message: `HTTP ${response.status}: ${response.statusText}` };
-        }
-        
-        let errorMessage = 'Failed to send OTP';
-        if (errorData.detail) {
-          errorMessage = typeof errorData.detail === 'string' ? errorData.detail : JSON.stringify(errorData.detail);
-        } else if (errorData.message) {
-          errorMessage = errorData.message;
-        }
-        
-        throw new Error(errorMessage);
-      }
+      const result = await requestUserMapping(email, toAccessPayload(access));
+      setSubmitStatus('success');
+      setErrorMessage(result?.message || 'OTP sent successfully!');
+
+      setTimeout(() => {
+        setStep(2);
+        setSubmitStatus(null);
+        setErrorMessage('');
+      }, 1500);
     } catch (error) {
       console.error('Error sending OTP:', error);
       setSubmitStatus('error');
@@ -138,8 +79,7 @@ const UserMappingTab = ({ darkMode }) => {
     setSubmitStatus(null);
     setErrorMessage('');
 
-    const token = getAccessToken();
-    if (!token) {
+    if (!isAuthenticated()) {
       setSubmitStatus('error');
       setErrorMessage('Authentication required. Please login again.');
       setIsLoading(false);
@@ -147,42 +87,15 @@ const UserMappingTab = ({ darkMode }) => {
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/user-mapping/payment_initiate/`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: JSON.stringify({ email, otp }),
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        setSubmitStatus('success');
-        setErrorMessage('OTP verified! Redirecting to payment...');
-        
-        if (result.pidx) {
-          const successUrl = `${window.location.origin}/mapping-success`;
-          window.location.href = `https://test-pay.khalti.com/?pidx=${result.pidx}&purchase_order_id=${result.payment_ref}&success_url=${encodeURIComponent(successUrl)}`;
-        } else {
-          throw new Error('Invalid payment initialization response');
-        }
+      const result = await initiateMappingPayment(email, otp);
+      setSubmitStatus('success');
+      setErrorMessage('OTP verified! Redirecting to payment...');
+
+      if (result?.pidx) {
+        const successUrl = `${window.location.origin}/mapping-success`;
+        window.location.href = `https://test-pay.khalti.com/?pidx=${result.pidx}&purchase_order_id=${result.payment_ref}&success_url=${encodeURIComponent(successUrl)}`;
       } else {
-        let errorData;
-        try {
-          errorData = await response.json();
-        } catch (parseError) {
-          errorData = { message: `HTTP ${response.status}: ${response.statusText}` };
-        }
-        
-        let errorMessage = 'Failed to verify OTP';
-        if (errorData.detail) {
-          errorMessage = typeof errorData.detail === 'string' ? errorData.detail : JSON.stringify(errorData.detail);
-        } else if (errorData.message) {
-          errorMessage = errorData.message;
-        }
-        
-        throw new Error(errorMessage);
+        throw new Error('Invalid payment initialization response');
       }
     } catch (error) {
       console.error('Error verifying OTP:', error);
@@ -197,6 +110,7 @@ const UserMappingTab = ({ darkMode }) => {
     if (!isLoading) {
       setEmail('');
       setOtp('');
+      setAccess(toAccessFormValue());
       setStep(1);
       setSubmitStatus(null);
       setErrorMessage('');
@@ -279,6 +193,8 @@ const UserMappingTab = ({ darkMode }) => {
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
               onClick={() => {
+                // Expired access no longer shows the user's data
+                if (isMappingExpired(mapping)) return;
                 console.log('Mapping card clicked:', mapping.mapped_user.id);
                 // Navigate to dashboard with selected user
                 window.location.href = `/dashboard?user=${mapping.mapped_user.id}`;
@@ -334,6 +250,16 @@ const UserMappingTab = ({ darkMode }) => {
                   </span>
                 </div>
 
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center gap-2">
+                    <Clock className="w-4 h-4" />
+                    Access until
+                  </span>
+                  <span className={`font-medium ${isMappingExpired(mapping) ? 'text-red-500' : darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    {mapping.access_expires_at ? formatShortDate(mapping.access_expires_at) : 'No end date'}
+                  </span>
+                </div>
+
                 <div className="flex items-center justify-between">
                   <span className="flex items-center gap-2">
                     <DollarSign className="w-4 h-4" />
@@ -345,6 +271,17 @@ const UserMappingTab = ({ darkMode }) => {
                 </div>
               </div>
 
+              <div className="mt-3 flex flex-wrap gap-1">
+                {describePermissions(getMappingPermissions(mapping)).map((label) => (
+                  <span
+                    key={label}
+                    className={`px-2 py-0.5 rounded-full text-[11px] ${darkMode ? 'bg-violet-500/20 text-violet-300' : 'bg-violet-100 text-violet-700'}`}
+                  >
+                    {label}
+                  </span>
+                ))}
+              </div>
+
               <div className="mt-4 pt-4 border-t border-gray-700/50 flex gap-2">
                 <span className={`px-3 py-1 rounded-full text-xs font-medium ${
                   mapping.is_verified 
@@ -360,6 +297,11 @@ const UserMappingTab = ({ darkMode }) => {
                 }`}>
                   {mapping.is_paid ? '✓ Paid' : '✗ Unpaid'}
                 </span>
+                {isMappingExpired(mapping) && (
+                  <span className="px-3 py-1 rounded-full text-xs font-medium bg-red-500/20 text-red-400">
+                    Access expired
+                  </span>
+                )}
               </div>
             </motion.div>
           ))}
@@ -638,6 +580,17 @@ const UserMappingTab = ({ darkMode }) => {
                           />
                         </div>
 
+                        <div>
+                          <p className={`text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                            <Shield className="inline h-4 w-4 mr-2" />
+                            Access you are requesting
+                          </p>
+                          <p className={`text-xs mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            The user approves this with the OTP and can change or revoke it later from their Settings.
+                          </p>
+                          <MappingAccessForm darkMode={darkMode} value={access} onChange={setAccess} disabled={isLoading} />
+                        </div>
+
                         <motion.button
                           onClick={handleEmailSubmit}
                           disabled={isLoading || !email}
@@ -741,7 +694,7 @@ const UserMappingTab = ({ darkMode }) => {
                           </li>
                           <li className="flex items-start">
                             <span className="mr-2">2️⃣</span>
-                            <span>User receives an OTP for verification</span>
+                            <span>User receives an OTP and the access you asked for</span>
                           </li>
                           <li className="flex items-start">
                             <span className="mr-2">3️⃣</span>
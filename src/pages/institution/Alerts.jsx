@@ -2,23 +2,28 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import {
   Bell, AlertTriangle, ShieldAlert, CheckCircle2, ShieldCheck, Search, Filter,
-  Phone, UserMinus, ToggleLeft, ToggleRight, Settings, Check, RefreshCw, X, Eye, Users
+  Phone, UserMinus, ToggleLeft, ToggleRight, Settings, Check, RefreshCw, X, Eye, Users,
+  Timer, ArrowUpCircle, AlertCircle
 } from 'lucide-react';
-
-
-export default function Alerts({ darkMode = false, alerts = [], setAlerts, thresholds, setThresholds, members = [] }) {
+import { getInstitutionStaff } from '../../lib/api';
+import { getEscalationDue } from '../../hooks/useInstitutionAlerts';
+import { formatRelativeTime, formatCountdown } from '../../utils/relativeTime';
+import { DEFAULT_THRESHOLDS, findThresholdConflict } from '../../utils/alertThresholds';
+import AlertAuditLog from '../../components/institution/AlertAuditLog';
+import ThresholdOverrides from '../../components/institution/ThresholdOverrides';
+
+const isUnresolved = (a) => a.status === 'open' || a.status === 'acknowledged';
+
+export default function Alerts({
+  darkMode = false, alerts = [], alertsLoading = false, alertsError = null, onRefreshAlerts,
+  onAcknowledge, onResolve, onAssign, auditTrail = false, thresholds, thresholdsError = null, onSaveThresholds,
+  thresholdOverrides = [], onSaveOverride, onRemoveOverride, members = [], readOnly = false
+}) {
   const [activeFilterTab, setActiveFilterTab] = useState('active'); // 'all', 'active', 'critical', 'warning', 'resolved'
   const [searchQuery, setSearchQuery] = useState('');
   
   // Local threshold state — mirrors parent, allows slider preview before save
-  const [localThresholds, setLocalThresholds] = useState(thresholds || {
-    hrMax: 120,
-    hrMin: 50,
-    spo2Warning: 92,
-    spo2Critical: 90,
-    tempMax: 38.5,
-    inactivityHours: 12,
-  });
+  const [localThresholds, setLocalThresholds] = useState(thresholds || DEFAULT_THRESHOLDS);
 
   // Keep local state in sync if parent thresholds change externally
   useEffect(() => {
@@ -26,12 +31,34 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
   }, [thresholds]);
   
   const [isSavingThresholds, setIsSavingThresholds] = useState(false);
+  const [thresholdSaveError, setThresholdSaveError] = useState(null);
   const [showToast, setShowToast] = useState('');
   
   // Interactive Resolving Modal
   const [resolvingId, setResolvingId] = useState(null);
   const [resolutionNote, setResolutionNote] = useState('');
 
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [staff, setStaff] = useState([]);
+  const [auditRefreshKey, setAuditRefreshKey] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  // Escalation countdowns and "x mins ago" labels
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  useEffect(() => {
+    if (!onAssign) return;
+    let cancelled = false;
+    getInstitutionStaff()
+      .then(list => { if (!cancelled) setStaff(list); })
+      .catch(err => console.error('Failed to load staff:', err));
+    return () => { cancelled = true; };
+  }, [onAssign]);
+
   // Styles configuration
   const styles = useMemo(() => {
     const cardBg = darkMode ? '#1e293b' : '#ffffff';
@@ -95,10 +122,29 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
     };
   }, [darkMode]);
 
-  // Handle action triggers
-  const handleAcknowledge = (id) => {
-    setAlerts(alerts.map(a => a.id === id ? { ...a, status: 'acknowledged' } : a));
-    setShowToast('Alert acknowledged');
+  // Run a lifecycle action; the parent persists it and records who acted and when
+  const runAction = async (id, action, successMessage) => {
+    setBusyId(id);
+    setActionError(null);
+    try {
+      await action();
+      setShowToast(successMessage);
+      setAuditRefreshKey(k => k + 1);
+      return true;
+    } catch (err) {
+      console.error('Alert action failed:', err);
+      setActionError(err.message || 'Could not update the alert. Please try again.');
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAcknowledge = (id) => runAction(id, () => onAcknowledge(id), 'Alert acknowledged');
+
+  const handleAssign = (id, staffId) => {
+    const person = staff.find(p => String(p.id) === String(staffId));
+    runAction(id, () => onAssign(id, staffId || null), person ? `Alert assigned to ${person.name}` : 'Alert unassigned');
   };
 
   const handleOpenResolveModal = (id) => {
@@ -106,31 +152,41 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
     setResolutionNote('');
   };
 
-  const handleResolveAlert = (e) => {
+  const handleResolveAlert = async (e) => {
     e.preventDefault();
     if (!resolvingId) return;
 
-    setAlerts(alerts.map(a => a.id === resolvingId ? {
-      ...a,
-      status: 'resolved',
-      resolver: 'Supervisor',
-      note: resolutionNote || 'Checked and resolved manually.'
-    } : a));
-
-    setResolvingId(null);
-    setResolutionNote('');
-    setShowToast('Alert successfully resolved');
+    const resolved = await runAction(
+      resolvingId,
+      () => onResolve(resolvingId, resolutionNote || 'Checked and resolved manually.'),
+      'Alert successfully resolved'
+    );
+    if (resolved) {
+      setResolvingId(null);
+      setResolutionNote('');
+    }
   };
 
-  const handleSaveThresholds = (e) => {
+  const handleSaveThresholds = async (e) => {
     e.preventDefault();
+    if (!onSaveThresholds) return;
+    const conflict = findThresholdConflict(localThresholds);
+    if (conflict) {
+      setThresholdSaveError(conflict);
+      return;
+    }
     setIsSavingThresholds(true);
-    setTimeout(() => {
-      // Propagate updated thresholds to the parent so alert scanning re-runs
-      if (setThresholds) setThresholds(localThresholds);
-      setIsSavingThresholds(false);
+    setThresholdSaveError(null);
+    try {
+      // The parent persists the thresholds and re-runs the alert scan with them
+      await onSaveThresholds(localThresholds);
       setShowToast('Threshold criteria updated — alert scan refreshed');
-    }, 800);
+    } catch (err) {
+      console.error('Failed to save thresholds:', err);
+      setThresholdSaveError(err.message || 'Could not save thresholds. Please try again.');
+    } finally {
+      setIsSavingThresholds(false);
+    }
   };
 
   // Toast automatic dismiss
@@ -143,10 +199,11 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
 
   // Compute metrics from live alerts list
   const metrics = useMemo(() => {
-    const active = alerts.filter(a => a.status === 'active' || a.status === 'acknowledged');
+    const active = alerts.filter(isUnresolved);
     const critical = active.filter(a => a.severity === 'critical');
     const warnings = active.filter(a => a.severity === 'warning');
-    const resolvedToday = alerts.filter(a => a.status === 'resolved').length;
+    const today = new Date().toDateString();
+    const resolvedToday = alerts.filter(a => a.status === 'resolved' && a.resolvedAt && new Date(a.resolvedAt).toDateString() === today).length;
     // Members with active vitals data (connected devices)
     const connectedDevices = members.filter(m => !!m.vitals).length;
 
@@ -155,6 +212,7 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
       criticalCount: critical.length,
       warningCount: warnings.length,
       resolvedCount: resolvedToday,
+      resolvedTotal: alerts.filter(a => a.status === 'resolved').length,
       connectedDevices
     };
   }, [alerts, members]);
@@ -163,15 +221,15 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
   const filteredAlerts = useMemo(() => {
     return alerts.filter(a => {
       // Tab filter
-      if (activeFilterTab === 'active' && (a.status !== 'active' && a.status !== 'acknowledged')) return false;
-      if (activeFilterTab === 'critical' && (a.severity !== 'critical' || (a.status !== 'active' && a.status !== 'acknowledged'))) return false;
-      if (activeFilterTab === 'warning' && (a.severity !== 'warning' || (a.status !== 'active' && a.status !== 'acknowledged'))) return false;
+      if (activeFilterTab === 'active' && !isUnresolved(a)) return false;
+      if (activeFilterTab === 'critical' && (a.severity !== 'critical' || !isUnresolved(a))) return false;
+      if (activeFilterTab === 'warning' && (a.severity !== 'warning' || !isUnresolved(a))) return false;
       if (activeFilterTab === 'resolved' && a.status !== 'resolved') return false;
       
       // Search filter
       if (searchQuery.trim()) {
         const query = searchQuery.toLowerCase();
-        return a.member.toLowerCase().includes(query) || a.type.toLowerCase().includes(query) || a.node.toLowerCase().includes(query);
+        return [a.member, a.type, a.node, a.assignedToName].some(v => v && v.toLowerCase().includes(query));
       }
 
       return true;
@@ -258,6 +316,24 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
         <p style={{ fontSize: 12, color: styles.textMuted.color, margin: '2px 0 0 0' }}>Real-time institutional alarm console, threshold monitors, and caretaker actions</p>
       </div>
 
+      {(alertsError || actionError) && (
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: 10, padding: '10px 14px', borderRadius: 12,
+          background: '#ef444415', border: '1px solid #ef444430', color: '#ef4444', fontSize: 12, fontWeight: 600
+        }}>
+          <AlertCircle size={16} />
+          <span style={{ flex: 1 }}>{actionError || alertsError}</span>
+          {onRefreshAlerts && (
+            <button
+              onClick={() => { setActionError(null); onRefreshAlerts(); }}
+              style={{ ...styles.actionBtn, border: 'none', background: '#ef444420', color: '#ef4444', display: 'flex', alignItems: 'center', gap: 4 }}
+            >
+              <RefreshCw size={12} /> Retry
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Stats Counter Banner */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 16 }}>
         {[
@@ -290,7 +366,7 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
                 { id: 'active', label: `Active (${metrics.activeCount})` },
                 { id: 'critical', label: `Critical (${alerts.filter(a => a.severity === 'critical' && a.status !== 'resolved').length})` },
                 { id: 'warning', label: `Warnings (${alerts.filter(a => a.severity === 'warning' && a.status !== 'resolved').length})` },
-                { id: 'resolved', label: `Resolved (${metrics.resolvedCount})` }
+                { id: 'resolved', label: `Resolved (${metrics.resolvedTotal})` }
               ].map(tab => (
                 <button
                   key={tab.id}
@@ -327,7 +403,11 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
 
           {/* List display */}
           <div style={{ display: 'flex', flexDirection: 'column', gap: 12, minHeight: 380, maxHeight: 600, overflowY: 'auto' }}>
-            {filteredAlerts.length === 0 ? (
+            {alertsLoading && alerts.length === 0 ? (
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8, height: 260, color: styles.muted.color, fontSize: 12, fontWeight: 600 }}>
+                <RefreshCw size={16} className="animate-spin" /> Loading alerts...
+              </div>
+            ) : filteredAlerts.length === 0 ? (
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: 260, color: styles.muted.color }}>
                 <CheckCircle2 size={36} color="#10b981" style={{ marginBottom: 12 }} />
                 <div style={{ fontSize: 14, fontWeight: 700 }}>No alerts matching criteria</div>
@@ -338,6 +418,8 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
                 const isCritical = a.severity === 'critical';
                 const isAck = a.status === 'acknowledged';
                 const isResolved = a.status === 'resolved';
+                const isBusy = busyId === a.id;
+                const escalationDue = getEscalationDue(a);
 
                 let accentBg = isResolved ? '#10b98115' : isCritical ? '#ef444415' : '#f59e0b15';
                 let accentCol = isResolved ? '#10b981' : isCritical ? '#ef4444' : '#f59e0b';
@@ -374,6 +456,14 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
                       <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                         <span style={{ fontSize: 13, fontWeight: 700, color: styles.text.color }}>{a.member}</span>
                         <span style={{ fontSize: 10, color: styles.muted.color }}>· {a.node}</span>
+                        {a.escalationLevel > 0 && !isResolved && (
+                          <span style={{
+                            display: 'inline-flex', alignItems: 'center', gap: 3, padding: '1px 6px', borderRadius: 6,
+                            background: '#ef444420', color: '#ef4444', fontSize: 9, fontWeight: 800
+                          }}>
+                            <ArrowUpCircle size={10} /> ESCALATED L{a.escalationLevel}
+                          </span>
+                        )}
                       </div>
                       
                       <div style={{ fontSize: 11, color: styles.muted.color, marginTop: 4 }}>
@@ -383,25 +473,64 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
                         )}
                       </div>
 
+                      {a.rule && (
+                        <div style={{ fontSize: 10, color: styles.textMuted.color, marginTop: 2 }}>
+                          Rule: {a.rule}
+                        </div>
+                      )}
+
+                      {(isAck || isResolved) && a.acknowledgedBy && (
+                        <div style={{ fontSize: 10, color: styles.textMuted.color, marginTop: 4 }}>
+                          Acknowledged by {a.acknowledgedBy} · {formatRelativeTime(a.acknowledgedAt, now)}
+                        </div>
+                      )}
+
+                      {!isResolved && a.assignedToName && (
+                        <div style={{ fontSize: 10, color: styles.textMuted.color, marginTop: 2 }}>
+                          Assigned to <strong style={{ color: styles.text.color }}>{a.assignedToName}</strong>
+                        </div>
+                      )}
+
+                      {escalationDue && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, color: '#f59e0b', fontWeight: 600, marginTop: 2 }}>
+                          <Timer size={11} /> Escalates in {formatCountdown(escalationDue, now)}
+                        </div>
+                      )}
+
                       {/* Display resolver description if resolved */}
                       {isResolved && (
                         <div style={{
                           marginTop: 6, padding: '6px 10px', borderRadius: 8, background: darkMode ? '#0f172a40' : '#ffffff80',
                           border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, fontSize: 10, color: styles.text.color
                         }}>
-                          <strong>Resolved by {a.resolver}:</strong> {a.note}
+                          <strong>Resolved by {a.resolvedBy || 'Staff'}{a.resolvedAt ? ` · ${formatRelativeTime(a.resolvedAt, now)}` : ''}:</strong> {a.note}
                         </div>
                       )}
                     </div>
 
                     {/* Right side controls */}
                     <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 6, flexShrink: 0 }}>
-                      <span style={{ fontSize: 10, color: styles.textMuted.color, fontWeight: 500 }}>{a.time}</span>
-                      
+                      <span style={{ fontSize: 10, color: styles.textMuted.color, fontWeight: 500 }}>{formatRelativeTime(a.createdAt, now)}</span>
+
+                      {!isResolved && onAssign && (
+                        <select
+                          value={a.assignedTo ?? ''}
+                          disabled={isBusy}
+                          onChange={(e) => handleAssign(a.id, e.target.value)}
+                          style={{ ...styles.input, width: 140, padding: '4px 8px', fontSize: 10 }}
+                        >
+                          <option value="">Unassigned</option>
+                          {staff.map(p => (
+                            <option key={p.id} value={p.id}>{p.name}</option>
+                          ))}
+                        </select>
+                      )}
+
                       {!isResolved && (
-                        <div style={{ display: 'flex', gap: 6 }}>
+                        <div style={{ display: 'flex', gap: 6, opacity: isBusy ? 0.6 : 1 }}>
                           {!isAck && (
                             <button
+                              disabled={isBusy}
                               onClick={() => handleAcknowledge(a.id)}
                               style={{
                                 ...styles.actionBtn,
@@ -416,6 +545,7 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
                             </button>
                           )}
                           <button
+                            disabled={isBusy}
                             onClick={() => handleOpenResolveModal(a.id)}
                             style={{
                               ...styles.actionBtn,
@@ -439,142 +569,178 @@ export default function Alerts({ darkMode = false, alerts = [], setAlerts, thres
         </div>
 
         {/* Right Column: Threshold Settings */}
-        <div style={styles.card}>
-          <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 18 }}>
-            <Settings size={16} color="#8b5cf6" />
-            <h3 style={{ fontSize: 14, fontWeight: 700, color: styles.text.color, margin: 0 }}>System Thresholds</h3>
-          </div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+          <div style={styles.card}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 18 }}>
+              <Settings size={16} color="#8b5cf6" />
+              <h3 style={{ fontSize: 14, fontWeight: 700, color: styles.text.color, margin: 0 }}>System Thresholds</h3>
+            </div>
 
-          <form onSubmit={handleSaveThresholds}>
-            <div style={{ display: 'flex', flexDirection: 'column', gap: 14, marginBottom: 20 }}>
+            {(thresholdSaveError || thresholdsError) && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, color: '#ef4444', marginBottom: 14 }}>
+                <AlertCircle size={13} /> {thresholdSaveError || `${thresholdsError} — showing default thresholds.`}
+              </div>
+            )}
+
+            <form onSubmit={handleSaveThresholds}>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 14, marginBottom: 20 }}>
               
-              <div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
-                  <span>HEART RATE UPPER LIMIT</span>
-                  <span style={{ color: '#3b82f6' }}>{localThresholds.hrMax} bpm</span>
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
+                    <span>HEART RATE UPPER LIMIT</span>
+                    <span style={{ color: '#3b82f6' }}>{localThresholds.hrMax} bpm</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="100"
+                    max="160"
+                    value={localThresholds.hrMax}
+                    onChange={(e) => setLocalThresholds({ ...localThresholds, hrMax: parseInt(e.target.value) })}
+                    disabled={readOnly}
+                    style={{ width: '100%', cursor: readOnly ? 'not-allowed' : 'pointer' }}
+                  />
                 </div>
-                <input
-                  type="range"
-                  min="100"
-                  max="160"
-                  value={localThresholds.hrMax}
-                  onChange={(e) => setLocalThresholds({ ...localThresholds, hrMax: parseInt(e.target.value) })}
-                  style={{ width: '100%', cursor: 'pointer' }}
-                />
-              </div>
 
-              <div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
-                  <span>HEART RATE LOWER LIMIT</span>
-                  <span style={{ color: '#3b82f6' }}>{localThresholds.hrMin} bpm</span>
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
+                    <span>HEART RATE LOWER LIMIT</span>
+                    <span style={{ color: '#3b82f6' }}>{localThresholds.hrMin} bpm</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="40"
+                    max="70"
+                    value={localThresholds.hrMin}
+                    onChange={(e) => setLocalThresholds({ ...localThresholds, hrMin: parseInt(e.target.value) })}
+                    disabled={readOnly}
+                    style={{ width: '100%', cursor: readOnly ? 'not-allowed' : 'pointer' }}
+                  />
                 </div>
-                <input
-                  type="range"
-                  min="40"
-                  max="70"
-                  value={localThresholds.hrMin}
-                  onChange={(e) => setLocalThresholds({ ...localThresholds, hrMin: parseInt(e.target.value) })}
-                  style={{ width: '100%', cursor: 'pointer' }}
-                />
-              </div>
 
-              <div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
-                  <span>SpO₂ WARNING LIMIT</span>
-                  <span style={{ color: '#f59e0b' }}>{localThresholds.spo2Warning}%</span>
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
+                    <span>SpO₂ WARNING LIMIT</span>
+                    <span style={{ color: '#f59e0b' }}>{localThresholds.spo2Warning}%</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="90"
+                    max="95"
+                    value={localThresholds.spo2Warning}
+                    onChange={(e) => setLocalThresholds({ ...localThresholds, spo2Warning: parseInt(e.target.value) })}
+                    disabled={readOnly}
+                    style={{ width: '100%', cursor: readOnly ? 'not-allowed' : 'pointer' }}
+                  />
                 </div>
-                <input
-                  type="range"
-                  min="90"
-                  max="95"
-                  value={localThresholds.spo2Warning}
-                  onChange={(e) => setLocalThresholds({ ...localThresholds, spo2Warning: parseInt(e.target.value) })}
-                  style={{ width: '100%', cursor: 'pointer' }}
-                />
-              </div>
 
-              <div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
-                  <span>SpO₂ CRITICAL LIMIT</span>
-                  <span style={{ color: '#ef4444' }}>{localThresholds.spo2Critical}%</span>
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
+                    <span>SpO₂ CRITICAL LIMIT</span>
+                    <span style={{ color: '#ef4444' }}>{localThresholds.spo2Critical}%</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="85"
+                    max="91"
+                    value={localThresholds.spo2Critical}
+                    onChange={(e) => setLocalThresholds({ ...localThresholds, spo2Critical: parseInt(e.target.value) })}
+                    disabled={readOnly}
+                    style={{ width: '100%', cursor: readOnly ? 'not-allowed' : 'pointer' }}
+                  />
                 </div>
-                <input
-                  type="range"
-                  min="85"
-                  max="91"
-                  value={localThresholds.spo2Critical}
-                  onChange={(e) => setLocalThresholds({ ...localThresholds, spo2Critical: parseInt(e.target.value) })}
-                  style={{ width: '100%', cursor: 'pointer' }}
-                />
-              </div>
 
-              <div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
-                  <span>MAX TEMPERATURE LIMIT</span>
-                  <span style={{ color: '#ef4444' }}>{localThresholds.tempMax}°C</span>
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
+                    <span>MAX TEMPERATURE LIMIT</span>
+                    <span style={{ color: '#ef4444' }}>{localThresholds.tempMax}°C</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="37.5"
+                    max="40.0"
+                    step="0.1"
+                    value={localThresholds.tempMax}
+                    onChange={(e) => setLocalThresholds({ ...localThresholds, tempMax: parseFloat(e.target.value) })}
+                    disabled={readOnly}
+                    style={{ width: '100%', cursor: readOnly ? 'not-allowed' : 'pointer' }}
+                  />
                 </div>
-                <input
-                  type="range"
-                  min="37.5"
-                  max="40.0"
-                  step="0.1"
-                  value={localThresholds.tempMax}
-                  onChange={(e) => setLocalThresholds({ ...localThresholds, tempMax: parseFloat(e.target.value) })}
-                  style={{ width: '100%', cursor: 'pointer' }}
-                />
-              </div>
 
-              <div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
-                  <span>MAX INACTIVITY HOUR</span>
-                  <span style={{ color: '#3b82f6' }}>{localThresholds.inactivityHours} hours</span>
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 700, color: styles.muted.color, marginBottom: 4 }}>
+                    <span>MAX INACTIVITY HOUR</span>
+                    <span style={{ color: '#3b82f6' }}>{localThresholds.inactivityHours} hours</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="6"
+                    max="24"
+                    value={localThresholds.inactivityHours}
+                    onChange={(e) => setLocalThresholds({ ...localThresholds, inactivityHours: parseInt(e.target.value) })}
+                    disabled={readOnly}
+                    style={{ width: '100%', cursor: readOnly ? 'not-allowed' : 'pointer' }}
+                  />
                 </div>
-                <input
-                  type="range"
-                  min="6"
-                  max="24"
-                  value={localThresholds.inactivityHours}
-                  onChange={(e) => setLocalThresholds({ ...localThresholds, inactivityHours: parseInt(e.target.value) })}
-                  style={{ width: '100%', cursor: 'pointer' }}
-                />
-              </div>
 
-            </div>
+              </div>
 
-            <button
-              type="submit"
-              disabled={isSavingThresholds}
-              style={{
-                background: 'linear-gradient(135deg, #8b5cf6, #a855f7)',
-                color: '#fff',
-                border: 'none',
-                borderRadius: 10,
-                padding: '10px 16px',
-                fontSize: 12,
-                fontWeight: 700,
-                cursor: 'pointer',
-                width: '100%',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                gap: 6
-              }}
-            >
-              {isSavingThresholds ? (
-                <>
-                  <RefreshCw className="animate-spin" size={14} /> Updating Thresholds...
-                </>
+              {readOnly ? (
+                <div style={{ fontSize: 11, fontWeight: 600, color: styles.muted.color, textAlign: 'center' }}>
+                  Renew your subscription to change thresholds.
+                </div>
               ) : (
-                <>
-                  <Check size={14} /> Apply Settings
-                </>
+                <button
+                  type="submit"
+                  disabled={isSavingThresholds}
+                  style={{
+                    background: 'linear-gradient(135deg, #8b5cf6, #a855f7)',
+                    color: '#fff',
+                    border: 'none',
+                    borderRadius: 10,
+                    padding: '10px 16px',
+                    fontSize: 12,
+                    fontWeight: 700,
+                    cursor: 'pointer',
+                    width: '100%',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: 6
+                  }}
+                >
+                  {isSavingThresholds ? (
+                    <>
+                      <RefreshCw className="animate-spin" size={14} /> Updating Thresholds...
+                    </>
+                  ) : (
+                    <>
+                      <Check size={14} /> Apply Settings
+                    </>
+                  )}
+                </button>
               )}
-            </button>
-          </form>
+            </form>
+          </div>
+
+          {onSaveOverride && (
+            <ThresholdOverrides
+              darkMode={darkMode}
+              overrides={thresholdOverrides}
+              members={members}
+              thresholds={thresholds}
+              onSave={onSaveOverride}
+              onRemove={onRemoveOverride}
+              readOnly={readOnly}
+            />
+          )}
         </div>
 
       </div>
 
+      {auditTrail && (
+        <AlertAuditLog darkMode={darkMode} members={members} refreshKey={auditRefreshKey} />
+      )}
+
     </div>
   );
 }
@@ -0,0 +1,358 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Search, Plus, X, Loader, Wifi, WifiOff, Watch, Router, UserPlus, UserMinus, Trash2, RefreshCw,
+  BatteryFull, BatteryLow, BatteryWarning,
+} from 'lucide-react';
+import { getDeviceHealth, LOW_BATTERY_PERCENT } from '../../utils/deviceHealth';
+import { formatRelativeTime } from '../../utils/relativeTime';
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'offline', label: 'Offline' },
+  { id: 'battery', label: 'Low battery' },
+  { id: 'unassigned', label: 'Unassigned' },
+];
+
+const KINDS = [
+  { id: 'wearable', label: 'Wearable' },
+  { id: 'gateway', label: 'Gateway' },
+];
+
+const EMPTY_DEVICE = { serial: '', name: '', kind: 'wearable', model: '' };
+
+function Modal({ title, onClose, darkMode, children }) {
+  const cardBg = darkMode ? '#1e293b' : '#fff';
+  return (
+    <>
+      <div onClick={onClose} style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.4)', zIndex: 999 }} />
+      <div style={{ position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)', background: cardBg, padding: 24, borderRadius: 16, boxShadow: '0 20px 40px rgba(0,0,0,0.2)', zIndex: 1000, width: 360 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a' }}>{title}</div>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 4 }}>
+            <X size={18} color={darkMode ? '#94a3b8' : '#64748b'} />
+          </button>
+        </div>
+        {children}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Registry of the institution's wearables and gateways: who has which device,
+ * firmware, battery and last sync. Offline and low-battery devices are also
+ * raised as alerts by the dashboard.
+ */
+export default function Devices({
+  devices = [], loading = false, error = null, telemetryError = null, members = [], darkMode = false,
+  onRefresh, onRegister, onRemove, onAssign, onUnassign, readOnly = false,
+}) {
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [showRegister, setShowRegister] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_DEVICE);
+  const [assigning, setAssigning] = useState(null);
+  const [memberId, setMemberId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const cardBg = darkMode ? '#1e293b' : '#fff';
+  const cardBorder = darkMode ? '#334155' : '#f1f5f9';
+  const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
+  const subtleBorder = darkMode ? '#334155' : '#e2e8f0';
+  const textPrimary = darkMode ? '#fff' : '#0f172a';
+  const textSecondary = darkMode ? '#94a3b8' : '#475569';
+  const textMuted = darkMode ? '#64748b' : '#9ca3af';
+  const rowHover = darkMode ? '#0f172a' : '#f8fafc';
+  const inputStyle = { width: '100%', padding: '10px 12px', borderRadius: 8, border: `1px solid ${subtleBorder}`, outline: 'none', fontSize: 13, marginBottom: 12, background: subtleBg, color: textPrimary };
+
+  const rows = useMemo(() => {
+    const now = Date.now();
+    return devices.map((d) => ({ device: d, health: getDeviceHealth(d, now) }));
+  }, [devices]);
+
+  const counts = useMemo(() => ({
+    online: rows.filter((r) => r.health.online).length,
+    offline: rows.filter((r) => !r.health.online && !r.health.unknown).length,
+    battery: rows.filter((r) => r.health.lowBattery).length,
+    unassigned: rows.filter((r) => !r.device.assigned_member_id).length,
+  }), [rows]);
+
+  const query = search.trim().toLowerCase();
+  const visible = rows.filter(({ device, health }) => {
+    if (filter === 'offline' && (health.online || health.unknown)) return false;
+    if (filter === 'battery' && !health.lowBattery) return false;
+    if (filter === 'unassigned' && device.assigned_member_id) return false;
+    if (!query) return true;
+    return [device.serial, device.name, device.assigned_member_name, device.model]
+      .some((v) => v?.toLowerCase().includes(query));
+  });
+
+  // Members who already wear a device are listed last
+  const memberOptions = useMemo(() => {
+    const assigned = new Set(devices.filter((d) => d.kind !== 'gateway').map((d) => d.assigned_member_id).filter(Boolean));
+    return [...members].sort((a, b) => Number(assigned.has(a.user_id)) - Number(assigned.has(b.user_id)))
+      .map((m) => ({ id: m.user_id, label: `${m.full_name || m.user_email}${assigned.has(m.user_id) ? ' (has a device)' : ''}` }));
+  }, [members, devices]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setFormError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setFormError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    if (!draft.serial.trim()) return;
+    const ok = await run(() => onRegister({
+      serial: draft.serial.trim(),
+      name: draft.name.trim() || draft.serial.trim(),
+      kind: draft.kind,
+      model: draft.model.trim() || null,
+    }));
+    if (ok) {
+      setShowRegister(false);
+      setDraft(EMPTY_DEVICE);
+    }
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    if (!memberId) return;
+    const ok = await run(() => onAssign(assigning.id, memberId));
+    if (ok) {
+      setAssigning(null);
+      setMemberId('');
+    }
+  };
+
+  const handleUnassign = async (device) => {
+    if (!window.confirm(`Take ${device.serial} back from ${device.assigned_member_name || 'this member'}?`)) return;
+    try {
+      await onUnassign(device.id);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleRemove = async (device) => {
+    if (!window.confirm(`Remove ${device.serial} from the registry?`)) return;
+    try {
+      await onRemove(device.id);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const closeModals = () => {
+    setShowRegister(false);
+    setAssigning(null);
+    setDraft(EMPTY_DEVICE);
+    setMemberId('');
+    setFormError('');
+  };
+
+  const th = { padding: '12px 16px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: darkMode ? '#94a3b8' : '#6b7280', textTransform: 'uppercase', letterSpacing: '0.05em', borderBottom: `1px solid ${subtleBorder}`, whiteSpace: 'nowrap' };
+  const td = { padding: '14px 16px', fontSize: 13, color: textSecondary };
+  const iconButton = (bg) => ({ padding: 8, borderRadius: 8, background: bg, border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center' });
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      {/* Summary */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12 }}>
+        {[
+          { label: 'Online', value: counts.online, color: '#10b981' },
+          { label: 'Offline', value: counts.offline, color: '#ef4444' },
+          { label: `Battery ≤ ${LOW_BATTERY_PERCENT}%`, value: counts.battery, color: '#f59e0b' },
+          { label: 'Unassigned', value: counts.unassigned, color: '#6b7280' },
+        ].map((s) => (
+          <div key={s.label} style={{ background: cardBg, border: `1px solid ${cardBorder}`, borderRadius: 16, padding: '14px 18px' }}>
+            <div style={{ fontSize: 22, fontWeight: 800, color: s.color }}>{s.value}</div>
+            <div style={{ fontSize: 12, color: textSecondary, marginTop: 2 }}>{s.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, overflow: 'hidden', position: 'relative' }}>
+        {/* Header */}
+        <div style={{ padding: '20px 24px', borderBottom: `1px solid ${cardBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+          <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>Device registry ({devices.length})</div>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+            <div style={{ display: 'flex', background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 10, padding: 2 }}>
+              {FILTERS.map((f) => (
+                <button key={f.id} onClick={() => setFilter(f.id)} style={{
+                  padding: '0 10px', height: 30, borderRadius: 8, border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600,
+                  background: filter === f.id ? '#3b82f6' : 'transparent', color: filter === f.id ? '#fff' : textSecondary,
+                }}>{f.label}</button>
+              ))}
+            </div>
+            <div style={{ position: 'relative' }}>
+              <Search size={14} color={textMuted} style={{ position: 'absolute', left: 12, top: '50%', transform: 'translateY(-50%)' }} />
+              <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Serial, name or member…" style={{
+                paddingLeft: 34, paddingRight: 14, height: 36, background: subtleBg, border: `1px solid ${subtleBorder}`,
+                borderRadius: 10, fontSize: 13, outline: 'none', color: textPrimary, width: 220
+              }} />
+            </div>
+            <button onClick={onRefresh} title="Refresh" style={{ ...iconButton(subtleBg), height: 36, border: `1px solid ${subtleBorder}` }}>
+              <RefreshCw size={14} color={textSecondary} />
+            </button>
+            {!readOnly && (
+              <button onClick={() => setShowRegister(true)} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '0 14px', height: 36, background: '#3b82f6', border: 'none', borderRadius: 10, color: '#fff', fontSize: 13, fontWeight: 700, cursor: 'pointer' }}>
+                <Plus size={14} /> Register device
+              </button>
+            )}
+          </div>
+        </div>
+
+        {showRegister && (
+          <Modal title="Register device" onClose={closeModals} darkMode={darkMode}>
+            <form onSubmit={handleRegister}>
+              <input required value={draft.serial} onChange={e => setDraft({ ...draft, serial: e.target.value })} placeholder="Serial number (e.g. SN-0092)" style={inputStyle} />
+              <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="Name (e.g. Gateway – Ward A)" style={inputStyle} />
+              <input value={draft.model} onChange={e => setDraft({ ...draft, model: e.target.value })} placeholder="Model (optional)" style={inputStyle} />
+              <select value={draft.kind} onChange={e => setDraft({ ...draft, kind: e.target.value })} style={inputStyle}>
+                {KINDS.map((k) => <option key={k.id} value={k.id}>{k.label}</option>)}
+              </select>
+              {formError && <div style={{ fontSize: 11, color: '#ef4444', marginBottom: 12, lineHeight: 1.4 }}>{formError}</div>}
+              <button disabled={busy} type="submit" style={{ width: '100%', padding: 10, borderRadius: 8, background: '#3b82f6', color: '#fff', border: 'none', fontSize: 13, fontWeight: 700, cursor: busy ? 'not-allowed' : 'pointer' }}>
+                {busy ? 'Registering...' : 'Register'}
+              </button>
+            </form>
+          </Modal>
+        )}
+
+        {assigning && (
+          <Modal title={`Assign ${assigning.serial}`} onClose={closeModals} darkMode={darkMode}>
+            <form onSubmit={handleAssign}>
+              <select required value={memberId} onChange={e => setMemberId(e.target.value)} style={inputStyle}>
+                <option value="">Choose a member…</option>
+                {memberOptions.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+              {formError && <div style={{ fontSize: 11, color: '#ef4444', marginBottom: 12, lineHeight: 1.4 }}>{formError}</div>}
+              <button disabled={busy || !memberId} type="submit" style={{ width: '100%', padding: 10, borderRadius: 8, background: '#3b82f6', color: '#fff', border: 'none', fontSize: 13, fontWeight: 700, cursor: busy ? 'not-allowed' : 'pointer', opacity: memberId ? 1 : 0.6 }}>
+                {busy ? 'Assigning...' : 'Assign'}
+              </button>
+            </form>
+          </Modal>
+        )}
+
+        {!loading && !error && telemetryError && (
+          <div style={{ padding: '10px 24px', borderBottom: `1px solid ${cardBorder}`, background: darkMode ? '#78350f30' : '#fffbeb', color: darkMode ? '#fbbf24' : '#92400e', fontSize: 12, fontWeight: 600 }}>
+            {telemetryError}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ padding: 60, display: 'flex', justifyContent: 'center' }}>
+            <Loader className="animate-spin" size={30} color="#3b82f6" />
+          </div>
+        ) : error ? (
+          <div style={{ padding: 60, textAlign: 'center', color: '#ef4444', fontSize: 14, fontWeight: 500 }}>{error}</div>
+        ) : visible.length === 0 ? (
+          <div style={{ padding: 60, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
+            {devices.length ? 'No devices match this filter.' : 'No devices registered yet. Click "Register device" to add one.'}
+          </div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: subtleBg }}>
+                  {['Device', 'Status', 'Battery', 'Last sync', 'Firmware', 'Assigned to', 'Actions'].map(h => (
+                    <th key={h} style={th}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(({ device, health }) => {
+                  const KindIcon = device.kind === 'gateway' ? Router : Watch;
+                  const batteryColor = health.battery == null ? textMuted : health.lowBattery ? '#ef4444' : health.battery <= 40 ? '#f59e0b' : '#10b981';
+                  const BatteryIcon = health.lowBattery ? BatteryWarning : health.battery != null && health.battery <= 40 ? BatteryLow : BatteryFull;
+                  return (
+                    <tr key={device.id} style={{ borderBottom: `1px solid ${cardBorder}` }}
+                      onMouseEnter={e => e.currentTarget.style.background = rowHover}
+                      onMouseLeave={e => e.currentTarget.style.background = ''}>
+                      <td style={td}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                          <div style={{ width: 38, height: 38, borderRadius: 12, background: darkMode ? '#1d4ed820' : '#eff6ff', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                            <KindIcon size={16} color="#3b82f6" />
+                          </div>
+                          <div>
+                            <div style={{ fontSize: 13, fontWeight: 700, color: textPrimary }}>{device.name || device.serial}</div>
+                            <div style={{ fontSize: 11, color: textMuted }}>{device.serial}{device.model ? ` · ${device.model}` : ''}</div>
+                          </div>
+                        </div>
+                      </td>
+                      <td style={td}>
+                        {health.unknown && !health.online ? (
+                          <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 700, padding: '3px 10px', borderRadius: 99, background: subtleBg, color: textMuted }}>
+                            <WifiOff size={11} /> Unknown
+                          </span>
+                        ) : (
+                        <span style={{
+                          display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 700, padding: '3px 10px', borderRadius: 99,
+                          background: health.online ? (darkMode ? '#064e3b' : '#d1fae5') : (darkMode ? '#450a0a' : '#fee2e2'),
+                          color: health.online ? (darkMode ? '#6ee7b7' : '#065f46') : (darkMode ? '#f87171' : '#991b1b'),
+                        }}>
+                          {health.online ? <Wifi size={11} /> : <WifiOff size={11} />}
+                          {health.online ? 'Online' : health.lastSeen ? 'Offline' : 'Never synced'}
+                        </span>
+                        )}
+                      </td>
+                      <td style={td}>
+                        {health.battery == null ? <span style={{ color: darkMode ? '#475569' : '#d1d5db' }}>{health.unknown ? '?' : '—'}</span> : (
+                          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                            <BatteryIcon size={14} color={batteryColor} />
+                            <span style={{ fontWeight: 700, color: textPrimary }}>{health.battery}<span style={{ color: textMuted, fontWeight: 400 }}> %</span></span>
+                          </div>
+                        )}
+                      </td>
+                      <td style={td} title={health.lastSeen ? health.lastSeen.toLocaleString() : ''}>
+                        {health.lastSeen ? formatRelativeTime(health.lastSeen) : '—'}
+                      </td>
+                      <td style={td}>{device.firmware || '—'}</td>
+                      <td style={td}>
+                        {device.assigned_member_id ? (
+                          <span style={{ fontWeight: 600, color: textPrimary }}>{device.assigned_member_name || `Member #${device.assigned_member_id}`}</span>
+                        ) : <span style={{ color: textMuted }}>Unassigned</span>}
+                      </td>
+                      <td style={td}>
+                        {readOnly ? <span style={{ color: textMuted }}>—</span> : (
+                        <div style={{ display: 'flex', gap: 8 }}>
+                          {device.assigned_member_id ? (
+                            <button onClick={() => handleUnassign(device)} title="Unassign" style={iconButton(darkMode ? '#78350f30' : '#fffbeb')}>
+                              <UserMinus size={14} color="#d97706" />
+                            </button>
+                          ) : (
+                            <button onClick={() => { setFormError(''); setAssigning(device); }} title="Assign to member" style={iconButton(darkMode ? '#1d4ed820' : '#eff6ff')}>
+                              <UserPlus size={14} color="#3b82f6" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRemove(device)}
+                            disabled={!!device.assigned_member_id}
+                            title={device.assigned_member_id ? 'Unassign the device before removing it' : 'Remove from registry'}
+                            style={{ ...iconButton(darkMode ? '#7f1d1d20' : '#fef2f2'), opacity: device.assigned_member_id ? 0.4 : 1, cursor: device.assigned_member_id ? 'not-allowed' : 'pointer' }}>
+                            <Trash2 size={14} color="#ef4444" />
+                          </button>
+                        </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Search, Plus, Filter, Download, Heart, Clock, Eye, Trash2, X, Loader, Droplets, Activity, Moon, Zap, BatteryFull, BatteryLow, BatteryWarning } from 'lucide-react';
-import { authenticatedFetch } from '../../lib/tokenManager';
+import { http } from '../../lib/httpClient';
+import { getSeatUsage } from '../../utils/subscriptionBilling';
 
 const STATUS_COLORS = { online: '#10b981', away: '#f59e0b', offline: '#9ca3af' };
 
@@ -40,7 +41,7 @@ function getMemberStatus(m) {
   return 'offline';
 }
 
-export default function Members({ members = [], loading = false, error = null, refreshMembers, onViewVitals, darkMode = false }) {
+export default function Members({ members = [], loading = false, error = null, refreshMembers, onViewVitals, subscription = null, subscriptionLoading = false, onUpgrade, readOnly = false, darkMode = false }) {
   const [search, setSearch] = useState('');
 
   // Add Member Modal State
@@ -59,21 +60,27 @@ export default function Members({ members = [], loading = false, error = null, r
   const textMuted = darkMode ? '#64748b' : '#9ca3af';
   const rowHover = darkMode ? '#0f172a' : '#f8fafc';
 
+  // Members can only be added under an active paid plan with seats left
+  const seats = getSeatUsage(subscription, members.length);
+  const noPlan = !subscription && !subscriptionLoading;
+
   const handleAddMember = async (e) => {
     e.preventDefault();
     if (!newEmail.trim()) return;
+    if (!subscription) {
+      setAddError('You need an active plan to add members. Choose a plan first.');
+      return;
+    }
+    if (seats.full) {
+      setAddError(`Your plan allows ${seats.limit} members. Upgrade it to add more.`);
+      return;
+    }
     try {
       setIsAdding(true);
       setAddError('');
-      const res = await authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/instutionmember/', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: newEmail.trim() })
+      await http.post('/api/instutionmember/', { email: newEmail.trim() }, {
+        errorMessage: 'Failed to add member. They may not exist or are already added.',
       });
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || errData.error || 'Failed to add member. They may not exist or are already added.');
-      }
       setNewEmail('');
       setShowAddModal(false);
       if (refreshMembers) refreshMembers(); // refresh list
@@ -87,10 +94,7 @@ export default function Members({ members = [], loading = false, error = null, r
   const handleDeleteMember = async (id) => {
     if (!window.confirm("Are you sure you want to remove this member?")) return;
     try {
-      const res = await authenticatedFetch(`https://jeewanjyoti-backend.smart.org.np/api/instutionmember/${id}/`, {
-        method: 'DELETE'
-      });
-      if (!res.ok) throw new Error('Failed to delete member');
+      await http.delete(`/api/instutionmember/${id}/`, { errorMessage: 'Failed to delete member' });
       if (refreshMembers) refreshMembers(); // refresh list
     } catch (err) {
       alert(err.message);
@@ -106,7 +110,19 @@ export default function Members({ members = [], loading = false, error = null, r
     <div style={{ background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`, overflow: 'hidden', position: 'relative' }}>
       {/* Header */}
       <div style={{ padding: '20px 24px', borderBottom: `1px solid ${cardBorder}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
-        <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>Institution Members ({members.length})</div>
+        <div style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>
+          Institution Members ({members.length})
+          {seats.limit != null && (
+            <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 600, color: seats.full ? '#ef4444' : textMuted }}>
+              {seats.used} of {seats.limit} seats used
+            </span>
+          )}
+          {noPlan && (
+            <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 600, color: '#ef4444' }}>
+              No active plan
+            </span>
+          )}
+        </div>
         <div style={{ display: 'flex', gap: 8 }}>
           <div style={{ position: 'relative' }}>
             <Search size={14} color={textMuted} style={{ position: 'absolute', left: 12, top: '50%', transform: 'translateY(-50%)' }} />
@@ -115,9 +131,11 @@ export default function Members({ members = [], loading = false, error = null, r
               borderRadius: 10, fontSize: 13, outline: 'none', color: textPrimary, width: 220
             }} />
           </div>
-          <button onClick={() => setShowAddModal(true)} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '0 14px', height: 36, background: '#3b82f6', border: 'none', borderRadius: 10, color: '#fff', fontSize: 13, fontWeight: 700, cursor: 'pointer' }}>
-            <Plus size={14} /> Add Member
-          </button>
+          {!readOnly && (
+            <button onClick={() => setShowAddModal(true)} disabled={subscriptionLoading} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '0 14px', height: 36, background: '#3b82f6', border: 'none', borderRadius: 10, color: '#fff', fontSize: 13, fontWeight: 700, cursor: subscriptionLoading ? 'wait' : 'pointer', opacity: subscriptionLoading ? 0.6 : 1 }}>
+              <Plus size={14} /> Add Member
+            </button>
+          )}
         </div>
       </div>
 
@@ -132,6 +150,29 @@ export default function Members({ members = [], loading = false, error = null, r
                 <X size={18} color={darkMode ? '#94a3b8' : '#64748b'} />
               </button>
             </div>
+          {!subscription ? (
+            <div>
+              <div style={{ fontSize: 13, color: textSecondary, lineHeight: 1.5, marginBottom: 14 }}>
+                Your institution has no active plan. Choose a plan to start adding members.
+              </div>
+              {onUpgrade && (
+                <button onClick={onUpgrade} style={{ width: '100%', padding: 10, borderRadius: 8, background: '#3b82f6', color: '#fff', border: 'none', fontSize: 13, fontWeight: 700, cursor: 'pointer' }}>
+                  View plans
+                </button>
+              )}
+            </div>
+          ) : seats.full ? (
+            <div>
+              <div style={{ fontSize: 13, color: textSecondary, lineHeight: 1.5, marginBottom: 14 }}>
+                All {seats.limit} seats on your {subscription.package_name} plan are in use. Upgrade your plan or remove a member to add someone new.
+              </div>
+              {onUpgrade && (
+                <button onClick={onUpgrade} style={{ width: '100%', padding: 10, borderRadius: 8, background: '#3b82f6', color: '#fff', border: 'none', fontSize: 13, fontWeight: 700, cursor: 'pointer' }}>
+                  View plans
+                </button>
+              )}
+            </div>
+          ) : (
           <form onSubmit={handleAddMember}>
             <input
               type="email"
@@ -146,6 +187,7 @@ export default function Members({ members = [], loading = false, error = null, r
               {isAdding ? 'Adding...' : 'Add Member'}
             </button>
           </form>
+          )}
           </div>
         </>
       )}
@@ -158,7 +200,7 @@ export default function Members({ members = [], loading = false, error = null, r
         <div style={{ padding: 60, textAlign: 'center', color: '#ef4444', fontSize: 14, fontWeight: 500 }}>{error}</div>
       ) : filtered.length === 0 ? (
         <div style={{ padding: 60, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
-          {search ? 'No members found matching your search.' : 'No members found. Click "Add Member" to invite someone.'}
+          {search ? 'No members found matching your search.' : readOnly ? 'No members found.' : 'No members found. Click "Add Member" to invite someone.'}
         </div>
       ) : (
         <div style={{ overflowX: 'auto' }}>
@@ -289,12 +331,14 @@ export default function Members({ members = [], loading = false, error = null, r
                         style={{ padding: 8, borderRadius: 8, background: darkMode ? '#1d4ed820' : '#eff6ff', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center' }}>
                         <Eye size={14} color="#3b82f6" />
                       </button>
-                      <button
-                        onClick={() => handleDeleteMember(m.id)}
-                        title="Remove Member"
-                        style={{ padding: 8, borderRadius: 8, background: darkMode ? '#7f1d1d20' : '#fef2f2', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center' }}>
-                        <Trash2 size={14} color="#ef4444" />
-                      </button>
+                      {!readOnly && (
+                        <button
+                          onClick={() => handleDeleteMember(m.id)}
+                          title="Remove Member"
+                          style={{ padding: 8, borderRadius: 8, background: darkMode ? '#7f1d1d20' : '#fef2f2', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center' }}>
+                          <Trash2 size={14} color="#ef4444" />
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Heart, Droplets, Activity, Brain, BatteryFull, BatteryLow, Maximize2, Minimize2, Loader } from 'lucide-react';
+import useWardVitals from '../../hooks/useWardVitals';
+import { resolveMemberThresholds } from '../../utils/alertThresholds';
+import { getMemberSnapshot, assessSnapshot, compareBySeverity } from '../../utils/monitoringWall';
+import { formatRelativeTime } from '../../utils/relativeTime';
+
+// Re-check staleness this often even when no readings arrive
+const STALE_TICK_MS = 15000;
+
+const SEVERITY = {
+  critical: { label: 'Critical', color: '#ef4444' },
+  warning: { label: 'Warning', color: '#f59e0b' },
+  normal: { label: 'Stable', color: '#10b981' },
+  stale: { label: 'No recent data', color: '#94a3b8' },
+  nodata: { label: 'No data', color: '#cbd5e1' },
+};
+
+const LEVEL_COLORS = { critical: '#ef4444', warning: '#f59e0b' };
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'attention', label: 'Needs attention' },
+];
+
+const SORTS = [
+  { id: 'severity', label: 'Severity' },
+  { id: 'name', label: 'Name' },
+];
+
+const STREAM_LABELS = { connecting: 'Connecting…', live: 'Live', reconnecting: 'Reconnecting…', offline: 'Offline' };
+
+const memberName = (m) => m.full_name || m.user_email || 'Unknown Member';
+
+function Metric({ icon, label, value, unit, level, textPrimary, textMuted }) {
+  const color = LEVEL_COLORS[level];
+  return (
+    <div style={{ minWidth: 0 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, fontWeight: 700, color: textMuted, textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+        {React.createElement(icon, { size: 11, color: color || textMuted })}
+        {label}
+      </div>
+      <div style={{ fontSize: 20, fontWeight: 800, color: color || textPrimary, fontVariantNumeric: 'tabular-nums', lineHeight: 1.3, whiteSpace: 'nowrap' }}>
+        {value ?? '—'}
+        {value != null && unit && <span style={{ fontSize: 11, fontWeight: 500, color: textMuted, marginLeft: 2 }}>{unit}</span>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Ward-station view of every institution member at once: latest vitals on a
+ * card per member, coloured against the institution thresholds and updated live
+ * from the vitals socket. Kiosk mode takes the wall full screen for a monitor.
+ */
+export default function MonitoringWall({
+  members = [], loading = false, error = null, thresholds, thresholdOverrides = [], devices = [],
+  darkMode = false, onViewVitals,
+}) {
+  const [filter, setFilter] = useState('all');
+  const [sort, setSort] = useState('severity');
+  const [kiosk, setKiosk] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const wallRef = useRef(null);
+
+  const userIds = useMemo(() => members.map((m) => m.user_id), [members]);
+  const { latest, status } = useWardVitals(userIds);
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), STALE_TICK_MS);
+    return () => clearInterval(t);
+  }, []);
+
+  // Leaving browser full screen (Esc, F11) also leaves kiosk mode
+  useEffect(() => {
+    const onChange = () => { if (!document.fullscreenElement) setKiosk(false); };
+    document.addEventListener('fullscreenchange', onChange);
+    return () => document.removeEventListener('fullscreenchange', onChange);
+  }, []);
+
+  const enterKiosk = () => {
+    setKiosk(true);
+    wallRef.current?.requestFullscreen?.().catch(() => { /* stays as a full-window overlay */ });
+  };
+
+  const exitKiosk = useCallback(() => {
+    setKiosk(false);
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!kiosk) return undefined;
+    const onKey = (e) => { if (e.key === 'Escape') exitKiosk(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [kiosk, exitKiosk]);
+
+  const cards = useMemo(() => {
+    const deviceByMember = new Map(
+      devices.filter((d) => d.assigned_member_id && d.kind !== 'gateway').map((d) => [String(d.assigned_member_id), d])
+    );
+    return members.map((m) => {
+      const snapshot = getMemberSnapshot(m, latest[m.user_id], deviceByMember.get(String(m.user_id)));
+      const resolved = resolveMemberThresholds(m, thresholds, thresholdOverrides);
+      return { member: m, snapshot, ...assessSnapshot(snapshot, resolved, now) };
+    });
+  }, [members, latest, devices, thresholds, thresholdOverrides, now]);
+
+  const counts = useMemo(() => {
+    const byLevel = { critical: 0, warning: 0, normal: 0, stale: 0 };
+    cards.forEach((c) => { byLevel[c.severity === 'nodata' ? 'stale' : c.severity]++; });
+    return byLevel;
+  }, [cards]);
+
+  const visible = useMemo(() => {
+    const list = filter === 'attention'
+      ? cards.filter((c) => c.severity === 'critical' || c.severity === 'warning')
+      : [...cards];
+    return list.sort(sort === 'name'
+      ? (a, b) => memberName(a.member).localeCompare(memberName(b.member))
+      : compareBySeverity);
+  }, [cards, filter, sort]);
+
+  // Kiosk mode is always dark: it runs on ward monitors all day
+  const dark = darkMode || kiosk;
+  const cardBg = dark ? '#1e293b' : '#fff';
+  const cardBorder = dark ? '#334155' : '#f1f5f9';
+  const subtleBg = dark ? '#0f172a' : '#f8fafc';
+  const subtleBorder = dark ? '#334155' : '#e2e8f0';
+  const textPrimary = dark ? '#fff' : '#0f172a';
+  const textSecondary = dark ? '#94a3b8' : '#475569';
+  const textMuted = dark ? '#64748b' : '#9ca3af';
+
+  const openMember = (m) => {
+    if (kiosk) exitKiosk();
+    onViewVitals?.(m.user_id, m.full_name, m.profile_image);
+  };
+
+  const toggleGroup = (options, value, onChange) => (
+    <div style={{ display: 'flex', background: subtleBg, border: `1px solid ${subtleBorder}`, borderRadius: 10, padding: 2 }}>
+      {options.map((o) => (
+        <button key={o.id} onClick={() => onChange(o.id)} style={{
+          padding: '0 10px', height: 30, borderRadius: 8, border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600,
+          background: value === o.id ? '#3b82f6' : 'transparent', color: value === o.id ? '#fff' : textSecondary,
+        }}>{o.label}</button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div ref={wallRef} style={kiosk ? {
+      position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, zIndex: 2000, background: '#0f172a', padding: 24, overflowY: 'auto',
+    } : undefined}>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 14, flexWrap: 'wrap' }}>
+            <div style={{ fontSize: kiosk ? 20 : 15, fontWeight: 800, color: textPrimary }}>Monitoring wall ({members.length})</div>
+            <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 12, fontWeight: 600, color: textSecondary }}>
+              <span style={{ width: 8, height: 8, borderRadius: '50%', background: status === 'live' ? '#10b981' : '#94a3b8' }} />
+              {STREAM_LABELS[status]}
+            </span>
+            {[
+              { level: 'critical', value: counts.critical },
+              { level: 'warning', value: counts.warning },
+              { level: 'normal', value: counts.normal },
+              { level: 'stale', value: counts.stale },
+            ].map((s) => (
+              <span key={s.level} style={{ fontSize: 12, fontWeight: 700, padding: '3px 10px', borderRadius: 99, background: `${SEVERITY[s.level].color}20`, color: SEVERITY[s.level].color }}>
+                {s.value} {SEVERITY[s.level].label}
+              </span>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+            {toggleGroup(FILTERS, filter, setFilter)}
+            {toggleGroup(SORTS, sort, setSort)}
+            <button onClick={kiosk ? exitKiosk : enterKiosk} title={kiosk ? 'Exit kiosk mode (Esc)' : 'Kiosk mode'} style={{
+              display: 'flex', alignItems: 'center', gap: 6, padding: '0 14px', height: 36, borderRadius: 10, cursor: 'pointer', fontSize: 13, fontWeight: 700,
+              background: kiosk ? subtleBg : '#3b82f6', border: kiosk ? `1px solid ${subtleBorder}` : 'none', color: kiosk ? textSecondary : '#fff',
+            }}>
+              {kiosk ? <Minimize2 size={14} /> : <Maximize2 size={14} />}
+              {kiosk ? 'Exit kiosk' : 'Kiosk mode'}
+            </button>
+          </div>
+        </div>
+
+        {/* Grid */}
+        {loading && !members.length ? (
+          <div style={{ padding: 60, display: 'flex', justifyContent: 'center' }}>
+            <Loader size={22} color={textMuted} style={{ animation: 'spin 1s linear infinite' }} />
+          </div>
+        ) : error && !members.length ? (
+          <div style={{ padding: 40, textAlign: 'center', fontSize: 13, color: '#ef4444' }}>{error}</div>
+        ) : !visible.length ? (
+          <div style={{ padding: 40, textAlign: 'center', fontSize: 13, color: textMuted, background: cardBg, border: `1px solid ${cardBorder}`, borderRadius: 16 }}>
+            {filter === 'attention' ? 'No member needs attention right now.' : 'No members yet.'}
+          </div>
+        ) : (
+          <div style={{ display: 'grid', gridTemplateColumns: `repeat(auto-fill, minmax(${kiosk ? 260 : 220}px, 1fr))`, gap: 12 }}>
+            {visible.map(({ member: m, snapshot, severity, levels, reasons }) => {
+              const sev = SEVERITY[severity];
+              const Battery = levels.battery === 'normal' ? BatteryFull : BatteryLow;
+              return (
+                <button key={m.user_id} onClick={() => openMember(m)} title={`Open ${memberName(m)}'s vitals`} style={{
+                  textAlign: 'left', cursor: 'pointer', background: cardBg, border: `1px solid ${cardBorder}`,
+                  borderLeft: `4px solid ${sev.color}`, borderRadius: 14, padding: '14px 16px',
+                  display: 'flex', flexDirection: 'column', gap: 12, fontFamily: 'inherit',
+                  boxShadow: severity === 'critical' ? `0 0 0 2px ${sev.color}40` : 'none',
+                }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8, width: '100%' }}>
+                    <div style={{ minWidth: 0 }}>
+                      <div style={{ fontSize: 14, fontWeight: 700, color: textPrimary, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{memberName(m)}</div>
+                      <div style={{ fontSize: 11, color: textMuted }}>
+                        {snapshot.updatedAt ? `Updated ${formatRelativeTime(snapshot.updatedAt, now)}` : 'No readings yet'}
+                      </div>
+                    </div>
+                    <span style={{ fontSize: 10, fontWeight: 800, padding: '2px 8px', borderRadius: 99, background: `${sev.color}20`, color: sev.color, whiteSpace: 'nowrap', textTransform: 'uppercase' }}>
+                      {sev.label}
+                    </span>
+                  </div>
+
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 10, width: '100%' }}>
+                    <Metric icon={Heart} label="HR" value={snapshot.heartRate} unit="bpm" level={levels.heartRate} textPrimary={textPrimary} textMuted={textMuted} />
+                    <Metric icon={Droplets} label="SpO₂" value={snapshot.spo2} unit="%" level={levels.spo2} textPrimary={textPrimary} textMuted={textMuted} />
+                    <Metric
+                      icon={Activity}
+                      label="BP"
+                      value={snapshot.systolic != null && snapshot.diastolic != null ? `${snapshot.systolic}/${snapshot.diastolic}` : null}
+                      level={levels.bp}
+                      textPrimary={textPrimary}
+                      textMuted={textMuted}
+                    />
+                    <Metric icon={Brain} label="Stress" value={snapshot.stress} level={levels.stress} textPrimary={textPrimary} textMuted={textMuted} />
+                    <Metric icon={Battery} label="Battery" value={snapshot.battery} unit="%" level={levels.battery} textPrimary={textPrimary} textMuted={textMuted} />
+                  </div>
+
+                  {reasons.length > 0 && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                      {reasons.map((r) => (
+                        <span key={r.text} style={{ fontSize: 10, fontWeight: 700, padding: '2px 6px', borderRadius: 6, background: `${LEVEL_COLORS[r.severity]}18`, color: LEVEL_COLORS[r.severity] }}>
+                          {r.text}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
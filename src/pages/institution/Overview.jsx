@@ -6,7 +6,7 @@
 import React, { useState, useEffect, memo } from 'react';
 import {
   Users, Activity, FileText, AlertTriangle,
-  TrendingUp, TrendingDown, Wifi, WifiOff, Zap, ChevronRight,
+  TrendingUp, TrendingDown, Wifi, WifiOff, Zap, ChevronRight, CreditCard,
 } from 'lucide-react';
 import {
   AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell,
@@ -18,6 +18,9 @@ import useMemberGrowth from '../../hooks/useMemberGrowth';
 import useActiveInactiveUsers from '../../hooks/useActiveInactiveUsers';
 import useAgeDistribution from '../../hooks/useAgeDistribution';
 import useActiveInactiveByAge from '../../hooks/useActiveInactiveByAge';
+import { formatRelativeTime } from '../../utils/relativeTime';
+import { getDeviceHealth } from '../../utils/deviceHealth';
+import { getSeatUsage } from '../../utils/subscriptionBilling';
 import useWeekComparison from '../../hooks/useWeekComparison';
 
 // ─── Static demo data (replace with real API calls as needed) ────────────────
@@ -41,13 +44,6 @@ const RADAR_DATA = [
   { metric: 'ECG',        A: 30 },
 ];
 
-const DEVICES = [
-  { name: 'Gateway – Ward A', serial: 'GW-0041', status: 'online',  battery: 91, last: '1m ago' },
-  { name: 'Sensor Node B2',   serial: 'SN-0088', status: 'online',  battery: 67, last: '2m ago' },
-  { name: 'Gateway – Ward C', serial: 'GW-0042', status: 'offline', battery: 0,  last: '3h ago' },
-  { name: 'Sensor Node D5',   serial: 'SN-0091', status: 'online',  battery: 44, last: '4m ago' },
-];
-
 const STAT_META = [
   { key: 'total',    label: 'Total Members',         icon: Users,         accent: '#3b82f6', bg: '#eff6ff' },
   { key: 'active',   label: 'Actively Sending Data', icon: Activity,      accent: '#10b981', bg: '#ecfdf5' },
@@ -167,12 +163,12 @@ function Card({ children, style = {}, darkMode }) {
   );
 }
 
-function CardHead({ title, action, darkMode }) {
+function CardHead({ title, action, onAction, darkMode }) {
   return (
     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
       <span style={{ fontSize: 14, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a' }}>{title}</span>
       {action && (
-        <button style={{ fontSize: 12, fontWeight: 600, color: '#3b82f6', background: 'none', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 2 }}>
+        <button onClick={onAction} style={{ fontSize: 12, fontWeight: 600, color: '#3b82f6', background: 'none', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 2 }}>
           {action} <ChevronRight size={13} />
         </button>
       )}
@@ -193,6 +189,49 @@ function Legend({ items, darkMode }) {
   );
 }
 
+// Seats used on the current plan and how long the plan has left
+function PlanUsageCard({ status, memberCount, onManage, darkMode }) {
+  const textCol = darkMode ? '#fff' : '#0f172a';
+  const mutedCol = darkMode ? '#94a3b8' : '#6b7280';
+  const sub = status.subscription;
+  const expired = status.state === 'expired';
+  const seats = getSeatUsage(expired ? null : sub, memberCount);
+  const pct = seats.limit ? Math.min(100, Math.round((seats.used / seats.limit) * 100)) : 0;
+  const barColor = pct >= 100 ? '#ef4444' : pct >= 80 ? '#f59e0b' : '#3b82f6';
+
+  let planLine = 'No plan. Choose one to add members.';
+  if (expired) planLine = `${sub.package_name} expired ${new Date(sub.end_date).toLocaleDateString()}`;
+  else if (sub) planLine = `${sub.package_name} · ${status.daysLeft == null ? 'no end date' : `${status.daysLeft} day${status.daysLeft === 1 ? '' : 's'} left`}`;
+
+  return (
+    <Card darkMode={darkMode} style={{ padding: '16px 22px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
+        <div style={{ width: 38, height: 38, borderRadius: 12, background: darkMode ? '#3b82f620' : '#eff6ff', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
+          <CreditCard size={17} color="#3b82f6" />
+        </div>
+        <div style={{ minWidth: 160 }}>
+          <div style={{ fontSize: 11, color: mutedCol, fontWeight: 500, marginBottom: 2 }}>Plan usage</div>
+          <div style={{ fontSize: 13, fontWeight: 700, color: expired ? '#ef4444' : textCol, textTransform: 'capitalize' }}>{planLine}</div>
+        </div>
+        <div style={{ flex: 1, minWidth: 200 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, fontWeight: 600, color: mutedCol, marginBottom: 6 }}>
+            <span>{seats.limit != null ? `${seats.used} of ${seats.limit} seats used` : `${seats.used} members`}</span>
+            {seats.limit != null && <span style={{ color: barColor }}>{seats.full ? 'Full' : `${seats.left} left`}</span>}
+          </div>
+          <div style={{ height: 8, borderRadius: 4, background: darkMode ? '#334155' : '#e2e8f0', overflow: 'hidden' }}>
+            <div style={{ width: `${pct}%`, height: '100%', background: barColor, borderRadius: 4, transition: 'width .5s' }} />
+          </div>
+        </div>
+        {onManage && (
+          <button onClick={onManage} style={{ fontSize: 12, fontWeight: 600, color: '#3b82f6', background: 'none', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 2 }}>
+            {expired || !sub ? 'Choose a plan' : seats.full ? 'Upgrade' : 'Manage plan'} <ChevronRight size={13} />
+          </button>
+        )}
+      </div>
+    </Card>
+  );
+}
+
 function getTickStyle(darkMode) {
   return { fontSize: 11, fill: darkMode ? '#64748b' : '#94a3b8' };
 }
@@ -211,7 +250,10 @@ function DashboardLoadingScreen({ darkMode }) {
   );
 }
 
-function Overview({ darkMode = false, alerts = [] }) {
+function Overview({
+  darkMode = false, members = [], alerts = [], devices = [], devicesLoading = false, onManageDevices,
+  subscriptionStatus = null, onManageSubscription,
+}) {
   const chartsDeferred = useDeferredMount(100);
   const tickStyle = getTickStyle(darkMode);
   const gridStyle = getGridStyle(darkMode);
@@ -292,6 +334,10 @@ function Overview({ darkMode = false, alerts = [] }) {
         ))}
       </div>
 
+      {subscriptionStatus && (
+        <PlanUsageCard status={subscriptionStatus} memberCount={members.length} onManage={onManageSubscription} darkMode={darkMode} />
+      )}
+
       {/* ── Row 1: Growth area + Active/Inactive donut (priority — paints first) ── */}
       <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: 16 }}>
         <Card darkMode={darkMode}>
@@ -339,6 +385,9 @@ function Overview({ darkMode = false, alerts = [] }) {
           weekComparisonDays={weekComparisonDays}
           weekComparisonError={weekComparisonError}
           alerts={alerts}
+          devices={devices}
+          devicesLoading={devicesLoading}
+          onManageDevices={onManageDevices}
         />
       )}
     </div>
@@ -347,7 +396,7 @@ function Overview({ darkMode = false, alerts = [] }) {
 
 export default memo(Overview);
 
-function OverviewChartsDeferred({ darkMode, weekly, monthly, growthLoading, growthError, ageDistribution, ageError, activeInactiveByAge, aibaError, weekComparisonDays, weekComparisonError, alerts }) {
+function OverviewChartsDeferred({ darkMode, weekly, monthly, growthLoading, growthError, ageDistribution, ageError, activeInactiveByAge, aibaError, weekComparisonDays, weekComparisonError, alerts, devices, devicesLoading, onManageDevices }) {
   const tickStyle = getTickStyle(darkMode);
   const gridStyle = getGridStyle(darkMode);
 
@@ -394,7 +443,17 @@ function OverviewChartsDeferred({ darkMode, weekly, monthly, growthLoading, grow
     const total = g.active + g.inactive;
     return { age: g.age, rate: total ? Math.round((g.inactive / total) * 1000) / 10 : 0 };
   });
-  const recentAlerts = alerts.filter(a => a.status === 'active').slice(0, 4);
+  const recentAlerts = alerts.filter(a => a.status === 'open').slice(0, 4);
+  // Devices needing attention first: offline, then low battery, then most recently seen
+  const now = Date.now();
+  const deviceRows = devices
+    .map(d => ({ ...d, health: getDeviceHealth(d, now) }))
+    .sort((a, b) => (
+      Number(a.health.online) - Number(b.health.online) ||
+      Number(b.health.lowBattery) - Number(a.health.lowBattery) ||
+      (b.health.lastSeen?.getTime() || 0) - (a.health.lastSeen?.getTime() || 0)
+    ))
+    .slice(0, 4);
 
   return (
     <>
@@ -563,34 +622,39 @@ function OverviewChartsDeferred({ darkMode, weekly, monthly, growthLoading, grow
                   <div style={{ fontSize: 12, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{a.member}</div>
                   <div style={{ fontSize: 11, color: darkMode ? '#94a3b8' : '#6b7280' }}>{a.type} · <strong style={{ color: a.severity === 'critical' ? '#dc2626' : '#d97706' }}>{a.value}</strong></div>
                 </div>
-                <span style={{ fontSize: 10, color: darkMode ? '#64748b' : '#9ca3af', whiteSpace: 'nowrap' }}>{a.time}</span>
+                <span style={{ fontSize: 10, color: darkMode ? '#64748b' : '#9ca3af', whiteSpace: 'nowrap' }}>{formatRelativeTime(a.createdAt)}</span>
               </div>
             ))}
           </div>
         </Card>
 
         <Card darkMode={darkMode}>
-          <CardHead title="Device status" action="Manage" darkMode={darkMode} />
+          <CardHead title="Device status" action="Manage" onAction={onManageDevices} darkMode={darkMode} />
           <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
-            {DEVICES.map((d, i) => (
-              <div key={i} style={{
+            {deviceRows.length === 0 && (
+              <div style={{ padding: '20px 0', textAlign: 'center', color: darkMode ? '#64748b' : '#94a3b8', fontSize: 13 }}>
+                {devicesLoading ? 'Loading…' : 'No devices registered'}
+              </div>
+            )}
+            {deviceRows.map((d) => (
+              <div key={d.id} style={{
                 display: 'flex', alignItems: 'center', gap: 12, padding: '12px 14px',
                 borderRadius: 12, background: darkMode ? '#0f172a' : '#f8fafc', border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
               }}>
-                <div style={{ width: 36, height: 36, borderRadius: 10, background: d.status === 'online' ? (darkMode ? '#064e3b' : '#ecfdf5') : (darkMode ? '#450a0a' : '#fef2f2'), display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-                  {d.status === 'online' ? <Wifi size={16} color="#10b981" /> : <WifiOff size={16} color="#ef4444" />}
+                <div style={{ width: 36, height: 36, borderRadius: 10, background: d.health.online ? (darkMode ? '#064e3b' : '#ecfdf5') : (darkMode ? '#450a0a' : '#fef2f2'), display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                  {d.health.online ? <Wifi size={16} color="#10b981" /> : <WifiOff size={16} color="#ef4444" />}
                 </div>
                 <div style={{ flex: 1, minWidth: 0 }}>
-                  <div style={{ fontSize: 12, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{d.name}</div>
-                  <div style={{ fontSize: 11, color: darkMode ? '#64748b' : '#9ca3af' }}>{d.serial} · {d.last}</div>
+                  <div style={{ fontSize: 12, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{d.name || d.serial}</div>
+                  <div style={{ fontSize: 11, color: darkMode ? '#64748b' : '#9ca3af' }}>{d.serial} · {d.health.lastSeen ? formatRelativeTime(d.health.lastSeen, now) : 'never synced'}</div>
                 </div>
                 <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 4 }}>
                   <span style={{
                     fontSize: 10, fontWeight: 700, padding: '2px 8px', borderRadius: 99,
-                    background: d.status === 'online' ? (darkMode ? '#064e3b' : '#d1fae5') : (darkMode ? '#450a0a' : '#fee2e2'),
-                    color: d.status === 'online' ? (darkMode ? '#6ee7b7' : '#065f46') : (darkMode ? '#f87171' : '#991b1b')
-                  }}>{d.status === 'online' ? 'Online' : 'Offline'}</span>
-                  {d.status === 'online' && <BatteryBar level={d.battery} darkMode={darkMode} />}
+                    background: d.health.online ? (darkMode ? '#064e3b' : '#d1fae5') : (darkMode ? '#450a0a' : '#fee2e2'),
+                    color: d.health.online ? (darkMode ? '#6ee7b7' : '#065f46') : (darkMode ? '#f87171' : '#991b1b')
+                  }}>{d.health.online ? 'Online' : d.health.unknown ? 'Unknown' : 'Offline'}</span>
+                  {d.health.online && d.health.battery != null && <BatteryBar level={d.health.battery} darkMode={darkMode} />}
                 </div>
               </div>
             ))}
@@ -1,27 +1,43 @@
 // src/pages/institution/Reports.jsx
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
   FileText, Download, Trash2, Settings2, Eye, Calendar, Users, CheckCircle,
   FileSpreadsheet, Printer, RefreshCw, ChevronRight, AlertCircle, Info, Sparkles
 } from 'lucide-react';
-
-const INITIAL_REPORTS = [
-  { id: '1', name: 'Monthly_Health_Audit_May2026.pdf', date: '2026-05-31', size: '2.4 MB', type: 'PDF', template: 'Monthly Executive Health Audit', scope: 'Entire Institution' },
-  { id: '2', name: 'Critical_Alert_Compliance_Q1.pdf', date: '2026-04-15', size: '4.8 MB', type: 'PDF', template: 'Adverse Alerts Log & Compliance', scope: 'High Risk Members only' },
-  { id: '3', name: 'Device_Connectivity_Log_W24.csv', date: '2026-06-18', size: '820 KB', type: 'CSV', template: 'Device Health & Battery Compliance', scope: 'Entire Institution' },
-  { id: '4', name: 'Seniors_Sleep_HeartRate_Weekly.pdf', date: '2026-06-22', size: '1.2 MB', type: 'PDF', template: 'Outpatient Sleep & Heart Rate Aggregates', scope: 'Seniors (65+)' },
-];
-
-export default function Reports({ darkMode = false, members = [], loading = false, error = null }) {
-  const [reports, setReports] = useState(INITIAL_REPORTS);
+import {
+  REPORT_TEMPLATES, REPORT_SCOPES, REPORT_DATE_RANGES, filterMembersByScope, generateInstitutionReport,
+  loadReportArchive, saveReportArchive, renderReportCsv, renderReportPdf, reportFileName,
+} from '../../lib/institutionReports';
+import { getUserData } from '../../lib/tokenManager';
+import { downloadFile } from '../../utils/download';
+
+const formatFileSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+);
+
+export default function Reports({ darkMode = false, members = [], loading = false, error = null, thresholds }) {
+  const institution = getUserData();
+  const institutionId = institution?.id;
+  const [reports, setReports] = useState(() => loadReportArchive(institutionId));
   const [template, setTemplate] = useState('Monthly Executive Health Audit');
   const [scope, setScope] = useState('Entire Institution');
   const [dateRange, setDateRange] = useState('Last 30 Days');
   const [format, setFormat] = useState('PDF');
   
   const [isGenerating, setIsGenerating] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [generateError, setGenerateError] = useState(null);
   const [downloadingId, setDownloadingId] = useState(null);
   const [toastMessage, setToastMessage] = useState('');
+  const generateControllerRef = useRef(null);
+
+  // Persist the archive so generated reports survive a reload
+  useEffect(() => {
+    saveReportArchive(institutionId, reports);
+  }, [institutionId, reports]);
+
+  // Stop fetching member vitals if the tab is left mid-generation
+  useEffect(() => () => generateControllerRef.current?.abort(), []);
   
   // Custom theme colors
   const styles = useMemo(() => {
@@ -119,42 +135,86 @@ export default function Reports({ darkMode = false, members = [], loading = fals
     };
   }, [darkMode]);
 
-  // Handle report generation
-  const handleGenerateReport = (e) => {
+  const renderReportFile = (report, type) => (
+    type === 'PDF' ? renderReportPdf(report, institution?.name) : renderReportCsv(report)
+  );
+
+  // Compile the report from members' vitals, download it and add it to the archive
+  const handleGenerateReport = async (e) => {
     e.preventDefault();
+    if (!members.length) {
+      setGenerateError('No members to report on yet.');
+      return;
+    }
+    const controller = new AbortController();
+    generateControllerRef.current = controller;
     setIsGenerating(true);
-    
-    // Simulate generation delay
-    setTimeout(() => {
-      const fileName = `${template.replace(/ /g, '_')}_${new Date().toISOString().slice(0, 10)}.${format.toLowerCase()}`;
+    setGenerateError(null);
+    setProgress(null);
+
+    try {
+      const report = await generateInstitutionReport({
+        template,
+        scope,
+        dateRange,
+        members,
+        thresholds,
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      const file = renderReportFile(report, format);
+      const name = reportFileName(report, format);
+      downloadFile(file, name);
+
       const newReport = {
-        id: (reports.length + 1).toString(),
-        name: fileName,
-        date: new Date().toISOString().slice(0, 10),
-        size: format === 'PDF' ? '1.5 MB' : '450 KB',
+        id: `${Date.now()}`,
+        name,
+        date: report.generatedAt.slice(0, 10),
+        size: formatFileSize(file.size),
         type: format,
         template,
-        scope
+        scope,
+        dateRange,
+        report,
       };
-      setReports([newReport, ...reports]);
+      setReports(prev => [newReport, ...prev]);
+      setToastMessage(
+        report.offline ? 'Report generated from offline data — some readings may be out of date'
+          : report.rows.length ? 'Report successfully generated!' : 'Report generated — no records matched this scope and period'
+      );
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Report generation failed:', err);
+      setGenerateError(err.message || 'Could not generate the report. Please try again.');
+    } finally {
+      if (generateControllerRef.current === controller) generateControllerRef.current = null;
       setIsGenerating(false);
-      setToastMessage('Report successfully generated!');
-    }, 1200);
+      setProgress(null);
+    }
   };
 
-  // Handle report download
-  const handleDownload = (id, name) => {
-    setDownloadingId(id);
-    setTimeout(() => {
+  // Re-render an archived report in its original format
+  const handleDownload = (r) => {
+    if (!r.report) {
+      setToastMessage(`${r.name} has no stored data to download`);
+      return;
+    }
+    setDownloadingId(r.id);
+    try {
+      downloadFile(renderReportFile(r.report, r.type), r.name);
+      setToastMessage(`Downloaded ${r.name}`);
+    } catch (err) {
+      console.error('Report download failed:', err);
+      setToastMessage(`Could not download ${r.name}`);
+    } finally {
       setDownloadingId(null);
-      setToastMessage(`Downloaded ${name}`);
-    }, 1000);
+    }
   };
 
   // Handle report deletion
   const handleDelete = (id) => {
     if (window.confirm('Delete this report from archive?')) {
-      setReports(reports.filter(r => r.id !== id));
+      setReports(prev => prev.filter(r => r.id !== id));
       setToastMessage('Report deleted from history');
     }
   };
@@ -173,21 +233,7 @@ export default function Reports({ darkMode = false, members = [], loading = fals
       return { patientCount: 0, criticalCount: 0, batteryHealth: 'N/A', spo2Mean: 'N/A', avgHr: 'N/A' };
     }
 
-    // Scope filter
-    let cohort = members;
-    if (scope === 'High Risk Members only') {
-      // High risk = any member with abnormal SpO2 (<92%) or very high HR (>110)
-      cohort = members.filter(m => {
-        const spo2 = m.vitals?.spo2?.Blood_oxygen;
-        const hr = m.vitals?.heartrate?.once_heart_value;
-        return (spo2 && spo2 < 92) || (hr && hr > 110);
-      });
-    } else if (scope === 'Seniors (65+)') {
-      // Use age field if present, otherwise fall back to last quarter of the list as proxy
-      cohort = members.filter(m => m.age ? m.age >= 65 : false);
-      if (!cohort.length) cohort = members.slice(Math.floor(members.length * 0.75));
-    }
-
+    const cohort = filterMembersByScope(members, scope);
     const patientCount = cohort.length;
 
     // Count members with critical alerts (SpO2 < 90 or HR > 120)
@@ -252,10 +298,7 @@ export default function Reports({ darkMode = false, members = [], loading = fals
                   onChange={(e) => setTemplate(e.target.value)}
                   style={styles.input}
                 >
-                  <option value="Monthly Executive Health Audit">Monthly Executive Health Audit</option>
-                  <option value="Adverse Alerts Log & Compliance">Adverse Alerts Log & Compliance</option>
-                  <option value="Device Health & Battery Compliance">Device Health & Battery Compliance</option>
-                  <option value="Outpatient Sleep & Heart Rate Aggregates">Outpatient Sleep & Heart Rate Aggregates</option>
+                  {REPORT_TEMPLATES.map(t => <option key={t} value={t}>{t}</option>)}
                 </select>
               </div>
 
@@ -266,9 +309,7 @@ export default function Reports({ darkMode = false, members = [], loading = fals
                   onChange={(e) => setScope(e.target.value)}
                   style={styles.input}
                 >
-                  <option value="Entire Institution">Entire Institution</option>
-                  <option value="High Risk Members only">High Risk Members only</option>
-                  <option value="Seniors (65+)">Seniors (65+)</option>
+                  {REPORT_SCOPES.map(sc => <option key={sc} value={sc}>{sc}</option>)}
                 </select>
               </div>
 
@@ -280,9 +321,7 @@ export default function Reports({ darkMode = false, members = [], loading = fals
                     onChange={(e) => setDateRange(e.target.value)}
                     style={styles.input}
                   >
-                    <option value="Last 7 Days">Last 7 Days</option>
-                    <option value="Last 30 Days">Last 30 Days</option>
-                    <option value="Current Quarter">Current Quarter</option>
+                    {Object.keys(REPORT_DATE_RANGES).map(r => <option key={r} value={r}>{r}</option>)}
                   </select>
                 </div>
                 <div>
@@ -300,16 +339,17 @@ export default function Reports({ darkMode = false, members = [], loading = fals
 
               <button
                 type="submit"
-                disabled={isGenerating}
+                disabled={isGenerating || loading}
                 style={{
                   ...styles.buttonPrimary,
-                  opacity: isGenerating ? 0.7 : 1,
-                  cursor: isGenerating ? 'not-allowed' : 'pointer'
+                  opacity: isGenerating || loading ? 0.7 : 1,
+                  cursor: isGenerating || loading ? 'not-allowed' : 'pointer'
                 }}
               >
                 {isGenerating ? (
                   <>
-                    <RefreshCw className="animate-spin" size={16} /> Generating Report...
+                    <RefreshCw className="animate-spin" size={16} />
+                    {progress ? `Compiling ${progress.done}/${progress.total} members...` : 'Generating Report...'}
                   </>
                 ) : (
                   <>
@@ -317,6 +357,11 @@ export default function Reports({ darkMode = false, members = [], loading = fals
                   </>
                 )}
               </button>
+              {(generateError || error) && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 10, fontSize: 11, fontWeight: 600, color: '#ef4444' }}>
+                  <AlertCircle size={13} /> {generateError || error}
+                </div>
+              )}
             </form>
           </div>
 
@@ -328,6 +373,11 @@ export default function Reports({ darkMode = false, members = [], loading = fals
             </div>
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: 10, maxHeight: 310, overflowY: 'auto', paddingRight: 4 }}>
+              {reports.length === 0 && (
+                <div style={{ padding: '24px 12px', textAlign: 'center', fontSize: 12, color: styles.muted.color }}>
+                  No reports generated yet. Compile one above to start the archive.
+                </div>
+              )}
               {reports.map((r) => (
                 <div key={r.id} style={{
                   display: 'flex',
@@ -367,13 +417,14 @@ export default function Reports({ darkMode = false, members = [], loading = fals
                       {r.name}
                     </div>
                     <div style={{ fontSize: 10, color: styles.muted.color, marginTop: 1 }}>
-                      {r.date} · {r.size}
+                      {r.date} · {r.size}{r.dateRange ? ` · ${r.dateRange}` : ''} · {r.scope}
+                      {r.report?.offline && <span style={{ color: '#d97706', fontWeight: 700 }}> · offline data</span>}
                     </div>
                   </div>
 
                   <div style={{ display: 'flex', gap: 4, flexShrink: 0 }}>
                     <button
-                      onClick={() => handleDownload(r.id, r.name)}
+                      onClick={() => handleDownload(r)}
                       disabled={downloadingId === r.id}
                       style={{
                         background: 'none',
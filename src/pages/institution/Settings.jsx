@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, Building2, Phone, ToggleLeft, ToggleRight, Check } from 'lucide-react';
+import { getInstitutionProfile, updateInstitutionProfile } from '../../lib/api';
+import { INSTITUTION_FEATURES, isFeatureEnabled } from '../../utils/institutionFeatures';
+
+// Same choices as institution registration
+const INSTITUTION_TYPES = [
+  { id: 'hospital', label: 'Hospital' },
+  { id: 'clinic', label: 'Clinic' },
+  { id: 'school', label: 'School' },
+  { id: 'ngo', label: 'NGO' },
+  { id: 'university', label: 'University' },
+  { id: 'government', label: 'Government Office' },
+  { id: 'company', label: 'Company' },
+  { id: 'other', label: 'Other' },
+];
+
+const EDITABLE_FIELDS = ['name', 'institution_type', 'description', 'website', 'phone', 'address'];
+
+const toDraft = (profile) => Object.fromEntries(EDITABLE_FIELDS.map(key => [key, profile?.[key] ?? '']));
+
+function Section({ icon, title, description, darkMode, children }) {
+  const Icon = icon;
+  return (
+    <div style={{ background: darkMode ? '#1e293b' : '#fff', borderRadius: 20, border: `1px solid ${darkMode ? '#334155' : '#f1f5f9'}`, padding: 24 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 4 }}>
+        <Icon size={16} color="#3b82f6" />
+        <div style={{ fontSize: 15, fontWeight: 700, color: darkMode ? '#fff' : '#0f172a' }}>{title}</div>
+      </div>
+      <div style={{ fontSize: 12, color: darkMode ? '#94a3b8' : '#64748b', marginBottom: 18, lineHeight: 1.5 }}>{description}</div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * The institution's own settings: profile, contact details, and which dashboard
+ * features it has. Features are turned on or off by the platform admin, so they
+ * are shown here but not editable.
+ */
+export default function Settings({ features = null, onProfileSaved, darkMode = false }) {
+  const [profile, setProfile] = useState(null);
+  const [draft, setDraft] = useState(() => toDraft(null));
+  const [logo, setLogo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
+  const subtleBorder = darkMode ? '#334155' : '#e2e8f0';
+  const textPrimary = darkMode ? '#fff' : '#0f172a';
+  const textSecondary = darkMode ? '#94a3b8' : '#64748b';
+  const textMuted = darkMode ? '#64748b' : '#9ca3af';
+  const inputStyle = { width: '100%', padding: '9px 12px', borderRadius: 8, border: `1px solid ${subtleBorder}`, outline: 'none', fontSize: 13, background: subtleBg, color: textPrimary };
+  const labelStyle = { display: 'block', fontSize: 11, fontWeight: 700, color: textSecondary, marginBottom: 6, textTransform: 'uppercase', letterSpacing: '0.05em' };
+
+  useEffect(() => {
+    getInstitutionProfile()
+      .then((data) => {
+        setProfile(data);
+        setDraft(toDraft(data));
+      })
+      .catch((err) => setError(err.message || 'Could not load the institution profile'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const setField = (key) => (e) => {
+    setDraft(prev => ({ ...prev, [key]: e.target.value }));
+    setSaved(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) {
+      setFormError('The institution name is required.');
+      return;
+    }
+    if (!draft.address.trim()) {
+      setFormError('The address is required.');
+      return;
+    }
+    setSaving(true);
+    setFormError('');
+    try {
+      const payload = { ...draft, name: draft.name.trim(), address: draft.address.trim() };
+      if (logo) payload.logo = logo;
+      const updated = await updateInstitutionProfile(payload);
+      setProfile(updated);
+      setDraft(toDraft(updated));
+      setLogo(null);
+      setSaved(true);
+      onProfileSaved?.(updated);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: 60, display: 'flex', justifyContent: 'center' }}>
+        <Loader className="animate-spin" size={30} color="#3b82f6" />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      {error ? (
+        <div style={{ background: darkMode ? '#1e293b' : '#fff', borderRadius: 20, border: `1px solid ${darkMode ? '#334155' : '#f1f5f9'}`, padding: 40, textAlign: 'center', color: '#ef4444', fontSize: 14, fontWeight: 500 }}>
+          {error}
+        </div>
+      ) : (
+        <form onSubmit={handleSave} style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+          <Section
+            icon={Building2}
+            title="Profile"
+            description="How your institution appears in the dashboard and to your members."
+            darkMode={darkMode}
+          >
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 14 }}>
+              <div>
+                <label style={labelStyle}>Name</label>
+                <input required value={draft.name} onChange={setField('name')} style={inputStyle} />
+              </div>
+              <div>
+                <label style={labelStyle}>Type</label>
+                <select value={draft.institution_type} onChange={setField('institution_type')} style={inputStyle}>
+                  {INSTITUTION_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                </select>
+              </div>
+              <div style={{ gridColumn: '1 / -1' }}>
+                <label style={labelStyle}>Description</label>
+                <textarea rows={3} value={draft.description} onChange={setField('description')} style={{ ...inputStyle, resize: 'vertical' }} />
+              </div>
+              <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: 14 }}>
+                {profile?.logo && !logo && (
+                  <img src={profile.logo} alt={profile.name} style={{ width: 48, height: 48, borderRadius: 12, objectFit: 'cover' }} />
+                )}
+                <div style={{ flex: 1 }}>
+                  <label style={labelStyle}>Logo</label>
+                  <input type="file" accept="image/*" onChange={e => { setLogo(e.target.files?.[0] || null); setSaved(false); }} style={{ fontSize: 12, color: textSecondary }} />
+                </div>
+              </div>
+            </div>
+          </Section>
+
+          <Section
+            icon={Phone}
+            title="Contact"
+            description="Where members and the platform team can reach you. The sign-in email can only be changed by the platform admin."
+            darkMode={darkMode}
+          >
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 14 }}>
+              <div>
+                <label style={labelStyle}>Email</label>
+                <input value={profile?.email || ''} disabled style={{ ...inputStyle, color: textMuted, cursor: 'not-allowed' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Phone</label>
+                <input value={draft.phone} onChange={setField('phone')} placeholder="+977-1-4xxxxxx" style={inputStyle} />
+              </div>
+              <div>
+                <label style={labelStyle}>Address</label>
+                <input required value={draft.address} onChange={setField('address')} style={inputStyle} />
+              </div>
+              <div>
+                <label style={labelStyle}>Website</label>
+                <input type="url" value={draft.website} onChange={setField('website')} placeholder="https://www.institution.com" style={inputStyle} />
+              </div>
+            </div>
+          </Section>
+
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 12 }}>
+            {formError && <div style={{ fontSize: 12, color: '#ef4444' }}>{formError}</div>}
+            {saved && !formError && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 12, color: '#10b981', fontWeight: 600 }}>
+                <Check size={14} /> Saved
+              </div>
+            )}
+            <button type="submit" disabled={saving} style={{
+              display: 'flex', alignItems: 'center', gap: 6, padding: '9px 16px', borderRadius: 10, border: 'none', background: '#3b82f6',
+              color: '#fff', fontSize: 12, fontWeight: 700, cursor: saving ? 'not-allowed' : 'pointer', opacity: saving ? 0.6 : 1
+            }}>
+              {saving && <Loader className="animate-spin" size={14} />}
+              {saving ? 'Saving...' : 'Save changes'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <Section
+        icon={ToggleRight}
+        title="Features"
+        description="Dashboard features available to your institution. They are turned on or off by the platform admin; contact them to change one."
+        darkMode={darkMode}
+      >
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
+          {INSTITUTION_FEATURES.map(f => {
+            const on = isFeatureEnabled(features, f.id);
+            const Icon = on ? ToggleRight : ToggleLeft;
+            return (
+              <div key={f.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, padding: '10px 14px', borderRadius: 12, background: subtleBg, border: `1px solid ${subtleBorder}` }}>
+                <div>
+                  <div style={{ fontSize: 13, fontWeight: 700, color: textPrimary }}>{f.label}</div>
+                  <div style={{ fontSize: 11, color: textMuted }}>{f.description}</div>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, fontWeight: 600, color: on ? '#10b981' : textMuted }} aria-label={`${f.label} is ${on ? 'on' : 'off'}`}>
+                  <Icon size={26} color={on ? '#10b981' : textMuted} />
+                  {on ? 'On' : 'Off'}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+    </div>
+  );
+}
@@ -2,13 +2,16 @@ import React, { useState, useEffect } from 'react';
 import {
   Crown, Check, X, Zap, Shield, Users, Activity, BarChart3,
   Smartphone, HeadphonesIcon, Star, ArrowRight, CreditCard, Clock,
-  ChevronDown, ChevronUp, Sparkles, Loader
+  ChevronDown, ChevronUp, Sparkles, Loader, Receipt, RefreshCw
 } from 'lucide-react';
+import { getSubscriptionPlans } from '../../lib/api';
+import { BILLING_CYCLES, YEARLY_MONTHS_CHARGED, planPrice, quotePlanChange, getInvoiceStatus } from '../../utils/subscriptionBilling';
+import PlanCheckoutModal from '../../components/institution/PlanCheckoutModal';
 
 const FAQ = [
   { q: 'Can I upgrade or downgrade at any time?', a: 'Yes, you can change your plan at any time. When upgrading, you\'ll be charged the prorated difference. When downgrading, the remaining credit will be applied to future billing.' },
   { q: 'What payment methods do you accept?', a: 'For now, we accept payments exclusively via Khalti.' },
-  { q: 'What happens when my subscription expires?', a: 'Your account will be downgraded to the Basic (free) plan. All your data will be preserved, but some features will be restricted.' },
+  { q: 'What happens when my subscription expires?', a: 'You are reminded 14, 7 and 1 day before it ends. Once it expires the dashboard becomes read-only until you renew. All your data is preserved and alerts can still be acknowledged and resolved, but members, devices and thresholds can\'t be changed.' },
 ];
 
 const PLAN_STYLES = [
@@ -34,15 +37,23 @@ const PLAN_STYLES = [
   }
 ];
 
-export default function SubscriptionTab({ darkMode = false }) {
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const daysLeft = (value) => Math.max(0, Math.ceil((new Date(value) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+export default function SubscriptionTab({
+  darkMode = false, subscriptions = [], activeSubscription = null, subscriptionLoading = false,
+  subscriptionError = null, refreshSubscription, memberCount = 0,
+}) {
   const [billingCycle, setBillingCycle] = useState('monthly');
   const [expandedFaq, setExpandedFaq] = useState(null);
   const [hoveredPlan, setHoveredPlan] = useState(null);
 
   const [plans, setPlans] = useState([]);
-  const [mySubscriptions, setMySubscriptions] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [plansLoading, setPlansLoading] = useState(true);
+  const [plansError, setPlansError] = useState(null);
+  // Plan being bought, renewed or switched to, and the message shown once that is done
+  const [checkoutPlan, setCheckoutPlan] = useState(null);
+  const [notice, setNotice] = useState(null);
 
   // Color tokens
   const cardBg = darkMode ? '#1e293b' : '#fff';
@@ -53,50 +64,34 @@ export default function SubscriptionTab({ darkMode = false }) {
   const textMuted = darkMode ? '#64748b' : '#94a3b8';
   const subtleBg = darkMode ? '#0f172a' : '#f8fafc';
 
-  // Find the currently active plan from my subscriptions
-  const activeSubscription = mySubscriptions.find(sub => sub.is_active);
   const currentPlanId = activeSubscription ? activeSubscription.package : null;
+  const currentPlan = plans.find(plan => plan.id === currentPlanId) || null;
+  // The plan in force, or the latest one when it has expired
+  const shownSubscription = activeSubscription || subscriptions[0] || null;
+  const loading = plansLoading || subscriptionLoading;
+  const error = plansError || subscriptionError;
 
   useEffect(() => {
-    const fetchData = async () => {
+    const fetchPlans = async () => {
       try {
-        setLoading(true);
-        // Import authenticatedFetch here to avoid circular dependencies
-        const { authenticatedFetch } = await import('../../lib/tokenManager');
-
-        // Fetch both available plans and user's subscriptions in parallel
-        const [plansRes, mySubsRes] = await Promise.all([
-          authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/set_ins_subscription/'),
-          authenticatedFetch('https://jeewanjyoti-backend.smart.org.np/api/get_my_subscription/')
-        ]);
-
-        if (!plansRes.ok) throw new Error('Failed to fetch subscription plans');
-        if (!mySubsRes.ok) throw new Error('Failed to fetch my subscriptions');
-
-        const plansData = await plansRes.json();
-        let mySubsData = await mySubsRes.json();
-
-        // The API might return a single object instead of an array for a single subscription
-        if (mySubsData && !Array.isArray(mySubsData) && mySubsData.id) {
-          mySubsData = [mySubsData];
-        } else if (!Array.isArray(mySubsData)) {
-          // If it's some other non-array response (like an error object), default to empty
-          mySubsData = [];
-        }
-
-        setPlans(plansData);
-        setMySubscriptions(mySubsData);
+        setPlans(await getSubscriptionPlans());
       } catch (err) {
-        console.error('Error fetching data:', err);
-        setError(err.message);
+        console.error('Error fetching plans:', err);
+        setPlansError(err.message);
       } finally {
-        setLoading(false);
+        setPlansLoading(false);
       }
     };
 
-    fetchData();
+    fetchPlans();
   }, []);
 
+  const handleCheckoutComplete = (message) => {
+    setCheckoutPlan(null);
+    setNotice(message);
+    if (refreshSubscription) refreshSubscription();
+  };
+
   if (loading) {
     return (
       <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: '60vh', gap: 16 }}>
@@ -129,69 +124,98 @@ export default function SubscriptionTab({ darkMode = false }) {
         </p>
       </div>
 
-      {/* My Subscriptions */}
-      {mySubscriptions.length > 0 ? (
+      {notice && (
+        <div style={{
+          display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginBottom: 20,
+          padding: '12px 16px', borderRadius: 12, fontSize: 13, fontWeight: 600,
+          background: darkMode ? '#14532d' : '#dcfce7', color: darkMode ? '#4ade80' : '#16a34a',
+        }}>
+          <span style={{ display: 'flex', alignItems: 'center', gap: 8 }}><Check size={16} /> {notice}</span>
+          <button onClick={() => setNotice(null)} style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 2, color: 'inherit' }}>
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Current Subscription */}
+      {shownSubscription ? (
         <div style={{ marginBottom: 40 }}>
           <div style={{ fontSize: 17, fontWeight: 800, color: textPrimary, marginBottom: 16 }}>
-            My Subscriptions
+            My Subscription
           </div>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
-            {mySubscriptions.map(sub => (
-              <div key={sub.id} style={{
-                background: darkMode ? 'linear-gradient(135deg, #1e2b4d, #1e2440)' : 'linear-gradient(135deg, #eff6ff, #eef2ff)',
-                border: `1px solid ${darkMode ? '#334155' : '#bfdbfe'}`,
-                borderRadius: 16,
-                padding: '20px 24px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'space-between',
-                flexWrap: 'wrap',
-                gap: 16,
+          <div style={{
+            background: darkMode ? 'linear-gradient(135deg, #1e2b4d, #1e2440)' : 'linear-gradient(135deg, #eff6ff, #eef2ff)',
+            border: `1px solid ${darkMode ? '#334155' : '#bfdbfe'}`,
+            borderRadius: 16,
+            padding: '20px 24px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            flexWrap: 'wrap',
+            gap: 16,
+          }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 14 }}>
+              <div style={{
+                width: 44, height: 44, borderRadius: 12,
+                background: 'linear-gradient(135deg, #3b82f6, #6366f1)',
+                display: 'flex', alignItems: 'center', justifyContent: 'center'
               }}>
-                <div style={{ display: 'flex', alignItems: 'center', gap: 14 }}>
-                  <div style={{
-                    width: 44, height: 44, borderRadius: 12,
-                    background: 'linear-gradient(135deg, #3b82f6, #6366f1)',
-                    display: 'flex', alignItems: 'center', justifyContent: 'center'
-                  }}>
-                    <Shield size={20} color="#fff" />
-                  </div>
-                  <div>
-                    <div style={{ fontSize: 17, fontWeight: 800, color: textPrimary, textTransform: 'capitalize' }}>
-                      {sub.package_name}
-                    </div>
-                    <div style={{ fontSize: 13, color: textSecondary, fontWeight: 600, display: 'flex', gap: 12, marginTop: 4 }}>
-                      <span>Max {sub.max_users} Users</span>
+                <Shield size={20} color="#fff" />
+              </div>
+              <div>
+                <div style={{ fontSize: 17, fontWeight: 800, color: textPrimary, textTransform: 'capitalize' }}>
+                  {shownSubscription.package_name}
+                </div>
+                <div style={{ fontSize: 13, color: textSecondary, fontWeight: 600, display: 'flex', gap: 12, marginTop: 4, flexWrap: 'wrap' }}>
+                  <span>{memberCount} of {shownSubscription.max_users} members</span>
+                  <span>•</span>
+                  <span>Rs. {parseFloat(shownSubscription.amount_paid).toLocaleString()}</span>
+                  {BILLING_CYCLES[shownSubscription.billing_cycle] && (
+                    <>
                       <span>•</span>
-                      <span>Rs. {parseFloat(sub.amount_paid).toLocaleString()}</span>
-                    </div>
-                  </div>
+                      <span>{BILLING_CYCLES[shownSubscription.billing_cycle].label}</span>
+                    </>
+                  )}
                 </div>
+              </div>
+            </div>
 
-                <div style={{ display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
-                  <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 4 }}>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-                      <Clock size={14} color={textSecondary} />
-                      <span style={{ fontSize: 12, color: textSecondary, fontWeight: 500 }}>
-                        Expires: {new Date(sub.end_date).toLocaleDateString()}
-                      </span>
-                    </div>
-                    <div style={{ fontSize: 11, color: textMuted }}>
-                      Started: {new Date(sub.start_date).toLocaleDateString()}
-                    </div>
-                  </div>
-
-                  <div style={{
-                    padding: '6px 14px', borderRadius: 8, fontSize: 12, fontWeight: 700,
-                    background: sub.is_active ? (darkMode ? '#14532d' : '#dcfce7') : (darkMode ? '#450a0a' : '#fef2f2'),
-                    color: sub.is_active ? (darkMode ? '#4ade80' : '#16a34a') : (darkMode ? '#f87171' : '#ef4444'),
-                    textTransform: 'uppercase', letterSpacing: '0.05em'
-                  }}>
-                    {sub.is_active ? 'Active' : 'Expired'}
-                  </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 4 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <Clock size={14} color={textSecondary} />
+                  <span style={{ fontSize: 12, color: textSecondary, fontWeight: 500 }}>
+                    {activeSubscription
+                      ? `Renewal due ${formatDate(shownSubscription.end_date)} (${daysLeft(shownSubscription.end_date)} days left)`
+                      : `Expired ${formatDate(shownSubscription.end_date)}`}
+                  </span>
+                </div>
+                <div style={{ fontSize: 11, color: textMuted }}>
+                  Started: {formatDate(shownSubscription.start_date)}
                 </div>
               </div>
-            ))}
+
+              <div style={{
+                padding: '6px 14px', borderRadius: 8, fontSize: 12, fontWeight: 700,
+                background: activeSubscription ? (darkMode ? '#14532d' : '#dcfce7') : (darkMode ? '#450a0a' : '#fef2f2'),
+                color: activeSubscription ? (darkMode ? '#4ade80' : '#16a34a') : (darkMode ? '#f87171' : '#ef4444'),
+                textTransform: 'uppercase', letterSpacing: '0.05em'
+              }}>
+                {activeSubscription ? 'Active' : 'Expired'}
+              </div>
+
+              {plans.some(plan => plan.id === shownSubscription.package) && (
+                <button
+                  onClick={() => setCheckoutPlan(plans.find(plan => plan.id === shownSubscription.package))}
+                  style={{
+                    display: 'flex', alignItems: 'center', gap: 6, padding: '8px 14px', borderRadius: 10, border: 'none',
+                    background: '#3b82f6', color: '#fff', fontSize: 12, fontWeight: 700, cursor: 'pointer',
+                  }}
+                >
+                  <RefreshCw size={13} /> Renew
+                </button>
+              )}
+            </div>
           </div>
         </div>
       ) : (
@@ -209,8 +233,30 @@ export default function SubscriptionTab({ darkMode = false }) {
       )}
 
       {/* Available Plans Header */}
-      <div style={{ fontSize: 17, fontWeight: 800, color: textPrimary, marginBottom: 16 }}>
-        Available Plans
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap', marginBottom: 16 }}>
+        <div style={{ fontSize: 17, fontWeight: 800, color: textPrimary }}>
+          Available Plans
+        </div>
+        <div style={{ display: 'flex', padding: 4, borderRadius: 10, background: subtleBg, border: `1px solid ${cardBorder}` }}>
+          {Object.entries(BILLING_CYCLES).map(([id, cycle]) => (
+            <button
+              key={id}
+              onClick={() => setBillingCycle(id)}
+              style={{
+                padding: '6px 14px', borderRadius: 8, border: 'none', fontSize: 12, fontWeight: 700, cursor: 'pointer',
+                background: billingCycle === id ? '#3b82f6' : 'transparent',
+                color: billingCycle === id ? '#fff' : textSecondary,
+              }}
+            >
+              {cycle.label}
+              {id === 'yearly' && (
+                <span style={{ marginLeft: 6, fontSize: 10, color: billingCycle === id ? '#dbeafe' : '#10b981' }}>
+                  {12 - YEARLY_MONTHS_CHARGED} months free
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Plan Cards */}
@@ -226,8 +272,9 @@ export default function SubscriptionTab({ darkMode = false }) {
           const isPopular = index === 1; // Highlight the second plan as popular if it exists
 
           const style = PLAN_STYLES[index % PLAN_STYLES.length];
-          const displayPrice = parseFloat(plan.price) === 0 ? 'Free' : `Rs. ${parseFloat(plan.price).toLocaleString()}`;
-          const period = `/${plan.duration_type}`;
+          const price = planPrice(plan, billingCycle);
+          const displayPrice = price === 0 ? 'Free' : `Rs. ${price.toLocaleString()}`;
+          const period = `/${BILLING_CYCLES[billingCycle].unit}`;
 
           return (
             <div
@@ -305,17 +352,21 @@ export default function SubscriptionTab({ darkMode = false }) {
                 </div>
 
                 {/* CTA */}
-                <button style={{
-                  width: '100%', padding: '12px 0', borderRadius: 12,
-                  border: isCurrentPlan ? `2px solid ${style.color}` : 'none',
-                  background: isCurrentPlan ? 'transparent' : style.gradient,
-                  color: isCurrentPlan ? style.color : '#fff',
-                  fontSize: 13, fontWeight: 700, cursor: isCurrentPlan ? 'default' : 'pointer',
-                  display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
-                  transition: 'all 0.2s',
-                  opacity: isCurrentPlan ? 0.7 : 1,
-                  marginTop: 'auto'
-                }}>
+                <button
+                  onClick={() => setCheckoutPlan(plan)}
+                  disabled={isCurrentPlan}
+                  style={{
+                    width: '100%', padding: '12px 0', borderRadius: 12,
+                    border: isCurrentPlan ? `2px solid ${style.color}` : 'none',
+                    background: isCurrentPlan ? 'transparent' : style.gradient,
+                    color: isCurrentPlan ? style.color : '#fff',
+                    fontSize: 13, fontWeight: 700, cursor: isCurrentPlan ? 'default' : 'pointer',
+                    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
+                    transition: 'all 0.2s',
+                    opacity: isCurrentPlan ? 0.7 : 1,
+                    marginTop: 'auto'
+                  }}
+                >
                   {isCurrentPlan ? 'Current Plan' : (
                     <>
                       Select {plan.name}
@@ -331,7 +382,7 @@ export default function SubscriptionTab({ darkMode = false }) {
                   </div>
                   {[
                     { text: `Up to ${plan.max_users} members`, included: true },
-                    { text: `${plan.duration_days} days duration`, included: true },
+                    { text: `Renews every ${BILLING_CYCLES[billingCycle].days} days`, included: true },
                     { text: 'Dashboard access', included: true },
                     { text: 'Priority support', included: plan.max_users > 50 },
                     { text: 'Custom branding', included: plan.max_users > 100 },
@@ -368,6 +419,57 @@ export default function SubscriptionTab({ darkMode = false }) {
         })}
       </div>
 
+      {/* Invoices */}
+      {subscriptions.length > 0 && (
+        <div style={{
+          background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`,
+          marginBottom: 32, overflow: 'hidden',
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '20px 24px' }}>
+            <Receipt size={18} color="#3b82f6" />
+            <span style={{ fontSize: 15, fontWeight: 700, color: textPrimary }}>Invoices</span>
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: subtleBg }}>
+                  {['Invoice', 'Plan', 'Period', 'Amount', 'Paid', 'Status'].map(h => (
+                    <th key={h} style={{ padding: '10px 16px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: textSecondary, textTransform: 'uppercase', letterSpacing: '0.05em', whiteSpace: 'nowrap' }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {subscriptions.map(sub => {
+                  const status = getInvoiceStatus(sub);
+                  const paid = status === 'paid';
+                  return (
+                    <tr key={sub.id} style={{ borderTop: `1px solid ${subtleBorder}` }}>
+                      <td style={{ padding: '12px 16px', fontSize: 12, fontFamily: 'monospace', color: textPrimary, whiteSpace: 'nowrap' }}>{sub.invoice_no || `#${sub.id}`}</td>
+                      <td style={{ padding: '12px 16px', fontSize: 13, color: textPrimary, textTransform: 'capitalize' }}>
+                        {sub.package_name}
+                        {BILLING_CYCLES[sub.billing_cycle] && <span style={{ color: textMuted }}> · {BILLING_CYCLES[sub.billing_cycle].label}</span>}
+                      </td>
+                      <td style={{ padding: '12px 16px', fontSize: 12, color: textSecondary, whiteSpace: 'nowrap' }}>{formatDate(sub.start_date)} – {formatDate(sub.end_date)}</td>
+                      <td style={{ padding: '12px 16px', fontSize: 13, fontWeight: 700, color: textPrimary, whiteSpace: 'nowrap' }}>Rs. {parseFloat(sub.amount_paid || 0).toLocaleString()}</td>
+                      <td style={{ padding: '12px 16px', fontSize: 12, color: textSecondary, whiteSpace: 'nowrap' }}>{formatDate(sub.paid_at || sub.start_date)}</td>
+                      <td style={{ padding: '12px 16px' }}>
+                        <span style={{
+                          padding: '3px 10px', borderRadius: 6, fontSize: 11, fontWeight: 700, textTransform: 'uppercase',
+                          background: paid ? (darkMode ? '#14532d' : '#dcfce7') : (darkMode ? '#334155' : '#f1f5f9'),
+                          color: paid ? (darkMode ? '#4ade80' : '#16a34a') : textSecondary,
+                        }}>
+                          {status}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Payment Methods */}
       <div style={{
         background: cardBg, borderRadius: 20, border: `1px solid ${cardBorder}`,
@@ -430,6 +532,18 @@ export default function SubscriptionTab({ darkMode = false }) {
           </div>
         ))}
       </div>
+
+      {checkoutPlan && (
+        <PlanCheckoutModal
+          darkMode={darkMode}
+          plan={checkoutPlan}
+          cycle={billingCycle}
+          quote={quotePlanChange({ current: activeSubscription, currentPlan, plan: checkoutPlan, cycle: billingCycle })}
+          memberCount={memberCount}
+          onClose={() => setCheckoutPlan(null)}
+          onComplete={handleCheckoutComplete}
+        />
+      )}
     </div>
   );
 }
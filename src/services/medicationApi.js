@@ -1,22 +1,6 @@
-import axios from 'axios';
+import { http } from '../lib/httpClient';
 
-const BASE_URL = 'https://jeewanjyoti-backend.smart.org.np';
-
-/**
- * Create an axios instance that automatically attaches the JWT Bearer token
- * from localStorage on every request.
- */
-const medicationAxios = axios.create({
-  baseURL: BASE_URL,
-});
-
-medicationAxios.interceptors.request.use((config) => {
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers['Authorization'] = `Bearer ${token}`;
-  }
-  return config;
-});
+const asList = (data) => (Array.isArray(data) ? data : data?.results || []);
 
 /**
  * Fetch all medications for a given user.
@@ -24,13 +8,7 @@ medicationAxios.interceptors.request.use((config) => {
  * @returns {Promise<Array>}
  */
 export async function getMedications(userId) {
-  const params = {};
-  if (userId) params.user_id = userId;
-
-  const response = await medicationAxios.get('/api/medication/', {
-    params,
-  });
-  return response.data;
+  return await http.get('/api/medication/', { params: { user_id: userId } });
 }
 
 /**
@@ -39,8 +17,7 @@ export async function getMedications(userId) {
  * @returns {Promise<object>}
  */
 export async function createMedication(payload) {
-  const response = await medicationAxios.post('/api/medication/', payload);
-  return response.data;
+  return await http.post('/api/medication/', payload);
 }
 
 /**
@@ -51,8 +28,71 @@ export async function createMedication(payload) {
  * @returns {Promise<object>}
  */
 export async function toggleMedicationStatus(id, status) {
-  const response = await medicationAxios.patch(`/api/medication/${id}/`, {
+  return await http.patch(`/api/medication/${id}/`, {
     medication_status: status,
   });
-  return response.data;
+}
+
+/**
+ * Update a medication. A dosage change is kept in the medication's history
+ * together with the optional `change_reason`.
+ * @param {string|number} id
+ * @param {object} payload - Changed fields, plus optional change_reason
+ * @returns {Promise<object>}
+ */
+export async function updateMedication(id, payload) {
+  return await http.patch(`/api/medication/${id}/`, payload);
+}
+
+/**
+ * Stop a medication, recording why. It stays in the list (and its dose history
+ * in adherence) but no more doses are scheduled or reminded.
+ * @param {string|number} id
+ * @param {string} reason
+ * @returns {Promise<object>}
+ */
+export async function discontinueMedication(id, reason) {
+  return await http.patch(`/api/medication/${id}/`, {
+    medication_status: false,
+    discontinued: true,
+    discontinued_reason: reason,
+    change_reason: reason,
+  });
+}
+
+/**
+ * Permanently delete a medication and its dose logs.
+ * @param {string|number} id
+ */
+export async function deleteMedication(id) {
+  await http.delete(`/api/medication/${id}/`);
+}
+
+/**
+ * Change history of a medication (dosage, schedule, status), newest first.
+ * @param {string|number} id
+ * @returns {Promise<Array>} Entries { id, field, old_value, new_value, reason, changed_by_name, changed_at }
+ */
+export async function getMedicationHistory(id) {
+  return asList(await http.get(`/api/medication/${id}/history/`));
+}
+
+/**
+ * Fetch dose logs (taken / late / skipped) for a user's medications.
+ * @param {object} filters - { userId, medicationId, from, to } (dates as YYYY-MM-DD)
+ * @returns {Promise<Array>} Logs { id, medication_id, scheduled_for, status, logged_at }
+ */
+export async function getDoseLogs({ userId, medicationId, from, to } = {}) {
+  const params = { user_id: userId, medication_id: medicationId, from, to };
+  return asList(await http.get('/api/medication/doses/', { params }));
+}
+
+/**
+ * Record what happened to a scheduled dose. Logging the same dose again replaces
+ * the earlier entry.
+ * @param {object} payload - { medication_id, scheduled_for (ISO), status: 'taken'|'late'|'skipped' }
+ * @returns {Promise<object>}
+ */
+export async function logDose(payload) {
+  return await http.post('/api/medication/doses/', payload);
 }
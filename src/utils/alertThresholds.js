@@ -0,0 +1,130 @@
+export const DEFAULT_THRESHOLDS = {
+  hrMax: 120,
+  hrMin: 50,
+  spo2Warning: 92,
+  spo2Critical: 90,
+  tempMax: 38.5,
+  inactivityHours: 12,
+};
+
+// Labels, units and input bounds for the override editor
+export const THRESHOLD_FIELDS = [
+  { key: 'hrMax', label: 'Heart rate upper limit', unit: 'bpm', min: 100, max: 160, step: 1 },
+  { key: 'hrMin', label: 'Heart rate lower limit', unit: 'bpm', min: 40, max: 70, step: 1 },
+  { key: 'spo2Warning', label: 'SpO₂ warning limit', unit: '%', min: 85, max: 95, step: 1 },
+  { key: 'spo2Critical', label: 'SpO₂ critical limit', unit: '%', min: 80, max: 91, step: 1 },
+  { key: 'tempMax', label: 'Max temperature limit', unit: '°C', min: 37.5, max: 40, step: 0.1 },
+  { key: 'inactivityHours', label: 'Max inactivity', unit: 'hours', min: 6, max: 24, step: 1 },
+];
+
+/**
+ * Why a full set of thresholds contradicts itself, or null. A critical SpO₂
+ * limit at or above the warning limit would make every dip critical.
+ */
+export function findThresholdConflict(values) {
+  if (values.hrMin >= values.hrMax) {
+    return `The heart rate lower limit (${values.hrMin} bpm) must be below the upper limit (${values.hrMax} bpm).`;
+  }
+  if (values.spo2Critical >= values.spo2Warning) {
+    return `The SpO₂ critical limit (${values.spo2Critical}%) must be below the warning limit (${values.spo2Warning}%).`;
+  }
+  return null;
+}
+
+/** Why a thresholds draft can't be saved (out of bounds or contradictory), or null. */
+export function validateThresholds(values) {
+  const out = THRESHOLD_FIELDS.find(f => !(values[f.key] >= f.min && values[f.key] <= f.max));
+  if (out) return `${out.label} must be between ${out.min} and ${out.max} ${out.unit}.`;
+  return findThresholdConflict(values);
+}
+
+/** "Ages 65+", "Ages 18–40", "Under 18" for a cohort override. */
+export function describeCohort({ min_age: minAge, max_age: maxAge }) {
+  if (minAge != null && maxAge != null) return `Ages ${minAge}–${maxAge}`;
+  if (minAge != null) return `Ages ${minAge}+`;
+  if (maxAge != null) return `Under ${maxAge + 1}`;
+  return 'All ages';
+}
+
+/** A member's age as a number, or null when unknown. */
+export const getMemberAge = (member) => (member?.age != null && member.age !== '' ? Number(member.age) : null);
+
+/** Whether a cohort override's age range covers `age` (an unknown age matches no cohort). */
+export const cohortMatches = (override, age) => (
+  age != null &&
+  (override.min_age == null || age >= override.min_age) &&
+  (override.max_age == null || age <= override.max_age)
+);
+
+const cohortWidth = ({ min_age: minAge, max_age: maxAge }) => (maxAge ?? 150) - (minAge ?? 0);
+
+/**
+ * The thresholds that apply to one member, and where each value came from.
+ * Precedence per threshold: member override > narrowest matching age cohort > institution defaults.
+ *
+ * @param {object|null} member - Institution member ({ user_id, age })
+ * @param {object} defaults - Institution thresholds
+ * @param {Array} overrides - Overrides from getInstitutionThresholds
+ * @returns {object} { values, sources } where sources maps each threshold key to a label
+ */
+export function resolveMemberThresholds(member, defaults, overrides = []) {
+  const values = { ...DEFAULT_THRESHOLDS, ...defaults };
+  const sources = Object.fromEntries(Object.keys(values).map(key => [key, 'Default']));
+  if (!member) return { values, sources };
+
+  const age = getMemberAge(member);
+  const applicable = [
+    ...overrides
+      .filter(o => o.scope === 'cohort' && cohortMatches(o, age))
+      .sort((a, b) => cohortWidth(b) - cohortWidth(a))
+      .map(o => ({ o, source: `Cohort: ${o.label || describeCohort(o)}` })),
+    ...overrides
+      .filter(o => o.scope === 'member' && String(o.member_id) === String(member.user_id))
+      .map(o => ({ o, source: `Member override${o.label ? `: ${o.label}` : ''}` })),
+  ];
+
+  applicable.forEach(({ o, source }) => {
+    Object.entries(o.values || {}).forEach(([key, value]) => {
+      if (value == null || value === '' || !(key in values)) return;
+      values[key] = Number(value);
+      sources[key] = source;
+    });
+  });
+  return { values, sources };
+}
+
+/**
+ * Threshold breaches in a member's latest vitals. `rule` names the limit that
+ * fired and where it came from, e.g. "SpO₂ < 88% (Member override: COPD)".
+ *
+ * @param {object} vitals - Latest vitals ({ spo2: { Blood_oxygen, date }, heartrate: { once_heart_value, date } })
+ * @param {object} resolved - Result of resolveMemberThresholds
+ * @returns {Array} Breaches { key, type, value, severity, rule, observedAt } - observedAt is the reading's date, if known
+ */
+export function findThresholdBreaches(vitals, { values, sources }) {
+  const breaches = [];
+  if (!vitals) return breaches;
+  const rule = (text, key) => `${text} (${sources[key]})`;
+
+  const spo2 = vitals.spo2?.Blood_oxygen;
+  if (spo2) {
+    const observedAt = vitals.spo2.date || null;
+    if (spo2 < values.spo2Critical) {
+      breaches.push({ key: 'spo2-crit', type: 'SpO₂ Critical', value: `${spo2}%`, severity: 'critical', rule: rule(`SpO₂ < ${values.spo2Critical}%`, 'spo2Critical'), observedAt });
+    } else if (spo2 < values.spo2Warning) {
+      breaches.push({ key: 'spo2-warn', type: 'SpO₂ Warning', value: `${spo2}%`, severity: 'warning', rule: rule(`SpO₂ < ${values.spo2Warning}%`, 'spo2Warning'), observedAt });
+    }
+  }
+
+  const hr = vitals.heartrate?.once_heart_value;
+  if (hr) {
+    const observedAt = vitals.heartrate.date || null;
+    if (hr > values.hrMax) {
+      breaches.push({ key: 'hr-high', type: 'Elevated Heart Rate', value: `${hr} bpm`, severity: 'critical', rule: rule(`HR > ${values.hrMax} bpm`, 'hrMax'), observedAt });
+    } else if (hr < values.hrMin) {
+      breaches.push({ key: 'hr-low', type: 'Low Heart Rate', value: `${hr} bpm`, severity: 'warning', rule: rule(`HR < ${values.hrMin} bpm`, 'hrMin'), observedAt });
+    }
+  }
+
+  return breaches;
+}
@@ -0,0 +1,117 @@
+// Cancellation and rescheduling rules for booked appointments. The backend
+// enforces the same windows; they live here so the UI can explain them before
+// the patient commits.
+export const APPOINTMENT_POLICY = {
+  // Cancelling at least this long before the start refunds a paid booking in full
+  freeCancellationHours: 24,
+  // Cancelling and rescheduling close this long before the start
+  changeCutoffHours: 2,
+  // A booking can be moved at most this many times
+  maxReschedules: 2,
+};
+
+// Appointments in these states can no longer be changed
+export const CLOSED_STATUSES = ['CANCELLED', 'REJECTED', 'COMPLETED'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Start of an appointment in local time, or null for immediate / undated ones.
+ * @param {object} appointment - { appointment_date: 'YYYY-MM-DD', appointment_time: 'HH:MM[:SS]' }
+ * @returns {Date|null}
+ */
+export function getAppointmentStart(appointment) {
+  if (!appointment?.appointment_date) return null;
+  const [y, m, d] = appointment.appointment_date.split('-').map(Number);
+  const [h = 0, min = 0] = (appointment.appointment_time || '00:00').split(':').map(Number);
+  const start = new Date(y, m - 1, d, h, min);
+  return Number.isNaN(start.getTime()) ? null : start;
+}
+
+const isClosed = (appointment) => CLOSED_STATUSES.includes(appointment?.status);
+
+const hoursUntil = (appointment, now) => {
+  const start = getAppointmentStart(appointment);
+  return start ? (start.getTime() - now.getTime()) / HOUR_MS : null;
+};
+
+/**
+ * Whether a patient may cancel, and what happens to their payment.
+ * @param {object} appointment
+ * @param {Date} now
+ * @returns {{ allowed: boolean, refund: 'full'|'none'|null, reason: string }}
+ *   refund is null when nothing was paid
+ */
+export function getCancellationTerms(appointment, now = new Date()) {
+  if (isClosed(appointment)) {
+    return { allowed: false, refund: null, reason: `This appointment is already ${appointment.status.toLowerCase()}.` };
+  }
+
+  const paid = !!appointment.is_paid;
+  const hours = hoursUntil(appointment, now);
+
+  // Immediate consultations: free to cancel until the doctor accepts them
+  if (hours === null) {
+    if (appointment.status === 'CONFIRMED') {
+      return { allowed: true, refund: paid ? 'none' : null, reason: 'The doctor has already accepted this consultation, so the fee is not refunded.' };
+    }
+    return { allowed: true, refund: paid ? 'full' : null, reason: paid ? 'You will be refunded in full.' : 'No charge applies.' };
+  }
+
+  if (hours < APPOINTMENT_POLICY.changeCutoffHours) {
+    return {
+      allowed: false,
+      refund: null,
+      reason: hours < 0
+        ? 'This appointment has already started.'
+        : `Appointments can't be cancelled within ${APPOINTMENT_POLICY.changeCutoffHours} hours of the start. Please contact the doctor.`,
+    };
+  }
+
+  if (!paid) return { allowed: true, refund: null, reason: 'No charge applies.' };
+
+  return hours >= APPOINTMENT_POLICY.freeCancellationHours
+    ? { allowed: true, refund: 'full', reason: 'You will be refunded in full.' }
+    : {
+      allowed: true,
+      refund: 'none',
+      reason: `Cancelling less than ${APPOINTMENT_POLICY.freeCancellationHours} hours before the appointment is not refunded.`,
+    };
+}
+
+/**
+ * Whether a patient may move an appointment to another slot.
+ * @param {object} appointment - reschedule_count is the number of earlier moves
+ * @param {Date} now
+ * @returns {{ allowed: boolean, remaining: number, reason: string }}
+ */
+export function getRescheduleTerms(appointment, now = new Date()) {
+  const remaining = Math.max(0, APPOINTMENT_POLICY.maxReschedules - (appointment?.reschedule_count || 0));
+
+  if (isClosed(appointment)) {
+    return { allowed: false, remaining, reason: `This appointment is already ${appointment.status.toLowerCase()}.` };
+  }
+  const hours = hoursUntil(appointment, now);
+  if (hours === null) {
+    return { allowed: false, remaining, reason: 'Immediate consultations have no slot to move.' };
+  }
+  if (hours < APPOINTMENT_POLICY.changeCutoffHours) {
+    return { allowed: false, remaining, reason: `Appointments can't be moved within ${APPOINTMENT_POLICY.changeCutoffHours} hours of the start.` };
+  }
+  if (remaining === 0) {
+    return { allowed: false, remaining, reason: `This appointment has already been moved ${APPOINTMENT_POLICY.maxReschedules} times.` };
+  }
+  return { allowed: true, remaining, reason: `You can move it ${remaining} more time${remaining === 1 ? '' : 's'}.` };
+}
+
+/**
+ * Doctors may reject a booking until it starts.
+ * @param {object} appointment
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function canRejectAppointment(appointment, now = new Date()) {
+  if (isClosed(appointment)) return false;
+  const hours = hoursUntil(appointment, now);
+  return hours === null || hours > 0;
+}
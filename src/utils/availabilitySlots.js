@@ -0,0 +1,160 @@
+import { WEEKDAY_LABELS, toDateKey } from './medicationSchedule';
+
+// A doctor's bookable time comes from three sources:
+//   templates    weekly recurring hours { id, weekdays: [0-6] (0 = Sunday), start_time, end_time,
+//                interval_minutes, valid_from?, valid_until? }
+//   availabilities one-off windows { id, available_date, start_time, end_time, interval_minutes }
+//   exceptions   holidays and leave { id, start_date, end_date?, start_time?, end_time?, reason }
+//                that remove slots; without times the whole day is off.
+// The backend expands the same rules when serving /api/get_doctor_availability/;
+// this module lets the doctor preview what patients will see before saving.
+
+export const SLOT_INTERVALS = [15, 20, 30, 45, 60];
+
+export const DEFAULT_TEMPLATE = {
+  weekdays: [0, 1, 2, 3, 4],
+  start_time: '10:00',
+  end_time: '14:00',
+  interval_minutes: 20,
+  valid_from: '',
+  valid_until: '',
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [h, m] = (time || '00:00').split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+const fromMinutes = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Start times of every slot that fits completely inside a window.
+ * @returns {string[]} 'HH:MM' times
+ */
+export function slotTimesBetween(startTime, endTime, intervalMinutes) {
+  const interval = Number(intervalMinutes);
+  if (!interval || interval <= 0) return [];
+  const end = toMinutes(endTime);
+  const times = [];
+  for (let at = toMinutes(startTime); at + interval <= end; at += interval) {
+    times.push(fromMinutes(at));
+  }
+  return times;
+}
+
+const templateAppliesOn = (template, dateKey, weekday) =>
+  (template.weekdays || []).includes(weekday) &&
+  (!template.valid_from || template.valid_from <= dateKey) &&
+  (!template.valid_until || template.valid_until >= dateKey);
+
+// Whether time off removes the slot [time, time + interval) on dateKey
+const blockedBy = (exception, dateKey, time, interval) => {
+  const lastDay = exception.end_date || exception.start_date;
+  if (dateKey < exception.start_date || dateKey > lastDay) return false;
+  if (!exception.start_time || !exception.end_time) return true;
+  const start = toMinutes(time);
+  return start < toMinutes(exception.end_time) && start + interval > toMinutes(exception.start_time);
+};
+
+/**
+ * Slots generated for one day from templates and one-off windows, minus time off.
+ * Overlapping sources produce each start time once.
+ *
+ * @param {object} sources - { templates, availabilities, exceptions }
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Array<{ time: string, interval_minutes: number }>} Sorted by time
+ */
+export function getSlotsForDate({ templates = [], availabilities = [], exceptions = [] }, dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const weekday = new Date(y, m - 1, d).getDay();
+
+  const windows = [
+    ...templates.filter((t) => templateAppliesOn(t, dateKey, weekday)),
+    ...availabilities.filter((a) => a.available_date === dateKey),
+  ];
+
+  const slots = new Map();
+  for (const window of windows) {
+    const interval = Number(window.interval_minutes);
+    for (const time of slotTimesBetween(window.start_time, window.end_time, interval)) {
+      if (slots.has(time)) continue;
+      if (exceptions.some((e) => blockedBy(e, dateKey, time, interval))) continue;
+      slots.set(time, { time, interval_minutes: interval });
+    }
+  }
+  return [...slots.values()].sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Generated slots for the next `days` days starting at `from`; days without slots are omitted.
+ * @returns {Array<{ date: string, slots: Array }>}
+ */
+export function previewSlots(sources, from = new Date(), days = 14) {
+  const preview = [];
+  for (let i = 0; i < days; i++) {
+    const dateKey = toDateKey(new Date(from.getFullYear(), from.getMonth(), from.getDate() + i));
+    const slots = getSlotsForDate(sources, dateKey);
+    if (slots.length) preview.push({ date: dateKey, slots });
+  }
+  return preview;
+}
+
+// Consecutive weekdays collapse into a range: [0,1,2,3,4] -> "Sun–Thu"
+const describeWeekdays = (weekdays = []) => {
+  const days = [...new Set(weekdays)].sort((a, b) => a - b);
+  const runs = [];
+  for (const day of days) {
+    const last = runs[runs.length - 1];
+    if (last && day === last[1] + 1) last[1] = day;
+    else runs.push([day, day]);
+  }
+  return runs
+    .map(([first, last]) => (last - first >= 2
+      ? `${WEEKDAY_LABELS[first]}–${WEEKDAY_LABELS[last]}`
+      : first === last ? WEEKDAY_LABELS[first] : `${WEEKDAY_LABELS[first]}, ${WEEKDAY_LABELS[last]}`))
+    .join(', ');
+};
+
+/** "Sun–Thu 10:00–14:00, 20-minute slots" */
+export function describeTemplate(template) {
+  return `${describeWeekdays(template.weekdays)} ${template.start_time?.slice(0, 5)}–${template.end_time?.slice(0, 5)}, ` +
+    `${template.interval_minutes}-minute slots`;
+}
+
+/** "Dashain holiday · 2026-10-20 – 2026-10-24" or "Clinic meeting · 2026-10-21, 12:00–13:00" */
+export function describeException(exception) {
+  const dates = exception.end_date && exception.end_date !== exception.start_date
+    ? `${exception.start_date} – ${exception.end_date}`
+    : exception.start_date;
+  const hours = exception.start_time && exception.end_time
+    ? `, ${exception.start_time.slice(0, 5)}–${exception.end_time.slice(0, 5)}`
+    : '';
+  return `${exception.reason ? `${exception.reason} · ` : ''}${dates}${hours}`;
+}
+
+/** Problems that would stop a template producing slots, or null. */
+export function validateTemplate(template) {
+  if (!(template.weekdays || []).length) return 'Pick at least one weekday.';
+  if (!template.start_time || !template.end_time) return 'Set the start and end time.';
+  if (toMinutes(template.start_time) >= toMinutes(template.end_time)) return 'End time must be after start time.';
+  if (!slotTimesBetween(template.start_time, template.end_time, template.interval_minutes).length) {
+    return 'The hours are shorter than one slot.';
+  }
+  if (template.valid_from && template.valid_until && template.valid_from > template.valid_until) {
+    return 'The end date must be after the start date.';
+  }
+  return null;
+}
+
+/** Problems with a time-off entry, or null. */
+export function validateException(exception) {
+  if (!exception.start_date) return 'Pick the first day off.';
+  if (exception.end_date && exception.end_date < exception.start_date) return 'The last day must be after the first.';
+  if (!!exception.start_time !== !!exception.end_time) return 'Set both times, or leave both empty for the whole day.';
+  if (exception.start_time && toMinutes(exception.start_time) >= toMinutes(exception.end_time)) {
+    return 'End time must be after start time.';
+  }
+  return null;
+}
@@ -0,0 +1,89 @@
+import { formatRelativeTime } from './relativeTime';
+
+// A device that hasn't synced for this long is shown as offline and raises an alert
+export const DEVICE_OFFLINE_AFTER_MINUTES = 30;
+
+// Battery levels (percent) that raise a warning / critical alert
+export const LOW_BATTERY_PERCENT = 20;
+export const CRITICAL_BATTERY_PERCENT = 10;
+
+/**
+ * Most recent sign of life from a device: the member's last sync for assigned
+ * wearables, otherwise what the registry last heard from the device itself.
+ */
+export function getDeviceLastSeen(device) {
+  const times = [device.lastSync, device.last_seen, device.battery?.timestamp]
+    .filter(Boolean)
+    .map((t) => new Date(t).getTime())
+    .filter((t) => !Number.isNaN(t));
+  return times.length ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Online/offline and battery state of a registry device.
+ * `unknown` is set when the device's telemetry could not be fetched; online and
+ * battery then only reflect what the registry itself knows.
+ * @param {object} device - Registry device enriched with { battery: { percentage, timestamp }, lastSync, telemetryUnknown }
+ * @param {number} now
+ * @returns {{ online: boolean, unknown: boolean, lastSeen: Date|null, battery: number|null, lowBattery: boolean, criticalBattery: boolean }}
+ */
+export function getDeviceHealth(device, now = Date.now()) {
+  const lastSeen = getDeviceLastSeen(device);
+  const online = !!lastSeen && now - lastSeen.getTime() <= DEVICE_OFFLINE_AFTER_MINUTES * 60000;
+  const raw = device.battery?.percentage;
+  const battery = raw == null || Number.isNaN(Number(raw)) ? null : Number(raw);
+  return {
+    online,
+    unknown: !!device.telemetryUnknown,
+    lastSeen,
+    battery,
+    lowBattery: battery != null && battery <= LOW_BATTERY_PERCENT,
+    criticalBattery: battery != null && battery <= CRITICAL_BATTERY_PERCENT,
+  };
+}
+
+/**
+ * Offline and low-battery devices as alert candidates for useInstitutionAlerts.
+ * Alerts are keyed per device, so reassigning a device doesn't raise a duplicate.
+ * Devices with unknown telemetry are skipped rather than reported offline.
+ *
+ * @param {Array} devices - Enriched registry devices
+ * @param {number} now
+ * @returns {Array} Candidates { alert_key, member_id, member_name, node, type, value, severity, rule, observed_at }
+ */
+export function findDeviceAlerts(devices, now = Date.now()) {
+  const candidates = [];
+  devices.forEach((device) => {
+    const health = getDeviceHealth(device, now);
+    if (health.unknown) return;
+    const base = {
+      member_id: device.assigned_member_id ?? null,
+      member_name: device.assigned_member_name || device.name || device.serial,
+      node: device.serial,
+    };
+    // A device that has never synced is still being set up, not offline
+    if (!health.online && health.lastSeen) {
+      candidates.push({
+        ...base,
+        alert_key: `device-offline-${device.id}`,
+        type: 'Device Offline',
+        value: `${device.serial} · last seen ${formatRelativeTime(health.lastSeen, now)}`,
+        severity: device.kind === 'gateway' ? 'critical' : 'warning',
+        rule: `No sync for ${DEVICE_OFFLINE_AFTER_MINUTES} min`,
+        observed_at: health.lastSeen.toISOString(),
+      });
+    }
+    if (health.lowBattery) {
+      candidates.push({
+        ...base,
+        alert_key: `device-battery-${device.id}`,
+        type: 'Low Device Battery',
+        value: `${device.serial} · ${health.battery}%`,
+        severity: health.criticalBattery ? 'critical' : 'warning',
+        rule: `Battery ≤ ${health.criticalBattery ? CRITICAL_BATTERY_PERCENT : LOW_BATTERY_PERCENT}%`,
+        observed_at: device.battery?.timestamp || health.lastSeen?.toISOString() || null,
+      });
+    }
+  });
+  return candidates;
+}
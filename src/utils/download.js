@@ -0,0 +1,35 @@
+/** Save a Blob (or string content) to the user's device under `filename`. */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+const escapeCsvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from row objects.
+ * @param {Array<object>} rows
+ * @param {Array<{ key: string, label: string }>} columns - Column order and header labels
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const header = columns.map((col) => escapeCsvCell(col.label)).join(',');
+  const lines = rows.map((row) => columns.map((col) => escapeCsvCell(row[col.key])).join(','));
+  return [header, ...lines].join('\r\n');
+}
+
+/** Filesystem-safe slug for download names, e.g. "Ram Thapa" -> "Ram_Thapa". */
+export function toFileSlug(text) {
+  return String(text || 'export').trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+}
@@ -0,0 +1,205 @@
+import { jsPDF } from 'jspdf';
+import { downloadFile, toCsv, toFileSlug } from './download';
+
+// Used when neither the device nor the summary tells us the sampling rate
+export const ECG_FALLBACK_SAMPLE_RATE = 250;
+
+/**
+ * Samples per second of a recorded session: the device-reported rate if any,
+ * else derived from the summary duration, else from wall-clock recording time.
+ */
+export function getSessionSampleRate(session) {
+  if (session?.sample_rate > 0) return session.sample_rate;
+  const count = session?.samples?.length || 0;
+  const summarySeconds = Number(session?.ecg_summary?.duration);
+  if (count && summarySeconds > 0) return count / summarySeconds;
+  const started = Date.parse(session?.started_at);
+  const ended = Date.parse(session?.ended_at);
+  if (count && started && ended > started) return count / ((ended - started) / 1000);
+  return ECG_FALLBACK_SAMPLE_RATE;
+}
+
+export function getSessionDurationSeconds(session) {
+  const count = session?.samples?.length || 0;
+  return count ? count / getSessionSampleRate(session) : Number(session?.ecg_summary?.duration) || 0;
+}
+
+/**
+ * Draw ECG paper and a voltage trace on a canvas (auto-scaled to the values shown).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<number>} values - Samples to draw across the full width
+ * @param {object} options - { width, height, leadingDot }
+ */
+export function drawEcgTrace(ctx, values, { width: W, height: H, leadingDot = true }) {
+  ctx.clearRect(0, 0, W, H);
+
+  // Grid
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = 'rgba(0,200,100,0.07)';
+  for (let x = 0; x <= W; x += 40) { ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke(); }
+  for (let y = 0; y <= H; y += 25) { ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke(); }
+  ctx.strokeStyle = 'rgba(0,200,100,0.13)';
+  for (let x = 0; x <= W; x += 200) { ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke(); }
+  for (let y = 0; y <= H; y += 50) { ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke(); }
+
+  if (!values.length) return;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  const range = max - min || 1;
+  const toY = (v) => H - ((v - min) / range) * (H * 0.8) - H * 0.1;
+
+  ctx.beginPath();
+  ctx.strokeStyle = '#00ff64';
+  ctx.lineWidth = 2;
+  ctx.shadowColor = '#00ff64';
+  ctx.shadowBlur = 8;
+  values.forEach((v, i) => {
+    const x = (i / Math.max(values.length - 1, 1)) * W;
+    if (i === 0) ctx.moveTo(x, toY(v)); else ctx.lineTo(x, toY(v));
+  });
+  ctx.stroke();
+
+  if (leadingDot) {
+    // Leading dot at latest sample
+    ctx.beginPath();
+    ctx.arc(W - 2, toY(values[values.length - 1]), 4, 0, Math.PI * 2);
+    ctx.fillStyle = '#00ff64';
+    ctx.shadowBlur = 20;
+    ctx.fill();
+  }
+  ctx.shadowBlur = 0;
+}
+
+const sessionFileName = (session, patientName, extension) => {
+  const started = session?.started_at ? new Date(session.started_at) : new Date();
+  const stamp = started.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  return `ECG_${toFileSlug(patientName)}_${stamp}.${extension}`;
+};
+
+/**
+ * Download every sample of a session as CSV, with the heart rate reported at each sample's time.
+ * @param {object} session - Saved session (samples, heart_rate_series, started_at, ...)
+ * @param {string} patientName
+ */
+export function downloadEcgCsv(session, patientName) {
+  const rate = getSessionSampleRate(session);
+  const series = [...(session.heart_rate_series || [])].sort((a, b) => a.t - b.t);
+  const startMs = Date.parse(session.started_at) || 0;
+  let hrIndex = -1;
+
+  const rows = (session.samples || []).map((voltage, i) => {
+    const t = i / rate;
+    while (hrIndex + 1 < series.length && series[hrIndex + 1].t <= t) hrIndex += 1;
+    return {
+      index: i,
+      seconds: t.toFixed(4),
+      timestamp: startMs ? new Date(startMs + t * 1000).toISOString() : '',
+      voltage,
+      heart_rate: hrIndex >= 0 ? series[hrIndex].bpm : '',
+    };
+  });
+
+  const csv = toCsv(rows, [
+    { key: 'index', label: 'sample' },
+    { key: 'seconds', label: 'time_s' },
+    { key: 'timestamp', label: 'timestamp' },
+    { key: 'voltage', label: 'voltage' },
+    { key: 'heart_rate', label: 'heart_rate_bpm' },
+  ]);
+  downloadFile(csv, sessionFileName(session, patientName, 'csv'), 'text/csv;charset=utf-8');
+}
+
+// Printable strip layout (A4 landscape, mm): standard 25 mm/s paper speed
+const PDF_MARGIN = 10;
+const PDF_MM_PER_SECOND = 25;
+const PDF_ROW_SECONDS = 10;
+const PDF_ROW_HEIGHT = 34;
+const PDF_ROW_GAP = 6;
+
+function drawPdfGrid(doc, x, y, width, height) {
+  doc.setLineWidth(0.05);
+  doc.setDrawColor(250, 200, 200);
+  for (let gx = 0; gx <= width; gx += 1) doc.line(x + gx, y, x + gx, y + height);
+  for (let gy = 0; gy <= height; gy += 1) doc.line(x, y + gy, x + width, y + gy);
+  doc.setLineWidth(0.15);
+  doc.setDrawColor(235, 130, 130);
+  for (let gx = 0; gx <= width; gx += 5) doc.line(x + gx, y, x + gx, y + height);
+  for (let gy = 0; gy <= height; gy += 5) doc.line(x, y + gy, x + width, y + gy);
+}
+
+/**
+ * Download the session as a printable PDF rhythm strip (10 s per row, 25 mm/s,
+ * amplitude auto-scaled), headed by the summary and clinical notes.
+ * @param {object} session - Saved session
+ * @param {string} patientName
+ */
+export function downloadEcgPdf(session, patientName) {
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const samples = session.samples || [];
+  const rate = getSessionSampleRate(session);
+  const summary = session.ecg_summary || {};
+  const stripWidth = PDF_ROW_SECONDS * PDF_MM_PER_SECOND;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of samples) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  const range = max - min || 1;
+
+  // Header
+  doc.setFontSize(14);
+  doc.text('ECG Rhythm Strip · Lead II', PDF_MARGIN, PDF_MARGIN + 4);
+  doc.setFontSize(9);
+  const started = session.started_at ? new Date(session.started_at).toLocaleString() : '—';
+  doc.text(`Patient: ${patientName || '—'}    Recorded: ${started}    Duration: ${getSessionDurationSeconds(session).toFixed(1)} s`, PDF_MARGIN, PDF_MARGIN + 10);
+  doc.text(
+    `HR: ${summary.heartRate ?? '—'} bpm    HRV: ${summary.hrv ?? '—'} ms    QT: ${summary.qt ?? '—'} ms    25 mm/s · amplitude auto-scaled`,
+    PDF_MARGIN, PDF_MARGIN + 15,
+  );
+  let y = PDF_MARGIN + 20;
+  if (session.clinical_notes) {
+    const lines = doc.splitTextToSize(`Notes: ${session.clinical_notes}`, pageWidth - PDF_MARGIN * 2).slice(0, 3);
+    doc.text(lines, PDF_MARGIN, y);
+    y += lines.length * 4 + 2;
+  }
+
+  const samplesPerRow = Math.max(1, Math.round(PDF_ROW_SECONDS * rate));
+  const step = Math.max(1, Math.floor(rate / 125));
+  const rowCount = Math.max(1, Math.ceil(samples.length / samplesPerRow));
+
+  for (let row = 0; row < rowCount; row += 1) {
+    if (y + PDF_ROW_HEIGHT > pageHeight - PDF_MARGIN) {
+      doc.addPage();
+      y = PDF_MARGIN;
+    }
+    drawPdfGrid(doc, PDF_MARGIN, y, stripWidth, PDF_ROW_HEIGHT);
+    doc.setFontSize(7);
+    doc.setTextColor(120);
+    doc.text(`${row * PDF_ROW_SECONDS}s`, PDF_MARGIN + stripWidth + 2, y + 4);
+    doc.setTextColor(0);
+
+    doc.setLineWidth(0.25);
+    doc.setDrawColor(20, 20, 20);
+    const first = row * samplesPerRow;
+    const last = Math.min(samples.length, first + samplesPerRow);
+    let prev = null;
+    for (let i = first; i < last; i += step) {
+      const px = PDF_MARGIN + ((i - first) / rate) * PDF_MM_PER_SECOND;
+      const py = y + PDF_ROW_HEIGHT - ((samples[i] - min) / range) * (PDF_ROW_HEIGHT * 0.85) - PDF_ROW_HEIGHT * 0.075;
+      if (prev) doc.line(prev[0], prev[1], px, py);
+      prev = [px, py];
+    }
+    y += PDF_ROW_HEIGHT + PDF_ROW_GAP;
+  }
+
+  doc.save(sessionFileName(session, patientName, 'pdf'));
+}
@@ -0,0 +1,77 @@
+import { distanceMeters, findStops } from './trailAnalysis';
+
+export const DEFAULT_STILL_ALERT_MINUTES = 30;
+export const DEFAULT_ZONE_RADIUS_M = 200;
+
+// Ray casting; zones are small enough that lat/lng can be treated as planar
+function insidePolygon(point, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [latI, lngI] = vertices[i];
+    const [latJ, lngJ] = vertices[j];
+    if ((latI > point.lat) !== (latJ > point.lat)
+      && point.lng < ((lngJ - lngI) * (point.lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a safe zone.
+ * @param {{ lat: number, lng: number }} point
+ * @param {object} zone - { shape: 'circle', center: [lat, lng], radius_m } or { shape: 'polygon', points: [[lat, lng]] }
+ */
+export function isInsideZone(point, zone) {
+  if (zone.shape === 'circle') {
+    const [lat, lng] = zone.center || [];
+    if (lat == null || lng == null) return false;
+    return distanceMeters(point, { lat, lng }) <= Number(zone.radius_m);
+  }
+  if (zone.shape === 'polygon') return (zone.points?.length || 0) >= 3 && insidePolygon(point, zone.points);
+  return false;
+}
+
+const activeZones = (zones) => zones.filter((z) => z.active !== false);
+
+/**
+ * Entries into and exits from safe zones along a trail, oldest first.
+ * @param {Array} points - Trail points { lat, lng, timestamp }, oldest first
+ * @param {Array} zones
+ * @returns {Array} Events { type: 'exit'|'enter', zone, point, time }
+ */
+export function findZoneCrossings(points, zones) {
+  const events = [];
+  activeZones(zones).forEach((zone) => {
+    let inside = null;
+    points.forEach((point) => {
+      const now = isInsideZone(point, zone);
+      if (inside !== null && now !== inside) {
+        events.push({ type: now ? 'enter' : 'exit', zone, point, time: new Date(point.timestamp) });
+      }
+      inside = now;
+    });
+  });
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Stops outside every safe zone lasting at least `minMinutes` — the
+ * "stopped somewhere unusual" alert.
+ * @param {Array} points - Trail points, oldest first
+ * @param {Array} zones
+ * @param {number} minMinutes
+ * @returns {Array} Stops { point, start, end, minutes }
+ */
+export function findLongStops(points, zones, minMinutes = DEFAULT_STILL_ALERT_MINUTES) {
+  const safe = activeZones(zones);
+  return findStops(points, minMinutes)
+    .filter((stop) => !safe.some((z) => isInsideZone(stop.point, z)))
+    .map((stop) => ({ point: stop.point, start: stop.arrival, end: stop.departure, minutes: stop.minutes }));
+}
+
+/** "200 m radius", "5-point area" */
+export function describeZone(zone) {
+  if (zone.shape === 'circle') return `${Math.round(zone.radius_m)} m radius`;
+  return `${zone.points?.length || 0}-point area`;
+}
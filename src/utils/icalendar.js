@@ -0,0 +1,105 @@
+import { getAppointmentStart } from './appointmentPolicy';
+
+// Appointments without a known length block this long in the calendar
+export const DEFAULT_APPOINTMENT_MINUTES = 30;
+
+const ICS_STATUS = {
+  CONFIRMED: 'CONFIRMED',
+  PENDING: 'TENTATIVE',
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'CANCELLED',
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** 20260314T091500Z */
+const toIcsDate = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// RFC 5545 §3.3.11: backslash, semicolon, comma and newlines are escaped in text
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 §3.1: lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const decoder = new TextDecoder();
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (parts.length ? 74 : 75), bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end -= 1;
+    parts.push(decoder.decode(bytes.slice(start, end)));
+    start = end;
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * One VEVENT for an appointment, or null when it has no date (immediate consultations).
+ * @param {object} appointment
+ * @param {object} options - { isDoctor: title the event with the patient instead of the doctor, now }
+ * @returns {string[]|null} Unfolded content lines
+ */
+export function appointmentToEvent(appointment, { isDoctor = false, now = new Date() } = {}) {
+  const start = getAppointmentStart(appointment);
+  if (!start) return null;
+  const minutes = Number(appointment.duration_minutes) || DEFAULT_APPOINTMENT_MINUTES;
+  const end = new Date(start.getTime() + minutes * 60 * 1000);
+  const id = appointment.appointment_id || appointment.id;
+  const patient = appointment.user_name || appointment.patient_name || 'Patient';
+  const doctor = appointment.doctor_name || 'Doctor';
+
+  const description = [
+    isDoctor ? `Patient: ${patient}` : `Doctor: ${doctor}`,
+    appointment.doctor_specialization,
+    appointment.problem_description && `Reason: ${appointment.problem_description}`,
+    appointment.invoice_no && `Invoice: ${appointment.invoice_no}`,
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:appointment-${id}@jeewanjyoti`,
+    `DTSTAMP:${toIcsDate(now)}`,
+    `DTSTART:${toIcsDate(start)}`,
+    `DTEND:${toIcsDate(end)}`,
+    `SUMMARY:${escapeText(isDoctor ? `Appointment with ${patient}` : `Appointment with ${doctor}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${ICS_STATUS[appointment.status] || 'CONFIRMED'}`,
+    // Bumped on every reschedule so calendar apps replace the old event
+    `SEQUENCE:${appointment.reschedule_count || 0}`,
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * iCalendar (.ics) text for a list of appointments.
+ * @param {Array<object>} appointments
+ * @param {object} options - { isDoctor, calendarName }
+ * @returns {string}
+ */
+export function buildAppointmentsCalendar(appointments, { isDoctor = false, calendarName = 'JeewanJyoti appointments' } = {}) {
+  const now = new Date();
+  const events = appointments
+    .map((appointment) => appointmentToEvent(appointment, { isDoctor, now }))
+    .filter(Boolean)
+    .flat();
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//JeewanJyoti//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events,
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
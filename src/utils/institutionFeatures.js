@@ -0,0 +1,19 @@
+// Institution dashboard features a platform admin can turn off per institution.
+// Ids match the institution dashboard tabs they hide.
+export const INSTITUTION_FEATURES = [
+  { id: 'monitoring', label: 'Monitoring Wall', description: 'Live ward view of every member' },
+  { id: 'analytics', label: 'Analytics', description: 'Trends and cohort charts' },
+  { id: 'reports', label: 'Reports', description: 'PDF and CSV report export' },
+  { id: 'devices', label: 'Device registry', description: 'Register and assign wearables and gateways' },
+];
+
+/**
+ * Whether an institution has a feature. Features missing from `features` are on,
+ * so institutions created before toggles existed keep everything.
+ * @param {object|null} features - Feature id → boolean, from the institution record
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isFeatureEnabled(features, id) {
+  return features?.[id] !== false;
+}
@@ -0,0 +1,98 @@
+// Metrics a caregiver can be given access to, in the order they are listed
+export const MAPPING_METRICS = [
+  { id: 'heart_rate', label: 'Heart rate' },
+  { id: 'spo2', label: 'Blood oxygen' },
+  { id: 'blood_pressure', label: 'Blood pressure' },
+  { id: 'sleep', label: 'Sleep' },
+  { id: 'stress', label: 'Stress' },
+  { id: 'hrv', label: 'HRV' },
+  { id: 'steps', label: 'Steps & activity' },
+];
+
+const ALL_METRICS = MAPPING_METRICS.map((m) => m.id);
+
+// Mappings made before access levels existed carry no `permissions` and keep full access
+export const FULL_ACCESS = {
+  metrics: ALL_METRICS,
+  location: true,
+  manage_medications: true,
+  book_appointments: true,
+};
+
+// What a new request asks for until the caregiver changes it
+export const DEFAULT_REQUEST_ACCESS = {
+  metrics: ALL_METRICS,
+  location: true,
+  manage_medications: false,
+  book_appointments: false,
+};
+
+/**
+ * The access a mapping grants.
+ * @param {object|null} mapping - From getUserMappings or getMyCaregivers
+ * @returns {object} { metrics: string[], location, manage_medications, book_appointments }
+ */
+export function getMappingPermissions(mapping) {
+  const permissions = mapping?.permissions;
+  if (!permissions) return FULL_ACCESS;
+  return {
+    metrics: Array.isArray(permissions.metrics) ? permissions.metrics : [],
+    location: !!permissions.location,
+    manage_medications: !!permissions.manage_medications,
+    book_appointments: !!permissions.book_appointments,
+  };
+}
+
+/** Whether the mapping's access has passed its `access_expires_at`. */
+export function isMappingExpired(mapping, now = new Date()) {
+  if (!mapping?.access_expires_at) return false;
+  return new Date(mapping.access_expires_at) <= now;
+}
+
+/**
+ * Whether a metric may be shown. `permissions` is null when viewing your own
+ * data, which is never restricted.
+ */
+export function canViewMetric(permissions, metric) {
+  return !permissions || permissions.metrics.includes(metric);
+}
+
+/**
+ * Short labels for what a mapping grants, e.g. ["5 of 7 metrics", "Location", "Medications"].
+ * @param {object} permissions - From getMappingPermissions
+ * @returns {string[]}
+ */
+export function describePermissions(permissions) {
+  const count = permissions.metrics.length;
+  const labels = [
+    count === ALL_METRICS.length ? 'All metrics' : count === 0 ? 'No metrics' : `${count} of ${ALL_METRICS.length} metrics`,
+  ];
+  if (permissions.location) labels.push('Location');
+  if (permissions.manage_medications) labels.push('Medications');
+  if (permissions.book_appointments) labels.push('Appointments');
+  return labels;
+}
+
+/**
+ * MappingAccessForm value for a mapping (or the defaults for a new request).
+ * @returns {{ permissions: object, expiresOn: string }}
+ */
+export function toAccessFormValue(mapping = null) {
+  const date = mapping?.access_expires_at ? new Date(mapping.access_expires_at) : null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    permissions: mapping ? getMappingPermissions(mapping) : DEFAULT_REQUEST_ACCESS,
+    expiresOn: date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '',
+  };
+}
+
+/**
+ * Request body for a MappingAccessForm value; access runs to the end of the chosen day.
+ * @returns {{ permissions: object, access_expires_at: string|null }}
+ */
+export function toAccessPayload({ permissions, expiresOn }) {
+  return {
+    permissions,
+    access_expires_at: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null,
+  };
+}
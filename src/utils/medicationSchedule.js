@@ -0,0 +1,202 @@
+// Structured dose schedules stored on a medication's `schedule` field:
+//   { type: 'times', times: ['08:00', '20:00'] }
+//   { type: 'interval', every_hours: 8, first_dose: '06:00' }
+//   { type: 'weekdays', weekdays: [1, 3, 5], times: ['09:00'] }        (0 = Sunday)
+//   { type: 'taper', times: ['08:00'], steps: [{ days: 5, dosage: '40mg' }, ...] }
+// Medications created before schedules existed only have free-text `frequency`
+// and produce no scheduled doses.
+
+export const SCHEDULE_TYPES = [
+  { id: 'times', label: 'Times of day' },
+  { id: 'interval', label: 'Every N hours' },
+  { id: 'weekdays', label: 'Specific weekdays' },
+  { id: 'taper', label: 'Tapering dose' },
+];
+
+export const DEFAULT_SCHEDULE = { type: 'times', times: ['08:00'] };
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A dose marked as taken this long after its scheduled time counts as late
+export const LATE_AFTER_MINUTES = 60;
+
+export const DOSE_STATUSES = ['taken', 'late', 'skipped'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** YYYY-MM-DD in local time. */
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseDateKey = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+const atTime = (day, time) => {
+  const [h, m] = time.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m || 0);
+};
+
+const sortTimes = (times = []) => [...new Set(times.filter(Boolean))].sort();
+
+const daysBetween = (a, b) => Math.round((parseDateKey(toDateKey(b)) - parseDateKey(toDateKey(a))) / 86400000);
+
+/** Identifies one scheduled dose; dose logs are matched on it. */
+export const doseKey = (medicationId, scheduledFor) => {
+  const d = new Date(scheduledFor);
+  return `${medicationId}|${toDateKey(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/** "08:00, 20:00 daily", "Every 8 h from 06:00", "Mon, Wed at 09:00", "Taper over 10 days" */
+export function describeSchedule(schedule) {
+  if (!schedule?.type) return '';
+  const times = sortTimes(schedule.times).join(', ');
+  switch (schedule.type) {
+    case 'times':
+      return `${times} daily`;
+    case 'interval':
+      return `Every ${schedule.every_hours} h from ${schedule.first_dose || '00:00'}`;
+    case 'weekdays':
+      return `${(schedule.weekdays || []).slice().sort().map(d => WEEKDAY_LABELS[d]).join(', ')} at ${times}`;
+    case 'taper': {
+      const steps = schedule.steps || [];
+      const total = steps.reduce((sum, s) => sum + Number(s.days || 0), 0);
+      return `Taper ${steps.map(s => s.dosage).join(' → ')} over ${total} days at ${times}`;
+    }
+    default:
+      return '';
+  }
+}
+
+/** Problems with a schedule that would stop doses being generated, or null. */
+export function validateSchedule(schedule) {
+  if (!schedule?.type) return 'Choose a schedule type.';
+  if (schedule.type === 'interval') {
+    const hours = Number(schedule.every_hours);
+    if (!hours || hours < 1 || hours > 24) return 'Interval must be between 1 and 24 hours.';
+    if (!schedule.first_dose) return 'Set the time of the first dose.';
+    return null;
+  }
+  if (!sortTimes(schedule.times).length) return 'Add at least one time of day.';
+  if (schedule.type === 'weekdays' && !(schedule.weekdays || []).length) return 'Pick at least one weekday.';
+  if (schedule.type === 'taper') {
+    const steps = schedule.steps || [];
+    if (!steps.length) return 'Add at least one tapering step.';
+    if (steps.some(s => !s.dosage?.trim() || !(Number(s.days) > 0))) return 'Every tapering step needs a dosage and a number of days.';
+  }
+  return null;
+}
+
+// Dose times and dosage for one calendar day, ignoring the medication's date range
+function dosesOnDay(medication, day) {
+  const { schedule } = medication;
+  const times = sortTimes(schedule.times);
+  switch (schedule.type) {
+    case 'times':
+      return times.map(t => ({ time: t, dosage: medication.dosage }));
+    case 'weekdays':
+      return (schedule.weekdays || []).includes(day.getDay())
+        ? times.map(t => ({ time: t, dosage: medication.dosage }))
+        : [];
+    case 'interval': {
+      // The interval runs continuously from the first dose on the start date
+      const every = Number(schedule.every_hours) * 60;
+      const origin = atTime(parseDateKey(medication.start_date), schedule.first_dose || '00:00');
+      const dayStart = atTime(day, '00:00');
+      const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+      const doses = [];
+      let n = Math.max(0, Math.ceil((dayStart - origin) / 60000 / every));
+      for (let at = new Date(origin.getTime() + n * every * 60000); at < nextDay; n++, at = new Date(origin.getTime() + n * every * 60000)) {
+        doses.push({ time: `${pad(at.getHours())}:${pad(at.getMinutes())}`, dosage: medication.dosage });
+      }
+      return doses;
+    }
+    case 'taper': {
+      let dayIndex = daysBetween(parseDateKey(medication.start_date), day);
+      for (const step of schedule.steps || []) {
+        if (dayIndex < Number(step.days)) return times.map(t => ({ time: t, dosage: step.dosage }));
+        dayIndex -= Number(step.days);
+      }
+      return [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Every scheduled dose of the given medications between two dates (inclusive),
+ * honouring start/end dates, the skip date and inactive medications.
+ *
+ * @param {Array} medications
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array} Doses { key, medicationId, name, dosage, scheduledFor } sorted by time
+ */
+export function getScheduledDoses(medications, from, to) {
+  const doses = [];
+  const firstDay = parseDateKey(toDateKey(from));
+  const lastDay = parseDateKey(toDateKey(to));
+
+  medications.forEach(med => {
+    if (!med.schedule?.type || !med.start_date || med.medication_status === false) return;
+    for (let day = new Date(firstDay); day <= lastDay; day.setDate(day.getDate() + 1)) {
+      const key = toDateKey(day);
+      if (key < med.start_date || (med.end_date && key > med.end_date) || key === med.skip_date) continue;
+      dosesOnDay(med, day).forEach(({ time, dosage }) => {
+        const scheduledFor = atTime(day, time);
+        doses.push({ key: doseKey(med.id, scheduledFor), medicationId: med.id, name: med.name, dosage, scheduledFor });
+      });
+    }
+  });
+
+  return doses.sort((a, b) => a.scheduledFor - b.scheduledFor);
+}
+
+/** Status to record when a dose is marked as taken now. */
+export const takenStatusFor = (scheduledFor, now = new Date()) => (
+  (now - new Date(scheduledFor)) / 60000 > LATE_AFTER_MINUTES ? 'late' : 'taken'
+);
+
+/** Dose logs indexed by doseKey. */
+export const indexDoseLogs = (logs = []) => new Map(logs.map(log => [doseKey(log.medication_id, log.scheduled_for), log]));
+
+const summarise = (doses, logsByKey) => {
+  const counts = { due: doses.length, taken: 0, late: 0, skipped: 0, missed: 0 };
+  doses.forEach(dose => {
+    const status = logsByKey.get(dose.key)?.status;
+    if (status === 'taken' || status === 'late' || status === 'skipped') counts[status] += 1;
+    else counts.missed += 1;
+  });
+  counts.percent = counts.due ? Math.round(((counts.taken + counts.late) / counts.due) * 100) : null;
+  return counts;
+};
+
+/**
+ * Adherence over a period: doses taken (on time or late) out of doses that were due.
+ * Doses scheduled after `now` are not counted yet.
+ *
+ * @param {Array} medications
+ * @param {Array} logs - Dose logs { medication_id, scheduled_for, status }
+ * @param {object} options - { days = 7, now = new Date() }
+ * @returns {object} { percent, due, taken, late, skipped, missed, perMedication, byDay }
+ */
+export function computeAdherence(medications, logs, { days = 7, now = new Date() } = {}) {
+  const from = new Date(now);
+  from.setDate(from.getDate() - (days - 1));
+  const doses = getScheduledDoses(medications, from, now).filter(d => d.scheduledFor <= now);
+  const logsByKey = indexDoseLogs(logs);
+
+  const perMedication = medications
+    .filter(med => med.schedule?.type)
+    .map(med => ({ id: med.id, name: med.name, ...summarise(doses.filter(d => d.medicationId === med.id), logsByKey) }))
+    .filter(m => m.due > 0);
+
+  const byDay = [];
+  for (let day = new Date(from); day <= now; day.setDate(day.getDate() + 1)) {
+    const key = toDateKey(day);
+    byDay.push({ date: key, ...summarise(doses.filter(d => toDateKey(d.scheduledFor) === key), logsByKey) });
+  }
+
+  return { ...summarise(doses, logsByKey), perMedication, byDay };
+}
@@ -0,0 +1,120 @@
+import { findThresholdBreaches } from './alertThresholds';
+import { DEVICE_OFFLINE_AFTER_MINUTES, LOW_BATTERY_PERCENT, CRITICAL_BATTERY_PERCENT } from './deviceHealth';
+
+// Blood pressure and stress aren't part of the institution thresholds, so the
+// wall flags them against fixed clinical limits
+export const BP_LIMITS = {
+  warning: { systolic: 140, diastolic: 90 },
+  critical: { systolic: 180, diastolic: 120 },
+};
+export const STRESS_WARNING = 70;
+
+// Sort order on the wall: most urgent first, members without recent data last
+export const SEVERITY_RANK = { critical: 0, warning: 1, normal: 2, stale: 3, nodata: 4 };
+
+const toTime = (value) => {
+  if (value == null || value === '') return null;
+  // Real-time readings carry unix seconds, latest_data carries date strings
+  const time = typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const numberOrNull = (value) => (value == null || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Latest HR, SpO₂, BP, stress and battery of a member: live readings from the
+ * vitals socket win over the /api/latest_data/ snapshot when they are newer.
+ *
+ * @param {object} member - Institution member with `vitals` from /api/latest_data/
+ * @param {object|null} live - Newest pushed reading for the member
+ * @param {object|null} device - The member's registry device (for battery)
+ * @returns {object} { heartRate, spo2, systolic, diastolic, stress, battery, updatedAt }
+ */
+export function getMemberSnapshot(member, live = null, device = null) {
+  const v = member.vitals || {};
+  const liveTime = toTime(live?.timestamp);
+  const pick = (liveValue, storedValue, storedDate) => {
+    const stored = numberOrNull(storedValue);
+    const fresh = numberOrNull(liveValue);
+    if (fresh == null) return { value: stored, time: toTime(storedDate) };
+    const storedTime = toTime(storedDate);
+    if (stored != null && storedTime && liveTime && storedTime > liveTime) return { value: stored, time: storedTime };
+    return { value: fresh, time: liveTime };
+  };
+
+  const heartRate = pick(live?.heartRate, v.heartrate?.once_heart_value, v.heartrate?.date);
+  const spo2 = pick(live?.spo2, v.spo2?.Blood_oxygen, v.spo2?.date);
+  const systolic = pick(live?.systolic, v.bloodpressure?.sbp, v.bloodpressure?.date);
+  const diastolic = pick(live?.diastolic, v.bloodpressure?.dbp, v.bloodpressure?.date);
+  const stress = pick(live?.stress, v.stress?.stress, v.stress?.date);
+  const battery = numberOrNull(v.battery?.percentage ?? device?.battery?.percentage);
+
+  const times = [heartRate, spo2, systolic, stress].map((m) => m.time).filter(Boolean);
+  return {
+    heartRate: heartRate.value,
+    spo2: spo2.value,
+    systolic: systolic.value,
+    diastolic: diastolic.value,
+    stress: stress.value,
+    battery,
+    updatedAt: times.length ? new Date(Math.max(...times)) : null,
+  };
+}
+
+/**
+ * Colour-coding for a wall card: the level of each metric and of the member overall.
+ * HR and SpO₂ use the member's resolved institution thresholds (overrides included).
+ *
+ * @param {object} snapshot - Result of getMemberSnapshot
+ * @param {object} resolved - Result of resolveMemberThresholds
+ * @param {number} now
+ * @returns {object} { severity, levels: { heartRate, spo2, bp, stress, battery }, reasons }
+ */
+export function assessSnapshot(snapshot, resolved, now = Date.now()) {
+  const levels = { heartRate: 'normal', spo2: 'normal', bp: 'normal', stress: 'normal', battery: 'normal' };
+  const reasons = [];
+
+  findThresholdBreaches({
+    heartrate: snapshot.heartRate != null ? { once_heart_value: snapshot.heartRate } : null,
+    spo2: snapshot.spo2 != null ? { Blood_oxygen: snapshot.spo2 } : null,
+  }, resolved).forEach((breach) => {
+    levels[breach.key.startsWith('hr') ? 'heartRate' : 'spo2'] = breach.severity;
+    reasons.push({ severity: breach.severity, text: breach.type });
+  });
+
+  const { systolic, diastolic } = snapshot;
+  if (systolic != null && diastolic != null) {
+    if (systolic >= BP_LIMITS.critical.systolic || diastolic >= BP_LIMITS.critical.diastolic) {
+      levels.bp = 'critical';
+      reasons.push({ severity: 'critical', text: 'Hypertensive crisis' });
+    } else if (systolic >= BP_LIMITS.warning.systolic || diastolic >= BP_LIMITS.warning.diastolic) {
+      levels.bp = 'warning';
+      reasons.push({ severity: 'warning', text: 'High blood pressure' });
+    }
+  }
+
+  if (snapshot.stress != null && snapshot.stress >= STRESS_WARNING) {
+    levels.stress = 'warning';
+    reasons.push({ severity: 'warning', text: 'High stress' });
+  }
+
+  if (snapshot.battery != null && snapshot.battery <= LOW_BATTERY_PERCENT) {
+    levels.battery = snapshot.battery <= CRITICAL_BATTERY_PERCENT ? 'critical' : 'warning';
+    reasons.push({ severity: 'warning', text: `Battery ${snapshot.battery}%` });
+  }
+
+  let severity = 'normal';
+  if (reasons.some((r) => r.severity === 'critical')) severity = 'critical';
+  else if (reasons.length) severity = 'warning';
+  else if (!snapshot.updatedAt) severity = 'nodata';
+  else if (now - snapshot.updatedAt.getTime() > DEVICE_OFFLINE_AFTER_MINUTES * 60000) severity = 'stale';
+
+  return { severity, levels, reasons };
+}
+
+/** Most urgent first; within a level the most recently updated first. */
+export function compareBySeverity(a, b) {
+  const rank = SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity];
+  if (rank) return rank;
+  return (b.snapshot.updatedAt?.getTime() || 0) - (a.snapshot.updatedAt?.getTime() || 0);
+}
@@ -0,0 +1,100 @@
+// Audience segments and delivery stats for admin push campaigns.
+
+export const SEGMENT_TYPES = [
+  { id: 'all', label: 'All users' },
+  { id: 'institution', label: 'An institution' },
+  { id: 'age_group', label: 'Age group' },
+  { id: 'inactive', label: 'Inactive users' },
+  { id: 'doctors', label: 'Doctors only' },
+];
+
+export const EMPTY_SEGMENT = { type: 'all', institution_id: '', min_age: '', max_age: '', inactive_days: '30' };
+
+// Push services cut notifications off around these lengths
+export const TITLE_MAX_LENGTH = 65;
+export const BODY_MAX_LENGTH = 240;
+
+// Campaigns in these states may still change, so their stats are polled
+export const PENDING_STATUSES = ['scheduled', 'sending'];
+
+const toNumberOrNull = (value) => (value === '' || value == null ? null : Number(value));
+
+/**
+ * The segment as the API takes it: only the fields its type uses, as numbers.
+ * @param {object} segment - Form values, see EMPTY_SEGMENT
+ * @returns {object} { type, institution_id?, min_age?, max_age?, inactive_days? }
+ */
+export function toSegmentPayload(segment) {
+  switch (segment.type) {
+    case 'institution':
+      return { type: 'institution', institution_id: segment.institution_id };
+    case 'age_group':
+      return { type: 'age_group', min_age: toNumberOrNull(segment.min_age), max_age: toNumberOrNull(segment.max_age) };
+    case 'inactive':
+      return { type: 'inactive', inactive_days: toNumberOrNull(segment.inactive_days) };
+    default:
+      return { type: segment.type };
+  }
+}
+
+/** Why a segment can't be targeted yet, or null. */
+export function validateSegment(segment) {
+  const payload = toSegmentPayload(segment);
+  if (payload.type === 'institution' && !payload.institution_id) return 'Choose an institution.';
+  if (payload.type === 'age_group') {
+    const { min_age: min, max_age: max } = payload;
+    if (min == null && max == null) return 'Enter a minimum or maximum age.';
+    if ((min != null && !(min >= 0)) || (max != null && !(max >= 0))) return 'Ages must be zero or more.';
+    if (min != null && max != null && min > max) return 'The minimum age must not be above the maximum.';
+  }
+  if (payload.type === 'inactive' && !(payload.inactive_days >= 1)) return 'Enter at least 1 day of inactivity.';
+  return null;
+}
+
+/**
+ * "All users", "Ages 65+", "Inactive 30+ days", "Institution: City Hospital".
+ * @param {object} segment - Segment as stored on a campaign
+ * @param {Array} institutions - { id, name }, to name the institution
+ */
+export function describeSegment(segment, institutions = []) {
+  if (!segment) return 'Unknown audience';
+  switch (segment.type) {
+    case 'institution': {
+      const match = institutions.find((i) => String(i.id) === String(segment.institution_id));
+      return `Institution: ${match?.name || segment.institution_name || `#${segment.institution_id}`}`;
+    }
+    case 'age_group': {
+      const { min_age: min, max_age: max } = segment;
+      if (min != null && max != null) return `Ages ${min}–${max}`;
+      if (min != null) return `Ages ${min}+`;
+      return `Ages up to ${max}`;
+    }
+    case 'inactive':
+      return `Inactive ${segment.inactive_days}+ days`;
+    case 'doctors':
+      return 'Doctors only';
+    default:
+      return 'All users';
+  }
+}
+
+/**
+ * Delivery and open rates of a campaign, as whole percentages (null before anything was sent).
+ * Opens are counted against delivered notifications.
+ * @param {object} campaign - { recipients, delivered, opened, failed }
+ * @returns {{ deliveredRate: number|null, openRate: number|null }}
+ */
+export function getCampaignRates(campaign) {
+  const recipients = Number(campaign?.recipients) || 0;
+  const delivered = Number(campaign?.delivered) || 0;
+  const opened = Number(campaign?.opened) || 0;
+  return {
+    deliveredRate: recipients ? Math.round((delivered / recipients) * 100) : null,
+    openRate: delivered ? Math.round((opened / delivered) * 100) : null,
+  };
+}
+
+/** Replaces {placeholders} with example values so a preview reads like a real notification. */
+export function fillPreview(text, sample = { name: 'Sita' }) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => sample[key] ?? match);
+}
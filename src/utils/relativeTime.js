@@ -0,0 +1,24 @@
+/** "just now", "4m ago", "3h ago", "2d ago" — falls back to the date for older timestamps. */
+export function formatRelativeTime(value, now = Date.now()) {
+  if (!value) return '';
+  const then = new Date(value).getTime();
+  if (Number.isNaN(then)) return '';
+  const seconds = Math.max(0, Math.round((now - then) / 1000));
+  if (seconds < 45) return 'just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.round(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return new Date(then).toLocaleDateString();
+}
+
+/** Time left until `target` as m:ss (or h:mm:ss), "0:00" once it has passed. */
+export function formatCountdown(target, now = Date.now()) {
+  const total = Math.max(0, Math.floor((new Date(target).getTime() - now) / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
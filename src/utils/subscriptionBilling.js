@@ -0,0 +1,153 @@
+// Pricing and proration for institution plans. The backend charges the same
+// amounts at checkout; they are computed here so the price can be shown before
+// the institution pays.
+
+// Plans are priced per `duration_days`; billing cycles rescale that price
+export const BILLING_CYCLES = {
+  monthly: { label: 'Monthly', unit: 'month', days: 30 },
+  yearly: { label: 'Yearly', unit: 'year', days: 365 },
+};
+
+// A yearly plan costs this many months, i.e. two months free
+export const YEARLY_MONTHS_CHARGED = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toAmount = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/** What a plan costs per 30 days. */
+export function monthlyPrice(plan) {
+  const days = Number(plan?.duration_days) || BILLING_CYCLES.monthly.days;
+  return (toAmount(plan?.price) * BILLING_CYCLES.monthly.days) / days;
+}
+
+/**
+ * Price of one billing cycle of a plan, in whole rupees.
+ * @param {object} plan - From /api/set_ins_subscription/ { price, duration_days }
+ * @param {'monthly'|'yearly'} cycle
+ * @returns {number}
+ */
+export function planPrice(plan, cycle = 'monthly') {
+  const months = cycle === 'yearly' ? YEARLY_MONTHS_CHARGED : 1;
+  return Math.round(monthlyPrice(plan) * months);
+}
+
+const PAID_STATUSES = ['paid', 'completed'];
+
+/**
+ * Whether a subscription row counts as a plan. Checkouts create a row (their
+ * invoice) with a `payment_status`, so one that is explicitly unpaid or failed
+ * doesn't count. Rows without payment fields predate checkout and count as
+ * they are; whether they are in force is up to `is_active`.
+ */
+export function isPaidSubscription(sub) {
+  if (!sub) return false;
+  if (!sub.payment_status) return true;
+  return PAID_STATUSES.includes(String(sub.payment_status).toLowerCase());
+}
+
+/** Invoice status label of a subscription row: 'paid', 'expired', or its unpaid payment_status. */
+export function getInvoiceStatus(sub) {
+  if (sub.payment_status) return isPaidSubscription(sub) ? 'paid' : String(sub.payment_status).toLowerCase();
+  return sub.is_active || sub.paid_at ? 'paid' : 'expired';
+}
+
+/** The paid subscription currently in force, or null. */
+export function getActiveSubscription(subscriptions = [], now = new Date()) {
+  return subscriptions.find((sub) => (
+    isPaidSubscription(sub) && sub.is_active && (!sub.end_date || new Date(sub.end_date) > now)
+  )) || null;
+}
+
+/**
+ * Value of the unused part of a subscription, in whole rupees.
+ * @param {object} subscription - { amount_paid, start_date, end_date }
+ * @returns {number}
+ */
+export function unusedCredit(subscription, now = new Date()) {
+  if (!subscription?.start_date || !subscription?.end_date) return 0;
+  const start = new Date(subscription.start_date).getTime();
+  const end = new Date(subscription.end_date).getTime();
+  if (!(end > start) || now.getTime() >= end) return 0;
+  const left = Math.min(1, (end - now.getTime()) / (end - start));
+  return Math.round(toAmount(subscription.amount_paid) * left);
+}
+
+/**
+ * What choosing `plan` costs right now.
+ *  - new:       no plan in force; the plan starts today
+ *  - renew:     same plan; a new cycle starts when the current one ends
+ *  - upgrade / downgrade: the plan changes today and the unused part of the
+ *    current plan is credited. Credit beyond the new price carries over to
+ *    future billing.
+ * @param {object} params
+ * @param {object|null} params.current - Active subscription
+ * @param {object|null} params.currentPlan - Plan of the active subscription
+ * @param {object} params.plan - Plan being chosen
+ * @param {'monthly'|'yearly'} params.cycle
+ * @returns {{ kind, price, credit, due, carryOver, startsOn: Date, endsOn: Date }}
+ */
+export function quotePlanChange({ current, currentPlan, plan, cycle, now = new Date() }) {
+  const price = planPrice(plan, cycle);
+  const cycleDays = BILLING_CYCLES[cycle]?.days || BILLING_CYCLES.monthly.days;
+
+  let kind = 'new';
+  if (current) {
+    if (current.package === plan.id) kind = 'renew';
+    else kind = monthlyPrice(plan) >= monthlyPrice(currentPlan) ? 'upgrade' : 'downgrade';
+  }
+
+  const credit = kind === 'upgrade' || kind === 'downgrade' ? unusedCredit(current, now) : 0;
+  const startsOn = kind === 'renew' ? new Date(current.end_date) : now;
+  return {
+    kind,
+    price,
+    credit,
+    due: Math.max(0, price - credit),
+    carryOver: Math.max(0, credit - price),
+    startsOn,
+    endsOn: new Date(startsOn.getTime() + cycleDays * DAY_MS),
+  };
+}
+
+/**
+ * Seats used and left on a subscription. `limit` is null when no plan is in force.
+ * @returns {{ used: number, limit: number|null, left: number|null, full: boolean }}
+ */
+export function getSeatUsage(subscription, memberCount) {
+  const limit = subscription ? Number(subscription.max_users) || 0 : null;
+  const left = limit == null ? null : Math.max(0, limit - memberCount);
+  return { used: memberCount, limit, left, full: limit != null && memberCount >= limit };
+}
+
+// Days before the end of a plan at which the institution is warned
+export const EXPIRY_WARNING_DAYS = [14, 7, 1];
+
+/**
+ * Where the institution stands with its plan.
+ *  - active:   a plan is in force
+ *  - expiring: as active, within one of EXPIRY_WARNING_DAYS of its end
+ *  - expired:  the latest paid plan has ended; the dashboard is read-only until renewal
+ *  - none:     never paid for a plan (unpaid checkouts don't count)
+ * @param {Array} subscriptions - From getMySubscriptions
+ * @returns {{ state, subscription, daysLeft: number|null, warning: number|null, readOnly: boolean }}
+ *   `warning` is the smallest of EXPIRY_WARNING_DAYS already reached
+ */
+export function getSubscriptionStatus(subscriptions = [], now = new Date()) {
+  const active = getActiveSubscription(subscriptions, now);
+  if (active) {
+    const daysLeft = active.end_date ? Math.max(0, Math.ceil((new Date(active.end_date) - now) / DAY_MS)) : null;
+    const reached = daysLeft == null ? [] : EXPIRY_WARNING_DAYS.filter((days) => daysLeft <= days);
+    const warning = reached.length ? Math.min(...reached) : null;
+    return { state: warning ? 'expiring' : 'active', subscription: active, daysLeft, warning, readOnly: false };
+  }
+
+  const latest = subscriptions.filter(isPaidSubscription).reduce((last, sub) => (
+    !last || new Date(sub.end_date) > new Date(last.end_date) ? sub : last
+  ), null);
+  if (latest) return { state: 'expired', subscription: latest, daysLeft: 0, warning: null, readOnly: true };
+  return { state: 'none', subscription: null, daysLeft: null, warning: null, readOnly: false };
+}
@@ -0,0 +1,124 @@
+const EARTH_RADIUS_M = 6371000;
+
+// Points closer together than this belong to the same stop
+export const STOP_RADIUS_M = 50;
+// Shortest dwell shown as a stop on the trail
+export const MIN_STOP_MINUTES = 5;
+// Below this the wearer counts as standing still rather than moving
+const MOVING_KMH = 1;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const timeOf = (point) => new Date(point.timestamp).getTime();
+
+/** Great-circle (Haversine) distance in metres between two { lat, lng } points. */
+export function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/** Total length in kilometres of a trail of { lat, lng } points. */
+export function trailDistanceKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += distanceMeters(points[i - 1], points[i]);
+  return total / 1000;
+}
+
+/**
+ * Places where the wearer stayed within STOP_RADIUS_M of where they arrived
+ * for at least `minMinutes`.
+ * @param {Array} points - Trail points { lat, lng, timestamp }, oldest first
+ * @param {number} minMinutes
+ * @returns {Array} Stops { point, lat, lng (cluster centre), arrival, departure, minutes, startIndex, endIndex }
+ */
+export function findStops(points, minMinutes = MIN_STOP_MINUTES) {
+  const stops = [];
+  let i = 0;
+  while (i < points.length) {
+    let j = i;
+    while (j + 1 < points.length && distanceMeters(points[i], points[j + 1]) <= STOP_RADIUS_M) j++;
+    const arrival = new Date(points[i].timestamp);
+    const departure = new Date(points[j].timestamp);
+    const minutes = Math.round((departure - arrival) / 60000);
+    if (minutes >= minMinutes) {
+      const cluster = points.slice(i, j + 1);
+      stops.push({
+        point: points[i],
+        lat: cluster.reduce((sum, p) => sum + p.lat, 0) / cluster.length,
+        lng: cluster.reduce((sum, p) => sum + p.lng, 0) / cluster.length,
+        arrival,
+        departure,
+        minutes,
+        startIndex: i,
+        endIndex: j,
+      });
+    }
+    i = j + 1;
+  }
+  return stops;
+}
+
+/**
+ * Distance, duration and speed between consecutive trail points.
+ * @param {Array} points - Trail points, oldest first
+ * @returns {Array} Segments { from, to, meters, seconds, kmh (null when the timestamps don't advance) }
+ */
+export function getSegments(points) {
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    const meters = distanceMeters(points[i - 1], points[i]);
+    const seconds = (timeOf(points[i]) - timeOf(points[i - 1])) / 1000;
+    segments.push({
+      from: points[i - 1],
+      to: points[i],
+      meters,
+      seconds,
+      kmh: seconds > 0 ? (meters / 1000) / (seconds / 3600) : null,
+    });
+  }
+  return segments;
+}
+
+/**
+ * Average and top speed over the segments where the wearer was moving.
+ * @param {Array} segments - From getSegments
+ * @returns {{ avgKmh: number|null, maxKmh: number|null, movingMinutes: number }}
+ */
+export function summarizeSpeed(segments) {
+  const moving = segments.filter((s) => s.kmh != null && s.kmh >= MOVING_KMH);
+  if (!moving.length) return { avgKmh: null, maxKmh: null, movingMinutes: 0 };
+  const meters = moving.reduce((sum, s) => sum + s.meters, 0);
+  const seconds = moving.reduce((sum, s) => sum + s.seconds, 0);
+  return {
+    avgKmh: (meters / 1000) / (seconds / 3600),
+    maxKmh: Math.max(...moving.map((s) => s.kmh)),
+    movingMinutes: Math.round(seconds / 60),
+  };
+}
+
+/**
+ * Where the wearer was at `time` (ms), interpolated between the surrounding
+ * points, for trail playback.
+ * @param {Array} points - Trail points, oldest first
+ * @param {number} time
+ * @returns {{ lat: number, lng: number, index: number }|null} `index` is the last point already passed
+ */
+export function positionAt(points, time) {
+  if (!points.length) return null;
+  if (time <= timeOf(points[0])) return { lat: points[0].lat, lng: points[0].lng, index: 0 };
+  for (let i = 1; i < points.length; i++) {
+    const end = timeOf(points[i]);
+    if (time < end) {
+      const start = timeOf(points[i - 1]);
+      const t = end > start ? (time - start) / (end - start) : 1;
+      return {
+        lat: points[i - 1].lat + (points[i].lat - points[i - 1].lat) * t,
+        lng: points[i - 1].lng + (points[i].lng - points[i - 1].lng) * t,
+        index: i - 1,
+      };
+    }
+  }
+  const last = points[points.length - 1];
+  return { lat: last.lat, lng: last.lng, index: points.length - 1 };
+}
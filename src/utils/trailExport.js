@@ -0,0 +1,120 @@
+import { downloadFile, toFileSlug } from './download';
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const isoTime = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const stopLabel = (stop) => `Stop · ${stop.minutes} min`;
+const stopDescription = (stop) =>
+  `Arrived ${stop.arrival.toLocaleString()}, left ${stop.departure.toLocaleString()}`;
+
+/**
+ * GPX 1.1 document: the trail as one track segment and each stop as a waypoint.
+ * @param {Array} points - Trail points { lat, lng, timestamp, altitude }, oldest first
+ * @param {object} options - { name, stops (from findStops) }
+ * @returns {string}
+ */
+export function toGpx(points, { name = 'Activity trail', stops = [] } = {}) {
+  const waypoints = stops.map((stop) => [
+    `  <wpt lat="${stop.lat}" lon="${stop.lng}">`,
+    `    <time>${stop.arrival.toISOString()}</time>`,
+    `    <name>${escapeXml(stopLabel(stop))}</name>`,
+    `    <desc>${escapeXml(stopDescription(stop))}</desc>`,
+    '  </wpt>',
+  ].join('\n'));
+
+  const trackPoints = points.map((p) => {
+    const time = isoTime(p.timestamp);
+    const children = [
+      p.altitude != null && p.altitude !== '' ? `<ele>${Number(p.altitude)}</ele>` : null,
+      time ? `<time>${time}</time>` : null,
+    ].filter(Boolean).join('');
+    return `      <trkpt lat="${p.lat}" lon="${p.lng}">${children}</trkpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="JeewanJyoti Care" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * KML 2.2 document: the trail as a timed gx:Track (so Google Earth can replay
+ * it) plus a LineString for viewers without gx support, and a placemark per stop.
+ * @param {Array} points - Trail points, oldest first
+ * @param {object} options - { name, stops (from findStops) }
+ * @returns {string}
+ */
+export function toKml(points, { name = 'Activity trail', stops = [] } = {}) {
+  const timed = points.filter((p) => isoTime(p.timestamp));
+  const coordinates = points.map((p) => `${p.lng},${p.lat}`).join(' ');
+
+  const stopPlacemarks = stops.map((stop) => [
+    '    <Placemark>',
+    `      <name>${escapeXml(stopLabel(stop))}</name>`,
+    `      <description>${escapeXml(stopDescription(stop))}</description>`,
+    `      <TimeSpan><begin>${stop.arrival.toISOString()}</begin><end>${stop.departure.toISOString()}</end></TimeSpan>`,
+    '      <styleUrl>#stop</styleUrl>',
+    `      <Point><coordinates>${stop.lng},${stop.lat}</coordinates></Point>`,
+    '    </Placemark>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Style id="trail"><LineStyle><color>ff81b910</color><width>4</width></LineStyle></Style>',
+    '    <Style id="stop"><IconStyle><color>ff0b9ef5</color></IconStyle></Style>',
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    '      <styleUrl>#trail</styleUrl>',
+    '      <MultiGeometry>',
+    `        <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+    '        <gx:Track>',
+    ...timed.map((p) => `          <when>${isoTime(p.timestamp)}</when>`),
+    ...timed.map((p) => `          <gx:coord>${p.lng} ${p.lat}${p.altitude != null && p.altitude !== '' ? ` ${Number(p.altitude)}` : ''}</gx:coord>`),
+    '        </gx:Track>',
+    '      </MultiGeometry>',
+    '    </Placemark>',
+    ...stopPlacemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Download the trail as a GPX or KML file, e.g. "trail_2026-03-14.gpx" or "trail_2026-03-08_to_2026-03-14.kml".
+ * @param {'gpx'|'kml'} format
+ * @param {Array} points
+ * @param {object} options - { name, stops, from, to }
+ */
+export function downloadTrail(format, points, { name, stops, from, to } = {}) {
+  const range = from && to ? `_${from === to ? from : `${from}_to_${to}`}` : '';
+  const filename = `${toFileSlug(`trail${range}`)}.${format}`;
+  if (format === 'kml') {
+    downloadFile(toKml(points, { name, stops }), filename, 'application/vnd.google-earth.kml+xml');
+  } else {
+    downloadFile(toGpx(points, { name, stops }), filename, 'application/gpx+xml');
+  }
+}
@@ -49,3 +49,18 @@ export function buildReturnFromDrillDown(range) {
 export function buildPeriodFilterRange(period) {
   return { period, customRange: false, drillDown: false };
 }
+
+/** Normalise a Date or date string to the API's YYYY-MM-DD form. */
+export function formatDateForAPI(date) {
+  if (!date) return null;
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/** Vitals API params for a card range: ?date= for a single day, else ?range=24h|7d|30d. */
+export function toVitalsQueryParams(range) {
+  if (isDayDrillDown(range)) return { date: formatDateForAPI(range.date), range: null };
+  if (range?.period === 'week') return { date: null, range: '7d' };
+  if (range?.period === 'month') return { date: null, range: '30d' };
+  return { date: null, range: '24h' };
+}
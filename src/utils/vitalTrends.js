@@ -0,0 +1,222 @@
+import { toDateKey } from './medicationSchedule';
+
+// The personal baseline covers this many days; the most recent TREND_DAYS are
+// compared against the days before them
+export const BASELINE_DAYS = 30;
+export const TREND_DAYS = 5;
+// Fewer baseline days than this and there is nothing reliable to compare against
+export const MIN_BASELINE_DAYS = 10;
+
+// A day counts as off-baseline from this many standard deviations out; a run of
+// them must average at least SUSTAINED_Z to be reported
+const DAY_Z = 1;
+const SUSTAINED_Z = 1.5;
+// Floor for the standard deviation so a very steady baseline doesn't turn 1 bpm into an alert
+const MIN_SD = { restingHeartRate: 2, nightSpo2: 1, hrv: 3, stress: 4, systolic: 4 };
+
+// Nightly SpO₂ below this is reported as a dip whatever the baseline
+export const SPO2_DIP_PERCENT = 90;
+const SPO2_DIP_NIGHTS = 2;
+const SPO2_DIP_WINDOW = 7;
+
+const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Raw readings are grouped by local day; overnight readings (22:00–07:00) count
+// towards the morning they end on, so one night is one value
+const dayOf = (dateStr) => {
+  const d = new Date(dateStr);
+  return Number.isNaN(d.getTime()) ? null : toDateKey(d);
+};
+
+const nightOf = (dateStr) => {
+  const d = new Date(dateStr);
+  if (Number.isNaN(d.getTime())) return null;
+  const hour = d.getHours();
+  if (hour >= 7 && hour < 22) return null;
+  if (hour >= 22) d.setDate(d.getDate() + 1);
+  return toDateKey(d);
+};
+
+/**
+ * The metrics analysed for trends. Each reads one value per day from either the
+ * API's daily aggregate rows (`day` + averages) or raw readings (`date` + value).
+ * `concern` is the direction that is worth flagging.
+ */
+export const TREND_METRICS = [
+  {
+    key: 'restingHeartRate',
+    metric: 'heartRate',
+    label: 'Resting heart rate',
+    unit: 'bpm',
+    concern: 'up',
+    aggregate: (row) => row.minimum_heart_rate,
+    raw: { value: (row) => row.once_heart_value, group: dayOf, reduce: (values) => percentile(values, 0.1) },
+    explain: 'A resting heart rate that stays higher than usual can come with illness, poor sleep, stress or overtraining.',
+  },
+  {
+    key: 'nightSpo2',
+    metric: 'spo2',
+    label: 'Nightly SpO₂',
+    unit: '%',
+    concern: 'down',
+    aggregate: (row) => row.minimum_blood_oxygen,
+    raw: { value: (row) => row.Blood_oxygen, group: nightOf, reduce: (values) => Math.min(...values) },
+    explain: 'Repeated oxygen dips at night can be a sign of disturbed breathing during sleep.',
+  },
+  {
+    key: 'hrv',
+    metric: 'hrv',
+    label: 'HRV',
+    unit: 'ms',
+    concern: 'down',
+    aggregate: (row) => row.average_hrv,
+    raw: { value: (row) => row.hrv, group: dayOf, reduce: mean },
+    explain: 'Lower heart rate variability than usual often means the body is under strain or not fully recovered.',
+  },
+  {
+    key: 'stress',
+    metric: 'stress',
+    label: 'Stress',
+    unit: '/100',
+    concern: 'up',
+    aggregate: (row) => row.average_stress,
+    raw: { value: (row) => row.stress, group: dayOf, reduce: mean },
+    explain: 'Stress readings have stayed above your usual level.',
+  },
+  {
+    key: 'systolic',
+    metric: 'bloodPressure',
+    label: 'Systolic blood pressure',
+    unit: 'mmHg',
+    concern: 'up',
+    aggregate: (row) => row.avg_systolic,
+    raw: { value: (row) => row.sbp, group: dayOf, reduce: mean },
+    explain: 'Blood pressure that stays above your usual level is worth mentioning to your doctor.',
+  },
+];
+
+/**
+ * One value per day for a trend metric, oldest first.
+ * @param {Array} records - Rows from the vitals API (daily aggregates or raw readings)
+ * @param {object} spec - Entry of TREND_METRICS
+ * @returns {Array} [{ day: 'YYYY-MM-DD', value }]
+ */
+export function toDailySeries(records, spec) {
+  if (!Array.isArray(records)) return [];
+  const byDay = new Map();
+  records.forEach((row) => {
+    if (row?.day && isNumber(spec.aggregate(row))) {
+      byDay.set(String(row.day).slice(0, 10), [spec.aggregate(row)]);
+      return;
+    }
+    const value = spec.raw.value(row || {});
+    const day = row?.date ? spec.raw.group(row.date) : null;
+    if (!day || !isNumber(value) || value <= 0) return;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(value);
+  });
+  return [...byDay.entries()]
+    .map(([day, values]) => ({ day, value: spec.raw.reduce(values) }))
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .slice(-BASELINE_DAYS);
+}
+
+/** Mean and standard deviation of a set of daily values. */
+export function computeBaseline(values) {
+  if (!values.length) return null;
+  const m = mean(values);
+  const variance = values.reduce((s, v) => s + (v - m) ** 2, 0) / values.length;
+  return { mean: m, sd: Math.sqrt(variance), days: values.length };
+}
+
+const round = (v, unit) => (unit === 'ms' || unit === '%' ? Math.round(v * 10) / 10 : Math.round(v));
+
+/**
+ * Sustained deviations of one metric from the personal baseline.
+ * @param {Array} series - Result of toDailySeries
+ * @param {object} spec - Entry of TREND_METRICS
+ * @returns {Array} Insights { id, metric, severity, title, summary, explanation, baseline, recent, series }
+ */
+export function analyzeSeries(series, spec) {
+  const insights = [];
+  const history = series.slice(0, -TREND_DAYS);
+  if (history.length < MIN_BASELINE_DAYS || series.length < history.length + TREND_DAYS) return insights;
+
+  const stats = computeBaseline(history.map((d) => d.value));
+  const sd = Math.max(stats.sd, MIN_SD[spec.key] || 1);
+  const sign = spec.concern === 'up' ? 1 : -1;
+  const zOf = (value) => sign * (value - stats.mean) / sd;
+  const baseline = { mean: round(stats.mean, spec.unit), sd: round(sd, spec.unit), days: stats.days };
+  const direction = spec.concern === 'up' ? 'above' : 'below';
+
+  // Consecutive days off-baseline, counted back from the most recent day
+  let streak = 0;
+  for (let i = series.length - 1; i >= history.length && zOf(series[i].value) >= DAY_Z; i--) streak++;
+  const recentDays = series.slice(-Math.max(streak, 1));
+  const recentMean = mean(recentDays.map((d) => d.value));
+
+  if (streak >= TREND_DAYS && zOf(recentMean) >= SUSTAINED_Z) {
+    const rising = recentDays.every((d, i) => i === 0 || sign * (d.value - recentDays[i - 1].value) >= 0);
+    insights.push({
+      id: `${spec.key}-sustained`,
+      metric: spec.key,
+      severity: zOf(recentMean) >= 2.5 ? 'warning' : 'info',
+      title: `${spec.label} ${rising ? `trending ${spec.concern}` : `${direction} usual`} for ${streak} days`,
+      summary: `Averaging ${round(recentMean, spec.unit)} ${spec.unit} over the last ${streak} days, against your ${baseline.days}-day baseline of ${baseline.mean} ± ${baseline.sd} ${spec.unit}.`,
+      explanation: spec.explain,
+      baseline,
+      recent: round(recentMean, spec.unit),
+      series,
+    });
+  }
+
+  if (spec.key === 'nightSpo2') {
+    const window = series.slice(-SPO2_DIP_WINDOW);
+    const dips = window.filter((d) => d.value < SPO2_DIP_PERCENT);
+    if (dips.length >= SPO2_DIP_NIGHTS) {
+      insights.push({
+        id: 'nightSpo2-dips',
+        metric: spec.key,
+        severity: 'warning',
+        title: `Oxygen dips on ${dips.length} of the last ${window.length} nights`,
+        summary: `SpO₂ fell below ${SPO2_DIP_PERCENT}% (lowest ${Math.min(...dips.map((d) => d.value))}%); your usual nightly low is ${baseline.mean}%.`,
+        explanation: spec.explain,
+        baseline,
+        recent: round(mean(dips.map((d) => d.value)), spec.unit),
+        series,
+      });
+    }
+  }
+
+  return insights;
+}
+
+/**
+ * Trend insights across all metrics, warnings first.
+ * @param {object} recordsByMetric - { [TREND_METRICS[].metric]: records }
+ * @returns {{ insights: Array, analysed: Array }} analysed lists the metric keys that had enough history
+ */
+export function findTrendInsights(recordsByMetric) {
+  const insights = [];
+  const analysed = [];
+  TREND_METRICS.forEach((spec) => {
+    const series = toDailySeries(recordsByMetric[spec.metric], spec);
+    if (series.length >= MIN_BASELINE_DAYS + TREND_DAYS) analysed.push(spec.key);
+    insights.push(...analyzeSeries(series, spec));
+  });
+  // A sustained SpO₂ drop and the dips describe the same nights; keep the dips
+  const hasDips = insights.some((i) => i.id === 'nightSpo2-dips');
+  return {
+    insights: insights
+      .filter((i) => !(hasDips && i.id === 'nightSpo2-sustained'))
+      .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'warning' ? -1 : 1)),
+    analysed,
+  };
+}
@@ -0,0 +1,84 @@
+// Readings kept in memory for the live charts (about 25 minutes at one reading every 5s)
+export const VITALS_BUFFER_SIZE = 300;
+
+// A metric counts as live while its last reading is this recent, and as stale after STALE
+export const VITALS_LIVE_SECONDS = 60;
+export const VITALS_STALE_SECONDS = 300;
+
+// Fields of a real-time reading shown as individual metrics
+export const VITAL_FIELDS = ['heartRate', 'spo2', 'stress', 'hrv', 'systolic', 'diastolic'];
+
+const readingKey = (reading) => `${reading.device_id || ''}:${reading.timestamp}`;
+
+/**
+ * Merges new readings into the rolling buffer: duplicates (same device and
+ * timestamp, e.g. a pushed reading that also arrives in a backfill) are dropped,
+ * readings are kept oldest first and only the newest `max` are kept.
+ *
+ * @param {Array} buffer - Current readings, oldest first
+ * @param {Array} incoming - New readings in any order
+ * @param {number} max
+ * @returns {Array}
+ */
+export function mergeReadings(buffer, incoming, max = VITALS_BUFFER_SIZE) {
+  const fresh = incoming.filter((r) => r && Number.isFinite(Number(r.timestamp)));
+  if (!fresh.length) return buffer;
+  const byKey = new Map(buffer.map((r) => [readingKey(r), r]));
+  fresh.forEach((r) => byKey.set(readingKey(r), { ...r, timestamp: Number(r.timestamp) }));
+  const merged = [...byKey.values()].sort((a, b) => a.timestamp - b.timestamp);
+  return merged.length > max ? merged.slice(merged.length - max) : merged;
+}
+
+/**
+ * Latest value of every metric, each with the time it was measured. Not every
+ * reading carries every metric (HRV and stress are measured less often), so
+ * each metric is taken from the newest reading that has it.
+ *
+ * @param {Array} readings - Oldest first
+ * @returns {object} { [field]: { value, timestamp } }
+ */
+export function getLatestMetrics(readings) {
+  const latest = {};
+  for (let i = readings.length - 1; i >= 0; i--) {
+    const reading = readings[i];
+    VITAL_FIELDS.forEach((field) => {
+      if (latest[field] || reading[field] == null) return;
+      latest[field] = { value: reading[field], timestamp: reading.timestamp };
+    });
+    if (Object.keys(latest).length === VITAL_FIELDS.length) break;
+  }
+  return latest;
+}
+
+/** The `field` series of the buffer for a sparkline, skipping readings without it. */
+export function getMetricSeries(readings, field) {
+  return readings
+    .filter((r) => r[field] != null)
+    .map((r) => ({ timestamp: r.timestamp, value: Number(r[field]) }));
+}
+
+/**
+ * How current a reading is.
+ * @param {number|null} timestamp - Unix seconds
+ * @param {number} now - Milliseconds
+ * @returns {'live'|'recent'|'stale'|'none'}
+ */
+export function getFreshness(timestamp, now = Date.now()) {
+  if (!timestamp) return 'none';
+  const age = now / 1000 - timestamp;
+  if (age <= VITALS_LIVE_SECONDS) return 'live';
+  if (age <= VITALS_STALE_SECONDS) return 'recent';
+  return 'stale';
+}
+
+/** "12s ago" for the last minute, then the usual relative time. */
+export function formatReadingAge(timestamp, now = Date.now()) {
+  if (!timestamp) return '';
+  const seconds = Math.max(0, Math.round(now / 1000 - timestamp));
+  if (seconds < 60) return `${seconds}s ago`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(timestamp * 1000).toLocaleDateString();
+}